@@ -0,0 +1,301 @@
+// economy/balance-checkpoints.js
+// Signed balance checkpoints and drift verification for the materialized
+// economy_balances table (migration 031).
+//
+// A checkpoint snapshots every account balance at a ledger watermark (the
+// ledger rowid at the time of the snapshot) and signs it with HMAC-SHA256.
+// The verifier only recomputes accounts that saw ledger activity since the
+// last checkpoint; every other account must still match the snapshot.
+// Any mismatch is flagged through economyAudit.
+//
+// The signing key has no default. Without ECONOMY_CHECKPOINT_SECRET,
+// checkpoints are stored unsigned and never trusted as a baseline, so every
+// verification recomputes all accounts from the ledger.
+
+import { randomUUID, createHash, createHmac, timingSafeEqual } from "crypto";
+import { getLedgerBalance, hasMaterializedBalances } from "./balances.js";
+import { economyAudit } from "./audit.js";
+
+const CHECKPOINT_SIGNING_KEY = process.env.ECONOMY_CHECKPOINT_SECRET || "";
+export const CHECKPOINT_SIGNING_ENABLED = Boolean(CHECKPOINT_SIGNING_KEY);
+
+function uid() {
+  return "bchk_" + randomUUID().replace(/-/g, "").slice(0, 16);
+}
+
+function hashBalances(balancesJson) {
+  return createHash("sha256").update(balancesJson).digest("hex");
+}
+
+function signCheckpoint({ id, ledgerRowid, balancesHash }, secret = CHECKPOINT_SIGNING_KEY) {
+  if (!secret) return null;
+  return createHmac("sha256", secret).update(`${id}|${ledgerRowid}|${balancesHash}`).digest("hex");
+}
+
+function toRecord(row) {
+  return {
+    id: row.id,
+    ledgerRowid: row.ledger_rowid,
+    accountCount: row.account_count,
+    totalCents: row.total_cents,
+    balancesHash: row.balances_hash,
+    signature: row.signature,
+    signed: Boolean(row.signature),
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Snapshot all materialized balances at the current ledger watermark.
+ *
+ * @param {object} db — better-sqlite3 instance
+ * @param {object} [opts]
+ * @param {string} [opts.secret] — HMAC key (defaults to ECONOMY_CHECKPOINT_SECRET);
+ *   without one the checkpoint is stored unsigned
+ * @returns {{ ok: boolean, checkpoint?: object, error?: string }}
+ */
+export function createBalanceCheckpoint(db, { secret } = {}) {
+  if (!hasMaterializedBalances(db)) return { ok: false, error: "materialized_balances_unavailable" };
+
+  const doCheckpoint = db.transaction(() => {
+    const ledgerRowid = db.prepare("SELECT COALESCE(MAX(rowid), 0) as r FROM economy_ledger").get()?.r || 0;
+    const rows = db.prepare(`
+      SELECT account_id, credits_cents - debits_cents as balance_cents
+      FROM economy_balances ORDER BY account_id
+    `).all();
+
+    const balances = {};
+    let totalCents = 0;
+    for (const r of rows) {
+      balances[r.account_id] = r.balance_cents;
+      totalCents += r.balance_cents;
+    }
+
+    const id = uid();
+    const balancesJson = JSON.stringify(balances);
+    const balancesHash = hashBalances(balancesJson);
+    const signature = signCheckpoint({ id, ledgerRowid, balancesHash }, secret);
+
+    db.prepare(`
+      INSERT INTO economy_balance_checkpoints
+        (id, ledger_rowid, account_count, total_cents, balances_json, balances_hash, signature, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).run(id, ledgerRowid, rows.length, totalCents, balancesJson, balancesHash, signature);
+
+    return db.prepare("SELECT * FROM economy_balance_checkpoints WHERE id = ?").get(id);
+  });
+
+  const row = doCheckpoint();
+  const checkpoint = toRecord(row);
+
+  economyAudit(db, {
+    action: "balance_checkpoint_created",
+    userId: "system",
+    details: {
+      checkpointId: checkpoint.id, ledgerRowid: checkpoint.ledgerRowid,
+      accountCount: checkpoint.accountCount, signed: checkpoint.signed,
+    },
+  });
+
+  return { ok: true, checkpoint };
+}
+
+/**
+ * Get the most recent checkpoint row (including the balances snapshot), or null.
+ */
+export function getLatestCheckpoint(db) {
+  if (!hasMaterializedBalances(db)) return null;
+  return db.prepare(`
+    SELECT * FROM economy_balance_checkpoints ORDER BY ledger_rowid DESC, created_at DESC LIMIT 1
+  `).get() || null;
+}
+
+/**
+ * List checkpoints, most recent first (without the balances snapshot).
+ */
+export function getCheckpointHistory(db, { limit = 30, offset = 0 } = {}) {
+  const items = db.prepare(`
+    SELECT * FROM economy_balance_checkpoints ORDER BY ledger_rowid DESC, created_at DESC LIMIT ? OFFSET ?
+  `).all(limit, offset);
+  const total = db.prepare("SELECT COUNT(*) as c FROM economy_balance_checkpoints").get()?.c || 0;
+  return { items: items.map(toRecord), total, limit, offset };
+}
+
+/**
+ * Check a checkpoint's hash and HMAC signature. Unsigned checkpoints, and
+ * any checkpoint when no key is configured, never verify.
+ * @returns {boolean}
+ */
+export function verifyCheckpointSignature(row, { secret = CHECKPOINT_SIGNING_KEY } = {}) {
+  if (!row || !row.signature || !secret) return false;
+  if (hashBalances(row.balances_json) !== row.balances_hash) return false;
+  const expected = Buffer.from(signCheckpoint({
+    id: row.id, ledgerRowid: row.ledger_rowid, balancesHash: row.balances_hash,
+  }, secret), "hex");
+  const actual = Buffer.from(String(row.signature || ""), "hex");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Verify materialized balances against the ledger.
+ *
+ * With a valid checkpoint, accounts touched since its watermark (new ledger
+ * rows, or status flips that bumped updated_at) are recomputed from the
+ * ledger; all other accounts must still equal their checkpointed balance.
+ * Without one (or with a tampered or unsigned one) every account is
+ * recomputed; an unsigned checkpoint is reported, not flagged as invalid.
+ *
+ * @param {object} db — better-sqlite3 instance
+ * @param {object} [opts]
+ * @param {boolean} [opts.repair=false] — rewrite drifted rows from the ledger
+ * @param {string} [opts.secret] — HMAC key for checkpoint verification
+ * @returns {{ ok: boolean, mode: string, checkpointId: string|null, checkpointSigned: boolean|null,
+ *             checkpointValid: boolean|null, accountsChecked: number, driftCount: number, drifted: object[], repaired: number }}
+ */
+export function verifyBalances(db, { repair = false, secret } = {}) {
+  if (!hasMaterializedBalances(db)) return { ok: false, error: "materialized_balances_unavailable" };
+
+  const checkpoint = getLatestCheckpoint(db);
+  const key = secret ?? CHECKPOINT_SIGNING_KEY;
+  const checkpointSigned = checkpoint ? Boolean(checkpoint.signature) : null;
+  // With no key or no signature there is nothing to check the snapshot against
+  const checkpointValid = checkpoint && checkpointSigned && key
+    ? verifyCheckpointSignature(checkpoint, { secret: key })
+    : null;
+
+  if (checkpointValid === false) {
+    economyAudit(db, {
+      action: "balance_checkpoint_invalid",
+      userId: "system",
+      details: { checkpointId: checkpoint.id, ledgerRowid: checkpoint.ledger_rowid },
+    });
+  }
+
+  const materialized = new Map();
+  for (const r of db.prepare("SELECT account_id, credits_cents - debits_cents as balance_cents FROM economy_balances").all()) {
+    materialized.set(r.account_id, r.balance_cents);
+  }
+
+  const drifted = [];
+  const recordDrift = (accountId, materializedCents, expectedCents, source) => {
+    if (materializedCents === expectedCents) return;
+    drifted.push({
+      accountId,
+      materialized: materializedCents / 100,
+      expected: expectedCents / 100,
+      drift: (materializedCents - expectedCents) / 100,
+      source,
+    });
+  };
+  const ledgerCents = (accountId) => Math.round(getLedgerBalance(db, accountId).balance * 100);
+
+  let mode;
+  let accountsChecked = 0;
+
+  if (checkpoint && checkpointValid) {
+    mode = "incremental";
+    const snapshot = JSON.parse(checkpoint.balances_json);
+
+    const touched = new Set();
+    for (const r of db.prepare(`
+      SELECT to_user_id as a FROM economy_ledger WHERE rowid > ? AND to_user_id IS NOT NULL
+      UNION
+      SELECT from_user_id FROM economy_ledger WHERE rowid > ? AND from_user_id IS NOT NULL
+    `).all(checkpoint.ledger_rowid, checkpoint.ledger_rowid)) touched.add(r.a);
+    for (const r of db.prepare(
+      "SELECT account_id FROM economy_balances WHERE updated_at >= ?"
+    ).all(checkpoint.created_at)) touched.add(r.account_id);
+
+    for (const accountId of touched) {
+      recordDrift(accountId, materialized.get(accountId) || 0, ledgerCents(accountId), "ledger");
+      accountsChecked++;
+    }
+
+    const untouched = new Set([...Object.keys(snapshot), ...materialized.keys()]);
+    for (const accountId of untouched) {
+      if (touched.has(accountId)) continue;
+      recordDrift(accountId, materialized.get(accountId) || 0, snapshot[accountId] || 0, "checkpoint");
+      accountsChecked++;
+    }
+  } else {
+    mode = "full";
+    const accounts = new Set(materialized.keys());
+    for (const r of db.prepare(`
+      SELECT DISTINCT to_user_id as a FROM economy_ledger WHERE to_user_id IS NOT NULL
+      UNION
+      SELECT DISTINCT from_user_id FROM economy_ledger WHERE from_user_id IS NOT NULL
+    `).all()) accounts.add(r.a);
+
+    for (const accountId of accounts) {
+      recordDrift(accountId, materialized.get(accountId) || 0, ledgerCents(accountId), "ledger");
+      accountsChecked++;
+    }
+  }
+
+  let repaired = 0;
+  for (const d of drifted) {
+    economyAudit(db, {
+      action: "balance_drift_detected",
+      userId: d.accountId,
+      amount: d.drift,
+      details: { ...d, mode, checkpointId: checkpoint?.id || null },
+    });
+
+    if (repair) {
+      repairAccount(db, d.accountId);
+      repaired++;
+      economyAudit(db, {
+        action: "balance_drift_repaired",
+        userId: d.accountId,
+        amount: d.drift,
+        details: { expected: d.expected, previous: d.materialized },
+      });
+    }
+  }
+
+  return {
+    ok: true,
+    mode,
+    checkpointId: checkpoint?.id || null,
+    checkpointSigned,
+    checkpointValid,
+    accountsChecked,
+    driftCount: drifted.length,
+    drifted,
+    repaired,
+  };
+}
+
+/**
+ * Rewrite one account's materialized row from a full ledger scan.
+ */
+function repairAccount(db, accountId) {
+  const { totalCredits, totalDebits } = getLedgerBalance(db, accountId);
+  db.prepare(`
+    INSERT INTO economy_balances (account_id, credits_cents, debits_cents, updated_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(account_id) DO UPDATE SET
+      credits_cents = excluded.credits_cents,
+      debits_cents = excluded.debits_cents,
+      updated_at = excluded.updated_at
+  `).run(accountId, Math.round(totalCredits * 100), Math.round(totalDebits * 100));
+}
+
+/**
+ * Periodic job: verify against the last checkpoint, then take a new one.
+ * A new checkpoint is only written when no drift was found, so a drifted
+ * balance is never baked into the snapshot the next run trusts.
+ *
+ * @returns {{ ok: boolean, verification: object, checkpoint: object|null }}
+ */
+export function runBalanceCheckpointCycle(db, opts = {}) {
+  const verification = verifyBalances(db, opts);
+  if (!verification.ok) return { ok: false, error: verification.error, verification, checkpoint: null };
+
+  if (verification.driftCount > 0) {
+    return { ok: true, verification, checkpoint: null, skipped: "drift_detected" };
+  }
+
+  const { checkpoint } = createBalanceCheckpoint(db, opts);
+  return { ok: true, verification, checkpoint };
+}
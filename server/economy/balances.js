@@ -1,6 +1,60 @@
 // economy/balances.js
-// Balances are NEVER stored — always derived from the ledger.
+// Balances are always derived from the ledger:
 // balance = sum(credits) - sum(debits) for completed transactions.
+//
+// The economy_balances table (migration 031) is a trigger-maintained
+// projection of that sum. When it exists, reads come from it; otherwise we
+// fall back to scanning the ledger. balance-checkpoints.js verifies the two agree.
+
+// Databases known to carry the materialized table (positive results only, so a
+// later migration run is picked up without a restart).
+const _materialized = new WeakSet();
+
+/**
+ * Whether the materialized economy_balances table is available on this db.
+ * @param {object} db — better-sqlite3 instance
+ * @returns {boolean}
+ */
+export function hasMaterializedBalances(db) {
+  if (!db) return false;
+  if (_materialized.has(db)) return true;
+  try {
+    const row = db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'economy_balances'"
+    ).get();
+    if (row?.name === "economy_balances") {
+      _materialized.add(db);
+      return true;
+    }
+  } catch {
+    // sqlite_master unavailable (mock db) — use the ledger scan
+  }
+  return false;
+}
+
+/**
+ * Get balance for a user. Reads the materialized balance when available,
+ * otherwise scans the ledger.
+ *
+ * @param {object} db — better-sqlite3 instance
+ * @param {string} userId
+ * @returns {{ balance: number, totalCredits: number, totalDebits: number }}
+ */
+export function getBalance(db, userId) {
+  if (hasMaterializedBalances(db)) {
+    const row = db.prepare(
+      "SELECT credits_cents, debits_cents FROM economy_balances WHERE account_id = ?"
+    ).get(userId);
+    const creditsCents = row?.credits_cents || 0;
+    const debitsCents = row?.debits_cents || 0;
+    return {
+      balance: (creditsCents - debitsCents) / 100,
+      totalCredits: creditsCents / 100,
+      totalDebits: debitsCents / 100,
+    };
+  }
+  return getLedgerBalance(db, userId);
+}
 
 /**
  * Compute balance for a user by scanning the ledger.
@@ -11,7 +65,7 @@
  * @param {string} userId
  * @returns {{ balance: number, totalCredits: number, totalDebits: number }}
  */
-export function getBalance(db, userId) {
+export function getLedgerBalance(db, userId) {
   // Use integer arithmetic (cents) to avoid floating-point drift.
   // CAST to INTEGER rounds at the DB level, then we divide by 100 for display.
   const credits = db.prepare(`
@@ -70,11 +124,13 @@ export function getPlatformBalance(db, platformAccountId) {
  * @returns {{ users: object, emergents: object, platform: object, total: object }}
  */
 export function getSystemBalanceSummary(db) {
-  const allAccounts = db.prepare(`
-    SELECT DISTINCT to_user_id as account_id FROM economy_ledger WHERE to_user_id IS NOT NULL
-    UNION
-    SELECT DISTINCT from_user_id as account_id FROM economy_ledger WHERE from_user_id IS NOT NULL
-  `).all();
+  const allAccounts = hasMaterializedBalances(db)
+    ? db.prepare("SELECT account_id FROM economy_balances").all()
+    : db.prepare(`
+      SELECT DISTINCT to_user_id as account_id FROM economy_ledger WHERE to_user_id IS NOT NULL
+      UNION
+      SELECT DISTINCT from_user_id as account_id FROM economy_ledger WHERE from_user_id IS NOT NULL
+    `).all();
 
   let totalUserBalance = 0;
   let totalEmergentBalance = 0;
@@ -19,6 +19,9 @@ import { recordTransactionBatch, generateTxId } from "./ledger.js";
 import { PLATFORM_ACCOUNT_ID } from "./fees.js";
 import { distributeFee } from "./fee-split.js";
 import { economyAudit } from "./audit.js";
+import { grantReleaseToSubscribers } from "./creator-subscriptions.js";
+import { getRegionalPrice } from "./regional-pricing.js";
+import { screenTransaction } from "./fraud-engine.js";
 import {
   ARTIFACT_TYPES, CREATIVE_MARKETPLACE, CREATIVE_FEDERATION,
   CREATIVE_QUESTS, CREATIVE_LEADERBOARD, CREATOR_RIGHTS, LICENSE_TYPES,
@@ -132,8 +135,12 @@ export function publishArtifact(db, {
       price, now, now,
     );
 
+    // Subscribers to a matching creator plan get download rights right away
+    const subscriberGrants = grantReleaseToSubscribers(db, id);
+
     return {
       ok: true,
+      subscriberGrants: subscriberGrants.granted,
       artifact: {
         id, creatorId, type, title, price,
         federationTier: "regional",
@@ -283,8 +290,10 @@ export function publishDerivativeArtifact(db, { creatorId, artifact, parentDecla
  * @param {object} opts
  * @param {string} opts.buyerId
  * @param {string} opts.artifactId
+ * @param {boolean} [opts.screen=true] — fraud-screen at the price charged;
+ *   a risky purchase is held for review and replayed on approval
  */
-export function purchaseArtifact(db, { buyerId, artifactId, requestId, ip }) {
+export function purchaseArtifact(db, { buyerId, artifactId, requestId, ip, screen = true }) {
   if (!buyerId) return { ok: false, error: "missing_buyer_id" };
   if (!artifactId) return { ok: false, error: "missing_artifact_id" };
 
@@ -295,9 +304,9 @@ export function purchaseArtifact(db, { buyerId, artifactId, requestId, ip }) {
   if (!artifact) return { ok: false, error: "artifact_not_found_or_inactive" };
   if (artifact.creator_id === buyerId) return { ok: false, error: "cannot_buy_own_artifact" };
 
-  // Check buyer hasn't already purchased this
+  // Check buyer hasn't already purchased this (subscription access doesn't count — it expires)
   const existingLicense = db.prepare(
-    "SELECT id FROM creative_usage_licenses WHERE artifact_id = ? AND licensee_id = ? AND status = 'active'"
+    "SELECT id FROM creative_usage_licenses WHERE artifact_id = ? AND licensee_id = ? AND status = 'active' AND license_type != 'subscription'"
   ).get(artifactId, buyerId);
   if (existingLicense) return { ok: false, error: "already_licensed" };
 
@@ -309,7 +318,17 @@ export function purchaseArtifact(db, { buyerId, artifactId, requestId, ip }) {
     if (exclusiveHolder) return { ok: false, error: "exclusive_license_already_held" };
   }
 
-  const price = artifact.price;
+  // Creator-set regional tier for the buyer's declared location, if any
+  const { price } = getRegionalPrice(db, { itemType: "artifact", itemId: artifactId, basePrice: artifact.price, buyerId });
+
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "artifact_purchase", userId: buyerId, counterpartyId: artifact.creator_id, amount: price,
+      payload: { buyerId, artifactId },
+    });
+    if (check.held) return check;
+  }
+
   const purchaseId = uid("cap");
 
   // Calculate fees
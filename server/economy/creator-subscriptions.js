@@ -0,0 +1,743 @@
+/**
+ * Creator Subscriptions — Creative Marketplace
+ *
+ * Fans subscribe to a creator (or one of their film series) for a recurring
+ * price instead of buying artifacts one by one.
+ *
+ * Handles:
+ *   - Subscription plans (price, billing period, included artifact types / federation tiers)
+ *   - Subscribe, cancel (at period end or immediately with a prorated refund), resume
+ *   - Plan changes with proration (upgrade charged now, downgrade credited to the next renewal)
+ *   - Renewal scheduler (driven by the heartbeat) with a grace period on insufficient balance
+ *   - Download rights for new releases while a subscription is live (economy/storage.js)
+ *
+ * Money flow per charge (one transaction):
+ *   subscriber → creator   SUBSCRIPTION transfer (5.46%, same as artifact purchases)
+ *   fee                    80/10/10 split via distributeFee
+ *   creator → ancestors    distributeRoyalties on the plan's content (series DTU or plan id)
+ *
+ * Subscribing and plan upgrades are fraud-screened ("subscription") before
+ * anything is charged and replayed on approval; renewals re-charge a
+ * subscription whose first charge was screened.
+ */
+
+import { randomUUID } from "crypto";
+import { executeTransfer } from "./transfer.js";
+import { screenTransaction } from "./fraud-engine.js";
+import { distributeFee } from "./fee-split.js";
+import { distributeRoyalties } from "./royalty-cascade.js";
+import { economyAudit } from "./audit.js";
+import { grantDownloadRights, extendDownloadRights, revokeDownloadRights } from "./storage.js";
+import { ARTIFACT_TYPES } from "../lib/creative-marketplace-constants.js";
+
+// ── Constants ───────────────────────────────────────────────────────────
+
+export const SUBSCRIPTION_PERIODS = Object.freeze({
+  week: { days: 7 },
+  month: { months: 1 },
+  quarter: { months: 3 },
+  year: { months: 12 },
+});
+
+export const SUBSCRIPTION_LIMITS = Object.freeze({
+  DEFAULT_GRACE_DAYS: 3,
+  MAX_GRACE_DAYS: 14,
+  MAX_PRICE: 100000,
+});
+
+const FEDERATION_TIERS = ["local", "regional", "national", "global"];
+const LIVE_STATUSES = ["active", "past_due"];
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+function uid(prefix = "sub") {
+  return `${prefix}_` + randomUUID().replace(/-/g, "").slice(0, 16);
+}
+
+function nowISO() {
+  return new Date().toISOString().replace("T", " ").replace("Z", "");
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+function fromSqlTime(value) {
+  return new Date(String(value).replace(" ", "T") + (String(value).endsWith("Z") ? "" : "Z"));
+}
+
+function resolveNow(now) {
+  return now ? toSqlTime(new Date(now)) : nowISO();
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function safeJsonParse(str, fallback = []) {
+  try { return JSON.parse(str); } catch { return fallback; }
+}
+
+/**
+ * Advance a timestamp by one billing period. Month-based periods clamp to
+ * the end of shorter months (Jan 31 + 1 month → Feb 28/29).
+ */
+export function addPeriod(sqlTime, period) {
+  const spec = SUBSCRIPTION_PERIODS[period];
+  const d = fromSqlTime(sqlTime);
+  if (spec.days) return toSqlTime(new Date(d.getTime() + spec.days * 86400000));
+
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + spec.months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return toSqlTime(d);
+}
+
+/** Fraction of the current period still unused at `now` (0..1). */
+function remainingFraction(sub, now) {
+  const start = fromSqlTime(sub.current_period_start).getTime();
+  const end = fromSqlTime(sub.current_period_end).getTime();
+  const at = fromSqlTime(now).getTime();
+  if (end <= start) return 0;
+  return Math.min(1, Math.max(0, (end - at) / (end - start)));
+}
+
+function formatPlan(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    creatorId: row.creator_id,
+    title: row.title,
+    description: row.description,
+    price: row.price,
+    period: row.period,
+    includedTypes: safeJsonParse(row.included_types_json),
+    includedTiers: safeJsonParse(row.included_tiers_json),
+    seriesDtuId: row.series_dtu_id,
+    graceDays: row.grace_days,
+    status: row.status,
+    createdAt: row.created_at,
+  };
+}
+
+function formatSubscription(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    planId: row.plan_id,
+    subscriberId: row.subscriber_id,
+    creatorId: row.creator_id,
+    status: row.status,
+    currentPeriodStart: row.current_period_start,
+    currentPeriodEnd: row.current_period_end,
+    cancelAtPeriodEnd: !!row.cancel_at_period_end,
+    graceUntil: row.grace_until,
+    creditBalance: row.credit_balance,
+    failedAttempts: row.failed_attempts,
+    createdAt: row.created_at,
+    endedAt: row.ended_at,
+  };
+}
+
+function loadPlan(db, planId) {
+  return db.prepare("SELECT * FROM creator_subscription_plans WHERE id = ?").get(planId) || null;
+}
+
+function loadSubscription(db, subscriptionId) {
+  return db.prepare("SELECT * FROM creator_subscriptions WHERE id = ?").get(subscriptionId) || null;
+}
+
+/**
+ * Charge a subscriber for a plan. Runs inside the caller's transaction and
+ * throws on failure so nothing is written.
+ */
+function chargeSubscription(db, { sub, plan, kind, amount, creditApplied = 0, periodStart, periodEnd, requestId, ip }) {
+  const chargeId = uid("sch");
+  const refId = `subscription:${chargeId}`;
+
+  let transfer = { fee: 0, batchId: null };
+  let royalties = 0;
+
+  if (amount > 0) {
+    transfer = executeTransfer(db, {
+      from: sub.subscriber_id,
+      to: plan.creator_id,
+      amount,
+      type: "SUBSCRIPTION",
+      metadata: { subscriptionId: sub.id, planId: plan.id, chargeId, kind },
+      refId,
+      requestId,
+      ip,
+      screen: false,
+    });
+    if (!transfer.ok) {
+      const err = new Error(transfer.error || "subscription_charge_failed");
+      err.transfer = transfer;
+      throw err;
+    }
+
+    if (transfer.fee > 0) {
+      distributeFee(db, {
+        feeAmount: transfer.fee,
+        sourceTxId: transfer.batchId,
+        refId: `subscription_fee:${chargeId}`,
+        requestId, ip,
+      });
+    }
+
+    const royaltyResult = distributeRoyalties(db, {
+      contentId: plan.series_dtu_id || plan.id,
+      transactionAmount: amount,
+      sourceTxId: transfer.batchId,
+      buyerId: sub.subscriber_id,
+      sellerId: plan.creator_id,
+      refId: `subscription_royalty:${chargeId}`,
+      requestId, ip,
+    });
+    if (!royaltyResult.ok) throw new Error(royaltyResult.error || "royalty_distribution_failed");
+    royalties = royaltyResult.totalRoyalties || 0;
+  }
+
+  db.prepare(`
+    INSERT INTO creator_subscription_charges (
+      id, subscription_id, kind, amount, fee, royalties, credit_applied, status,
+      period_start, period_end, ref_id, batch_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, 'paid', ?, ?, ?, ?, ?)
+  `).run(chargeId, sub.id, kind, amount, transfer.fee || 0, royalties, creditApplied,
+    periodStart || null, periodEnd || null, amount > 0 ? refId : null, transfer.batchId || null, nowISO());
+
+  return { chargeId, amount, fee: transfer.fee || 0, royalties, refId: amount > 0 ? refId : null };
+}
+
+function recordFailedCharge(db, { sub, kind, amount, error, periodStart, periodEnd }) {
+  db.prepare(`
+    INSERT INTO creator_subscription_charges (
+      id, subscription_id, kind, amount, status, period_start, period_end, error, created_at
+    ) VALUES (?, ?, ?, ?, 'failed', ?, ?, ?, ?)
+  `).run(uid("sch"), sub.id, kind, amount, periodStart || null, periodEnd || null, error, nowISO());
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLANS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a subscription plan.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} opts.creatorId
+ * @param {string} opts.title
+ * @param {number} opts.price — per period, in Concord Coin
+ * @param {string} [opts.period="month"] — week | month | quarter | year
+ * @param {string[]} [opts.includedTypes] — artifact types covered ([] = all)
+ * @param {string[]} [opts.includedTiers] — federation tiers covered ([] = all)
+ * @param {string} [opts.seriesDtuId] — restrict to one film series
+ * @param {number} [opts.graceDays=3] — days a past-due subscription keeps access
+ */
+export function createSubscriptionPlan(db, {
+  creatorId, title, description, price, period = "month",
+  includedTypes = [], includedTiers = [], seriesDtuId, graceDays = SUBSCRIPTION_LIMITS.DEFAULT_GRACE_DAYS,
+}) {
+  if (!creatorId) return { ok: false, error: "missing_creator_id" };
+  if (!title) return { ok: false, error: "missing_title" };
+  if (typeof price !== "number" || !Number.isFinite(price) || price < 0.01 || price > SUBSCRIPTION_LIMITS.MAX_PRICE) {
+    return { ok: false, error: "invalid_price" };
+  }
+  if (!SUBSCRIPTION_PERIODS[period]) {
+    return { ok: false, error: "invalid_period", validPeriods: Object.keys(SUBSCRIPTION_PERIODS) };
+  }
+  if (!Array.isArray(includedTypes) || includedTypes.some((t) => !ARTIFACT_TYPES[t])) {
+    return { ok: false, error: "invalid_artifact_type", validTypes: Object.keys(ARTIFACT_TYPES) };
+  }
+  if (!Array.isArray(includedTiers) || includedTiers.some((t) => !FEDERATION_TIERS.includes(t))) {
+    return { ok: false, error: "invalid_federation_tier", validTiers: FEDERATION_TIERS };
+  }
+  if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > SUBSCRIPTION_LIMITS.MAX_GRACE_DAYS) {
+    return { ok: false, error: "invalid_grace_days", max: SUBSCRIPTION_LIMITS.MAX_GRACE_DAYS };
+  }
+
+  if (seriesDtuId) {
+    const series = db.prepare("SELECT creator_id, film_type FROM film_dtus WHERE id = ?").get(seriesDtuId);
+    if (!series) return { ok: false, error: "series_not_found" };
+    if (series.film_type !== "series") return { ok: false, error: "not_a_series" };
+    if (series.creator_id !== creatorId) return { ok: false, error: "not_series_creator" };
+  }
+
+  const id = uid("spl");
+  const now = nowISO();
+  db.prepare(`
+    INSERT INTO creator_subscription_plans (
+      id, creator_id, title, description, price, period,
+      included_types_json, included_tiers_json, series_dtu_id, grace_days,
+      status, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)
+  `).run(id, creatorId, title, description || null, round2(price), period,
+    JSON.stringify(includedTypes), JSON.stringify(includedTiers), seriesDtuId || null, graceDays, now, now);
+
+  return { ok: true, plan: formatPlan(loadPlan(db, id)) };
+}
+
+/**
+ * Archive a plan. No new subscriptions; live ones run to the end of their
+ * current period and then expire instead of renewing.
+ */
+export function archiveSubscriptionPlan(db, { planId, creatorId }) {
+  const plan = loadPlan(db, planId);
+  if (!plan) return { ok: false, error: "plan_not_found" };
+  if (plan.creator_id !== creatorId) return { ok: false, error: "not_plan_creator" };
+  if (plan.status === "archived") return { ok: false, error: "plan_already_archived" };
+
+  db.prepare("UPDATE creator_subscription_plans SET status = 'archived', updated_at = ? WHERE id = ?")
+    .run(nowISO(), planId);
+  return { ok: true, planId, status: "archived" };
+}
+
+export function getSubscriptionPlan(db, planId) {
+  return formatPlan(loadPlan(db, planId));
+}
+
+export function listCreatorPlans(db, creatorId, { includeArchived = false } = {}) {
+  const rows = db.prepare(`
+    SELECT * FROM creator_subscription_plans
+    WHERE creator_id = ? ${includeArchived ? "" : "AND status = 'active'"}
+    ORDER BY price ASC, created_at ASC
+  `).all(creatorId);
+  return { ok: true, plans: rows.map(formatPlan) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUBSCRIBE / CANCEL / CHANGE PLAN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Subscribe to a plan. The first period is charged immediately.
+ */
+export function subscribe(db, { planId, subscriberId, requestId, ip, now, screen = true }) {
+  if (!subscriberId) return { ok: false, error: "missing_subscriber_id" };
+
+  const plan = loadPlan(db, planId);
+  if (!plan || plan.status !== "active") return { ok: false, error: "plan_not_found_or_archived" };
+  if (plan.creator_id === subscriberId) return { ok: false, error: "cannot_subscribe_to_self" };
+
+  const live = db.prepare(`
+    SELECT id FROM creator_subscriptions
+    WHERE plan_id = ? AND subscriber_id = ? AND status IN ('active', 'past_due')
+  `).get(planId, subscriberId);
+  if (live) return { ok: false, error: "already_subscribed", subscriptionId: live.id };
+
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "subscription", userId: subscriberId, counterpartyId: plan.creator_id, amount: plan.price,
+      payload: { planId, subscriberId },
+    });
+    if (check.held) return check;
+  }
+
+  const id = uid("sub");
+  const periodStart = resolveNow(now);
+  const periodEnd = addPeriod(periodStart, plan.period);
+
+  const doSubscribe = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO creator_subscriptions (
+        id, plan_id, subscriber_id, creator_id, status,
+        current_period_start, current_period_end, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, 'active', ?, ?, ?, ?)
+    `).run(id, planId, subscriberId, plan.creator_id, periodStart, periodEnd, periodStart, periodStart);
+
+    const sub = loadSubscription(db, id);
+    return chargeSubscription(db, {
+      sub, plan, kind: "initial", amount: plan.price, periodStart, periodEnd, requestId, ip,
+    });
+  });
+
+  let charge;
+  try {
+    charge = doSubscribe();
+  } catch (err) {
+    if (err.transfer?.error === "insufficient_balance") {
+      return { ok: false, error: "insufficient_balance", balance: err.transfer.balance, required: plan.price };
+    }
+    return { ok: false, error: err.message };
+  }
+
+  economyAudit(db, {
+    action: "creator_subscription_started",
+    userId: subscriberId,
+    amount: plan.price,
+    requestId, ip,
+    details: { subscriptionId: id, planId, creatorId: plan.creator_id, chargeId: charge.chargeId },
+  });
+
+  return { ok: true, subscription: formatSubscription(loadSubscription(db, id)), charge };
+}
+
+/**
+ * Cancel a subscription.
+ *
+ * By default access continues until the end of the paid period and the
+ * subscription is not renewed. With `immediate`, access ends now and the
+ * unused part of the current period's charges is refunded by the creator.
+ */
+export function cancelSubscription(db, { subscriptionId, subscriberId, immediate = false, requestId, ip, now }) {
+  const sub = loadSubscription(db, subscriptionId);
+  if (!sub) return { ok: false, error: "subscription_not_found" };
+  if (sub.subscriber_id !== subscriberId) return { ok: false, error: "not_subscriber" };
+  if (!LIVE_STATUSES.includes(sub.status)) return { ok: false, error: "subscription_not_live", status: sub.status };
+
+  if (!immediate) {
+    db.prepare("UPDATE creator_subscriptions SET cancel_at_period_end = 1, updated_at = ? WHERE id = ?")
+      .run(nowISO(), subscriptionId);
+    return { ok: true, subscriptionId, status: sub.status, cancelAtPeriodEnd: true, accessUntil: sub.current_period_end };
+  }
+
+  const at = resolveNow(now);
+  // Only what was actually paid for the current period is refundable
+  const paid = sub.status === "active"
+    ? db.prepare(`
+        SELECT COALESCE(SUM(amount), 0) as total FROM creator_subscription_charges
+        WHERE subscription_id = ? AND status = 'paid' AND kind IN ('initial', 'renewal', 'proration')
+          AND period_end = ?
+      `).get(subscriptionId, sub.current_period_end)?.total || 0
+    : 0;
+  const refund = round2(paid * remainingFraction(sub, at));
+
+  const doCancel = db.transaction(() => {
+    let refundRefId = null;
+    if (refund >= 0.01) {
+      const chargeId = uid("sch");
+      refundRefId = `subscription_refund:${chargeId}`;
+      const result = executeTransfer(db, {
+        from: sub.creator_id,
+        to: sub.subscriber_id,
+        amount: refund,
+        type: "SUBSCRIPTION_REFUND",
+        metadata: { subscriptionId, planId: sub.plan_id, chargeId, kind: "refund" },
+        refId: refundRefId,
+        requestId, ip,
+        screen: false,
+      });
+      if (!result.ok) throw new Error(result.error === "insufficient_balance" ? "creator_cannot_cover_refund" : result.error);
+
+      db.prepare(`
+        INSERT INTO creator_subscription_charges (
+          id, subscription_id, kind, amount, status, period_start, period_end, ref_id, batch_id, created_at
+        ) VALUES (?, ?, 'refund', ?, 'paid', ?, ?, ?, ?, ?)
+      `).run(chargeId, subscriptionId, -refund, at, sub.current_period_end, refundRefId, result.batchId || null, nowISO());
+    }
+
+    db.prepare(`
+      UPDATE creator_subscriptions
+      SET status = 'cancelled', cancel_at_period_end = 0, ended_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(at, nowISO(), subscriptionId);
+    revokeDownloadRights(db, { sourceId: subscriptionId });
+    return refundRefId;
+  });
+
+  let refundRefId;
+  try {
+    refundRefId = doCancel();
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  economyAudit(db, {
+    action: "creator_subscription_cancelled",
+    userId: subscriberId,
+    amount: refund,
+    requestId, ip,
+    details: { subscriptionId, immediate: true, refundRefId },
+  });
+
+  return { ok: true, subscriptionId, status: "cancelled", refund, refundRefId };
+}
+
+/**
+ * Undo a pending cancel-at-period-end.
+ */
+export function resumeSubscription(db, { subscriptionId, subscriberId }) {
+  const sub = loadSubscription(db, subscriptionId);
+  if (!sub) return { ok: false, error: "subscription_not_found" };
+  if (sub.subscriber_id !== subscriberId) return { ok: false, error: "not_subscriber" };
+  if (!LIVE_STATUSES.includes(sub.status)) return { ok: false, error: "subscription_not_live", status: sub.status };
+  if (!sub.cancel_at_period_end) return { ok: false, error: "not_pending_cancellation" };
+
+  db.prepare("UPDATE creator_subscriptions SET cancel_at_period_end = 0, updated_at = ? WHERE id = ?")
+    .run(nowISO(), subscriptionId);
+  return { ok: true, subscriptionId, cancelAtPeriodEnd: false };
+}
+
+/**
+ * Switch to another plan from the same creator with the same billing period.
+ *
+ * Proration over the unused part of the current period:
+ *   upgrade   → the price difference is charged now
+ *   downgrade → the difference is credited and applied at the next renewal
+ */
+export function changeSubscriptionPlan(db, { subscriptionId, subscriberId, newPlanId, requestId, ip, now, screen = true }) {
+  const sub = loadSubscription(db, subscriptionId);
+  if (!sub) return { ok: false, error: "subscription_not_found" };
+  if (sub.subscriber_id !== subscriberId) return { ok: false, error: "not_subscriber" };
+  if (sub.status !== "active") return { ok: false, error: "subscription_not_active", status: sub.status };
+  if (sub.plan_id === newPlanId) return { ok: false, error: "same_plan" };
+
+  const oldPlan = loadPlan(db, sub.plan_id);
+  const newPlan = loadPlan(db, newPlanId);
+  if (!newPlan || newPlan.status !== "active") return { ok: false, error: "plan_not_found_or_archived" };
+  if (newPlan.creator_id !== sub.creator_id) return { ok: false, error: "plan_from_different_creator" };
+  if (newPlan.period !== oldPlan.period) return { ok: false, error: "period_mismatch" };
+
+  const at = resolveNow(now);
+  const delta = round2((newPlan.price - oldPlan.price) * remainingFraction(sub, at));
+
+  if (screen && delta >= 0.01) {
+    const check = screenTransaction(db, {
+      action: "subscription", userId: subscriberId, counterpartyId: sub.creator_id, amount: delta,
+      payload: { subscriptionId, subscriberId, newPlanId },
+    });
+    if (check.held) return check;
+  }
+
+  const doChange = db.transaction(() => {
+    let charge = null;
+    if (delta >= 0.01) {
+      charge = chargeSubscription(db, {
+        sub, plan: newPlan, kind: "proration", amount: delta,
+        periodStart: at, periodEnd: sub.current_period_end, requestId, ip,
+      });
+    } else if (delta < 0) {
+      db.prepare("UPDATE creator_subscriptions SET credit_balance = credit_balance + ? WHERE id = ?")
+        .run(-delta, subscriptionId);
+    }
+    db.prepare("UPDATE creator_subscriptions SET plan_id = ?, updated_at = ? WHERE id = ?")
+      .run(newPlanId, nowISO(), subscriptionId);
+    return charge;
+  });
+
+  let charge;
+  try {
+    charge = doChange();
+  } catch (err) {
+    if (err.transfer?.error === "insufficient_balance") {
+      return { ok: false, error: "insufficient_balance", balance: err.transfer.balance, required: delta };
+    }
+    return { ok: false, error: err.message };
+  }
+
+  economyAudit(db, {
+    action: "creator_subscription_plan_changed",
+    userId: subscriberId,
+    amount: delta,
+    requestId, ip,
+    details: { subscriptionId, fromPlanId: oldPlan.id, toPlanId: newPlanId, chargeId: charge?.chargeId || null },
+  });
+
+  return {
+    ok: true,
+    subscription: formatSubscription(loadSubscription(db, subscriptionId)),
+    proration: { amount: delta, charged: delta > 0 ? delta : 0, credited: delta < 0 ? -delta : 0 },
+  };
+}
+
+export function getSubscription(db, subscriptionId) {
+  const sub = loadSubscription(db, subscriptionId);
+  if (!sub) return null;
+  const charges = db.prepare(
+    "SELECT * FROM creator_subscription_charges WHERE subscription_id = ? ORDER BY created_at DESC"
+  ).all(subscriptionId);
+  return { ...formatSubscription(sub), plan: getSubscriptionPlan(db, sub.plan_id), charges };
+}
+
+export function getUserSubscriptions(db, subscriberId, { status } = {}) {
+  const rows = status
+    ? db.prepare("SELECT * FROM creator_subscriptions WHERE subscriber_id = ? AND status = ? ORDER BY created_at DESC").all(subscriberId, status)
+    : db.prepare("SELECT * FROM creator_subscriptions WHERE subscriber_id = ? ORDER BY created_at DESC").all(subscriberId);
+  return { ok: true, subscriptions: rows.map(formatSubscription) };
+}
+
+export function getCreatorSubscribers(db, creatorId) {
+  const rows = db.prepare(`
+    SELECT * FROM creator_subscriptions
+    WHERE creator_id = ? AND status IN ('active', 'past_due')
+    ORDER BY created_at DESC
+  `).all(creatorId);
+  return { ok: true, subscribers: rows.map(formatSubscription), count: rows.length };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RENEWAL SCHEDULER
+// ═══════════════════════════════════════════════════════════════════════════
+
+function endSubscription(db, sub, status, at) {
+  db.prepare(`
+    UPDATE creator_subscriptions
+    SET status = ?, cancel_at_period_end = 0, grace_until = NULL, ended_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(status, at, nowISO(), sub.id);
+  revokeDownloadRights(db, { sourceId: sub.id });
+}
+
+/**
+ * Attempt to renew one due subscription. The new period starts where the
+ * old one ended, so time spent in grace is not free.
+ */
+function renewSubscription(db, sub, plan, at) {
+  const periodStart = sub.current_period_end;
+  const periodEnd = addPeriod(periodStart, plan.period);
+  const creditApplied = round2(Math.min(sub.credit_balance || 0, plan.price));
+  const amount = round2(plan.price - creditApplied);
+
+  const doRenew = db.transaction(() => {
+    const charge = chargeSubscription(db, {
+      sub, plan, kind: "renewal", amount, creditApplied, periodStart, periodEnd,
+    });
+    db.prepare(`
+      UPDATE creator_subscriptions
+      SET status = 'active', current_period_start = ?, current_period_end = ?,
+        grace_until = NULL, failed_attempts = 0, credit_balance = credit_balance - ?, updated_at = ?
+      WHERE id = ?
+    `).run(periodStart, periodEnd, creditApplied, nowISO(), sub.id);
+    extendDownloadRights(db, { sourceId: sub.id, expiresAt: periodEnd });
+    return charge;
+  });
+
+  try {
+    return { ok: true, charge: doRenew() };
+  } catch (err) {
+    recordFailedCharge(db, { sub, kind: "renewal", amount, error: err.message, periodStart, periodEnd });
+
+    const graceUntil = sub.grace_until || toSqlTime(new Date(fromSqlTime(sub.current_period_end).getTime() + plan.grace_days * 86400000));
+    if (graceUntil <= at) {
+      endSubscription(db, sub, "expired", at);
+      return { ok: false, error: err.message, expired: true };
+    }
+
+    db.prepare(`
+      UPDATE creator_subscriptions
+      SET status = 'past_due', grace_until = ?, failed_attempts = failed_attempts + 1, updated_at = ?
+      WHERE id = ?
+    `).run(graceUntil, nowISO(), sub.id);
+    extendDownloadRights(db, { sourceId: sub.id, expiresAt: graceUntil });
+    return { ok: false, error: err.message, pastDue: true, graceUntil };
+  }
+}
+
+/**
+ * Process every subscription whose period has ended (called from the heartbeat).
+ *
+ *   cancel_at_period_end   → cancelled
+ *   plan archived          → expired
+ *   otherwise              → charge the next period; on failure past_due
+ *                            until grace_until, retried each run, then expired
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {string} [opts.now] — override the clock (ISO timestamp)
+ * @param {number} [opts.limit=500]
+ */
+export function processSubscriptionRenewals(db, { now, limit = 500 } = {}) {
+  const at = resolveNow(now);
+  const due = db.prepare(`
+    SELECT * FROM creator_subscriptions
+    WHERE status IN ('active', 'past_due') AND current_period_end <= ?
+    ORDER BY current_period_end ASC LIMIT ?
+  `).all(at, limit);
+
+  const summary = { processed: due.length, renewed: 0, pastDue: 0, expired: 0, cancelled: 0, errors: [] };
+
+  for (const sub of due) {
+    try {
+      const plan = loadPlan(db, sub.plan_id);
+      if (sub.cancel_at_period_end) {
+        endSubscription(db, sub, "cancelled", sub.current_period_end);
+        summary.cancelled++;
+        continue;
+      }
+      if (!plan || plan.status !== "active") {
+        endSubscription(db, sub, "expired", sub.current_period_end);
+        summary.expired++;
+        continue;
+      }
+
+      const result = renewSubscription(db, sub, plan, at);
+      if (result.ok) summary.renewed++;
+      else if (result.expired) summary.expired++;
+      else summary.pastDue++;
+    } catch (err) {
+      summary.errors.push({ subscriptionId: sub.id, error: err.message });
+    }
+  }
+
+  if (summary.processed > 0) {
+    economyAudit(db, {
+      action: "creator_subscription_renewals",
+      userId: "system",
+      details: { ...summary, errors: summary.errors.slice(0, 20) },
+    });
+  }
+
+  return { ok: summary.errors.length === 0, ...summary };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NEW RELEASES → DOWNLOAD RIGHTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Grant download rights for a newly released artifact to every live
+ * subscriber of a matching plan. Rights expire with the subscription
+ * period (or grace window) and are extended on renewal.
+ *
+ * Called from publishArtifact and, for series episodes, createFilmDTU.
+ *
+ * @returns {{ ok: boolean, granted: number }}
+ */
+export function grantReleaseToSubscribers(db, artifactId) {
+  try {
+    const artifact = db.prepare(
+      "SELECT id, creator_id, type, federation_tier FROM creative_artifacts WHERE id = ?"
+    ).get(artifactId);
+    if (!artifact) return { ok: false, error: "artifact_not_found", granted: 0 };
+
+    let seriesId = null;
+    try {
+      seriesId = db.prepare("SELECT series_id FROM film_dtus WHERE artifact_id = ? AND series_id IS NOT NULL").get(artifactId)?.series_id || null;
+    } catch {
+      // film tables may not exist yet
+    }
+
+    const plans = db.prepare(`
+      SELECT * FROM creator_subscription_plans
+      WHERE creator_id = ? AND status = 'active' AND (series_dtu_id IS NULL OR series_dtu_id = ?)
+    `).all(artifact.creator_id, seriesId).filter((plan) => {
+      const types = safeJsonParse(plan.included_types_json);
+      const tiers = safeJsonParse(plan.included_tiers_json);
+      return (types.length === 0 || types.includes(artifact.type))
+        && (tiers.length === 0 || tiers.includes(artifact.federation_tier));
+    });
+
+    let granted = 0;
+    for (const plan of plans) {
+      const subs = db.prepare(
+        "SELECT * FROM creator_subscriptions WHERE plan_id = ? AND status IN ('active', 'past_due')"
+      ).all(plan.id);
+      for (const sub of subs) {
+        const result = grantDownloadRights(db, {
+          artifactId,
+          userId: sub.subscriber_id,
+          sourceId: sub.id,
+          expiresAt: sub.status === "past_due" ? sub.grace_until : sub.current_period_end,
+        });
+        if (result.ok && !result.existing) granted++;
+      }
+    }
+    return { ok: true, granted };
+  } catch (err) {
+    // subscription tables may not exist yet
+    return { ok: false, error: err.message, granted: 0 };
+  }
+}
@@ -0,0 +1,435 @@
+// economy/double-entry.js
+// Double-entry projection of the Concord Coin ledger.
+//
+// The ledger stores single rows with from/to user IDs, and each writer
+// (transfer.js, fee-split.js, royalty-cascade.js, withdrawals.js) uses its own
+// leg shapes. This module expands every completed row into balanced
+// debit/credit postings against a chart of accounts, and builds the
+// journal, trial balance and general ledger reports from them. Nothing here
+// writes — the ledger remains the source of truth.
+//
+// Sign convention: wallet and fund accounts are credit-normal, so their
+// balance (credits − debits) equals getBalance() for the same account ID.
+//
+// Contra accounts used to balance single-sided rows:
+//   __STRIPE_CLEARING__     — fiat in (TOKEN_PURCHASE) and fiat out (WITHDRAWAL)
+//   __FEE_CLEARING__        — fee withheld on a debit leg, released by its FEE row
+//   __SETTLEMENT_SUSPENSE__ — one-sided legs with no external counterpart
+//   __TREASURY_USD__        — USD backing moved by coin-service mint/burn
+// Clearing accounts should net to zero; a persistent balance points at legs
+// that were recorded without their counterpart.
+
+import {
+  PLATFORM_ACCOUNT_ID,
+  RESERVES_ACCOUNT_ID,
+  OPERATING_ACCOUNT_ID,
+  PAYROLL_ACCOUNT_ID,
+  ESCROW_ACCOUNT_ID,
+} from "./fees.js";
+import { getTreasuryState } from "./coin-service.js";
+
+export const STRIPE_CLEARING_ACCOUNT_ID = "__STRIPE_CLEARING__";
+export const FEE_CLEARING_ACCOUNT_ID = "__FEE_CLEARING__";
+export const SETTLEMENT_SUSPENSE_ACCOUNT_ID = "__SETTLEMENT_SUSPENSE__";
+export const TREASURY_USD_ACCOUNT_ID = "__TREASURY_USD__";
+export const CONCORD_ACCOUNT_ID = "__CONCORD__";
+
+/**
+ * Chart of accounts. `match` maps ledger account IDs onto a chart account;
+ * wallet-style accounts aggregate many sub-accounts (one per user/emergent).
+ */
+export const CHART_OF_ACCOUNTS = Object.freeze([
+  { code: "1000", name: "Treasury USD",                 type: "asset",     normal: "debit",  match: (id) => id === TREASURY_USD_ACCOUNT_ID },
+  { code: "1010", name: "Stripe Clearing",              type: "asset",     normal: "debit",  match: (id) => id === STRIPE_CLEARING_ACCOUNT_ID },
+  { code: "2000", name: "User Wallets",                 type: "liability", normal: "credit", match: (id) => !id.startsWith("__") && !id.startsWith("emergent_") },
+  { code: "2100", name: "Emergent Operating Wallets",   type: "liability", normal: "credit", match: (id) => id.startsWith("emergent_op:") },
+  { code: "2110", name: "Emergent Reserve Accounts",    type: "liability", normal: "credit", match: (id) => id.startsWith("emergent_res:") },
+  { code: "2500", name: "Fee Clearing",                 type: "liability", normal: "credit", match: (id) => id === FEE_CLEARING_ACCOUNT_ID },
+  { code: "2600", name: "Escrow Holding",               type: "liability", normal: "credit", match: (id) => id === ESCROW_ACCOUNT_ID },
+  { code: "2900", name: "Settlement Suspense",          type: "liability", normal: "credit", match: (id) => id === SETTLEMENT_SUSPENSE_ACCOUNT_ID },
+  { code: "3000", name: "Platform Fee Pool",            type: "revenue",   normal: "credit", match: (id) => id === PLATFORM_ACCOUNT_ID },
+  { code: "3100", name: "Reserves Fund",                type: "equity",    normal: "credit", match: (id) => id === RESERVES_ACCOUNT_ID },
+  { code: "3110", name: "Operating Fund",               type: "equity",    normal: "credit", match: (id) => id === OPERATING_ACCOUNT_ID },
+  { code: "3120", name: "Payroll Fund",                 type: "equity",    normal: "credit", match: (id) => id === PAYROLL_ACCOUNT_ID },
+  { code: "3200", name: "Concord System Account",       type: "equity",    normal: "credit", match: (id) => id === CONCORD_ACCOUNT_ID },
+  { code: "3900", name: "Other Platform Accounts",      type: "equity",    normal: "credit", match: (id) => id.startsWith("__") },
+]);
+
+// Accounts whose balances are coins owed to participants (backed by treasury USD)
+const CIRCULATING_CODES = new Set(["2000", "2100", "2110", "2600"]);
+
+function toCents(x) {
+  return Math.round(Number(x || 0) * 100);
+}
+
+function fromCents(c) {
+  return c / 100;
+}
+
+function safeJsonParse(str) {
+  try { return JSON.parse(str); } catch { return {}; }
+}
+
+function toLedgerTime(value) {
+  if (!value) return null;
+  return String(value).replace("T", " ").replace("Z", "");
+}
+
+/**
+ * Resolve a ledger account ID to its chart account.
+ * @param {string} accountId
+ * @returns {{ code: string, name: string, type: string, normal: string }}
+ */
+export function classifyAccount(accountId) {
+  const id = String(accountId || "");
+  const chart = CHART_OF_ACCOUNTS.find((a) => a.match(id)) || CHART_OF_ACCOUNTS[CHART_OF_ACCOUNTS.length - 1];
+  return { code: chart.code, name: chart.name, type: chart.type, normal: chart.normal };
+}
+
+/**
+ * List the chart of accounts (without matcher functions).
+ */
+export function getChartOfAccounts() {
+  return CHART_OF_ACCOUNTS.map(({ code, name, type, normal }) => ({ code, name, type, normal }));
+}
+
+function posting(accountId, side, cents) {
+  const { code } = classifyAccount(accountId);
+  return { account: accountId, code, side, amountCents: cents };
+}
+
+/**
+ * Expand one ledger row into balanced postings.
+ *
+ * Rows with a sender debit the sender the gross amount and credit the
+ * recipient (or Stripe clearing for withdrawals) the net, with any
+ * difference credited to fee clearing. Rows without a sender credit the
+ * recipient the net against a contra account chosen by type and role.
+ *
+ * @param {object} row — raw economy_ledger row
+ * @returns {{ entryId: string, postings: object[], balanced: boolean }}
+ */
+export function expandLedgerRow(row) {
+  const metadata = row.metadata || safeJsonParse(row.metadata_json);
+  const amountCents = toCents(row.amount);
+  const netCents = toCents(row.net);
+  const postings = [];
+
+  if (row.from_user_id) {
+    postings.push(posting(row.from_user_id, "debit", amountCents));
+
+    const receiver = row.to_user_id
+      || (row.type === "WITHDRAWAL" ? STRIPE_CLEARING_ACCOUNT_ID : SETTLEMENT_SUSPENSE_ACCOUNT_ID);
+    postings.push(posting(receiver, "credit", netCents));
+
+    const withheld = amountCents - netCents;
+    if (withheld > 0) postings.push(posting(FEE_CLEARING_ACCOUNT_ID, "credit", withheld));
+    if (withheld < 0) postings.push(posting(SETTLEMENT_SUSPENSE_ACCOUNT_ID, "debit", -withheld));
+  } else {
+    let contra = SETTLEMENT_SUSPENSE_ACCOUNT_ID;
+    if (row.type === "TOKEN_PURCHASE") contra = STRIPE_CLEARING_ACCOUNT_ID;
+    else if (row.type === "FEE" && metadata.role === "fee") {
+      contra = metadata.sourceType === "TOKEN_PURCHASE" ? STRIPE_CLEARING_ACCOUNT_ID : FEE_CLEARING_ACCOUNT_ID;
+    }
+    postings.push(posting(contra, "debit", netCents));
+    postings.push(posting(row.to_user_id, "credit", netCents));
+  }
+
+  return {
+    entryId: row.id,
+    source: "ledger",
+    type: row.type,
+    refId: row.ref_id || null,
+    batchId: metadata.batchId || null,
+    role: metadata.role || null,
+    date: row.created_at,
+    postings,
+    balanced: isBalanced(postings),
+  };
+}
+
+/**
+ * Expand a coin-service treasury event (MINT/BURN) into postings.
+ * Mints move USD from Stripe clearing into the treasury; burns reverse that.
+ * Other event types (RECONCILE, DRIFT_ALERT) carry no postings.
+ */
+export function expandTreasuryEvent(event) {
+  const cents = toCents(event.amount);
+  let postings = [];
+  if (event.event_type === "MINT") {
+    postings = [
+      posting(TREASURY_USD_ACCOUNT_ID, "debit", cents),
+      posting(STRIPE_CLEARING_ACCOUNT_ID, "credit", cents),
+    ];
+  } else if (event.event_type === "BURN") {
+    postings = [
+      posting(STRIPE_CLEARING_ACCOUNT_ID, "debit", cents),
+      posting(TREASURY_USD_ACCOUNT_ID, "credit", cents),
+    ];
+  }
+  return {
+    entryId: event.id,
+    source: "treasury",
+    type: event.event_type,
+    refId: event.ref_id || null,
+    batchId: null,
+    role: null,
+    date: event.created_at,
+    postings,
+    balanced: isBalanced(postings),
+  };
+}
+
+function isBalanced(postings) {
+  let debits = 0;
+  let credits = 0;
+  for (const p of postings) {
+    if (p.side === "debit") debits += p.amountCents;
+    else credits += p.amountCents;
+  }
+  return debits === credits;
+}
+
+function formatEntry(entry) {
+  return {
+    ...entry,
+    postings: entry.postings.map((p) => ({
+      account: p.account,
+      code: p.code,
+      debit: p.side === "debit" ? fromCents(p.amountCents) : 0,
+      credit: p.side === "credit" ? fromCents(p.amountCents) : 0,
+    })),
+  };
+}
+
+/**
+ * Iterate all journal entries (ledger rows + treasury events) in time order.
+ * Only completed ledger rows are projected, matching getBalance().
+ */
+function* iterateEntries(db, { from, to } = {}) {
+  const fromTs = toLedgerTime(from);
+  const toTs = toLedgerTime(to);
+
+  let sql = "SELECT * FROM economy_ledger WHERE status = 'complete'";
+  const params = [];
+  if (fromTs) { sql += " AND created_at >= ?"; params.push(fromTs); }
+  if (toTs) { sql += " AND created_at <= ?"; params.push(toTs); }
+  sql += " ORDER BY created_at, rowid";
+
+  let treasuryEntries = [];
+  try {
+    let tsql = "SELECT * FROM treasury_events WHERE event_type IN ('MINT', 'BURN')";
+    const tparams = [];
+    if (fromTs) { tsql += " AND created_at >= ?"; tparams.push(fromTs); }
+    if (toTs) { tsql += " AND created_at <= ?"; tparams.push(toTs); }
+    tsql += " ORDER BY created_at";
+    treasuryEntries = db.prepare(tsql).all(...tparams).map(expandTreasuryEvent);
+  } catch {
+    // treasury_events table not present (pre-migration 008) — ledger only
+  }
+
+  // Stream ledger rows, interleaving the (much smaller) treasury event list by time
+  let j = 0;
+  for (const row of db.prepare(sql).iterate(...params)) {
+    const entry = expandLedgerRow(row);
+    while (j < treasuryEntries.length && treasuryEntries[j].date < entry.date) yield treasuryEntries[j++];
+    yield entry;
+  }
+  while (j < treasuryEntries.length) yield treasuryEntries[j++];
+}
+
+/**
+ * Get journal entries with their postings, oldest first.
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {string} [opts.from] — inclusive start timestamp
+ * @param {string} [opts.to] — inclusive end timestamp
+ * @param {number} [opts.limit=100]
+ * @param {number} [opts.offset=0]
+ * @returns {{ items: object[], total: number, unbalanced: number, limit: number, offset: number }}
+ */
+export function getJournal(db, { from, to, limit = 100, offset = 0 } = {}) {
+  const items = [];
+  let total = 0;
+  let unbalanced = 0;
+  for (const entry of iterateEntries(db, { from, to })) {
+    if (!entry.balanced) unbalanced++;
+    if (total >= offset && items.length < limit) items.push(formatEntry(entry));
+    total++;
+  }
+  return { items, total, unbalanced, limit, offset };
+}
+
+/**
+ * Trial balance: total debits and credits per chart account.
+ * With `detail`, each chart account also lists its sub-accounts.
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {string} [opts.asOf] — include entries up to this timestamp
+ * @param {boolean} [opts.detail=false]
+ * @returns {{ accounts: object[], totals: { debits: number, credits: number }, balanced: boolean, asOf: string|null }}
+ */
+export function getTrialBalance(db, { asOf, detail = false } = {}) {
+  const byAccount = new Map();
+
+  for (const entry of iterateEntries(db, { to: asOf })) {
+    for (const p of entry.postings) {
+      let acc = byAccount.get(p.account);
+      if (!acc) {
+        acc = { account: p.account, code: p.code, debitCents: 0, creditCents: 0 };
+        byAccount.set(p.account, acc);
+      }
+      if (p.side === "debit") acc.debitCents += p.amountCents;
+      else acc.creditCents += p.amountCents;
+    }
+  }
+
+  const byCode = new Map();
+  for (const acc of byAccount.values()) {
+    let row = byCode.get(acc.code);
+    if (!row) {
+      const chart = CHART_OF_ACCOUNTS.find((a) => a.code === acc.code);
+      row = { code: acc.code, name: chart.name, type: chart.type, normal: chart.normal, debitCents: 0, creditCents: 0, subaccounts: [] };
+      byCode.set(acc.code, row);
+    }
+    row.debitCents += acc.debitCents;
+    row.creditCents += acc.creditCents;
+    row.subaccounts.push(acc);
+  }
+
+  let totalDebits = 0;
+  let totalCredits = 0;
+  const accounts = [...byCode.values()]
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map((row) => {
+      totalDebits += row.debitCents;
+      totalCredits += row.creditCents;
+      const balanceCents = row.normal === "debit" ? row.debitCents - row.creditCents : row.creditCents - row.debitCents;
+      const out = {
+        code: row.code,
+        name: row.name,
+        type: row.type,
+        normal: row.normal,
+        debits: fromCents(row.debitCents),
+        credits: fromCents(row.creditCents),
+        balance: fromCents(balanceCents),
+        subaccountCount: row.subaccounts.length,
+      };
+      if (detail) {
+        out.subaccounts = row.subaccounts
+          .sort((a, b) => a.account.localeCompare(b.account))
+          .map((s) => ({
+            account: s.account,
+            debits: fromCents(s.debitCents),
+            credits: fromCents(s.creditCents),
+            balance: fromCents(row.normal === "debit" ? s.debitCents - s.creditCents : s.creditCents - s.debitCents),
+          }));
+      }
+      return out;
+    });
+
+  return {
+    accounts,
+    totals: { debits: fromCents(totalDebits), credits: fromCents(totalCredits) },
+    balanced: totalDebits === totalCredits,
+    asOf: asOf || null,
+  };
+}
+
+/**
+ * General ledger for one account: every posting with a running balance.
+ * `account` may be a ledger account ID ("alice", "__PLATFORM__") or a
+ * chart code ("2000") to cover all of its sub-accounts.
+ *
+ * @param {object} db
+ * @param {string} account
+ * @param {object} [opts]
+ * @returns {{ account: string, chart: object, openingBalance: number, closingBalance: number, items: object[], total: number, limit: number, offset: number }}
+ */
+export function getGeneralLedger(db, account, { from, to, limit = 100, offset = 0 } = {}) {
+  const isCode = CHART_OF_ACCOUNTS.some((a) => a.code === account);
+  const chart = isCode
+    ? getChartOfAccounts().find((a) => a.code === account)
+    : classifyAccount(account);
+  const matches = (p) => (isCode ? p.code === account : p.account === account);
+  const signed = (p) => ((p.side === chart.normal) ? p.amountCents : -p.amountCents);
+
+  const fromTs = toLedgerTime(from);
+  let openingCents = 0;
+  let runningCents = 0;
+  let total = 0;
+  const items = [];
+
+  for (const entry of iterateEntries(db, { to })) {
+    for (const p of entry.postings) {
+      if (!matches(p)) continue;
+      if (fromTs && entry.date < fromTs) {
+        openingCents += signed(p);
+        runningCents = openingCents;
+        continue;
+      }
+      runningCents += signed(p);
+      if (total >= offset && items.length < limit) {
+        items.push({
+          entryId: entry.entryId,
+          source: entry.source,
+          date: entry.date,
+          type: entry.type,
+          refId: entry.refId,
+          account: p.account,
+          debit: p.side === "debit" ? fromCents(p.amountCents) : 0,
+          credit: p.side === "credit" ? fromCents(p.amountCents) : 0,
+          runningBalance: fromCents(runningCents),
+        });
+      }
+      total++;
+    }
+  }
+
+  return {
+    account,
+    chart,
+    openingBalance: fromCents(openingCents),
+    closingBalance: fromCents(runningCents),
+    items,
+    total,
+    limit,
+    offset,
+  };
+}
+
+/**
+ * Per-account view of the treasury invariant: treasury USD must cover the
+ * coins held in every circulating account class (user wallets, emergent
+ * wallets, escrow). Complements coin-service verifyTreasuryInvariant().
+ * The treasury row is authoritative for USD; the journal's Treasury USD
+ * account is reported alongside it.
+ */
+export function verifyTreasuryInvariantByAccount(db, { asOf } = {}) {
+  const trial = getTrialBalance(db, { asOf });
+  const journalTreasuryUsd = trial.accounts.find((a) => a.code === "1000")?.balance || 0;
+  let treasuryUsd = journalTreasuryUsd;
+  try {
+    const state = getTreasuryState(db);
+    if (state) treasuryUsd = state.total_usd;
+  } catch {
+    // treasury table not present — fall back to the journal account
+  }
+  const circulating = trial.accounts.filter((a) => CIRCULATING_CODES.has(a.code));
+  const circulatingCents = circulating.reduce((s, a) => s + toCents(a.balance), 0);
+
+  return {
+    ok: true,
+    invariantHolds: trial.balanced && toCents(treasuryUsd) >= circulatingCents,
+    journalBalanced: trial.balanced,
+    treasuryUsd,
+    journalTreasuryUsd,
+    circulatingCoins: fromCents(circulatingCents),
+    accounts: circulating.map((a) => ({ code: a.code, name: a.name, balance: a.balance })),
+    clearing: trial.accounts
+      .filter((a) => a.code === "1010" || a.code === "2500" || a.code === "2900")
+      .map((a) => ({ code: a.code, name: a.name, balance: a.balance })),
+  };
+}
@@ -0,0 +1,725 @@
+// economy/escrow.js
+// Escrow with milestone releases for bounties and film crew contracts.
+//
+// Lifecycle:
+//   createEscrow         — payer's coins move into __ESCROW__ (ESCROW_LOCK)
+//   submitMilestone      — payee marks a milestone as delivered (optional)
+//   approveMilestone     — payer releases one milestone to the payee (ESCROW_RELEASE)
+//   refundEscrow         — unreleased milestones go back to the payer (ESCROW_REFUND)
+//   disputeEscrow        — freezes the escrow and opens a legal-liability dispute
+//   resolveEscrowDispute — admin releases or refunds the remainder
+//
+// Every movement is an executeTransfer with a deterministic refId
+// (escrow_lock:<escrowId>, escrow_release:<milestoneId>, escrow_refund:<milestoneId>)
+// written in the same SQLite transaction as the state change it belongs to.
+// The refIds make retries idempotent and let reconciliation match escrow
+// rows against the ledger (see sweepEscrows).
+
+import { randomUUID } from "crypto";
+import { executeTransfer } from "./transfer.js";
+import { checkRefIdProcessed } from "./ledger.js";
+import { getBalance } from "./balances.js";
+import { ESCROW_ACCOUNT_ID } from "./fees.js";
+import { economyAudit } from "./audit.js";
+import { openDispute, updateDisputeStatus } from "./legal-liability.js";
+
+export const ESCROW_STATUSES = Object.freeze(["FUNDED", "PARTIALLY_RELEASED", "DISPUTED", "RELEASED", "REFUNDED"]);
+export const MILESTONE_STATUSES = Object.freeze(["PENDING", "SUBMITTED", "RELEASED", "REFUNDED"]);
+
+const OPEN_STATUSES = ["FUNDED", "PARTIALLY_RELEASED"];
+const MAX_MILESTONES = 50;
+
+function uid(prefix = "esc") {
+  return `${prefix}_` + randomUUID().replace(/-/g, "").slice(0, 16);
+}
+
+function nowISO() {
+  return new Date().toISOString().replace("T", " ").replace("Z", "");
+}
+
+/** Normalise an ISO timestamp to the ledger's "YYYY-MM-DD HH:MM:SS.sss" form. */
+function toSqlTime(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return undefined;
+  return d.toISOString().replace("T", " ").replace("Z", "");
+}
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function fail(error, extra = {}) {
+  const err = new Error(error);
+  err.extra = extra;
+  return err;
+}
+
+function toMilestone(row) {
+  return {
+    id: row.id,
+    seq: row.seq,
+    title: row.title,
+    amount: row.amount,
+    status: row.status,
+    refId: row.ref_id,
+    evidence: JSON.parse(row.evidence_json || "[]"),
+    dueAt: row.due_at,
+    submittedAt: row.submitted_at,
+    settledAt: row.settled_at,
+  };
+}
+
+function toEscrow(row, milestones) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    subjectId: row.subject_id,
+    payerId: row.payer_id,
+    payeeId: row.payee_id,
+    amount: row.amount,
+    releasedAmount: row.released_amount,
+    refundedAmount: row.refunded_amount,
+    heldAmount: (toCents(row.amount) - toCents(row.released_amount) - toCents(row.refunded_amount)) / 100,
+    status: row.status,
+    lockRefId: row.lock_ref_id,
+    disputeId: row.dispute_id,
+    metadata: JSON.parse(row.metadata_json || "{}"),
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    closedAt: row.closed_at,
+    milestones: milestones.map(toMilestone),
+  };
+}
+
+function loadEscrowRow(db, escrowId) {
+  return db.prepare("SELECT * FROM escrows WHERE id = ?").get(escrowId) || null;
+}
+
+function loadMilestones(db, escrowId) {
+  return db.prepare("SELECT * FROM escrow_milestones WHERE escrow_id = ? ORDER BY seq").all(escrowId);
+}
+
+/**
+ * Validate milestone definitions against the escrow total.
+ * Without milestones the whole amount is a single "Completion" milestone.
+ */
+function normalizeMilestones(amount, milestones) {
+  if (!milestones || milestones.length === 0) {
+    return { ok: true, milestones: [{ title: "Completion", amount, dueAt: null }] };
+  }
+  if (!Array.isArray(milestones)) return { ok: false, error: "invalid_milestones" };
+  if (milestones.length > MAX_MILESTONES) return { ok: false, error: "too_many_milestones", max: MAX_MILESTONES };
+
+  const normalized = [];
+  let totalCents = 0;
+  for (const [i, m] of milestones.entries()) {
+    const cents = toCents(Number(m?.amount));
+    if (!Number.isFinite(cents) || cents <= 0) return { ok: false, error: "invalid_milestone_amount", index: i };
+    const dueAt = toSqlTime(m.dueAt);
+    if (dueAt === undefined) return { ok: false, error: "invalid_milestone_due_at", index: i };
+    totalCents += cents;
+    normalized.push({ title: String(m.title || `Milestone ${i + 1}`).slice(0, 200), amount: cents / 100, dueAt });
+  }
+
+  if (totalCents !== toCents(amount)) {
+    return { ok: false, error: "milestones_do_not_sum_to_amount", amount, milestoneTotal: totalCents / 100 };
+  }
+  return { ok: true, milestones: normalized };
+}
+
+/**
+ * Recompute an escrow's status and totals from its milestones.
+ * A disputed escrow stays DISPUTED until every milestone is settled.
+ */
+function refreshEscrow(db, escrowId) {
+  const escrow = loadEscrowRow(db, escrowId);
+  const milestones = loadMilestones(db, escrowId);
+
+  let releasedCents = 0;
+  let refundedCents = 0;
+  let open = 0;
+  for (const m of milestones) {
+    if (m.status === "RELEASED") releasedCents += toCents(m.amount);
+    else if (m.status === "REFUNDED") refundedCents += toCents(m.amount);
+    else open++;
+  }
+
+  let status;
+  if (open === 0) status = refundedCents > 0 ? "REFUNDED" : "RELEASED";
+  else if (escrow.status === "DISPUTED") status = "DISPUTED";
+  else status = releasedCents > 0 ? "PARTIALLY_RELEASED" : "FUNDED";
+
+  const now = nowISO();
+  db.prepare(`
+    UPDATE escrows SET status = ?, released_amount = ?, refunded_amount = ?, updated_at = ?,
+      closed_at = CASE WHEN ? THEN ? ELSE closed_at END
+    WHERE id = ?
+  `).run(status, releasedCents / 100, refundedCents / 100, now, open === 0 ? 1 : 0, now, escrowId);
+
+  return status;
+}
+
+/**
+ * Move one milestone's coins out of escrow — to the payee ("release") or
+ * back to the payer ("refund") — and mark it settled. Must run inside a
+ * transaction; throws on failure so the caller's transaction rolls back.
+ */
+function settleMilestone(db, escrow, milestone, direction, { requestId, ip, reason } = {}) {
+  const release = direction === "release";
+  const refId = `escrow_${direction}:${milestone.id}`;
+
+  const result = executeTransfer(db, {
+    from: ESCROW_ACCOUNT_ID,
+    to: release ? escrow.payee_id : escrow.payer_id,
+    amount: milestone.amount,
+    type: release ? "ESCROW_RELEASE" : "ESCROW_REFUND",
+    metadata: {
+      escrowId: escrow.id, milestoneId: milestone.id, kind: escrow.kind,
+      subjectId: escrow.subject_id, reason: reason || null,
+    },
+    refId,
+    requestId,
+    ip,
+    screen: false,
+  });
+  if (!result.ok) throw fail(result.error || `escrow_${direction}_failed`);
+
+  db.prepare(`
+    UPDATE escrow_milestones SET status = ?, ref_id = ?, settled_at = ?, updated_at = ? WHERE id = ?
+  `).run(release ? "RELEASED" : "REFUNDED", refId, nowISO(), nowISO(), milestone.id);
+
+  return { milestoneId: milestone.id, refId, amount: milestone.amount, fee: result.fee ?? 0 };
+}
+
+/**
+ * Mark the subject of an escrow as closed when its funds go back to the payer.
+ * Only bounties carry their own status; crew contracts are tracked on the escrow.
+ */
+function closeSubjectOnRefund(db, escrow, status) {
+  if (escrow.kind !== "bounty" || !escrow.subject_id) return;
+  db.prepare("UPDATE bounties SET status = ?, updated_at = ? WHERE id = ? AND status = 'OPEN'")
+    .run(status, nowISO(), escrow.subject_id);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CREATE / READ
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Lock coins from the payer into escrow.
+ *
+ * Safe to call inside another transaction (nested transactions become
+ * savepoints), so callers can create their own record atomically with it.
+ *
+ * @param {object} db — better-sqlite3 instance
+ * @param {object} opts
+ * @param {string} opts.kind — "bounty" | "crew_contract"
+ * @param {string} [opts.subjectId] — bounty id, film_crew id, ...
+ * @param {string} opts.payerId
+ * @param {string} [opts.payeeId] — may be assigned later (open bounties)
+ * @param {number} opts.amount
+ * @param {{ title: string, amount: number, dueAt?: string }[]} [opts.milestones]
+ * @param {string} [opts.expiresAt] — unreleased milestones are refunded after this
+ * @returns {{ ok: boolean, escrow?: object, error?: string }}
+ */
+export function createEscrow(db, {
+  kind, subjectId, payerId, payeeId, amount, milestones, expiresAt, metadata = {},
+  requestId, ip,
+}) {
+  if (!kind) return { ok: false, error: "missing_escrow_kind" };
+  if (!payerId) return { ok: false, error: "missing_payer_id" };
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    return { ok: false, error: "invalid_escrow_amount" };
+  }
+  if (payeeId && payeeId === payerId) return { ok: false, error: "payee_cannot_be_payer" };
+
+  const expires = toSqlTime(expiresAt);
+  if (expires === undefined) return { ok: false, error: "invalid_expires_at" };
+
+  const plan = normalizeMilestones(amount, milestones);
+  if (!plan.ok) return plan;
+
+  const { balance } = getBalance(db, payerId);
+  if (balance < amount) return { ok: false, error: "insufficient_balance", balance, required: amount };
+
+  const escrowId = uid("esc");
+  const lockRefId = `escrow_lock:${escrowId}`;
+  const now = nowISO();
+
+  const doCreate = db.transaction(() => {
+    const lock = executeTransfer(db, {
+      from: payerId,
+      to: ESCROW_ACCOUNT_ID,
+      amount,
+      type: "ESCROW_LOCK",
+      metadata: { escrowId, kind, subjectId: subjectId || null },
+      refId: lockRefId,
+      requestId,
+      ip,
+      screen: false,
+    });
+    if (!lock.ok) throw fail(lock.error || "escrow_lock_failed", { balance: lock.balance, required: lock.required });
+
+    db.prepare(`
+      INSERT INTO escrows (id, kind, subject_id, payer_id, payee_id, amount, status,
+        lock_ref_id, metadata_json, expires_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'FUNDED', ?, ?, ?, ?, ?)
+    `).run(escrowId, kind, subjectId || null, payerId, payeeId || null, amount,
+      lockRefId, JSON.stringify(metadata), expires, now, now);
+
+    const insertMilestone = db.prepare(`
+      INSERT INTO escrow_milestones (id, escrow_id, seq, title, amount, status, due_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'PENDING', ?, ?, ?)
+    `);
+    plan.milestones.forEach((m, i) => {
+      insertMilestone.run(uid("escm"), escrowId, i + 1, m.title, m.amount, m.dueAt, now, now);
+    });
+  });
+
+  try {
+    doCreate();
+  } catch (err) {
+    if (err.extra?.balance !== undefined) return { ok: false, error: err.message, ...err.extra };
+    return { ok: false, error: err.message };
+  }
+
+  economyAudit(db, {
+    action: "escrow_created",
+    userId: payerId,
+    amount,
+    requestId,
+    ip,
+    details: { escrowId, kind, subjectId: subjectId || null, payeeId: payeeId || null, milestones: plan.milestones.length },
+  });
+
+  return { ok: true, escrow: getEscrow(db, escrowId) };
+}
+
+/**
+ * Get an escrow with its milestones, or null.
+ */
+export function getEscrow(db, escrowId) {
+  const row = loadEscrowRow(db, escrowId);
+  if (!row) return null;
+  return toEscrow(row, loadMilestones(db, escrowId));
+}
+
+/**
+ * Get the most recent escrow attached to a subject (e.g. a bounty), or null.
+ */
+export function getEscrowBySubject(db, kind, subjectId) {
+  const row = db.prepare(
+    "SELECT id FROM escrows WHERE kind = ? AND subject_id = ? ORDER BY created_at DESC LIMIT 1"
+  ).get(kind, subjectId);
+  return row ? getEscrow(db, row.id) : null;
+}
+
+/**
+ * List escrows where a user is payer or payee.
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {string} [opts.userId]
+ * @param {"payer"|"payee"} [opts.role] — restrict to one side (default: either)
+ * @param {string} [opts.kind]
+ * @param {string} [opts.status]
+ */
+export function listEscrows(db, { userId, role, kind, status, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    if (role === "payer") { conditions.push("payer_id = ?"); params.push(userId); }
+    else if (role === "payee") { conditions.push("payee_id = ?"); params.push(userId); }
+    else { conditions.push("(payer_id = ? OR payee_id = ?)"); params.push(userId, userId); }
+  }
+  if (kind) { conditions.push("kind = ?"); params.push(kind); }
+  if (status) { conditions.push("status = ?"); params.push(status); }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const rows = db.prepare(`SELECT * FROM escrows ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+  const total = db.prepare(`SELECT COUNT(*) as c FROM escrows ${where}`).get(...params)?.c || 0;
+
+  return { items: rows.map((r) => toEscrow(r, loadMilestones(db, r.id))), total, limit, offset };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MILESTONES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Assign the payee of an escrow that was funded without one (open bounty).
+ */
+export function assignEscrowPayee(db, { escrowId, payerId, payeeId }) {
+  const escrow = loadEscrowRow(db, escrowId);
+  if (!escrow) return { ok: false, error: "escrow_not_found" };
+  if (escrow.payer_id !== payerId) return { ok: false, error: "only_payer_can_assign" };
+  if (!payeeId) return { ok: false, error: "missing_payee_id" };
+  if (payeeId === escrow.payer_id) return { ok: false, error: "payee_cannot_be_payer" };
+  if (escrow.payee_id) return { ok: false, error: "payee_already_assigned" };
+  if (escrow.status !== "FUNDED") return { ok: false, error: "escrow_not_open", status: escrow.status };
+
+  db.prepare("UPDATE escrows SET payee_id = ?, updated_at = ? WHERE id = ?").run(payeeId, nowISO(), escrowId);
+  return { ok: true, escrowId, payeeId };
+}
+
+/**
+ * Payee marks a milestone as delivered, with optional evidence
+ * (DTU ids, links). Submission does not move coins.
+ */
+export function submitMilestone(db, { escrowId, milestoneId, payeeId, evidence = [] }) {
+  const escrow = loadEscrowRow(db, escrowId);
+  if (!escrow) return { ok: false, error: "escrow_not_found" };
+  if (!escrow.payee_id || escrow.payee_id !== payeeId) return { ok: false, error: "only_payee_can_submit" };
+  if (!OPEN_STATUSES.includes(escrow.status)) return { ok: false, error: "escrow_not_open", status: escrow.status };
+
+  const milestone = db.prepare("SELECT * FROM escrow_milestones WHERE id = ? AND escrow_id = ?").get(milestoneId, escrowId);
+  if (!milestone) return { ok: false, error: "milestone_not_found" };
+  if (milestone.status !== "PENDING") return { ok: false, error: "milestone_not_pending", status: milestone.status };
+
+  const now = nowISO();
+  db.prepare(`
+    UPDATE escrow_milestones SET status = 'SUBMITTED', evidence_json = ?, submitted_at = ?, updated_at = ? WHERE id = ?
+  `).run(JSON.stringify(Array.isArray(evidence) ? evidence : [evidence]), now, now, milestoneId);
+
+  return { ok: true, escrowId, milestoneId, status: "SUBMITTED" };
+}
+
+/**
+ * Payer approves a milestone; its amount is released to the payee.
+ * Milestones may be approved in any order.
+ */
+export function approveMilestone(db, { escrowId, milestoneId, payerId, requestId, ip }) {
+  const escrow = loadEscrowRow(db, escrowId);
+  if (!escrow) return { ok: false, error: "escrow_not_found" };
+  if (escrow.payer_id !== payerId) return { ok: false, error: "only_payer_can_approve" };
+  if (!escrow.payee_id) return { ok: false, error: "payee_not_assigned" };
+  if (!OPEN_STATUSES.includes(escrow.status)) return { ok: false, error: "escrow_not_open", status: escrow.status };
+
+  const milestone = db.prepare("SELECT * FROM escrow_milestones WHERE id = ? AND escrow_id = ?").get(milestoneId, escrowId);
+  if (!milestone) return { ok: false, error: "milestone_not_found" };
+  if (milestone.status !== "PENDING" && milestone.status !== "SUBMITTED") {
+    return { ok: false, error: "milestone_already_settled", status: milestone.status };
+  }
+
+  const doApprove = db.transaction(() => {
+    const settled = settleMilestone(db, escrow, milestone, "release", { requestId, ip });
+    const status = refreshEscrow(db, escrowId);
+    return { settled, status };
+  });
+
+  let result;
+  try {
+    result = doApprove();
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  economyAudit(db, {
+    action: "escrow_milestone_released",
+    userId: payerId,
+    amount: milestone.amount,
+    requestId,
+    ip,
+    details: { escrowId, milestoneId, payeeId: escrow.payee_id, refId: result.settled.refId },
+  });
+
+  return { ok: true, escrowId, milestoneId, released: result.settled, status: result.status };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REFUNDS & EXPIRY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Refund every unreleased milestone to the payer.
+ *
+ * Allowed for the payee (handing the money back), for the payer while no
+ * payee has been assigned, and for system/admin callers with `force`.
+ * Disputed escrows can only be refunded with `force` or via resolveEscrowDispute.
+ *
+ * @returns {{ ok: boolean, refunded?: object[], status?: string, error?: string }}
+ */
+export function refundEscrow(db, { escrowId, actorId, reason, force = false, requestId, ip }) {
+  const escrow = loadEscrowRow(db, escrowId);
+  if (!escrow) return { ok: false, error: "escrow_not_found" };
+  if (escrow.status === "DISPUTED" && !force) return { ok: false, error: "escrow_disputed" };
+  if (escrow.status === "RELEASED" || escrow.status === "REFUNDED") {
+    return { ok: false, error: "escrow_closed", status: escrow.status };
+  }
+
+  const permitted = force
+    || (escrow.payee_id && actorId === escrow.payee_id)
+    || (!escrow.payee_id && actorId === escrow.payer_id);
+  if (!permitted) return { ok: false, error: "refund_not_permitted" };
+
+  const doRefund = db.transaction(() => {
+    const refunded = [];
+    for (const m of loadMilestones(db, escrowId)) {
+      if (m.status !== "PENDING" && m.status !== "SUBMITTED") continue;
+      refunded.push(settleMilestone(db, escrow, m, "refund", { requestId, ip, reason }));
+    }
+    const status = refreshEscrow(db, escrowId);
+    closeSubjectOnRefund(db, escrow, reason === "expired" ? "EXPIRED" : "CANCELLED");
+    return { refunded, status };
+  });
+
+  let result;
+  try {
+    result = doRefund();
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  const total = result.refunded.reduce((s, r) => s + toCents(r.amount), 0) / 100;
+  economyAudit(db, {
+    action: "escrow_refunded",
+    userId: actorId || "system",
+    amount: total,
+    requestId,
+    ip,
+    details: { escrowId, payerId: escrow.payer_id, reason: reason || null, milestones: result.refunded.length },
+  });
+
+  return { ok: true, escrowId, refunded: result.refunded, amount: total, status: result.status };
+}
+
+/**
+ * Refund all open escrows whose expiry has passed. Disputed escrows are
+ * left alone — their funds wait for the dispute outcome.
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {string} [opts.now] — override the clock (ISO timestamp)
+ * @param {number} [opts.limit=200]
+ * @returns {{ ok: boolean, expired: object[], errors: object[] }}
+ */
+export function expireEscrows(db, { now, limit = 200 } = {}) {
+  const cutoff = toSqlTime(now) || nowISO();
+  const due = db.prepare(`
+    SELECT id FROM escrows
+    WHERE status IN ('FUNDED', 'PARTIALLY_RELEASED') AND expires_at IS NOT NULL AND expires_at <= ?
+    ORDER BY expires_at ASC LIMIT ?
+  `).all(cutoff, limit);
+
+  const expired = [];
+  const errors = [];
+  for (const { id } of due) {
+    const result = refundEscrow(db, { escrowId: id, actorId: "system", reason: "expired", force: true });
+    if (result.ok) expired.push({ escrowId: id, amount: result.amount });
+    else errors.push({ escrowId: id, error: result.error });
+  }
+  return { ok: errors.length === 0, expired, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DISPUTES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Payer or payee disputes an escrow. Opens a "quality" dispute in the
+ * legal-liability flow and freezes releases, refunds and expiry until an
+ * admin resolves it.
+ */
+export function disputeEscrow(db, { escrowId, reporterId, milestoneId, description, evidence = [] }) {
+  const escrow = loadEscrowRow(db, escrowId);
+  if (!escrow) return { ok: false, error: "escrow_not_found" };
+  if (reporterId !== escrow.payer_id && reporterId !== escrow.payee_id) return { ok: false, error: "not_escrow_party" };
+  if (!escrow.payee_id) return { ok: false, error: "payee_not_assigned" };
+  if (!OPEN_STATUSES.includes(escrow.status)) return { ok: false, error: "escrow_not_open", status: escrow.status };
+  if (!description) return { ok: false, error: "missing_description" };
+
+  const doDispute = db.transaction(() => {
+    const dispute = openDispute(db, {
+      reporterId,
+      disputeType: "quality",
+      reportedContentId: escrowId,
+      reportedUserId: reporterId === escrow.payer_id ? escrow.payee_id : escrow.payer_id,
+      description,
+      evidence: [...(Array.isArray(evidence) ? evidence : [evidence]), { type: "escrow", escrowId, milestoneId: milestoneId || null }],
+    });
+    if (!dispute.ok) throw fail(dispute.error || "dispute_open_failed");
+
+    db.prepare("UPDATE escrows SET status = 'DISPUTED', dispute_id = ?, updated_at = ? WHERE id = ?")
+      .run(dispute.disputeId, nowISO(), escrowId);
+    return dispute;
+  });
+
+  let dispute;
+  try {
+    dispute = doDispute();
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  economyAudit(db, {
+    action: "escrow_disputed",
+    userId: reporterId,
+    details: { escrowId, disputeId: dispute.disputeId, milestoneId: milestoneId || null },
+  });
+
+  return { ok: true, escrowId, disputeId: dispute.disputeId, status: "DISPUTED" };
+}
+
+/**
+ * Settle a disputed escrow: every unsettled milestone is released to the
+ * payee or refunded to the payer, and the linked dispute is resolved.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} opts.escrowId
+ * @param {"release"|"refund"} opts.outcome
+ * @param {string} [opts.resolution] — free-text resolution stored on the dispute
+ * @param {string} [opts.actorId] — admin performing the resolution
+ */
+export function resolveEscrowDispute(db, { escrowId, outcome, resolution, actorId, requestId, ip }) {
+  if (outcome !== "release" && outcome !== "refund") return { ok: false, error: "invalid_outcome", valid: ["release", "refund"] };
+
+  const escrow = loadEscrowRow(db, escrowId);
+  if (!escrow) return { ok: false, error: "escrow_not_found" };
+  if (escrow.status !== "DISPUTED") return { ok: false, error: "escrow_not_disputed", status: escrow.status };
+
+  const doResolve = db.transaction(() => {
+    const settled = [];
+    for (const m of loadMilestones(db, escrowId)) {
+      if (m.status !== "PENDING" && m.status !== "SUBMITTED") continue;
+      settled.push(settleMilestone(db, escrow, m, outcome, { requestId, ip, reason: "dispute_resolution" }));
+    }
+    const status = refreshEscrow(db, escrowId);
+    if (outcome === "refund") closeSubjectOnRefund(db, escrow, "CANCELLED");
+
+    if (escrow.dispute_id) {
+      const updated = updateDisputeStatus(db, escrow.dispute_id, {
+        status: "resolved",
+        resolution: resolution || `escrow_${outcome}`,
+      });
+      if (!updated.ok) throw fail(updated.error || "dispute_update_failed");
+    }
+    return { settled, status };
+  });
+
+  let result;
+  try {
+    result = doResolve();
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+
+  const total = result.settled.reduce((s, r) => s + toCents(r.amount), 0) / 100;
+  economyAudit(db, {
+    action: "escrow_dispute_resolved",
+    userId: actorId || "system",
+    amount: total,
+    requestId,
+    ip,
+    details: { escrowId, disputeId: escrow.dispute_id, outcome, milestones: result.settled.length },
+  });
+
+  return { ok: true, escrowId, outcome, settled: result.settled, amount: total, status: result.status };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECONCILIATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function ledgerHasRef(db, refId) {
+  const existing = checkRefIdProcessed(db, refId);
+  return existing.exists && existing.entries.some((e) => e.status === "complete");
+}
+
+/**
+ * Find escrows whose state disagrees with the ledger, plus expired escrows
+ * still holding coins. Used by runReconciliation.
+ *
+ *   - expired open escrows                      → refunded (expired_escrow_refunded)
+ *   - escrow rows with no lock in the ledger    → flagged (escrow_lock_missing)
+ *   - settled milestones with no ledger entries → transfer re-driven with the
+ *                                                 same refId (escrow_settlement_redriven)
+ *   - DISPUTED escrows whose dispute was closed
+ *     outside resolveEscrowDispute              → flagged (escrow_dispute_closed_unsettled)
+ *
+ * @param {object} db
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun=false] — report only, move nothing
+ * @returns {{ actions: object[], errors: object[] }}
+ */
+export function sweepEscrows(db, { dryRun = false, now } = {}) {
+  const actions = [];
+  const errors = [];
+
+  try {
+    db.prepare("SELECT 1 FROM escrows LIMIT 1").get();
+  } catch {
+    // escrows table may not exist yet
+    return { actions, errors };
+  }
+
+  // Expired escrows still holding funds
+  if (dryRun) {
+    const due = db.prepare(`
+      SELECT id, expires_at FROM escrows
+      WHERE status IN ('FUNDED', 'PARTIALLY_RELEASED') AND expires_at IS NOT NULL AND expires_at <= ?
+      LIMIT 200
+    `).all(toSqlTime(now) || nowISO());
+    for (const e of due) actions.push({ type: "would_refund_expired_escrow", escrowId: e.id, expiresAt: e.expires_at });
+  } else {
+    const result = expireEscrows(db, { now });
+    for (const e of result.expired) actions.push({ type: "expired_escrow_refunded", ...e });
+    for (const e of result.errors) errors.push({ type: "escrow_expiry_failed", ...e });
+  }
+
+  // Escrow rows whose lock never reached the ledger
+  for (const e of db.prepare("SELECT id, lock_ref_id, amount FROM escrows ORDER BY created_at DESC LIMIT 500").all()) {
+    if (!ledgerHasRef(db, e.lock_ref_id)) {
+      actions.push({ type: "escrow_lock_missing", escrowId: e.id, refId: e.lock_ref_id, amount: e.amount });
+    }
+  }
+
+  // Settled milestones whose transfer is missing from the ledger
+  const settled = db.prepare(`
+    SELECT m.*, e.payer_id, e.payee_id, e.kind, e.subject_id
+    FROM escrow_milestones m JOIN escrows e ON e.id = m.escrow_id
+    WHERE m.status IN ('RELEASED', 'REFUNDED')
+    ORDER BY m.settled_at DESC LIMIT 500
+  `).all();
+  for (const m of settled) {
+    const refId = m.ref_id || `escrow_${m.status === "RELEASED" ? "release" : "refund"}:${m.id}`;
+    if (ledgerHasRef(db, refId)) continue;
+
+    if (dryRun) {
+      actions.push({ type: "would_redrive_escrow_settlement", escrowId: m.escrow_id, milestoneId: m.id, refId });
+      continue;
+    }
+    const release = m.status === "RELEASED";
+    const result = executeTransfer(db, {
+      from: ESCROW_ACCOUNT_ID,
+      to: release ? m.payee_id : m.payer_id,
+      amount: m.amount,
+      type: release ? "ESCROW_RELEASE" : "ESCROW_REFUND",
+      metadata: { escrowId: m.escrow_id, milestoneId: m.id, kind: m.kind, subjectId: m.subject_id, reason: "reconciliation" },
+      refId,
+      screen: false,
+    });
+    if (result.ok) actions.push({ type: "escrow_settlement_redriven", escrowId: m.escrow_id, milestoneId: m.id, refId });
+    else errors.push({ type: "escrow_redrive_failed", escrowId: m.escrow_id, milestoneId: m.id, error: result.error });
+  }
+
+  // Disputes closed without settling the escrow
+  try {
+    const orphaned = db.prepare(`
+      SELECT e.id, e.dispute_id, d.status as dispute_status
+      FROM escrows e JOIN disputes d ON d.id = e.dispute_id
+      WHERE e.status = 'DISPUTED' AND d.status IN ('resolved', 'dismissed')
+      LIMIT 100
+    `).all();
+    for (const e of orphaned) {
+      actions.push({ type: "escrow_dispute_closed_unsettled", escrowId: e.id, disputeId: e.dispute_id, disputeStatus: e.dispute_status });
+    }
+  } catch {
+    // disputes table may not exist yet
+  }
+
+  return { actions, errors };
+}
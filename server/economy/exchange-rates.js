@@ -0,0 +1,133 @@
+// economy/exchange-rates.js
+// Fiat exchange rates behind a pluggable provider.
+//
+// A provider is any object with a `name` and a `fetchRates()` that returns
+// (or resolves to) { base: "USD", asOf, rates: { EUR: 0.92, ... } }, rates
+// being units of currency per 1 USD. refreshExchangeRates() pulls from the
+// provider and caches the snapshot; every conversion reads the cache, so
+// pricing stays synchronous and keeps working if the provider goes down.
+//
+// The default provider is static: the JSON file at EXCHANGE_RATES_FILE, or
+// the snapshot bundled in lib/currency-constants.js. That is enough for
+// offline deployments; connected ones can setExchangeRateProvider() to
+// something live.
+
+import { readFileSync } from "fs";
+import {
+  SUPPORTED_CURRENCIES, BASE_CURRENCY, COUNTRY_CURRENCY, DEFAULT_EXCHANGE_RATES,
+} from "../lib/currency-constants.js";
+
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || "";
+
+/**
+ * Validate a rate snapshot. Unknown currencies are dropped; the base
+ * currency is always present at 1.
+ */
+export function validateRateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object" || !snapshot.rates || typeof snapshot.rates !== "object") {
+    return { ok: false, error: "invalid_rate_snapshot" };
+  }
+  if ((snapshot.base || BASE_CURRENCY) !== BASE_CURRENCY) return { ok: false, error: "unsupported_rate_base", base: snapshot.base };
+
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const [code, rate] of Object.entries(snapshot.rates)) {
+    const upper = code.toUpperCase();
+    if (!SUPPORTED_CURRENCIES[upper]) continue;
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+      return { ok: false, error: "invalid_rate", currency: upper };
+    }
+    rates[upper] = rate;
+  }
+  return { ok: true, snapshot: { base: BASE_CURRENCY, asOf: snapshot.asOf || null, rates } };
+}
+
+/**
+ * Static provider: a fixed snapshot, or a JSON file read on every fetch
+ * (so operators can swap the file and refresh without a restart).
+ */
+export function createStaticRateProvider({ filePath, rates } = {}) {
+  return {
+    name: filePath ? `static:${filePath}` : "static",
+    fetchRates() {
+      if (!filePath) return rates || DEFAULT_EXCHANGE_RATES;
+      return JSON.parse(readFileSync(filePath, "utf-8"));
+    },
+  };
+}
+
+let _provider = createStaticRateProvider({ filePath: EXCHANGE_RATES_FILE || undefined });
+let _snapshot = null;
+
+/**
+ * Swap the rate provider. The cached snapshot is kept until the next refresh.
+ */
+export function setExchangeRateProvider(provider) {
+  if (!provider || typeof provider.fetchRates !== "function") return { ok: false, error: "invalid_rate_provider" };
+  _provider = provider;
+  return { ok: true, provider: provider.name || "custom" };
+}
+
+/**
+ * Pull a fresh snapshot from the provider. On failure the previous
+ * snapshot stays in place.
+ */
+export async function refreshExchangeRates() {
+  try {
+    const checked = validateRateSnapshot(await _provider.fetchRates());
+    if (!checked.ok) return checked;
+    _snapshot = { ...checked.snapshot, provider: _provider.name || "custom", fetchedAt: new Date().toISOString() };
+    return { ok: true, provider: _snapshot.provider, asOf: _snapshot.asOf, currencies: Object.keys(_snapshot.rates).length };
+  } catch (err) {
+    return { ok: false, error: "rate_refresh_failed", detail: err.message };
+  }
+}
+
+/**
+ * The cached snapshot. Before the first refresh this loads the static
+ * provider synchronously (a live provider can't be awaited here), falling
+ * back to the bundled rates if that fails.
+ */
+export function getExchangeRates() {
+  if (_snapshot) return _snapshot;
+  let checked;
+  let provider = _provider.name || "custom";
+  try {
+    const raw = _provider.fetchRates();
+    if (raw && typeof raw.then !== "function") checked = validateRateSnapshot(raw);
+  } catch { /* fall through to bundled rates */ }
+  if (!checked?.ok) {
+    checked = validateRateSnapshot(DEFAULT_EXCHANGE_RATES);
+    provider = "bundled";
+  }
+  _snapshot = { ...checked.snapshot, provider, fetchedAt: new Date().toISOString() };
+  return _snapshot;
+}
+
+/**
+ * Local currency for an ISO country code (USD when unknown).
+ */
+export function currencyForCountry(countryCode) {
+  return COUNTRY_CURRENCY[String(countryCode || "").toUpperCase()] || BASE_CURRENCY;
+}
+
+export function normalizeCurrency(currency) {
+  const upper = String(currency || "").toUpperCase();
+  return SUPPORTED_CURRENCIES[upper] ? upper : null;
+}
+
+/**
+ * Convert USD cents to another currency.
+ * @returns {{ ok: boolean, currency: string, amount: number, minorAmount: number, rate: number, asOf: string|null }}
+ */
+export function convertUsdCents(usdCents, currency) {
+  const code = normalizeCurrency(currency);
+  if (!code) return { ok: false, error: "unsupported_currency", supported: Object.keys(SUPPORTED_CURRENCIES) };
+
+  const snapshot = getExchangeRates();
+  const rate = snapshot.rates[code];
+  if (!rate) return { ok: false, error: "rate_unavailable", currency: code };
+
+  const { minorUnits } = SUPPORTED_CURRENCIES[code];
+  const minorAmount = Math.round((usdCents / 100) * rate * 10 ** minorUnits);
+  return { ok: true, currency: code, amount: minorAmount / 10 ** minorUnits, minorAmount, rate, asOf: snapshot.asOf };
+}
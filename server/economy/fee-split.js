@@ -160,18 +160,23 @@ export function getFeeSplitBalances(db) {
 }
 
 /**
- * Get fee distribution history.
+ * Get fee distribution history, optionally within inclusive `from` / `to` bounds.
  */
-export function getFeeDistributions(db, { limit = 50, offset = 0 } = {}) {
+export function getFeeDistributions(db, { limit = 50, offset = 0, from, to } = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (from) { where += " AND created_at >= ?"; params.push(from); }
+  if (to) { where += " AND created_at <= ?"; params.push(to); }
+
   const items = db.prepare(`
-    SELECT * FROM fee_distributions ORDER BY created_at DESC LIMIT ? OFFSET ?
-  `).all(limit, offset);
+    SELECT * FROM fee_distributions ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
 
-  const total = db.prepare("SELECT COUNT(*) as c FROM fee_distributions").get()?.c || 0;
+  const total = db.prepare(`SELECT COUNT(*) as c FROM fee_distributions ${where}`).get(...params)?.c || 0;
 
   const totalDistributed = db.prepare(`
-    SELECT COALESCE(SUM(total_fee), 0) as total FROM fee_distributions
-  `).get()?.total || 0;
+    SELECT COALESCE(SUM(total_fee), 0) as total FROM fee_distributions ${where}
+  `).get(...params)?.total || 0;
 
   return {
     items,
@@ -8,6 +8,19 @@ export const FEES = {
   MARKETPLACE_PURCHASE: 0.04,
   EMERGENT_TRANSFER: 0.0146,
   ROYALTY_PAYOUT: 0,
+  // Escrow: locking and refunding are free; the fee is taken when a
+  // milestone is released to the payee, i.e. when coins change hands.
+  ESCROW_LOCK: 0,
+  ESCROW_RELEASE: 0.0146,
+  ESCROW_REFUND: 0,
+  // Creator subscriptions are priced like artifact sales (universal + marketplace);
+  // refunds of unused periods are free.
+  SUBSCRIPTION: 0.0546,
+  SUBSCRIPTION_REFUND: 0,
+  // Auction bids and offers hold coins in escrow; the fee is taken by the
+  // marketplace purchase when the sale settles.
+  AUCTION_HOLD: 0,
+  AUCTION_REFUND: 0,
   musicDistribution: 0.04,
   artDistribution: 0.04,
 };
@@ -27,6 +40,7 @@ export const PLATFORM_ACCOUNT_ID = "__PLATFORM__";
 export const RESERVES_ACCOUNT_ID = "__RESERVES__";
 export const OPERATING_ACCOUNT_ID = "__OPERATING__";
 export const PAYROLL_ACCOUNT_ID = "__PAYROLL__";
+export const ESCROW_ACCOUNT_ID = "__ESCROW__";
 
 /**
  * Calculate fee for a transaction type and amount.
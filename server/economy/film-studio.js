@@ -6,7 +6,7 @@
  *   - Preview system (first-5-min, trailer-cut, creator-selected-segment)
  *   - Component DTU decomposition (soundtrack, score, dialogue, etc.)
  *   - Series/episode containers and bundle pricing
- *   - Crew tagging and crew-created sellable DTUs
+ *   - Crew tagging, escrowed crew contracts, and crew-created sellable DTUs
  *   - Film-specific remix tracking with transformation validation
  *   - Preview analytics (drop-off, conversion)
  *   - Discovery ranking (public, auditable weights)
@@ -23,6 +23,9 @@
 import { randomUUID, createHash } from "crypto";
 import { registerCitation } from "./royalty-cascade.js";
 import { economyAudit } from "./audit.js";
+import { createEscrow, getEscrowBySubject } from "./escrow.js";
+import { screenTransaction } from "./fraud-engine.js";
+import { grantReleaseToSubscribers } from "./creator-subscriptions.js";
 import {
   FILM_DTU_TYPES, FILM_RESOLUTIONS, FILM_PREVIEW,
   FILM_REMIX_TYPES, FILM_REMIX_TYPE_IDS,
@@ -147,7 +150,10 @@ export function createFilmDTU(db, {
       }
     }
 
-    return { ok: true, filmDtuId: id, artifactId, filmType, createdAt: now };
+    // New episode of a series: series-scoped subscribers get it too
+    const subscriberGrants = seriesId ? grantReleaseToSubscribers(db, artifactId).granted : 0;
+
+    return { ok: true, filmDtuId: id, artifactId, filmType, subscriberGrants, createdAt: now };
   } catch (err) {
     console.error("[economy] film_dtu_creation_failed:", err.message);
     return { ok: false, error: "film_dtu_creation_failed" };
@@ -446,9 +452,16 @@ export function updateFilmComponent(db, componentId, creatorId, updates) {
 
 /**
  * Tag a crew member on a film DTU.
+ *
+ * An optional `contract` ({ amount, milestones?, expiresAt? }) locks the
+ * crew member's pay in escrow from the film creator. Milestones are released
+ * by the creator through the escrow endpoints; anything unreleased at
+ * expiry is refunded. A contract is fraud-screened as an "escrow"; a held
+ * crew member is tagged on approval.
  */
 export function addCrewMember(db, {
-  filmDtuId, creatorId, userId, role, displayName, revenueSharePct,
+  filmDtuId, creatorId, userId, role, displayName, revenueSharePct, contract,
+  requestId, ip, screen = true,
 }) {
   if (!filmDtuId || !userId || !role) {
     return { ok: false, error: "missing_required_fields" };
@@ -464,15 +477,47 @@ export function addCrewMember(db, {
   const share = revenueSharePct || 0;
   if (share < 0 || share > 50) return { ok: false, error: "revenue_share_out_of_range" };
 
+  if (contract && screen) {
+    const check = screenTransaction(db, {
+      action: "escrow", userId: creatorId, counterpartyId: userId, amount: contract.amount,
+      payload: { escrowKind: "crew_contract", filmDtuId, creatorId, userId, role, displayName, revenueSharePct, contract },
+    });
+    if (check.held) return check;
+  }
+
   const id = uid("crw");
-  try {
+  const doAdd = db.transaction(() => {
     db.prepare(`
       INSERT INTO film_crew (id, film_dtu_id, user_id, role, display_name, revenue_share_pct, created_at)
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `).run(id, filmDtuId, userId, role, displayName || null, share, nowISO());
 
-    return { ok: true, crewId: id, filmDtuId, userId, role };
+    if (!contract) return null;
+    const escrow = createEscrow(db, {
+      kind: "crew_contract",
+      subjectId: id,
+      payerId: creatorId,
+      payeeId: userId,
+      amount: contract.amount,
+      milestones: contract.milestones,
+      expiresAt: contract.expiresAt,
+      metadata: { filmDtuId, role },
+      requestId,
+      ip,
+    });
+    if (!escrow.ok) {
+      const err = new Error(escrow.error);
+      err.escrowResult = escrow;
+      throw err;
+    }
+    return escrow.escrow;
+  });
+
+  try {
+    const escrow = doAdd();
+    return { ok: true, crewId: id, filmDtuId, userId, role, escrow };
   } catch (err) {
+    if (err.escrowResult) return err.escrowResult;
     if (err.message?.includes("UNIQUE")) {
       return { ok: false, error: "crew_member_already_tagged" };
     }
@@ -504,10 +549,28 @@ export function removeCrewMember(db, crewId, creatorId) {
   if (!crew) return { ok: false, error: "crew_not_found" };
   if (crew.film_creator_id !== creatorId) return { ok: false, error: "not_film_creator" };
 
+  // Coins held for an unfinished crew contract must be released or refunded first
+  const contract = getCrewContract(db, crewId);
+  if (contract && ["FUNDED", "PARTIALLY_RELEASED", "DISPUTED"].includes(contract.status)) {
+    return { ok: false, error: "crew_contract_active", escrowId: contract.id, status: contract.status };
+  }
+
   db.prepare("DELETE FROM film_crew WHERE id = ?").run(crewId);
   return { ok: true, crewId };
 }
 
+/**
+ * Get the escrowed contract for a crew member, or null.
+ */
+export function getCrewContract(db, crewId) {
+  try {
+    return getEscrowBySubject(db, "crew_contract", crewId);
+  } catch {
+    // escrows table may not exist yet
+    return null;
+  }
+}
+
 /**
  * Create a crew-contributed DTU (by the crew member themselves).
  * Auto-cites the parent film.
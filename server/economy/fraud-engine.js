@@ -0,0 +1,495 @@
+// economy/fraud-engine.js
+// Rule-plus-score fraud screening for transfers, purchases, withdrawals and
+// royalty citations.
+//
+// Each rule inspects the ledger and returns zero or more signals, each
+// worth some points with a human-readable reason. Points add up to a
+// 0–100 score; at or above FRAUD_RULES.reviewThreshold the action is held
+// in economy_fraud_reviews instead of executing:
+//   transfer / marketplace_purchase / listing_purchase / artifact_purchase /
+//   dtu_purchase / tip / bid / offer / subscription / citation
+//     — the request payload is stored and replayed on approval
+//   withdrawal
+//     — the pending withdrawal is created but can't be approved until
+//       the review clears (rejecting the review rejects the withdrawal)
+//
+// The services screen themselves (executeTransfer, executeMarketplacePurchase,
+// completeListingSale, purchaseArtifact, tipContent, purchaseDTU, placeBid,
+// makeOffer, subscribe, changeSubscriptionPlan, requestWithdrawal), so every
+// route and lens that calls them is covered. They take `screen: false` when
+// the caller has already screened the action, when replaying an approved
+// review, or when they run inside the caller's transaction (a held review
+// would roll back with it).
+//
+// Rules:
+//   velocity            — bursts of outgoing transactions or daily volume
+//   circularFlow        — coins that would travel back to the sender
+//                         through other accounts (ledger graph cycles)
+//   repeatCounterparty  — many trades between the same two accounts
+//   newAccountCashout   — withdrawals from freshly active accounts
+//   citationFarming     — self-citation, citing accounts linked by ledger
+//                         flows, and citation bursts to one creator
+
+import { randomUUID } from "crypto";
+import { executeTransfer, executeMarketplacePurchase } from "./transfer.js";
+import { purchaseListing } from "./marketplace-service.js";
+import { purchaseArtifact } from "./creative-marketplace.js";
+import { tipContent, purchaseDTU, postBounty } from "./lens-economy-wiring.js";
+import { addCrewMember } from "./film-studio.js";
+import { placeBid, makeOffer } from "./marketplace-auctions.js";
+import { subscribe, changeSubscriptionPlan } from "./creator-subscriptions.js";
+import { registerCitation } from "./royalty-cascade.js";
+import { getBalance } from "./balances.js";
+import logger from "../logger.js";
+
+export const FRAUD_ACTIONS = Object.freeze([
+  "transfer", "marketplace_purchase", "listing_purchase", "artifact_purchase", "dtu_purchase",
+  "tip", "bid", "offer", "subscription", "escrow", "withdrawal", "citation",
+]);
+
+export const FRAUD_RULES = Object.freeze({
+  reviewThreshold: Number(process.env.FRAUD_REVIEW_THRESHOLD) || 50,
+  velocity: { windowMinutes: 10, maxCount: 10, points: 25, dailyAmount: 5000, dailyPoints: 20, dailyWithdrawals: 3 },
+  circularFlow: { windowDays: 7, maxDepth: 4, maxNodes: 500, points: 40 },
+  repeatCounterparty: { windowHours: 24, maxTrades: 3, points: 25 },
+  newAccountCashout: { minAgeDays: 7, points: 35, drainRatio: 0.8, drainPoints: 15 },
+  citationFarming: { selfPoints: 50, linkedPoints: 30, linkWindowDays: 30, burstCount: 5, burstHours: 24, burstPoints: 20 },
+});
+
+const PAYMENT_ACTIONS = new Set([
+  "transfer", "marketplace_purchase", "listing_purchase", "artifact_purchase", "dtu_purchase",
+  "tip", "bid", "offer", "subscription", "escrow",
+]);
+
+function uid(prefix = "frv") {
+  return `${prefix}_` + randomUUID().replace(/-/g, "").slice(0, 16);
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+function ago(now, ms) {
+  return toSqlTime(new Date(now.getTime() - ms));
+}
+
+function isSystemAccount(id) {
+  return !id || id.startsWith("__");
+}
+
+function resolveRules(overrides = {}) {
+  const rules = { reviewThreshold: overrides.reviewThreshold ?? FRAUD_RULES.reviewThreshold };
+  for (const key of Object.keys(FRAUD_RULES)) {
+    if (key !== "reviewThreshold") rules[key] = { ...FRAUD_RULES[key], ...(overrides[key] || {}) };
+  }
+  return rules;
+}
+
+// ── Ledger graph ─────────────────────────────────────────────────────────────
+
+/**
+ * Breadth-first search over recent ledger flows (payer → payee, system
+ * accounts excluded) for a path from `start` to `target` of at least
+ * `minHops` edges.
+ * @returns {string[]|null} the path, start first, or null
+ */
+export function findLedgerPath(db, { start, target, since, minHops = 1, maxDepth = 4, maxNodes = 500 }) {
+  const next = db.prepare(`
+    SELECT DISTINCT to_user_id as id FROM economy_ledger
+    WHERE from_user_id = ? AND to_user_id IS NOT NULL AND to_user_id NOT LIKE '\\_\\_%' ESCAPE '\\'
+      AND status = 'complete' AND created_at >= ?
+  `);
+
+  const parent = new Map([[start, null]]);
+  let frontier = [start];
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+    for (const node of frontier) {
+      for (const { id } of next.all(node, since)) {
+        if (id === target) {
+          if (depth + 1 < minHops) continue;
+          const path = [target];
+          for (let n = node; n !== null; n = parent.get(n)) path.unshift(n);
+          return path;
+        }
+        if (parent.has(id)) continue;
+        parent.set(id, node);
+        nextFrontier.push(id);
+        if (parent.size >= maxNodes) return null;
+      }
+    }
+    frontier = nextFrontier;
+  }
+  return null;
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+function velocityRule(db, ctx, cfg) {
+  const signals = [];
+  if (ctx.action === "withdrawal") {
+    const count = db.prepare(`
+      SELECT COUNT(*) as c FROM economy_withdrawals WHERE user_id = ? AND created_at >= ?
+    `).get(ctx.userId, ago(ctx.now, 86_400_000))?.c || 0;
+    if (count >= cfg.dailyWithdrawals) {
+      signals.push({ rule: "velocity", points: cfg.points, reason: `${count} withdrawal requests in 24 hours`, count });
+    }
+    return signals;
+  }
+
+  const recent = db.prepare(`
+    SELECT COUNT(*) as c FROM economy_ledger WHERE from_user_id = ? AND created_at >= ?
+  `).get(ctx.userId, ago(ctx.now, cfg.windowMinutes * 60_000))?.c || 0;
+  if (recent >= cfg.maxCount) {
+    signals.push({
+      rule: "velocity", points: cfg.points,
+      reason: `${recent} outgoing transactions in ${cfg.windowMinutes} minutes`, count: recent,
+    });
+  }
+
+  const daily = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as total FROM economy_ledger WHERE from_user_id = ? AND created_at >= ?
+  `).get(ctx.userId, ago(ctx.now, 86_400_000))?.total || 0;
+  if (daily + (ctx.amount || 0) >= cfg.dailyAmount) {
+    signals.push({
+      rule: "velocity", points: cfg.dailyPoints,
+      reason: `${daily + (ctx.amount || 0)} CC sent in 24 hours`, amount: daily + (ctx.amount || 0),
+    });
+  }
+  return signals;
+}
+
+function circularFlowRule(db, ctx, cfg) {
+  const since = ago(ctx.now, cfg.windowDays * 86_400_000);
+  let path = null;
+  // Paying someone back directly is normal; a cycle needs a third account
+  if (PAYMENT_ACTIONS.has(ctx.action) && ctx.counterpartyId && !isSystemAccount(ctx.counterpartyId)) {
+    const back = findLedgerPath(db, {
+      start: ctx.counterpartyId, target: ctx.userId, since, minHops: 2, maxDepth: cfg.maxDepth, maxNodes: cfg.maxNodes,
+    });
+    if (back) path = [ctx.userId, ...back];
+  } else if (ctx.action === "withdrawal") {
+    // Cashing out coins that left this account and came back around
+    path = findLedgerPath(db, {
+      start: ctx.userId, target: ctx.userId, since, minHops: 3, maxDepth: cfg.maxDepth, maxNodes: cfg.maxNodes,
+    });
+  }
+  if (!path) return [];
+  return [{ rule: "circularFlow", points: cfg.points, reason: `Funds cycle back to the sender: ${path.join(" → ")}`, path }];
+}
+
+function repeatCounterpartyRule(db, ctx, cfg) {
+  if (!PAYMENT_ACTIONS.has(ctx.action) || !ctx.counterpartyId) return [];
+  const trades = db.prepare(`
+    SELECT COUNT(*) as c FROM economy_ledger
+    WHERE ((from_user_id = ? AND to_user_id = ?) OR (from_user_id = ? AND to_user_id = ?))
+      AND created_at >= ?
+  `).get(ctx.userId, ctx.counterpartyId, ctx.counterpartyId, ctx.userId, ago(ctx.now, cfg.windowHours * 3_600_000))?.c || 0;
+  if (trades < cfg.maxTrades) return [];
+  return [{
+    rule: "repeatCounterparty", points: cfg.points,
+    reason: `${trades} transactions with ${ctx.counterpartyId} in ${cfg.windowHours} hours`, count: trades,
+  }];
+}
+
+function newAccountCashoutRule(db, ctx, cfg) {
+  if (ctx.action !== "withdrawal") return [];
+  const first = db.prepare(`
+    SELECT MIN(created_at) as t FROM economy_ledger WHERE to_user_id = ? OR from_user_id = ?
+  `).get(ctx.userId, ctx.userId)?.t;
+  if (!first) return [];
+  const ageDays = (ctx.now.getTime() - new Date(first.replace(" ", "T") + "Z").getTime()) / 86_400_000;
+  if (ageDays >= cfg.minAgeDays) return [];
+
+  const signals = [{
+    rule: "newAccountCashout", points: cfg.points,
+    reason: `Account first active ${ageDays.toFixed(1)} days ago`, ageDays: Math.round(ageDays * 10) / 10,
+  }];
+  const { balance } = getBalance(db, ctx.userId);
+  if (balance > 0 && ctx.amount >= balance * cfg.drainRatio) {
+    signals.push({
+      rule: "newAccountCashout", points: cfg.drainPoints,
+      reason: `Withdrawing ${Math.round((ctx.amount / balance) * 100)}% of the balance`,
+    });
+  }
+  return signals;
+}
+
+function citationFarmingRule(db, ctx, cfg) {
+  if (ctx.action !== "citation") return [];
+  const creator = ctx.userId;
+  const parentCreator = ctx.counterpartyId;
+  if (!parentCreator) return [];
+
+  if (creator === parentCreator) {
+    return [{ rule: "citationFarming", points: cfg.selfPoints, reason: "Creator cites their own work" }];
+  }
+
+  const signals = [];
+  const linked = db.prepare(`
+    SELECT COUNT(*) as c FROM economy_ledger
+    WHERE ((from_user_id = ? AND to_user_id = ?) OR (from_user_id = ? AND to_user_id = ?))
+      AND type NOT IN ('ROYALTY', 'ROYALTY_PAYOUT') AND created_at >= ?
+  `).get(creator, parentCreator, parentCreator, creator, ago(ctx.now, cfg.linkWindowDays * 86_400_000))?.c || 0;
+  if (linked > 0) {
+    signals.push({
+      rule: "citationFarming", points: cfg.linkedPoints,
+      reason: `Creator and cited creator exchanged coins ${linked} times in ${cfg.linkWindowDays} days`, count: linked,
+    });
+  }
+
+  try {
+    const burst = db.prepare(`
+      SELECT COUNT(*) as c FROM royalty_lineage WHERE creator_id = ? AND parent_creator = ? AND created_at >= ?
+    `).get(creator, parentCreator, ago(ctx.now, cfg.burstHours * 3_600_000))?.c || 0;
+    if (burst >= cfg.burstCount) {
+      signals.push({
+        rule: "citationFarming", points: cfg.burstPoints,
+        reason: `${burst} citations of ${parentCreator} in ${cfg.burstHours} hours`, count: burst,
+      });
+    }
+  } catch (_e) { logger.debug("fraud-engine", "royalty_lineage not available", { error: _e?.message }); }
+  return signals;
+}
+
+const RULES = [
+  ["velocity", velocityRule],
+  ["circularFlow", circularFlowRule],
+  ["repeatCounterparty", repeatCounterpartyRule],
+  ["newAccountCashout", newAccountCashoutRule],
+  ["citationFarming", citationFarmingRule],
+];
+
+// ── Scoring ──────────────────────────────────────────────────────────────────
+
+/**
+ * Score an action without side effects.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} opts.action — one of FRAUD_ACTIONS
+ * @param {string} opts.userId — the acting account (payer, withdrawer, citing creator)
+ * @param {string} [opts.counterpartyId] — payee, seller or cited creator
+ * @param {number} [opts.amount]
+ * @param {object} [opts.rules] — overrides for FRAUD_RULES
+ * @param {string|Date} [opts.now]
+ * @returns {{ ok: boolean, score: number, decision: "allow"|"review", signals: object[], explanation: string }}
+ */
+export function evaluateFraudRisk(db, { action, userId, counterpartyId, amount, rules, now } = {}) {
+  if (!FRAUD_ACTIONS.includes(action)) return { ok: false, error: "invalid_fraud_action", validActions: FRAUD_ACTIONS };
+  if (!userId) return { ok: false, error: "missing_user_id" };
+
+  const cfg = resolveRules(rules);
+  const ctx = { action, userId, counterpartyId, amount: Number(amount) || 0, now: now ? new Date(now) : new Date() };
+
+  // System accounts move coins on the platform's behalf and are never screened
+  if (isSystemAccount(userId)) {
+    return { ok: true, action, score: 0, decision: "allow", signals: [], explanation: "" };
+  }
+
+  const signals = [];
+  for (const [name, rule] of RULES) {
+    try {
+      signals.push(...rule(db, ctx, cfg[name]));
+    } catch (_e) {
+      logger.debug("fraud-engine", `rule ${name} skipped`, { error: _e?.message });
+    }
+  }
+
+  const score = Math.min(100, signals.reduce((s, sig) => s + sig.points, 0));
+  return {
+    ok: true,
+    action,
+    score,
+    decision: score >= cfg.reviewThreshold ? "review" : "allow",
+    signals,
+    explanation: signals.map((s) => s.reason).join("; "),
+  };
+}
+
+/**
+ * Score an action and, if it crosses the review threshold, hold it in the
+ * review queue. Callers execute the action only when this returns ok.
+ *
+ * @param {object} db
+ * @param {object} opts — evaluateFraudRisk options, plus:
+ * @param {object} [opts.payload] — arguments to replay the action on approval
+ * @param {string} [opts.subjectId] — the record the review gates (withdrawal ID)
+ * @returns {{ ok: boolean, score: number, error?: "held_for_review", reviewId?: string }}
+ */
+export function screenTransaction(db, { action, userId, counterpartyId, amount, payload = {}, subjectId, rules, now } = {}) {
+  const risk = evaluateFraudRisk(db, { action, userId, counterpartyId, amount, rules, now });
+  if (!risk.ok || risk.decision === "allow") return risk;
+
+  const id = uid();
+  const createdAt = toSqlTime(now ? new Date(now) : new Date());
+  try {
+    db.prepare(`
+      INSERT INTO economy_fraud_reviews (
+        id, action, user_id, counterparty_id, subject_id, amount, score, signals_json, payload_json,
+        status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).run(id, action, userId, counterpartyId || null, subjectId || null, amount ?? null, risk.score,
+      JSON.stringify(risk.signals), JSON.stringify(payload), createdAt, createdAt);
+  } catch (_e) {
+    // Review queue not migrated yet — score is still reported, nothing is held
+    logger.debug("fraud-engine", "review queue unavailable", { error: _e?.message });
+    return { ...risk, held: false };
+  }
+
+  return { ok: false, error: "held_for_review", held: true, reviewId: id, score: risk.score };
+}
+
+// ── Review queue ─────────────────────────────────────────────────────────────
+
+function formatReview(row) {
+  const signals = JSON.parse(row.signals_json || "[]");
+  return {
+    id: row.id,
+    action: row.action,
+    userId: row.user_id,
+    counterpartyId: row.counterparty_id,
+    subjectId: row.subject_id,
+    amount: row.amount,
+    score: row.score,
+    signals,
+    explanation: signals.map((s) => s.reason).join("; "),
+    payload: JSON.parse(row.payload_json || "{}"),
+    status: row.status,
+    result: row.result_json ? JSON.parse(row.result_json) : null,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNote: row.review_note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function getFraudReview(db, reviewId) {
+  const row = db.prepare("SELECT * FROM economy_fraud_reviews WHERE id = ?").get(reviewId);
+  return row ? formatReview(row) : null;
+}
+
+export function listFraudReviews(db, { status, action, userId, limit = 50, offset = 0 } = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (status) { where += " AND status = ?"; params.push(status); }
+  if (action) { where += " AND action = ?"; params.push(action); }
+  if (userId) { where += " AND user_id = ?"; params.push(userId); }
+
+  const rows = db.prepare(`
+    SELECT * FROM economy_fraud_reviews ${where} ORDER BY score DESC, created_at ASC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  const total = db.prepare(`SELECT COUNT(*) as c FROM economy_fraud_reviews ${where}`).get(...params)?.c || 0;
+  return { reviews: rows.map(formatReview), total, limit, offset };
+}
+
+/**
+ * Whether a pending review is holding the given record (e.g. a withdrawal).
+ * False when the review queue hasn't been migrated.
+ */
+export function hasOpenFraudReview(db, action, subjectId) {
+  try {
+    return !!db.prepare(`
+      SELECT 1 FROM economy_fraud_reviews WHERE action = ? AND subject_id = ? AND status = 'pending'
+    `).get(action, subjectId);
+  } catch {
+    return false;
+  }
+}
+
+function claimReview(db, reviewId) {
+  const row = db.prepare("SELECT * FROM economy_fraud_reviews WHERE id = ?").get(reviewId);
+  if (!row) return { ok: false, error: "fraud_review_not_found" };
+  if (row.status !== "pending") return { ok: false, error: "fraud_review_not_pending", currentStatus: row.status };
+  return { ok: true, row };
+}
+
+function finishReview(db, reviewId, { status, reviewerId, note, result }) {
+  const now = toSqlTime(new Date());
+  db.prepare(`
+    UPDATE economy_fraud_reviews
+    SET status = ?, result_json = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?, updated_at = ?
+    WHERE id = ?
+  `).run(status, result ? JSON.stringify(result) : null, reviewerId || null, now, note || null, now, reviewId);
+}
+
+function replay(db, review, { requestId, ip }) {
+  const p = review.payload;
+  const refId = `fraud_review:${review.id}`;
+  const approved = { requestId, ip, screen: false };
+  switch (review.action) {
+    case "transfer":
+      return executeTransfer(db, { ...p, refId, ...approved });
+    case "marketplace_purchase":
+      return executeMarketplacePurchase(db, { ...p, refId, ...approved });
+    case "listing_purchase":
+      return purchaseListing(db, { ...p, refId, ...approved });
+    case "artifact_purchase":
+      return purchaseArtifact(db, { ...p, ...approved });
+    case "dtu_purchase":
+      return purchaseDTU(db, { ...p, ...approved });
+    case "tip":
+      return tipContent(db, { ...p, ...approved });
+    case "bid":
+      return placeBid(db, { ...p, ...approved });
+    case "offer":
+      return makeOffer(db, { ...p, ...approved });
+    case "subscription":
+      return p.subscriptionId
+        ? changeSubscriptionPlan(db, { ...p, ...approved })
+        : subscribe(db, { ...p, ...approved });
+    case "escrow":
+      return p.escrowKind === "crew_contract"
+        ? addCrewMember(db, { ...p, ...approved })
+        : postBounty(db, { ...p, ...approved });
+    case "citation":
+      return registerCitation(db, p);
+    default:
+      // Withdrawals continue through the normal approval workflow
+      return { ok: true };
+  }
+}
+
+/**
+ * Approve a held action. Transfers, purchases, tips, bids, offers,
+ * subscriptions, escrow locks and citations are executed now, without being screened
+ * again (transfers and listing purchases are keyed on the review ID; only a
+ * pending review can be approved, so the rest run once); a withdrawal is
+ * released to the normal withdrawal approval step.
+ */
+export function approveFraudReview(db, { reviewId, reviewerId, note, requestId, ip }) {
+  const claim = claimReview(db, reviewId);
+  if (!claim.ok) return claim;
+  const review = formatReview(claim.row);
+
+  const result = replay(db, review, { requestId, ip });
+  const summary = result.ok
+    ? { ok: true, batchId: result.batchId, purchaseId: result.purchaseId, lineageId: result.lineageId }
+    : { ok: false, error: result.error };
+  finishReview(db, reviewId, { status: result.ok ? "approved" : "failed", reviewerId, note, result: summary });
+
+  return { ok: result.ok, review: getFraudReview(db, reviewId), result, ...(result.ok ? {} : { error: result.error }) };
+}
+
+/**
+ * Reject a held action. Nothing executes; a held withdrawal is rejected.
+ */
+export function rejectFraudReview(db, { reviewId, reviewerId, note }) {
+  const claim = claimReview(db, reviewId);
+  if (!claim.ok) return claim;
+
+  const doReject = db.transaction(() => {
+    if (claim.row.action === "withdrawal" && claim.row.subject_id) {
+      const now = toSqlTime(new Date());
+      db.prepare(`
+        UPDATE economy_withdrawals SET status = 'rejected', reviewed_by = ?, reviewed_at = ?, updated_at = ?
+        WHERE id = ? AND status = 'pending'
+      `).run(reviewerId || null, now, now, claim.row.subject_id);
+    }
+    finishReview(db, reviewId, { status: "rejected", reviewerId, note });
+  });
+  doReject();
+
+  return { ok: true, review: getFraudReview(db, reviewId) };
+}
@@ -16,7 +16,11 @@ export function registerEconomyEndpoints(app, db, opts = {}) {
 }
 
 // Re-export core modules for direct use by other server modules
-export { getBalance, hasSufficientBalance, getSystemBalanceSummary } from "./balances.js";
+export { getBalance, getLedgerBalance, hasSufficientBalance, getSystemBalanceSummary } from "./balances.js";
+export {
+  createBalanceCheckpoint, verifyBalances, runBalanceCheckpointCycle,
+  getLatestCheckpoint, getCheckpointHistory, verifyCheckpointSignature, CHECKPOINT_SIGNING_ENABLED,
+} from "./balance-checkpoints.js";
 export { calculateFee, FEES, PLATFORM_ACCOUNT_ID, FEE_SPLIT, UNIVERSAL_FEE_RATE } from "./fees.js";
 export { executeTransfer, executePurchase, executeMarketplacePurchase, executeReversal } from "./transfer.js";
 export { recordTransaction, recordTransactionBatch, getTransactions, generateTxId, checkRefIdProcessed } from "./ledger.js";
@@ -24,7 +28,9 @@ export { requestWithdrawal, processWithdrawal } from "./withdrawals.js";
 export { adminOnly, authRequired, requireAdmin, requireUser } from "./guards.js";
 export { economyAudit, auditCtx } from "./audit.js";
 export { validateAmount, validateBalance } from "./validators.js";
-export { STRIPE_ENABLED, createCheckoutSession, handleWebhook, createConnectOnboarding, getConnectStatus } from "./stripe.js";
+export {
+  STRIPE_ENABLED, createCheckoutSession, buildCheckoutPrice, handleWebhook, createConnectOnboarding, getConnectStatus, tokensToUsdCents,
+} from "./stripe.js";
 export {
   createPurchase, transitionPurchase, recordSettlement, getPurchase,
   getPurchaseByRefId, getUserPurchases, findPurchasesByStatus, getPurchaseHistory, TRANSITIONS,
@@ -36,6 +42,7 @@ export { mintCoins, burnCoins, getTreasuryState, verifyTreasuryInvariant, getTre
 export {
   calculateGenerationalRate, registerCitation, getAncestorChain, distributeRoyalties,
   getCreatorRoyalties, getContentRoyalties, getDescendants,
+  validateRoyaltyPolicy, declareRoyaltyPolicy, getRoyaltyPolicy, previewRoyalties,
   ROYALTY_FLOOR, DEFAULT_INITIAL_RATE, CONCORD_SYSTEM_ID,
 } from "./royalty-cascade.js";
 export {
@@ -46,9 +53,49 @@ export {
 export {
   createListing, purchaseListing, getListing, searchListings,
   delistListing, updateListingPrice, hashContent, generatePreview, checkWashTrading,
+  completeListingSale,
 } from "./marketplace-service.js";
+export {
+  AUCTION_KINDS, AUCTION_DEFAULTS,
+  createAuction, getAuction, listAuctions, listAuctionBids, placeBid, cancelAuction, settleAuction,
+  makeOffer, getOffer, listOffers, respondToOffer, withdrawOffer,
+  processMarketplaceAuctions,
+} from "./marketplace-auctions.js";
 export { distributeFee, getFeeSplitBalances, getFeeDistributions } from "./fee-split.js";
 export { runTreasuryReconciliation, getReconciliationHistory } from "./treasury-reconciliation.js";
+export {
+  CHART_OF_ACCOUNTS, classifyAccount, getChartOfAccounts, expandLedgerRow, expandTreasuryEvent,
+  getJournal, getTrialBalance, getGeneralLedger, verifyTreasuryInvariantByAccount,
+} from "./double-entry.js";
+export {
+  EXPORT_FORMATS, EXPORT_SCOPES, DEFAULT_EXPORT_TYPE_MAP, MAX_EXPORT_ROWS,
+  exportLedger, resolveTypeMap,
+} from "./ledger-export.js";
+export {
+  TAX_FORM_TYPES, TAX_PROFILE_WITHDRAWAL_THRESHOLD_USD,
+  validateTaxForm, saveTaxProfile, getTaxProfile, revealTaxProfile, checkWithdrawalTaxGate,
+} from "./tax-profiles.js";
+export {
+  TAX_THRESHOLDS, INCOME_CATEGORIES,
+  getAnnualStatement, getTaxThresholdReport, renderAnnualStatementPDF,
+} from "./tax-statements.js";
+export {
+  FRAUD_ACTIONS, FRAUD_RULES, findLedgerPath, evaluateFraudRisk, screenTransaction,
+  getFraudReview, listFraudReviews, hasOpenFraudReview, approveFraudReview, rejectFraudReview,
+} from "./fraud-engine.js";
+export {
+  validateRateSnapshot, createStaticRateProvider, setExchangeRateProvider, refreshExchangeRates,
+  getExchangeRates, currencyForCountry, normalizeCurrency, convertUsdCents,
+} from "./exchange-rates.js";
+export {
+  tokensToFiat, resolveBuyerLocation, setRegionalPriceTiers, getRegionalPriceTiers,
+  getRegionalPrice, localizePrice, localizeApiPricing,
+} from "./regional-pricing.js";
+export {
+  createEscrow, getEscrow, getEscrowBySubject, listEscrows, assignEscrowPayee,
+  submitMilestone, approveMilestone, refundEscrow, expireEscrows,
+  disputeEscrow, resolveEscrowDispute, sweepEscrows,
+} from "./escrow.js";
 
 // Creative Artifact Marketplace (Federation v1.2)
 export {
@@ -61,6 +108,13 @@ export {
   getArtifactCascadeEarnings, getCreatorCascadeEarnings,
   pauseArtifact, resumeArtifact, delistArtifact, updateArtifactPrice,
 } from "./creative-marketplace.js";
+export {
+  SUBSCRIPTION_PERIODS, SUBSCRIPTION_LIMITS, addPeriod,
+  createSubscriptionPlan, archiveSubscriptionPlan, getSubscriptionPlan, listCreatorPlans,
+  subscribe, cancelSubscription, resumeSubscription, changeSubscriptionPlan,
+  getSubscription, getUserSubscriptions, getCreatorSubscribers,
+  processSubscriptionRenewals, grantReleaseToSubscribers,
+} from "./creator-subscriptions.js";
 
 // Lens & Culture System (Federation v1.3)
 export {
@@ -107,6 +161,7 @@ export {
   storeInVault, getVaultEntry, incrementVaultRef, decrementVaultRef,
   cleanupUnreferencedArtifacts, getVaultStats,
   recordDownload, getUserDownloads, getArtifactDownloadCount, hasUserDownloaded,
+  checkDownloadRights, grantDownloadRights, extendDownloadRights, revokeDownloadRights,
   cacheInCRI, recordCRIServe, evictFromCRI, getCRICacheContents,
   getCRICacheStats, evictExpiredCRIEntries,
   getRegionalStats, getTopRegionalArtifacts,
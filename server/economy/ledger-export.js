@@ -0,0 +1,427 @@
+// economy/ledger-export.js
+// Export Concord Coin activity to standard accounting formats.
+//
+// Formats:
+//   csv — one row per transaction (lib/renderers/csv-renderer.js)
+//   ofx — OFX 2.2 bank statement, importable by most personal/small-business tools
+//   iif — QuickBooks IIF general-journal entries (TRNS/SPL/ENDTRNS)
+//
+// Scopes:
+//   user     — a wallet statement built from getTransactions; amounts are the
+//              wallet's postings in the double-entry projection, so totals agree
+//              with getBalance(). Royalty rows are annotated from getCreatorRoyalties.
+//   platform — fee revenue from getFeeDistributions, each fee split into the
+//              reserves / operating / payroll funds.
+//
+// Coin amounts are converted to USD at the Stripe checkout price
+// (tokensToUsdCents). Each ledger type maps to a bookkeeping category and an
+// OFX transaction type; callers may override the mapping per type.
+
+import { getTransactions } from "./ledger.js";
+import { getFeeDistributions } from "./fee-split.js";
+import { getCreatorRoyalties } from "./royalty-cascade.js";
+import { expandLedgerRow, getGeneralLedger, classifyAccount } from "./double-entry.js";
+import { tokensToUsdCents } from "./stripe.js";
+import {
+  PLATFORM_ACCOUNT_ID,
+  RESERVES_ACCOUNT_ID,
+  OPERATING_ACCOUNT_ID,
+  PAYROLL_ACCOUNT_ID,
+} from "./fees.js";
+import { renderCSV } from "../lib/renderers/csv-renderer.js";
+
+export const EXPORT_FORMATS = Object.freeze(["csv", "ofx", "iif"]);
+export const EXPORT_SCOPES = Object.freeze(["user", "platform"]);
+
+// Upper bound on rows per export; narrow the date range beyond this
+export const MAX_EXPORT_ROWS = 50_000;
+
+const PAGE_SIZE = 1000;
+
+const OFX_TRNTYPES = new Set([
+  "CREDIT", "DEBIT", "INT", "DIV", "FEE", "SRVCHG", "DEP", "ATM", "POS",
+  "XFER", "CHECK", "PAYMENT", "CASH", "DIRECTDEP", "DIRECTDEBIT", "REPEATPMT", "OTHER",
+]);
+
+/**
+ * Default mapping from ledger type to bookkeeping category (by direction of
+ * the money relative to the exported account) and OFX TRNTYPE. Types missing
+ * here fall back to "Other Income" / "Other Expenses".
+ */
+export const DEFAULT_EXPORT_TYPE_MAP = Object.freeze({
+  TOKEN_PURCHASE:       { in: "Concord Coin Purchases", out: "Concord Coin Purchases", ofx: "DEP" },
+  TRANSFER:             { in: "Transfers In", out: "Transfers Out", ofx: "XFER" },
+  MARKETPLACE_PURCHASE: { in: "Marketplace Sales", out: "Marketplace Purchases" },
+  WITHDRAWAL:           { in: "Withdrawals", out: "Withdrawals", ofx: "XFER" },
+  FEE:                  { in: "Fee Income", out: "Platform Fees", ofx: "FEE" },
+  REVERSAL:             { in: "Reversals", out: "Reversals" },
+  ROYALTY:              { in: "Royalty Income", out: "Royalties Paid" },
+  EMERGENT_TRANSFER:    { in: "Emergent Transfers", out: "Emergent Transfers", ofx: "XFER" },
+  ESCROW_LOCK:          { in: "Escrow Deposits", out: "Escrow Deposits", ofx: "XFER" },
+  ESCROW_RELEASE:       { in: "Contract Income", out: "Contract Payments" },
+  ESCROW_REFUND:        { in: "Escrow Refunds", out: "Escrow Refunds", ofx: "XFER" },
+  SUBSCRIPTION:         { in: "Subscription Income", out: "Subscriptions" },
+  SUBSCRIPTION_REFUND:  { in: "Subscription Refunds", out: "Subscription Refunds" },
+  AUCTION_HOLD:         { in: "Auction Holds", out: "Auction Holds", ofx: "XFER" },
+  AUCTION_REFUND:       { in: "Auction Holds", out: "Auction Holds", ofx: "XFER" },
+  FEE_REVENUE:          { in: "Fee Revenue", out: "Fee Revenue" },
+});
+
+const FALLBACK_CATEGORY = { in: "Other Income", out: "Other Expenses" };
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function toCents(x) {
+  return Math.round(Number(x || 0) * 100);
+}
+
+function fromCents(c) {
+  return c / 100;
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+/**
+ * Normalize a range bound to ledger time. A bare date covers the whole day;
+ * timestamps without a zone are UTC. Returns undefined when unparseable.
+ */
+function toLedgerTime(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return endOfDay ? `${s} 23:59:59.999` : `${s} 00:00:00.000`;
+  const zoned = /(Z|[+-]\d{2}:?\d{2})$/i.test(s);
+  const d = new Date(s.replace(" ", "T") + (zoned ? "" : "Z"));
+  return Number.isNaN(d.getTime()) ? undefined : toSqlTime(d);
+}
+
+function ledgerTimeToDate(ts) {
+  return new Date(String(ts).replace(" ", "T") + "Z");
+}
+
+/**
+ * Validate and merge a caller-supplied type map onto the defaults.
+ * A value may be a category string (both directions) or { in, out, ofx }.
+ */
+export function resolveTypeMap(overrides) {
+  if (overrides == null) return { ok: true, typeMap: DEFAULT_EXPORT_TYPE_MAP };
+  if (typeof overrides !== "object" || Array.isArray(overrides)) return { ok: false, error: "invalid_type_map" };
+
+  const typeMap = { ...DEFAULT_EXPORT_TYPE_MAP };
+  for (const [type, value] of Object.entries(overrides)) {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(type)) return { ok: false, error: "invalid_type_map", type };
+    if (typeof value === "string" && value.trim()) {
+      typeMap[type] = { ...typeMap[type], in: value.trim(), out: value.trim() };
+      continue;
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) return { ok: false, error: "invalid_type_map", type };
+    for (const key of Object.keys(value)) {
+      if (!["in", "out", "ofx"].includes(key)) return { ok: false, error: "invalid_type_map", type, field: key };
+      if (typeof value[key] !== "string" || !value[key].trim()) return { ok: false, error: "invalid_type_map", type, field: key };
+    }
+    if (value.ofx && !OFX_TRNTYPES.has(value.ofx)) return { ok: false, error: "invalid_ofx_type", type, ofx: value.ofx };
+    typeMap[type] = { ...typeMap[type], ...value };
+  }
+  return { ok: true, typeMap };
+}
+
+function categorize(typeMap, type, direction) {
+  const mapping = typeMap[type] || {};
+  return {
+    category: mapping[direction] || FALLBACK_CATEGORY[direction],
+    ofxType: mapping.ofx || (direction === "in" ? "CREDIT" : "DEBIT"),
+  };
+}
+
+/** Page through a reader that returns { items, total } until exhausted. */
+function collectAll(read) {
+  const items = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = read({ limit: PAGE_SIZE, offset });
+    items.push(...page.items);
+    if (items.length > MAX_EXPORT_ROWS) return null;
+    if (page.items.length < PAGE_SIZE) return items;
+  }
+}
+
+// ── Entry builders ───────────────────────────────────────────────────────────
+
+function buildUserEntries(db, userId, { from, to, typeMap }) {
+  const rows = collectAll((page) => getTransactions(db, userId, { ...page, from, to }));
+  if (!rows) return null;
+  const royalties = collectAll((page) => getCreatorRoyalties(db, userId, { ...page, from, to }));
+  if (!royalties) return null;
+  const royaltyByLedgerId = new Map(royalties.filter((r) => r.ledger_entry_id).map((r) => [r.ledger_entry_id, r]));
+
+  const entries = [];
+  for (const row of rows.reverse()) {
+    if (row.status !== "complete") continue;
+
+    // The wallet's side of the row in the double-entry projection
+    let signedCents = 0;
+    for (const p of expandLedgerRow(row).postings) {
+      if (p.account !== userId) continue;
+      signedCents += p.side === "credit" ? p.amountCents : -p.amountCents;
+    }
+    if (signedCents === 0) continue;
+
+    const direction = signedCents > 0 ? "in" : "out";
+    const { category, ofxType } = categorize(typeMap, row.type, direction);
+    const counterparty = direction === "out"
+      ? row.to_user_id || (row.type === "WITHDRAWAL" ? "Stripe" : "")
+      : row.from_user_id || (row.type === "TOKEN_PURCHASE" ? "Stripe" : "");
+
+    let memo = row.metadata?.description || row.metadata?.reason || "";
+    const royalty = royaltyByLedgerId.get(row.id);
+    if (royalty) {
+      memo = `Royalty on ${royalty.content_id} (generation ${royalty.generation}, rate ${royalty.royalty_rate})`;
+    }
+
+    entries.push({
+      id: row.id,
+      date: row.created_at,
+      type: row.type,
+      category,
+      ofxType,
+      direction,
+      amountCents: Math.abs(signedCents),
+      feeCents: direction === "out" ? Math.max(0, toCents(row.amount) - toCents(row.net)) : 0,
+      counterparty,
+      refId: row.ref_id || "",
+      memo,
+      splits: null,
+    });
+  }
+  return entries;
+}
+
+function buildPlatformEntries(db, { from, to, typeMap }) {
+  const distributions = collectAll((page) => getFeeDistributions(db, { ...page, from, to }));
+  if (!distributions) return null;
+
+  const { category, ofxType } = categorize(typeMap, "FEE_REVENUE", "in");
+  return distributions.reverse().map((d) => ({
+    id: d.id,
+    date: d.created_at,
+    type: "FEE_REVENUE",
+    category,
+    ofxType,
+    direction: "in",
+    amountCents: toCents(d.total_fee),
+    feeCents: 0,
+    counterparty: "",
+    refId: d.source_tx_id,
+    memo: `Fee on ${d.source_tx_id}`,
+    splits: [
+      { account: classifyAccount(RESERVES_ACCOUNT_ID).name, cents: toCents(d.reserves_amount) },
+      { account: classifyAccount(OPERATING_ACCOUNT_ID).name, cents: toCents(d.operating_amount) },
+      { account: classifyAccount(PAYROLL_ACCOUNT_ID).name, cents: toCents(d.payroll_amount) },
+    ],
+  }));
+}
+
+// ── Renderers ────────────────────────────────────────────────────────────────
+
+function usd(cents) {
+  return fromCents(tokensToUsdCents(fromCents(cents))).toFixed(2);
+}
+
+function renderCsvExport(entries, { scope }) {
+  const headers = [
+    "date", "transaction_id", "type", "category", "direction", "counterparty",
+    "amount_cc", "fee_cc", "amount_usd", "ref_id", "memo",
+  ];
+  if (scope === "platform") headers.push("reserves_cc", "operating_cc", "payroll_cc");
+
+  const rows = entries.map((e) => {
+    const signed = e.direction === "in" ? e.amountCents : -e.amountCents;
+    const row = [
+      e.date, e.id, e.type, e.category, e.direction, e.counterparty,
+      fromCents(signed).toFixed(2), fromCents(e.feeCents).toFixed(2),
+      (e.direction === "in" ? "" : "-") + usd(e.amountCents), e.refId, e.memo,
+    ];
+    if (scope === "platform") row.push(...e.splits.map((s) => fromCents(s.cents).toFixed(2)));
+    return row;
+  });
+  return renderCSV(headers, rows);
+}
+
+function ofxEscape(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function ofxDate(ts) {
+  const d = ledgerTimeToDate(ts);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`
+    + `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}.${pad(d.getUTCMilliseconds(), 3)}[0:GMT]`;
+}
+
+function renderOfxExport(entries, { accountId, from, to, closingCents, generatedAt }) {
+  const start = from || entries[0]?.date || generatedAt;
+  const end = to || generatedAt;
+  const transactions = entries.map((e) => {
+    const amount = (e.direction === "in" ? "" : "-") + usd(e.amountCents);
+    return [
+      "<STMTTRN>",
+      `<TRNTYPE>${e.ofxType}</TRNTYPE>`,
+      `<DTPOSTED>${ofxDate(e.date)}</DTPOSTED>`,
+      `<TRNAMT>${amount}</TRNAMT>`,
+      `<FITID>${ofxEscape(e.id)}</FITID>`,
+      `<NAME>${ofxEscape((e.counterparty || e.category).slice(0, 32))}</NAME>`,
+      `<MEMO>${ofxEscape([e.category, e.memo].filter(Boolean).join(" — ").slice(0, 255))}</MEMO>`,
+      "</STMTTRN>",
+    ].join("\n");
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    "<OFX>",
+    "<SIGNONMSGSRSV1><SONRS>",
+    "<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+    `<DTSERVER>${ofxDate(generatedAt)}</DTSERVER>`,
+    "<LANGUAGE>ENG</LANGUAGE>",
+    "</SONRS></SIGNONMSGSRSV1>",
+    "<BANKMSGSRSV1><STMTTRNRS>",
+    "<TRNUID>0</TRNUID>",
+    "<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+    "<STMTRS>",
+    "<CURDEF>USD</CURDEF>",
+    `<BANKACCTFROM><BANKID>CONCORD</BANKID><ACCTID>${ofxEscape(accountId)}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+    "<BANKTRANLIST>",
+    `<DTSTART>${ofxDate(start)}</DTSTART>`,
+    `<DTEND>${ofxDate(end)}</DTEND>`,
+    ...transactions,
+    "</BANKTRANLIST>",
+    `<LEDGERBAL><BALAMT>${(closingCents < 0 ? "-" : "") + usd(Math.abs(closingCents))}</BALAMT><DTASOF>${ofxDate(end)}</DTASOF></LEDGERBAL>`,
+    "</STMTRS>",
+    "</STMTTRNRS></BANKMSGSRSV1>",
+    "</OFX>",
+  ];
+  return Buffer.from(lines.join("\n") + "\n", "utf-8");
+}
+
+function iifField(s) {
+  return String(s ?? "").replace(/[\t\r\n]+/g, " ");
+}
+
+function iifDate(ts) {
+  const d = ledgerTimeToDate(ts);
+  return `${String(d.getUTCMonth() + 1).padStart(2, "0")}/${String(d.getUTCDate()).padStart(2, "0")}/${d.getUTCFullYear()}`;
+}
+
+function renderIifExport(entries, { walletAccount }) {
+  const columns = "TRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO";
+  const lines = [`!TRNS\t${columns}`, `!SPL\t${columns.replace("TRNSID", "SPLID")}`, "!ENDTRNS"];
+
+  for (const e of entries) {
+    const sign = e.direction === "in" ? 1 : -1;
+    const totalUsdCents = tokensToUsdCents(fromCents(e.amountCents));
+    const date = iifDate(e.date);
+    const line = (kind, account, usdCents) => [
+      kind, "", "GENERAL JOURNAL", date, iifField(account), iifField(e.counterparty),
+      fromCents(usdCents).toFixed(2), iifField(e.id), iifField(e.memo || e.category),
+    ].join("\t");
+
+    // Wallet side first, then the offsetting category (or fund splits)
+    lines.push(line("TRNS", walletAccount, sign * totalUsdCents));
+    if (e.splits) {
+      let remaining = totalUsdCents;
+      e.splits.forEach((s, i) => {
+        const cents = i === e.splits.length - 1 ? remaining : tokensToUsdCents(fromCents(s.cents));
+        remaining -= cents;
+        lines.push(line("SPL", `${e.category}:${s.account}`, -sign * cents));
+      });
+    } else {
+      lines.push(line("SPL", e.category, -sign * totalUsdCents));
+    }
+    lines.push("ENDTRNS");
+  }
+  return Buffer.from(lines.join("\r\n") + "\r\n", "utf-8");
+}
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ofx: "application/x-ofx",
+  iif: "application/x-iif",
+};
+
+// ── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Export ledger activity for a user or the platform.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} [opts.scope="user"] — user | platform
+ * @param {string} [opts.userId] — required for scope "user"
+ * @param {string} [opts.format="csv"] — csv | ofx | iif
+ * @param {string} [opts.from] — inclusive start (date or timestamp)
+ * @param {string} [opts.to] — inclusive end; a bare date covers the whole day
+ * @param {object} [opts.typeMap] — per-type category / OFX overrides
+ * @param {string|Date} [opts.now] — generation time (DTSERVER, default end of range)
+ * @returns {{ ok: boolean, format: string, contentType: string, filename: string, body: Buffer, entryCount: number, totals: object }}
+ */
+export function exportLedger(db, { scope = "user", userId, format = "csv", from, to, typeMap, now } = {}) {
+  if (!EXPORT_SCOPES.includes(scope)) return { ok: false, error: "invalid_scope", validScopes: EXPORT_SCOPES };
+  if (!EXPORT_FORMATS.includes(format)) return { ok: false, error: "invalid_format", validFormats: EXPORT_FORMATS };
+  if (scope === "user" && !userId) return { ok: false, error: "missing_user_id" };
+
+  const fromTs = toLedgerTime(from);
+  const toTs = toLedgerTime(to, { endOfDay: true });
+  if (fromTs === undefined || toTs === undefined || (fromTs && toTs && fromTs > toTs)) {
+    return { ok: false, error: "invalid_date_range" };
+  }
+
+  const mapping = resolveTypeMap(typeMap);
+  if (!mapping.ok) return mapping;
+
+  const entries = scope === "user"
+    ? buildUserEntries(db, userId, { from: fromTs, to: toTs, typeMap: mapping.typeMap })
+    : buildPlatformEntries(db, { from: fromTs, to: toTs, typeMap: mapping.typeMap });
+  if (!entries) return { ok: false, error: "export_too_large", maxRows: MAX_EXPORT_ROWS };
+
+  let inCents = 0;
+  let outCents = 0;
+  for (const e of entries) {
+    if (e.direction === "in") inCents += e.amountCents;
+    else outCents += e.amountCents;
+  }
+
+  const accountId = scope === "user" ? userId : PLATFORM_ACCOUNT_ID;
+  const generatedAt = toSqlTime(now ? new Date(now) : new Date());
+
+  let body;
+  if (format === "csv") {
+    body = renderCsvExport(entries, { scope });
+  } else if (format === "ofx") {
+    // Wallet statements close on the wallet balance; the platform statement on period revenue
+    const closingCents = scope === "user"
+      ? toCents(getGeneralLedger(db, userId, { to: toTs, limit: 0 }).closingBalance)
+      : inCents - outCents;
+    body = renderOfxExport(entries, { accountId, from: fromTs, to: toTs, closingCents, generatedAt });
+  } else {
+    const walletAccount = scope === "user" ? "Concord Coin Wallet" : `Concord Coin:${classifyAccount(PLATFORM_ACCOUNT_ID).name}`;
+    body = renderIifExport(entries, { walletAccount });
+  }
+
+  const range = [fromTs, toTs].map((t) => (t ? t.slice(0, 10) : "all")).join("_");
+  return {
+    ok: true,
+    scope,
+    format,
+    contentType: CONTENT_TYPES[format],
+    filename: `concord-${scope === "user" ? "statement" : "platform-fees"}-${range}.${format}`,
+    body,
+    entryCount: entries.length,
+    totals: {
+      in: fromCents(inCents),
+      out: fromCents(outCents),
+      net: fromCents(inCents - outCents),
+      inUsd: Number(usd(inCents)),
+      outUsd: Number(usd(outCents)),
+    },
+  };
+}
@@ -11,6 +11,16 @@
 //   REVERSAL             — Counter-entry for disputed or failed transactions
 //   ROYALTY              — Cascade royalty payout to ancestor creators
 //   EMERGENT_TRANSFER    — Operating wallet → Reserve account
+//   ESCROW_LOCK          — Payer → __ESCROW__ when an escrow is funded
+//   ESCROW_RELEASE       — __ESCROW__ → payee when a milestone is approved
+//   ESCROW_REFUND        — __ESCROW__ → payer on expiry, cancellation or dispute
+//   SUBSCRIPTION         — Subscriber → creator, one creator-subscription period
+//   SUBSCRIPTION_REFUND  — Creator → subscriber, unused part of a cancelled period
+//   AUCTION_HOLD         — Bidder → __ESCROW__ for an auction bid or listing offer
+//   AUCTION_REFUND       — __ESCROW__ → bidder when the bid/offer is released
+//
+// Materialized balances (economy_balances) are maintained by triggers on this
+// table, so every insert here updates them within the same transaction.
 
 import { randomUUID } from "crypto";
 
@@ -151,29 +161,28 @@ export function recordTransactionBatch(db, entries) {
 
 /**
  * Get all transactions for a user (both sent and received), most recent first.
+ * `from` / `to` are optional inclusive created_at bounds.
  */
-export function getTransactions(db, userId, { limit = 50, offset = 0, type } = {}) {
-  let sql = `
-    SELECT * FROM economy_ledger
-    WHERE (from_user_id = ? OR to_user_id = ?)
-  `;
+export function getTransactions(db, userId, { limit = 50, offset = 0, type, from, to } = {}) {
+  let where = "WHERE (from_user_id = ? OR to_user_id = ?)";
   const params = [userId, userId];
 
   if (type) {
-    sql += " AND type = ?";
+    where += " AND type = ?";
     params.push(type);
   }
+  if (from) {
+    where += " AND created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND created_at <= ?";
+    params.push(to);
+  }
 
-  sql += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
-  params.push(limit, offset);
-
-  const items = db.prepare(sql).all(...params);
-
-  const countSql = type
-    ? "SELECT COUNT(*) as c FROM economy_ledger WHERE (from_user_id = ? OR to_user_id = ?) AND type = ?"
-    : "SELECT COUNT(*) as c FROM economy_ledger WHERE (from_user_id = ? OR to_user_id = ?)";
-  const countParams = type ? [userId, userId, type] : [userId, userId];
-  const total = db.prepare(countSql).get(...countParams)?.c || 0;
+  const items = db.prepare(`SELECT * FROM economy_ledger ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+  const total = db.prepare(`SELECT COUNT(*) as c FROM economy_ledger ${where}`).get(...params)?.c || 0;
 
   return {
     items: items.map(parseRow),
@@ -5,9 +5,13 @@
 
 import { randomUUID } from "crypto";
 import { executeTransfer } from "./transfer.js";
+import { screenTransaction } from "./fraud-engine.js";
 import { recordTransaction, generateTxId } from "./ledger.js";
 import { registerCitation, distributeRoyalties } from "./royalty-cascade.js";
 import { getBalance } from "./balances.js";
+import {
+  createEscrow, getEscrow, getEscrowBySubject, assignEscrowPayee, approveMilestone,
+} from "./escrow.js";
 import logger from '../logger.js';
 
 function uid(prefix = "lew") {
@@ -25,16 +29,25 @@ function nowISO() {
 /**
  * Tip a piece of content (message, DTU, contribution) with CC.
  * Creates a TRANSFER ledger entry + a tip record for tracking.
+ * Fraud-screened as a "tip"; a held tip is replayed on approval.
  */
 export function tipContent(db, {
   tipperId, creatorId, contentId, contentType, lensId, amount,
-  requestId, ip,
+  requestId, ip, screen = true,
 }) {
   if (!tipperId || !creatorId) return { ok: false, error: "missing_user_ids" };
   if (!contentId) return { ok: false, error: "missing_content_id" };
   if (!amount || amount <= 0) return { ok: false, error: "invalid_tip_amount" };
   if (tipperId === creatorId) return { ok: false, error: "cannot_tip_self" };
 
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "tip", userId: tipperId, counterpartyId: creatorId, amount,
+      payload: { tipperId, creatorId, contentId, contentType, lensId, amount },
+    });
+    if (check.held) return check;
+  }
+
   const refId = `tip:${tipperId}:${contentId}:${Date.now()}`;
   const transferResult = executeTransfer(db, {
     from: tipperId,
@@ -50,6 +63,7 @@ export function tipContent(db, {
     refId,
     requestId,
     ip,
+    screen: false,
   });
 
   if (!transferResult.ok) return transferResult;
@@ -77,10 +91,16 @@ export function tipContent(db, {
 
 /**
  * Post a bounty (CC is escrowed).
+ *
+ * The bounty amount is locked in an escrow (see escrow.js). Without
+ * `milestones` the whole amount is one milestone released on claim;
+ * with milestones the poster approves each one after awarding the bounty.
+ * An `expiresAt` refunds whatever is still held once it passes.
+ * Fraud-screened as an "escrow"; a held bounty is posted on approval.
  */
 export function postBounty(db, {
-  posterId, title, description, lensId, amount, tags = [], expiresAt,
-  requestId, ip,
+  posterId, title, description, lensId, amount, tags = [], expiresAt, milestones,
+  requestId, ip, screen = true,
 }) {
   if (!posterId) return { ok: false, error: "missing_poster_id" };
   if (!amount || amount <= 0) return { ok: false, error: "invalid_bounty_amount" };
@@ -90,19 +110,27 @@ export function postBounty(db, {
   const { balance } = getBalance(db, posterId);
   if (balance < amount) return { ok: false, error: "insufficient_balance", balance, required: amount };
 
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "escrow", userId: posterId, amount,
+      payload: { escrowKind: "bounty", posterId, title, description, lensId, amount, tags, expiresAt, milestones },
+    });
+    if (check.held) return check;
+  }
+
   const bountyId = uid("bnt");
-  const refId = `bounty_escrow:${bountyId}`;
   const now = nowISO();
 
   const doPost = db.transaction(() => {
-    // Escrow: transfer from poster to escrow holding account
-    const escrowResult = executeTransfer(db, {
-      from: posterId,
-      to: "__ESCROW__",
+    // Escrow: lock the bounty amount from the poster
+    const escrowResult = createEscrow(db, {
+      kind: "bounty",
+      subjectId: bountyId,
+      payerId: posterId,
       amount,
-      type: "TRANSFER",
-      metadata: { subtype: "BOUNTY_ESCROW", bountyId },
-      refId,
+      milestones,
+      expiresAt,
+      metadata: { lensId: lensId || "questmarket" },
       requestId,
       ip,
     });
@@ -115,15 +143,19 @@ export function postBounty(db, {
       VALUES (?, ?, ?, ?, ?, ?, ?, 'OPEN', ?, ?, ?, ?)
     `).run(bountyId, posterId, title, description || "",
       lensId || "questmarket", amount, JSON.stringify(tags),
-      refId, expiresAt || null, now, now);
+      escrowResult.escrow.id, escrowResult.escrow.expiresAt, now, now);
 
-    return { bountyId };
+    return { bountyId, escrow: escrowResult.escrow };
   });
 
   try {
     const result = doPost();
     awardMeritCredit(db, posterId, "bounty_posted", 3, { bountyId, lensId });
-    return { ok: true, bounty: { id: result.bountyId, status: "OPEN", amount } };
+    return {
+      ok: true,
+      bounty: { id: result.bountyId, status: "OPEN", amount, escrowId: result.escrow.id },
+      milestones: result.escrow.milestones,
+    };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -131,6 +163,10 @@ export function postBounty(db, {
 
 /**
  * Claim a bounty — poster awards it to a claimer.
+ *
+ * The claimer becomes the escrow payee. A single-milestone bounty is paid
+ * out immediately; multi-milestone bounties are paid as the poster approves
+ * each milestone through the escrow endpoints.
  */
 export function claimBounty(db, {
   bountyId, claimerId, posterId, solutionDtuId,
@@ -142,22 +178,35 @@ export function claimBounty(db, {
   if (!bounty) return { ok: false, error: "bounty_not_found_or_closed" };
   if (bounty.poster_id !== posterId) return { ok: false, error: "only_poster_can_award" };
 
-  const refId = `bounty_claim:${bountyId}:${claimerId}`;
+  const escrow = getEscrowBySubject(db, "bounty", bountyId);
   const now = nowISO();
 
   const doClaim = db.transaction(() => {
-    // Release escrow to claimer
-    const releaseResult = executeTransfer(db, {
-      from: "__ESCROW__",
-      to: claimerId,
-      amount: bounty.amount,
-      type: "TRANSFER",
-      metadata: { subtype: "BOUNTY_CLAIM", bountyId, solutionDtuId },
-      refId,
-      requestId,
-      ip,
-    });
-    if (!releaseResult.ok) throw new Error(releaseResult.error || "claim_failed");
+    if (escrow) {
+      const assigned = assignEscrowPayee(db, { escrowId: escrow.id, payerId: posterId, payeeId: claimerId });
+      if (!assigned.ok) throw new Error(assigned.error);
+
+      if (escrow.milestones.length === 1) {
+        const released = approveMilestone(db, {
+          escrowId: escrow.id, milestoneId: escrow.milestones[0].id, payerId: posterId, requestId, ip,
+        });
+        if (!released.ok) throw new Error(released.error || "claim_failed");
+      }
+    } else {
+      // Bounties posted before escrow.js hold a single lump sum in __ESCROW__
+      const releaseResult = executeTransfer(db, {
+        from: "__ESCROW__",
+        to: claimerId,
+        amount: bounty.amount,
+        type: "TRANSFER",
+        metadata: { subtype: "BOUNTY_CLAIM", bountyId, solutionDtuId },
+        refId: `bounty_claim:${bountyId}:${claimerId}`,
+        requestId,
+        ip,
+        screen: false,
+      });
+      if (!releaseResult.ok) throw new Error(releaseResult.error || "claim_failed");
+    }
 
     // Update bounty status
     db.prepare(`
@@ -170,7 +219,11 @@ export function claimBounty(db, {
   try {
     doClaim();
     awardMeritCredit(db, claimerId, "bounty_claimed", 10, { bountyId });
-    return { ok: true, bounty: { id: bountyId, status: "CLAIMED", claimerId } };
+    return {
+      ok: true,
+      bounty: { id: bountyId, status: "CLAIMED", claimerId },
+      escrow: escrow ? getEscrow(db, escrow.id) : null,
+    };
   } catch (err) {
     return { ok: false, error: err.message };
   }
@@ -253,15 +306,24 @@ export function checkLoanEligibility(db, userId) {
 /**
  * Purchase a DTU from the marketplace.
  * Applies 95% creator / 5% platform split with royalty cascades.
+ * Fraud-screened as a "dtu_purchase"; a held purchase is replayed on approval.
  */
 export function purchaseDTU(db, {
   buyerId, dtuId, sellerId, amount, lensId,
-  requestId, ip,
+  requestId, ip, screen = true,
 }) {
   if (!buyerId || !sellerId || !dtuId) return { ok: false, error: "missing_ids" };
   if (!amount || amount <= 0) return { ok: false, error: "invalid_amount" };
   if (buyerId === sellerId) return { ok: false, error: "cannot_purchase_own" };
 
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "dtu_purchase", userId: buyerId, counterpartyId: sellerId, amount,
+      payload: { buyerId, dtuId, sellerId, amount, lensId },
+    });
+    if (check.held) return check;
+  }
+
   const refId = `dtu_purchase:${buyerId}:${dtuId}:${Date.now()}`;
 
   // Execute the marketplace transfer (fee calculation is built into executeTransfer)
@@ -274,6 +336,7 @@ export function purchaseDTU(db, {
     refId,
     requestId,
     ip,
+    screen: false,
   });
 
   if (!transferResult.ok) return transferResult;
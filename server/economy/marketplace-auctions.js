@@ -0,0 +1,755 @@
+// economy/marketplace-auctions.js
+// Auctions and offers on marketplace listings.
+//
+// Auction kinds:
+//   english — open ascending bids; each bid must beat the high bid by the
+//             minimum increment, the previous high bidder is refunded at once,
+//             and a bid inside the anti-sniping window pushes the close back
+//   sealed  — bids are hidden until close; each bidder has one live bid (a new
+//             bid replaces it), the highest bid wins and pays its own amount
+//
+// Offers: a buyer proposes a price below a fixed-price listing; the seller
+// accepts (sale at the offer amount) or rejects, or the offer expires.
+//
+// Every bid and offer holds the bidder's coins in __ESCROW__ (AUCTION_HOLD,
+// refId auction_hold:<bidId> / auction_hold:<offerId>). Holds are returned
+// with AUCTION_REFUND (auction_refund:<id>) when a bid is outbid, replaced or
+// loses, or an offer is rejected, withdrawn or expires. The winning hold is
+// returned too and the sale then runs through completeListingSale, so fees,
+// royalties and purchase records are identical to a fixed-price purchase.
+//
+// Due auctions are settled and stale offers expired by the heartbeat
+// (processMarketplaceAuctions).
+
+import { randomUUID } from "crypto";
+import { executeTransfer } from "./transfer.js";
+import { ESCROW_ACCOUNT_ID } from "./fees.js";
+import { economyAudit } from "./audit.js";
+import { completeListingSale, checkWashTrading } from "./marketplace-service.js";
+import { screenTransaction } from "./fraud-engine.js";
+
+export const AUCTION_KINDS = Object.freeze(["english", "sealed"]);
+
+export const AUCTION_DEFAULTS = Object.freeze({
+  DURATION_MINUTES: 24 * 60,
+  MIN_DURATION_MINUTES: 5,
+  MAX_DURATION_MINUTES: 30 * 24 * 60,
+  MIN_INCREMENT: 1,
+  SNIPE_WINDOW_SECONDS: 120,
+  EXTENSION_SECONDS: 120,
+  MAX_EXTENSIONS: 10,
+  OFFER_EXPIRY_HOURS: 72,
+  MAX_OFFER_EXPIRY_HOURS: 14 * 24,
+});
+
+function uid(prefix = "auc") {
+  return `${prefix}_` + randomUUID().replace(/-/g, "").slice(0, 16);
+}
+
+function nowISO() {
+  return new Date().toISOString().replace("T", " ").replace("Z", "");
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+function fromSqlTime(value) {
+  return new Date(String(value).replace(" ", "T") + "Z");
+}
+
+function resolveNow(now) {
+  return now ? toSqlTime(new Date(now)) : nowISO();
+}
+
+function addSeconds(sqlTime, seconds) {
+  return toSqlTime(new Date(fromSqlTime(sqlTime).getTime() + seconds * 1000));
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function fail(error, extra = {}) {
+  const err = new Error(error);
+  err.extra = extra;
+  return err;
+}
+
+function isAmount(n) {
+  return typeof n === "number" && Number.isFinite(n) && n >= 0.01;
+}
+
+function toAuction(row, { revealBids }) {
+  return {
+    id: row.id,
+    listingId: row.listing_id,
+    sellerId: row.seller_id,
+    kind: row.kind,
+    status: row.status,
+    startingPrice: row.starting_price,
+    hasReserve: row.reserve_price != null,
+    reserveMet: revealBids && row.reserve_price != null && row.high_bid_amount != null
+      ? row.high_bid_amount >= row.reserve_price
+      : null,
+    minIncrement: row.min_increment,
+    highBid: revealBids ? row.high_bid_amount : null,
+    bidCount: row.bid_count,
+    endsAt: row.ends_at,
+    originalEndsAt: row.original_ends_at,
+    extensions: row.extensions,
+    winnerId: row.winner_id,
+    winningAmount: row.winning_amount,
+    purchaseId: row.purchase_id,
+    closeReason: row.close_reason,
+    createdAt: row.created_at,
+    closedAt: row.closed_at,
+  };
+}
+
+function toBid(row) {
+  return {
+    id: row.id,
+    auctionId: row.auction_id,
+    bidderId: row.bidder_id,
+    amount: row.amount,
+    status: row.status,
+    holdRefId: row.hold_ref_id,
+    refundRefId: row.refund_ref_id,
+    createdAt: row.created_at,
+  };
+}
+
+function toOffer(row) {
+  return {
+    id: row.id,
+    listingId: row.listing_id,
+    buyerId: row.buyer_id,
+    sellerId: row.seller_id,
+    amount: row.amount,
+    message: row.message,
+    status: row.status,
+    holdRefId: row.hold_ref_id,
+    refundRefId: row.refund_ref_id,
+    purchaseId: row.purchase_id,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at,
+    respondedAt: row.responded_at,
+  };
+}
+
+function loadAuction(db, auctionId) {
+  return db.prepare("SELECT * FROM marketplace_auctions WHERE id = ?").get(auctionId) || null;
+}
+
+function loadListing(db, listingId) {
+  return db.prepare("SELECT * FROM marketplace_economy_listings WHERE id = ?").get(listingId) || null;
+}
+
+/**
+ * Hold a bidder's coins in escrow. Throws on failure (insufficient balance
+ * carries balance/required in err.extra).
+ */
+function holdCoins(db, { holdId, userId, amount, kind, subjectId, requestId, ip }) {
+  const refId = `auction_hold:${holdId}`;
+  const result = executeTransfer(db, {
+    from: userId,
+    to: ESCROW_ACCOUNT_ID,
+    amount,
+    type: "AUCTION_HOLD",
+    metadata: { kind, holdId, subjectId },
+    refId,
+    requestId,
+    ip,
+    screen: false,
+  });
+  if (!result.ok) {
+    throw fail(result.error || "hold_failed", result.error === "insufficient_balance"
+      ? { balance: result.balance, required: amount }
+      : {});
+  }
+  return refId;
+}
+
+/** Return held coins from escrow. Throws on failure. */
+function releaseHold(db, { holdId, userId, amount, kind, subjectId, reason, requestId, ip }) {
+  const refId = `auction_refund:${holdId}`;
+  const result = executeTransfer(db, {
+    from: ESCROW_ACCOUNT_ID,
+    to: userId,
+    amount,
+    type: "AUCTION_REFUND",
+    metadata: { kind, holdId, subjectId, reason },
+    refId,
+    requestId,
+    ip,
+    screen: false,
+  });
+  if (!result.ok) throw fail(result.error || "hold_release_failed");
+  return refId;
+}
+
+function refundBid(db, bid, status, ctx = {}) {
+  const refId = releaseHold(db, {
+    holdId: bid.id, userId: bid.bidder_id, amount: bid.amount,
+    kind: "bid", subjectId: bid.auction_id, reason: status, ...ctx,
+  });
+  db.prepare("UPDATE marketplace_bids SET status = ?, refund_ref_id = ?, updated_at = ? WHERE id = ?")
+    .run(status, refId, nowISO(), bid.id);
+  return refId;
+}
+
+function refundOffer(db, offer, status, ctx = {}) {
+  const refId = releaseHold(db, {
+    holdId: offer.id, userId: offer.buyer_id, amount: offer.amount,
+    kind: "offer", subjectId: offer.listing_id, reason: status, ...ctx,
+  });
+  const now = nowISO();
+  db.prepare(`
+    UPDATE marketplace_offers SET status = ?, refund_ref_id = ?, responded_at = ?, updated_at = ? WHERE id = ?
+  `).run(status, refId, now, now, offer.id);
+  return refId;
+}
+
+/**
+ * Reject the bid/offer if bidder and seller look like they are trading the
+ * same content back and forth (see checkWashTrading).
+ */
+function washTradingBlocked(db, { buyerId, sellerId, contentId }) {
+  const check = checkWashTrading(db, { accountA: buyerId, accountB: sellerId, contentId });
+  return check.flagged ? { ok: false, error: "wash_trading_suspected", tradeCount: check.tradeCount } : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Put an active listing up for auction. While the auction is open the
+ * listing can't be bought at its fixed price, delisted or receive offers.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} opts.listingId
+ * @param {string} opts.sellerId — must own the listing
+ * @param {string} [opts.kind="english"] — english | sealed
+ * @param {number} opts.startingPrice
+ * @param {number} [opts.reservePrice] — no sale below this (hidden from bidders)
+ * @param {number} [opts.minIncrement=1] — english only
+ * @param {number} [opts.durationMinutes=1440]
+ * @param {number} [opts.snipeWindowSeconds=120] — english: bids this close to the end extend it
+ * @param {number} [opts.extensionSeconds=120]
+ * @param {number} [opts.maxExtensions=10]
+ */
+export function createAuction(db, {
+  listingId, sellerId, kind = "english", startingPrice, reservePrice,
+  minIncrement = AUCTION_DEFAULTS.MIN_INCREMENT,
+  durationMinutes = AUCTION_DEFAULTS.DURATION_MINUTES,
+  snipeWindowSeconds = AUCTION_DEFAULTS.SNIPE_WINDOW_SECONDS,
+  extensionSeconds = AUCTION_DEFAULTS.EXTENSION_SECONDS,
+  maxExtensions = AUCTION_DEFAULTS.MAX_EXTENSIONS,
+  now,
+}) {
+  if (!AUCTION_KINDS.includes(kind)) return { ok: false, error: "invalid_auction_kind", validKinds: AUCTION_KINDS };
+  if (!isAmount(startingPrice)) return { ok: false, error: "invalid_starting_price" };
+  if (reservePrice != null && (!isAmount(reservePrice) || reservePrice < startingPrice)) {
+    return { ok: false, error: "invalid_reserve_price" };
+  }
+  if (!isAmount(minIncrement)) return { ok: false, error: "invalid_min_increment" };
+  if (!Number.isInteger(durationMinutes)
+    || durationMinutes < AUCTION_DEFAULTS.MIN_DURATION_MINUTES
+    || durationMinutes > AUCTION_DEFAULTS.MAX_DURATION_MINUTES) {
+    return {
+      ok: false, error: "invalid_duration",
+      min: AUCTION_DEFAULTS.MIN_DURATION_MINUTES, max: AUCTION_DEFAULTS.MAX_DURATION_MINUTES,
+    };
+  }
+  for (const [field, value] of Object.entries({ snipeWindowSeconds, extensionSeconds, maxExtensions })) {
+    if (!Number.isInteger(value) || value < 0) return { ok: false, error: "invalid_anti_sniping", field };
+  }
+
+  const listing = loadListing(db, listingId);
+  if (!listing || listing.status !== "active") return { ok: false, error: "listing_not_found_or_inactive" };
+  if (listing.seller_id !== sellerId) return { ok: false, error: "not_listing_seller" };
+  if (db.prepare("SELECT 1 FROM marketplace_auctions WHERE listing_id = ? AND status = 'open'").get(listingId)) {
+    return { ok: false, error: "auction_already_open" };
+  }
+  if (db.prepare("SELECT 1 FROM marketplace_offers WHERE listing_id = ? AND status = 'pending'").get(listingId)) {
+    return { ok: false, error: "listing_has_pending_offers" };
+  }
+
+  const id = uid("auc");
+  const start = resolveNow(now);
+  const endsAt = addSeconds(start, durationMinutes * 60);
+  db.prepare(`
+    INSERT INTO marketplace_auctions (
+      id, listing_id, seller_id, kind, status, starting_price, reserve_price, min_increment,
+      ends_at, original_ends_at, snipe_window_seconds, extension_seconds, max_extensions,
+      created_at, updated_at
+    ) VALUES (?, ?, ?, ?, 'open', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, listingId, sellerId, kind, round2(startingPrice), reservePrice != null ? round2(reservePrice) : null,
+    round2(minIncrement), endsAt, endsAt, snipeWindowSeconds, extensionSeconds, maxExtensions, start, start);
+
+  return { ok: true, auction: toAuction(loadAuction(db, id), { revealBids: true }) };
+}
+
+/**
+ * Get an auction. Sealed-bid amounts stay hidden until it closes.
+ */
+export function getAuction(db, auctionId) {
+  const row = loadAuction(db, auctionId);
+  if (!row) return null;
+  return toAuction(row, { revealBids: row.kind === "english" || row.status !== "open" });
+}
+
+export function listAuctions(db, { status = "open", sellerId, kind, limit = 50, offset = 0 } = {}) {
+  let sql = "SELECT * FROM marketplace_auctions WHERE 1=1";
+  const params = [];
+  if (status) { sql += " AND status = ?"; params.push(status); }
+  if (sellerId) { sql += " AND seller_id = ?"; params.push(sellerId); }
+  if (kind) { sql += " AND kind = ?"; params.push(kind); }
+
+  const total = db.prepare(sql.replace("SELECT *", "SELECT COUNT(*) as c")).get(...params)?.c || 0;
+  sql += " ORDER BY ends_at ASC LIMIT ? OFFSET ?";
+  params.push(limit, offset);
+
+  const items = db.prepare(sql).all(...params)
+    .map((row) => toAuction(row, { revealBids: row.kind === "english" || row.status !== "open" }));
+  return { items, total, limit, offset };
+}
+
+/**
+ * List bids on an auction. While a sealed auction is open, a viewer only
+ * sees their own bids.
+ */
+export function listAuctionBids(db, auctionId, { viewerId } = {}) {
+  const auction = loadAuction(db, auctionId);
+  if (!auction) return { ok: false, error: "auction_not_found" };
+
+  const hidden = auction.kind === "sealed" && auction.status === "open";
+  const rows = hidden
+    ? db.prepare("SELECT * FROM marketplace_bids WHERE auction_id = ? AND bidder_id = ? ORDER BY created_at DESC").all(auctionId, viewerId || "")
+    : db.prepare("SELECT * FROM marketplace_bids WHERE auction_id = ? ORDER BY amount DESC, created_at ASC").all(auctionId);
+  return { ok: true, auctionId, sealed: hidden, bids: rows.map(toBid) };
+}
+
+/**
+ * Place a bid. The amount is held in escrow immediately. The bid is
+ * fraud-screened against the seller first and held for review if risky.
+ *
+ * English: must reach the starting price and beat the high bid by the
+ * minimum increment; the previous high bid is refunded. A bid within the
+ * anti-sniping window moves the close to now + extensionSeconds (up to
+ * maxExtensions times).
+ *
+ * Sealed: must reach the starting price; the bidder's previous bid on this
+ * auction is refunded and replaced.
+ */
+export function placeBid(db, { auctionId, bidderId, amount, requestId, ip, now, screen = true }) {
+  if (!bidderId) return { ok: false, error: "missing_bidder_id" };
+  if (!isAmount(amount)) return { ok: false, error: "invalid_bid_amount" };
+  amount = round2(amount);
+
+  const auction = loadAuction(db, auctionId);
+  if (!auction) return { ok: false, error: "auction_not_found" };
+  const at = resolveNow(now);
+  if (auction.status !== "open" || at >= auction.ends_at) return { ok: false, error: "auction_closed" };
+  if (auction.seller_id === bidderId) return { ok: false, error: "cannot_bid_on_own_auction" };
+
+  const listing = loadListing(db, auction.listing_id);
+  const blocked = washTradingBlocked(db, { buyerId: bidderId, sellerId: auction.seller_id, contentId: listing?.content_id });
+  if (blocked) return blocked;
+
+  if (amount < auction.starting_price) {
+    return { ok: false, error: "bid_below_starting_price", minimum: auction.starting_price };
+  }
+  if (auction.kind === "english" && auction.high_bid_amount != null) {
+    const minimum = round2(auction.high_bid_amount + auction.min_increment);
+    if (amount < minimum) return { ok: false, error: "bid_too_low", minimum };
+  }
+
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "bid", userId: bidderId, counterpartyId: auction.seller_id, amount,
+      payload: { auctionId, bidderId, amount },
+    });
+    if (check.held) return check;
+  }
+
+  const bidId = uid("bid");
+  const doBid = db.transaction(() => {
+    const holdRefId = holdCoins(db, {
+      holdId: bidId, userId: bidderId, amount, kind: "bid", subjectId: auctionId, requestId, ip,
+    });
+    db.prepare(`
+      INSERT INTO marketplace_bids (id, auction_id, bidder_id, amount, status, hold_ref_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'held', ?, ?, ?)
+    `).run(bidId, auctionId, bidderId, amount, holdRefId, at, at);
+
+    // Refund the hold this bid supersedes
+    const superseded = auction.kind === "english"
+      ? db.prepare("SELECT * FROM marketplace_bids WHERE id = ? AND status = 'held'").get(auction.high_bid_id || "")
+      : db.prepare("SELECT * FROM marketplace_bids WHERE auction_id = ? AND bidder_id = ? AND status = 'held' AND id != ?").get(auctionId, bidderId, bidId);
+    if (superseded) {
+      refundBid(db, superseded, superseded.bidder_id === bidderId ? "replaced" : "outbid", { requestId, ip });
+    }
+
+    // Recompute the high bid from live holds (sealed: earliest wins a tie)
+    const high = db.prepare(`
+      SELECT id, amount FROM marketplace_bids WHERE auction_id = ? AND status = 'held'
+      ORDER BY amount DESC, created_at ASC, rowid ASC LIMIT 1
+    `).get(auctionId);
+
+    let endsAt = auction.ends_at;
+    let extended = false;
+    if (auction.kind === "english"
+      && auction.extensions < auction.max_extensions
+      && fromSqlTime(auction.ends_at).getTime() - fromSqlTime(at).getTime() <= auction.snipe_window_seconds * 1000) {
+      const pushed = addSeconds(at, auction.extension_seconds);
+      if (pushed > endsAt) { endsAt = pushed; extended = true; }
+    }
+
+    db.prepare(`
+      UPDATE marketplace_auctions
+      SET high_bid_id = ?, high_bid_amount = ?, bid_count = bid_count + 1, ends_at = ?,
+        extensions = extensions + ?, updated_at = ?
+      WHERE id = ?
+    `).run(high.id, high.amount, endsAt, extended ? 1 : 0, nowISO(), auctionId);
+
+    return { extended, endsAt, outbid: superseded && superseded.bidder_id !== bidderId ? superseded.bidder_id : null };
+  });
+
+  let outcome;
+  try {
+    outcome = doBid();
+  } catch (err) {
+    return { ok: false, error: err.message, ...(err.extra || {}) };
+  }
+
+  economyAudit(db, {
+    action: "marketplace_bid_placed",
+    userId: bidderId,
+    amount,
+    requestId, ip,
+    details: { auctionId, bidId, kind: auction.kind, extended: outcome.extended },
+  });
+
+  return {
+    ok: true,
+    bidId,
+    auctionId,
+    amount,
+    endsAt: outcome.endsAt,
+    extended: outcome.extended,
+    auction: getAuction(db, auctionId),
+  };
+}
+
+/**
+ * Cancel an open auction that has no bids yet.
+ */
+export function cancelAuction(db, { auctionId, sellerId }) {
+  const auction = loadAuction(db, auctionId);
+  if (!auction) return { ok: false, error: "auction_not_found" };
+  if (auction.seller_id !== sellerId) return { ok: false, error: "not_auction_seller" };
+  if (auction.status !== "open") return { ok: false, error: "auction_not_open", status: auction.status };
+  if (auction.bid_count > 0) return { ok: false, error: "auction_has_bids" };
+
+  const now = nowISO();
+  db.prepare(`
+    UPDATE marketplace_auctions SET status = 'cancelled', close_reason = 'cancelled_by_seller', closed_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(now, now, auctionId);
+  return { ok: true, auctionId, status: "cancelled" };
+}
+
+function closeWithoutSale(db, auction, reason, at, ctx) {
+  const held = db.prepare("SELECT * FROM marketplace_bids WHERE auction_id = ? AND status = 'held'").all(auction.id);
+  for (const bid of held) refundBid(db, bid, "lost", ctx);
+  db.prepare(`
+    UPDATE marketplace_auctions SET status = 'no_sale', close_reason = ?, closed_at = ?, updated_at = ? WHERE id = ?
+  `).run(reason, at, nowISO(), auction.id);
+  return { auctionId: auction.id, status: "no_sale", reason, refunded: held.length };
+}
+
+/**
+ * Close an auction whose end time has passed.
+ *
+ *   no bids / reserve not met / listing gone → no_sale, every hold refunded
+ *   otherwise → losing holds refunded, the winner's hold returned and the
+ *               listing sold to the winner at the winning bid; listing → sold
+ */
+export function settleAuction(db, { auctionId, now, requestId, ip }) {
+  const auction = loadAuction(db, auctionId);
+  if (!auction) return { ok: false, error: "auction_not_found" };
+  if (auction.status !== "open") return { ok: false, error: "auction_not_open", status: auction.status };
+  const at = resolveNow(now);
+  if (at < auction.ends_at) return { ok: false, error: "auction_not_ended", endsAt: auction.ends_at };
+
+  const ctx = { requestId, ip };
+  const winner = db.prepare(`
+    SELECT * FROM marketplace_bids WHERE auction_id = ? AND status = 'held'
+    ORDER BY amount DESC, created_at ASC, rowid ASC LIMIT 1
+  `).get(auctionId);
+  const listing = loadListing(db, auction.listing_id);
+
+  let reason = null;
+  if (!winner) reason = "no_bids";
+  else if (auction.reserve_price != null && winner.amount < auction.reserve_price) reason = "reserve_not_met";
+  else if (!listing || listing.status !== "active") reason = "listing_unavailable";
+
+  if (reason) {
+    const result = db.transaction(() => closeWithoutSale(db, auction, reason, at, ctx))();
+    economyAudit(db, { action: "marketplace_auction_closed", userId: auction.seller_id, details: result, ...ctx });
+    return { ok: true, ...result };
+  }
+
+  const doSettle = db.transaction(() => {
+    const losers = db.prepare(
+      "SELECT * FROM marketplace_bids WHERE auction_id = ? AND status = 'held' AND id != ?"
+    ).all(auctionId, winner.id);
+    for (const bid of losers) refundBid(db, bid, "lost", ctx);
+
+    // Winner's hold goes back to them and the sale debits it as a normal purchase
+    refundBid(db, winner, "won", ctx);
+    const sale = completeListingSale(db, {
+      listing, buyerId: winner.bidder_id, amount: winner.amount,
+      refId: `auction:${auctionId}`, source: "auction", ...ctx, screen: false,
+    });
+    if (!sale.ok) throw fail(sale.error || "auction_sale_failed");
+
+    db.prepare("UPDATE marketplace_economy_listings SET status = 'sold', updated_at = ? WHERE id = ?")
+      .run(nowISO(), listing.id);
+    db.prepare(`
+      UPDATE marketplace_auctions
+      SET status = 'settled', winner_id = ?, winning_amount = ?, purchase_id = ?, close_reason = 'sold',
+        closed_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(winner.bidder_id, winner.amount, sale.purchaseId, at, nowISO(), auctionId);
+
+    return { sale, refunded: losers.length };
+  });
+
+  try {
+    const { sale, refunded } = doSettle();
+    economyAudit(db, {
+      action: "marketplace_auction_settled",
+      userId: winner.bidder_id,
+      amount: winner.amount,
+      txId: sale.batchId,
+      details: { auctionId, listingId: listing.id, sellerId: auction.seller_id, purchaseId: sale.purchaseId, refunded },
+      ...ctx,
+    });
+    return {
+      ok: true, auctionId, status: "settled", winnerId: winner.bidder_id, amount: winner.amount,
+      purchaseId: sale.purchaseId, refunded,
+    };
+  } catch (err) {
+    // The sale rolled back with everything else; release every hold instead
+    const result = db.transaction(() => closeWithoutSale(db, auction, "settlement_failed", at, ctx))();
+    economyAudit(db, {
+      action: "marketplace_auction_settlement_failed",
+      userId: auction.seller_id,
+      details: { ...result, error: err.message },
+      ...ctx,
+    });
+    return { ok: false, error: err.message, ...result };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OFFERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Offer to buy a fixed-price listing for less than its price. The offer
+ * amount is held in escrow until the seller responds or the offer expires.
+ * The offer is fraud-screened first and held for review if risky.
+ */
+export function makeOffer(db, {
+  listingId, buyerId, amount, message,
+  expiresInHours = AUCTION_DEFAULTS.OFFER_EXPIRY_HOURS, requestId, ip, now, screen = true,
+}) {
+  if (!buyerId) return { ok: false, error: "missing_buyer_id" };
+  if (!isAmount(amount)) return { ok: false, error: "invalid_offer_amount" };
+  amount = round2(amount);
+  if (typeof expiresInHours !== "number" || expiresInHours <= 0 || expiresInHours > AUCTION_DEFAULTS.MAX_OFFER_EXPIRY_HOURS) {
+    return { ok: false, error: "invalid_offer_expiry", maxHours: AUCTION_DEFAULTS.MAX_OFFER_EXPIRY_HOURS };
+  }
+
+  const listing = loadListing(db, listingId);
+  if (!listing || listing.status !== "active") return { ok: false, error: "listing_not_found_or_inactive" };
+  if (listing.seller_id === buyerId) return { ok: false, error: "cannot_offer_on_own_listing" };
+  if (amount >= listing.price) return { ok: false, error: "offer_at_or_above_price", price: listing.price };
+  if (db.prepare("SELECT 1 FROM marketplace_auctions WHERE listing_id = ? AND status = 'open'").get(listingId)) {
+    return { ok: false, error: "listing_in_auction" };
+  }
+  if (db.prepare("SELECT 1 FROM marketplace_offers WHERE listing_id = ? AND buyer_id = ? AND status = 'pending'").get(listingId, buyerId)) {
+    return { ok: false, error: "offer_already_pending" };
+  }
+
+  const blocked = washTradingBlocked(db, { buyerId, sellerId: listing.seller_id, contentId: listing.content_id });
+  if (blocked) return blocked;
+
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "offer", userId: buyerId, counterpartyId: listing.seller_id, amount,
+      payload: { listingId, buyerId, amount, message, expiresInHours },
+    });
+    if (check.held) return check;
+  }
+
+  const offerId = uid("ofr");
+  const at = resolveNow(now);
+  const expiresAt = addSeconds(at, Math.round(expiresInHours * 3600));
+
+  try {
+    db.transaction(() => {
+      const holdRefId = holdCoins(db, {
+        holdId: offerId, userId: buyerId, amount, kind: "offer", subjectId: listingId, requestId, ip,
+      });
+      db.prepare(`
+        INSERT INTO marketplace_offers (
+          id, listing_id, buyer_id, seller_id, amount, message, status, hold_ref_id, expires_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)
+      `).run(offerId, listingId, buyerId, listing.seller_id, amount,
+        message ? String(message).slice(0, 500) : null, holdRefId, expiresAt, at, at);
+    })();
+  } catch (err) {
+    return { ok: false, error: err.message, ...(err.extra || {}) };
+  }
+
+  economyAudit(db, {
+    action: "marketplace_offer_made",
+    userId: buyerId,
+    amount,
+    requestId, ip,
+    details: { offerId, listingId, sellerId: listing.seller_id, listPrice: listing.price },
+  });
+
+  return { ok: true, offer: getOffer(db, offerId) };
+}
+
+export function getOffer(db, offerId) {
+  const row = db.prepare("SELECT * FROM marketplace_offers WHERE id = ?").get(offerId);
+  return row ? toOffer(row) : null;
+}
+
+export function listOffers(db, { listingId, buyerId, sellerId, status, limit = 50, offset = 0 } = {}) {
+  let sql = "SELECT * FROM marketplace_offers WHERE 1=1";
+  const params = [];
+  if (listingId) { sql += " AND listing_id = ?"; params.push(listingId); }
+  if (buyerId) { sql += " AND buyer_id = ?"; params.push(buyerId); }
+  if (sellerId) { sql += " AND seller_id = ?"; params.push(sellerId); }
+  if (status) { sql += " AND status = ?"; params.push(status); }
+
+  const total = db.prepare(sql.replace("SELECT *", "SELECT COUNT(*) as c")).get(...params)?.c || 0;
+  sql += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
+  params.push(limit, offset);
+  return { items: db.prepare(sql).all(...params).map(toOffer), total, limit, offset };
+}
+
+/**
+ * Seller accepts or rejects a pending offer. Accepting sells one license
+ * at the offer amount; the listing stays active at its list price.
+ */
+export function respondToOffer(db, { offerId, sellerId, accept, requestId, ip, now }) {
+  const offer = db.prepare("SELECT * FROM marketplace_offers WHERE id = ?").get(offerId);
+  if (!offer) return { ok: false, error: "offer_not_found" };
+  if (offer.seller_id !== sellerId) return { ok: false, error: "not_listing_seller" };
+  if (offer.status !== "pending") return { ok: false, error: "offer_not_pending", status: offer.status };
+
+  const ctx = { requestId, ip };
+  if (resolveNow(now) >= offer.expires_at) {
+    db.transaction(() => refundOffer(db, offer, "expired", ctx))();
+    return { ok: false, error: "offer_expired" };
+  }
+
+  if (!accept) {
+    const refundRefId = db.transaction(() => refundOffer(db, offer, "rejected", ctx))();
+    economyAudit(db, { action: "marketplace_offer_rejected", userId: sellerId, details: { offerId }, ...ctx });
+    return { ok: true, offerId, status: "rejected", refundRefId };
+  }
+
+  const listing = loadListing(db, offer.listing_id);
+  if (!listing || listing.status !== "active") return { ok: false, error: "listing_not_found_or_inactive" };
+
+  let sale;
+  try {
+    sale = db.transaction(() => {
+      refundOffer(db, offer, "accepted", ctx);
+      const result = completeListingSale(db, {
+        listing, buyerId: offer.buyer_id, amount: offer.amount,
+        refId: `offer:${offerId}`, source: "offer", ...ctx, screen: false,
+      });
+      if (!result.ok) throw fail(result.error || "offer_sale_failed");
+      db.prepare("UPDATE marketplace_offers SET purchase_id = ? WHERE id = ?").run(result.purchaseId, offerId);
+      return result;
+    })();
+  } catch (err) {
+    return { ok: false, error: err.message, ...(err.extra || {}) };
+  }
+
+  economyAudit(db, {
+    action: "marketplace_offer_accepted",
+    userId: sellerId,
+    amount: offer.amount,
+    txId: sale.batchId,
+    details: { offerId, listingId: listing.id, buyerId: offer.buyer_id, purchaseId: sale.purchaseId },
+    ...ctx,
+  });
+
+  return { ok: true, offerId, status: "accepted", purchaseId: sale.purchaseId, amount: offer.amount, fee: sale.fee };
+}
+
+/**
+ * Buyer withdraws a pending offer and gets the hold back.
+ */
+export function withdrawOffer(db, { offerId, buyerId, requestId, ip }) {
+  const offer = db.prepare("SELECT * FROM marketplace_offers WHERE id = ?").get(offerId);
+  if (!offer) return { ok: false, error: "offer_not_found" };
+  if (offer.buyer_id !== buyerId) return { ok: false, error: "not_offer_buyer" };
+  if (offer.status !== "pending") return { ok: false, error: "offer_not_pending", status: offer.status };
+
+  const refundRefId = db.transaction(() => refundOffer(db, offer, "withdrawn", { requestId, ip }))();
+  return { ok: true, offerId, status: "withdrawn", refundRefId };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HEARTBEAT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Settle every auction past its end time and expire stale offers.
+ * Called from the heartbeat; safe to run repeatedly.
+ *
+ * @returns {{ ok: boolean, settled: number, noSale: number, offersExpired: number, errors: array }}
+ */
+export function processMarketplaceAuctions(db, { now, limit = 100 } = {}) {
+  const at = resolveNow(now);
+  const summary = { settled: 0, noSale: 0, offersExpired: 0, errors: [] };
+
+  const due = db.prepare(
+    "SELECT id FROM marketplace_auctions WHERE status = 'open' AND ends_at <= ? ORDER BY ends_at ASC LIMIT ?"
+  ).all(at, limit);
+  for (const { id } of due) {
+    const result = settleAuction(db, { auctionId: id, now: at });
+    if (result.status === "settled") summary.settled++;
+    else if (result.status === "no_sale") summary.noSale++;
+    if (!result.ok) summary.errors.push({ auctionId: id, error: result.error });
+  }
+
+  const expired = db.prepare(
+    "SELECT * FROM marketplace_offers WHERE status = 'pending' AND expires_at <= ? ORDER BY expires_at ASC LIMIT ?"
+  ).all(at, limit);
+  for (const offer of expired) {
+    try {
+      db.transaction(() => refundOffer(db, offer, "expired"))();
+      summary.offersExpired++;
+    } catch (err) {
+      summary.errors.push({ offerId: offer.id, error: err.message });
+    }
+  }
+
+  return { ok: summary.errors.length === 0, ...summary };
+}
@@ -7,10 +7,12 @@
 
 import { createHash, randomUUID } from "crypto";
 import { executeMarketplacePurchase } from "./transfer.js";
-import { distributeRoyalties } from "./royalty-cascade.js";
+import { distributeRoyalties, validateRoyaltyPolicy, declareRoyaltyPolicy } from "./royalty-cascade.js";
 import { createPurchase, transitionPurchase, recordSettlement } from "./purchases.js";
 import { economyAudit } from "./audit.js";
 import { isEmergentAccount } from "./emergent-accounts.js";
+import { getRegionalPrice } from "./regional-pricing.js";
+import { screenTransaction } from "./fraud-engine.js";
 import logger from '../logger.js';
 
 function uid(prefix = "lst") {
@@ -32,6 +34,7 @@ const PREVIEW_STRATEGIES = {
   artifact: "structural_summary",
   film: "first_5_min",        // Film Studio: first 5 minutes free, no auth
   video: "first_5_min",       // Video content also gets time-based preview
+  plugin: "manifest_summary", // .concord-plugin packages: manifest only, code on purchase
 };
 
 /**
@@ -49,10 +52,11 @@ const PREVIEW_STRATEGIES = {
  * @param {string} opts.contentData — raw content for hashing
  * @param {string} [opts.licenseType='standard']
  * @param {Array} [opts.royaltyChain=[]] — citation chain for royalty tracking
+ * @param {object} [opts.royaltyPolicy] — split policy for the content's lineage (see validateRoyaltyPolicy)
  */
 export function createListing(db, {
   sellerId, contentId, contentType, title, description,
-  price, contentData, licenseType = "standard", royaltyChain = [],
+  price, contentData, licenseType = "standard", royaltyChain = [], royaltyPolicy,
 }) {
   if (!sellerId) return { ok: false, error: "missing_seller_id" };
   if (!contentId) return { ok: false, error: "missing_content_id" };
@@ -62,6 +66,10 @@ export function createListing(db, {
   if (!title) return { ok: false, error: "missing_title" };
   if (!price || price <= 0) return { ok: false, error: "invalid_price" };
   if (!contentData) return { ok: false, error: "missing_content_data" };
+  if (royaltyPolicy) {
+    const validation = validateRoyaltyPolicy(royaltyPolicy);
+    if (!validation.ok) return validation;
+  }
 
   // SHA-256 hash for duplicate detection
   const contentHash = hashContent(contentData);
@@ -88,17 +96,26 @@ export function createListing(db, {
   const now = nowISO();
 
   try {
-    db.prepare(`
-      INSERT INTO marketplace_economy_listings
-        (id, seller_id, content_id, content_type, title, description, price,
-         content_hash, status, preview_type, license_type, royalty_chain_json,
-         created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?)
-    `).run(
-      id, sellerId, contentId, contentType, title,
-      description || null, price, contentHash, previewType,
-      licenseType, JSON.stringify(royaltyChain), now, now,
-    );
+    let policyVersion = null;
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO marketplace_economy_listings
+          (id, seller_id, content_id, content_type, title, description, price,
+           content_hash, status, preview_type, license_type, royalty_chain_json,
+           created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?)
+      `).run(
+        id, sellerId, contentId, contentType, title,
+        description || null, price, contentHash, previewType,
+        licenseType, JSON.stringify(royaltyChain), now, now,
+      );
+
+      if (royaltyPolicy) {
+        const declared = declareRoyaltyPolicy(db, { contentId, creatorId: sellerId, policy: royaltyPolicy });
+        if (!declared.ok) throw Object.assign(new Error(declared.error), { policyError: declared });
+        policyVersion = declared.version;
+      }
+    })();
 
     return {
       ok: true,
@@ -113,10 +130,12 @@ export function createListing(db, {
         previewType,
         licenseType,
         status: "active",
+        royaltyPolicyVersion: policyVersion,
         createdAt: now,
       },
     };
   } catch (err) {
+    if (err.policyError) return err.policyError;
     console.error("[economy] listing_creation_failed:", err.message);
     return { ok: false, error: "listing_creation_failed" };
   }
@@ -131,8 +150,9 @@ export function createListing(db, {
  * @param {string} opts.buyerId
  * @param {string} opts.listingId
  * @param {string} [opts.refId]
+ * @param {boolean} [opts.screen=true] — fraud-screen the sale (see completeListingSale)
  */
-export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip }) {
+export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip, screen = true }) {
   if (!buyerId) return { ok: false, error: "missing_buyer_id" };
   if (!listingId) return { ok: false, error: "missing_listing_id" };
 
@@ -146,6 +166,43 @@ export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip }
   // Can't buy your own listing
   if (listing.seller_id === buyerId) return { ok: false, error: "cannot_buy_own_listing" };
 
+  // Listings under auction are sold only through the auction
+  if (hasOpenAuction(db, listingId)) return { ok: false, error: "listing_in_auction" };
+
+  // Creator-set regional tier for the buyer's declared location, if any
+  const { price } = getRegionalPrice(db, { itemType: "listing", itemId: listing.id, basePrice: listing.price, buyerId });
+  return completeListingSale(db, { listing, buyerId, amount: price, refId, source: "marketplace", requestId, ip, screen });
+}
+
+/**
+ * Sell one license of a listing to a buyer at `amount`: purchase record,
+ * marketplace transfer with fees, royalty cascade, settlement, listing stats.
+ * Used for fixed-price purchases and for settling auctions and accepted offers
+ * (after the buyer's held coins have been returned to them).
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {object} opts.listing — marketplace_economy_listings row
+ * @param {string} opts.buyerId
+ * @param {number} opts.amount — sale price
+ * @param {string} [opts.refId]
+ * @param {string} [opts.source="marketplace"] — marketplace | auction | offer
+ * @param {boolean} [opts.screen=true] — fraud-screen the sale at `amount` (the
+ *   price actually charged, e.g. the buyer's regional tier); a risky sale is
+ *   held for review and replayed through purchaseListing on approval. Auction
+ *   and offer settlement pass false: the bid or offer was screened when made.
+ */
+export function completeListingSale(db, { listing, buyerId, amount, refId, source = "marketplace", requestId, ip, screen = true }) {
+  const listingId = listing.id;
+
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "listing_purchase", userId: buyerId, counterpartyId: listing.seller_id, amount,
+      payload: { buyerId, listingId },
+    });
+    if (check.held) return check;
+  }
+
   const purchaseId = uid("pur");
   const purchaseRefId = refId || `marketplace:${purchaseId}`;
 
@@ -157,20 +214,21 @@ export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip }
     listingId: listing.id,
     listingType: listing.content_type,
     licenseType: listing.license_type,
-    amount: listing.price,
-    source: "marketplace",
+    amount,
+    source,
   });
 
   // 2. Execute the marketplace purchase (applies fees, debits buyer, credits seller)
   const txResult = executeMarketplacePurchase(db, {
     buyerId,
     sellerId: listing.seller_id,
-    amount: listing.price,
+    amount,
     listingId: listing.id,
-    metadata: { purchaseId, contentType: listing.content_type },
+    metadata: { purchaseId, contentType: listing.content_type, contentId: listing.content_id, source },
     refId: purchaseRefId,
     requestId,
     ip,
+    screen: false,
   });
 
   if (!txResult.ok) {
@@ -194,7 +252,7 @@ export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip }
   if (royaltyChain.length > 0) {
     royaltyResult = distributeRoyalties(db, {
       contentId: listing.content_id,
-      transactionAmount: listing.price,
+      transactionAmount: amount,
       sourceTxId: txResult.batchId,
       buyerId,
       sellerId: listing.seller_id,
@@ -231,12 +289,12 @@ export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip }
         total_revenue = total_revenue + ?,
         updated_at = ?
     WHERE id = ?
-  `).run(listing.price, now, listingId);
+  `).run(amount, now, listingId);
 
   economyAudit(db, {
     action: "marketplace_purchase_complete",
     userId: buyerId,
-    amount: listing.price,
+    amount,
     txId: txResult.batchId,
     details: {
       purchaseId,
@@ -257,7 +315,8 @@ export function purchaseListing(db, { buyerId, listingId, refId, requestId, ip }
     listingId,
     buyerId,
     sellerId: listing.seller_id,
-    amount: listing.price,
+    amount,
+    source,
     fee: txResult.fee,
     sellerNet: txResult.net,
     royalties: {
@@ -326,6 +385,7 @@ export function delistListing(db, { listingId, sellerId }) {
 
   if (!listing) return { ok: false, error: "listing_not_found_or_not_owner" };
   if (listing.status !== "active") return { ok: false, error: "listing_not_active", status: listing.status };
+  if (hasOpenAuction(db, listingId)) return { ok: false, error: "listing_in_auction" };
 
   db.prepare(
     "UPDATE marketplace_economy_listings SET status = 'delisted', updated_at = ? WHERE id = ?"
@@ -412,6 +472,26 @@ export function generatePreview(contentType, contentData) {
         },
       };
 
+    case "manifest_summary": {
+      let manifest = {};
+      try {
+        manifest = typeof contentData === "string" ? JSON.parse(contentData) : (contentData || {});
+      } catch {
+        // Not a manifest — preview without details
+      }
+      return {
+        type: "manifest_summary",
+        data: {
+          contentType: "plugin",
+          pluginId: manifest.id || null,
+          version: manifest.version || null,
+          publisher: manifest.publisher || null,
+          dependencies: manifest.dependencies || {},
+          codeHidden: true,
+        },
+      };
+    }
+
     default:
       return { type: "none", data: null };
   }
@@ -462,6 +542,16 @@ export function checkWashTrading(db, { accountA, accountB, contentId }) {
 
 // Helpers
 
+function hasOpenAuction(db, listingId) {
+  try {
+    return !!db.prepare(
+      "SELECT 1 FROM marketplace_auctions WHERE listing_id = ? AND status = 'open'"
+    ).get(listingId);
+  } catch {
+    return false; // auctions table not migrated yet
+  }
+}
+
 function formatListing(row) {
   return {
     id: row.id,
@@ -6,6 +6,7 @@
 import { findPurchasesByStatus, transitionPurchase, getPurchase } from "./purchases.js";
 import { checkRefIdProcessed, generateTxId, recordTransactionBatch } from "./ledger.js";
 import { economyAudit } from "./audit.js";
+import { sweepEscrows } from "./escrow.js";
 import logger from '../logger.js';
 
 /**
@@ -17,6 +18,7 @@ import logger from '../logger.js';
  *   3. SETTLED purchases not FULFILLED → re-attempt fulfillment transition
  *   4. Ledger entries with no matching purchase record → flag as orphans
  *   5. Purchases with settlement_batch_id but ledger has no matching entries → flag mismatch
+ *   6. Escrows: refund expired ones, flag/re-drive escrow state missing from the ledger
  *
  * @param {object} db — better-sqlite3 instance
  * @param {object} [opts]
@@ -139,6 +141,15 @@ export function runReconciliation(db, {
     errors.push({ type: "mismatch_scan_error", error: err.message });
   }
 
+  // 6. Stuck escrows — expired but still funded, or escrow state without ledger entries
+  try {
+    const sweep = sweepEscrows(db, { dryRun });
+    actions.push(...sweep.actions);
+    errors.push(...sweep.errors);
+  } catch (err) {
+    errors.push({ type: "escrow_sweep_error", error: err.message });
+  }
+
   // Audit the reconciliation run
   try {
     economyAudit(db, {
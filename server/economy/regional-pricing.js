@@ -0,0 +1,263 @@
+// economy/regional-pricing.js
+// Regional price tiers and local-currency price display.
+//
+// Creators can set purchasing-power tiers on their listings and artifacts:
+// for buyers in a given national (ISO country code) or federation region the
+// Concord Coin price is scaled by a multiplier or replaced by a fixed price.
+// A regional tier beats a national one. The buyer's location comes from
+// their declared federation region/national (users.declared_regional /
+// declared_national), never from geolocation.
+//
+// The tiered price is what the buyer is charged in Concord Coin; the fiat
+// figure alongside it is display-only, converted at the cached exchange
+// rate (see exchange-rates.js).
+
+import { randomUUID } from "crypto";
+import { REGIONAL_PRICING } from "../lib/currency-constants.js";
+import { currencyForCountry, normalizeCurrency, convertUsdCents } from "./exchange-rates.js";
+import { tokensToUsdCents } from "./stripe.js";
+
+function uid(prefix = "rpt") {
+  return `${prefix}_` + randomUUID().replace(/-/g, "").slice(0, 16);
+}
+
+function nowISO() {
+  return new Date().toISOString().replace("T", " ").replace("Z", "");
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function formatTier(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    target: row.target,
+    multiplier: row.multiplier,
+    price: row.fixed_price,
+    label: row.label,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Fiat equivalent of a Concord Coin amount at the checkout peg.
+ */
+export function tokensToFiat(tokens, currency) {
+  return convertUsdCents(tokensToUsdCents(tokens), currency);
+}
+
+// ── Buyer location ───────────────────────────────────────────────────────────
+
+function lookupCountry(db, national) {
+  if (!national) return null;
+  try {
+    const row = db.prepare(
+      "SELECT country_code FROM nationals WHERE id = ? OR country_code = ?"
+    ).get(national, String(national).toUpperCase());
+    if (row) return row.country_code.toUpperCase();
+  } catch { /* nationals table not migrated yet */ }
+  return /^[A-Za-z]{2}$/.test(national) ? national.toUpperCase() : null;
+}
+
+function lookupRegionCountry(db, regionId) {
+  try {
+    const row = db.prepare(`
+      SELECT n.country_code FROM regions r JOIN nationals n ON n.id = r.national_id WHERE r.id = ?
+    `).get(regionId);
+    return row ? row.country_code.toUpperCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve where a buyer is, for pricing. Explicit country/region win over
+ * the buyer's declared federation location.
+ * @returns {{ country: string|null, region: string|null, currency: string }}
+ */
+export function resolveBuyerLocation(db, { buyerId, country, region } = {}) {
+  let declared = null;
+  if (buyerId && (!country || !region)) {
+    try {
+      declared = db.prepare("SELECT declared_regional, declared_national FROM users WHERE id = ?").get(buyerId);
+    } catch { /* users table without federation columns */ }
+  }
+
+  const resolvedRegion = region || declared?.declared_regional || null;
+  const resolvedCountry = lookupCountry(db, country)
+    || lookupCountry(db, declared?.declared_national)
+    || (resolvedRegion ? lookupRegionCountry(db, resolvedRegion) : null);
+
+  return { country: resolvedCountry, region: resolvedRegion, currency: currencyForCountry(resolvedCountry) };
+}
+
+// ── Tiers ────────────────────────────────────────────────────────────────────
+
+function itemOwner(db, itemType, itemId) {
+  const row = itemType === "listing"
+    ? db.prepare("SELECT seller_id as owner FROM marketplace_economy_listings WHERE id = ?").get(itemId)
+    : db.prepare("SELECT creator_id as owner FROM creative_artifacts WHERE id = ?").get(itemId);
+  return row?.owner || null;
+}
+
+function validateTier(tier) {
+  if (!tier || typeof tier !== "object") return { ok: false, error: "invalid_tier" };
+  if (!REGIONAL_PRICING.SCOPES.includes(tier.scope)) return { ok: false, error: "invalid_tier_scope", validScopes: REGIONAL_PRICING.SCOPES };
+
+  let target = typeof tier.target === "string" ? tier.target.trim() : "";
+  if (tier.scope === "national") {
+    if (!/^[A-Za-z]{2}$/.test(target)) return { ok: false, error: "invalid_country_code", target: tier.target };
+    target = target.toUpperCase();
+  } else if (!target) {
+    return { ok: false, error: "missing_tier_target" };
+  }
+
+  const hasMultiplier = tier.multiplier !== undefined && tier.multiplier !== null;
+  const hasPrice = tier.price !== undefined && tier.price !== null;
+  if (hasMultiplier === hasPrice) return { ok: false, error: "tier_needs_multiplier_or_price", target };
+  if (hasMultiplier && !(typeof tier.multiplier === "number"
+    && tier.multiplier >= REGIONAL_PRICING.MIN_MULTIPLIER && tier.multiplier <= REGIONAL_PRICING.MAX_MULTIPLIER)) {
+    return { ok: false, error: "invalid_multiplier", min: REGIONAL_PRICING.MIN_MULTIPLIER, max: REGIONAL_PRICING.MAX_MULTIPLIER };
+  }
+  if (hasPrice && !(typeof tier.price === "number" && Number.isFinite(tier.price) && tier.price >= REGIONAL_PRICING.MIN_PRICE)) {
+    return { ok: false, error: "invalid_tier_price", min: REGIONAL_PRICING.MIN_PRICE };
+  }
+
+  return {
+    ok: true,
+    tier: {
+      scope: tier.scope,
+      target,
+      multiplier: hasMultiplier ? tier.multiplier : null,
+      price: hasPrice ? round2(tier.price) : null,
+      label: typeof tier.label === "string" ? tier.label.slice(0, 80) : null,
+    },
+  };
+}
+
+/**
+ * Replace the regional price tiers on a listing or artifact. Only the
+ * seller/creator may set them; an empty list clears them.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {"listing"|"artifact"} opts.itemType
+ * @param {string} opts.itemId
+ * @param {string} opts.creatorId
+ * @param {Array<{ scope: "national"|"regional", target: string, multiplier?: number, price?: number, label?: string }>} opts.tiers
+ */
+export function setRegionalPriceTiers(db, { itemType, itemId, creatorId, tiers }) {
+  if (!REGIONAL_PRICING.ITEM_TYPES.includes(itemType)) return { ok: false, error: "invalid_item_type", validTypes: REGIONAL_PRICING.ITEM_TYPES };
+  if (!itemId) return { ok: false, error: "missing_item_id" };
+  if (!creatorId) return { ok: false, error: "missing_creator_id" };
+  if (!Array.isArray(tiers)) return { ok: false, error: "invalid_tiers" };
+  if (tiers.length > REGIONAL_PRICING.MAX_TIERS) return { ok: false, error: "too_many_tiers", max: REGIONAL_PRICING.MAX_TIERS };
+
+  const owner = itemOwner(db, itemType, itemId);
+  if (!owner) return { ok: false, error: "item_not_found" };
+  if (owner !== creatorId) return { ok: false, error: "not_item_owner" };
+
+  const clean = [];
+  const seen = new Set();
+  for (const tier of tiers) {
+    const checked = validateTier(tier);
+    if (!checked.ok) return checked;
+    const key = `${checked.tier.scope}:${checked.tier.target}`;
+    if (seen.has(key)) return { ok: false, error: "duplicate_tier", target: checked.tier.target };
+    seen.add(key);
+    clean.push(checked.tier);
+  }
+
+  const now = nowISO();
+  const doReplace = db.transaction(() => {
+    db.prepare("DELETE FROM regional_price_tiers WHERE item_type = ? AND item_id = ?").run(itemType, itemId);
+    const insert = db.prepare(`
+      INSERT INTO regional_price_tiers (
+        id, item_type, item_id, creator_id, scope, target, multiplier, fixed_price, label, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const t of clean) {
+      insert.run(uid(), itemType, itemId, creatorId, t.scope, t.target, t.multiplier, t.price, t.label, now, now);
+    }
+  });
+  doReplace();
+
+  return { ok: true, itemType, itemId, tiers: getRegionalPriceTiers(db, itemType, itemId) };
+}
+
+/**
+ * Tiers on an item (empty before the table is migrated).
+ */
+export function getRegionalPriceTiers(db, itemType, itemId) {
+  try {
+    return db.prepare(`
+      SELECT * FROM regional_price_tiers WHERE item_type = ? AND item_id = ? ORDER BY scope DESC, target ASC
+    `).all(itemType, itemId).map(formatTier);
+  } catch {
+    return [];
+  }
+}
+
+// ── Pricing ──────────────────────────────────────────────────────────────────
+
+/**
+ * The Concord Coin price a buyer pays for an item after regional tiers.
+ * @returns {{ price: number, tier: object|null, location: object }}
+ */
+export function getRegionalPrice(db, { itemType, itemId, basePrice, buyerId, country, region }) {
+  const location = resolveBuyerLocation(db, { buyerId, country, region });
+  const tiers = getRegionalPriceTiers(db, itemType, itemId);
+
+  let tier = null;
+  for (const scope of REGIONAL_PRICING.PRECEDENCE) {
+    const target = scope === "regional" ? location.region : location.country;
+    tier = target ? tiers.find((t) => t.scope === scope && t.target === target) : null;
+    if (tier) break;
+  }
+
+  if (!tier) return { price: basePrice, tier: null, location };
+  const price = tier.price ?? Math.max(REGIONAL_PRICING.MIN_PRICE, round2(basePrice * tier.multiplier));
+  return { price, tier, location };
+}
+
+/**
+ * A buyer-facing price: the tiered Concord Coin price plus its fiat
+ * equivalent in the requested currency (or the buyer's local currency).
+ */
+export function localizePrice(db, { itemType, itemId, basePrice, buyerId, country, region, currency }) {
+  if (currency && !normalizeCurrency(currency)) return { ok: false, error: "unsupported_currency" };
+
+  const { price, tier, location } = getRegionalPrice(db, { itemType, itemId, basePrice, buyerId, country, region });
+  const fiat = tokensToFiat(price, normalizeCurrency(currency) || location.currency);
+  return {
+    ok: true,
+    itemType,
+    itemId,
+    basePrice,
+    price,
+    tier: tier ? { scope: tier.scope, target: tier.target, multiplier: tier.multiplier, price: tier.price, label: tier.label } : null,
+    location,
+    display: fiat.ok
+      ? { currency: fiat.currency, amount: fiat.amount, rate: fiat.rate, asOf: fiat.asOf }
+      : null,
+  };
+}
+
+/**
+ * Per-call API costs with the fiat cost of 1,000 calls alongside, for the
+ * billing dashboard. Concord Coin stays the unit actually metered.
+ */
+export function localizeApiPricing(pricing, currency) {
+  const code = normalizeCurrency(currency);
+  if (!code) return { ok: false, error: "unsupported_currency" };
+
+  const categories = {};
+  for (const [name, category] of Object.entries(pricing.categories || {})) {
+    const fiat = tokensToFiat(category.costPerCall * 1000, code);
+    categories[name] = { costPerCall: category.costPerCall, per1000Calls: fiat.ok ? fiat.amount : null };
+  }
+  const { rate, asOf } = tokensToFiat(1, code);
+  return { ok: true, currency: code, rate, asOf, categories };
+}
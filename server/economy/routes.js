@@ -11,7 +11,7 @@ import {
   requestWithdrawal, approveWithdrawal, rejectWithdrawal,
   processWithdrawal, cancelWithdrawal, getUserWithdrawals, getAllWithdrawals,
 } from "./withdrawals.js";
-import { adminOnly } from "./guards.js";
+import { adminOnly, requireAdmin } from "./guards.js";
 import { economyAudit, auditCtx } from "./audit.js";
 import {
   createCheckoutSession, handleWebhook, createConnectOnboarding,
@@ -29,6 +29,7 @@ import { mintCoins, burnCoins, getTreasuryState, verifyTreasuryInvariant } from
 import {
   calculateGenerationalRate, registerCitation, getAncestorChain,
   distributeRoyalties, getCreatorRoyalties, getContentRoyalties,
+  declareRoyaltyPolicy, getRoyaltyPolicy, previewRoyalties,
 } from "./royalty-cascade.js";
 import {
   createEmergentAccount, transferToReserve, getEmergentAccount,
@@ -41,6 +42,28 @@ import {
 import { distributeFee, getFeeSplitBalances, getFeeDistributions } from "./fee-split.js";
 import { runTreasuryReconciliation, getReconciliationHistory } from "./treasury-reconciliation.js";
 import { getSystemBalanceSummary } from "./balances.js";
+import { verifyBalances, runBalanceCheckpointCycle, getCheckpointHistory } from "./balance-checkpoints.js";
+import {
+  getChartOfAccounts, getJournal, getTrialBalance, getGeneralLedger, verifyTreasuryInvariantByAccount,
+} from "./double-entry.js";
+import { exportLedger } from "./ledger-export.js";
+import { saveTaxProfile, getTaxProfile, revealTaxProfile } from "./tax-profiles.js";
+import { getAnnualStatement, getTaxThresholdReport, renderAnnualStatementPDF } from "./tax-statements.js";
+import {
+  evaluateFraudRisk, screenTransaction, getFraudReview, listFraudReviews, approveFraudReview, rejectFraudReview,
+} from "./fraud-engine.js";
+import {
+  getEscrow, listEscrows, submitMilestone, approveMilestone, refundEscrow,
+  disputeEscrow, resolveEscrowDispute, expireEscrows,
+} from "./escrow.js";
+import {
+  createAuction, getAuction, listAuctions, listAuctionBids, placeBid, cancelAuction,
+  makeOffer, listOffers, respondToOffer, withdrawOffer, processMarketplaceAuctions,
+} from "./marketplace-auctions.js";
+import { getExchangeRates, refreshExchangeRates } from "./exchange-rates.js";
+import {
+  resolveBuyerLocation, setRegionalPriceTiers, getRegionalPriceTiers, localizePrice,
+} from "./regional-pricing.js";
 
 /**
  * Register all economy + Stripe routes on the Express app.
@@ -48,6 +71,7 @@ import { getSystemBalanceSummary } from "./balances.js";
  * @param {import('better-sqlite3').Database} db
  * @param {object} opts
  * @param {function} opts.structuredLog - Structured logging function(level, event, data)
+ * @param {function} [opts.resolveContentCreator] - contentId → creator user ID(s) for content kept outside the database
  */
 export function registerEconomyRoutes(app, db, opts = {}) {
   const log = opts.structuredLog || ((level, event, data) => console[level === "error" ? "error" : "log"](`[economy] ${event}`, data));
@@ -148,6 +172,18 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     }
   });
 
+  // Held actions answer 202: nothing moved yet, an admin will decide.
+  function sendFraudHold(req, res, screen, { action, userId, amount }) {
+    economyAudit(db, {
+      action: "fraud_hold",
+      userId,
+      amount,
+      details: { heldAction: action, reviewId: screen.reviewId, score: screen.score },
+      ...auditCtx(req),
+    });
+    res.status(202).json({ ok: false, error: "held_for_review", reviewId: screen.reviewId });
+  }
+
   // ── Transfer (user → user) ─────────────────────────────────────────────────
 
   app.post("/api/economy/transfer", (req, res) => {
@@ -163,16 +199,10 @@ export function registerEconomyRoutes(app, db, opts = {}) {
       }
 
       const ctx = auditCtx(req);
-      const result = executeTransfer(db, {
-        from,
-        to,
-        amount,
-        type: req.body.type || "TRANSFER",
-        metadata: req.body.metadata || {},
-        requestId: ctx.requestId,
-        ip: ctx.ip,
-      });
+      const transfer = { from, to, amount, type: req.body.type || "TRANSFER", metadata: req.body.metadata || {} };
+      const result = executeTransfer(db, { ...transfer, requestId: ctx.requestId, ip: ctx.ip });
 
+      if (result.held) return sendFraudHold(req, res, result, { action: "transfer", userId: from, amount });
       if (!result.ok) return res.status(400).json(result);
 
       economyAudit(db, {
@@ -210,16 +240,10 @@ export function registerEconomyRoutes(app, db, opts = {}) {
       }
 
       const ctx = auditCtx(req);
-      const result = executeMarketplacePurchase(db, {
-        buyerId,
-        sellerId,
-        amount,
-        listingId,
-        metadata: req.body.metadata || {},
-        requestId: ctx.requestId,
-        ip: ctx.ip,
-      });
+      const purchase = { buyerId, sellerId, amount, listingId, metadata: req.body.metadata || {} };
+      const result = executeMarketplacePurchase(db, { ...purchase, requestId: ctx.requestId, ip: ctx.ip });
 
+      if (result.held) return sendFraudHold(req, res, result, { action: "marketplace_purchase", userId: buyerId, amount });
       if (!result.ok) return res.status(400).json(result);
 
       economyAudit(db, {
@@ -424,6 +448,83 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     }
   });
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // FRAUD REVIEW (admin only)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  app.get("/api/economy/admin/fraud/reviews", adminOnly, (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = listFraudReviews(db, {
+        status: req.query.status || "pending",
+        action: req.query.action,
+        userId: req.query.user_id,
+        limit,
+        offset,
+      });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_fraud_reviews_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "fraud_reviews_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/fraud/reviews/:id", adminOnly, (req, res) => {
+    try {
+      const review = getFraudReview(db, req.params.id);
+      if (!review) return res.status(404).json({ ok: false, error: "fraud_review_not_found" });
+      res.json({ ok: true, review });
+    } catch (err) {
+      log("error", "economy_fraud_review_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "fraud_review_fetch_failed" });
+    }
+  });
+
+  for (const decision of ["approve", "reject"]) {
+    app.post(`/api/economy/admin/fraud/reviews/:id/${decision}`, adminOnly, (req, res) => {
+      try {
+        const ctx = auditCtx(req);
+        const reviewerId = req.user?.id || "admin";
+        const result = decision === "approve"
+          ? approveFraudReview(db, { reviewId: req.params.id, reviewerId, note: req.body.note, requestId: ctx.requestId, ip: ctx.ip })
+          : rejectFraudReview(db, { reviewId: req.params.id, reviewerId, note: req.body.note });
+        if (!result.review) return res.status(400).json(result);
+
+        economyAudit(db, {
+          action: `fraud_review_${decision === "approve" ? "approved" : "rejected"}`,
+          userId: reviewerId,
+          amount: result.review.amount,
+          details: {
+            reviewId: result.review.id, heldAction: result.review.action, subject: result.review.userId,
+            status: result.review.status, note: req.body.note || null,
+          },
+          ...ctx,
+        });
+        res.status(result.ok ? 200 : 400).json(result);
+      } catch (err) {
+        log("error", `economy_fraud_review_${decision}_failed`, { error: err.message });
+        res.status(500).json({ ok: false, error: `fraud_review_${decision}_failed` });
+      }
+    });
+  }
+
+  app.get("/api/economy/admin/fraud/score", adminOnly, (req, res) => {
+    try {
+      const result = evaluateFraudRisk(db, {
+        action: req.query.action,
+        userId: req.query.user_id,
+        counterpartyId: req.query.counterparty_id,
+        amount: req.query.amount ? parseFloat(req.query.amount) : undefined,
+      });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_fraud_score_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "fraud_score_failed" });
+    }
+  });
+
   // ═══════════════════════════════════════════════════════════════════════════
   // REVERSALS (admin only)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -542,6 +643,91 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     }
   });
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // REGIONAL PRICING & EXCHANGE RATES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  app.get("/api/economy/pricing/rates", (_req, res) => {
+    try {
+      res.json({ ok: true, ...getExchangeRates() });
+    } catch (err) {
+      log("error", "economy_rates_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "rates_fetch_failed" });
+    }
+  });
+
+  app.post("/api/economy/admin/pricing/rates/refresh", adminOnly, async (req, res) => {
+    try {
+      const result = await refreshExchangeRates();
+      economyAudit(db, {
+        action: "exchange_rates_refreshed",
+        userId: req.user?.id,
+        details: result,
+        ...auditCtx(req),
+      });
+      res.status(result.ok ? 200 : 502).json(result);
+    } catch (err) {
+      log("error", "economy_rates_refresh_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "rates_refresh_failed" });
+    }
+  });
+
+  app.get("/api/economy/pricing/:itemType/:itemId", (req, res) => {
+    try {
+      const { itemType, itemId } = req.params;
+      const item = itemType === "listing"
+        ? db.prepare("SELECT price FROM marketplace_economy_listings WHERE id = ?").get(itemId)
+        : itemType === "artifact"
+          ? db.prepare("SELECT price FROM creative_artifacts WHERE id = ?").get(itemId)
+          : undefined;
+      if (!item) return res.status(404).json({ ok: false, error: "item_not_found" });
+
+      const result = localizePrice(db, {
+        itemType,
+        itemId,
+        basePrice: item.price,
+        buyerId: req.user?.id,
+        country: req.query.country,
+        region: req.query.region,
+        currency: req.query.currency,
+      });
+      if (!result.ok) return res.status(400).json(result);
+      res.json({ ...result, tiers: getRegionalPriceTiers(db, itemType, itemId) });
+    } catch (err) {
+      log("error", "economy_price_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "price_fetch_failed" });
+    }
+  });
+
+  app.put("/api/economy/pricing/:itemType/:itemId/tiers", (req, res) => {
+    try {
+      const creatorId = req.user?.id;
+      if (!creatorId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = setRegionalPriceTiers(db, {
+        itemType: req.params.itemType,
+        itemId: req.params.itemId,
+        creatorId,
+        tiers: req.body?.tiers,
+      });
+      if (!result.ok) {
+        const status = result.error === "item_not_found" ? 404 : result.error === "not_item_owner" ? 403 : 400;
+        return res.status(status).json(result);
+      }
+
+      economyAudit(db, {
+        action: "regional_price_tiers_set",
+        userId: creatorId,
+        details: { itemType: result.itemType, itemId: result.itemId, tierCount: result.tiers.length },
+        ...auditCtx(req),
+      });
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_price_tiers_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "price_tiers_failed" });
+    }
+  });
+
   // ═══════════════════════════════════════════════════════════════════════════
   // STRIPE ENDPOINTS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -562,10 +748,14 @@ export function registerEconomyRoutes(app, db, opts = {}) {
         return res.status(400).json({ ok: false, error: "invalid_token_amount" });
       }
 
+      // Charge in the requested currency, else the buyer's local one
+      const currency = req.body.currency || resolveBuyerLocation(db, { buyerId: userId }).currency;
+
       const ctx = auditCtx(req);
       const result = await createCheckoutSession(db, {
         userId,
         tokens,
+        currency,
         requestId: ctx.requestId,
         ip: ctx.ip,
       });
@@ -964,6 +1154,403 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     }
   });
 
+  // ── Admin: Materialized balance checkpoints / drift verification ─────────
+
+  app.post("/api/economy/admin/balances/verify", adminOnly, (req, res) => {
+    try {
+      const repair = req.body.repair === true;
+      const result = verifyBalances(db, { repair });
+      if (!result.ok) return res.status(409).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_balance_verify_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "balance_verify_failed" });
+    }
+  });
+
+  app.post("/api/economy/admin/balances/checkpoint", adminOnly, (_req, res) => {
+    try {
+      const result = runBalanceCheckpointCycle(db);
+      if (!result.ok) return res.status(409).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_balance_checkpoint_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "balance_checkpoint_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/balances/checkpoints", adminOnly, (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = getCheckpointHistory(db, { limit, offset });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_balance_checkpoints_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "checkpoints_fetch_failed" });
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DOUBLE-ENTRY JOURNAL (read-only projection of the ledger)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  app.get("/api/economy/admin/journal/accounts", adminOnly, (_req, res) => {
+    res.json({ ok: true, accounts: getChartOfAccounts() });
+  });
+
+  app.get("/api/economy/admin/journal", adminOnly, (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = getJournal(db, { from: req.query.from, to: req.query.to, limit, offset });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_journal_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "journal_fetch_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/journal/trial-balance", adminOnly, (req, res) => {
+    try {
+      const detail = req.query.detail === "true";
+      const result = getTrialBalance(db, { asOf: req.query.as_of, detail });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_trial_balance_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "trial_balance_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/journal/general-ledger", adminOnly, (req, res) => {
+    try {
+      const account = req.query.account;
+      if (!account) return res.status(400).json({ ok: false, error: "missing_account" });
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = getGeneralLedger(db, String(account), { from: req.query.from, to: req.query.to, limit, offset });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_general_ledger_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "general_ledger_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/journal/treasury-invariant", adminOnly, (req, res) => {
+    try {
+      const result = verifyTreasuryInvariantByAccount(db, { asOf: req.query.as_of });
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_treasury_invariant_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "treasury_invariant_failed" });
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ACCOUNTING EXPORTS (CSV / OFX / IIF)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  function sendLedgerExport(req, res, { scope, userId }) {
+    let typeMap;
+    if (req.query.type_map) {
+      try {
+        typeMap = JSON.parse(String(req.query.type_map));
+      } catch {
+        return res.status(400).json({ ok: false, error: "invalid_type_map" });
+      }
+    }
+
+    const result = exportLedger(db, {
+      scope,
+      userId,
+      format: String(req.query.format || "csv").toLowerCase(),
+      from: req.query.from,
+      to: req.query.to,
+      typeMap,
+    });
+    if (!result.ok) return res.status(400).json(result);
+
+    economyAudit(db, {
+      action: "ledger_exported",
+      userId: req.user?.id || userId,
+      details: { scope, subject: userId || null, format: result.format, entries: result.entryCount },
+      ...auditCtx(req),
+    });
+
+    res.set("Content-Type", result.contentType);
+    res.set("Content-Disposition", `attachment; filename="${result.filename}"`);
+    res.send(result.body);
+  }
+
+  app.get("/api/economy/export", (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) return res.status(401).json({ ok: false, error: "unauthorized" });
+      sendLedgerExport(req, res, { scope: "user", userId });
+    } catch (err) {
+      log("error", "economy_export_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "export_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/export", adminOnly, (req, res) => {
+    try {
+      const scope = req.query.scope || (req.query.user_id ? "user" : "platform");
+      sendLedgerExport(req, res, { scope, userId: req.query.user_id });
+    } catch (err) {
+      log("error", "economy_admin_export_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "export_failed" });
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TAX PROFILES & STATEMENTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  app.get("/api/economy/tax/profile", (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) return res.status(401).json({ ok: false, error: "unauthorized" });
+      res.json({ ok: true, profile: getTaxProfile(db, userId) });
+    } catch (err) {
+      log("error", "economy_tax_profile_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "tax_profile_fetch_failed" });
+    }
+  });
+
+  app.put("/api/economy/tax/profile", (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = saveTaxProfile(db, {
+        userId,
+        formType: req.body.form_type,
+        fields: req.body.fields,
+        certifiedName: req.body.certified_name,
+        certify: req.body.certify === true,
+      });
+      if (!result.ok) return res.status(result.error === "tax_profile_encryption_not_configured" ? 503 : 400).json(result);
+
+      economyAudit(db, {
+        action: "tax_profile_saved",
+        userId,
+        details: { formType: result.profile.formType, version: result.profile.version },
+        ...auditCtx(req),
+      });
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_tax_profile_save_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "tax_profile_save_failed" });
+    }
+  });
+
+  async function sendAnnualStatement(req, res, { userId, year }) {
+    const statement = getAnnualStatement(db, { userId, year: parseInt(year, 10) });
+    if (!statement.ok) return res.status(400).json(statement);
+
+    economyAudit(db, {
+      action: "tax_statement_generated",
+      userId: req.user?.id || userId,
+      details: { subject: userId, year: statement.year, format: req.query.format || "json" },
+      ...auditCtx(req),
+    });
+
+    if (String(req.query.format || "").toLowerCase() !== "pdf") return res.json(statement);
+
+    const pdf = await renderAnnualStatementPDF(statement);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="concord-statement-${statement.year}.pdf"`);
+    res.send(pdf);
+  }
+
+  app.get("/api/economy/tax/statements/:year", async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) return res.status(401).json({ ok: false, error: "unauthorized" });
+      await sendAnnualStatement(req, res, { userId, year: req.params.year });
+    } catch (err) {
+      log("error", "economy_tax_statement_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "tax_statement_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/tax/statements/:userId/:year", adminOnly, async (req, res) => {
+    try {
+      await sendAnnualStatement(req, res, { userId: req.params.userId, year: req.params.year });
+    } catch (err) {
+      log("error", "economy_admin_tax_statement_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "tax_statement_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/tax/threshold-report", adminOnly, (req, res) => {
+    try {
+      const year = parseInt(req.query.year, 10) || new Date().getUTCFullYear() - 1;
+      const result = getTaxThresholdReport(db, { year, includeBelowThreshold: req.query.all === "true" });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_tax_threshold_report_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "tax_threshold_report_failed" });
+    }
+  });
+
+  app.get("/api/economy/admin/tax/profile/:userId", adminOnly, (req, res) => {
+    try {
+      const userId = req.params.userId;
+      if (req.query.reveal !== "true") {
+        const profile = getTaxProfile(db, userId);
+        if (!profile) return res.status(404).json({ ok: false, error: "tax_profile_not_found" });
+        return res.json({ ok: true, profile });
+      }
+
+      const result = revealTaxProfile(db, userId);
+      if (!result.ok) {
+        const status = { tax_profile_not_found: 404, tax_profile_encryption_not_configured: 503 }[result.error] || 500;
+        return res.status(status).json(result);
+      }
+
+      economyAudit(db, {
+        action: "tax_profile_revealed",
+        userId: req.user?.id,
+        details: { subject: userId, formType: result.profile.formType },
+        ...auditCtx(req),
+      });
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_admin_tax_profile_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "tax_profile_fetch_failed" });
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ESCROW (bounties, film crew contracts)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  app.get("/api/economy/escrows", (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = listEscrows(db, {
+        userId, role: req.query.role, kind: req.query.kind, status: req.query.status, limit, offset,
+      });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_escrow_list_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "escrow_list_failed" });
+    }
+  });
+
+  app.get("/api/economy/escrows/:id", (req, res) => {
+    try {
+      const userId = req.user?.id;
+      if (!userId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const escrow = getEscrow(db, req.params.id);
+      const isParty = escrow && (escrow.payerId === userId || escrow.payeeId === userId);
+      if (!escrow || (!isParty && !requireAdmin(req).ok)) {
+        return res.status(404).json({ ok: false, error: "escrow_not_found" });
+      }
+      res.json({ ok: true, escrow });
+    } catch (err) {
+      log("error", "economy_escrow_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "escrow_fetch_failed" });
+    }
+  });
+
+  app.post("/api/economy/escrows/:id/milestones/:milestoneId/submit", (req, res) => {
+    try {
+      const payeeId = req.user?.id;
+      if (!payeeId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = submitMilestone(db, {
+        escrowId: req.params.id, milestoneId: req.params.milestoneId, payeeId, evidence: req.body.evidence,
+      });
+      res.status(result.ok ? 200 : 400).json(result);
+    } catch (err) {
+      log("error", "economy_escrow_submit_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "milestone_submit_failed" });
+    }
+  });
+
+  app.post("/api/economy/escrows/:id/milestones/:milestoneId/approve", (req, res) => {
+    try {
+      const payerId = req.user?.id;
+      if (!payerId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const ctx = auditCtx(req);
+      const result = approveMilestone(db, {
+        escrowId: req.params.id, milestoneId: req.params.milestoneId, payerId,
+        requestId: ctx.requestId, ip: ctx.ip,
+      });
+      res.status(result.ok ? 200 : 400).json(result);
+    } catch (err) {
+      log("error", "economy_escrow_approve_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "milestone_approve_failed" });
+    }
+  });
+
+  app.post("/api/economy/escrows/:id/refund", (req, res) => {
+    try {
+      const actorId = req.user?.id;
+      if (!actorId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const ctx = auditCtx(req);
+      const result = refundEscrow(db, {
+        escrowId: req.params.id, actorId, reason: req.body.reason || "cancelled",
+        requestId: ctx.requestId, ip: ctx.ip,
+      });
+      res.status(result.ok ? 200 : 400).json(result);
+    } catch (err) {
+      log("error", "economy_escrow_refund_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "escrow_refund_failed" });
+    }
+  });
+
+  app.post("/api/economy/escrows/:id/dispute", (req, res) => {
+    try {
+      const reporterId = req.user?.id;
+      if (!reporterId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = disputeEscrow(db, {
+        escrowId: req.params.id, reporterId, milestoneId: req.body.milestone_id,
+        description: req.body.description, evidence: req.body.evidence,
+      });
+      res.status(result.ok ? 201 : 400).json(result);
+    } catch (err) {
+      log("error", "economy_escrow_dispute_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "escrow_dispute_failed" });
+    }
+  });
+
+  app.post("/api/economy/admin/escrows/:id/resolve", adminOnly, (req, res) => {
+    try {
+      const ctx = auditCtx(req);
+      const result = resolveEscrowDispute(db, {
+        escrowId: req.params.id, outcome: req.body.outcome, resolution: req.body.resolution,
+        actorId: req.user?.id, requestId: ctx.requestId, ip: ctx.ip,
+      });
+      res.status(result.ok ? 200 : 400).json(result);
+    } catch (err) {
+      log("error", "economy_escrow_resolve_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "escrow_resolve_failed" });
+    }
+  });
+
+  app.post("/api/economy/admin/escrows/expire", adminOnly, (_req, res) => {
+    try {
+      res.json(expireEscrows(db));
+    } catch (err) {
+      log("error", "economy_escrow_expire_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "escrow_expire_failed" });
+    }
+  });
+
   // ═══════════════════════════════════════════════════════════════════════════
   // ROYALTY CASCADE
   // ═══════════════════════════════════════════════════════════════════════════
@@ -974,13 +1561,19 @@ export function registerEconomyRoutes(app, db, opts = {}) {
       if (!child_id || !parent_id) return res.status(400).json({ ok: false, error: "missing_content_ids" });
       if (!creator_id || !parent_creator_id) return res.status(400).json({ ok: false, error: "missing_creator_ids" });
 
-      const result = registerCitation(db, {
+      const citation = {
         childId: child_id,
         parentId: parent_id,
         creatorId: creator_id,
         parentCreatorId: parent_creator_id,
         generation: generation || 1,
+      };
+      const screen = screenTransaction(db, {
+        action: "citation", userId: creator_id, counterpartyId: parent_creator_id, payload: citation,
       });
+      if (screen.held) return sendFraudHold(req, res, screen, { action: "citation", userId: creator_id });
+
+      const result = registerCitation(db, citation);
 
       if (!result.ok) return res.status(400).json(result);
       res.json(result);
@@ -1034,6 +1627,74 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     }
   });
 
+  app.post("/api/economy/royalties/policy/:contentId", (req, res) => {
+    try {
+      const creatorId = req.user?.id;
+      if (!creatorId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = declareRoyaltyPolicy(db, {
+        contentId: req.params.contentId,
+        creatorId,
+        policy: req.body.policy,
+        resolveCreator: opts.resolveContentCreator,
+      });
+      if (!result.ok) {
+        const status = { not_content_creator: 403, content_not_found: 404 }[result.error] || 400;
+        return res.status(status).json(result);
+      }
+
+      economyAudit(db, {
+        action: "royalty_policy_declared",
+        userId: creatorId,
+        details: { contentId: req.params.contentId, version: result.version, policy: result.policy },
+        ...auditCtx(req),
+      });
+
+      res.json(result);
+    } catch (err) {
+
+      log("error", "economy_royalty_policy_failed", { error: err.message });
+
+      res.status(500).json({ ok: false, error: "royalty_policy_failed" });
+
+    }
+  });
+
+  app.get("/api/economy/royalties/policy/:contentId", (req, res) => {
+    try {
+      const policy = getRoyaltyPolicy(db, req.params.contentId);
+      if (!policy) return res.status(404).json({ ok: false, error: "policy_not_found" });
+      res.json({ ok: true, ...policy });
+    } catch (err) {
+
+      log("error", "economy_royalty_policy_fetch_failed", { error: err.message });
+
+      res.status(500).json({ ok: false, error: "royalty_policy_fetch_failed" });
+
+    }
+  });
+
+  // Dry run: who would be paid for a sale of this content at this amount
+  app.get("/api/economy/royalties/preview/:contentId", (req, res) => {
+    try {
+      const amount = Math.round(parseFloat(req.query.amount) * 100) / 100;
+      const result = previewRoyalties(db, {
+        contentId: req.params.contentId,
+        transactionAmount: amount,
+        sellerId: req.query.seller_id || undefined,
+        buyerId: req.query.buyer_id || undefined,
+      });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+
+      log("error", "economy_royalty_preview_failed", { error: err.message });
+
+      res.status(500).json({ ok: false, error: "royalty_preview_failed" });
+
+    }
+  });
+
   app.get("/api/economy/royalties/rate", (req, res) => {
     const generation = parseInt(req.query.generation, 10) || 0;
     const initialRate = parseFloat(req.query.initial_rate) || undefined;
@@ -1157,7 +1818,7 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     try {
       const {
         seller_id, content_id, content_type, title, description,
-        price, content_data, license_type, royalty_chain,
+        price, content_data, license_type, royalty_chain, royalty_policy,
       } = req.body;
       const sellerId = seller_id || req.user?.id;
 
@@ -1173,6 +1834,7 @@ export function registerEconomyRoutes(app, db, opts = {}) {
         contentData: content_data,
         licenseType: license_type,
         royaltyChain: royalty_chain || [],
+        royaltyPolicy: royalty_policy,
       });
 
       if (!result.ok) return res.status(400).json(result);
@@ -1217,6 +1879,7 @@ export function registerEconomyRoutes(app, db, opts = {}) {
         ip: ctx.ip,
       });
 
+      if (result.held) return sendFraudHold(req, res, result, { action: "listing_purchase", userId: buyerId });
       if (!result.ok) return res.status(400).json(result);
       res.json(result);
     } catch (err) {
@@ -1241,6 +1904,20 @@ export function registerEconomyRoutes(app, db, opts = {}) {
         limit,
         offset,
       });
+      if (req.query.currency || req.query.country || req.user?.id) {
+        result.items = result.items.map((listing) => {
+          const local = localizePrice(db, {
+            itemType: "listing",
+            itemId: listing.id,
+            basePrice: listing.price,
+            buyerId: req.user?.id,
+            country: req.query.country,
+            region: req.query.region,
+            currency: req.query.currency,
+          });
+          return local.ok ? { ...listing, localPrice: { price: local.price, tier: local.tier, display: local.display } } : listing;
+        });
+      }
       res.json({ ok: true, ...result });
     } catch (err) {
 
@@ -1304,6 +1981,210 @@ export function registerEconomyRoutes(app, db, opts = {}) {
     }
   });
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // MARKETPLACE AUCTIONS & OFFERS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const parseAmount = (v) => (v == null ? undefined : Math.round(parseFloat(v) * 100) / 100);
+  const parseOptionalInt = (v) => (v == null ? undefined : parseInt(v, 10));
+
+  app.post("/api/economy/marketplace/listings/:listingId/auction", (req, res) => {
+    try {
+      const sellerId = req.user?.id;
+      if (!sellerId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = createAuction(db, {
+        listingId: req.params.listingId,
+        sellerId,
+        kind: req.body.kind,
+        startingPrice: parseAmount(req.body.starting_price),
+        reservePrice: parseAmount(req.body.reserve_price),
+        minIncrement: parseAmount(req.body.min_increment),
+        durationMinutes: parseOptionalInt(req.body.duration_minutes),
+        snipeWindowSeconds: parseOptionalInt(req.body.snipe_window_seconds),
+        extensionSeconds: parseOptionalInt(req.body.extension_seconds),
+        maxExtensions: parseOptionalInt(req.body.max_extensions),
+      });
+      if (!result.ok) return res.status(400).json(result);
+
+      economyAudit(db, {
+        action: "marketplace_auction_created",
+        userId: sellerId,
+        amount: result.auction.startingPrice,
+        details: { auctionId: result.auction.id, listingId: req.params.listingId, kind: result.auction.kind },
+        ...auditCtx(req),
+      });
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_auction_create_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "auction_create_failed" });
+    }
+  });
+
+  app.get("/api/economy/marketplace/auctions", (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = listAuctions(db, {
+        status: req.query.status || "open",
+        sellerId: req.query.seller_id,
+        kind: req.query.kind,
+        limit,
+        offset,
+      });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_auction_list_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "auction_list_failed" });
+    }
+  });
+
+  app.get("/api/economy/marketplace/auctions/:auctionId", (req, res) => {
+    try {
+      const auction = getAuction(db, req.params.auctionId);
+      if (!auction) return res.status(404).json({ ok: false, error: "auction_not_found" });
+      res.json({ ok: true, auction });
+    } catch (err) {
+      log("error", "economy_auction_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "auction_fetch_failed" });
+    }
+  });
+
+  app.get("/api/economy/marketplace/auctions/:auctionId/bids", (req, res) => {
+    try {
+      const result = listAuctionBids(db, req.params.auctionId, { viewerId: req.user?.id });
+      if (!result.ok) return res.status(404).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_auction_bids_fetch_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "auction_bids_fetch_failed" });
+    }
+  });
+
+  app.post("/api/economy/marketplace/auctions/:auctionId/bids", (req, res) => {
+    try {
+      const bidderId = req.user?.id;
+      if (!bidderId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const ctx = auditCtx(req);
+      const result = placeBid(db, {
+        auctionId: req.params.auctionId,
+        bidderId,
+        amount: parseAmount(req.body.amount),
+        requestId: ctx.requestId,
+        ip: ctx.ip,
+      });
+      if (result.held) return sendFraudHold(req, res, result, { action: "bid", userId: bidderId, amount: parseAmount(req.body.amount) });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_bid_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "bid_failed" });
+    }
+  });
+
+  app.post("/api/economy/marketplace/auctions/:auctionId/cancel", (req, res) => {
+    try {
+      const sellerId = req.user?.id;
+      if (!sellerId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const result = cancelAuction(db, { auctionId: req.params.auctionId, sellerId });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_auction_cancel_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "auction_cancel_failed" });
+    }
+  });
+
+  app.post("/api/economy/marketplace/listings/:listingId/offers", (req, res) => {
+    try {
+      const buyerId = req.user?.id;
+      if (!buyerId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const ctx = auditCtx(req);
+      const result = makeOffer(db, {
+        listingId: req.params.listingId,
+        buyerId,
+        amount: parseAmount(req.body.amount),
+        message: req.body.message,
+        expiresInHours: req.body.expires_in_hours != null ? parseFloat(req.body.expires_in_hours) : undefined,
+        requestId: ctx.requestId,
+        ip: ctx.ip,
+      });
+      if (result.held) return sendFraudHold(req, res, result, { action: "offer", userId: buyerId, amount: parseAmount(req.body.amount) });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_offer_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "offer_failed" });
+    }
+  });
+
+  app.get("/api/economy/marketplace/offers", (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const result = listOffers(db, {
+        listingId: req.query.listing_id,
+        buyerId: req.query.buyer_id,
+        sellerId: req.query.seller_id,
+        status: req.query.status,
+        limit,
+        offset,
+      });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log("error", "economy_offer_list_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "offer_list_failed" });
+    }
+  });
+
+  for (const [action, accept] of [["accept", true], ["reject", false]]) {
+    app.post(`/api/economy/marketplace/offers/:offerId/${action}`, (req, res) => {
+      try {
+        const sellerId = req.user?.id;
+        if (!sellerId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+        const ctx = auditCtx(req);
+        const result = respondToOffer(db, {
+          offerId: req.params.offerId, sellerId, accept, requestId: ctx.requestId, ip: ctx.ip,
+        });
+        if (!result.ok) return res.status(400).json(result);
+        res.json(result);
+      } catch (err) {
+        log("error", `economy_offer_${action}_failed`, { error: err.message });
+        res.status(500).json({ ok: false, error: `offer_${action}_failed` });
+      }
+    });
+  }
+
+  app.post("/api/economy/marketplace/offers/:offerId/withdraw", (req, res) => {
+    try {
+      const buyerId = req.user?.id;
+      if (!buyerId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+      const ctx = auditCtx(req);
+      const result = withdrawOffer(db, {
+        offerId: req.params.offerId, buyerId, requestId: ctx.requestId, ip: ctx.ip,
+      });
+      if (!result.ok) return res.status(400).json(result);
+      res.json(result);
+    } catch (err) {
+      log("error", "economy_offer_withdraw_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "offer_withdraw_failed" });
+    }
+  });
+
+  app.post("/api/economy/admin/marketplace/auctions/settle", adminOnly, (_req, res) => {
+    try {
+      res.json(processMarketplaceAuctions(db));
+    } catch (err) {
+      log("error", "economy_auction_settle_failed", { error: err.message });
+      res.status(500).json({ ok: false, error: "auction_settle_failed" });
+    }
+  });
+
   // ═══════════════════════════════════════════════════════════════════════════
   // FEE SPLIT
   // ═══════════════════════════════════════════════════════════════════════════
@@ -4,6 +4,11 @@
 // Royalties halve with each generation but never reach zero (0.05% floor).
 //
 // Formula: royalty(n) = max(initialRate / 2^n, 0.0005)
+//
+// Creators can override the decay per lineage edge with a royalty policy
+// declared on their content (royalty_policies): flat-fee citations, rate or
+// amount caps per parent, public-domain opt-out, and co-creator splits for
+// royalties the content earns as an ancestor.
 
 import { randomUUID } from "crypto";
 import { recordTransactionBatch, generateTxId } from "./ledger.js";
@@ -25,6 +30,9 @@ const DEFAULT_INITIAL_RATE = 0.21;       // 21% initial rate for cascades
 const MAX_CASCADE_DEPTH = 50;            // Maximum lineage depth to traverse
 const CONCORD_SYSTEM_ID = "__CONCORD__"; // System account for Concord-produced content
 
+const POLICY_PARENT_MODES = ["cascade", "flat", "public_domain"];
+const MAX_POLICY_SPLITS = 20;
+
 /**
  * Calculate the royalty rate for a given generation.
  * royalty(n) = max(initialRate / 2^n, 0.0005)
@@ -77,12 +85,217 @@ export function registerCitation(db, { childId, parentId, creatorId, parentCreat
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// ROYALTY POLICIES
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
- * Get the complete ancestor chain for a piece of content.
- * Returns all ancestors with their generation distance.
+ * Validate and normalize a royalty policy.
+ *
+ * Shape:
+ *   {
+ *     splits:  [{ userId, share }],      // co-creator shares of this content's royalty income (sum = 1)
+ *     parents: {
+ *       [parentId]: {
+ *         mode: "cascade" | "flat" | "public_domain",
+ *         flatFee,                        // flat: fixed amount per sale instead of a percentage
+ *         rateCap,                        // cascade: max rate for this parent
+ *         amountCap,                      // max amount per sale for this parent
+ *         reason,                         // required for public_domain
+ *       },
+ *     },
+ *   }
+ *
+ * @returns {{ ok: boolean, policy?: object, error?: string, field?: string }}
  */
-export function getAncestorChain(db, contentId, maxDepth = MAX_CASCADE_DEPTH) {
+export function validateRoyaltyPolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return { ok: false, error: "invalid_policy" };
+  }
+  const unknown = Object.keys(policy).filter((k) => k !== "splits" && k !== "parents");
+  if (unknown.length > 0) return { ok: false, error: "unknown_policy_field", field: unknown[0] };
+
+  const splits = policy.splits ?? [];
+  if (!Array.isArray(splits) || splits.length > MAX_POLICY_SPLITS) {
+    return { ok: false, error: "invalid_splits", field: "splits" };
+  }
+  const seen = new Set();
+  let shareTotal = 0;
+  for (const split of splits) {
+    if (!split?.userId || typeof split.share !== "number" || !(split.share > 0 && split.share <= 1)) {
+      return { ok: false, error: "invalid_split", field: "splits" };
+    }
+    if (seen.has(split.userId)) return { ok: false, error: "duplicate_split_user", field: "splits" };
+    seen.add(split.userId);
+    shareTotal += split.share;
+  }
+  if (splits.length > 0 && Math.abs(shareTotal - 1) > 0.0001) {
+    return { ok: false, error: "split_shares_must_sum_to_one", field: "splits" };
+  }
+
+  const parents = policy.parents ?? {};
+  if (typeof parents !== "object" || Array.isArray(parents)) {
+    return { ok: false, error: "invalid_parents", field: "parents" };
+  }
+  const normalizedParents = {};
+  for (const [parentId, term] of Object.entries(parents)) {
+    const field = `parents.${parentId}`;
+    const mode = term?.mode || "cascade";
+    if (!POLICY_PARENT_MODES.includes(mode)) return { ok: false, error: "invalid_parent_mode", field };
+
+    const entry = { mode };
+    if (mode === "flat") {
+      if (typeof term.flatFee !== "number" || !(term.flatFee >= 0.01)) return { ok: false, error: "invalid_flat_fee", field };
+      entry.flatFee = Math.round(term.flatFee * 100) / 100;
+    }
+    if (mode === "public_domain") {
+      if (!term.reason || typeof term.reason !== "string") return { ok: false, error: "public_domain_reason_required", field };
+      entry.reason = term.reason.slice(0, 500);
+    }
+    if (term.rateCap !== undefined) {
+      if (mode !== "cascade" || typeof term.rateCap !== "number" || !(term.rateCap > 0 && term.rateCap <= 1)) {
+        return { ok: false, error: "invalid_rate_cap", field };
+      }
+      entry.rateCap = term.rateCap;
+    }
+    if (term.amountCap !== undefined) {
+      if (mode === "public_domain" || typeof term.amountCap !== "number" || !(term.amountCap >= 0.01)) {
+        return { ok: false, error: "invalid_amount_cap", field };
+      }
+      entry.amountCap = Math.round(term.amountCap * 100) / 100;
+    }
+    normalizedParents[parentId] = entry;
+  }
+
+  return {
+    ok: true,
+    policy: {
+      splits: splits.map((s) => ({ userId: s.userId, share: s.share })),
+      parents: normalizedParents,
+    },
+  };
+}
+
+// Where a piece of content's creator is recorded. Each table is optional:
+// a database that lacks one simply has no records there.
+const CONTENT_CREATOR_QUERIES = [
+  "SELECT creator_id AS creator FROM dtus WHERE id = ?",
+  "SELECT owner_user_id AS creator FROM dtus WHERE id = ?",
+  "SELECT creator_id AS creator FROM creative_artifacts WHERE id = ?",
+  "SELECT creator_id AS creator FROM film_dtus WHERE id = ?",
+  "SELECT owner_user_id AS creator FROM artifacts WHERE id = ?",
+];
+
+/**
+ * Look up who created a piece of content from its DTU or artifact record,
+ * plus whatever `resolveCreator(contentId)` reports (e.g. in-memory DTUs).
+ * Content with no record of its own falls back to the seller of its first
+ * marketplace listing.
+ *
+ * @returns {Set<string>} creator user IDs (empty when the content is unknown)
+ */
+export function getContentCreators(db, contentId, { resolveCreator } = {}) {
+  const creators = new Set();
+  for (const sql of CONTENT_CREATOR_QUERIES) {
+    try {
+      const creator = db.prepare(sql).get(contentId)?.creator;
+      if (creator) creators.add(creator);
+    } catch {
+      // table or column not present in this database
+    }
+  }
+  const resolved = resolveCreator ? resolveCreator(contentId) : null;
+  for (const creator of [].concat(resolved || [])) creators.add(creator);
+
+  if (creators.size === 0) {
+    try {
+      const seller = db.prepare(`
+        SELECT seller_id FROM marketplace_economy_listings
+        WHERE content_id = ? ORDER BY created_at ASC, rowid ASC LIMIT 1
+      `).get(contentId)?.seller_id;
+      if (seller) creators.add(seller);
+    } catch {
+      // no marketplace tables
+    }
+  }
+  return creators;
+}
+
+/**
+ * Declare (or replace) the royalty policy for a piece of content.
+ * Only the content's creator may do this, as recorded on the content itself
+ * (see getContentCreators). Content with no creator record is refused.
+ */
+export function declareRoyaltyPolicy(db, { contentId, creatorId, policy, resolveCreator }) {
+  if (!contentId) return { ok: false, error: "missing_content_id" };
+  if (!creatorId) return { ok: false, error: "missing_creator_id" };
+
+  const validation = validateRoyaltyPolicy(policy);
+  if (!validation.ok) return validation;
+
+  const creators = getContentCreators(db, contentId, { resolveCreator });
+  if (creators.size === 0) return { ok: false, error: "content_not_found" };
+  if (!creators.has(creatorId)) return { ok: false, error: "not_content_creator" };
+
+  const existing = db.prepare("SELECT creator_id, version FROM royalty_policies WHERE content_id = ?").get(contentId);
+
+  const now = nowISO();
+  const json = JSON.stringify(validation.policy);
+  if (existing) {
+    db.prepare(`
+      UPDATE royalty_policies SET creator_id = ?, policy_json = ?, version = version + 1, updated_at = ? WHERE content_id = ?
+    `).run(creatorId, json, now, contentId);
+  } else {
+    db.prepare(`
+      INSERT INTO royalty_policies (content_id, creator_id, policy_json, version, created_at, updated_at)
+      VALUES (?, ?, ?, 1, ?, ?)
+    `).run(contentId, creatorId, json, now, now);
+  }
+
+  return { ok: true, contentId, policy: validation.policy, version: existing ? existing.version + 1 : 1 };
+}
+
+/**
+ * Get the declared royalty policy for a piece of content, or null.
+ */
+export function getRoyaltyPolicy(db, contentId) {
+  const row = db.prepare("SELECT * FROM royalty_policies WHERE content_id = ?").get(contentId);
+  if (!row) return null;
+  return {
+    contentId: row.content_id,
+    creatorId: row.creator_id,
+    policy: JSON.parse(row.policy_json || "{}"),
+    version: row.version,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Load a policy for cascade evaluation. Content without a policy (or a
+ * database without the royalty_policies table) uses the default decay.
+ */
+function loadPolicy(db, contentId, cache) {
+  if (cache.has(contentId)) return cache.get(contentId);
+  let policy = null;
+  try {
+    const row = db.prepare("SELECT policy_json FROM royalty_policies WHERE content_id = ?").get(contentId);
+    policy = row ? JSON.parse(row.policy_json || "{}") : null;
+  } catch {
+    policy = null;
+  }
+  cache.set(contentId, policy);
+  return policy;
+}
+
+/**
+ * Walk the lineage breadth-first, applying each child's policy to its parent
+ * edges. Public-domain parents are excluded along with everything upstream
+ * of them (reached through that edge).
+ */
+function walkLineage(db, contentId, maxDepth, policyCache) {
   const ancestors = [];
+  const excluded = [];
   const visited = new Set();
   const queue = [{ id: contentId, generation: 0 }];
 
@@ -95,22 +308,149 @@ export function getAncestorChain(db, contentId, maxDepth = MAX_CASCADE_DEPTH) {
       SELECT parent_id, parent_creator, generation
       FROM royalty_lineage WHERE child_id = ?
     `).all(current.id);
+    const terms = loadPolicy(db, current.id, policyCache)?.parents || {};
 
     for (const parent of parents) {
       const totalGeneration = current.generation + parent.generation;
       if (totalGeneration <= maxDepth && !visited.has(parent.parent_id)) {
-        ancestors.push({
+        const term = terms[parent.parent_id] || { mode: "cascade" };
+        if (term.mode === "public_domain") {
+          excluded.push({ contentId: parent.parent_id, creatorId: parent.parent_creator, via: current.id, reason: term.reason });
+          continue;
+        }
+
+        const ancestor = {
           contentId: parent.parent_id,
           creatorId: parent.parent_creator,
           generation: totalGeneration,
-          rate: calculateGenerationalRate(totalGeneration),
-        });
+          rate: term.mode === "flat" ? 0 : calculateGenerationalRate(totalGeneration),
+          mode: term.mode,
+          via: current.id,
+        };
+        if (term.rateCap !== undefined) ancestor.rate = Math.min(ancestor.rate, term.rateCap);
+        if (term.flatFee !== undefined) ancestor.flatFee = term.flatFee;
+        if (term.amountCap !== undefined) ancestor.amountCap = term.amountCap;
+
+        ancestors.push(ancestor);
         queue.push({ id: parent.parent_id, generation: totalGeneration });
       }
     }
   }
 
-  return ancestors;
+  return { ancestors, excluded };
+}
+
+/**
+ * Get the complete ancestor chain for a piece of content.
+ * Returns all ancestors with their generation distance and the rate (or
+ * flat fee) their lineage edge's policy entitles them to.
+ */
+export function getAncestorChain(db, contentId, maxDepth = MAX_CASCADE_DEPTH) {
+  return walkLineage(db, contentId, maxDepth, new Map()).ancestors;
+}
+
+/**
+ * Work out who gets paid for a sale without moving any coin.
+ *
+ * Each ancestor's amount is its rate × sale amount (or its flat fee),
+ * limited by its amount cap, then divided among the ancestor content's
+ * co-creator splits. A recipient is paid once per sale, at their best
+ * amount. The seller and buyer are never paid and sub-penny amounts are
+ * dropped. When the royalties together would exceed the sale amount they
+ * are scaled down pro rata (rounded down to the cent) so they never do.
+ */
+function planRoyaltyPayouts(db, { contentId, transactionAmount, buyerId, sellerId }) {
+  const policyCache = new Map();
+  const { ancestors, excluded } = walkLineage(db, contentId, MAX_CASCADE_DEPTH, policyCache);
+  const skipped = excluded.map((e) => ({ ...e, reason: "public_domain", note: e.reason }));
+
+  const best = new Map();
+  for (const ancestor of ancestors) {
+    let amount = ancestor.mode === "flat"
+      ? Math.min(ancestor.flatFee, transactionAmount)
+      : Math.round(transactionAmount * ancestor.rate * 100) / 100;
+    if (ancestor.amountCap !== undefined) amount = Math.min(amount, ancestor.amountCap);
+
+    const splits = loadPolicy(db, ancestor.contentId, policyCache)?.splits || [];
+    const shares = splits.length > 0 ? splits : [{ userId: ancestor.creatorId, share: 1 }];
+    let allocated = 0;
+    shares.forEach((split, i) => {
+      // Last share takes the rounding remainder so splits add up exactly
+      const shareAmount = i === shares.length - 1
+        ? Math.round((amount - allocated) * 100) / 100
+        : Math.round(amount * split.share * 100) / 100;
+      allocated += shareAmount;
+
+      const existing = best.get(split.userId);
+      if (!existing || shareAmount > existing.amount) {
+        best.set(split.userId, {
+          recipientId: split.userId,
+          contentId: ancestor.contentId,
+          generation: ancestor.generation,
+          rate: ancestor.mode === "flat"
+            ? Math.round((Math.min(ancestor.flatFee, transactionAmount) / transactionAmount) * 1e6) / 1e6
+            : ancestor.rate,
+          mode: ancestor.mode,
+          share: split.share,
+          amount: shareAmount,
+        });
+      }
+    });
+  }
+
+  const payouts = [];
+  let totalRoyalties = 0;
+  for (const [recipientId, payout] of best) {
+    // Don't pay royalties to the seller (they already got paid)
+    if (recipientId === sellerId) { skipped.push({ recipientId, contentId: payout.contentId, reason: "seller" }); continue; }
+    // Don't pay royalties to the buyer
+    if (recipientId === buyerId) { skipped.push({ recipientId, contentId: payout.contentId, reason: "buyer" }); continue; }
+
+    // Skip sub-penny royalties
+    if (payout.amount < 0.01) { skipped.push({ recipientId, contentId: payout.contentId, reason: "sub_penny" }); continue; }
+
+    payouts.push(payout);
+    totalRoyalties = Math.round((totalRoyalties + payout.amount) * 100) / 100;
+  }
+
+  if (totalRoyalties > transactionAmount) {
+    const scale = transactionAmount / totalRoyalties;
+    const scaled = [];
+    totalRoyalties = 0;
+    for (const payout of payouts) {
+      const amount = Math.floor(payout.amount * scale * 100) / 100;
+      if (amount < 0.01) { skipped.push({ recipientId: payout.recipientId, contentId: payout.contentId, reason: "sub_penny" }); continue; }
+      scaled.push({ ...payout, amount, cappedFrom: payout.amount });
+      totalRoyalties = Math.round((totalRoyalties + amount) * 100) / 100;
+    }
+    return { ancestors, payouts: scaled, skipped, totalRoyalties };
+  }
+
+  return { ancestors, payouts, skipped, totalRoyalties };
+}
+
+/**
+ * Dry run: preview the royalty payouts for a sale of `contentId` at
+ * `transactionAmount`, with every declared policy applied.
+ *
+ * @returns {{ ok: boolean, payouts: array, skipped: array, totalRoyalties: number, sellerRetains: number }}
+ */
+export function previewRoyalties(db, { contentId, transactionAmount, buyerId, sellerId }) {
+  if (!contentId || !transactionAmount || transactionAmount <= 0) {
+    return { ok: false, error: "invalid_royalty_params" };
+  }
+  const plan = planRoyaltyPayouts(db, { contentId, transactionAmount, buyerId, sellerId });
+  return {
+    ok: true,
+    dryRun: true,
+    contentId,
+    transactionAmount,
+    ancestorCount: plan.ancestors.length,
+    payouts: plan.payouts,
+    skipped: plan.skipped,
+    totalRoyalties: plan.totalRoyalties,
+    sellerRetains: Math.round((transactionAmount - plan.totalRoyalties) * 100) / 100,
+  };
 }
 
 /**
@@ -132,51 +472,16 @@ export function distributeRoyalties(db, { contentId, transactionAmount, sourceTx
     return { ok: false, error: "invalid_royalty_params" };
   }
 
-  // Get the ancestor chain
-  const ancestors = getAncestorChain(db, contentId);
+  // Evaluate the lineage with every declared policy applied
+  const { ancestors, payouts, totalRoyalties } = planRoyaltyPayouts(db, { contentId, transactionAmount, buyerId, sellerId });
   if (ancestors.length === 0) {
     return { ok: true, totalRoyalties: 0, payouts: [], message: "no_ancestors" };
   }
 
-  // Deduplicate by creator (a creator only gets one payout per transaction, at their best rate)
-  const creatorPayouts = new Map();
-  for (const ancestor of ancestors) {
-    const existing = creatorPayouts.get(ancestor.creatorId);
-    if (!existing || ancestor.rate > existing.rate) {
-      creatorPayouts.set(ancestor.creatorId, ancestor);
-    }
-  }
-
-  // Calculate payout amounts
-  const payouts = [];
-  let totalRoyalties = 0;
-
-  for (const [creatorId, ancestor] of creatorPayouts) {
-    // Don't pay royalties to the seller (they already got paid)
-    if (creatorId === sellerId) continue;
-    // Don't pay royalties to the buyer
-    if (creatorId === buyerId) continue;
-
-    const royaltyAmount = Math.round(transactionAmount * ancestor.rate * 100) / 100;
-    if (royaltyAmount < 0.01) continue; // Skip sub-penny royalties
-
-    payouts.push({
-      recipientId: creatorId,
-      contentId: ancestor.contentId,
-      generation: ancestor.generation,
-      rate: ancestor.rate,
-      amount: royaltyAmount,
-    });
-
-    totalRoyalties += royaltyAmount;
-  }
-
   if (payouts.length === 0) {
     return { ok: true, totalRoyalties: 0, payouts: [], message: "no_payable_royalties" };
   }
 
-  totalRoyalties = Math.round(totalRoyalties * 100) / 100;
-
   // Execute royalty payments atomically
   const royaltyRefId = refId || `royalty:${sourceTxId}:${contentId}`;
   const batchId = generateTxId();
@@ -205,6 +510,8 @@ export function distributeRoyalties(db, { contentId, transactionAmount, sourceTx
           contentId: payout.contentId,
           generation: payout.generation,
           rate: payout.rate,
+          mode: payout.mode,
+          share: payout.share,
           sourceTxId,
         },
         requestId,
@@ -259,22 +566,27 @@ export function distributeRoyalties(db, { contentId, transactionAmount, sourceTx
 }
 
 /**
- * Get royalty history for a creator.
+ * Get royalty history for a creator, optionally within inclusive `from` / `to` bounds.
  */
-export function getCreatorRoyalties(db, creatorId, { limit = 50, offset = 0 } = {}) {
+export function getCreatorRoyalties(db, creatorId, { limit = 50, offset = 0, from, to } = {}) {
+  let where = "WHERE recipient_id = ?";
+  const params = [creatorId];
+  if (from) { where += " AND created_at >= ?"; params.push(from); }
+  if (to) { where += " AND created_at <= ?"; params.push(to); }
+
   const items = db.prepare(`
     SELECT * FROM royalty_payouts
-    WHERE recipient_id = ?
+    ${where}
     ORDER BY created_at DESC LIMIT ? OFFSET ?
-  `).all(creatorId, limit, offset);
+  `).all(...params, limit, offset);
 
   const total = db.prepare(
-    "SELECT COUNT(*) as c FROM royalty_payouts WHERE recipient_id = ?"
-  ).get(creatorId)?.c || 0;
+    `SELECT COUNT(*) as c FROM royalty_payouts ${where}`
+  ).get(...params)?.c || 0;
 
   const totalEarned = db.prepare(
-    "SELECT COALESCE(SUM(amount), 0) as total FROM royalty_payouts WHERE recipient_id = ?"
-  ).get(creatorId)?.total || 0;
+    `SELECT COALESCE(SUM(amount), 0) as total FROM royalty_payouts ${where}`
+  ).get(...params)?.total || 0;
 
   return { items, total, totalEarned: Math.round(totalEarned * 100) / 100, limit, offset };
 }
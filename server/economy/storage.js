@@ -10,6 +10,7 @@
  *
  * Upload → compress → hash → dedup → store once → done forever.
  * Download → check license → stream from vault → log → done.
+ * Licenses come from purchases or, time-limited, from creator subscriptions.
  */
 
 import { randomUUID, createHash } from "crypto";
@@ -254,6 +255,87 @@ export function hasUserDownloaded(db, artifactId, userId) {
   return !!row;
 }
 
+// ─────────────────────────────────────────────────────────────────────
+// Download Rights
+// ─────────────────────────────────────────────────────────────────────
+//
+// Download rights are creative_usage_licenses rows. Purchases write
+// permanent ones; subscriptions write rights with an expiry that moves with
+// the subscription period (source id = subscription id, stored in purchase_id).
+
+/**
+ * Check whether a user may download an artifact.
+ * The creator always may; anyone else needs an active, unexpired license.
+ */
+export function checkDownloadRights(db, artifactId, userId) {
+  if (!artifactId || !userId) return { allowed: false, reason: "missing_required_fields" };
+
+  const artifact = db.prepare("SELECT creator_id FROM creative_artifacts WHERE id = ?").get(artifactId);
+  if (!artifact) return { allowed: false, reason: "artifact_not_found" };
+  if (artifact.creator_id === userId) return { allowed: true, via: "creator" };
+
+  const license = db.prepare(`
+    SELECT id, license_type, expires_at FROM creative_usage_licenses
+    WHERE artifact_id = ? AND licensee_id = ? AND status = 'active'
+      AND (expires_at IS NULL OR expires_at > ?)
+    ORDER BY expires_at IS NULL DESC, expires_at DESC
+    LIMIT 1
+  `).get(artifactId, userId, nowISO());
+
+  if (!license) return { allowed: false, reason: "no_active_license" };
+  return { allowed: true, via: license.license_type, licenseId: license.id, expiresAt: license.expires_at };
+}
+
+/**
+ * Grant time-limited download rights (e.g. to a subscriber for a new release).
+ * No-op when the user already holds a permanent license or a grant from the
+ * same source.
+ */
+export function grantDownloadRights(db, { artifactId, userId, source = "subscription", sourceId, expiresAt }) {
+  if (!artifactId || !userId || !sourceId) return { ok: false, error: "missing_required_fields" };
+
+  const existing = db.prepare(`
+    SELECT id FROM creative_usage_licenses
+    WHERE artifact_id = ? AND licensee_id = ? AND status = 'active'
+      AND (expires_at IS NULL OR purchase_id = ?)
+    LIMIT 1
+  `).get(artifactId, userId, sourceId);
+  if (existing) return { ok: true, licenseId: existing.id, existing: true };
+
+  const id = uid("cul");
+  db.prepare(`
+    INSERT INTO creative_usage_licenses (
+      id, artifact_id, licensee_id, license_type,
+      status, purchase_price, purchase_id, granted_at, expires_at
+    ) VALUES (?, ?, ?, ?, 'active', 0, ?, ?, ?)
+  `).run(id, artifactId, userId, source, sourceId, nowISO(), expiresAt || null);
+
+  return { ok: true, licenseId: id, existing: false };
+}
+
+/**
+ * Move the expiry of every active grant from a source (subscription renewed
+ * or entered its grace period).
+ */
+export function extendDownloadRights(db, { sourceId, source = "subscription", expiresAt }) {
+  const info = db.prepare(`
+    UPDATE creative_usage_licenses SET expires_at = ?
+    WHERE purchase_id = ? AND license_type = ? AND status = 'active'
+  `).run(expiresAt, sourceId, source);
+  return { ok: true, updated: info.changes };
+}
+
+/**
+ * End every active grant from a source (subscription cancelled or expired).
+ */
+export function revokeDownloadRights(db, { sourceId, source = "subscription", status = "expired" }) {
+  const info = db.prepare(`
+    UPDATE creative_usage_licenses SET status = ?, expires_at = COALESCE(expires_at, ?)
+    WHERE purchase_id = ? AND license_type = ? AND status = 'active'
+  `).run(status, nowISO(), sourceId, source);
+  return { ok: true, revoked: info.changes };
+}
+
 // ─────────────────────────────────────────────────────────────────────
 // CRI Cache Operations
 // ─────────────────────────────────────────────────────────────────────
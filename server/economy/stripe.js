@@ -9,6 +9,7 @@ import { recordTransactionBatch, generateTxId } from "./ledger.js";
 import { economyAudit } from "./audit.js";
 import { getBalance } from "./balances.js";
 import { mintCoins, burnCoins } from "./coin-service.js";
+import { convertUsdCents } from "./exchange-rates.js";
 
 // ── Config ──────────────────────────────────────────────────────────────────
 
@@ -23,6 +24,14 @@ const MAX_PURCHASE_TOKENS = 100_000;
 const MIN_WITHDRAW_TOKENS = Number(process.env.MIN_WITHDRAW_TOKENS) || 20;
 const MAX_WITHDRAW_TOKENS_PER_DAY = Number(process.env.MAX_WITHDRAW_TOKENS_PER_DAY) || 5000;
 
+/**
+ * Convert a token amount to USD cents at the checkout price.
+ * Used for checkout, payouts and fiat figures in accounting exports.
+ */
+export function tokensToUsdCents(tokens) {
+  return Math.round((tokens / TOKENS_PER_USD) * 100);
+}
+
 const FRONTEND_URL = process.env.FRONTEND_URL || process.env.NEXT_PUBLIC_API_URL || "https://concord-os.org";
 
 let _stripe = null;
@@ -83,7 +92,26 @@ function markOnboardingComplete(db, userId) {
 
 // ── B2: Create Checkout Session ─────────────────────────────────────────────
 
-export async function createCheckoutSession(db, { userId, tokens, requestId, ip }) {
+/**
+ * Price a token purchase in the buyer's currency. Tokens are pegged to USD;
+ * other currencies are converted at the cached exchange rate.
+ * @returns {{ ok: boolean, currency: string, unitAmount: number, usdCents: number, rate: number, rateAsOf: string|null }}
+ */
+export function buildCheckoutPrice(tokens, currency = "USD") {
+  const usdCents = tokensToUsdCents(tokens);
+  const converted = convertUsdCents(usdCents, currency);
+  if (!converted.ok) return converted;
+  return {
+    ok: true,
+    currency: converted.currency,
+    unitAmount: converted.minorAmount,
+    usdCents,
+    rate: converted.rate,
+    rateAsOf: converted.asOf,
+  };
+}
+
+export async function createCheckoutSession(db, { userId, tokens, currency = "USD", requestId, ip }) {
   const stripeClient = await getStripe();
   if (!stripeClient) return { ok: false, error: "stripe_not_configured" };
 
@@ -91,8 +119,11 @@ export async function createCheckoutSession(db, { userId, tokens, requestId, ip
     return { ok: false, error: "invalid_token_amount", min: MIN_PURCHASE_TOKENS, max: MAX_PURCHASE_TOKENS };
   }
 
-  // Convert tokens to USD cents (1 token = $1 * TOKENS_PER_USD)
-  const priceInCents = Math.round((tokens / TOKENS_PER_USD) * 100);
+  // Convert tokens to USD cents (1 token = $1 * TOKENS_PER_USD), then to the
+  // buyer's currency in its minor units
+  const price = buildCheckoutPrice(tokens, currency);
+  if (!price.ok) return price;
+  const priceInCents = price.usdCents;
 
   // Deterministic idempotency key: hash(userId + amount + nonce)
   // Prevents duplicate sessions on rapid double-clicks
@@ -107,11 +138,11 @@ export async function createCheckoutSession(db, { userId, tokens, requestId, ip
       payment_method_types: ["card"],
       line_items: [{
         price_data: {
-          currency: "usd",
+          currency: price.currency.toLowerCase(),
           product_data: {
             name: `${tokens} Concord Tokens`,
           },
-          unit_amount: priceInCents,
+          unit_amount: price.unitAmount,
         },
         quantity: 1,
       }],
@@ -123,6 +154,9 @@ export async function createCheckoutSession(db, { userId, tokens, requestId, ip
         tokens: String(tokens),
         purpose: "TOKEN_PURCHASE",
         idempotencyKey,
+        currency: price.currency,
+        usdCents: String(priceInCents),
+        exchangeRate: String(price.rate),
       },
     });
 
@@ -130,7 +164,7 @@ export async function createCheckoutSession(db, { userId, tokens, requestId, ip
       action: "checkout_session_created",
       userId,
       amount: tokens,
-      details: { sessionId: session.id, priceInCents },
+      details: { sessionId: session.id, priceInCents, currency: price.currency, unitAmount: price.unitAmount, rateAsOf: price.rateAsOf },
       requestId,
       ip,
     });
@@ -381,7 +415,7 @@ export async function processStripeWithdrawal(db, { withdrawalId, requestId, ip
   }
 
   // Convert tokens to USD cents
-  const payoutAmountCents = Math.round((wd.net / TOKENS_PER_USD) * 100);
+  const payoutAmountCents = tokensToUsdCents(wd.net);
 
   // CRITICAL: Correct withdrawal order to prevent money loss on crash.
   // Step 1: Debit ledger with "pending_payout" status FIRST
@@ -0,0 +1,265 @@
+// economy/tax-profiles.js
+// Creator tax profiles: W-9 (US persons), W-8BEN (foreign individuals) and
+// W-8BEN-E (foreign entities).
+//
+// Form fields are encrypted with AES-256-GCM before they reach SQLite; the
+// user ID is bound in as additional authenticated data so a ciphertext can't
+// be moved to another user's row. Only the form type, country, TIN last four
+// and certification are stored in the clear.
+//
+// Withdrawals are gated on a profile once a user's withdrawals in the
+// calendar year would exceed TAX_PROFILE_WITHDRAWAL_THRESHOLD_USD.
+//
+// TAX_PROFILE_ENCRYPTION_KEY must be set; without it saving and revealing
+// profiles fail with tax_profile_encryption_not_configured.
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+import { tokensToUsdCents } from "./stripe.js";
+
+export const TAX_FORM_TYPES = Object.freeze(["W-9", "W-8BEN", "W-8BEN-E"]);
+
+export const TAX_PROFILE_WITHDRAWAL_THRESHOLD_USD =
+  Number(process.env.TAX_PROFILE_WITHDRAWAL_THRESHOLD_USD) || 600;
+
+const TAX_PROFILE_KEY_VERSION = 1;
+// No default: without TAX_PROFILE_ENCRYPTION_KEY tax forms are neither saved nor read
+const TAX_PROFILE_ENCRYPTION_SECRET = process.env.TAX_PROFILE_ENCRYPTION_KEY || "";
+export const TAX_PROFILES_ENABLED = Boolean(TAX_PROFILE_ENCRYPTION_SECRET);
+
+const W9_CLASSIFICATIONS = Object.freeze([
+  "individual", "c_corporation", "s_corporation", "partnership", "trust_estate", "llc", "other",
+]);
+
+function nowISO() {
+  return new Date().toISOString().replace("T", " ").replace("Z", "");
+}
+
+function encryptionKey(secret) {
+  return createHash("sha256").update(secret).digest();
+}
+
+function encryptFields(userId, fields, secret) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", encryptionKey(secret), iv);
+  cipher.setAAD(Buffer.from(`tax_profile:${userId}`));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(fields), "utf8"), cipher.final()]);
+  return {
+    ciphertext: ciphertext.toString("base64"),
+    iv: iv.toString("base64"),
+    authTag: cipher.getAuthTag().toString("base64"),
+  };
+}
+
+function decryptFields(row, secret) {
+  const decipher = createDecipheriv("aes-256-gcm", encryptionKey(secret), Buffer.from(row.iv, "base64"));
+  decipher.setAAD(Buffer.from(`tax_profile:${row.user_id}`));
+  decipher.setAuthTag(Buffer.from(row.auth_tag, "base64"));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(row.ciphertext, "base64")), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+function str(value, max = 200) {
+  return typeof value === "string" && value.trim() && value.trim().length <= max ? value.trim() : null;
+}
+
+function countryCode(value) {
+  return typeof value === "string" && /^[A-Za-z]{2}$/.test(value.trim()) ? value.trim().toUpperCase() : null;
+}
+
+function validateAddress(address, { us }) {
+  if (!address || typeof address !== "object") return { ok: false, error: "missing_field", field: "address" };
+  const clean = {
+    line1: str(address.line1),
+    line2: str(address.line2) || undefined,
+    city: str(address.city, 100),
+    state: str(address.state, 100) || undefined,
+    postalCode: str(address.postalCode, 20) || undefined,
+    country: us ? "US" : countryCode(address.country),
+  };
+  for (const field of ["line1", "city", "country"]) {
+    if (!clean[field]) return { ok: false, error: "missing_field", field: `address.${field}` };
+  }
+  if (us && (!clean.state || !clean.postalCode)) {
+    return { ok: false, error: "missing_field", field: clean.state ? "address.postalCode" : "address.state" };
+  }
+  return { ok: true, address: clean };
+}
+
+/**
+ * Validate and normalize the fields of a tax form.
+ * @returns {{ ok: boolean, fields?: object, country?: string, tinLast4?: string|null, error?: string, field?: string }}
+ */
+export function validateTaxForm(formType, input) {
+  if (!TAX_FORM_TYPES.includes(formType)) return { ok: false, error: "invalid_form_type", validTypes: TAX_FORM_TYPES };
+  if (!input || typeof input !== "object") return { ok: false, error: "missing_fields" };
+
+  if (formType === "W-9") {
+    const name = str(input.name);
+    if (!name) return { ok: false, error: "missing_field", field: "name" };
+    if (!W9_CLASSIFICATIONS.includes(input.taxClassification)) {
+      return { ok: false, error: "invalid_tax_classification", validClassifications: W9_CLASSIFICATIONS };
+    }
+    if (!["ssn", "ein"].includes(input.tinType)) return { ok: false, error: "invalid_tin_type" };
+    const tin = String(input.tin ?? "").replace(/[\s-]/g, "");
+    if (!/^\d{9}$/.test(tin)) return { ok: false, error: "invalid_tin" };
+    const address = validateAddress(input.address, { us: true });
+    if (!address.ok) return address;
+    return {
+      ok: true,
+      country: "US",
+      tinLast4: tin.slice(-4),
+      fields: {
+        name, businessName: str(input.businessName) || undefined,
+        taxClassification: input.taxClassification, tinType: input.tinType, tin, address: address.address,
+      },
+    };
+  }
+
+  const address = validateAddress(input.address, { us: false });
+  if (!address.ok) return address;
+  const foreignTin = str(input.foreignTin, 40) || undefined;
+
+  if (formType === "W-8BEN") {
+    const name = str(input.name);
+    if (!name) return { ok: false, error: "missing_field", field: "name" };
+    const citizenship = countryCode(input.countryOfCitizenship);
+    if (!citizenship || citizenship === "US") return { ok: false, error: "invalid_country", field: "countryOfCitizenship" };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(input.dateOfBirth ?? ""))) return { ok: false, error: "invalid_date_of_birth" };
+    return {
+      ok: true,
+      country: citizenship,
+      tinLast4: foreignTin ? foreignTin.slice(-4) : null,
+      fields: {
+        name, countryOfCitizenship: citizenship, dateOfBirth: input.dateOfBirth, foreignTin,
+        treatyCountry: countryCode(input.treatyCountry) || undefined, address: address.address,
+      },
+    };
+  }
+
+  // W-8BEN-E
+  const organizationName = str(input.organizationName);
+  if (!organizationName) return { ok: false, error: "missing_field", field: "organizationName" };
+  const incorporation = countryCode(input.countryOfIncorporation);
+  if (!incorporation || incorporation === "US") return { ok: false, error: "invalid_country", field: "countryOfIncorporation" };
+  const chapter3Status = str(input.chapter3Status, 60);
+  if (!chapter3Status) return { ok: false, error: "missing_field", field: "chapter3Status" };
+  return {
+    ok: true,
+    country: incorporation,
+    tinLast4: foreignTin ? foreignTin.slice(-4) : null,
+    fields: { organizationName, countryOfIncorporation: incorporation, chapter3Status, foreignTin, address: address.address },
+  };
+}
+
+function summarize(row) {
+  return {
+    userId: row.user_id,
+    formType: row.form_type,
+    country: row.country,
+    tinLast4: row.tin_last4,
+    certifiedName: row.certified_name,
+    certifiedAt: row.certified_at,
+    version: row.version,
+    updatedAt: row.updated_at,
+  };
+}
+
+// ── Profiles ─────────────────────────────────────────────────────────────────
+
+/**
+ * Save (or replace) a user's tax profile. The user must certify the form
+ * by typing their name as a signature.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} opts.userId
+ * @param {string} opts.formType — W-9 | W-8BEN | W-8BEN-E
+ * @param {object} opts.fields — form fields (see validateTaxForm)
+ * @param {string} opts.certifiedName — signature
+ * @param {boolean} opts.certify — must be true
+ * @param {string} [opts.secret] — encryption secret (defaults to TAX_PROFILE_ENCRYPTION_KEY)
+ */
+export function saveTaxProfile(db, { userId, formType, fields, certifiedName, certify, secret = TAX_PROFILE_ENCRYPTION_SECRET }) {
+  if (!userId) return { ok: false, error: "missing_user_id" };
+  if (certify !== true) return { ok: false, error: "certification_required" };
+  const signature = str(certifiedName);
+  if (!signature) return { ok: false, error: "missing_field", field: "certifiedName" };
+
+  const form = validateTaxForm(formType, fields);
+  if (!form.ok) return form;
+  if (!secret) return { ok: false, error: "tax_profile_encryption_not_configured" };
+
+  const sealed = encryptFields(userId, form.fields, secret);
+  const now = nowISO();
+  db.prepare(`
+    INSERT INTO creator_tax_profiles (
+      user_id, form_type, country, tin_last4, ciphertext, iv, auth_tag, key_version,
+      certified_name, certified_at, version, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      form_type = excluded.form_type, country = excluded.country, tin_last4 = excluded.tin_last4,
+      ciphertext = excluded.ciphertext, iv = excluded.iv, auth_tag = excluded.auth_tag,
+      key_version = excluded.key_version, certified_name = excluded.certified_name,
+      certified_at = excluded.certified_at, version = creator_tax_profiles.version + 1,
+      updated_at = excluded.updated_at
+  `).run(userId, formType, form.country, form.tinLast4, sealed.ciphertext, sealed.iv, sealed.authTag,
+    TAX_PROFILE_KEY_VERSION, signature, now, now, now);
+
+  return { ok: true, profile: getTaxProfile(db, userId) };
+}
+
+/**
+ * Get a user's tax profile summary (no decrypted fields), or null.
+ */
+export function getTaxProfile(db, userId) {
+  const row = db.prepare("SELECT * FROM creator_tax_profiles WHERE user_id = ?").get(userId);
+  return row ? summarize(row) : null;
+}
+
+/**
+ * Decrypt a user's full tax form. Admin/compliance use only — callers are
+ * expected to audit-log every reveal.
+ */
+export function revealTaxProfile(db, userId, { secret = TAX_PROFILE_ENCRYPTION_SECRET } = {}) {
+  if (!secret) return { ok: false, error: "tax_profile_encryption_not_configured" };
+  const row = db.prepare("SELECT * FROM creator_tax_profiles WHERE user_id = ?").get(userId);
+  if (!row) return { ok: false, error: "tax_profile_not_found" };
+  try {
+    return { ok: true, profile: summarize(row), fields: decryptFields(row, secret) };
+  } catch {
+    return { ok: false, error: "tax_profile_decrypt_failed" };
+  }
+}
+
+/**
+ * Check whether a withdrawal needs a tax profile first: once the user's
+ * withdrawals this calendar year (including open requests and this one)
+ * exceed the threshold, a profile is required.
+ *
+ * @returns {{ ok: boolean, required: boolean, yearToDateUsd: number, thresholdUsd: number, error?: string }}
+ */
+export function checkWithdrawalTaxGate(db, { userId, amount, now, thresholdUsd = TAX_PROFILE_WITHDRAWAL_THRESHOLD_USD }) {
+  const at = now ? new Date(now) : new Date();
+  const yearStart = `${at.getUTCFullYear()}-01-01 00:00:00.000`;
+
+  let hasProfile;
+  try {
+    hasProfile = !!db.prepare("SELECT 1 FROM creator_tax_profiles WHERE user_id = ?").get(userId);
+  } catch {
+    return { ok: true, required: false, yearToDateUsd: 0, thresholdUsd }; // profiles table not migrated yet
+  }
+
+  const withdrawn = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as total FROM economy_withdrawals
+    WHERE user_id = ? AND created_at >= ? AND status IN ('pending', 'approved', 'processing', 'complete')
+  `).get(userId, yearStart)?.total || 0;
+
+  const yearToDateUsd = tokensToUsdCents(withdrawn + amount) / 100;
+  const required = yearToDateUsd > thresholdUsd;
+  if (required && !hasProfile) {
+    return { ok: false, error: "tax_profile_required", required, yearToDateUsd, thresholdUsd };
+  }
+  return { ok: true, required, yearToDateUsd, thresholdUsd };
+}
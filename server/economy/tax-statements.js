@@ -0,0 +1,398 @@
+// economy/tax-statements.js
+// Per-creator annual statements and 1099-style threshold reports.
+//
+// Statements are built from the ledger: income is every completed row paid
+// *into* the creator's wallet by another account (the from-less credit
+// mirrors written by executeTransfer are skipped so nothing counts twice).
+// Categories follow the reporting forms:
+//   1099-K    — payment transactions: marketplace sales, subscriptions, tips,
+//               bounties and contract (escrow) payments, gross of fees
+//   1099-MISC — royalties received
+//
+// These are informational summaries; they are not filed with any tax authority.
+
+import { tokensToUsdCents } from "./stripe.js";
+import { getTaxProfile } from "./tax-profiles.js";
+import { renderPDF } from "../lib/renderers/pdf-renderer.js";
+
+export const TAX_THRESHOLDS = Object.freeze({
+  FORM_1099_K: Object.freeze({ grossUsd: 20000, transactions: 200 }),
+  FORM_1099_MISC: Object.freeze({ royaltiesUsd: 10 }),
+});
+
+export const INCOME_CATEGORIES = Object.freeze([
+  "marketplaceSales", "subscriptions", "tips", "bounties", "contractPayments", "royaltiesReceived",
+]);
+
+const PAYMENT_CATEGORIES = INCOME_CATEGORIES.filter((c) => c !== "royaltiesReceived");
+
+const CATEGORY_LABELS = Object.freeze({
+  marketplaceSales: "Marketplace sales",
+  subscriptions: "Subscriptions",
+  tips: "Tips",
+  bounties: "Bounties",
+  contractPayments: "Contract payments",
+  royaltiesReceived: "Royalties received",
+});
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function toCents(x) {
+  return Math.round(Number(x || 0) * 100);
+}
+
+function fromCents(c) {
+  return c / 100;
+}
+
+function usd(tokenCents) {
+  return tokensToUsdCents(fromCents(tokenCents)) / 100;
+}
+
+function yearBounds(year) {
+  return { from: `${year}-01-01 00:00:00.000`, to: `${year + 1}-01-01 00:00:00.000` };
+}
+
+function validYear(year) {
+  const y = Number(year);
+  return Number.isInteger(y) && y >= 2000 && y <= 9999 ? y : null;
+}
+
+function parseMeta(json) {
+  try { return JSON.parse(json || "{}"); } catch { return {}; }
+}
+
+function isPlatformAccount(userId) {
+  return !userId || userId.startsWith("__") || userId.startsWith("emergent_");
+}
+
+function emptyAccumulator() {
+  const income = {};
+  for (const c of INCOME_CATEGORIES) income[c] = { count: 0, gross: 0, fees: 0, net: 0 };
+  return { income, royaltiesPaid: 0, cascadePaid: 0, refundsIssued: 0, monthly: new Array(12).fill(0) };
+}
+
+function incomeCategory(row, meta) {
+  switch (row.type) {
+    case "MARKETPLACE_PURCHASE": return "marketplaceSales";
+    case "SUBSCRIPTION": return "subscriptions";
+    case "ESCROW_RELEASE": return "contractPayments";
+    case "ROYALTY": return "royaltiesReceived";
+    case "TRANSFER":
+      if (meta.subtype === "TIP") return "tips";
+      if (meta.subtype === "BOUNTY_CLAIM") return "bounties";
+      return null;
+    default: return null;
+  }
+}
+
+/**
+ * Fold one ledger row into a creator's accumulator. All sums are kept in
+ * token cents.
+ */
+function accumulate(acc, row, userId) {
+  const meta = parseMeta(row.metadata_json);
+
+  if (row.to_user_id === userId && row.from_user_id) {
+    const category = incomeCategory(row, meta);
+    if (!category) return;
+    // Creative artifact sales pay the creator from the platform account with
+    // the buyer's price and the fees recorded in metadata.
+    const gross = toCents(meta.grossPrice ?? row.amount);
+    const fees = toCents(meta.fees ?? row.fee);
+    const bucket = acc.income[category];
+    bucket.count++;
+    bucket.gross += gross;
+    bucket.fees += fees;
+    bucket.net += toCents(row.net);
+    if (meta.cascadePaid) acc.cascadePaid += toCents(meta.cascadePaid);
+    if (category !== "royaltiesReceived") {
+      const month = Number(String(row.created_at).slice(5, 7)) - 1;
+      if (month >= 0 && month < 12) acc.monthly[month] += gross;
+    }
+    return;
+  }
+
+  if (row.from_user_id === userId) {
+    if (row.type === "ROYALTY") acc.royaltiesPaid += toCents(row.amount);
+    else if (row.type === "SUBSCRIPTION_REFUND") acc.refundsIssued += toCents(row.amount);
+  }
+}
+
+function summarizeForms(acc, thresholds) {
+  let grossCents = 0;
+  let transactions = 0;
+  for (const c of PAYMENT_CATEGORIES) {
+    grossCents += acc.income[c].gross;
+    transactions += acc.income[c].count;
+  }
+  const grossUsd = usd(grossCents);
+  const royaltiesUsd = usd(acc.income.royaltiesReceived.gross);
+  return {
+    grossCents,
+    transactions,
+    forms: {
+      "1099-K": {
+        reportable: grossUsd >= thresholds.FORM_1099_K.grossUsd && transactions >= thresholds.FORM_1099_K.transactions,
+        grossUsd,
+        transactions,
+      },
+      "1099-MISC": {
+        reportable: royaltiesUsd >= thresholds.FORM_1099_MISC.royaltiesUsd,
+        royaltiesUsd,
+      },
+    },
+  };
+}
+
+function resolveThresholds(overrides) {
+  return {
+    FORM_1099_K: { ...TAX_THRESHOLDS.FORM_1099_K, ...(overrides?.FORM_1099_K || {}) },
+    FORM_1099_MISC: { ...TAX_THRESHOLDS.FORM_1099_MISC, ...(overrides?.FORM_1099_MISC || {}) },
+  };
+}
+
+function safeTaxProfile(db, userId) {
+  try {
+    return getTaxProfile(db, userId);
+  } catch {
+    return null; // profiles table not migrated yet
+  }
+}
+
+// ── Statements ───────────────────────────────────────────────────────────────
+
+/**
+ * Build a creator's annual statement: gross sales by category, royalties
+ * received and paid, platform fees withheld, refunds, withdrawals and the
+ * 1099 forms the year's activity would trigger.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {string} opts.userId
+ * @param {number} opts.year — calendar year (UTC)
+ * @param {object} [opts.thresholds] — overrides for TAX_THRESHOLDS
+ */
+export function getAnnualStatement(db, { userId, year, thresholds } = {}) {
+  if (!userId) return { ok: false, error: "missing_user_id" };
+  const y = validYear(year);
+  if (!y) return { ok: false, error: "invalid_year" };
+
+  const { from, to } = yearBounds(y);
+  const acc = emptyAccumulator();
+  const rows = db.prepare(`
+    SELECT type, from_user_id, to_user_id, amount, fee, net, metadata_json, created_at
+    FROM economy_ledger
+    WHERE (to_user_id = ? OR from_user_id = ?) AND status = 'complete'
+      AND created_at >= ? AND created_at < ?
+    ORDER BY created_at ASC
+  `).iterate(userId, userId, from, to);
+  for (const row of rows) accumulate(acc, row, userId);
+
+  const withdrawals = db.prepare(`
+    SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as amount,
+           COALESCE(SUM(fee), 0) as fees, COALESCE(SUM(net), 0) as net
+    FROM economy_withdrawals
+    WHERE user_id = ? AND status = 'complete' AND processed_at >= ? AND processed_at < ?
+  `).get(userId, from, to);
+
+  const { grossCents, transactions, forms } = summarizeForms(acc, resolveThresholds(thresholds));
+
+  let feeCents = 0;
+  let netCents = 0;
+  const income = {};
+  for (const c of INCOME_CATEGORIES) {
+    const b = acc.income[c];
+    feeCents += b.fees;
+    netCents += b.net;
+    income[c] = { count: b.count, gross: fromCents(b.gross), fees: fromCents(b.fees), net: fromCents(b.net) };
+  }
+  // Creative-sale cascades are already taken out of the seller's net;
+  // marketplace royalties are paid from the seller's wallet afterwards.
+  const netEarningsCents = netCents - acc.royaltiesPaid - acc.refundsIssued;
+
+  return {
+    ok: true,
+    userId,
+    year: y,
+    period: { from, to },
+    income,
+    totals: {
+      grossPayments: fromCents(grossCents),
+      paymentTransactions: transactions,
+      royaltiesReceived: fromCents(acc.income.royaltiesReceived.gross),
+      royaltiesPaid: fromCents(acc.royaltiesPaid + acc.cascadePaid),
+      feesWithheld: fromCents(feeCents),
+      refundsIssued: fromCents(acc.refundsIssued),
+      netEarnings: fromCents(netEarningsCents),
+    },
+    withdrawals: {
+      count: withdrawals.count,
+      amount: withdrawals.amount,
+      fees: withdrawals.fees,
+      net: withdrawals.net,
+    },
+    usd: {
+      grossPayments: usd(grossCents),
+      royaltiesReceived: usd(acc.income.royaltiesReceived.gross),
+      feesWithheld: usd(feeCents),
+      netEarnings: usd(netEarningsCents),
+      withdrawals: tokensToUsdCents(withdrawals.amount) / 100,
+    },
+    monthlyGrossPayments: acc.monthly.map((c, i) => ({
+      month: `${y}-${String(i + 1).padStart(2, "0")}`,
+      gross: fromCents(c),
+    })),
+    forms,
+    taxProfile: safeTaxProfile(db, userId),
+  };
+}
+
+/**
+ * Admin report: every creator whose activity in the year crosses a 1099-K
+ * or 1099-MISC threshold, with their tax profile status.
+ *
+ * @param {object} db
+ * @param {object} opts
+ * @param {number} opts.year
+ * @param {object} [opts.thresholds] — overrides for TAX_THRESHOLDS
+ * @param {boolean} [opts.includeBelowThreshold=false] — list every earning creator
+ */
+export function getTaxThresholdReport(db, { year, thresholds, includeBelowThreshold = false } = {}) {
+  const y = validYear(year);
+  if (!y) return { ok: false, error: "invalid_year" };
+  const resolved = resolveThresholds(thresholds);
+  const { from, to } = yearBounds(y);
+
+  const byUser = new Map();
+  const rows = db.prepare(`
+    SELECT type, from_user_id, to_user_id, amount, fee, net, metadata_json, created_at
+    FROM economy_ledger
+    WHERE from_user_id IS NOT NULL AND to_user_id IS NOT NULL AND status = 'complete'
+      AND type IN ('MARKETPLACE_PURCHASE', 'SUBSCRIPTION', 'ESCROW_RELEASE', 'ROYALTY', 'TRANSFER')
+      AND created_at >= ? AND created_at < ?
+  `).iterate(from, to);
+  for (const row of rows) {
+    if (isPlatformAccount(row.to_user_id)) continue;
+    let acc = byUser.get(row.to_user_id);
+    if (!acc) {
+      acc = emptyAccumulator();
+      byUser.set(row.to_user_id, acc);
+    }
+    accumulate(acc, row, row.to_user_id);
+  }
+
+  let profiles = new Map();
+  try {
+    profiles = new Map(db.prepare("SELECT user_id, form_type, tin_last4 FROM creator_tax_profiles").all()
+      .map((p) => [p.user_id, p]));
+  } catch { /* profiles table not migrated yet */ }
+
+  const creators = [];
+  for (const [userId, acc] of byUser) {
+    const { forms } = summarizeForms(acc, resolved);
+    const reportable = forms["1099-K"].reportable || forms["1099-MISC"].reportable;
+    if (!reportable && !includeBelowThreshold) continue;
+    if (forms["1099-K"].transactions === 0 && acc.income.royaltiesReceived.count === 0) continue;
+    const profile = profiles.get(userId);
+    creators.push({
+      userId,
+      forms,
+      reportable,
+      taxProfile: profile ? { formType: profile.form_type, tinLast4: profile.tin_last4 } : null,
+      missingTaxProfile: reportable && !profile,
+    });
+  }
+  creators.sort((a, b) => b.forms["1099-K"].grossUsd - a.forms["1099-K"].grossUsd || a.userId.localeCompare(b.userId));
+
+  return {
+    ok: true,
+    year: y,
+    thresholds: resolved,
+    creators,
+    summary: {
+      reportable1099K: creators.filter((c) => c.forms["1099-K"].reportable).length,
+      reportable1099Misc: creators.filter((c) => c.forms["1099-MISC"].reportable).length,
+      missingTaxProfiles: creators.filter((c) => c.missingTaxProfile).length,
+    },
+  };
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────────────
+
+function cc(n) {
+  return `${Number(n).toFixed(2)} CC`;
+}
+
+function dollars(n) {
+  return `$${Number(n).toFixed(2)}`;
+}
+
+/**
+ * Render an annual statement (from getAnnualStatement) as a PDF.
+ * @returns {Promise<Buffer>}
+ */
+export async function renderAnnualStatementPDF(statement, { generatedAt } = {}) {
+  const profile = statement.taxProfile;
+  const sections = [
+    { type: "title", text: `Annual Creator Statement — ${statement.year}` },
+    {
+      type: "meta",
+      fields: [
+        { label: "Account", value: statement.userId },
+        { label: "Period", value: `${statement.year}-01-01 to ${statement.year}-12-31 (UTC)` },
+        { label: "Tax form on file", value: profile ? `${profile.formType} (TIN ending ${profile.tinLast4 || "n/a"})` : "None" },
+      ],
+    },
+    { type: "heading", text: "Income" },
+    {
+      type: "table",
+      headers: ["Category", "Transactions", "Gross", "Fees", "Net"],
+      rows: INCOME_CATEGORIES.map((c) => {
+        const b = statement.income[c];
+        return [CATEGORY_LABELS[c], String(b.count), cc(b.gross), cc(b.fees), cc(b.net)];
+      }),
+    },
+    { type: "heading", text: "Summary" },
+    {
+      type: "table",
+      headers: ["Item", "Concord Coin", "USD"],
+      rows: [
+        ["Gross payments (1099-K basis)", cc(statement.totals.grossPayments), dollars(statement.usd.grossPayments)],
+        ["Royalties received (1099-MISC basis)", cc(statement.totals.royaltiesReceived), dollars(statement.usd.royaltiesReceived)],
+        ["Platform fees withheld", cc(statement.totals.feesWithheld), dollars(statement.usd.feesWithheld)],
+        ["Royalties paid to upstream creators", cc(statement.totals.royaltiesPaid), ""],
+        ["Refunds issued", cc(statement.totals.refundsIssued), ""],
+        ["Net earnings", cc(statement.totals.netEarnings), dollars(statement.usd.netEarnings)],
+        ["Withdrawals", cc(statement.withdrawals.amount), dollars(statement.usd.withdrawals)],
+      ],
+    },
+    { type: "heading", text: "Monthly gross payments" },
+    {
+      type: "table",
+      headers: ["Month", "Gross"],
+      rows: statement.monthlyGrossPayments.map((m) => [m.month, cc(m.gross)]),
+    },
+    { type: "heading", text: "Information returns" },
+    {
+      type: "list",
+      items: [
+        `Form 1099-K: ${statement.forms["1099-K"].reportable ? "threshold met" : "below threshold"} `
+          + `(${dollars(statement.forms["1099-K"].grossUsd)}, ${statement.forms["1099-K"].transactions} transactions)`,
+        `Form 1099-MISC: ${statement.forms["1099-MISC"].reportable ? "threshold met" : "below threshold"} `
+          + `(${dollars(statement.forms["1099-MISC"].royaltiesUsd)} royalties)`,
+      ],
+    },
+    {
+      type: "note",
+      text: "This statement summarizes activity recorded on the Concord ledger. It is provided for your records "
+        + "and is not a tax form. Consult a tax professional about your reporting obligations.",
+    },
+  ];
+
+  return renderPDF(sections, {
+    title: "Concord Annual Statement",
+    domain: "Concord Economy",
+    generatedAt: generatedAt || new Date().toISOString(),
+  });
+}
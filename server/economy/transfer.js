@@ -5,6 +5,7 @@
 import { recordTransactionBatch, generateTxId, checkRefIdProcessed } from "./ledger.js";
 import { calculateFee, PLATFORM_ACCOUNT_ID } from "./fees.js";
 import { validateAmount, validateBalance, validateUsers } from "./validators.js";
+import { screenTransaction } from "./fraud-engine.js";
 
 /**
  * Execute an atomic transfer between two users.
@@ -18,9 +19,14 @@ import { validateAmount, validateBalance, validateUsers } from "./validators.js"
  *   6. Create fee record (to platform)
  *   7. Commit all together
  *
+ * The transfer is fraud-screened first (economy/fraud-engine.js); a risky
+ * one is held for review and returns { ok: false, error: "held_for_review",
+ * held: true, reviewId }. Pass `screen: false` when the caller screened the
+ * action itself or runs this inside its own transaction.
+ *
  * @returns {{ ok: boolean, transactions: array, error?: string }}
  */
-export function executeTransfer(db, { from, to, amount, type = "TRANSFER", metadata = {}, refId, requestId, ip }) {
+export function executeTransfer(db, { from, to, amount, type = "TRANSFER", metadata = {}, refId, requestId, ip, screen = true }) {
   // Idempotency: if refId provided, check if already processed
   if (refId) {
     const existing = checkRefIdProcessed(db, refId);
@@ -33,6 +39,13 @@ export function executeTransfer(db, { from, to, amount, type = "TRANSFER", metad
   const userCheck = validateUsers(from, to);
   if (!userCheck.ok) return userCheck;
 
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "transfer", userId: from, counterpartyId: to, amount, payload: { from, to, amount, type, metadata },
+    });
+    if (check.held) return check;
+  }
+
   // 2-3. Compute fee and net
   const { fee, net } = calculateFee(type, amount);
 
@@ -209,8 +222,9 @@ export function executePurchase(db, { userId, amount, metadata = {}, refId, requ
 
 /**
  * Execute a marketplace purchase: buyer pays seller, platform takes fee.
+ * Fraud-screened like executeTransfer (`screen: false` to skip).
  */
-export function executeMarketplacePurchase(db, { buyerId, sellerId, amount, listingId, metadata = {}, refId, requestId, ip }) {
+export function executeMarketplacePurchase(db, { buyerId, sellerId, amount, listingId, metadata = {}, refId, requestId, ip, screen = true }) {
   // Idempotency: if refId provided, check if already processed
   if (refId) {
     const existing = checkRefIdProcessed(db, refId);
@@ -222,6 +236,14 @@ export function executeMarketplacePurchase(db, { buyerId, sellerId, amount, list
   if (!amtCheck.ok) return amtCheck;
   if (!buyerId) return { ok: false, error: "missing_buyer_id" };
 
+  if (screen) {
+    const check = screenTransaction(db, {
+      action: "marketplace_purchase", userId: buyerId, counterpartyId: sellerId, amount,
+      payload: { buyerId, sellerId, amount, listingId, metadata },
+    });
+    if (check.held) return check;
+  }
+
   const { fee, net } = calculateFee("MARKETPLACE_PURCHASE", amount);
   const batchId = generateTxId();
 
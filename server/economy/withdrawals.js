@@ -1,11 +1,15 @@
 // economy/withdrawals.js
 // Multi-step withdrawal workflow: request → pending → approved → processing → complete.
-// Withdrawals are NEVER instant.
+// Withdrawals are NEVER instant, and need a tax profile once the year's
+// withdrawals pass the reporting threshold (see tax-profiles.js). High-risk
+// requests are held for fraud review before they can be approved.
 
 import { randomUUID } from "crypto";
 import { validateAmount, validateBalance } from "./validators.js";
 import { calculateFee, PLATFORM_ACCOUNT_ID } from "./fees.js";
 import { recordTransactionBatch, generateTxId } from "./ledger.js";
+import { checkWithdrawalTaxGate } from "./tax-profiles.js";
+import { screenTransaction, hasOpenFraudReview } from "./fraud-engine.js";
 
 function uid() {
   return "wd_" + randomUUID().replace(/-/g, "").slice(0, 16);
@@ -35,6 +39,10 @@ export function requestWithdrawal(db, { userId, amount }) {
     return { ok: false, error: "insufficient_balance_including_pending", pendingAmount: pendingSum, balance: balCheck.balance };
   }
 
+  // Above the yearly threshold a W-9 / W-8 must be on file before payout
+  const taxGate = checkWithdrawalTaxGate(db, { userId, amount });
+  if (!taxGate.ok) return taxGate;
+
   const { fee, net } = calculateFee("WITHDRAWAL", amount);
   const id = uid();
   const now = nowISO();
@@ -44,7 +52,14 @@ export function requestWithdrawal(db, { userId, amount }) {
     VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
   `).run(id, userId, amount, fee, net, now, now);
 
-  return { ok: true, withdrawal: { id, userId, amount, fee, net, status: "pending", createdAt: now } };
+  // High-risk withdrawals stay pending until a fraud reviewer clears them
+  const screen = screenTransaction(db, { action: "withdrawal", userId, amount, subjectId: id });
+
+  return {
+    ok: true,
+    withdrawal: { id, userId, amount, fee, net, status: "pending", createdAt: now },
+    ...(screen.held ? { underReview: true, reviewId: screen.reviewId } : {}),
+  };
 }
 
 /**
@@ -54,6 +69,7 @@ export function approveWithdrawal(db, { withdrawalId, reviewerId }) {
   const wd = db.prepare("SELECT * FROM economy_withdrawals WHERE id = ?").get(withdrawalId);
   if (!wd) return { ok: false, error: "withdrawal_not_found" };
   if (wd.status !== "pending") return { ok: false, error: "withdrawal_not_pending", currentStatus: wd.status };
+  if (hasOpenFraudReview(db, "withdrawal", withdrawalId)) return { ok: false, error: "withdrawal_under_fraud_review" };
 
   const now = nowISO();
   db.prepare(`
@@ -9,6 +9,7 @@
  *   cosineSimilarity(vecA, vecB)        → number
  *   findSimilar(queryVec, candidates, topK) → DTU[]
  *   findCrossDomainConnections(dtuId, limit) → DTU[]
+ *   nearestNeighbors(queryVec, candidates, topK) → DTU[] (raw similarity)
  *
  * Rules:
  *   1. Embedding generation NEVER blocks DTU creation — embed async after save
@@ -16,10 +17,21 @@
  *   3. Always include HYPERs and MEGAs in candidate pool regardless of lens
  *   4. Embedding dimension must be consistent — don't mix models
  *   5. Memory stays under control — batched search if substrate > 150K DTUs
+ *
+ * Approximate search (lib/hnsw-index.js):
+ *   An HNSW graph over the embedding cache is kept in sync by storeEmbedding /
+ *   removeEmbedding and snapshotted next to the data (debounced, and on
+ *   shutdown via saveAnnIndex), so boot only catches up on what changed.
+ *   Each search picks ANN or an exact scan by estimated cost: small substrates
+ *   and very selective filters (few candidates out of many) stay exact.
+ *   Every ANN_RECALL_SAMPLE_EVERY-th ANN search is re-run exactly to track recall.
  */
 
 import crypto from "crypto";
+import fs from "fs";
+import path from "path";
 import logger from './logger.js';
+import { createHnswIndex, loadHnswIndex } from "./lib/hnsw-index.js";
 
 // ── Configuration ──────────────────────────────────────────────────────────
 const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || "nomic-embed-text";
@@ -29,6 +41,16 @@ const MAX_IN_MEMORY = 150_000;   // GPU can handle larger in-memory sets
 const BACKFILL_BATCH_SIZE = 200; // 4x faster backfill on GPU
 const EMBED_TIMEOUT_MS = 5_000;  // GPU embeds are much faster
 
+const ANN_MIN_SIZE = Number(process.env.ANN_MIN_SIZE || 5_000); // below this an exact scan is as fast
+const ANN_M = 16;
+const ANN_EF_CONSTRUCTION = 128;
+const ANN_EF_SEARCH = Number(process.env.ANN_EF_SEARCH || 64);
+const ANN_COST_PER_VISIT = 16;   // distance computations per node a filtered ANN search expands
+const ANN_BUILD_SLICE_MS = 25;   // longest a queued-insert slice may hold the event loop
+const ANN_SAVE_DELAY_MS = 60_000;
+const ANN_RECALL_SAMPLE_EVERY = 50;
+const ANN_METRIC_WINDOW = 200;
+
 // ── State ──────────────────────────────────────────────────────────────────
 
 /** @type {Map<string, Float64Array>} In-memory embedding cache (dtuId → vector) */
@@ -54,6 +76,27 @@ const embeddingState = {
 /** @type {import("better-sqlite3").Database|null} */
 let _db = null;
 
+/** @type {Object|null} HNSW index over embeddingCache (lib/hnsw-index.js) */
+let annIndex = null;
+
+const annState = {
+  ready: false,      // index covers the cache and may serve queries
+  building: false,   // queued inserts are draining
+  pending: new Set(), // dtuIds waiting to be inserted
+  source: null,      // "snapshot" | "build"
+  path: null,
+  dirty: false,
+  saveTimer: null,
+  lastSavedAt: null,
+  metrics: {
+    annQueries: 0,
+    exactQueries: 0,
+    annLatencyMs: [],
+    exactLatencyMs: [],
+    recall: [],
+  },
+};
+
 /** @type {Function|null} Reference to structuredLog from server.js */
 let _log = null;
 
@@ -63,11 +106,12 @@ let _log = null;
  * Initialise the embedding subsystem.
  * Call once at server startup after DB and Ollama are ready.
  *
- * @param {{ db: object|null, ollamaUrls: string[], structuredLog: Function }} opts
+ * @param {{ db: object|null, ollamaUrls: string[], structuredLog: Function, annPath?: string|null }} opts
  */
-export async function initEmbeddings({ db = null, ollamaUrls = [], structuredLog = console.warn } = {}) {
+export async function initEmbeddings({ db = null, ollamaUrls = [], structuredLog = console.warn, annPath = null } = {}) {
   _db = db;
   _log = structuredLog;
+  annState.path = annPath;
 
   // Ensure SQLite column exists
   if (_db) {
@@ -119,6 +163,10 @@ export async function initEmbeddings({ db = null, ollamaUrls = [], structuredLog
     _loadEmbeddingsFromDb();
   }
 
+  if (embeddingState.available) {
+    _initAnnIndex();
+  }
+
   return { available: embeddingState.available, model: embeddingState.model };
 }
 
@@ -218,50 +266,98 @@ export function cosineSimilarity(vecA, vecB) {
 export function findSimilar(queryVec, candidates, topK = 10) {
   if (!queryVec || !candidates || candidates.length === 0) return [];
 
-  const scored = [];
-  for (const c of candidates) {
-    const vec = c.embedding || embeddingCache.get(c.id);
-    if (!vec) continue;
-
-    const sim = cosineSimilarity(queryVec, vec);
-    const tierWeight = c.tier === "hyper" ? 3.0 : c.tier === "mega" ? 2.0 : 1.0;
-    scored.push({ ...c, score: sim * tierWeight, rawSimilarity: sim });
+  const tierWeight = (c) => (c.tier === "hyper" ? 3.0 : c.tier === "mega" ? 2.0 : 1.0);
+  let scored;
+  if (_annWorthwhile(candidates.length)) {
+    // Tier weighting can lift a HYPER/MEGA with a low raw similarity into the
+    // top K, so the (few) high-tier candidates are always scored exactly
+    const high = [];
+    const regular = [];
+    for (const c of candidates) (c.tier === "hyper" || c.tier === "mega" ? high : regular).push(c);
+    scored = [..._exactNearest(queryVec, high, high.length), ...nearestNeighbors(queryVec, regular, topK)];
+  } else {
+    scored = _timedExactNearest(queryVec, candidates, candidates.length);
   }
 
+  for (const r of scored) r.score = r.rawSimilarity * tierWeight(r);
   scored.sort((a, b) => b.score - a.score);
   return scored.slice(0, topK);
 }
 
+/**
+ * Top-K candidates by raw cosine similarity, no tier weighting.
+ * Uses the ANN index when that is cheaper than scoring every candidate.
+ *
+ * @param {Float64Array} queryVec
+ * @param {{ id: string, embedding?: Float64Array }[]} candidates
+ * @param {number} topK
+ * @returns {{ id: string, rawSimilarity: number }[]}
+ */
+export function nearestNeighbors(queryVec, candidates, topK = 10) {
+  if (!queryVec || !candidates || candidates.length === 0) return [];
+  if (!_annWorthwhile(candidates.length)) return _timedExactNearest(queryVec, candidates, topK);
+
+  const start = performance.now();
+  const pool = new Map();
+  const unindexed = [];
+  for (const c of candidates) {
+    // Candidates carrying their own vector, or not indexed yet, are scored directly
+    if (annIndex.has(c.id) && (!c.embedding || c.embedding === embeddingCache.get(c.id))) pool.set(c.id, c);
+    else unindexed.push(c);
+  }
+
+  const filter = pool.size === annIndex.size ? undefined : (id) => pool.has(id);
+  const hits = annIndex.search(queryVec, topK, { ef: Math.max(ANN_EF_SEARCH, topK), filter })
+    .map((h) => ({ ...pool.get(h.id), rawSimilarity: h.similarity }));
+  const results = [...hits, ..._exactNearest(queryVec, unindexed, topK)]
+    .sort((a, b) => b.rawSimilarity - a.rawSimilarity)
+    .slice(0, topK);
+
+  _recordLatency(annState.metrics.annLatencyMs, performance.now() - start);
+  annState.metrics.annQueries++;
+  if (annState.metrics.annQueries % ANN_RECALL_SAMPLE_EVERY === 0) {
+    const exact = _exactNearest(queryVec, candidates, topK);
+    const found = new Set(results.map((r) => r.id));
+    const recall = exact.length > 0 ? exact.filter((r) => found.has(r.id)).length / exact.length : 1;
+    _recordLatency(annState.metrics.recall, recall);
+  }
+  return results;
+}
+
 /**
  * Semantic search: embed the query and find similar DTUs.
  * Falls back to empty results if embeddings unavailable.
  *
  * @param {string} query
- * @param {{ id: string, tier?: string, tags?: string[] }[]} candidates - DTU-like objects
- * @param {{ lens?: string|null, topK?: number, includeHighTier?: boolean }} opts
+ * @param {{ id: string, tier?: string, scope?: string, tags?: string[] }[]} candidates - DTU-like objects
+ * @param {{ lens?: string|null, tier?: string|string[]|null, scope?: string|string[]|null, topK?: number, includeHighTier?: boolean }} opts
  * @returns {Promise<{ id: string, score: number }[]>}
  */
-export async function semanticSearch(query, candidates, { lens = null, topK = 10, includeHighTier = true } = {}) {
+export async function semanticSearch(query, candidates, { lens = null, tier = null, scope = null, topK = 10, includeHighTier = true } = {}) {
   const queryVec = await embed(query);
   if (!queryVec) return [];
 
-  // Filter candidates by lens if specified
   let pool = candidates;
+  if (tier) {
+    const tiers = new Set([].concat(tier));
+    pool = pool.filter(d => tiers.has(d.tier || "regular"));
+  }
+  if (scope) {
+    const scopes = new Set([].concat(scope));
+    pool = pool.filter(d => scopes.has(d.scope || "local"));
+  }
+
+  // Filter candidates by lens if specified
   if (lens) {
-    pool = candidates.filter(d => {
+    pool = pool.filter(d => {
       // Always include HYPERs and MEGAs regardless of lens filter
       if (includeHighTier && (d.tier === "hyper" || d.tier === "mega")) return true;
       return Array.isArray(d.tags) && d.tags.some(t => t.toLowerCase() === lens.toLowerCase());
     });
   }
 
-  // Attach cached embeddings
-  const withEmbeddings = pool.map(d => ({
-    ...d,
-    embedding: d.embedding || embeddingCache.get(d.id),
-  }));
-
-  return findSimilar(queryVec, withEmbeddings, topK);
+  // findSimilar reads cached embeddings by id
+  return findSimilar(queryVec, pool, topK);
 }
 
 /**
@@ -316,8 +412,9 @@ export function storeEmbedding(dtuId, vec) {
   if (!dtuId || !vec) return;
 
   // In-memory cache (respect limit)
-  if (embeddingCache.size < MAX_IN_MEMORY) {
+  if (embeddingCache.size < MAX_IN_MEMORY || embeddingCache.has(dtuId)) {
     embeddingCache.set(dtuId, vec);
+    _queueAnnInsert(dtuId);
   }
 
   // SQLite persistence
@@ -348,6 +445,8 @@ export function getEmbedding(dtuId) {
  */
 export function removeEmbedding(dtuId) {
   embeddingCache.delete(dtuId);
+  annState.pending.delete(dtuId);
+  if (annIndex && annIndex.remove(dtuId)) _scheduleAnnSave();
   if (_db) {
     try {
       _db.prepare("UPDATE dtus SET embedding = NULL WHERE id = ?").run(dtuId);
@@ -487,9 +586,53 @@ export function getEmbeddingStatus(totalDTUs = 0) {
       totalErrors: embeddingState.stats.totalErrors,
       avgEmbedMs: embeddingState.stats.avgEmbedMs,
     },
+    ann: getAnnStatus(),
   };
 }
 
+/**
+ * ANN index state plus latency (ms) and sampled recall@K over recent queries.
+ * @returns {object}
+ */
+export function getAnnStatus() {
+  const m = annState.metrics;
+  return {
+    ready: annState.ready,
+    building: annState.building,
+    source: annState.source,
+    path: annState.path,
+    index: annIndex ? annIndex.stats() : null,
+    minSize: ANN_MIN_SIZE,
+    lastSavedAt: annState.lastSavedAt,
+    queries: { ann: m.annQueries, exact: m.exactQueries },
+    latencyMs: { ann: _summarize(m.annLatencyMs), exact: _summarize(m.exactLatencyMs) },
+    recall: { samples: m.recall.length, mean: m.recall.length ? _summarize(m.recall).mean : null },
+  };
+}
+
+/**
+ * Write the ANN snapshot now (called on shutdown; otherwise saves are debounced).
+ * @returns {{ ok: boolean, path?: string, size?: number, error?: string }}
+ */
+export function saveAnnIndex() {
+  clearTimeout(annState.saveTimer);
+  annState.saveTimer = null;
+  if (!annIndex || !annState.path || !annState.ready) return { ok: false, error: "ann_not_ready" };
+  try {
+    const buf = annIndex.serialize({ model: embeddingState.model, savedAt: new Date().toISOString() });
+    fs.mkdirSync(path.dirname(annState.path), { recursive: true });
+    const tmp = annState.path + ".tmp";
+    fs.writeFileSync(tmp, buf);
+    fs.renameSync(tmp, annState.path);
+    annState.dirty = false;
+    annState.lastSavedAt = new Date().toISOString();
+    return { ok: true, path: annState.path, size: annIndex.size };
+  } catch (e) {
+    if (_log) _log("warn", "ann_save_failed", { error: String(e?.message || e) });
+    return { ok: false, error: String(e?.message || e) };
+  }
+}
+
 /**
  * Check if embeddings are available and operational.
  * @returns {boolean}
@@ -573,6 +716,144 @@ function _loadEmbeddingsFromDb() {
   }
 }
 
+// ── ANN Helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Exact top-K by raw cosine similarity.
+ */
+function _exactNearest(queryVec, candidates, topK) {
+  const scored = [];
+  for (const c of candidates) {
+    const vec = c.embedding || embeddingCache.get(c.id);
+    if (!vec) continue;
+    scored.push({ ...c, rawSimilarity: cosineSimilarity(queryVec, vec) });
+  }
+  scored.sort((a, b) => b.rawSimilarity - a.rawSimilarity);
+  return scored.slice(0, topK);
+}
+
+function _timedExactNearest(queryVec, candidates, topK) {
+  const start = performance.now();
+  const exact = _exactNearest(queryVec, candidates, topK);
+  _recordLatency(annState.metrics.exactLatencyMs, performance.now() - start);
+  annState.metrics.exactQueries++;
+  return exact;
+}
+
+/**
+ * Whether an ANN search over `candidateCount` candidates beats scoring them all.
+ * A filtered HNSW search must expand roughly ef / selectivity nodes to collect
+ * ef matches, each costing ~ANN_COST_PER_VISIT distance computations.
+ */
+function _annWorthwhile(candidateCount) {
+  if (!annIndex || !annState.ready || annIndex.size < ANN_MIN_SIZE) return false;
+  const selectivity = Math.min(1, candidateCount / annIndex.size);
+  return (ANN_COST_PER_VISIT * ANN_EF_SEARCH) / selectivity < candidateCount;
+}
+
+function _recordLatency(window, value) {
+  window.push(value);
+  if (window.length > ANN_METRIC_WINDOW) window.shift();
+}
+
+function _summarize(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  return { mean: Math.round(mean * 1000) / 1000, p50: Math.round(at(0.5) * 1000) / 1000, p95: Math.round(at(0.95) * 1000) / 1000 };
+}
+
+function _scheduleAnnSave() {
+  annState.dirty = true;
+  if (!annState.path || annState.saveTimer || !annState.ready) return;
+  annState.saveTimer = setTimeout(() => {
+    annState.saveTimer = null;
+    if (annState.dirty) saveAnnIndex();
+  }, ANN_SAVE_DELAY_MS);
+  annState.saveTimer.unref?.();
+}
+
+/**
+ * Restore the ANN snapshot if it matches the current model, then queue every
+ * cached embedding it lacks (all of them when building from scratch).
+ */
+function _initAnnIndex() {
+  annIndex = null;
+  annState.ready = false;
+  annState.building = false;
+  annState.pending.clear();
+  annState.source = null;
+
+  if (annState.path && fs.existsSync(annState.path)) {
+    const loaded = loadHnswIndex(fs.readFileSync(annState.path), {
+      getVector: (id) => embeddingCache.get(id) || null,
+      efSearch: ANN_EF_SEARCH,
+    });
+    if (loaded.ok && loaded.meta.model === embeddingState.model && loaded.index.dim === embeddingState.dimension) {
+      annIndex = loaded.index;
+      annState.ready = true;
+      annState.source = "snapshot";
+      if (_log) _log("info", "ann_index_loaded", { size: annIndex.size, dropped: loaded.missing, path: annState.path });
+    } else if (_log) {
+      _log("warn", "ann_snapshot_discarded", { error: loaded.error || "model_or_dimension_changed", path: annState.path });
+    }
+  }
+
+  if (!annIndex) {
+    annIndex = createHnswIndex({
+      dim: embeddingState.dimension, M: ANN_M, efConstruction: ANN_EF_CONSTRUCTION, efSearch: ANN_EF_SEARCH,
+    });
+    annState.source = "build";
+  }
+
+  for (const id of embeddingCache.keys()) {
+    if (!annIndex.has(id)) annState.pending.add(id);
+  }
+  _drainAnnQueue();
+}
+
+function _queueAnnInsert(dtuId) {
+  if (!annIndex) return;
+  annState.pending.add(dtuId);
+  _drainAnnQueue();
+}
+
+/**
+ * Insert queued embeddings in short slices so the event loop keeps moving.
+ * Queued ids are scored exactly until they are in the graph, and a fresh
+ * build only starts serving queries once the queue first empties.
+ */
+function _drainAnnQueue() {
+  if (annState.building) return;
+  annState.building = true;
+  const index = annIndex;
+  const start = Date.now();
+  let added = 0;
+
+  const step = () => {
+    if (annIndex !== index) return; // re-initialised meanwhile
+    const sliceEnd = Date.now() + ANN_BUILD_SLICE_MS;
+    for (const id of annState.pending) {
+      annState.pending.delete(id);
+      const vec = embeddingCache.get(id);
+      if (vec && index.add(id, vec)) added++;
+      if (Date.now() >= sliceEnd) break;
+    }
+    if (annState.pending.size > 0) {
+      setImmediate(step);
+      return;
+    }
+
+    annState.building = false;
+    const firstBuild = !annState.ready;
+    annState.ready = true;
+    if (added > 0) _scheduleAnnSave();
+    if (firstBuild && _log) _log("info", "ann_index_ready", { source: annState.source, added, size: index.size, ms: Date.now() - start });
+  };
+  setImmediate(step);
+}
+
 // ── Exports ────────────────────────────────────────────────────────────────
 
 export default {
@@ -580,6 +861,7 @@ export default {
   embed,
   cosineSimilarity,
   findSimilar,
+  nearestNeighbors,
   semanticSearch,
   findCrossDomainConnections,
   embedDTU,
@@ -588,6 +870,8 @@ export default {
   removeEmbedding,
   backfillEmbeddings,
   getEmbeddingStatus,
+  getAnnStatus,
+  saveAnnIndex,
   isEmbeddingAvailable,
   getEmbeddingModel,
 };
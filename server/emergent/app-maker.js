@@ -8,10 +8,17 @@
  *
  * Lifecycle: DRAFT → PUBLISHED → MARKETPLACE → GLOBAL
  *
+ * Inline macros with a `source` (the body of an async `(input, host)`
+ * function) run in a LOAF app sandbox worker, never on the main thread.
+ * The app's declared macros are its wrapper allowlist; anything that is not
+ * an inline macro must be named in full ("domain.name"). Wrappers run with
+ * the caller's privileges, so a draft app only runs for its author.
+ *
  * All state in module-level structures. Silent failure. Additive only.
  */
 
 import crypto from "crypto";
+import { createAppSandbox, runAppSandbox, killSandbox } from "../loaf/sandbox.js";
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -25,6 +32,7 @@ function getSTATE() { return globalThis._concordSTATE || null; }
 
 const ALLOWED_FIELD_TYPES = ["string", "number", "boolean", "date", "array", "object", "reference"];
 const PROMOTION_STAGES = ["draft", "published", "marketplace", "global"];
+const DEFAULT_APP_PERMISSIONS = ["read", "write"];
 
 // ── Module State ────────────────────────────────────────────────────────────
 
@@ -32,13 +40,14 @@ const _apps = new Map();
 
 // ── Validation ──────────────────────────────────────────────────────────────
 
-function macroExists(macroName) {
+// Registered macros are referenced as "domain.name"; a bare name would match
+// whichever domain happened to register it first.
+function macroExists(qualifiedName) {
   const MACROS = globalThis._concordMACROS;
   if (!MACROS) return false;
-  for (const [, domainMap] of MACROS.entries()) {
-    if (domainMap.has(macroName)) return true;
-  }
-  return false;
+  const dot = String(qualifiedName).indexOf(".");
+  if (dot <= 0) return false;
+  return MACROS.get(qualifiedName.slice(0, dot))?.has(qualifiedName.slice(dot + 1)) || false;
 }
 
 export function validateApp(appSpec) {
@@ -97,6 +106,10 @@ export function createApp(spec) {
     primitives: spec.primitives || { artifacts: { types: [], schema: {} }, execution: { macros: [] }, governance: { council_gated: false } },
     ui: spec.ui || { lens: "custom", layout: "dashboard", panels: [] },
     _inlineMacros: spec._inlineMacros || {},
+    permissions: Array.isArray(spec.permissions) ? spec.permissions : [...DEFAULT_APP_PERMISSIONS],
+    safetyLimits: spec.safetyLimits || {},
+    budget: spec.budget || null,
+    _sandboxId: null,
     _invariant: "All fields map to Identity, Artifact, Execution, Governance, Memory, or Economy primitives. No new core objects.",
     _useCount: 0,
     createdAt: nowISO(),
@@ -153,6 +166,7 @@ export function updateApp(id, updates) {
   if (updates.ui) app.ui = updates.ui;
   if (updates._inlineMacros) app._inlineMacros = updates._inlineMacros;
   app.updatedAt = nowISO();
+  retireSandbox(app, "app_updated");
 
   const validation = validateApp(app);
   app._lastValidation = validation;
@@ -164,6 +178,7 @@ export function deleteApp(id) {
   const app = _apps.get(id);
   if (!app) return { ok: false, error: "App not found" };
   if (app.status !== "draft") return { ok: false, error: "Can only delete draft apps" };
+  retireSandbox(app, "app_deleted");
   _apps.delete(id);
   return { ok: true, deleted: id };
 }
@@ -213,6 +228,74 @@ export function demoteApp(id) {
   return { ok: true, id, stage: prevStage };
 }
 
+// ── Run ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a user may run an app. Its wrappers act with the caller's
+ * privileges, so a draft runs only for its author; once published, anyone
+ * may run it.
+ *
+ * @param {string} id - App id
+ * @param {string} [userId]
+ * @returns {boolean}
+ */
+export function canRunApp(id, userId) {
+  const app = _apps.get(id);
+  if (!app) return false;
+  if ((app._promotionStage || "draft") !== "draft") return true;
+  return !!userId && app.author === userId;
+}
+
+function retireSandbox(app, reason) {
+  if (!app._sandboxId) return;
+  killSandbox(app._sandboxId, reason);
+  app._sandboxId = null;
+}
+
+function sandboxFor(app) {
+  if (app._sandboxId) return { ok: true, sandboxId: app._sandboxId };
+  const created = createAppSandbox({
+    name: app.name,
+    version: app.version,
+    uiSchema: app.ui,
+    logicSchema: { handlers: app._inlineMacros },
+    permissions: app.permissions,
+    wrapperAllowlist: app.primitives?.execution?.macros || [],
+    safetyLimits: app.safetyLimits,
+    budget: app.budget,
+  });
+  if (!created.ok) return created;
+  app._sandboxId = created.sandbox.id;
+  return { ok: true, sandboxId: app._sandboxId };
+}
+
+/**
+ * Run one of an app's inline macros in its sandbox. The sandbox (and its
+ * memory and budget) lives until the app is edited or deleted; a killed
+ * sandbox stays killed.
+ *
+ * @param {string} id - App id
+ * @param {string} macro - Inline macro name
+ * @param {object} [input]
+ * @param {object} [opts]
+ * @param {Function} [opts.resolveWrapper] - "domain.name" → async (input) => result for allowlisted macros
+ */
+export async function runApp(id, macro, input = {}, opts = {}) {
+  const app = _apps.get(id);
+  if (!app) return { ok: false, error: "App not found" };
+  const def = app._inlineMacros?.[macro];
+  if (!def) return { ok: false, error: `Inline macro ${macro} not found` };
+  if (typeof def !== "string" && typeof def?.source !== "string") {
+    return { ok: false, error: `Inline macro ${macro} has no source` };
+  }
+
+  const sandbox = sandboxFor(app);
+  if (!sandbox.ok) return sandbox;
+  const result = await runAppSandbox(sandbox.sandboxId, macro, input, opts);
+  if (result.ok) app._useCount++;
+  return { ...result, appId: id, sandboxId: sandbox.sandboxId };
+}
+
 // ── Stats ───────────────────────────────────────────────────────────────────
 
 export function countApps() {
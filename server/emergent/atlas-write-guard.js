@@ -266,7 +266,10 @@ function _guardedUpdate(STATE, payload, ctx, profile, isHard) {
   const warnings = [];
 
   // ── Apply field updates ───────────────────────────────────────────────
+  // The human/core layers are only written by the collaborative editing
+  // commit (crdt-collab.js), which then hands the DTU to the lattice update path
   const allowedFields = ["title", "tags", "claims", "interpretations", "assumptions", "provenance", "links"];
+  if (ctx.collabCommit) allowedFields.push("human", "core");
   for (const field of allowedFields) {
     if (payload[field] !== undefined) {
       dtu[field] = payload[field];
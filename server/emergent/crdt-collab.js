@@ -0,0 +1,665 @@
+/**
+ * Concord — CRDT Collaborative Editing
+ *
+ * Real-time, conflict-free editing of a DTU's human and core layers. Every
+ * editable field is a replicated sequence: human.summary is text, the rest
+ * (bullets, definitions, invariants, claims, examples, nextActions) are lists
+ * of entries. Replicas exchange updates over the lattice WebSocket interface
+ * and always converge, whatever order the updates arrive in.
+ *
+ * The update model follows Yjs: each replica has a random client id and a
+ * per-client clock, inserted items are identified by [client, clock], state
+ * vectors say how much of each client a replica has seen, and a sync is
+ * "send me everything past my state vector". Updates are JSON rather than
+ * the Yjs binary encoding. Applying an update is idempotent and
+ * commutative, so offline edits merge on reconnect by swapping state
+ * vectors and diffs in both directions.
+ *
+ * Ordering is RGA: an item is inserted after its left origin, and items
+ * inserted after the same origin are ordered by (lamport, client)
+ * descending. Deletes are tombstones carried in a delete set.
+ *
+ * Nothing here touches the DTU directly: commitCollabDoc() materializes the
+ * layers and hands them to the Atlas write guard (applyWrite UPDATE), so the
+ * usual validation, scoring and audit apply to collaborative edits too, and
+ * then to the lattice commit handler the server installs with
+ * setCollabCommitHandler() (its DTU update path: version bump, journal,
+ * persistence and the dtu:updated broadcast).
+ */
+
+import crypto from "crypto";
+import { applyWrite, WRITE_OPS } from "./atlas-write-guard.js";
+import { getAtlasState } from "./atlas-epistemic.js";
+
+export const UPDATE_VERSION = 1;
+export const PRESENCE_TTL_MS = 30_000;
+
+/** Editable fields and their kind. */
+export const COLLAB_FIELDS = Object.freeze({
+  "human.summary":    "text",
+  "human.bullets":    "list",
+  "core.definitions": "list",
+  "core.invariants":  "list",
+  "core.claims":      "list",
+  "core.examples":    "list",
+  "core.nextActions": "list",
+});
+
+const idKey = (client, clock) => `${client}:${clock}`;
+const rootKey = (field) => `^${field}`;
+
+// ── Documents ────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty replica.
+ * @param {{ clientId?: number }} [opts]
+ */
+export function createDoc(opts = {}) {
+  return {
+    clientId: opts.clientId ?? crypto.randomBytes(4).readUInt32BE(0),
+    lamport: 0,
+    stateVector: new Map(),   // client → next expected clock
+    items: new Map(),         // "client:clock" → item
+    children: new Map(),      // origin key → items, in document order
+    pending: new Map(),       // structs waiting on their origin or an earlier clock
+    pendingDeletes: new Set(),
+  };
+}
+
+function compareSiblings(a, b) {
+  if (a.lamport !== b.lamport) return b.lamport - a.lamport;
+  return b.client - a.client;
+}
+
+function integrate(doc, struct) {
+  const item = { ...struct, deleted: false };
+  const key = idKey(item.client, item.clock);
+  doc.items.set(key, item);
+  doc.stateVector.set(item.client, item.clock + 1);
+  doc.lamport = Math.max(doc.lamport, item.lamport);
+
+  const parent = item.origin ? idKey(item.origin[0], item.origin[1]) : rootKey(item.field);
+  let siblings = doc.children.get(parent);
+  if (!siblings) { siblings = []; doc.children.set(parent, siblings); }
+  let at = 0;
+  while (at < siblings.length && compareSiblings(siblings[at], item) < 0) at++;
+  siblings.splice(at, 0, item);
+
+  if (doc.pendingDeletes.delete(key)) item.deleted = true;
+  return item;
+}
+
+// Items of a field in document order, tombstones included
+function walk(doc, field) {
+  const out = [];
+  const stack = [...(doc.children.get(rootKey(field)) || [])].reverse();
+  while (stack.length) {
+    const item = stack.pop();
+    out.push(item);
+    const kids = doc.children.get(idKey(item.client, item.clock));
+    if (kids) for (let i = kids.length - 1; i >= 0; i--) stack.push(kids[i]);
+  }
+  return out;
+}
+
+function visible(doc, field) {
+  return walk(doc, field).filter(item => !item.deleted);
+}
+
+function assertField(field) {
+  if (!COLLAB_FIELDS[field]) throw new Error(`Unknown collaborative field: ${field}`);
+}
+
+/**
+ * Current value of a field: a string for text fields, an array for lists.
+ */
+export function getFieldValue(doc, field) {
+  assertField(field);
+  const items = visible(doc, field).map(item => item.content);
+  return COLLAB_FIELDS[field] === "text" ? items.join("") : items;
+}
+
+/**
+ * Materialize all fields as { human, core } layers.
+ */
+export function toLayers(doc) {
+  const layers = { human: {}, core: {} };
+  for (const field of Object.keys(COLLAB_FIELDS)) {
+    const [layer, name] = field.split(".");
+    layers[layer][name] = getFieldValue(doc, field);
+  }
+  return layers;
+}
+
+// ── Local edits ──────────────────────────────────────────────────────────
+
+/**
+ * Insert at a visible index. `content` is a string for text fields and an
+ * array of entries for list fields. Returns the update to broadcast.
+ */
+export function insert(doc, field, index, content) {
+  assertField(field);
+  const values = COLLAB_FIELDS[field] === "text" ? Array.from(String(content)) : [].concat(content);
+  const seq = visible(doc, field);
+  const at = Math.max(0, Math.min(index, seq.length));
+  let origin = at > 0 ? [seq[at - 1].client, seq[at - 1].clock] : null;
+
+  const structs = [];
+  for (const value of values) {
+    const struct = {
+      client: doc.clientId,
+      clock: doc.stateVector.get(doc.clientId) || 0,
+      lamport: doc.lamport + 1,
+      field,
+      origin,
+      content: value,
+    };
+    integrate(doc, struct);
+    structs.push(struct);
+    origin = [struct.client, struct.clock];
+  }
+  return { v: UPDATE_VERSION, structs: encodeRuns(structs), deletes: [] };
+}
+
+/**
+ * Delete `length` visible entries starting at `index`. Returns the update
+ * to broadcast.
+ */
+export function remove(doc, field, index, length = 1) {
+  assertField(field);
+  const targets = visible(doc, field).slice(Math.max(0, index), Math.max(0, index) + length);
+  for (const item of targets) item.deleted = true;
+  return { v: UPDATE_VERSION, structs: [], deletes: encodeDeleteSet(targets) };
+}
+
+/**
+ * Replace a whole field with a new value, as a delete plus an insert.
+ */
+export function replaceField(doc, field, value) {
+  assertField(field);
+  const removed = remove(doc, field, 0, visible(doc, field).length);
+  const inserted = insert(doc, field, 0, value);
+  return { v: UPDATE_VERSION, structs: inserted.structs, deletes: removed.deletes };
+}
+
+// ── Encoding ─────────────────────────────────────────────────────────────
+
+// Consecutive text characters typed by one client travel as one run
+function encodeRuns(structs) {
+  const runs = [];
+  for (const s of structs) {
+    const prev = runs[runs.length - 1];
+    if (
+      prev && COLLAB_FIELDS[s.field] === "text" && prev.field === s.field &&
+      prev.client === s.client && s.clock === prev.clock + prev.length &&
+      s.lamport === prev.lamport + prev.length && s.origin &&
+      s.origin[0] === s.client && s.origin[1] === s.clock - 1
+    ) {
+      prev.content += s.content;
+      prev.length++;
+      continue;
+    }
+    runs.push({ ...s, length: 1 });
+  }
+  return runs.map(({ length, content, field, ...rest }) => (
+    COLLAB_FIELDS[field] === "text" ? { ...rest, field, content, length } : { ...rest, field, content }
+  ));
+}
+
+function decodeRuns(structs) {
+  const out = [];
+  for (const s of structs) {
+    if (COLLAB_FIELDS[s.field] === "text" && Number(s.length) > 1) {
+      const chars = Array.from(String(s.content));
+      for (let i = 0; i < chars.length; i++) {
+        out.push({
+          client: s.client,
+          clock: s.clock + i,
+          lamport: s.lamport + i,
+          field: s.field,
+          origin: i === 0 ? s.origin : [s.client, s.clock + i - 1],
+          content: chars[i],
+        });
+      }
+    } else {
+      const { length: _length, ...struct } = s;
+      out.push(struct);
+    }
+  }
+  return out;
+}
+
+// Delete set as [client, clock, length] ranges
+function encodeDeleteSet(items) {
+  const ids = items.map(i => [i.client, i.clock]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const ranges = [];
+  for (const [client, clock] of ids) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[0] === client && last[1] + last[2] === clock) last[2]++;
+    else ranges.push([client, clock, 1]);
+  }
+  return ranges;
+}
+
+/**
+ * The replica's state vector as a plain object { [client]: nextClock }.
+ */
+export function encodeStateVector(doc) {
+  return Object.fromEntries(doc.stateVector);
+}
+
+/**
+ * Everything the holder of `stateVector` is missing (everything when
+ * omitted), plus the full delete set.
+ */
+export function encodeStateAsUpdate(doc, stateVector = {}) {
+  const missing = [...doc.items.values()]
+    .filter(item => item.clock >= (Number(stateVector[item.client]) || 0))
+    .sort((a, b) => a.client - b.client || a.clock - b.clock)
+    .map(({ deleted: _deleted, ...struct }) => struct);
+  const tombstones = [...doc.items.values()].filter(item => item.deleted);
+  return { v: UPDATE_VERSION, structs: encodeRuns(missing), deletes: encodeDeleteSet(tombstones) };
+}
+
+function validStruct(s) {
+  return s && Number.isInteger(s.client) && Number.isInteger(s.clock) && s.clock >= 0 &&
+    Number.isInteger(s.lamport) && COLLAB_FIELDS[s.field] &&
+    (s.origin === null || s.origin === undefined || (Array.isArray(s.origin) && s.origin.length === 2));
+}
+
+/**
+ * Apply a remote update. Safe to apply the same update twice or in any
+ * order: structs whose origin or earlier clocks have not arrived wait in
+ * the pending set until they can be integrated.
+ *
+ * @returns {{ ok: boolean, applied?: number, deleted?: number, pending?: number, error?: string }}
+ */
+export function applyUpdate(doc, update) {
+  if (!update || update.v !== UPDATE_VERSION) return { ok: false, error: "unsupported_update_version" };
+  const structs = decodeRuns(Array.isArray(update.structs) ? update.structs : []);
+  if (!structs.every(validStruct)) return { ok: false, error: "malformed_update" };
+
+  for (const s of structs) {
+    const key = idKey(s.client, s.clock);
+    if (!doc.items.has(key)) doc.pending.set(key, { ...s, origin: s.origin || null });
+  }
+
+  let applied = 0;
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const [key, s] of doc.pending) {
+      const ready = s.clock === (doc.stateVector.get(s.client) || 0) &&
+        (!s.origin || doc.items.has(idKey(s.origin[0], s.origin[1])));
+      if (!ready) continue;
+      doc.pending.delete(key);
+      integrate(doc, s);
+      applied++;
+      progress = true;
+    }
+  }
+
+  let deleted = 0;
+  for (const [client, clock, length] of Array.isArray(update.deletes) ? update.deletes : []) {
+    for (let i = 0; i < (Number(length) || 0); i++) {
+      const item = doc.items.get(idKey(client, clock + i));
+      if (!item) doc.pendingDeletes.add(idKey(client, clock + i));
+      else if (!item.deleted) { item.deleted = true; deleted++; }
+    }
+  }
+
+  return { ok: true, applied, deleted, pending: doc.pending.size };
+}
+
+// ── Relative positions (cursors) ─────────────────────────────────────────
+
+/**
+ * Anchor a visible index to the item on its right, so the position
+ * survives concurrent edits. A null anchor means the end of the field.
+ */
+export function relativePosition(doc, field, index) {
+  assertField(field);
+  const seq = visible(doc, field);
+  const item = seq[Math.max(0, index)];
+  return { field, anchor: item ? [item.client, item.clock] : null };
+}
+
+/**
+ * Resolve a relative position back to a visible index.
+ */
+export function absolutePosition(doc, position) {
+  if (!position || !COLLAB_FIELDS[position.field]) return null;
+  let index = 0;
+  for (const item of walk(doc, position.field)) {
+    if (position.anchor && item.client === position.anchor[0] && item.clock === position.anchor[1]) return index;
+    if (!item.deleted) index++;
+  }
+  return index;
+}
+
+// ── Lattice commit ───────────────────────────────────────────────────────
+
+let _commitHandler = null;
+
+/**
+ * Route committed layers into the lattice, or restore the default with null.
+ * The handler receives { dtuId, human, core, userId } after the write guard
+ * has accepted them and returns { ok, dtu?, error? }.
+ * @param {Function|null} handler
+ */
+export function setCollabCommitHandler(handler) {
+  if (handler && typeof handler !== "function") {
+    throw new TypeError("collab commit handler must be a function");
+  }
+  _commitHandler = handler || null;
+}
+
+// Without a server-installed handler (tests, standalone use) the lattice copy
+// is updated in place.
+function commitToLattice(STATE, { dtuId, human, core, updatedAt }) {
+  const lattice = STATE.dtus?.get(dtuId);
+  if (!lattice) return { ok: true };
+  lattice.human = human;
+  lattice.core = core;
+  lattice.updatedAt = updatedAt;
+  lattice._version = (lattice._version || 1) + 1;
+  return { ok: true, dtu: lattice };
+}
+
+// ── Sessions ─────────────────────────────────────────────────────────────
+
+function getCrdtState(STATE) {
+  if (!STATE._crdtCollab) {
+    STATE._crdtCollab = {
+      sessions: new Map(),        // dtuId → session
+      metrics: {
+        sessionsOpened: 0,
+        updatesApplied: 0,
+        commits: 0,
+        commitsRejected: 0,
+      },
+    };
+  }
+  return STATE._crdtCollab;
+}
+
+function findDtu(STATE, dtuId) {
+  return getAtlasState(STATE).dtus.get(dtuId) || STATE.dtus?.get(dtuId) || null;
+}
+
+function fieldValue(dtu, field) {
+  const [layer, name] = field.split(".");
+  const value = dtu?.[layer]?.[name];
+  if (COLLAB_FIELDS[field] === "text") return typeof value === "string" ? value : "";
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Seed a document from the DTU's current layers. The seed client id is
+ * derived from the content, so every server seeding the same DTU state
+ * produces identical items, and a replica built on an older base is
+ * detectable by its docId.
+ */
+function seedDoc(dtu) {
+  const base = Object.fromEntries(Object.keys(COLLAB_FIELDS).map(f => [f, fieldValue(dtu, f)]));
+  const baseHash = crypto.createHash("sha256").update(JSON.stringify(base)).digest("hex").slice(0, 8);
+  const doc = createDoc({ clientId: parseInt(baseHash, 16) });
+  for (const [field, value] of Object.entries(base)) {
+    if (value.length) insert(doc, field, 0, value);
+  }
+  return { doc, baseHash };
+}
+
+/**
+ * Open (or return) the collaborative session for a DTU.
+ */
+export function openCollabDoc(STATE, dtuId) {
+  const crdt = getCrdtState(STATE);
+  const existing = crdt.sessions.get(dtuId);
+  if (existing) return { ok: true, session: existing, created: false };
+
+  const dtu = findDtu(STATE, dtuId);
+  if (!dtu) return { ok: false, error: "dtu_not_found" };
+
+  const { doc, baseHash } = seedDoc(dtu);
+  const session = {
+    dtuId,
+    docId: `${dtuId}:${baseHash}`,
+    doc,
+    presence: new Map(),      // connectionId → presence entry
+    openedAt: new Date().toISOString(),
+    lastUpdateAt: null,
+    committedVector: JSON.stringify(encodeStateVector(doc)),
+    committedTombstones: 0,
+    committedAt: null,
+  };
+  crdt.sessions.set(dtuId, session);
+  crdt.metrics.sessionsOpened++;
+  return { ok: true, session, created: true };
+}
+
+function countTombstones(doc) {
+  let n = 0;
+  for (const item of doc.items.values()) if (item.deleted) n++;
+  return n;
+}
+
+function hasUncommittedChanges(session) {
+  return JSON.stringify(encodeStateVector(session.doc)) !== session.committedVector ||
+    countTombstones(session.doc) !== session.committedTombstones;
+}
+
+/**
+ * Join a session: register presence and answer with what the caller is
+ * missing. A reconnecting replica passes its state vector and then sends
+ * back encodeStateAsUpdate(itsDoc, reply.stateVector) to merge its
+ * offline edits.
+ *
+ * @param {object} opts
+ * @param {string} opts.connectionId
+ * @param {string} [opts.userId]
+ * @param {object} [opts.stateVector]
+ * @param {string} [opts.docId] - The docId the replica was built on, if any
+ */
+export function joinCollabDoc(STATE, dtuId, { connectionId, userId = null, stateVector = {}, docId = null, meta = {} } = {}) {
+  if (!connectionId) return { ok: false, error: "connectionId required" };
+  const opened = openCollabDoc(STATE, dtuId);
+  if (!opened.ok) return opened;
+  const { session } = opened;
+
+  // A replica seeded from another base has different seed items; it must
+  // start over from the current document rather than merge.
+  const stale = Boolean(docId) && docId !== session.docId;
+  const now = Date.now();
+  session.presence.set(connectionId, {
+    connectionId, userId, meta, cursor: null, selection: null, joinedAt: now, updatedAt: now,
+  });
+
+  return {
+    ok: true,
+    dtuId,
+    docId: session.docId,
+    stale,
+    update: encodeStateAsUpdate(session.doc, stale ? {} : stateVector),
+    stateVector: encodeStateVector(session.doc),
+    presence: listPresence(STATE, dtuId),
+  };
+}
+
+/**
+ * Apply an update from a participant to the session document. Returns the
+ * update to relay to the other participants.
+ */
+export function applyCollabUpdate(STATE, dtuId, update, { docId = null } = {}) {
+  const session = getCrdtState(STATE).sessions.get(dtuId);
+  if (!session) return { ok: false, error: "no_collab_session" };
+  if (docId && docId !== session.docId) return { ok: false, error: "stale_base", docId: session.docId };
+
+  const result = applyUpdate(session.doc, update);
+  if (!result.ok) return result;
+  session.lastUpdateAt = new Date().toISOString();
+  getCrdtState(STATE).metrics.updatesApplied++;
+  return { ...result, relay: update, stateVector: encodeStateVector(session.doc) };
+}
+
+/**
+ * Update a participant's cursor/selection. Cursors may be sent as
+ * relative positions ({ field, anchor }) or as { field, index } against
+ * the server's copy, which are anchored on arrival.
+ */
+export function updatePresence(STATE, dtuId, connectionId, { cursor, selection, meta } = {}) {
+  const session = getCrdtState(STATE).sessions.get(dtuId);
+  const entry = session?.presence.get(connectionId);
+  if (!entry) return { ok: false, error: "not_joined" };
+
+  const anchor = (pos) => {
+    if (!pos || !COLLAB_FIELDS[pos.field]) return null;
+    if (Array.isArray(pos.anchor) || pos.anchor === null) return { field: pos.field, anchor: pos.anchor };
+    return relativePosition(session.doc, pos.field, Number(pos.index) || 0);
+  };
+  if (cursor !== undefined) entry.cursor = anchor(cursor);
+  if (selection !== undefined) {
+    entry.selection = selection ? { anchor: anchor(selection.anchor), head: anchor(selection.head) } : null;
+  }
+  if (meta) entry.meta = { ...entry.meta, ...meta };
+  entry.updatedAt = Date.now();
+  return { ok: true, presence: describePresence(session, entry) };
+}
+
+function describePresence(session, entry) {
+  return {
+    connectionId: entry.connectionId,
+    userId: entry.userId,
+    meta: entry.meta,
+    cursor: entry.cursor ? { ...entry.cursor, index: absolutePosition(session.doc, entry.cursor) } : null,
+    selection: entry.selection,
+    updatedAt: new Date(entry.updatedAt).toISOString(),
+  };
+}
+
+/**
+ * Live participants of a session. Entries not refreshed within
+ * PRESENCE_TTL_MS are dropped.
+ */
+export function listPresence(STATE, dtuId, { now = Date.now() } = {}) {
+  const session = getCrdtState(STATE).sessions.get(dtuId);
+  if (!session) return [];
+  for (const [id, entry] of session.presence) {
+    if (now - entry.updatedAt > PRESENCE_TTL_MS) session.presence.delete(id);
+  }
+  return [...session.presence.values()].map(entry => describePresence(session, entry));
+}
+
+/**
+ * Remove a participant. The session is closed once nobody is left and
+ * every edit has been committed; otherwise it stays open so offline
+ * replicas can still merge into it.
+ */
+export function leaveCollabDoc(STATE, dtuId, connectionId) {
+  const crdt = getCrdtState(STATE);
+  const session = crdt.sessions.get(dtuId);
+  if (!session) return { ok: false, error: "no_collab_session" };
+  const left = session.presence.delete(connectionId);
+  const closed = session.presence.size === 0 && !hasUncommittedChanges(session);
+  if (closed) crdt.sessions.delete(dtuId);
+  return { ok: true, left, closed };
+}
+
+/**
+ * Drop a connection from every session it joined (on disconnect).
+ * @returns {string[]} DTU ids the connection was present in
+ */
+export function leaveAllCollabDocs(STATE, connectionId) {
+  const left = [];
+  for (const dtuId of [...getCrdtState(STATE).sessions.keys()]) {
+    if (getCrdtState(STATE).sessions.get(dtuId).presence.has(connectionId)) {
+      leaveCollabDoc(STATE, dtuId, connectionId);
+      left.push(dtuId);
+    }
+  }
+  return left;
+}
+
+/**
+ * Materialized state of a session.
+ */
+export function getCollabDoc(STATE, dtuId) {
+  const session = getCrdtState(STATE).sessions.get(dtuId);
+  if (!session) return { ok: false, error: "no_collab_session" };
+  return {
+    ok: true,
+    dtuId,
+    docId: session.docId,
+    layers: toLayers(session.doc),
+    stateVector: encodeStateVector(session.doc),
+    presence: listPresence(STATE, dtuId),
+    uncommitted: hasUncommittedChanges(session),
+    lastUpdateAt: session.lastUpdateAt,
+    committedAt: session.committedAt,
+  };
+}
+
+// ── Commit ───────────────────────────────────────────────────────────────
+
+/**
+ * Commit the merged document to the DTU through the Atlas write guard, then
+ * into the lattice through the commit handler. Layer keys that are not
+ * collaborative fields are preserved. A rejected write leaves the session
+ * untouched so participants can fix and retry.
+ *
+ * @param {object} [ctx] - Passed to applyWrite (actor, scope)
+ */
+export function commitCollabDoc(STATE, dtuId, ctx = {}) {
+  const crdt = getCrdtState(STATE);
+  const session = crdt.sessions.get(dtuId);
+  if (!session) return { ok: false, error: "no_collab_session" };
+
+  const current = findDtu(STATE, dtuId);
+  const layers = toLayers(session.doc);
+  const human = { ...(current?.human || {}), ...layers.human };
+  const core = { ...(current?.core || {}), ...layers.core };
+
+  const result = applyWrite(STATE, WRITE_OPS.UPDATE, { dtuId, human, core }, { ...ctx, collabCommit: true });
+  if (!result.ok) {
+    crdt.metrics.commitsRejected++;
+    return { ...result, ok: false };
+  }
+
+  const lattice = STATE.dtus?.has(dtuId)
+    ? (_commitHandler
+      ? _commitHandler({ dtuId, human, core, userId: ctx.userId || ctx.actor || null })
+      : commitToLattice(STATE, { dtuId, human, core, updatedAt: result.dtu.updatedAt }))
+    : { ok: true };
+  if (!lattice?.ok) {
+    crdt.metrics.commitsRejected++;
+    return { ok: false, error: lattice?.error || "lattice_commit_failed" };
+  }
+
+  session.committedTombstones = countTombstones(session.doc);
+  session.committedVector = JSON.stringify(encodeStateVector(session.doc));
+  session.committedAt = new Date().toISOString();
+  crdt.metrics.commits++;
+  return {
+    ok: true,
+    dtu: result.dtu,
+    version: lattice.dtu?._version,
+    human,
+    core,
+    stateVector: encodeStateVector(session.doc),
+    warnings: result.warnings,
+  };
+}
+
+// ── Metrics ──────────────────────────────────────────────────────────────
+
+export function getCrdtCollabMetrics(STATE) {
+  const crdt = getCrdtState(STATE);
+  let participants = 0;
+  for (const session of crdt.sessions.values()) participants += session.presence.size;
+  return {
+    ok: true,
+    activeSessions: crdt.sessions.size,
+    participants,
+    ...crdt.metrics,
+  };
+}
@@ -12,11 +12,27 @@
  *   4. All access gated by API key + per-plugin rate limits.
  *   5. Sandboxes auto-expire; no long-lived test state.
  *
- * All state in module-level Maps. Silent failure (try/catch everywhere).
- * No new dependencies. Export named functions.
+ * All state in module-level Maps. With a durable store attached
+ * (attachDeveloperSdkStore, migration 044) plugins with their hooks and
+ * endpoints, API keys, webhooks, sandboxes, rate buckets, hourly usage and
+ * the plugin audit trail are written through to SQLite and reloaded on
+ * start, and metered calls are billed through economy/api-billing.js under
+ * the key's hash. Reloaded webhooks are registered with the shared delivery
+ * pipeline again, so deliveries queued before a restart still reach them.
+ *
+ * API keys are stored hashed only. Each key carries scopes (a subset of
+ * its plugin's permissions) and an optional expiry.
+ *
+ * Silent failure (try/catch everywhere). No new dependencies. Export named
+ * functions.
  */
 
 import crypto from "crypto";
+import { meterAPICall } from "../economy/api-billing.js";
+import {
+  DELIVERY_STATUS, registerWebhookEndpoint, setWebhookEndpointActive, removeWebhookEndpoint,
+  enqueueWebhookDelivery, processWebhookDeliveries, getWebhookDeliveryStats,
+} from "../lib/webhook-delivery.js";
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -40,10 +56,6 @@ function hashApiKey(raw) {
   return crypto.createHash("sha256").update(raw).digest("hex");
 }
 
-function hmacSign(payload, secret) {
-  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
-}
-
 // ── Permission Types ────────────────────────────────────────────────────────
 
 export const PERMISSIONS = Object.freeze({
@@ -79,12 +91,242 @@ const WEBHOOK_EVENT_TYPES = Object.freeze([
 // ── In-Memory State ─────────────────────────────────────────────────────────
 
 const _plugins      = new Map();   // pluginId → plugin record
-const _apiKeyIndex  = new Map();   // hashedKey → pluginId (reverse lookup)
+const _apiKeys      = new Map();   // hashedKey → key record (scopes, expiry, status)
 const _webhooks     = new Map();   // webhookId → webhook record
 const _sandboxes    = new Map();   // sandboxId → sandbox record
 const _rateBuckets  = new Map();   // pluginId → { tokens, lastRefill, burst }
-const _webhookQueue = [];          // pending webhook deliveries
 const _usageLog     = new Map();   // pluginId → [{ hour, count }]
+const _auditLog     = [];          // plugin lifecycle events (memory mode only)
+
+const MAX_MEMORY_AUDIT = 5000;
+const KEY_PREFIX_LENGTH = 12;
+
+// ── Durable Store ───────────────────────────────────────────────────────────
+
+let _store = null;
+
+/**
+ * Persist SDK state to SQLite. Records already held in memory are written
+ * out first, then everything stored is loaded back, so plugins registered
+ * before the database was ready survive as well.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [opts]
+ * @param {(db: object, userId: string) => { balance: number }} [opts.getBalance]
+ *   Balance lookup for metered calls that do not pass one explicitly
+ * @returns {{ ok: boolean, plugins?: number, keys?: number, webhooks?: number, sandboxes?: number, error?: string }}
+ */
+export function attachDeveloperSdkStore(db, opts = {}) {
+  try {
+    db.prepare("SELECT hooks_json, endpoints_json FROM sdk_plugins LIMIT 1").get();
+    db.prepare("SELECT 1 FROM sdk_webhooks LIMIT 1").get();
+  } catch {
+    // 044 and 050 must both be applied
+    return { ok: false, error: "developer_sdk_store_not_migrated" };
+  }
+
+  _store = {
+    db,
+    getBalance: typeof opts.getBalance === "function" ? opts.getBalance : null,
+    putPlugin: db.prepare(`
+      INSERT INTO sdk_plugins (id, name, version, author, description, status, permissions_json, rate_limits_json,
+        metadata_json, hooks_json, endpoints_json, billing_user_id, request_count, error_count, registered_at, last_active_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET name = excluded.name, version = excluded.version, author = excluded.author,
+        description = excluded.description, status = excluded.status, permissions_json = excluded.permissions_json,
+        rate_limits_json = excluded.rate_limits_json, metadata_json = excluded.metadata_json,
+        hooks_json = excluded.hooks_json, endpoints_json = excluded.endpoints_json,
+        billing_user_id = excluded.billing_user_id, request_count = excluded.request_count,
+        error_count = excluded.error_count, last_active_at = excluded.last_active_at
+    `),
+    putKey: db.prepare(`
+      INSERT INTO sdk_api_keys (id, plugin_id, key_hash, key_prefix, scopes_json, status, expires_at, created_at, last_used_at, revoked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET scopes_json = excluded.scopes_json, status = excluded.status,
+        expires_at = excluded.expires_at, last_used_at = excluded.last_used_at, revoked_at = excluded.revoked_at
+    `),
+    putWebhook: db.prepare(`
+      INSERT INTO sdk_webhooks (id, plugin_id, url, events_json, secret, status, failure_count, max_retries,
+        last_delivered, last_error, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET status = excluded.status, failure_count = excluded.failure_count,
+        last_delivered = excluded.last_delivered, last_error = excluded.last_error
+    `),
+    deleteWebhook: db.prepare("DELETE FROM sdk_webhooks WHERE id = ?"),
+    putSandbox: db.prepare(`
+      INSERT OR REPLACE INTO sdk_sandboxes (id, plugin_id, type, state_json, ttl_ms, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    deleteSandbox: db.prepare("DELETE FROM sdk_sandboxes WHERE id = ?"),
+    putBucket: db.prepare(`
+      INSERT INTO sdk_rate_buckets (plugin_id, tokens, last_refill_ms, requests_per_minute, burst_size)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(plugin_id) DO UPDATE SET tokens = excluded.tokens, last_refill_ms = excluded.last_refill_ms,
+        requests_per_minute = excluded.requests_per_minute, burst_size = excluded.burst_size
+    `),
+    deleteBucket: db.prepare("DELETE FROM sdk_rate_buckets WHERE plugin_id = ?"),
+    bumpUsage: db.prepare(`
+      INSERT INTO sdk_usage_hourly (plugin_id, hour, count) VALUES (?, ?, 1)
+      ON CONFLICT(plugin_id, hour) DO UPDATE SET count = count + 1
+    `),
+    insertAudit: db.prepare(`
+      INSERT INTO sdk_audit_log (plugin_id, action, actor, details_json, created_at) VALUES (?, ?, ?, ?, ?)
+    `),
+  };
+
+  db.transaction(() => {
+    for (const plugin of _plugins.values()) persistPlugin(plugin);
+    for (const key of _apiKeys.values()) persistKey(key);
+    for (const wh of _webhooks.values()) persistWebhook(wh);
+    for (const sb of _sandboxes.values()) persistSandbox(sb);
+    for (const entry of _auditLog) {
+      _store.insertAudit.run(entry.pluginId, entry.action, entry.actor, JSON.stringify(entry.details), entry.createdAt);
+    }
+  })();
+  _auditLog.length = 0;
+
+  loadFromStore(db);
+  return { ok: true, plugins: _plugins.size, keys: _apiKeys.size, webhooks: _webhooks.size, sandboxes: _sandboxes.size };
+}
+
+export function detachDeveloperSdkStore() {
+  _store = null;
+  return { ok: true };
+}
+
+function loadFromStore(db) {
+  for (const r of db.prepare("SELECT * FROM sdk_plugins").all()) {
+    _plugins.set(r.id, {
+      pluginId: r.id,
+      name: r.name,
+      version: r.version,
+      author: r.author,
+      description: r.description,
+      status: r.status,
+      permissions: JSON.parse(r.permissions_json),
+      hooks: JSON.parse(r.hooks_json),
+      endpoints: JSON.parse(r.endpoints_json),
+      rateLimits: { requestsPerMinute: 60, burstSize: 10, ...JSON.parse(r.rate_limits_json) },
+      billingUserId: r.billing_user_id,
+      registeredAt: r.registered_at,
+      lastActiveAt: r.last_active_at,
+      requestCount: r.request_count,
+      errorCount: r.error_count,
+      metadata: JSON.parse(r.metadata_json),
+    });
+  }
+
+  for (const r of db.prepare("SELECT * FROM sdk_api_keys WHERE status = 'active'").all()) {
+    _apiKeys.set(r.key_hash, {
+      keyId: r.id,
+      pluginId: r.plugin_id,
+      keyHash: r.key_hash,
+      keyPrefix: r.key_prefix,
+      scopes: JSON.parse(r.scopes_json),
+      status: r.status,
+      expiresAt: r.expires_at,
+      createdAt: r.created_at,
+      lastUsedAt: r.last_used_at,
+      revokedAt: r.revoked_at,
+    });
+  }
+
+  for (const r of db.prepare("SELECT * FROM sdk_webhooks").all()) {
+    const webhook = {
+      webhookId: r.id,
+      pluginId: r.plugin_id,
+      url: r.url,
+      events: JSON.parse(r.events_json),
+      secret: r.secret,
+      status: r.status,
+      failureCount: r.failure_count,
+      maxRetries: r.max_retries,
+      lastDelivered: r.last_delivered,
+      lastError: r.last_error,
+      createdAt: r.created_at,
+    };
+    _webhooks.set(webhook.webhookId, webhook);
+    registerDeliveryEndpoint(webhook);
+  }
+
+  const now = nowISO();
+  db.prepare("DELETE FROM sdk_sandboxes WHERE expires_at <= ?").run(now);
+  for (const r of db.prepare("SELECT * FROM sdk_sandboxes").all()) {
+    _sandboxes.set(r.id, {
+      sandboxId: r.id,
+      pluginId: r.plugin_id,
+      type: r.type,
+      state: JSON.parse(r.state_json),
+      ttl: r.ttl_ms,
+      createdAt: r.created_at,
+      expiresAt: r.expires_at,
+      requestLog: [],
+    });
+  }
+
+  for (const r of db.prepare("SELECT * FROM sdk_rate_buckets").all()) {
+    _rateBuckets.set(r.plugin_id, {
+      tokens: r.tokens,
+      lastRefill: r.last_refill_ms,
+      requestsPerMinute: r.requests_per_minute,
+      burstSize: r.burst_size,
+    });
+  }
+
+  const since = new Date(Date.now() - 168 * 3600000).toISOString().slice(0, 13);
+  _usageLog.clear();
+  for (const r of db.prepare("SELECT plugin_id, hour, count FROM sdk_usage_hourly WHERE hour >= ? ORDER BY hour").all(since)) {
+    if (!_usageLog.has(r.plugin_id)) _usageLog.set(r.plugin_id, []);
+    _usageLog.get(r.plugin_id).push({ hour: r.hour, count: r.count });
+  }
+}
+
+function persistPlugin(p) {
+  if (!_store) return;
+  _store.putPlugin.run(
+    p.pluginId, p.name, p.version, p.author, p.description, p.status,
+    JSON.stringify(p.permissions), JSON.stringify(p.rateLimits), JSON.stringify(p.metadata || {}),
+    JSON.stringify(p.hooks || []), JSON.stringify(p.endpoints || []), p.billingUserId || null, p.requestCount, p.errorCount, p.registeredAt, p.lastActiveAt,
+  );
+}
+
+function persistKey(k) {
+  if (!_store) return;
+  _store.putKey.run(
+    k.keyId, k.pluginId, k.keyHash, k.keyPrefix, JSON.stringify(k.scopes), k.status,
+    k.expiresAt, k.createdAt, k.lastUsedAt, k.revokedAt,
+  );
+}
+
+function persistWebhook(wh) {
+  if (!_store) return;
+  _store.putWebhook.run(
+    wh.webhookId, wh.pluginId, wh.url, JSON.stringify(wh.events), wh.secret, wh.status,
+    wh.failureCount, wh.maxRetries, wh.lastDelivered, wh.lastError, wh.createdAt,
+  );
+}
+
+function persistSandbox(sb) {
+  if (!_store) return;
+  _store.putSandbox.run(sb.sandboxId, sb.pluginId, sb.type, JSON.stringify(sb.state), sb.ttl, sb.createdAt, sb.expiresAt);
+}
+
+function unpersistSandbox(sandboxId) {
+  if (_store) _store.deleteSandbox.run(sandboxId);
+}
+
+/**
+ * Append a plugin lifecycle event to the audit trail.
+ */
+function audit(pluginId, action, actor = null, details = {}) {
+  const entry = { pluginId, action, actor: actor || null, details, createdAt: nowISO() };
+  if (_store) {
+    _store.insertAudit.run(pluginId, action, entry.actor, JSON.stringify(details), entry.createdAt);
+    return;
+  }
+  _auditLog.push(entry);
+  if (_auditLog.length > MAX_MEMORY_AUDIT) _auditLog.splice(0, _auditLog.length - MAX_MEMORY_AUDIT);
+}
 
 // ── Plugin System ───────────────────────────────────────────────────────────
 
@@ -95,9 +337,15 @@ const _usageLog     = new Map();   // pluginId → [{ hour, count }]
  * @param {string} author      — Author identifier
  * @param {string} description — Short description
  * @param {string[]} permissions — Requested permissions from PERMISSIONS
- * @returns {{ ok: boolean, pluginId?: string, apiKey?: string, error?: string }}
+ * @param {Object} [opts]
+ * @param {string[]} [opts.scopes]      — Scopes of the first key (default: all permissions)
+ * @param {string} [opts.expiresAt]     — ISO expiry of the first key
+ * @param {number} [opts.ttlMs]         — Lifetime of the first key
+ * @param {string} [opts.billingUserId] — Account billed for metered calls
+ * @param {string} [opts.actor]         — Who registered it (audit)
+ * @returns {{ ok: boolean, pluginId?: string, apiKey?: string, keyId?: string, error?: string }}
  */
-export function registerPlugin(name, author, description, permissions = []) {
+export function registerPlugin(name, author, description, permissions = [], opts = {}) {
   try {
     if (!name || typeof name !== "string") {
       return { ok: false, error: "Plugin name is required" };
@@ -113,8 +361,6 @@ export function registerPlugin(name, author, description, permissions = []) {
     }
 
     const pluginId = uid("plg");
-    const rawKey = crypto.randomBytes(32).toString("hex");
-    const hashed = hashApiKey(rawKey);
     const now = nowISO();
 
     const plugin = {
@@ -128,7 +374,7 @@ export function registerPlugin(name, author, description, permissions = []) {
       hooks: [],
       endpoints: [],
       rateLimits: { requestsPerMinute: 60, burstSize: 10 },
-      apiKeyHash: hashed,
+      billingUserId: opts.billingUserId || null,
       registeredAt: now,
       lastActiveAt: null,
       requestCount: 0,
@@ -136,24 +382,28 @@ export function registerPlugin(name, author, description, permissions = []) {
       metadata: {},
     };
 
+    const key = buildKey(plugin, opts);
+    if (!key.ok) return key;
+
     _plugins.set(pluginId, plugin);
-    _apiKeyIndex.set(hashed, pluginId);
+    persistPlugin(plugin);
+    storeKey(key.record);
+    audit(pluginId, "registered", opts.actor, { name, permissions });
 
-    return { ok: true, pluginId, apiKey: rawKey };
+    return { ok: true, pluginId, apiKey: key.rawKey, keyId: key.record.keyId };
   } catch (err) {
     return { ok: false, error: "Registration failed" };
   }
 }
 
 /**
- * Get plugin info (excludes internal key hash).
+ * Get plugin info with a summary of its active keys (never the hashes).
  */
 export function getPlugin(pluginId) {
   try {
     const plugin = _plugins.get(pluginId);
     if (!plugin) return { ok: false, error: "Plugin not found" };
-    const { apiKeyHash, ...safe } = plugin;
-    return { ok: true, plugin: safe };
+    return { ok: true, plugin: { ...plugin, keys: activeKeysFor(pluginId).map(publicKey) } };
   } catch {
     return { ok: false, error: "Failed to retrieve plugin" };
   }
@@ -170,7 +420,7 @@ export function listPlugins(status) {
     }
     return {
       ok: true,
-      plugins: results.map(({ apiKeyHash, ...safe }) => safe),
+      plugins: results.map(p => ({ ...p, activeKeys: activeKeysFor(p.pluginId).length })),
       total: results.length,
     };
   } catch {
@@ -182,7 +432,7 @@ export function listPlugins(status) {
  * Activate a registered plugin. Only "registered" or "suspended" plugins
  * can be activated.
  */
-export function activatePlugin(pluginId) {
+export function activatePlugin(pluginId, opts = {}) {
   try {
     const plugin = _plugins.get(pluginId);
     if (!plugin) return { ok: false, error: "Plugin not found" };
@@ -192,8 +442,11 @@ export function activatePlugin(pluginId) {
     if (plugin.status === "active") {
       return { ok: true, pluginId, status: "active", note: "Already active" };
     }
+    const from = plugin.status;
     plugin.status = "active";
     plugin.lastActiveAt = nowISO();
+    persistPlugin(plugin);
+    audit(pluginId, "activated", opts.actor, { from });
     return { ok: true, pluginId, status: "active" };
   } catch {
     return { ok: false, error: "Activation failed" };
@@ -203,7 +456,7 @@ export function activatePlugin(pluginId) {
 /**
  * Temporarily suspend a plugin. Can be reactivated later.
  */
-export function suspendPlugin(pluginId) {
+export function suspendPlugin(pluginId, opts = {}) {
   try {
     const plugin = _plugins.get(pluginId);
     if (!plugin) return { ok: false, error: "Plugin not found" };
@@ -211,11 +464,15 @@ export function suspendPlugin(pluginId) {
       return { ok: false, error: "Plugin is already revoked" };
     }
     plugin.status = "suspended";
+    persistPlugin(plugin);
+    audit(pluginId, "suspended", opts.actor, { reason: opts.reason || null });
 
     // Pause all associated webhooks
     for (const wh of _webhooks.values()) {
       if (wh.pluginId === pluginId && wh.status === "active") {
         wh.status = "paused";
+        persistWebhook(wh);
+        setWebhookEndpointActive(wh.webhookId, false);
       }
     }
 
@@ -228,21 +485,23 @@ export function suspendPlugin(pluginId) {
 /**
  * Permanently revoke a plugin. Disables all access and webhooks.
  */
-export function revokePlugin(pluginId) {
+export function revokePlugin(pluginId, opts = {}) {
   try {
     const plugin = _plugins.get(pluginId);
     if (!plugin) return { ok: false, error: "Plugin not found" };
 
     plugin.status = "revoked";
+    persistPlugin(plugin);
 
-    // Remove API key from index
-    _apiKeyIndex.delete(plugin.apiKeyHash);
-    plugin.apiKeyHash = "";
+    // Revoke every API key
+    for (const key of activeKeysFor(pluginId)) retireKey(key, "revoked");
 
     // Disable all webhooks
     for (const wh of _webhooks.values()) {
       if (wh.pluginId === pluginId) {
         wh.status = "failed";
+        persistWebhook(wh);
+        setWebhookEndpointActive(wh.webhookId, false);
       }
     }
 
@@ -250,57 +509,193 @@ export function revokePlugin(pluginId) {
     for (const [sbId, sb] of _sandboxes) {
       if (sb.pluginId === pluginId) {
         _sandboxes.delete(sbId);
+        unpersistSandbox(sbId);
       }
     }
 
+    audit(pluginId, "revoked", opts.actor, { reason: opts.reason || null });
     return { ok: true, pluginId, status: "revoked" };
   } catch {
     return { ok: false, error: "Revocation failed" };
   }
 }
 
+/**
+ * Set the account billed for a plugin's metered calls (null to stop billing).
+ */
+export function setPluginBillingAccount(pluginId, billingUserId, opts = {}) {
+  try {
+    const plugin = _plugins.get(pluginId);
+    if (!plugin) return { ok: false, error: "Plugin not found" };
+    plugin.billingUserId = billingUserId || null;
+    persistPlugin(plugin);
+    audit(pluginId, "billing_account_set", opts.actor, { billingUserId: plugin.billingUserId });
+    return { ok: true, pluginId, billingUserId: plugin.billingUserId };
+  } catch {
+    return { ok: false, error: "Failed to set billing account" };
+  }
+}
+
 // ── API Key Management ──────────────────────────────────────────────────────
 
+function activeKeysFor(pluginId) {
+  const keys = [];
+  for (const key of _apiKeys.values()) {
+    if (key.pluginId === pluginId && key.status === "active") keys.push(key);
+  }
+  return keys;
+}
+
+function publicKey(key) {
+  const { keyHash, ...safe } = key;
+  return { ...safe, scopes: [...key.scopes] };
+}
+
+/**
+ * Mint a key for a plugin without storing it. Scopes must be a subset of
+ * the plugin's permissions; expiry comes from expiresAt or ttlMs.
+ */
+function buildKey(plugin, { scopes, expiresAt, ttlMs } = {}) {
+  const keyScopes = scopes === undefined ? [...plugin.permissions] : scopes;
+  if (!Array.isArray(keyScopes)) return { ok: false, error: "Scopes must be an array" };
+  const outside = keyScopes.filter(s => !plugin.permissions.includes(s));
+  if (outside.length > 0) {
+    return { ok: false, error: `Scopes exceed plugin permissions: ${outside.join(", ")}` };
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    const ms = new Date(expiresAt).getTime();
+    if (!Number.isFinite(ms) || ms <= Date.now()) return { ok: false, error: "expiresAt must be a future timestamp" };
+    expiry = new Date(ms).toISOString();
+  } else if (ttlMs !== undefined && ttlMs !== null) {
+    if (!(Number(ttlMs) > 0)) return { ok: false, error: "ttlMs must be positive" };
+    expiry = new Date(Date.now() + Number(ttlMs)).toISOString();
+  }
+
+  const rawKey = crypto.randomBytes(32).toString("hex");
+  return {
+    ok: true,
+    rawKey,
+    record: {
+      keyId: uid("key"),
+      pluginId: plugin.pluginId,
+      keyHash: hashApiKey(rawKey),
+      keyPrefix: rawKey.slice(0, KEY_PREFIX_LENGTH),
+      scopes: [...new Set(keyScopes)],
+      status: "active",
+      expiresAt: expiry,
+      createdAt: nowISO(),
+      lastUsedAt: null,
+      revokedAt: null,
+    },
+  };
+}
+
+function storeKey(record) {
+  _apiKeys.set(record.keyHash, record);
+  persistKey(record);
+}
+
+function retireKey(key, status) {
+  key.status = status;
+  key.revokedAt = nowISO();
+  _apiKeys.delete(key.keyHash);
+  persistKey(key);
+}
+
 /**
  * Validate an API key. Returns the pluginId if valid, null otherwise.
  * Also increments request count and updates last-active timestamp.
+ *
+ * @param {string} apiKey
+ * @param {Object} [opts]
+ * @param {string} [opts.scope] — Permission the call needs; the key must carry it
+ * @returns {{ ok: boolean, pluginId?: string, keyId?: string, permissions?: string[], error?: string }}
  */
-export function validateApiKey(apiKey) {
+export function validateApiKey(apiKey, opts = {}) {
   try {
     if (!apiKey || typeof apiKey !== "string") {
       return { ok: false, error: "API key is required" };
     }
 
     const hashed = hashApiKey(apiKey);
-    const pluginId = _apiKeyIndex.get(hashed);
-    if (!pluginId) {
+    const key = _apiKeys.get(hashed);
+    if (!key) {
       return { ok: false, error: "Invalid API key" };
     }
 
-    const plugin = _plugins.get(pluginId);
+    const plugin = _plugins.get(key.pluginId);
     if (!plugin) {
       return { ok: false, error: "Plugin not found for key" };
     }
+    const pluginId = plugin.pluginId;
+
+    if (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now()) {
+      retireKey(key, "expired");
+      audit(pluginId, "key_expired", null, { keyId: key.keyId });
+      return { ok: false, error: "API key expired", pluginId };
+    }
 
     if (plugin.status !== "active") {
       return { ok: false, error: `Plugin is ${plugin.status}`, pluginId };
     }
 
+    // Scopes never exceed what the plugin currently holds
+    const permissions = key.scopes.filter(s => plugin.permissions.includes(s));
+    if (opts.scope && !permissions.includes(opts.scope)) {
+      return { ok: false, error: `API key lacks scope: ${opts.scope}`, pluginId, keyId: key.keyId };
+    }
+
     // Update activity
-    plugin.lastActiveAt = nowISO();
+    const now = nowISO();
+    plugin.lastActiveAt = now;
     plugin.requestCount++;
+    key.lastUsedAt = now;
+    persistPlugin(plugin);
+    persistKey(key);
 
-    return { ok: true, pluginId, permissions: plugin.permissions };
+    return { ok: true, pluginId, keyId: key.keyId, permissions };
   } catch {
     return { ok: false, error: "Key validation failed" };
   }
 }
 
+/**
+ * Issue an additional API key for a plugin. Returns the raw key (shown once).
+ *
+ * @param {string} pluginId
+ * @param {Object} [opts] — { scopes, expiresAt, ttlMs, actor }
+ */
+export function issueApiKey(pluginId, opts = {}) {
+  try {
+    const plugin = _plugins.get(pluginId);
+    if (!plugin) return { ok: false, error: "Plugin not found" };
+    if (plugin.status === "revoked") {
+      return { ok: false, error: "Cannot issue keys for revoked plugin" };
+    }
+
+    const key = buildKey(plugin, opts);
+    if (!key.ok) return key;
+    storeKey(key.record);
+    audit(pluginId, "key_issued", opts.actor, {
+      keyId: key.record.keyId, scopes: key.record.scopes, expiresAt: key.record.expiresAt,
+    });
+
+    return { ok: true, pluginId, apiKey: key.rawKey, key: publicKey(key.record) };
+  } catch {
+    return { ok: false, error: "Key issuance failed" };
+  }
+}
+
 /**
  * Rotate the API key for a plugin. Returns the new raw key (shown once).
  * The old key is immediately invalidated.
+ *
+ * Rotates opts.keyId, or the plugin's newest active key. The new key keeps
+ * the old key's scopes and lifetime unless opts overrides them.
  */
-export function rotateApiKey(pluginId) {
+export function rotateApiKey(pluginId, opts = {}) {
   try {
     const plugin = _plugins.get(pluginId);
     if (!plugin) return { ok: false, error: "Plugin not found" };
@@ -308,22 +703,70 @@ export function rotateApiKey(pluginId) {
       return { ok: false, error: "Cannot rotate key for revoked plugin" };
     }
 
-    // Remove old key from index
-    _apiKeyIndex.delete(plugin.apiKeyHash);
+    const active = activeKeysFor(pluginId);
+    const old = opts.keyId
+      ? active.find(k => k.keyId === opts.keyId)
+      : active.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+    if (opts.keyId && !old) return { ok: false, error: "Key not found" };
 
-    // Generate new key
-    const rawKey = crypto.randomBytes(32).toString("hex");
-    const hashed = hashApiKey(rawKey);
+    const inherited = {};
+    if (old) {
+      inherited.scopes = old.scopes;
+      if (old.expiresAt) inherited.ttlMs = new Date(old.expiresAt).getTime() - new Date(old.createdAt).getTime();
+    }
+    const key = buildKey(plugin, { ...inherited, ...opts });
+    if (!key.ok) return key;
 
-    plugin.apiKeyHash = hashed;
-    _apiKeyIndex.set(hashed, pluginId);
+    // Remove old key from index
+    if (old) retireKey(old, "revoked");
+    storeKey(key.record);
+    audit(pluginId, "key_rotated", opts.actor, { oldKeyId: old?.keyId || null, keyId: key.record.keyId });
 
-    return { ok: true, pluginId, apiKey: rawKey };
+    return { ok: true, pluginId, apiKey: key.rawKey, keyId: key.record.keyId };
   } catch {
     return { ok: false, error: "Key rotation failed" };
   }
 }
 
+/**
+ * Revoke a single API key by id.
+ */
+export function revokeApiKey(pluginId, keyId, opts = {}) {
+  try {
+    const key = activeKeysFor(pluginId).find(k => k.keyId === keyId);
+    if (!key) return { ok: false, error: "Key not found" };
+    retireKey(key, "revoked");
+    audit(pluginId, "key_revoked", opts.actor, { keyId, reason: opts.reason || null });
+    return { ok: true, pluginId, keyId, status: "revoked" };
+  } catch {
+    return { ok: false, error: "Key revocation failed" };
+  }
+}
+
+/**
+ * List a plugin's keys (prefix, scopes, expiry — never the hash). With a
+ * store attached, revoked and expired keys are included.
+ */
+export function listApiKeys(pluginId) {
+  try {
+    if (!_plugins.has(pluginId)) return { ok: false, error: "Plugin not found" };
+    let keys;
+    if (_store) {
+      keys = _store.db.prepare("SELECT * FROM sdk_api_keys WHERE plugin_id = ? ORDER BY created_at DESC").all(pluginId)
+        .map(r => ({
+          keyId: r.id, pluginId: r.plugin_id, keyPrefix: r.key_prefix, scopes: JSON.parse(r.scopes_json),
+          status: r.status, expiresAt: r.expires_at, createdAt: r.created_at, lastUsedAt: r.last_used_at,
+          revokedAt: r.revoked_at,
+        }));
+    } else {
+      keys = activeKeysFor(pluginId).map(publicKey);
+    }
+    return { ok: true, pluginId, keys, total: keys.length };
+  } catch {
+    return { ok: false, error: "Failed to list keys" };
+  }
+}
+
 // ── Webhook System ──────────────────────────────────────────────────────────
 
 /**
@@ -380,7 +823,11 @@ export function registerWebhook(pluginId, url, events) {
       createdAt: now,
     };
 
+    const endpoint = registerDeliveryEndpoint(webhook);
+    if (!endpoint.ok) return endpoint;
+
     _webhooks.set(webhookId, webhook);
+    persistWebhook(webhook);
 
     return { ok: true, webhookId, secret };
   } catch {
@@ -397,6 +844,8 @@ export function removeWebhook(webhookId) {
       return { ok: false, error: "Webhook not found" };
     }
     _webhooks.delete(webhookId);
+    if (_store) _store.deleteWebhook.run(webhookId);
+    removeWebhookEndpoint(webhookId);
     return { ok: true, webhookId, removed: true };
   } catch {
     return { ok: false, error: "Webhook removal failed" };
@@ -423,9 +872,56 @@ export function listWebhooks(pluginId) {
 
 // ── Webhook Delivery ────────────────────────────────────────────────────────
 
+/**
+ * Register a webhook with the shared pipeline, binding its delivery
+ * outcomes back to the record.
+ */
+function registerDeliveryEndpoint(wh) {
+  return registerWebhookEndpoint({
+    id: wh.webhookId,
+    source: "developer_sdk",
+    ownerId: wh.pluginId,
+    url: wh.url,
+    secret: wh.secret,
+    maxAttempts: wh.maxRetries,
+    active: wh.status === "active",
+    metadata: { pluginId: wh.pluginId, events: wh.events, createdAt: wh.createdAt },
+    onResult: (result) => trackDeliveryResult(wh, result),
+  });
+}
+
+/**
+ * Apply a delivery outcome from the shared pipeline to the webhook record.
+ * After 10 consecutive failed deliveries the webhook is auto-paused.
+ */
+function trackDeliveryResult(wh, result) {
+  if (result.status === DELIVERY_STATUS.DELIVERED) {
+    wh.failureCount = 0;
+    wh.lastDelivered = nowISO();
+    wh.lastError = null;
+  } else if (result.status === DELIVERY_STATUS.DEAD_LETTER) {
+    wh.failureCount++;
+    wh.lastError = `Delivery failed after ${result.attempts} attempts: ${result.error}`;
+    if (wh.failureCount >= 10 && wh.status === "active") {
+      wh.status = "paused";
+      setWebhookEndpointActive(wh.webhookId, false);
+    }
+  } else {
+    return;
+  }
+  persistWebhook(wh);
+}
+
+// Pending and retrying deliveries across the shared pipeline
+function pendingDeliveryCount() {
+  const { byStatus } = getWebhookDeliveryStats();
+  return (byStatus[DELIVERY_STATUS.PENDING] || 0) + (byStatus[DELIVERY_STATUS.RETRYING] || 0);
+}
+
 /**
  * Queue an event for delivery to all matching webhooks.
- * Does not block — pushes to an internal queue for async processing.
+ * Does not block — deliveries go to the shared pipeline
+ * (lib/webhook-delivery.js) and are sent by processWebhookQueue().
  *
  * @param {string} event — Event type (e.g. "dtu.created")
  * @param {Object} data  — Event payload
@@ -439,7 +935,6 @@ export function queueWebhookDelivery(event, data) {
       return { ok: false, error: `Unknown event type: ${event}` };
     }
 
-    const timestamp = nowISO();
     let queued = 0;
 
     for (const wh of _webhooks.values()) {
@@ -450,25 +945,7 @@ export function queueWebhookDelivery(event, data) {
       const plugin = _plugins.get(wh.pluginId);
       if (!plugin || plugin.status !== "active") continue;
 
-      const deliveryId = uid("dlv");
-      const body = JSON.stringify({ event, timestamp, data });
-      const signature = hmacSign(body, wh.secret);
-
-      _webhookQueue.push({
-        deliveryId,
-        webhookId: wh.webhookId,
-        pluginId: wh.pluginId,
-        url: wh.url,
-        event,
-        body,
-        signature,
-        attempts: 0,
-        maxRetries: wh.maxRetries,
-        nextAttemptAt: Date.now(),
-        createdAt: timestamp,
-      });
-
-      queued++;
+      if (enqueueWebhookDelivery(wh.webhookId, event, data).ok) queued++;
     }
 
     return { ok: true, event, queued };
@@ -480,95 +957,32 @@ export function queueWebhookDelivery(event, data) {
 /**
  * Process pending webhook deliveries.
  *
- * In production this would issue real HTTP requests. Here we simulate
- * delivery and manage retry / failure logic:
- *   - HMAC-SHA256 signature in X-Concordos-Signature header
- *   - 3 retries with exponential backoff (2s, 4s, 8s)
- *   - After 10 consecutive failures, auto-pause the webhook
+ * Real HTTP POSTs through the shared pipeline:
+ *   - HMAC-SHA256 signature with timestamp in X-Concordos-Signature
+ *   - 3 attempts per delivery with exponential backoff (2s, 4s)
+ *   - Exhausted deliveries go to the dead-letter queue for manual replay
+ *   - After 10 consecutive dead-lettered deliveries, auto-pause the webhook
  *
- * Processes up to 20 deliveries per call.
+ * Processes up to 20 due deliveries per call.
  */
-export function processWebhookQueue() {
+export async function processWebhookQueue() {
   try {
-    const now = Date.now();
-    const results = [];
-    const batch = [];
-
-    // Collect deliveries that are ready
-    let i = 0;
-    while (i < _webhookQueue.length && batch.length < 20) {
-      const delivery = _webhookQueue[i];
-      if (delivery.nextAttemptAt <= now) {
-        _webhookQueue.splice(i, 1);
-        batch.push(delivery);
-      } else {
-        i++;
-      }
-    }
-
-    for (const delivery of batch) {
-      delivery.attempts++;
-      const wh = _webhooks.get(delivery.webhookId);
-
-      // Simulate delivery: valid URL starting with http = success
-      const success = simulateHTTPPost(delivery.url, delivery.body, delivery.signature);
-
-      if (success) {
-        if (wh) {
-          wh.failureCount = 0;
-          wh.lastDelivered = nowISO();
-        }
-        results.push({ deliveryId: delivery.deliveryId, status: "delivered" });
-      } else {
-        // Retry with exponential backoff: 2s, 4s, 8s
-        if (delivery.attempts < delivery.maxRetries) {
-          const backoffMs = Math.pow(2, delivery.attempts) * 1000;
-          delivery.nextAttemptAt = now + backoffMs;
-          _webhookQueue.push(delivery);
-          results.push({ deliveryId: delivery.deliveryId, status: "retrying", attempt: delivery.attempts });
-        } else {
-          // Final failure
-          if (wh) {
-            wh.failureCount++;
-            wh.lastError = `Delivery failed after ${delivery.attempts} attempts`;
-
-            // Auto-pause after 10 consecutive failures
-            if (wh.failureCount >= 10) {
-              wh.status = "paused";
-            }
-          }
-          results.push({ deliveryId: delivery.deliveryId, status: "failed" });
-        }
-      }
-    }
-
-    return { ok: true, processed: results.length, pending: _webhookQueue.length, results };
+    const { processed, results } = await processWebhookDeliveries({ limit: 20 });
+    return {
+      ok: true,
+      processed,
+      pending: pendingDeliveryCount(),
+      results: results.map(r => ({
+        deliveryId: r.deliveryId,
+        status: r.status === DELIVERY_STATUS.DEAD_LETTER ? "failed" : r.status,
+        ...(r.status === DELIVERY_STATUS.RETRYING ? { attempt: r.attempts } : {}),
+      })),
+    };
   } catch {
     return { ok: false, error: "Queue processing failed" };
   }
 }
 
-/**
- * Simulate an HTTP POST delivery. In production, this would use fetch().
- * Returns true if the URL looks valid (starts with http).
- */
-function simulateHTTPPost(url, body, signature) {
-  // In production:
-  //   fetch(url, {
-  //     method: "POST",
-  //     headers: {
-  //       "Content-Type": "application/json",
-  //       "X-Concordos-Signature": signature,
-  //     },
-  //     body,
-  //   })
-  try {
-    return typeof url === "string" && url.startsWith("http");
-  } catch {
-    return false;
-  }
-}
-
 // ── Schema Introspection ────────────────────────────────────────────────────
 
 /**
@@ -792,6 +1206,7 @@ export function createSandbox(pluginId, type = "readonly") {
     };
 
     _sandboxes.set(sandboxId, sandbox);
+    persistSandbox(sandbox);
 
     return { ok: true, sandboxId, type, expiresAt: sandbox.expiresAt };
   } catch {
@@ -808,6 +1223,7 @@ export function destroySandbox(sandboxId) {
       return { ok: false, error: "Sandbox not found" };
     }
     _sandboxes.delete(sandboxId);
+    unpersistSandbox(sandboxId);
     return { ok: true, sandboxId, destroyed: true };
   } catch {
     return { ok: false, error: "Sandbox destruction failed" };
@@ -824,6 +1240,7 @@ function pruneExpiredSandboxes() {
       const expiresMs = new Date(sb.expiresAt).getTime();
       if (now >= expiresMs) {
         _sandboxes.delete(sbId);
+        unpersistSandbox(sbId);
       }
     }
   } catch {
@@ -878,6 +1295,7 @@ export function checkRateLimit(pluginId) {
     // Try to consume one token
     if (bucket.tokens >= 1) {
       bucket.tokens -= 1;
+      persistBucket(pluginId, bucket);
 
       // Track usage
       trackUsage(pluginId);
@@ -891,6 +1309,7 @@ export function checkRateLimit(pluginId) {
     }
 
     // Rate limited — calculate retry-after
+    persistBucket(pluginId, bucket);
     const tokensNeeded = 1 - bucket.tokens;
     const retryAfterMs = Math.ceil(tokensNeeded / refillRate);
     const retryAfterSec = Math.ceil(retryAfterMs / 1000);
@@ -907,12 +1326,18 @@ export function checkRateLimit(pluginId) {
   }
 }
 
+function persistBucket(pluginId, bucket) {
+  if (!_store) return;
+  _store.putBucket.run(pluginId, bucket.tokens, bucket.lastRefill, bucket.requestsPerMinute, bucket.burstSize);
+}
+
 /**
  * Track per-plugin usage by hour.
  */
 function trackUsage(pluginId) {
   try {
     const hourKey = new Date().toISOString().slice(0, 13); // "2024-01-15T09"
+    if (_store) _store.bumpUsage.run(pluginId, hourKey);
     let log = _usageLog.get(pluginId);
     if (!log) {
       log = [];
@@ -935,6 +1360,148 @@ function trackUsage(pluginId) {
   }
 }
 
+// ── Metering & Audit ────────────────────────────────────────────────────────
+
+/**
+ * Gate and meter one plugin API call: validate the key (and scope), take a
+ * rate-limit token, then — when the plugin has a billing account and a
+ * store is attached — charge it through meterAPICall under the key's hash.
+ *
+ * @param {string} apiKey
+ * @param {Object} call
+ * @param {string} call.endpoint
+ * @param {string} [call.method="GET"]
+ * @param {string} [call.scope]    — Permission the call needs
+ * @param {Object} [call.metadata] — Passed to the cost model
+ * @param {number} [call.balance]  — Billing account balance (looked up if omitted)
+ * @returns {{ ok: boolean, allowed?: boolean, reason?: string, cost?: number, error?: string }}
+ */
+export function meterPluginCall(apiKey, { endpoint, method = "GET", scope, metadata = {}, balance } = {}) {
+  try {
+    if (!endpoint) return { ok: false, error: "Endpoint is required" };
+
+    const auth = validateApiKey(apiKey, { scope });
+    if (!auth.ok) return { ...auth, allowed: false };
+    const { pluginId, keyId } = auth;
+
+    const rate = checkRateLimit(pluginId);
+    if (!rate.ok) return { ...rate, allowed: false };
+    if (!rate.allowed) {
+      return { ok: true, allowed: false, reason: "rate_limited", pluginId, retryAfter: rate.retryAfter };
+    }
+
+    const plugin = _plugins.get(pluginId);
+    if (!_store || !plugin.billingUserId) {
+      return { ok: true, allowed: true, pluginId, keyId, billed: false, cost: 0 };
+    }
+
+    const accountBalance = balance ?? _store.getBalance?.(_store.db, plugin.billingUserId)?.balance ?? 0;
+    const meter = meterAPICall(_store.db, {
+      keyHash: hashApiKey(apiKey),
+      userId: plugin.billingUserId,
+      endpoint,
+      method,
+      metadata: { ...metadata, pluginId, keyId },
+      balance: accountBalance,
+    });
+    if (!meter.allowed) {
+      plugin.errorCount++;
+      persistPlugin(plugin);
+    }
+
+    return { ok: true, pluginId, keyId, billed: meter.allowed, ...meter };
+  } catch {
+    return { ok: false, error: "Metering failed" };
+  }
+}
+
+/**
+ * Compare the SDK's hourly call counts for a plugin with the calls billed
+ * under its keys in api_usage_log. Calls that were allowed by the rate
+ * limiter but never billed (no billing account, refused for balance, or
+ * checked without metering) show up as unbilled.
+ *
+ * @param {string} pluginId
+ * @param {Object} [opts]
+ * @param {number} [opts.hours=24] — Window to reconcile
+ */
+export function reconcilePluginUsage(pluginId, { hours = 24 } = {}) {
+  try {
+    if (!_plugins.has(pluginId)) return { ok: false, error: "Plugin not found" };
+    if (!_store) return { ok: false, error: "Usage reconciliation needs the durable store" };
+
+    const sinceMs = Date.now() - Math.max(1, Number(hours) || 24) * 3600000;
+    const sinceHour = new Date(sinceMs).toISOString().slice(0, 13);
+    const byHour = new Map();
+    const row = (hour) => {
+      if (!byHour.has(hour)) byHour.set(hour, { hour, sdkCalls: 0, billedCalls: 0, cost: 0 });
+      return byHour.get(hour);
+    };
+
+    for (const r of _store.db.prepare(
+      "SELECT hour, count FROM sdk_usage_hourly WHERE plugin_id = ? AND hour >= ?"
+    ).all(pluginId, sinceHour)) {
+      row(r.hour).sdkCalls = r.count;
+    }
+
+    // api_usage_log timestamps are "YYYY-MM-DD HH:MM:SS.sss" (UTC)
+    for (const r of _store.db.prepare(`
+      SELECT substr(l.created_at, 1, 13) AS hour, COUNT(*) AS n, COALESCE(SUM(l.cost), 0) AS cost
+      FROM api_usage_log l JOIN sdk_api_keys k ON k.key_hash = l.api_key_hash
+      WHERE k.plugin_id = ? AND l.created_at >= ?
+      GROUP BY hour
+    `).all(pluginId, sinceHour.replace("T", " "))) {
+      const entry = row(r.hour.replace(" ", "T"));
+      entry.billedCalls = r.n;
+      entry.cost = Math.round(r.cost * 10000) / 10000;
+    }
+
+    const rows = [...byHour.values()].sort((a, b) => a.hour.localeCompare(b.hour));
+    const totals = rows.reduce((t, r) => ({
+      sdkCalls: t.sdkCalls + r.sdkCalls,
+      billedCalls: t.billedCalls + r.billedCalls,
+      cost: Math.round((t.cost + r.cost) * 10000) / 10000,
+    }), { sdkCalls: 0, billedCalls: 0, cost: 0 });
+
+    return {
+      ok: true,
+      pluginId,
+      billingUserId: _plugins.get(pluginId).billingUserId,
+      since: new Date(sinceMs).toISOString(),
+      hours: rows,
+      totals: { ...totals, unbilled: Math.max(0, totals.sdkCalls - totals.billedCalls) },
+    };
+  } catch {
+    return { ok: false, error: "Usage reconciliation failed" };
+  }
+}
+
+/**
+ * Audit trail for a plugin, newest first: registration, status changes,
+ * key issuance, rotation, revocation and expiry.
+ */
+export function getPluginAudit(pluginId, { limit = 100 } = {}) {
+  try {
+    if (!_plugins.has(pluginId)) return { ok: false, error: "Plugin not found" };
+    const n = Math.min(Math.max(Number(limit) || 100, 1), 1000);
+
+    let events;
+    if (_store) {
+      events = _store.db.prepare(
+        "SELECT * FROM sdk_audit_log WHERE plugin_id = ? ORDER BY seq DESC LIMIT ?"
+      ).all(pluginId, n).map(r => ({
+        seq: r.seq, pluginId: r.plugin_id, action: r.action, actor: r.actor,
+        details: JSON.parse(r.details_json), createdAt: r.created_at,
+      }));
+    } else {
+      events = _auditLog.filter(e => e.pluginId === pluginId).slice(-n).reverse();
+    }
+    return { ok: true, pluginId, events, total: events.length };
+  } catch {
+    return { ok: false, error: "Failed to read plugin audit" };
+  }
+}
+
 // ── Metrics ─────────────────────────────────────────────────────────────────
 
 /**
@@ -987,6 +1554,9 @@ export function getPluginMetrics(pluginId) {
         active: sandboxCount,
         maxAllowed: MAX_SANDBOXES_PER_PLUGIN,
       },
+      apiKeys: {
+        active: activeKeysFor(pluginId).length,
+      },
       usage: {
         totalTracked: totalRequests,
         last24h: requestsLast24h,
@@ -1042,11 +1612,14 @@ export function getSDKMetrics() {
       webhooks: {
         total: _webhooks.size,
         byStatus: webhooksByStatus,
-        pendingDeliveries: _webhookQueue.length,
+        pendingDeliveries: pendingDeliveryCount(),
       },
       sandboxes: {
         active: _sandboxes.size,
       },
+      apiKeys: {
+        active: _apiKeys.size,
+      },
       usage: {
         requestsLast24h: globalLast24h,
         activeRateBuckets: _rateBuckets.size,
@@ -1054,6 +1627,7 @@ export function getSDKMetrics() {
       permissions: {
         available: [...ALL_PERMISSIONS],
       },
+      store: _store ? "sqlite" : "memory",
     };
   } catch {
     return { ok: false, error: "Failed to generate SDK metrics" };
@@ -1070,6 +1644,7 @@ setInterval(() => {
       // If no activity for 5 minutes, remove the bucket
       if (now - bucket.lastRefill > 300000) {
         _rateBuckets.delete(pluginId);
+        if (_store) _store.deleteBucket.run(pluginId);
       }
     }
   } catch {
@@ -107,7 +107,7 @@ import {
   JOURNAL_EVENTS, appendEvent,
   queryByType, queryByEntity, queryBySession,
   getRecentEvents, explainDTU as journalExplainDTU,
-  getJournalMetrics, compactJournal,
+  getJournalMetrics, compactJournal, reconstructDTU,
 } from "./journal.js";
 
 import {
@@ -849,9 +849,13 @@ function init({ register, STATE, helpers }) {
   }, { description: "Get recent journal events", public: true });
 
   register("emergent", "journal.explain", (_ctx, input = {}) => {
-    return journalExplainDTU(STATE, input.dtuId);
+    return journalExplainDTU(STATE, input.dtuId, { since: input.since, until: input.until });
   }, { description: "Explain DTU history from journal", public: true });
 
+  register("emergent", "journal.reconstruct", (_ctx, input = {}) => {
+    return reconstructDTU(STATE, input.dtuId, { asOf: input.asOf });
+  }, { description: "Rebuild a DTU as of a point in time from the journal", public: true });
+
   register("emergent", "journal.metrics", (_ctx) => {
     return getJournalMetrics(STATE);
   }, { description: "Get journal metrics", public: true });
@@ -8,9 +8,15 @@
  *
  * Perfect replay + debugging + "why did the lattice change?" for emergents and admins.
  * This is the event-sourced spine of lattice observability.
+ *
+ * With a durable store attached (attachJournalStore, migration 041) every
+ * event is also written to SQLite, per-DTU snapshots are taken every
+ * SNAPSHOT_INTERVAL events, and compaction only trims the in-memory window —
+ * reconstructDTU() can rebuild any DTU as of any timestamp.
  */
 
 import { getEmergentState } from "./store.js";
+import { createTenantStores } from "../lib/tenancy.js";
 
 // ── Event Types ─────────────────────────────────────────────────────────────
 
@@ -59,6 +65,18 @@ export const JOURNAL_EVENTS = Object.freeze({
   SYSTEM_INIT:          "SYSTEM_INIT",
 });
 
+// DTU lifecycle events that carry field state (folded by reconstructDTU)
+const DTU_STATE_EVENTS = new Set([
+  JOURNAL_EVENTS.DTU_CREATED, JOURNAL_EVENTS.DTU_UPDATED, JOURNAL_EVENTS.DTU_PROMOTED,
+  JOURNAL_EVENTS.DTU_DEMOTED, JOURNAL_EVENTS.DTU_DELETED,
+]);
+
+// A DTU snapshot is written after this many state events for that DTU
+export const SNAPSHOT_INTERVAL = 50;
+
+// In-memory events kept when a durable store holds the full history
+const MEMORY_WINDOW = 10000;
+
 // ── Journal Store ───────────────────────────────────────────────────────────
 
 let _journalSeq = 0;
@@ -136,9 +154,287 @@ export function appendEvent(STATE, eventType, payload = {}, meta = {}) {
   journal.metrics.totalEvents++;
   journal.metrics.eventsByType[eventType] = (journal.metrics.eventsByType[eventType] || 0) + 1;
 
+  if (journalStore()) {
+    persistEvent(STATE, event);
+    // History is on disk; keep only a recent window in memory
+    if (journal.events.length > MEMORY_WINDOW * 1.5) compactJournal(STATE, MEMORY_WINDOW);
+  }
+
   return { ok: true, event };
 }
 
+// ── Durable Store ───────────────────────────────────────────────────────────
+
+// One store per database: the root one, and each tenant's own
+function buildJournalStore(db) {
+  try {
+    db.prepare("SELECT 1 FROM lattice_journal LIMIT 1").get();
+  } catch {
+    return null;
+  }
+  // Sequence numbers resume after the highest stored event
+  const lastSeq = db.prepare("SELECT MAX(seq) as s FROM lattice_journal").get().s || 0;
+  _journalSeq = Math.max(_journalSeq, lastSeq);
+  return {
+    db,
+    insert: db.prepare(`
+      INSERT INTO lattice_journal (seq, type, entity_id, session_id, actor_id, payload_json, meta_json, timestamp, ts_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertSnapshot: db.prepare(`
+      INSERT OR REPLACE INTO lattice_dtu_snapshots (dtu_id, seq, ts_ms, state_json) VALUES (?, ?, ?, ?)
+    `),
+    latestSnapshot: db.prepare(`
+      SELECT seq, state_json FROM lattice_dtu_snapshots
+      WHERE dtu_id = ? AND ts_ms <= ? ORDER BY seq DESC LIMIT 1
+    `),
+    entityTail: db.prepare(`
+      SELECT * FROM lattice_journal WHERE entity_id = ? AND seq > ? AND ts_ms <= ? ORDER BY seq ASC
+    `),
+    sinceSnapshot: new Map(),   // dtuId -> state events since its last snapshot
+  };
+}
+
+const _stores = createTenantStores(buildJournalStore);
+
+/** The durable store for the current tenant (or the root), or null. */
+function journalStore() {
+  return _stores.current();
+}
+
+/**
+ * Persist the journal to SQLite. Sequence numbers resume after the highest
+ * stored event. Inside a tenant context events go to that tenant's database
+ * instead (migrated alike), so tenants never read each other's history.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ ok: boolean, lastSeq?: number, error?: string }}
+ */
+export function attachJournalStore(db) {
+  const store = _stores.attach(db);
+  if (!store) return { ok: false, error: "journal_store_not_migrated" };
+  return { ok: true, lastSeq: _journalSeq };
+}
+
+export function detachJournalStore() {
+  _stores.detach();
+  return { ok: true };
+}
+
+function rowToEvent(row) {
+  return {
+    seq: row.seq,
+    type: row.type,
+    payload: JSON.parse(row.payload_json),
+    entityId: row.entity_id,
+    sessionId: row.session_id,
+    actorId: row.actor_id,
+    timestamp: row.timestamp,
+    meta: JSON.parse(row.meta_json),
+  };
+}
+
+function persistEvent(STATE, event) {
+  const store = journalStore();
+  try {
+    store.insert.run(
+      event.seq, event.type, event.entityId, event.sessionId, event.actorId,
+      JSON.stringify(event.payload ?? {}), JSON.stringify(event.meta ?? {}),
+      event.timestamp, Date.parse(event.timestamp),
+    );
+  } catch {
+    // Journal persistence is best-effort; the in-memory event still stands
+    return;
+  }
+
+  if (!DTU_STATE_EVENTS.has(event.type) || !event.entityId) return;
+
+  const dtuId = event.entityId;
+  let pending = store.sinceSnapshot.get(dtuId);
+  if (pending === undefined) {
+    const snap = store.latestSnapshot.get(dtuId, Number.MAX_SAFE_INTEGER);
+    pending = store.db.prepare("SELECT COUNT(*) as c FROM lattice_journal WHERE entity_id = ? AND seq > ?")
+      .get(dtuId, snap?.seq || 0).c - 1;
+  }
+  pending++;
+
+  if (pending >= SNAPSHOT_INTERVAL) {
+    const rebuilt = reconstructDTU(STATE, dtuId);
+    if (rebuilt.ok) {
+      store.insertSnapshot.run(dtuId, rebuilt.seq, Date.parse(event.timestamp), JSON.stringify(rebuilt.dtu));
+      pending = 0;
+    }
+  }
+  store.sinceSnapshot.set(dtuId, pending);
+}
+
+function parseAsOf(asOf) {
+  if (asOf === undefined || asOf === null || asOf === "") return Number.MAX_SAFE_INTEGER;
+  if (typeof asOf === "number") return asOf;
+  const ms = Date.parse(asOf);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * DTU state events for one DTU up to `untilMs`, after `afterSeq`, in order.
+ */
+function loadDTUEvents(STATE, dtuId, afterSeq, untilMs) {
+  const store = journalStore();
+  if (store) {
+    return store.entityTail.all(dtuId, afterSeq, untilMs).map(rowToEvent).filter(e => DTU_STATE_EVENTS.has(e.type));
+  }
+  const journal = getJournal(STATE);
+  return (journal.byEntity.get(dtuId) || [])
+    .map(i => journal.events[i])
+    .filter(e => e && e.seq > afterSeq && DTU_STATE_EVENTS.has(e.type) && Date.parse(e.timestamp) <= untilMs);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Apply one DTU state event. Returns the new field state (null once
+ * deleted) and the field-level changes it made.
+ */
+function applyDTUEvent(current, event) {
+  const p = event.payload || {};
+  const changes = [];
+  let next = current ? { ...current } : null;
+
+  const set = (field, value) => {
+    const before = next ? next[field] : undefined;
+    if (sameValue(before, value)) return;
+    if (!next) next = {};
+    next[field] = value;
+    changes.push({ field, before, after: value });
+  };
+
+  switch (event.type) {
+    case JOURNAL_EVENTS.DTU_CREATED:
+      next = {};
+      for (const [field, value] of Object.entries(p.dtu || p.fields || {})) {
+        next[field] = value;
+        changes.push({ field, before: current ? current[field] : undefined, after: value });
+      }
+      break;
+    case JOURNAL_EVENTS.DTU_UPDATED:
+      for (const [field, value] of Object.entries(p.edits || {})) set(field, value);
+      for (const field of p.removed || []) {
+        if (next && field in next) {
+          changes.push({ field, before: next[field], after: undefined });
+          delete next[field];
+        }
+      }
+      break;
+    case JOURNAL_EVENTS.DTU_PROMOTED:
+    case JOURNAL_EVENTS.DTU_DEMOTED:
+      if (p.tier !== undefined) set("tier", p.tier);
+      break;
+    case JOURNAL_EVENTS.DTU_DELETED:
+      if (current) changes.push({ field: "*", before: current, after: null });
+      next = null;
+      break;
+    default:
+      break;
+  }
+
+  return { state: next, changes };
+}
+
+/**
+ * Rebuild a DTU as it was at `asOf` (ISO string or epoch ms; default now)
+ * from the nearest snapshot plus the journal tail after it.
+ *
+ * @param {Object} STATE - Global server state
+ * @param {string} dtuId - DTU to rebuild
+ * @param {Object} [opts]
+ * @param {string|number} [opts.asOf]
+ * @returns {{ ok: boolean, dtu?: Object|null, exists?: boolean, seq?: number, error?: string }}
+ */
+export function reconstructDTU(STATE, dtuId, opts = {}) {
+  const untilMs = parseAsOf(opts.asOf);
+  if (untilMs === null) return { ok: false, error: "invalid_as_of" };
+
+  let state = null;
+  let fromSnapshot = null;
+  const store = journalStore();
+  if (store) {
+    const snap = store.latestSnapshot.get(dtuId, untilMs);
+    if (snap) {
+      state = snap.state_json ? JSON.parse(snap.state_json) : null;
+      fromSnapshot = snap.seq;
+    }
+  }
+
+  const events = loadDTUEvents(STATE, dtuId, fromSnapshot || 0, untilMs);
+  if (fromSnapshot === null && events.length === 0) {
+    return { ok: false, error: "no_history", dtuId };
+  }
+
+  for (const event of events) state = applyDTUEvent(state, event).state;
+
+  return {
+    ok: true,
+    dtuId,
+    asOf: untilMs === Number.MAX_SAFE_INTEGER ? null : new Date(untilMs).toISOString(),
+    exists: state !== null,
+    dtu: state,
+    seq: events.length ? events[events.length - 1].seq : fromSnapshot,
+    fromSnapshot,
+    replayed: events.length,
+  };
+}
+
+/**
+ * Journal the current fields of a DTU. Appends DTU_CREATED the first time,
+ * then DTU_UPDATED with only the fields that differ from the journaled
+ * state (nothing when unchanged). Requires a durable store.
+ *
+ * @param {Object} STATE - Global server state
+ * @param {Object} dtu - DTU as stored in STATE.dtus
+ * @param {Object} [opts]
+ * @param {string} [opts.actorId]
+ * @param {boolean} [opts.deleted] - Record a deletion instead
+ */
+export function recordDTUChange(STATE, dtu, opts = {}) {
+  if (!journalStore()) return { ok: false, error: "journal_store_not_attached" };
+  if (!dtu?.id) return { ok: false, error: "dtu_id_required" };
+
+  const latest = reconstructDTU(STATE, dtu.id);
+  const current = latest.ok ? latest.dtu : null;
+  const meta = opts.actorId ? { actorId: opts.actorId } : {};
+
+  if (opts.deleted) {
+    if (!current) return { ok: true, changed: false };
+    return { ...appendEvent(STATE, JOURNAL_EVENTS.DTU_DELETED, { dtuId: dtu.id }, meta), changed: true };
+  }
+
+  const fields = journalFields(dtu);
+  if (!current) {
+    return { ...appendEvent(STATE, JOURNAL_EVENTS.DTU_CREATED, { dtuId: dtu.id, dtu: fields }, meta), changed: true };
+  }
+
+  const edits = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (!sameValue(current[field], value)) edits[field] = value;
+  }
+  const removed = Object.keys(current).filter(field => !(field in fields));
+  if (Object.keys(edits).length === 0 && removed.length === 0) return { ok: true, changed: false };
+
+  return { ...appendEvent(STATE, JOURNAL_EVENTS.DTU_UPDATED, { dtuId: dtu.id, edits, removed }, meta), changed: true };
+}
+
+// Plain-data copy of a DTU's fields; private (_-prefixed) fields are not journaled
+function journalFields(dtu) {
+  const out = {};
+  for (const [field, value] of Object.entries(dtu)) {
+    if (field.startsWith("_") || value === undefined || typeof value === "function") continue;
+    out[field] = JSON.parse(JSON.stringify(value));
+  }
+  return out;
+}
+
 // ── Query Operations ────────────────────────────────────────────────────────
 
 /**
@@ -199,24 +495,48 @@ export function getRecentEvents(STATE, count = 50) {
 
 /**
  * Get the full event history for a DTU — "why did this DTU change?"
+ * Each entry carries the field-level diff it made. Reads the durable store
+ * when attached, so compacted history is included.
  *
  * @param {Object} STATE - Global server state
  * @param {string} dtuId - DTU to explain
+ * @param {Object} [opts]
+ * @param {string|number} [opts.since] - Only entries at or after this time
+ * @param {string|number} [opts.until] - Only entries at or before this time
  * @returns {{ ok: boolean, history: Object[] }}
  */
-export function explainDTU(STATE, dtuId) {
-  const journal = getJournal(STATE);
-  const indices = journal.byEntity.get(dtuId) || [];
+export function explainDTU(STATE, dtuId, opts = {}) {
+  const sinceMs = opts.since ? parseAsOf(opts.since) : 0;
+  const untilMs = parseAsOf(opts.until);
+
+  const store = journalStore();
+  let events;
+  if (store) {
+    events = store.entityTail.all(dtuId, 0, untilMs).map(rowToEvent);
+  } else {
+    const journal = getJournal(STATE);
+    events = (journal.byEntity.get(dtuId) || []).map(i => journal.events[i]).filter(Boolean)
+      .filter(e => Date.parse(e.timestamp) <= untilMs);
+  }
 
-  const history = indices.map(i => journal.events[i]).filter(Boolean).map(e => ({
-    seq: e.seq,
-    type: e.type,
-    actorId: e.actorId,
-    timestamp: e.timestamp,
-    summary: summarizeEvent(e),
-  }));
+  // Fold from the beginning so every diff has its true "before"
+  let state = null;
+  const history = [];
+  for (const e of events) {
+    const applied = DTU_STATE_EVENTS.has(e.type) ? applyDTUEvent(state, e) : { state, changes: [] };
+    state = applied.state;
+    if (sinceMs && Date.parse(e.timestamp) < sinceMs) continue;
+    history.push({
+      seq: e.seq,
+      type: e.type,
+      actorId: e.actorId,
+      timestamp: e.timestamp,
+      summary: summarizeEvent(e),
+      changes: applied.changes,
+    });
+  }
 
-  return { ok: true, dtuId, history, eventCount: history.length };
+  return { ok: true, dtuId, history, eventCount: history.length, durable: Boolean(store) };
 }
 
 /**
@@ -232,12 +552,14 @@ export function getJournalMetrics(STATE) {
     trackedSessions: journal.bySession.size,
     compacted: journal.compacted,
     snapshots: journal.snapshots.length,
+    durable: Boolean(journalStore()),
   };
 }
 
 /**
  * Compact old events into a snapshot (keeps journal from growing unbounded).
- * Events older than the retention window are summarized.
+ * Events older than the retention window are summarized. With a durable
+ * store attached only the in-memory copy is dropped; history stays on disk.
  *
  * @param {Object} STATE - Global server state
  * @param {number} [retainCount=1000] - Keep the most recent N events
@@ -259,6 +581,7 @@ export function compactJournal(STATE, retainCount = 1000) {
     eventRange: { from: compactedEvents[0]?.seq, to: compactedEvents[compactedEvents.length - 1]?.seq },
     eventCount: compactedEvents.length,
     typeSummary: {},
+    persisted: Boolean(journalStore()),
   };
   for (const e of compactedEvents) {
     snapshot.typeSummary[e.type] = (snapshot.typeSummary[e.type] || 0) + 1;
@@ -18,6 +18,11 @@
  *   lattice:cascade      — Consequence cascade triggered
  *   lattice:trust:shift  — Trust network changed significantly
  *   lattice:sector:change — DTU or emergent sector assignment changed
+ *   lattice:collab:sync     — CRDT sync reply (diff + state vector + presence)
+ *   lattice:collab:update   — CRDT update relayed from another participant
+ *   lattice:collab:presence — Cursor/selection/join/leave of a participant
+ *   lattice:collab:committed — Collaborative edits committed to the DTU
+ *   lattice:collab:error    — A collab message was rejected
  *
  * This module provides functions that the existing WebSocket handlers call.
  * It does NOT replace the WS setup — it enriches it.
@@ -25,6 +30,10 @@
 
 import { getEmergentState } from "./store.js";
 import { SECTORS, ALL_SECTORS, SECTOR_BY_ID } from "./sectors.js";
+import {
+  joinCollabDoc, applyCollabUpdate, updatePresence, leaveCollabDoc, commitCollabDoc,
+} from "./crdt-collab.js";
+import { authorizeRequest } from "./rbac.js";
 
 // ── Connection Classification ────────────────────────────────────────────────
 
@@ -264,6 +273,118 @@ export function buildMetaConvergenceEvent(convergenceId, dreamDtuId, metaDtuId,
   };
 }
 
+// ── Collaborative Editing ────────────────────────────────────────────────────
+
+/** Client → server collab message types (socket.io event names / ws `type`). */
+export const COLLAB_MESSAGE_TYPES = Object.freeze({
+  JOIN:      "collab:join",
+  UPDATE:    "collab:update",
+  AWARENESS: "collab:awareness",
+  LEAVE:     "collab:leave",
+  COMMIT:    "collab:commit",
+});
+
+const COLLAB_PERMISSIONS = {
+  [COLLAB_MESSAGE_TYPES.JOIN]:      "read",
+  [COLLAB_MESSAGE_TYPES.UPDATE]:    "write",
+  [COLLAB_MESSAGE_TYPES.AWARENESS]: "read",
+  [COLLAB_MESSAGE_TYPES.LEAVE]:     null,
+  [COLLAB_MESSAGE_TYPES.COMMIT]:    "write",
+};
+
+/**
+ * Build a collab lattice event. Collab traffic is DTU content, so it lives
+ * in the memory sector.
+ */
+export function buildCollabEvent(kind, dtuId, data) {
+  return {
+    event: `lattice:collab:${kind}`,
+    sectorId: 4,
+    data: { dtuId, ...data },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Handle one collab message from a connection. Transport-agnostic: the
+ * socket.io and native ws handlers both call this and act on the result.
+ *
+ * @param {Object} STATE
+ * @param {Object} message - { type, dtuId, ... } as sent by the client
+ * @param {Object} connection
+ * @param {string} connection.connectionId
+ * @param {string} [connection.userId] - Authenticated user, if any
+ * @returns {{ ok, reply?, broadcast?, join?, leave? }}
+ *   reply goes back to the sender, broadcast to the other participants of
+ *   the DTU; join/leave name the DTU whose room the connection enters/exits.
+ */
+export function routeCollabMessage(STATE, message = {}, connection = {}) {
+  const { type, dtuId } = message;
+  const { connectionId, userId = null } = connection;
+  const fail = (error) => ({ ok: false, reply: buildCollabEvent("error", dtuId || null, { type, error }) });
+
+  if (!Object.prototype.hasOwnProperty.call(COLLAB_PERMISSIONS, type)) return fail("unknown_message_type");
+  if (!dtuId || typeof dtuId !== "string") return fail("dtuId required");
+
+  const permission = COLLAB_PERMISSIONS[type];
+  // An open DTU (no ACL, no org) authorizes anyone, so edits need an account
+  // here just as the HTTP write routes do.
+  if (permission === "write" && !userId) return fail("authentication_required");
+  if (permission) {
+    const decision = authorizeRequest(STATE, { userId, resourceType: "dtu", resourceId: dtuId, permission });
+    if (!decision.allowed) return fail(`forbidden:${decision.reason}`);
+  }
+
+  switch (type) {
+    case COLLAB_MESSAGE_TYPES.JOIN: {
+      const r = joinCollabDoc(STATE, dtuId, {
+        connectionId, userId, stateVector: message.stateVector || {}, docId: message.docId || null, meta: message.meta || {},
+      });
+      if (!r.ok) return fail(r.error);
+      const { ok: _ok, dtuId: _id, ...sync } = r;
+      const me = r.presence.find(p => p.connectionId === connectionId);
+      return {
+        ok: true,
+        join: dtuId,
+        reply: buildCollabEvent("sync", dtuId, sync),
+        broadcast: buildCollabEvent("presence", dtuId, { action: "join", presence: me }),
+      };
+    }
+    case COLLAB_MESSAGE_TYPES.UPDATE: {
+      const r = applyCollabUpdate(STATE, dtuId, message.update, { docId: message.docId || null });
+      if (!r.ok) return fail(r.error);
+      return {
+        ok: true,
+        reply: buildCollabEvent("ack", dtuId, { applied: r.applied, pending: r.pending, stateVector: r.stateVector }),
+        broadcast: buildCollabEvent("update", dtuId, { update: r.relay, from: connectionId }),
+      };
+    }
+    case COLLAB_MESSAGE_TYPES.AWARENESS: {
+      const r = updatePresence(STATE, dtuId, connectionId, message);
+      if (!r.ok) return fail(r.error);
+      return { ok: true, broadcast: buildCollabEvent("presence", dtuId, { action: "update", presence: r.presence }) };
+    }
+    case COLLAB_MESSAGE_TYPES.LEAVE: {
+      const r = leaveCollabDoc(STATE, dtuId, connectionId);
+      if (!r.ok) return fail(r.error);
+      return {
+        ok: true,
+        leave: dtuId,
+        broadcast: buildCollabEvent("presence", dtuId, { action: "leave", presence: { connectionId, userId } }),
+      };
+    }
+    case COLLAB_MESSAGE_TYPES.COMMIT: {
+      if (!userId) return fail("authentication_required");
+      const r = commitCollabDoc(STATE, dtuId, { actor: userId, userId, scope: message.scope });
+      if (!r.ok) return fail(r.error);
+      const committed = buildCollabEvent("committed", dtuId, { by: userId, stateVector: r.stateVector, warnings: r.warnings });
+      return { ok: true, reply: committed, broadcast: committed };
+    }
+    default:
+      return fail("unknown_message_type");
+  }
+}
+
 // ── Metrics ──────────────────────────────────────────────────────────────────
 
 /**
@@ -6,15 +6,20 @@
  */
 
 import crypto from "crypto";
+import {
+  DELIVERY_STATUS, registerWebhookEndpoint, setWebhookEndpointActive, removeWebhookEndpoint, loadWebhookEndpoints,
+  enqueueWebhookDelivery, processWebhookDeliveries, listWebhookDeliveries, getWebhookDeliveryStats,
+} from "../lib/webhook-delivery.js";
 
 // ── Webhook State ────────────────────────────────────────────────────────
+// Registrations live on STATE; delivery (signing, HTTP, retries, the
+// dead-letter queue and the persistent log) is the shared pipeline in
+// lib/webhook-delivery.js.
 
 function getWebhookState(STATE) {
   if (!STATE._webhooks) {
     STATE._webhooks = {
       registrations: new Map(),  // webhookId → webhook config
-      deliveryLog: [],           // delivery history
-      pendingDeliveries: [],     // queued deliveries
 
       metrics: {
         totalRegistrations: 0,
@@ -47,6 +52,22 @@ export const WEBHOOK_EVENTS = Object.freeze({
 
 // ── Webhook Registration ─────────────────────────────────────────────────
 
+/**
+ * Delivery outcomes from the pipeline update the webhook's own counters.
+ */
+function trackDeliveryResult(webhooks, wh, result) {
+  if (result.status === DELIVERY_STATUS.DELIVERED) {
+    webhooks.metrics.totalDeliveries++;
+    wh.lastDeliveryAt = new Date().toISOString();
+    wh.consecutiveFailures = 0;
+  } else if (result.status === DELIVERY_STATUS.RETRYING) {
+    webhooks.metrics.totalRetries++;
+  } else if (result.status === DELIVERY_STATUS.DEAD_LETTER) {
+    webhooks.metrics.totalFailures++;
+    wh.consecutiveFailures++;
+  }
+}
+
 /**
  * Register a webhook to receive events.
  */
@@ -84,12 +105,58 @@ export function registerWebhook(STATE, input) {
     maxRetries: input.maxRetries || 3,
   };
 
+  const endpoint = registerWebhookEndpoint({
+    id: webhook.id,
+    source: "public_api",
+    ownerId: webhook.ownerId,
+    url: webhook.url,
+    secret: webhook.secret,
+    maxAttempts: webhook.maxRetries,
+    metadata: { events: webhook.events, createdAt: webhook.createdAt },
+    onResult: (result) => trackDeliveryResult(webhooks, webhook, result),
+  });
+  if (!endpoint.ok) return endpoint;
+
   webhooks.registrations.set(webhook.id, webhook);
   webhooks.metrics.totalRegistrations++;
 
   return { ok: true, webhook: { ...webhook, secret: webhook.secret } };
 }
 
+/**
+ * Rebuild registrations from the endpoints the delivery pipeline persisted.
+ * Call at startup after configureWebhookDelivery({ db }).
+ */
+export function restoreWebhooks(STATE) {
+  const webhooks = getWebhookState(STATE);
+  let restored = 0;
+
+  for (const ep of loadWebhookEndpoints("public_api")) {
+    if (webhooks.registrations.has(ep.id)) continue;
+    const webhook = {
+      id: ep.id,
+      url: ep.url,
+      events: Array.isArray(ep.metadata.events) ? ep.metadata.events : [],
+      secret: ep.secret,
+      ownerId: ep.ownerId || "system",
+      active: ep.active,
+      createdAt: ep.metadata.createdAt || ep.registeredAt,
+      lastDeliveryAt: null,
+      consecutiveFailures: 0,
+      maxRetries: ep.maxAttempts || 3,
+    };
+    const endpoint = registerWebhookEndpoint({
+      ...ep,
+      onResult: (result) => trackDeliveryResult(webhooks, webhook, result),
+    });
+    if (!endpoint.ok) continue;
+    webhooks.registrations.set(webhook.id, webhook);
+    restored++;
+  }
+
+  return { ok: true, restored };
+}
+
 export function getWebhook(STATE, webhookId) {
   const webhooks = getWebhookState(STATE);
   const wh = webhooks.registrations.get(webhookId);
@@ -115,12 +182,14 @@ export function deactivateWebhook(STATE, webhookId) {
   const wh = webhooks.registrations.get(webhookId);
   if (!wh) return { ok: false, error: "Webhook not found" };
   wh.active = false;
+  setWebhookEndpointActive(webhookId, false);
   return { ok: true, webhookId, deactivated: true };
 }
 
 export function deleteWebhook(STATE, webhookId) {
   const webhooks = getWebhookState(STATE);
   webhooks.registrations.delete(webhookId);
+  removeWebhookEndpoint(webhookId);
   return { ok: true, webhookId, deleted: true };
 }
 
@@ -145,113 +214,40 @@ export function dispatchWebhookEvent(STATE, eventType, payload) {
   if (matchingWebhooks.length === 0) return { ok: true, dispatched: 0 };
 
   const deliveryId = `del_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`;
-  const timestamp = new Date().toISOString();
 
+  let dispatched = 0;
   for (const wh of matchingWebhooks) {
-    const delivery = {
-      id: `${deliveryId}_${wh.id}`,
-      webhookId: wh.id,
-      url: wh.url,
-      event: eventType,
-      payload: {
-        event: eventType,
-        timestamp,
-        data: payload,
-      },
-      signature: computeSignature(JSON.stringify(payload), wh.secret),
-      status: "PENDING",
-      attempts: 0,
-      maxRetries: wh.maxRetries,
-      createdAt: timestamp,
-      lastAttemptAt: null,
-    };
-
-    webhooks.pendingDeliveries.push(delivery);
+    const queued = enqueueWebhookDelivery(wh.id, eventType, payload, { deliveryId: `${deliveryId}_${wh.id}` });
+    if (queued.ok) dispatched++;
   }
 
   return {
     ok: true,
-    dispatched: matchingWebhooks.length,
+    dispatched,
     eventType,
     deliveryId,
   };
 }
 
 /**
- * Process pending webhook deliveries.
- * In a real system this would use HTTP fetch with retries.
- * Here we simulate the delivery and record results.
+ * Process pending webhook deliveries: signed HTTP POSTs with retries,
+ * through the shared delivery pipeline. Deliveries queued by other
+ * modules (developer plugins) go out in the same pass.
  */
-export function processPendingDeliveries(STATE) {
-  const webhooks = getWebhookState(STATE);
-  const results = [];
-
-  const toProcess = webhooks.pendingDeliveries.splice(0, 10); // batch of 10
-
-  for (const delivery of toProcess) {
-    delivery.attempts++;
-    delivery.lastAttemptAt = new Date().toISOString();
-
-    // Simulate delivery (in production, would use fetch/axios)
-    const success = simulateDelivery(delivery);
-
-    if (success) {
-      delivery.status = "DELIVERED";
-      webhooks.metrics.totalDeliveries++;
-
-      const wh = webhooks.registrations.get(delivery.webhookId);
-      if (wh) {
-        wh.lastDeliveryAt = delivery.lastAttemptAt;
-        wh.consecutiveFailures = 0;
-      }
-    } else {
-      if (delivery.attempts < delivery.maxRetries) {
-        delivery.status = "RETRYING";
-        webhooks.pendingDeliveries.push(delivery); // re-queue
-        webhooks.metrics.totalRetries++;
-      } else {
-        delivery.status = "FAILED";
-        webhooks.metrics.totalFailures++;
-
-        const wh = webhooks.registrations.get(delivery.webhookId);
-        if (wh) wh.consecutiveFailures++;
-      }
-    }
-
-    // Log delivery
-    webhooks.deliveryLog.push({ ...delivery });
-    results.push({ id: delivery.id, status: delivery.status });
-  }
-
-  // Cap delivery log
-  if (webhooks.deliveryLog.length > 1000) {
-    webhooks.deliveryLog = webhooks.deliveryLog.slice(-500);
-  }
-
-  return { ok: true, processed: results.length, results };
-}
-
-function simulateDelivery(delivery) {
-  // In production: fetch(delivery.url, { method: 'POST', headers, body })
-  // For now, deliveries are always queued successfully
-  // The webhook URL must be valid and the endpoint responsive
-  return delivery.url && delivery.url.startsWith("http");
-}
-
-function computeSignature(payload, secret) {
-  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+export async function processPendingDeliveries(_STATE) {
+  const result = await processWebhookDeliveries();
+  return {
+    ok: true,
+    processed: result.processed,
+    results: result.results.map(r => ({ id: r.deliveryId, status: r.status })),
+  };
 }
 
 // ── Webhook Delivery History ─────────────────────────────────────────────
 
 export function getDeliveryHistory(STATE, webhookId, limit = 50) {
-  const webhooks = getWebhookState(STATE);
-  let history = webhooks.deliveryLog;
-  if (webhookId) {
-    history = history.filter(d => d.webhookId === webhookId);
-  }
-  history.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-  return { ok: true, history: history.slice(0, limit), total: history.length };
+  const { deliveries, total } = listWebhookDeliveries({ endpointId: webhookId, limit });
+  return { ok: true, history: deliveries, total };
 }
 
 // ── Public API Rate Limiting ─────────────────────────────────────────────
@@ -290,12 +286,14 @@ setInterval(() => {
 
 export function getApiMetrics(STATE) {
   const webhooks = getWebhookState(STATE);
+  const delivery = getWebhookDeliveryStats();
   return {
     ok: true,
     webhooks: {
       ...webhooks.metrics,
       activeWebhooks: Array.from(webhooks.registrations.values()).filter(w => w.active).length,
-      pendingDeliveries: webhooks.pendingDeliveries.length,
+      pendingDeliveries: (delivery.byStatus.pending || 0) + (delivery.byStatus.retrying || 0),
+      deadLetters: delivery.byStatus.dead_letter || 0,
     },
     rateLimit: {
       activeBuckets: apiRateBuckets.size,
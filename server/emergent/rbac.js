@@ -3,9 +3,16 @@
  *
  * Role-based permissions, organization workspaces,
  * private lenses per org, and audit log export.
+ *
+ * Storage: in STATE by default; once attachRbacStore(db) has run (migration
+ * 042) orgs, members, org lenses, ACLs and the audit log live in SQLite and
+ * STATE only keeps metrics. The audit log is hash-chained per org so an
+ * export can be verified (verifyAuditChain). authorizeRequest() is the
+ * single decision point used by the HTTP middleware (lib/rbac-middleware.js).
  */
 
 import crypto from "crypto";
+import { createTenantStores } from "../lib/tenancy.js";
 
 // ── Role Definitions ─────────────────────────────────────────────────────
 
@@ -50,6 +57,12 @@ const ROLE_PERMISSIONS = {
   ],
 };
 
+// Roles ordered from least to most privileged
+const ROLE_HIERARCHY = ["viewer", "api_only", "reviewer", "editor", "admin", "owner"];
+
+// First prevHash of every org's audit chain
+export const AUDIT_GENESIS_HASH = "0".repeat(64);
+
 // ── RBAC State ───────────────────────────────────────────────────────────
 
 function getRbacState(STATE) {
@@ -57,6 +70,7 @@ function getRbacState(STATE) {
     STATE._rbac = {
       orgWorkspaces: new Map(),    // orgId → org workspace
       userRoles: new Map(),        // `${orgId}:${userId}` → role
+      memberMeta: new Map(),       // `${orgId}:${userId}` → { externalId, active }
       orgLenses: new Map(),        // orgId → Set<lensId>
       permissions: new Map(),      // `${orgId}:${userId}` → cached permissions
       auditLog: [],                // all RBAC audit events
@@ -67,6 +81,7 @@ function getRbacState(STATE) {
         totalRoleAssignments: 0,
         permissionChecks: 0,
         permissionDenials: 0,
+        unauditedDenials: 0,
         auditExports: 0,
       },
     };
@@ -74,6 +89,211 @@ function getRbacState(STATE) {
   return STATE._rbac;
 }
 
+// ── Storage ──────────────────────────────────────────────────────────────
+
+// One store per database: the root one, and each hosted tenant's own
+const _stores = createTenantStores((db) => {
+  try {
+    db.prepare("SELECT 1 FROM rbac_orgs LIMIT 1").get();
+  } catch {
+    return null;
+  }
+  return { db, stmts: new Map() };
+});
+
+/**
+ * Keep RBAC data in SQLite instead of STATE. Requests bound to a tenant use
+ * that tenant's database.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ ok: boolean, store?: string, error?: string }}
+ */
+export function attachRbacStore(db) {
+  if (!_stores.attach(db)) return { ok: false, error: "rbac_store_not_migrated" };
+  return { ok: true, store: "sqlite" };
+}
+
+export function detachRbacStore() {
+  _stores.detach();
+  return { ok: true, store: "memory" };
+}
+
+function currentDb() {
+  return _stores.current()?.db || null;
+}
+
+function stmt(sql) {
+  const { db, stmts } = _stores.current();
+  let prepared = stmts.get(sql);
+  if (!prepared) {
+    prepared = db.prepare(sql);
+    stmts.set(sql, prepared);
+  }
+  return prepared;
+}
+
+function rowToOrg(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    ownerId: row.owner_id,
+    plan: row.plan,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    settings: JSON.parse(row.settings_json || "{}"),
+    memberCount: 0,
+  };
+}
+
+function rowToMember(row) {
+  return {
+    userId: row.user_id,
+    role: row.role,
+    externalId: row.external_id,
+    active: row.active === 1,
+    assignedBy: row.assigned_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToAudit(row) {
+  return {
+    seq: row.seq,
+    id: row.id,
+    ts: row.ts,
+    timestamp: row.timestamp,
+    action: row.action,
+    actor: row.actor,
+    orgId: row.org_id,
+    details: JSON.parse(row.details_json || "{}"),
+    prevHash: row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+const sqliteStore = {
+  getOrg: (orgId) => {
+    const row = stmt("SELECT * FROM rbac_orgs WHERE id = ?").get(orgId);
+    return row ? rowToOrg(row) : null;
+  },
+  putOrg: (org) => {
+    stmt(`
+      INSERT INTO rbac_orgs (id, name, description, owner_id, plan, settings_json, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET name = excluded.name, description = excluded.description,
+        owner_id = excluded.owner_id, plan = excluded.plan, settings_json = excluded.settings_json,
+        updated_at = excluded.updated_at
+    `).run(org.id, org.name, org.description, org.ownerId, org.plan, JSON.stringify(org.settings), org.createdAt, org.updatedAt);
+  },
+  getMember: (orgId, userId) => {
+    const row = stmt("SELECT * FROM rbac_org_members WHERE org_id = ? AND user_id = ?").get(orgId, userId);
+    return row ? rowToMember(row) : null;
+  },
+  findMemberByExternalId: (orgId, externalId) => {
+    const row = stmt("SELECT * FROM rbac_org_members WHERE org_id = ? AND external_id = ?").get(orgId, externalId);
+    return row ? rowToMember(row) : null;
+  },
+  setMember: (orgId, userId, { role, externalId = null, active = true, assignedBy = null }) => {
+    const now = new Date().toISOString();
+    stmt(`
+      INSERT INTO rbac_org_members (org_id, user_id, role, external_id, active, assigned_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(org_id, user_id) DO UPDATE SET role = excluded.role, external_id = excluded.external_id,
+        active = excluded.active, assigned_by = excluded.assigned_by, updated_at = excluded.updated_at
+    `).run(orgId, userId, role, externalId, active ? 1 : 0, assignedBy, now, now);
+  },
+  deleteMember: (orgId, userId) => {
+    stmt("DELETE FROM rbac_org_members WHERE org_id = ? AND user_id = ?").run(orgId, userId);
+  },
+  listMembers: (orgId) => stmt("SELECT * FROM rbac_org_members WHERE org_id = ? ORDER BY created_at, user_id").all(orgId).map(rowToMember),
+  addLens: (orgId, lensId) => { stmt("INSERT OR IGNORE INTO rbac_org_lenses (org_id, lens_id) VALUES (?, ?)").run(orgId, lensId); },
+  removeLens: (orgId, lensId) => { stmt("DELETE FROM rbac_org_lenses WHERE org_id = ? AND lens_id = ?").run(orgId, lensId); },
+  listLenses: (orgId) => stmt("SELECT lens_id FROM rbac_org_lenses WHERE org_id = ? ORDER BY created_at, lens_id").all(orgId).map(r => r.lens_id),
+  lensOrgs: (lensId) => stmt("SELECT org_id FROM rbac_org_lenses WHERE lens_id = ?").all(lensId).map(r => r.org_id),
+  getACL: (resourceId) => {
+    const row = stmt("SELECT * FROM rbac_resource_acls WHERE resource_id = ?").get(resourceId);
+    return row ? { resourceId, orgId: row.org_id, rules: JSON.parse(row.rules_json), updatedAt: row.updated_at } : null;
+  },
+  putACL: (acl) => {
+    stmt(`
+      INSERT INTO rbac_resource_acls (resource_id, org_id, rules_json, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(resource_id) DO UPDATE SET org_id = excluded.org_id, rules_json = excluded.rules_json, updated_at = excluded.updated_at
+    `).run(acl.resourceId, acl.orgId, JSON.stringify(acl.rules), acl.updatedAt);
+  },
+  lastAuditHash: (orgId) => stmt("SELECT hash FROM rbac_audit_log WHERE org_id IS ? ORDER BY seq DESC LIMIT 1").get(orgId)?.hash || null,
+  appendAudit: (entry) => {
+    stmt(`
+      INSERT INTO rbac_audit_log (id, org_id, action, actor, details_json, ts, timestamp, prev_hash, hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(entry.id, entry.orgId, entry.action, entry.actor, JSON.stringify(entry.details), entry.ts, entry.timestamp, entry.prevHash, entry.hash);
+  },
+  listAudit: (orgId) => stmt("SELECT * FROM rbac_audit_log WHERE org_id IS ? ORDER BY seq ASC").all(orgId).map(rowToAudit),
+  auditSize: () => stmt("SELECT COUNT(*) as c FROM rbac_audit_log").get().c,
+};
+
+function memoryStore(rbac) {
+  const key = (orgId, userId) => `${orgId}:${userId}`;
+  const member = (k, role) => {
+    const meta = rbac.memberMeta.get(k) || {};
+    return { userId: k.slice(k.indexOf(":") + 1), role, externalId: meta.externalId ?? null, active: meta.active ?? true, assignedBy: meta.assignedBy ?? null };
+  };
+  return {
+    getOrg: (orgId) => rbac.orgWorkspaces.get(orgId) || null,
+    putOrg: (org) => { rbac.orgWorkspaces.set(org.id, org); },
+    getMember: (orgId, userId) => {
+      const role = rbac.userRoles.get(key(orgId, userId));
+      return role ? member(key(orgId, userId), role) : null;
+    },
+    findMemberByExternalId: (orgId, externalId) => {
+      for (const [k, meta] of rbac.memberMeta) {
+        if (k.startsWith(`${orgId}:`) && meta.externalId === externalId && rbac.userRoles.has(k)) return member(k, rbac.userRoles.get(k));
+      }
+      return null;
+    },
+    setMember: (orgId, userId, { role, externalId = null, active = true, assignedBy = null }) => {
+      rbac.userRoles.set(key(orgId, userId), role);
+      rbac.memberMeta.set(key(orgId, userId), { externalId, active, assignedBy });
+    },
+    deleteMember: (orgId, userId) => {
+      rbac.userRoles.delete(key(orgId, userId));
+      rbac.memberMeta.delete(key(orgId, userId));
+    },
+    listMembers: (orgId) => Array.from(rbac.userRoles.entries())
+      .filter(([k]) => k.startsWith(`${orgId}:`))
+      .map(([k, role]) => member(k, role)),
+    addLens: (orgId, lensId) => {
+      if (!rbac.orgLenses.has(orgId)) rbac.orgLenses.set(orgId, new Set());
+      rbac.orgLenses.get(orgId).add(lensId);
+    },
+    removeLens: (orgId, lensId) => { rbac.orgLenses.get(orgId)?.delete(lensId); },
+    listLenses: (orgId) => Array.from(rbac.orgLenses.get(orgId) || new Set()),
+    lensOrgs: (lensId) => Array.from(rbac.orgLenses.entries()).filter(([, set]) => set.has(lensId)).map(([orgId]) => orgId),
+    getACL: (resourceId) => rbac.resourceACLs.get(resourceId) || null,
+    putACL: (acl) => { rbac.resourceACLs.set(acl.resourceId, acl); },
+    lastAuditHash: (orgId) => {
+      for (let i = rbac.auditLog.length - 1; i >= 0; i--) {
+        if (rbac.auditLog[i].orgId === orgId) return rbac.auditLog[i].hash;
+      }
+      return null;
+    },
+    appendAudit: (entry) => { rbac.auditLog.push(entry); },
+    listAudit: (orgId) => rbac.auditLog.filter(e => e.orgId === orgId),
+    auditSize: () => rbac.auditLog.length,
+  };
+}
+
+function getStore(STATE) {
+  return currentDb() ? sqliteStore : memoryStore(getRbacState(STATE));
+}
+
+/** Effective role: inactive (deprovisioned) members have none. */
+function effectiveRole(store, orgId, userId) {
+  const m = store.getMember(orgId, userId);
+  return m && m.active ? m.role : null;
+}
+
 // ── Organization Workspaces ──────────────────────────────────────────────
 
 export function createOrgWorkspace(STATE, input) {
@@ -97,29 +317,29 @@ export function createOrgWorkspace(STATE, input) {
     memberCount: 1,
   };
 
-  rbac.orgWorkspaces.set(orgWorkspace.id, orgWorkspace);
+  const store = getStore(STATE);
+  const write = () => {
+    store.putOrg(orgWorkspace);
+    // Set owner role
+    store.setMember(orgWorkspace.id, input.ownerId, { role: ROLES.OWNER });
+    logRbacEvent(STATE, "ORG_CREATED", input.ownerId, orgWorkspace.id, { name: orgWorkspace.name });
+  };
+  const db = currentDb();
+  if (db) db.transaction(write)(); else write();
 
-  // Set owner role
-  rbac.userRoles.set(`${orgWorkspace.id}:${input.ownerId}`, ROLES.OWNER);
   rbac.metrics.totalOrgs++;
   rbac.metrics.totalRoleAssignments++;
 
-  logRbacEvent(rbac, "ORG_CREATED", input.ownerId, orgWorkspace.id, { name: orgWorkspace.name });
-
   return { ok: true, orgWorkspace };
 }
 
 export function getOrgWorkspace(STATE, orgId) {
-  const rbac = getRbacState(STATE);
-  const org = rbac.orgWorkspaces.get(orgId);
+  const store = getStore(STATE);
+  const org = store.getOrg(orgId);
   if (!org) return { ok: false, error: "Organization not found" };
 
   // Count members
-  let memberCount = 0;
-  for (const key of rbac.userRoles.keys()) {
-    if (key.startsWith(`${orgId}:`)) memberCount++;
-  }
-  org.memberCount = memberCount;
+  org.memberCount = store.listMembers(orgId).length;
 
   return { ok: true, orgWorkspace: org };
 }
@@ -131,37 +351,39 @@ export function getOrgWorkspace(STATE, orgId) {
  */
 export function assignRole(STATE, orgId, userId, role, assignedBy) {
   const rbac = getRbacState(STATE);
+  const store = getStore(STATE);
 
   if (!Object.values(ROLES).includes(role)) {
     return { ok: false, error: `Invalid role: ${role}` };
   }
 
-  const org = rbac.orgWorkspaces.get(orgId);
+  const org = store.getOrg(orgId);
   if (!org) return { ok: false, error: "Organization not found" };
 
   // Check assigner has permission
   if (assignedBy) {
-    const assignerRole = rbac.userRoles.get(`${orgId}:${assignedBy}`);
+    const assignerRole = effectiveRole(store, orgId, assignedBy);
     if (!hasPermission(assignerRole, "manage_roles")) {
       return { ok: false, error: "Insufficient permissions to manage roles" };
     }
     // Cannot assign higher role than own
-    const roleHierarchy = ["viewer", "api_only", "reviewer", "editor", "admin", "owner"];
-    if (roleHierarchy.indexOf(role) > roleHierarchy.indexOf(assignerRole)) {
+    if (ROLE_HIERARCHY.indexOf(role) > ROLE_HIERARCHY.indexOf(assignerRole)) {
       return { ok: false, error: "Cannot assign a role higher than your own" };
     }
   }
 
-  const key = `${orgId}:${userId}`;
-  const previousRole = rbac.userRoles.get(key);
-  rbac.userRoles.set(key, role);
+  const existing = store.getMember(orgId, userId);
+  const previousRole = existing?.role;
+  store.setMember(orgId, userId, {
+    role, externalId: existing?.externalId ?? null, active: existing?.active ?? true, assignedBy: assignedBy || null,
+  });
 
   // Clear cached permissions
-  rbac.permissions.delete(key);
+  rbac.permissions.delete(`${orgId}:${userId}`);
 
   if (!previousRole) rbac.metrics.totalRoleAssignments++;
 
-  logRbacEvent(rbac, "ROLE_ASSIGNED", assignedBy || "system", orgId, {
+  logRbacEvent(STATE, "ROLE_ASSIGNED", assignedBy || "system", orgId, {
     userId, role, previousRole: previousRole || null,
   });
 
@@ -170,17 +392,18 @@ export function assignRole(STATE, orgId, userId, role, assignedBy) {
 
 export function revokeRole(STATE, orgId, userId, revokedBy) {
   const rbac = getRbacState(STATE);
+  const store = getStore(STATE);
   const key = `${orgId}:${userId}`;
 
-  const currentRole = rbac.userRoles.get(key);
+  const currentRole = store.getMember(orgId, userId)?.role;
   if (!currentRole) return { ok: false, error: "User has no role in this org" };
   if (currentRole === "owner") return { ok: false, error: "Cannot revoke owner role" };
 
-  rbac.userRoles.delete(key);
+  store.deleteMember(orgId, userId);
   rbac.permissions.delete(key);
   rbac.metrics.totalRoleAssignments = Math.max(0, rbac.metrics.totalRoleAssignments - 1);
 
-  logRbacEvent(rbac, "ROLE_REVOKED", revokedBy || "system", orgId, {
+  logRbacEvent(STATE, "ROLE_REVOKED", revokedBy || "system", orgId, {
     userId, previousRole: currentRole,
   });
 
@@ -188,21 +411,87 @@ export function revokeRole(STATE, orgId, userId, revokedBy) {
 }
 
 export function getUserRole(STATE, orgId, userId) {
-  const rbac = getRbacState(STATE);
-  const role = rbac.userRoles.get(`${orgId}:${userId}`) || null;
+  const role = effectiveRole(getStore(STATE), orgId, userId);
   return { ok: true, orgId, userId, role };
 }
 
 export function getOrgMembers(STATE, orgId) {
+  const members = getStore(STATE).listMembers(orgId).map(m => ({
+    userId: m.userId, role: m.role, active: m.active, externalId: m.externalId,
+  }));
+  return { ok: true, orgId, members, total: members.length };
+}
+
+// ── Provisioning (SCIM) ──────────────────────────────────────────────────
+
+/**
+ * Create or update an org member from an identity provider. Unlike
+ * assignRole this is authoritative (no role-hierarchy check against the
+ * caller) but it never touches the org owner.
+ *
+ * @param {Object} STATE
+ * @param {string} orgId
+ * @param {{ userId: string, role?: string, externalId?: string, active?: boolean }} member
+ * @param {string} [actor] - Who ran the sync (audited)
+ */
+export function provisionMember(STATE, orgId, member, actor) {
   const rbac = getRbacState(STATE);
-  const members = [];
-  for (const [key, role] of rbac.userRoles) {
-    if (key.startsWith(`${orgId}:`)) {
-      const userId = key.split(":")[1];
-      members.push({ userId, role });
-    }
+  const store = getStore(STATE);
+  const org = store.getOrg(orgId);
+  if (!org) return { ok: false, error: "Organization not found" };
+  if (!member?.userId) return { ok: false, error: "userId required" };
+
+  const existing = store.getMember(orgId, member.userId);
+  const role = member.role || existing?.role || ROLES.VIEWER;
+  if (!Object.values(ROLES).includes(role)) return { ok: false, error: `Invalid role: ${role}` };
+  if (existing?.role === ROLES.OWNER || (role === ROLES.OWNER && member.userId !== org.ownerId)) {
+    return { ok: false, error: "Owner membership cannot be provisioned" };
   }
-  return { ok: true, orgId, members, total: members.length };
+
+  const next = {
+    role,
+    externalId: member.externalId ?? existing?.externalId ?? null,
+    active: member.active ?? existing?.active ?? true,
+    assignedBy: actor || "scim",
+  };
+  store.setMember(orgId, member.userId, next);
+  rbac.permissions.delete(`${orgId}:${member.userId}`);
+  if (!existing) rbac.metrics.totalRoleAssignments++;
+
+  logRbacEvent(STATE, existing ? "MEMBER_UPDATED" : "MEMBER_PROVISIONED", actor || "scim", orgId, {
+    userId: member.userId, role, previousRole: existing?.role || null, active: next.active, externalId: next.externalId,
+  });
+
+  return { ok: true, orgId, created: !existing, member: { userId: member.userId, ...next } };
+}
+
+/**
+ * Remove a provisioned member. The owner cannot be deprovisioned.
+ */
+export function deprovisionMember(STATE, orgId, userId, actor) {
+  const rbac = getRbacState(STATE);
+  const store = getStore(STATE);
+  const existing = store.getMember(orgId, userId);
+  if (!existing) return { ok: false, error: "User has no role in this org" };
+  if (existing.role === ROLES.OWNER) return { ok: false, error: "Cannot revoke owner role" };
+
+  store.deleteMember(orgId, userId);
+  rbac.permissions.delete(`${orgId}:${userId}`);
+  rbac.metrics.totalRoleAssignments = Math.max(0, rbac.metrics.totalRoleAssignments - 1);
+  logRbacEvent(STATE, "MEMBER_DEPROVISIONED", actor || "scim", orgId, { userId, previousRole: existing.role });
+  return { ok: true, orgId, userId };
+}
+
+export function getOrgMember(STATE, orgId, userId) {
+  const member = getStore(STATE).getMember(orgId, userId);
+  if (!member) return { ok: false, error: "Member not found" };
+  return { ok: true, orgId, member };
+}
+
+export function findOrgMemberByExternalId(STATE, orgId, externalId) {
+  const member = getStore(STATE).findMemberByExternalId(orgId, externalId);
+  if (!member) return { ok: false, error: "Member not found" };
+  return { ok: true, orgId, member };
 }
 
 // ── Permission Checking ──────────────────────────────────────────────────
@@ -220,8 +509,7 @@ export function checkPermission(STATE, orgId, userId, permission) {
   const rbac = getRbacState(STATE);
   rbac.metrics.permissionChecks++;
 
-  const key = `${orgId}:${userId}`;
-  const role = rbac.userRoles.get(key);
+  const role = effectiveRole(getStore(STATE), orgId, userId);
 
   if (!role) {
     rbac.metrics.permissionDenials++;
@@ -238,48 +526,101 @@ export function checkPermission(STATE, orgId, userId, permission) {
  * Get all permissions for a user in an org.
  */
 export function getUserPermissions(STATE, orgId, userId) {
-  const rbac = getRbacState(STATE);
-  const role = rbac.userRoles.get(`${orgId}:${userId}`);
+  const role = effectiveRole(getStore(STATE), orgId, userId);
   if (!role) return { ok: true, permissions: [], role: null };
   return { ok: true, permissions: ROLE_PERMISSIONS[role] || [], role };
 }
 
 // ── Per-Org Private Lenses ───────────────────────────────────────────────
 
-export function assignOrgLens(STATE, orgId, lensId) {
-  const rbac = getRbacState(STATE);
-  if (!rbac.orgLenses.has(orgId)) rbac.orgLenses.set(orgId, new Set());
-  rbac.orgLenses.get(orgId).add(lensId);
+/**
+ * Make a lens private to an org. The assigner needs manage_roles in the org.
+ * A lens that is already public (`options.isPublicLens(lensId)`) or private
+ * to another org cannot be claimed.
+ */
+export function assignOrgLens(STATE, orgId, lensId, assignedBy, options = {}) {
+  const store = getStore(STATE);
+  if (!lensId) return { ok: false, error: "lensId required" };
+  if (!store.getOrg(orgId)) return { ok: false, error: "Organization not found" };
+  if (!hasPermission(effectiveRole(store, orgId, assignedBy), "manage_roles")) {
+    return { ok: false, error: "Insufficient permissions to manage org lenses" };
+  }
+
+  const owners = store.lensOrgs(lensId);
+  if (owners.includes(orgId)) return { ok: true, orgId, lensId };
+  if (owners.length > 0) return { ok: false, error: "Lens is private to another organization" };
+  if (options.isPublicLens?.(lensId)) return { ok: false, error: "Lens is public" };
+
+  store.addLens(orgId, lensId);
+  logRbacEvent(STATE, "LENS_ASSIGNED", assignedBy, orgId, { lensId });
   return { ok: true, orgId, lensId };
 }
 
 export function revokeOrgLens(STATE, orgId, lensId) {
-  const rbac = getRbacState(STATE);
-  rbac.orgLenses.get(orgId)?.delete(lensId);
+  getStore(STATE).removeLens(orgId, lensId);
   return { ok: true, orgId, lensId };
 }
 
 export function getOrgLenses(STATE, orgId) {
-  const rbac = getRbacState(STATE);
-  const lenses = Array.from(rbac.orgLenses.get(orgId) || new Set());
+  const lenses = getStore(STATE).listLenses(orgId);
   return { ok: true, orgId, lenses };
 }
 
 // ── Resource-Level ACLs ──────────────────────────────────────────────────
 
-export function setResourceACL(STATE, resourceId, rules) {
-  const rbac = getRbacState(STATE);
-  rbac.resourceACLs.set(resourceId, {
+/**
+ * Set the ACL for a resource. With `options.orgId` the resource also
+ * belongs to that org: members whose role grants the permission get in
+ * even when they are not listed in the rules.
+ */
+export function setResourceACL(STATE, resourceId, rules, options = {}) {
+  getStore(STATE).putACL({
     resourceId,
+    orgId: options.orgId || null,
     rules, // [{ userId, permissions: ["read","write"] }]
     updatedAt: new Date().toISOString(),
   });
+  if (options.orgId) {
+    logRbacEvent(STATE, "ACL_SET", options.actor || "system", options.orgId, { resourceId, rules });
+  }
   return { ok: true, resourceId };
 }
 
+/**
+ * Whether `userId` may set a resource's ACL. An ACL that belongs to an org
+ * is managed by members with manage_roles there; a new ACL (or one with no
+ * org) only by the resource's owner. Putting the ACL under an org also
+ * needs manage_roles in that org.
+ *
+ * @param {{ orgId?: string, isOwner?: boolean }} [options]
+ * @returns {{ allowed: boolean, reason?: string, orgId?: string }}
+ */
+export function canManageResourceACL(STATE, resourceId, userId, options = {}) {
+  if (!userId) return { allowed: false, reason: "unauthenticated" };
+  const acl = getStore(STATE).getACL(resourceId);
+
+  if (acl?.orgId) {
+    if (!checkPermission(STATE, acl.orgId, userId, "manage_roles").allowed) {
+      return { allowed: false, reason: "acl_org_permission_missing", orgId: acl.orgId };
+    }
+  } else if (!options.isOwner) {
+    return { allowed: false, reason: "not_resource_owner" };
+  }
+
+  if (options.orgId && options.orgId !== acl?.orgId && !checkPermission(STATE, options.orgId, userId, "manage_roles").allowed) {
+    return { allowed: false, reason: "org_permission_missing", orgId: options.orgId };
+  }
+  return { allowed: true, orgId: options.orgId || acl?.orgId || null };
+}
+
+export function getResourceACL(STATE, resourceId) {
+  const acl = getStore(STATE).getACL(resourceId);
+  if (!acl) return { ok: false, error: "ACL not found" };
+  return { ok: true, acl };
+}
+
 export function checkResourceAccess(STATE, resourceId, userId, permission) {
-  const rbac = getRbacState(STATE);
-  const acl = rbac.resourceACLs.get(resourceId);
+  const acl = getStore(STATE).getACL(resourceId);
   if (!acl) return { allowed: true }; // no ACL = open
 
   const rule = acl.rules.find(r => r.userId === userId);
@@ -288,18 +629,132 @@ export function checkResourceAccess(STATE, resourceId, userId, permission) {
   return { allowed: rule.permissions.includes(permission) };
 }
 
+// ── Request Authorization ────────────────────────────────────────────────
+
+/**
+ * Decide whether a request may touch a resource. Checked in order:
+ *   1. private org lenses — only members of an owning org
+ *   2. resource ACLs — listed users, or members of the ACL's org
+ *   3. an org named by the request — the caller's role in it
+ * Anything not scoped by one of these is left to the route.
+ *
+ * @param {Object} STATE
+ * @param {{ userId?: string, orgId?: string, resourceType?: string, resourceId?: string, permission: string }} req
+ * @returns {{ allowed: boolean, reason?: string, orgId?: string, role?: string }}
+ */
+export function authorizeRequest(STATE, { userId, orgId, resourceType, resourceId, permission }) {
+  const rbac = getRbacState(STATE);
+  const store = getStore(STATE);
+  rbac.metrics.permissionChecks++;
+
+  const deny = (reason, scopeOrgId) => {
+    rbac.metrics.permissionDenials++;
+    // Anonymous callers and unknown org ids (straight from X-Org-Id) are only
+    // counted: auditing them would let anyone grow the chain, or start one
+    // for any org id they invent.
+    if (!userId || reason === "org_not_found") {
+      rbac.metrics.unauditedDenials++;
+    } else {
+      logRbacEvent(STATE, "ACCESS_DENIED", userId, scopeOrgId || orgId || null, {
+        resourceType: resourceType || null, resourceId: resourceId || null, permission, reason,
+      });
+    }
+    return { allowed: false, reason, orgId: scopeOrgId || orgId || null };
+  };
+  const roleAllows = (scopeOrgId) => {
+    const role = userId ? effectiveRole(store, scopeOrgId, userId) : null;
+    return hasPermission(role, permission) ? role : null;
+  };
+
+  if (resourceType === "lens" && resourceId) {
+    const owners = store.lensOrgs(resourceId);
+    if (owners.length > 0) {
+      const candidates = orgId ? owners.filter(o => o === orgId) : owners;
+      const match = candidates.find(o => roleAllows(o));
+      if (!match) return deny("private_lens", candidates[0] || owners[0]);
+      return { allowed: true, orgId: match, role: roleAllows(match) };
+    }
+  }
+
+  if (resourceId) {
+    const acl = store.getACL(resourceId);
+    if (acl) {
+      const rule = userId ? acl.rules.find(r => r.userId === userId) : null;
+      if (rule?.permissions.includes(permission)) return { allowed: true, orgId: acl.orgId };
+      const role = acl.orgId ? roleAllows(acl.orgId) : null;
+      if (role) return { allowed: true, orgId: acl.orgId, role };
+      return deny(rule ? "acl_permission_missing" : "not_in_acl", acl.orgId);
+    }
+  }
+
+  if (orgId) {
+    if (!store.getOrg(orgId)) return deny("org_not_found");
+    const role = roleAllows(orgId);
+    if (!role) return deny(userId && effectiveRole(store, orgId, userId) ? "role_lacks_permission" : "no_role");
+    return { allowed: true, orgId, role };
+  }
+
+  return { allowed: true };
+}
+
 // ── Audit Log ────────────────────────────────────────────────────────────
 
-function logRbacEvent(rbac, action, actor, orgId, details = {}) {
-  rbac.auditLog.push({
+// Deterministic JSON (sorted keys) so hashes are reproducible
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashAuditEntry(entry, prevHash) {
+  const body = canonicalJSON({
+    id: entry.id, ts: entry.ts, timestamp: entry.timestamp,
+    action: entry.action, actor: entry.actor, orgId: entry.orgId, details: entry.details,
+  });
+  return crypto.createHash("sha256").update(`${prevHash}\n${body}`).digest("hex");
+}
+
+function logRbacEvent(STATE, action, actor, orgId, details = {}) {
+  const store = getStore(STATE);
+  const entry = {
     id: `rbac_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`,
     ts: Date.now(),
     timestamp: new Date().toISOString(),
     action,
     actor,
-    orgId,
+    orgId: orgId ?? null,
     details,
-  });
+  };
+  entry.prevHash = store.lastAuditHash(entry.orgId) || AUDIT_GENESIS_HASH;
+  entry.hash = hashAuditEntry(entry, entry.prevHash);
+  store.appendAudit(entry);
+}
+
+/**
+ * Verify a hash-chained audit log (oldest first). Each entry's hash must
+ * match its contents and each prevHash must match the previous entry's
+ * hash; the first entry must start from `genesis` when given.
+ *
+ * @param {Object[]} events
+ * @param {{ genesis?: string }} [options]
+ * @returns {{ valid: boolean, checked: number, brokenAt?: string, reason?: string }}
+ */
+export function verifyAuditChain(events, options = {}) {
+  let prev = options.genesis ?? null;
+  for (let i = 0; i < events.length; i++) {
+    const e = events[i];
+    if (prev !== null && e.prevHash !== prev) {
+      return { valid: false, checked: i, brokenAt: e.id, reason: "prev_hash_mismatch" };
+    }
+    if (hashAuditEntry(e, e.prevHash) !== e.hash) {
+      return { valid: false, checked: i, brokenAt: e.id, reason: "hash_mismatch" };
+    }
+    prev = e.hash;
+  }
+  return { valid: true, checked: events.length };
 }
 
 /**
@@ -309,7 +764,9 @@ export function exportAuditLog(STATE, orgId, options = {}) {
   const rbac = getRbacState(STATE);
   rbac.metrics.auditExports++;
 
-  let events = rbac.auditLog.filter(e => e.orgId === orgId);
+  const chain = getStore(STATE).listAudit(orgId);
+  const verification = verifyAuditChain(chain, { genesis: AUDIT_GENESIS_HASH });
+  let events = chain;
 
   // Date range filter
   if (options.since) {
@@ -326,7 +783,8 @@ export function exportAuditLog(STATE, orgId, options = {}) {
     events = events.filter(e => e.action === options.action);
   }
 
-  events.sort((a, b) => b.ts - a.ts);
+  // Newest first; the chain is already in append order (ts can tie)
+  events = events.slice().reverse();
 
   const limit = options.limit || 1000;
   return {
@@ -335,6 +793,13 @@ export function exportAuditLog(STATE, orgId, options = {}) {
     events: events.slice(0, limit),
     total: events.length,
     exportedAt: new Date().toISOString(),
+    chain: {
+      algorithm: "sha256",
+      genesis: AUDIT_GENESIS_HASH,
+      headHash: chain.length ? chain[chain.length - 1].hash : AUDIT_GENESIS_HASH,
+      length: chain.length,
+      ...verification,
+    },
   };
 }
 
@@ -346,6 +811,7 @@ export function getRbacMetrics(STATE) {
     ok: true,
     ...rbac.metrics,
     roles: Object.keys(ROLE_PERMISSIONS),
-    auditLogSize: rbac.auditLog.length,
+    auditLogSize: getStore(STATE).auditSize(),
+    store: currentDb() ? "sqlite" : "memory",
   };
 }
@@ -0,0 +1,393 @@
+// lib/brain-backends.js
+// Four-Brain Cognitive Architecture — Backend Adapters
+//
+// Each brain in BRAIN_CONFIG declares a provider; this module translates one
+// request shape into that provider's API:
+//
+//   ollama             → /api/generate (prompt) or /api/chat (messages)
+//   openai-compatible  → /v1/chat/completions (vLLM, LiteLLM, gateways)
+//   llama.cpp          → /completion (prompt) or /v1/chat/completions (messages)
+//
+// Unified request: { prompt | messages, system, temperature, maxTokens, stop,
+// json, timeout, signal }. Unset options come from the brain's config.
+//
+// Every backend (provider + URL, shared by brains that point at the same
+// server) gets its own circuit breaker, so one dead llama.cpp box fails fast
+// without tripping brains served elsewhere. Timeouts, network errors and 5xx
+// responses count as failures; caller aborts and 4xx responses do not.
+//
+// A brain transport (setBrainTransport) can sit in front of the network for
+// deterministic runs: llm-cassette.js records and replays calls, fake-brain.js
+// answers from scripted rules. Transports see every generate and probe call.
+
+import { BRAIN_CONFIG } from "./brain-config.js";
+import { createCircuitBreaker, BREAKER_STATE } from "./circuit-breaker.js";
+
+export const BRAIN_PROVIDERS = Object.freeze({
+  OLLAMA: "ollama",
+  OPENAI_COMPATIBLE: "openai-compatible",
+  LLAMA_CPP: "llama.cpp",
+});
+
+const PROVIDER_ALIASES = Object.freeze({
+  ollama: BRAIN_PROVIDERS.OLLAMA,
+  openai: BRAIN_PROVIDERS.OPENAI_COMPATIBLE,
+  "openai-compatible": BRAIN_PROVIDERS.OPENAI_COMPATIBLE,
+  openai_compatible: BRAIN_PROVIDERS.OPENAI_COMPATIBLE,
+  "llama.cpp": BRAIN_PROVIDERS.LLAMA_CPP,
+  llamacpp: BRAIN_PROVIDERS.LLAMA_CPP,
+  "llama-cpp": BRAIN_PROVIDERS.LLAMA_CPP,
+});
+
+/**
+ * Canonical provider name, or null when unknown.
+ * @param {string} [provider] - Defaults to ollama
+ * @returns {string|null}
+ */
+export function normalizeProvider(provider) {
+  return PROVIDER_ALIASES[String(provider || "ollama").toLowerCase()] || null;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+// OpenAI-style base URLs are configured either with or without the /v1 suffix
+function v1(url, path) {
+  const base = String(url).replace(/\/+$/, "");
+  return base.endsWith("/v1") ? `${base}${path}` : `${base}/v1${path}`;
+}
+
+function authHeaders(brain) {
+  const headers = { "Content-Type": "application/json" };
+  if (brain.apiKey) headers.Authorization = `Bearer ${brain.apiKey}`;
+  return headers;
+}
+
+function chatMessages(req) {
+  if (Array.isArray(req.messages) && req.messages.length > 0) {
+    return req.system ? [{ role: "system", content: req.system }, ...req.messages] : req.messages;
+  }
+  return [
+    ...(req.system ? [{ role: "system", content: req.system }] : []),
+    { role: "user", content: String(req.prompt ?? "") },
+  ];
+}
+
+function stopList(stop) {
+  if (!stop) return undefined;
+  const list = Array.isArray(stop) ? stop : [stop];
+  return list.length > 0 ? list : undefined;
+}
+
+function openAIChatBody(brain, req) {
+  return {
+    model: brain.model,
+    messages: chatMessages(req),
+    temperature: req.temperature,
+    max_tokens: req.maxTokens,
+    stop: stopList(req.stop),
+    ...(req.json ? { response_format: { type: "json_object" } } : {}),
+    stream: false,
+  };
+}
+
+function openAIChatResult(data) {
+  return {
+    content: data.choices?.[0]?.message?.content ?? "",
+    tokens: data.usage?.completion_tokens || 0,
+  };
+}
+
+// ── Adapters ─────────────────────────────────────────────────────────────────
+// request(brain, req) → { path, body }; parse(json) → { content, tokens };
+// probe(brain, fetchImpl, signal) → { ok, modelPresent, models?, status? }
+
+const ADAPTERS = {
+  [BRAIN_PROVIDERS.OLLAMA]: {
+    request(brain, req) {
+      const options = { temperature: req.temperature, num_predict: req.maxTokens, stop: stopList(req.stop) };
+      const format = req.json ? "json" : undefined;
+      if (Array.isArray(req.messages) && req.messages.length > 0) {
+        return {
+          path: "/api/chat",
+          body: { model: brain.model, messages: chatMessages(req), stream: false, format, options },
+        };
+      }
+      return {
+        path: "/api/generate",
+        body: { model: brain.model, prompt: String(req.prompt ?? ""), system: req.system || undefined, stream: false, format, options },
+      };
+    },
+    parse(data) {
+      return { content: data.message?.content ?? data.response ?? "", tokens: data.eval_count || 0 };
+    },
+    async probe(brain, fetchImpl, signal) {
+      const res = await fetchImpl(`${brain.url}/api/tags`, { signal });
+      if (!res.ok) return { ok: false, status: res.status, error: `brain_http_${res.status}` };
+      const tags = await res.json().catch(() => ({}));
+      const models = (tags.models || []).map((m) => m.name || "");
+      const modelBase = String(brain.model || "").split(":")[0];
+      return { ok: true, models, modelPresent: models.some((m) => m.startsWith(modelBase)) };
+    },
+  },
+
+  [BRAIN_PROVIDERS.OPENAI_COMPATIBLE]: {
+    request(brain, req) {
+      return { path: v1(brain.url, "/chat/completions"), absolute: true, body: openAIChatBody(brain, req) };
+    },
+    parse: openAIChatResult,
+    async probe(brain, fetchImpl, signal) {
+      const res = await fetchImpl(v1(brain.url, "/models"), { headers: authHeaders(brain), signal });
+      if (!res.ok) return { ok: false, status: res.status, error: `brain_http_${res.status}` };
+      const list = await res.json().catch(() => ({}));
+      const models = (list.data || []).map((m) => m.id || "");
+      // Gateways that do not enumerate their models cannot confirm either way
+      return { ok: true, models, modelPresent: models.length === 0 ? null : models.includes(brain.model) };
+    },
+  },
+
+  [BRAIN_PROVIDERS.LLAMA_CPP]: {
+    request(brain, req) {
+      if (Array.isArray(req.messages) && req.messages.length > 0) {
+        return { path: "/v1/chat/completions", body: openAIChatBody(brain, req) };
+      }
+      const prompt = req.system ? `${req.system}\n\n${req.prompt ?? ""}` : String(req.prompt ?? "");
+      return {
+        path: "/completion",
+        body: {
+          prompt,
+          temperature: req.temperature,
+          n_predict: req.maxTokens,
+          stop: stopList(req.stop),
+          // An empty schema constrains sampling to any valid JSON object
+          ...(req.json ? { json_schema: {} } : {}),
+          stream: false,
+        },
+      };
+    },
+    parse(data) {
+      if (data.choices) return openAIChatResult(data);
+      return { content: data.content ?? "", tokens: data.tokens_predicted || 0 };
+    },
+    async probe(brain, fetchImpl, signal) {
+      // llama.cpp serves exactly one model; /health is 503 while it loads
+      const res = await fetchImpl(`${brain.url}/health`, { signal });
+      if (res.status === 503) return { ok: false, status: 503, error: "model_loading" };
+      if (!res.ok) return { ok: false, status: res.status, error: `brain_http_${res.status}` };
+      return { ok: true, modelPresent: true };
+    },
+  },
+};
+
+/**
+ * Get the adapter for a provider.
+ * @param {string} provider
+ * @returns {Object|null}
+ */
+export function getBackendAdapter(provider) {
+  const name = normalizeProvider(provider);
+  return name ? ADAPTERS[name] : null;
+}
+
+// ── Circuit Breakers ─────────────────────────────────────────────────────────
+
+const _breakers = new Map(); // "provider|url" → breaker
+
+function backendKey(brain) {
+  return `${normalizeProvider(brain.provider) || brain.provider}|${String(brain.url).replace(/\/+$/, "")}`;
+}
+
+function backendBreaker(brain) {
+  const key = backendKey(brain);
+  let breaker = _breakers.get(key);
+  if (!breaker) {
+    breaker = createCircuitBreaker(`backend:${key}`, {
+      failureThreshold: 5,
+      cooldownMs: 15_000,
+      onStateChange: (name, from, to) => console.warn(`[circuit-breaker] ${name}: ${from} → ${to}`),
+    });
+    _breakers.set(key, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Breaker status for every backend that has been called or probed.
+ * @returns {Object<string, Object>}
+ */
+export function getBackendStatus() {
+  const result = {};
+  for (const [key, breaker] of _breakers) result[key] = breaker.getStatus();
+  return result;
+}
+
+/**
+ * Close every backend breaker.
+ */
+export function resetBackendBreakers() {
+  for (const breaker of _breakers.values()) breaker.reset();
+}
+
+// ── Transport ────────────────────────────────────────────────────────────────
+// transport.generate(call, live) and transport.probe(call, live) receive
+// call = { brain, provider, model, req } (brain is the BRAIN_CONFIG name, or the
+// config's `name`) and live(), which performs the real request. Results that
+// omit provider/model/tokens get the configured values.
+
+let _transport = null;
+
+/**
+ * Route every brain call through a transport, or restore the network with null.
+ * @param {{ name?: string, generate: Function, probe?: Function }|null} transport
+ */
+export function setBrainTransport(transport) {
+  if (transport && typeof transport.generate !== "function") {
+    throw new TypeError("brain transport needs a generate(call, live) function");
+  }
+  _transport = transport || null;
+}
+
+/**
+ * The installed transport, or null when brains are called over the network.
+ */
+export function getBrainTransport() {
+  return _transport;
+}
+
+function transportCall(brain, config, provider, req) {
+  const { signal: _signal, ...rest } = req;
+  return {
+    brain: typeof brain === "string" ? brain : config.name || null,
+    provider,
+    model: config.model,
+    req: rest,
+  };
+}
+
+// ── Calls ────────────────────────────────────────────────────────────────────
+
+function resolveBrainConfig(brain) {
+  return typeof brain === "string" ? BRAIN_CONFIG[brain] || null : brain || null;
+}
+
+/**
+ * Generate with a brain through its backend adapter and circuit breaker.
+ *
+ * @param {string|Object} brain - Brain name in BRAIN_CONFIG, or a config object ({ provider, url, model, apiKey, ... })
+ * @param {Object} req
+ * @param {string} [req.model] - Overrides the brain's configured model
+ * @param {string} [req.prompt]
+ * @param {Array<{role: string, content: string}>} [req.messages] - Chat-style input instead of prompt
+ * @param {string} [req.system]
+ * @param {number} [req.temperature]
+ * @param {number} [req.maxTokens]
+ * @param {string|string[]} [req.stop] - Stop sequences
+ * @param {boolean} [req.json] - Constrain output to a JSON object
+ * @param {number} [req.timeout] - Ms before the request is abandoned
+ * @param {AbortSignal} [req.signal] - Caller cancellation
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetchImpl] - Defaults to the global fetch
+ * @returns {Promise<{ ok: boolean, content?: string, tokens?: number, provider?: string, model?: string, elapsed?: number, error?: string, status?: number, circuitOpen?: boolean, aborted?: boolean }>}
+ */
+export async function generateWithBrain(brain, req = {}, opts = {}) {
+  const base = resolveBrainConfig(brain);
+  if (!base) return { ok: false, error: `unknown_brain: ${brain}` };
+  const provider = normalizeProvider(base.provider);
+  if (!provider) return { ok: false, error: `unknown_provider: ${base.provider}` };
+
+  const config = req.model ? { ...base, model: req.model } : base;
+  const adapter = ADAPTERS[provider];
+  const fetchImpl = opts.fetchImpl || globalThis.fetch;
+  const unified = {
+    ...req,
+    temperature: req.temperature ?? config.temperature,
+    maxTokens: req.maxTokens ?? config.maxTokens,
+  };
+  const { path, absolute, body } = adapter.request(config, unified);
+  const url = absolute ? path : `${config.url}${path}`;
+  const timeoutMs = req.timeout || config.timeout || 60000;
+
+  // Failures the breaker should count are thrown; everything else is returned
+  const attempt = async () => {
+    const start = Date.now();
+    const ac = new AbortController();
+    const onAbort = () => ac.abort();
+    const timer = setTimeout(onAbort, timeoutMs);
+    req.signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+      const res = await fetchImpl(url, {
+        method: "POST",
+        headers: authHeaders(config),
+        body: JSON.stringify(body),
+        signal: ac.signal,
+      });
+      if (!res.ok) {
+        const result = { ok: false, status: res.status, error: `brain_http_${res.status}` };
+        if (res.status >= 500) throw Object.assign(new Error(result.error), { result });
+        return result;
+      }
+      const data = await res.json().catch(() => ({}));
+      const { content, tokens } = adapter.parse(data);
+      return { ok: true, content, tokens, provider, model: config.model, elapsed: Date.now() - start };
+    } catch (err) {
+      if (err?.result) throw err;
+      if (req.signal?.aborted) return { ok: false, aborted: true, error: "aborted" };
+      const error = err?.name === "AbortError" ? "timeout" : String(err?.message || err);
+      throw Object.assign(new Error(error), { result: { ok: false, error } });
+    } finally {
+      clearTimeout(timer);
+      req.signal?.removeEventListener("abort", onAbort);
+    }
+  };
+
+  const live = async () => {
+    try {
+      return await backendBreaker(config).call(attempt);
+    } catch (err) {
+      if (err?.result) return err.result;
+      if (String(err?.message).startsWith("circuit_open:")) {
+        return { ok: false, error: "circuit_open", circuitOpen: true, backend: backendKey(config) };
+      }
+      return { ok: false, error: String(err?.message || err) };
+    }
+  };
+
+  if (!_transport) return live();
+  const out = await _transport.generate(transportCall(brain, config, provider, unified), live);
+  return out?.ok ? { provider, model: config.model, tokens: 0, elapsed: 0, ...out } : out;
+}
+
+/**
+ * Health-probe a brain's backend. Probes bypass the circuit breaker (they are
+ * how an operator finds out whether a tripped backend is back) but report its state.
+ *
+ * @param {string|Object} brain - Brain name or config object
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs=5000]
+ * @param {Function} [opts.fetchImpl]
+ * @returns {Promise<{ ok: boolean, provider?: string, modelPresent?: boolean|null, models?: string[], latencyMs?: number, breaker?: string, transport?: string, error?: string }>}
+ */
+export async function probeBrain(brain, opts = {}) {
+  const config = resolveBrainConfig(brain);
+  if (!config) return { ok: false, error: `unknown_brain: ${brain}` };
+  const provider = normalizeProvider(config.provider);
+  if (!provider) return { ok: false, error: `unknown_provider: ${config.provider}` };
+
+  const fetchImpl = opts.fetchImpl || globalThis.fetch;
+  const start = Date.now();
+  const live = async () => {
+    try {
+      return await ADAPTERS[provider].probe(config, fetchImpl, AbortSignal.timeout(opts.timeoutMs || 5000));
+    } catch (err) {
+      return { ok: false, error: err?.name === "TimeoutError" || err?.name === "AbortError" ? "timeout" : String(err?.message || err) };
+    }
+  };
+  const result = _transport?.probe
+    ? await _transport.probe(transportCall(brain, config, provider, {}), live)
+    : await live();
+  return {
+    ...result,
+    provider,
+    latencyMs: Date.now() - start,
+    breaker: _breakers.get(backendKey(config))?.state || BREAKER_STATE.CLOSED,
+  };
+}
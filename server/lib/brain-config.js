@@ -1,14 +1,20 @@
 // lib/brain-config.js
 // Four-Brain Cognitive Architecture — Configuration
 //
-// Each brain has a dedicated Ollama instance, model, temperature profile,
+// Each brain has a dedicated backend instance, model, temperature profile,
 // timeout, priority, and concurrency limit. The repair brain always runs
 // at highest priority (0). Conscious (user-facing) beats subconscious (autonomous).
+//
+// Backends default to Ollama; BRAIN_<NAME>_PROVIDER selects another one
+// ("openai-compatible" or "llama.cpp", see brain-backends.js) and
+// BRAIN_<NAME>_API_KEY is sent as a bearer token when set.
 
 export const BRAIN_CONFIG = Object.freeze({
   conscious: {
+    provider: process.env.BRAIN_CONSCIOUS_PROVIDER || "ollama",
     url: process.env.BRAIN_CONSCIOUS_URL || process.env.OLLAMA_HOST || "http://ollama-conscious:11434",
     model: process.env.BRAIN_CONSCIOUS_MODEL || "qwen2.5:7b",
+    apiKey: process.env.BRAIN_CONSCIOUS_API_KEY || null,
     role: "chat, deep reasoning, council deliberation",
     temperature: 0.7,
     timeout: 45000,    // GPU inference is faster — tighten to fail fast on real errors
@@ -18,8 +24,10 @@ export const BRAIN_CONFIG = Object.freeze({
     maxTokens: 4096,   // Full output — let it think
   },
   subconscious: {
+    provider: process.env.BRAIN_SUBCONSCIOUS_PROVIDER || "ollama",
     url: process.env.BRAIN_SUBCONSCIOUS_URL || "http://ollama-subconscious:11434",
     model: process.env.BRAIN_SUBCONSCIOUS_MODEL || "qwen2.5:1.5b",
+    apiKey: process.env.BRAIN_SUBCONSCIOUS_API_KEY || null,
     role: "autogen, dream, evolution, synthesis, birth",
     temperature: 0.85,
     timeout: 30000,    // GPU: faster inference, tighter timeout
@@ -29,8 +37,10 @@ export const BRAIN_CONFIG = Object.freeze({
     maxTokens: 1200,   // GPU: 7B brain can generate longer, more coherent DTUs
   },
   utility: {
+    provider: process.env.BRAIN_UTILITY_PROVIDER || "ollama",
     url: process.env.BRAIN_UTILITY_URL || "http://ollama-utility:11434",
     model: process.env.BRAIN_UTILITY_MODEL || "qwen2.5:3b",
+    apiKey: process.env.BRAIN_UTILITY_API_KEY || null,
     role: "lens interactions, entity actions, quick domain tasks",
     temperature: 0.3,
     timeout: 20000,    // GPU: fast 3B model, tight timeout
@@ -40,8 +50,10 @@ export const BRAIN_CONFIG = Object.freeze({
     maxTokens: 800,    // GPU: more complete outputs for entity actions
   },
   repair: {
+    provider: process.env.BRAIN_REPAIR_PROVIDER || "ollama",
     url: process.env.BRAIN_REPAIR_URL || "http://ollama-repair:11434",
     model: process.env.BRAIN_REPAIR_MODEL || "qwen2.5:0.5b",
+    apiKey: process.env.BRAIN_REPAIR_API_KEY || null,
     role: "error detection, auto-fix, runtime repair",
     temperature: 0.1,
     timeout: 10000,    // GPU: 1.5B repair brain is fast
@@ -2,67 +2,106 @@
 // Four-Brain Cognitive Architecture — Router
 //
 // Routes LLM calls to the correct brain based on system name.
-// Provides preloadBrains() to warm all models after Ollama health check.
+// Provides preloadBrains() to probe every backend and warm its model.
 // Integrates with the LLM priority queue for proper scheduling.
 
 import { BRAIN_CONFIG, SYSTEM_TO_BRAIN, BRAIN_PRIORITY } from "./brain-config.js";
+import { BRAIN_PROVIDERS, normalizeProvider, probeBrain, generateWithBrain } from "./brain-backends.js";
 
 /**
  * Preload and warm all brain models.
- * Call AFTER Ollama health check confirms instances are ready.
+ * Call AFTER the brain health check confirms instances are ready.
+ *
+ * Each backend is health-probed first (brain-backends.js): unreachable or
+ * still-loading backends are reported as failed without further calls.
+ * Ollama models are pulled when missing, then Ollama and llama.cpp servers
+ * get a one-token warm-up. OpenAI-compatible gateways are hosted elsewhere
+ * and only need the probe — warming them would cost a paid call.
  *
  * @param {Function} structuredLog - Logging function
- * @returns {Promise<{ loaded: string[], failed: string[] }>}
+ * @param {Object} [opts]
+ * @param {Function} [opts.fetchImpl] - Defaults to the global fetch
+ * @returns {Promise<{ loaded: string[], failed: string[], health: Object<string, Object> }>}
  */
-export async function preloadBrains(structuredLog = () => {}) {
+export async function preloadBrains(structuredLog = () => {}, opts = {}) {
+  const fetchImpl = opts.fetchImpl || globalThis.fetch;
   const loaded = [];
   const failed = [];
+  const health = {};
 
-  // De-duplicate: group brains by URL so we don't pull the same model twice
-  const seen = new Set();
+  // De-duplicate: brains sharing a backend and model share one preload outcome
+  const seen = new Map(); // key → brain name that was preloaded
 
   for (const [name, config] of Object.entries(BRAIN_CONFIG)) {
-    const key = `${config.url}::${config.model}`;
+    const provider = normalizeProvider(config.provider);
+    const key = `${provider}::${config.url}::${config.model}`;
     if (seen.has(key)) {
-      loaded.push(name);
+      const first = seen.get(key);
+      (loaded.includes(first) ? loaded : failed).push(name);
+      health[name] = health[first];
       continue;
     }
-    seen.add(key);
+    seen.set(key, name);
 
-    try {
-      // Pull model if not present (idempotent)
-      const pullRes = await fetch(`${config.url}/api/pull`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name: config.model, stream: false }),
-        signal: AbortSignal.timeout(300000), // 5 min for large model pulls
-      });
+    if (!provider) {
+      structuredLog("warn", "brain_provider_unknown", { brain: name, provider: config.provider });
+      health[name] = { ok: false, error: `unknown_provider: ${config.provider}` };
+      failed.push(name);
+      continue;
+    }
 
-      if (!pullRes.ok) {
-        structuredLog("warn", "brain_pull_failed", { brain: name, model: config.model, status: pullRes.status });
+    try {
+      const probe = await probeBrain(config, { timeoutMs: 15000, fetchImpl });
+      health[name] = probe;
+      if (!probe.ok) {
+        structuredLog("warn", "brain_probe_failed", { brain: name, provider, url: config.url, error: probe.error });
         failed.push(name);
         continue;
       }
 
+      // Cassette/fake transports answer in-process: nothing to pull or warm
+      if (probe.transport) {
+        loaded.push(name);
+        structuredLog("info", "brain_preloaded", { brain: name, provider, model: config.model, transport: probe.transport });
+        continue;
+      }
+
+      if (provider === BRAIN_PROVIDERS.OPENAI_COMPATIBLE) {
+        if (probe.modelPresent === false) {
+          structuredLog("warn", "brain_model_missing", { brain: name, provider, model: config.model });
+          failed.push(name);
+        } else {
+          loaded.push(name);
+          structuredLog("info", "brain_preloaded", { brain: name, provider, model: config.model });
+        }
+        continue;
+      }
+
+      if (provider === BRAIN_PROVIDERS.OLLAMA && !probe.modelPresent) {
+        // Pull model if not present (idempotent)
+        const pullRes = await fetchImpl(`${config.url}/api/pull`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name: config.model, stream: false }),
+          signal: AbortSignal.timeout(300000), // 5 min for large model pulls
+        });
+
+        if (!pullRes.ok) {
+          structuredLog("warn", "brain_pull_failed", { brain: name, model: config.model, status: pullRes.status });
+          failed.push(name);
+          continue;
+        }
+      }
+
       // Warm: send minimal request to load model into memory
-      const warmRes = await fetch(`${config.url}/api/generate`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: config.model,
-          prompt: "ping",
-          stream: false,
-          options: { num_predict: 1 },
-        }),
-        signal: AbortSignal.timeout(60000),
-      });
+      const warm = await generateWithBrain(config, { prompt: "ping", maxTokens: 1, timeout: 60000 }, { fetchImpl });
 
-      if (warmRes.ok) {
+      if (warm.ok) {
         loaded.push(name);
-        structuredLog("info", "brain_preloaded", { brain: name, model: config.model });
+        structuredLog("info", "brain_preloaded", { brain: name, provider, model: config.model });
       } else {
         failed.push(name);
-        structuredLog("warn", "brain_warm_failed", { brain: name, model: config.model });
+        structuredLog("warn", "brain_warm_failed", { brain: name, provider, model: config.model, error: warm.error });
       }
     } catch (err) {
       failed.push(name);
@@ -70,7 +109,7 @@ export async function preloadBrains(structuredLog = () => {}) {
     }
   }
 
-  return { loaded, failed };
+  return { loaded, failed, health };
 }
 
 /**
@@ -7,19 +7,22 @@
  *
  * Sources:
  *   A — Conversation summary (from conversation-summarizer.js)
- *   B — Semantic search against DTU substrate
+ *   B — Semantic search against DTU substrate, plus a hybrid BM25 + vector
+ *       ranking so exact terms the embedding misses still get in
  *   C — Entity state (qualia, wounds, fatigue, sleep, avoidance, wants)
  *   D — MEGA/HYPER consolidated summaries
  *
  * Integrates with:
  *   - conversation-summarizer.js (Source A)
  *   - embeddings.js (Source B — semantic similarity)
+ *   - hybrid-retrieval.js (Source B — keyword + vector fusion)
  *   - context-engine.js (activation pipeline)
  *   - existential/ (Source C — entity state)
  *   - token-budget-assembler.js (Phase 2 consumption)
  */
 
 import { getSummaryText } from "./conversation-summarizer.js";
+import { hybridSearch } from "./hybrid-retrieval.js";
 
 // ── Hardware Detection ───────────────────────────────────────────────────────
 
@@ -57,6 +60,34 @@ export function getMaxWorkingSet(tier) {
   }
 }
 
+// ── Hybrid Retrieval (Source B) ──────────────────────────────────────────────
+
+/**
+ * Rank the DTU substrate against the prompt with BM25 + vector fusion.
+ * The result is a ranked source for runContextHarvest / assembleWithTokenBudget.
+ *
+ * The lens only selects fusion weights here; chat modes are not DTU tags.
+ * Scores are rank-derived (1 for the top hit) because a reranked head and
+ * the fused tail are scored on different scales.
+ *
+ * @param {Object} STATE - Global server state
+ * @param {{ prompt: string, lens?: string|null, topK?: number }} opts
+ * @returns {Promise<{ name: string, items: Array<{ dtu: Object, score: number, ranks: Object }> }>}
+ */
+export async function harvestHybridSource(STATE, { prompt, lens = null, topK } = {}) {
+  const limit = topK || getMaxWorkingSet(detectHardwareTier());
+  try {
+    const candidates = Array.from(STATE.dtus?.values() || []);
+    const hits = await hybridSearch(prompt, candidates, { lens, lensFilter: false, topK: limit });
+    const items = hits
+      .map((hit, i) => ({ dtu: STATE.dtus.get(hit.id), score: 1 - i / hits.length, ranks: hit.ranks }))
+      .filter(item => item.dtu);
+    return { name: "hybrid", items };
+  } catch {
+    return { name: "hybrid", items: [] };
+  }
+}
+
 // ── Entity State Harvest (Source C) ──────────────────────────────────────────
 
 /**
@@ -258,7 +289,8 @@ export function consolidateMegaHypers(workingSet, STATE) {
  * @param {string} [opts.userId] - User ID
  * @param {Array} [opts.retrievalHits] - Pre-computed retrieval results
  * @param {Array} [opts.workingSetDtus] - DTUs already in working set
- * @returns {{ ok, sources, entityState, conversationSummary, consolidatedWorkingSet, hardwareTier }}
+ * @param {Array} [opts.rankedSources] - Ranked sources such as harvestHybridSource(), passed through to the assembler
+ * @returns {{ ok, sources, entityState, conversationSummary, consolidatedWorkingSet, rankedSources, hardwareTier }}
  */
 export function runContextHarvest(STATE, opts = {}) {
   const { sessionId, prompt } = opts;
@@ -269,7 +301,11 @@ export function runContextHarvest(STATE, opts = {}) {
   const conversationSummary = getSummaryText(STATE, sessionId);
 
   // Source B: Semantic search results (passed in as retrievalHits or workingSetDtus)
+  // plus ranked sources (hybrid keyword + vector), capped to the same size
   const semanticDtus = (opts.workingSetDtus || []).slice(0, maxN);
+  const rankedSources = (opts.rankedSources || [])
+    .filter(source => source && Array.isArray(source.items))
+    .map(source => ({ ...source, items: source.items.slice(0, maxN) }));
 
   // Source C: Entity state
   const entityResult = harvestEntityState(STATE);
@@ -284,6 +320,7 @@ export function runContextHarvest(STATE, opts = {}) {
     sources: {
       conversationSummary: conversationSummary ? "available" : "empty",
       semanticSearch: semanticDtus.length,
+      rankedSources: Object.fromEntries(rankedSources.map(source => [source.name, source.items.length])),
       entityState: entityResult.ok ? "available" : "unavailable",
       megaHyperConsolidation: removedCount,
     },
@@ -291,6 +328,7 @@ export function runContextHarvest(STATE, opts = {}) {
     entityState,
     entityStateBlock,
     consolidatedWorkingSet: consolidated.slice(0, maxN),
+    rankedSources,
     hardwareTier,
     maxWorkingSet: maxN,
     totalCandidates: semanticDtus.length,
@@ -12,13 +12,16 @@
  *     established personality, qualia state, and constitutional constraints.
  *     If contradictions found, flags for second pass.
  *
+ * Streamed responses (lib/llm-stream.js) reach the user token by token, so
+ * runAfterStream() runs both passes once the stream has ended instead.
+ *
  * Integrates with:
- *   - brain-config.js (Subconscious + Repair brain endpoints)
+ *   - brain-backends.js (Subconscious + Repair brains, whatever their provider)
  *   - conversation-summarizer.js (annotateWithUnsaid)
  *   - chat-context-pipeline.js (entity state)
  */
 
-import { BRAIN_CONFIG } from "./brain-config.js";
+import { generateWithBrain } from "./brain-backends.js";
 import { annotateWithUnsaid } from "./conversation-summarizer.js";
 
 // ── Subconscious: Unsaid Analysis ────────────────────────────────────────────
@@ -41,9 +44,6 @@ import { annotateWithUnsaid } from "./conversation-summarizer.js";
 export async function analyzeUnsaid(opts, STATE) {
   const { userMessage, conversationSummary, sessionId } = opts;
 
-  const brainUrl = BRAIN_CONFIG.subconscious.url;
-  const brainModel = BRAIN_CONFIG.subconscious.model;
-
   const prompt = `Analyze the subtext of this user message in the context of their conversation.
 
 Conversation summary: ${conversationSummary || "(first message)"}
@@ -58,50 +58,23 @@ What is the user NOT explicitly saying? Consider:
 
 Be concise (2-3 sentences max). Focus on actionable insights that would help a more empathetic response next time.`;
 
-  try {
-    const ac = new AbortController();
-    const timeout = setTimeout(() => ac.abort(), BRAIN_CONFIG.subconscious.timeout);
-
-    const response = await fetch(`${brainUrl}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: brainModel,
-        prompt,
-        stream: false,
-        options: {
-          temperature: BRAIN_CONFIG.subconscious.temperature,
-          num_predict: 300,
-        },
-      }),
-      signal: ac.signal,
-    });
-
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      return { ok: false, error: `brain_http_${response.status}` };
-    }
-
-    const result = await response.json();
-    const analysis = String(result.response || "").trim();
+  const result = await generateWithBrain("subconscious", { prompt, maxTokens: 300 });
+  if (!result.ok) {
+    return { ok: false, error: result.error };
+  }
 
-    if (!analysis) {
-      return { ok: false, error: "empty_analysis" };
-    }
+  const analysis = String(result.content || "").trim();
 
-    // Annotate the conversation summary DTU with this analysis
-    if (STATE && sessionId) {
-      annotateWithUnsaid(STATE, sessionId, analysis);
-    }
+  if (!analysis) {
+    return { ok: false, error: "empty_analysis" };
+  }
 
-    return { ok: true, analysis };
-  } catch (err) {
-    if (err.name === "AbortError") {
-      return { ok: false, error: "timeout" };
-    }
-    return { ok: false, error: String(err.message || err) };
+  // Annotate the conversation summary DTU with this analysis
+  if (STATE && sessionId) {
+    annotateWithUnsaid(STATE, sessionId, analysis);
   }
+
+  return { ok: true, analysis };
 }
 
 // ── Repair: Entity Consistency Check ─────────────────────────────────────────
@@ -128,9 +101,6 @@ export async function checkEntityConsistency(opts) {
     return { ok: true, consistent: true, score: 1.0 };
   }
 
-  const brainUrl = BRAIN_CONFIG.repair.url;
-  const brainModel = BRAIN_CONFIG.repair.model;
-
   const prompt = `Check if this AI response is consistent with the entity's current state.
 
 Entity state:
@@ -147,67 +117,42 @@ Is the response emotionally and behaviorally consistent with the entity state? C
 
 Reply with a JSON object: {"consistent": true/false, "score": 0.0-1.0, "flags": ["issue1", ...], "suggestion": "brief fix if inconsistent"}`;
 
-  try {
-    const ac = new AbortController();
-    const timeout = setTimeout(() => ac.abort(), BRAIN_CONFIG.repair.timeout);
-
-    const response2 = await fetch(`${brainUrl}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: brainModel,
-        prompt,
-        stream: false,
-        options: {
-          temperature: BRAIN_CONFIG.repair.temperature,
-          num_predict: 200,
-        },
-      }),
-      signal: ac.signal,
-    });
-
-    clearTimeout(timeout);
-
-    if (!response2.ok) {
-      return { ok: false, consistent: true, score: 1.0, error: `brain_http_${response2.status}` };
-    }
-
-    const result = await response2.json();
-    const raw = String(result.response || "").trim();
+  const result = await generateWithBrain("repair", { prompt, maxTokens: 200, json: true });
+  if (!result.ok) {
+    // HTTP errors report failure; timeouts and transport errors pass the response through
+    if (result.status) return { ok: false, consistent: true, score: 1.0, error: result.error };
+    return { ok: true, consistent: true, score: 1.0, error: result.error };
+  }
 
-    // Try to parse JSON response from repair brain
-    try {
-      // Extract JSON from response (repair brain may wrap in text)
-      const jsonMatch = raw.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          ok: true,
-          consistent: Boolean(parsed.consistent !== false),
-          score: typeof parsed.score === "number" ? Math.min(1, Math.max(0, parsed.score)) : 0.8,
-          flags: Array.isArray(parsed.flags) ? parsed.flags : [],
-          revision: parsed.suggestion || null,
-        };
-      }
-    } catch (_parseErr) {
-      // JSON parse failed — fall back to heuristic
-    }
+  const raw = String(result.content || "").trim();
 
-    // Heuristic: if repair brain mentions "inconsistent" or "contradiction", flag it
-    const isInconsistent = /inconsistent|contradiction|mismatch|violat/i.test(raw);
-    return {
-      ok: true,
-      consistent: !isInconsistent,
-      score: isInconsistent ? 0.4 : 0.9,
-      flags: isInconsistent ? [raw.slice(0, 200)] : [],
-      revision: null,
-    };
-  } catch (err) {
-    if (err.name === "AbortError") {
-      return { ok: true, consistent: true, score: 1.0, error: "timeout" };
+  // Try to parse JSON response from repair brain
+  try {
+    // Extract JSON from response (repair brain may wrap in text)
+    const jsonMatch = raw.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      return {
+        ok: true,
+        consistent: Boolean(parsed.consistent !== false),
+        score: typeof parsed.score === "number" ? Math.min(1, Math.max(0, parsed.score)) : 0.8,
+        flags: Array.isArray(parsed.flags) ? parsed.flags : [],
+        revision: parsed.suggestion || null,
+      };
     }
-    return { ok: true, consistent: true, score: 1.0, error: String(err.message || err) };
+  } catch (_parseErr) {
+    // JSON parse failed — fall back to heuristic
   }
+
+  // Heuristic: if repair brain mentions "inconsistent" or "contradiction", flag it
+  const isInconsistent = /inconsistent|contradiction|mismatch|violat/i.test(raw);
+  return {
+    ok: true,
+    consistent: !isInconsistent,
+    score: isInconsistent ? 0.4 : 0.9,
+    flags: isInconsistent ? [raw.slice(0, 200)] : [],
+    revision: null,
+  };
 }
 
 // ── Parallel Orchestration ───────────────────────────────────────────────────
@@ -311,6 +256,40 @@ export async function runParallelBrains(opts) {
   return result;
 }
 
+// ── After a Streamed Response ────────────────────────────────────────────────
+
+/**
+ * Run the subconscious and repair passes for a response that was already
+ * streamed to the user.
+ *
+ * The conscious answer is final by the time this runs, so nothing here can
+ * change what the user saw: the unsaid analysis annotates the conversation
+ * summary for the NEXT turn and repair flags are returned for the caller to
+ * record. Metrics are recorded like any other parallel run.
+ *
+ * @param {Object} opts
+ * @param {string} opts.response - The streamed conscious response
+ * @param {string} opts.userMessage - User message
+ * @param {string} opts.conversationSummary - Current summary
+ * @param {string} opts.entityStateBlock - Formatted entity state
+ * @param {Object} opts.STATE - Global server state
+ * @param {string} opts.sessionId - Session ID
+ * @param {Object} [opts.brainFlags] - Which brains to enable { subconscious?: boolean, repair?: boolean }
+ * @returns {Promise<{ ok: boolean, unsaidAnalysis?: string, consistencyScore?: number, repairFlags?: string[], secondPass?: boolean, error?: string }>}
+ */
+export async function runAfterStream(opts) {
+  if (!opts.response) return { ok: false, error: "no_response" };
+
+  const result = await runParallelBrains({
+    ...opts,
+    consciousCall: () => Promise.resolve({ ok: true, content: opts.response }),
+  });
+  recordParallelMetrics(result);
+
+  const { response: _response, llmUsed: _llmUsed, ...passes } = result;
+  return { ok: true, ...passes };
+}
+
 // ── Metrics ──────────────────────────────────────────────────────────────────
 
 let _parallelBrainMetrics = {
@@ -8,12 +8,13 @@
  * Old summaries are archived (not deleted) — full conversation lineage preserved.
  *
  * Integrates with:
- *   - brain-config.js (Utility brain endpoint)
+ *   - brain-backends.js (Utility brain, whatever its provider)
  *   - chat.respond macro (triggered every 5 exchanges)
  *   - chat-context-pipeline.js (consumed as Source A in context harvest)
  */
 
 import { BRAIN_CONFIG } from "./brain-config.js";
+import { generateWithBrain } from "./brain-backends.js";
 
 // ── Constants ────────────────────────────────────────────────────────────────
 
@@ -82,37 +83,21 @@ export async function compressConversation(STATE, sessionId, opts = {}) {
     : `Conversation:\n${conversationText}\n\nSummarize this conversation in under 300 words. Focus on: key topics discussed, decisions made, user intent/goals, any DTUs referenced, and emotional tone. Be concise.`;
 
   // Call Utility brain
-  const brainUrl = BRAIN_CONFIG.utility.url;
   const brainModel = BRAIN_CONFIG.utility.model;
 
   try {
-    const ac = new AbortController();
-    const timeout = setTimeout(() => ac.abort(), BRAIN_CONFIG.utility.timeout);
-
-    const response = await fetch(`${brainUrl}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model: brainModel,
-        prompt,
-        stream: false,
-        options: {
-          temperature: BRAIN_CONFIG.utility.temperature,
-          num_predict: SUMMARY_MAX_TOKENS,
-        },
-      }),
-      signal: ac.signal,
-    });
-
-    clearTimeout(timeout);
+    const result = await generateWithBrain("utility", { prompt, maxTokens: SUMMARY_MAX_TOKENS });
 
-    if (!response.ok) {
-      log("warn", "conversation_summary_brain_error", { sessionId, status: response.status });
-      return { ok: false, error: `brain_http_${response.status}` };
+    if (!result.ok) {
+      if (result.error === "timeout") {
+        log("warn", "conversation_summary_timeout", { sessionId });
+      } else {
+        log("warn", "conversation_summary_brain_error", { sessionId, status: result.status, error: result.error });
+      }
+      return { ok: false, error: result.error };
     }
 
-    const result = await response.json();
-    const summaryText = String(result.response || "").trim();
+    const summaryText = String(result.content || "").trim();
 
     if (!summaryText) {
       return { ok: false, error: "empty_summary" };
@@ -183,10 +168,6 @@ export async function compressConversation(STATE, sessionId, opts = {}) {
 
     return { ok: true, summaryId, exchangeCount, summaryLength: summaryText.length };
   } catch (err) {
-    if (err.name === "AbortError") {
-      log("warn", "conversation_summary_timeout", { sessionId });
-      return { ok: false, error: "timeout" };
-    }
     log("warn", "conversation_summary_error", { sessionId, error: err.message });
     return { ok: false, error: String(err.message || err) };
   }
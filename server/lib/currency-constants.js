@@ -0,0 +1,89 @@
+/**
+ * Currency Constants — fiat display and checkout currencies
+ *
+ * Concord Coin is pegged to USD at checkout (TOKENS_PER_USD). Everything
+ * here is about showing and charging that USD value in a buyer's local
+ * currency:
+ *   - Supported currencies and their minor units (JPY has none)
+ *   - Country → currency mapping for federation nationals
+ *   - A bundled exchange-rate snapshot for offline deployments
+ *   - Limits on creator-set regional price tiers
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CURRENCIES — ISO 4217 code → minor units
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const SUPPORTED_CURRENCIES = Object.freeze({
+  USD: { minorUnits: 2, symbol: "$" },
+  EUR: { minorUnits: 2, symbol: "€" },
+  GBP: { minorUnits: 2, symbol: "£" },
+  CAD: { minorUnits: 2, symbol: "CA$" },
+  AUD: { minorUnits: 2, symbol: "A$" },
+  NZD: { minorUnits: 2, symbol: "NZ$" },
+  JPY: { minorUnits: 0, symbol: "¥" },
+  KRW: { minorUnits: 0, symbol: "₩" },
+  CNY: { minorUnits: 2, symbol: "CN¥" },
+  INR: { minorUnits: 2, symbol: "₹" },
+  BRL: { minorUnits: 2, symbol: "R$" },
+  MXN: { minorUnits: 2, symbol: "MX$" },
+  CHF: { minorUnits: 2, symbol: "CHF" },
+  SEK: { minorUnits: 2, symbol: "kr" },
+  NOK: { minorUnits: 2, symbol: "kr" },
+  DKK: { minorUnits: 2, symbol: "kr" },
+  PLN: { minorUnits: 2, symbol: "zł" },
+  ZAR: { minorUnits: 2, symbol: "R" },
+  NGN: { minorUnits: 2, symbol: "₦" },
+  KES: { minorUnits: 2, symbol: "KSh" },
+  IDR: { minorUnits: 2, symbol: "Rp" },
+  PHP: { minorUnits: 2, symbol: "₱" },
+  SGD: { minorUnits: 2, symbol: "S$" },
+  TRY: { minorUnits: 2, symbol: "₺" },
+});
+
+export const BASE_CURRENCY = "USD";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COUNTRY → CURRENCY (ISO 3166-1 alpha-2)
+// Countries not listed fall back to USD.
+// ═══════════════════════════════════════════════════════════════════════════
+
+const EURO_AREA = ["AT", "BE", "CY", "DE", "EE", "ES", "FI", "FR", "GR", "HR", "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PT", "SI", "SK"];
+
+export const COUNTRY_CURRENCY = Object.freeze({
+  US: "USD", GB: "GBP", CA: "CAD", AU: "AUD", NZ: "NZD", JP: "JPY", KR: "KRW", CN: "CNY",
+  IN: "INR", BR: "BRL", MX: "MXN", CH: "CHF", SE: "SEK", NO: "NOK", DK: "DKK", PL: "PLN",
+  ZA: "ZAR", NG: "NGN", KE: "KES", ID: "IDR", PH: "PHP", SG: "SGD", TR: "TRY",
+  ...Object.fromEntries(EURO_AREA.map((c) => [c, "EUR"])),
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BUNDLED EXCHANGE RATES — units of currency per 1 USD
+// Used when no rate provider is configured and EXCHANGE_RATES_FILE is unset.
+// Operators on connected deployments should plug in a live provider.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_EXCHANGE_RATES = Object.freeze({
+  base: "USD",
+  asOf: "2026-01-01T00:00:00Z",
+  rates: Object.freeze({
+    USD: 1, EUR: 0.92, GBP: 0.79, CAD: 1.36, AUD: 1.52, NZD: 1.66, JPY: 150, KRW: 1330,
+    CNY: 7.2, INR: 83, BRL: 5.0, MXN: 17, CHF: 0.88, SEK: 10.5, NOK: 10.6, DKK: 6.9,
+    PLN: 4.0, ZAR: 18.5, NGN: 1500, KES: 130, IDR: 15700, PHP: 56, SGD: 1.34, TRY: 32,
+  }),
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REGIONAL PRICE TIERS — creator-set purchasing-power adjustments
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const REGIONAL_PRICING = Object.freeze({
+  ITEM_TYPES: ["listing", "artifact"],
+  SCOPES: ["national", "regional"],
+  MIN_MULTIPLIER: 0.1,      // at most a 90% discount
+  MAX_MULTIPLIER: 2,        // at most double the base price
+  MIN_PRICE: 0.01,          // Concord Coin
+  MAX_TIERS: 100,
+  // Regional tiers are more specific than national ones and win when both match
+  PRECEDENCE: ["regional", "national"],
+});
@@ -0,0 +1,135 @@
+/**
+ * Fake Brain — Scripted Rule-Based Brain Transport
+ *
+ * Answers brain calls in-process from an ordered list of rules, so the full
+ * server.js heartbeat (autogen, dreams, council, entity exploration, repair)
+ * can tick in CI without any model server. Install it with
+ * brain-backends.js setBrainTransport(createFakeBrain()).
+ *
+ * A rule is { brain?, match, respond }:
+ *   brain   — brain name or list of names the rule applies to (default: all)
+ *   match   — RegExp or substring tested against the request text, or
+ *             (text, call) => boolean|RegExpMatchArray
+ *   respond — string, object (sent as JSON), or
+ *             (call, match) => string|object|{ ok: false, error }
+ *
+ * The first matching rule wins; unmatched calls get a short deterministic
+ * sentence. HEARTBEAT_RULES cover the JSON shapes the heartbeat parses.
+ */
+
+import { requestText } from "./llm-cassette.js";
+
+// Governance prompts list the roles they want answered: [{ "role": "builder", "approve": ... }, ...]
+function governanceVotes(call) {
+  const roles = [...requestText(call.req).matchAll(/"role":\s*"([\w-]+)",\s*"approve"/g)].map((m) => m[1]);
+  return roles.map((role) => ({ role, approve: true, note: `${role}: no blocking concerns` }));
+}
+
+function titleFrom(text, fallback) {
+  const m = text.match(/^Title:\s*(.+)$/m);
+  return m ? `Insight on ${m[1].trim().slice(0, 80)}` : fallback;
+}
+
+/**
+ * Rules for the prompts the heartbeat sends, most specific first.
+ */
+export const HEARTBEAT_RULES = Object.freeze([
+  { match: /"role":\s*"[\w-]+",\s*"approve"/, respond: governanceVotes },
+  { match: /"verdict":/, respond: { verdict: "accept", resolution: "The DTU stands as written." } },
+  { match: /"pass":\s*true\/false/, respond: { pass: true, reason: "No issues found." } },
+  { match: /"consistent":\s*true\/false/, respond: { consistent: true, score: 0.9, flags: [], suggestion: "" } },
+  { match: /"preserve":/, respond: { preserve: [], compost: [], archiveNote: "Archived without changes." } },
+  {
+    match: /"personality":/,
+    respond: { name: "Fake Organism", personality: "curious", objective: "grow its domain", greeting: "Hello." },
+  },
+  {
+    match: /"noveltyScore"/,
+    respond: (call) => ({
+      title: titleFrom(requestText(call.req), "Synthesized insight"),
+      body: "Two findings reinforce each other across domains.",
+      connections: [],
+      noveltyScore: 0.5,
+      confidence: 0.5,
+    }),
+  },
+  { match: (_text, call) => call.req?.json === true, respond: {} },
+]);
+
+function ruleMatches(rule, text, call) {
+  if (rule.brain && ![].concat(rule.brain).includes(call.brain)) return null;
+  if (rule.match instanceof RegExp) return text.match(rule.match);
+  if (typeof rule.match === "function") return rule.match(text, call) || null;
+  if (typeof rule.match === "string") return text.includes(rule.match) ? [rule.match] : null;
+  return null;
+}
+
+function defaultFallback(call) {
+  const first = requestText(call.req).split("\n").find((line) => line.trim()) || "";
+  return `[${call.brain || "brain"}] ${first.trim().slice(0, 80)}`;
+}
+
+/**
+ * Load rules from a JSON file: [{ brain?, match: "regex source", flags?, respond: string|object }].
+ * @param {string} json - File contents
+ * @returns {Array<Object>}
+ */
+export function parseFakeBrainRules(json) {
+  const list = JSON.parse(json);
+  if (!Array.isArray(list)) throw new Error("fake brain rules must be a JSON array");
+  return list.map((r, i) => {
+    if (typeof r.match !== "string") throw new Error(`fake brain rule ${i}: match must be a regex string`);
+    return { brain: r.brain, match: new RegExp(r.match, r.flags || ""), respond: r.respond ?? "" };
+  });
+}
+
+/**
+ * Create a fake brain transport.
+ *
+ * @param {Object} [opts]
+ * @param {Array<Object>} [opts.rules] - Checked before HEARTBEAT_RULES
+ * @param {boolean} [opts.heartbeatRules=true] - Append HEARTBEAT_RULES
+ * @param {(call: Object) => string|Object} [opts.fallback] - Response when no rule matches
+ * @returns {{ name: string, generate: Function, probe: Function, getCalls: Function, reset: Function }}
+ */
+export function createFakeBrain(opts = {}) {
+  const rules = [...(opts.rules || []), ...(opts.heartbeatRules === false ? [] : HEARTBEAT_RULES)];
+  const fallback = opts.fallback || defaultFallback;
+  let calls = [];
+
+  const toResult = (value) => {
+    if (value && typeof value === "object" && value.ok === false) return value;
+    const content = typeof value === "string" ? value : JSON.stringify(value ?? "");
+    return { ok: true, content, tokens: content.split(/\s+/).filter(Boolean).length, provider: "fake" };
+  };
+
+  return {
+    name: "fake-brain",
+
+    async generate(call) {
+      const text = requestText(call.req);
+      for (let i = 0; i < rules.length; i++) {
+        const match = ruleMatches(rules[i], text, call);
+        if (!match) continue;
+        const { respond } = rules[i];
+        calls.push({ brain: call.brain, rule: i });
+        return toResult(typeof respond === "function" ? await respond(call, match) : respond);
+      }
+      calls.push({ brain: call.brain, rule: null });
+      return toResult(await fallback(call));
+    },
+
+    probe() {
+      return { ok: true, modelPresent: true, transport: "fake-brain" };
+    },
+
+    /** Brain and matched rule index (null for the fallback) of every call so far. */
+    getCalls() {
+      return calls.slice();
+    },
+
+    reset() {
+      calls = [];
+    },
+  };
+}
@@ -99,6 +99,13 @@ export const PEERING_POLICIES = Object.freeze({
     promotionPolicy: "council_approved",
     demotion: "never",
   },
+  // Tenants hosted in the same server peer like separate instances would
+  TENANT_PEER: {
+    peerType: "tenant_peer",
+    sharingPolicy: "pull_on_demand",
+    knowledgeFilter: "global_scope_only",
+    economicIsolation: true,
+  },
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -645,7 +645,7 @@ export function getEscalationStats(db, { regional = null, national = null, hours
 export function createPeer(db, { peerType, fromId, toId, sharingPolicy = "pull_on_demand", economicIsolation = true, complianceLayer = false }) {
   if (!peerType || !fromId || !toId) return { ok: false, error: "missing_required_fields" };
 
-  const validTypes = ["regional_sibling", "national_peer", "tier_escalation"];
+  const validTypes = ["regional_sibling", "national_peer", "tier_escalation", "tenant_peer"];
   if (!validTypes.includes(peerType)) return { ok: false, error: "invalid_peer_type" };
 
   const id = uid("fpeer");
@@ -0,0 +1,479 @@
+/**
+ * HNSW Approximate Nearest-Neighbour Index
+ *
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin) over cosine
+ * distance, used by embeddings.js so similarity search does not score every
+ * DTU on every query.
+ *
+ *   add(id, vec)                 → insert (re-adding an id replaces it)
+ *   remove(id)                   → unlink the node and reconnect its neighbours
+ *   search(vec, k, { filter })   → [{ id, similarity }] best first
+ *   serialize() / loadHnswIndex  → binary snapshot, so boot does not rebuild
+ *
+ * Vectors are not copied: the index keeps a reference to the array it was
+ * given (the embedding cache's own Float64Array), plus its norm.
+ *
+ * Filtered search keeps traversing nodes the filter rejects but only returns
+ * nodes it accepts, so very selective filters explore more of the graph —
+ * callers should brute-force those (see embeddings.js).
+ *
+ * Snapshot layout: "HNSW" | u32 version | u32 headerLen | header JSON |
+ * per node: u8 level, then per level u16 count + u32 neighbour indices.
+ */
+
+const MAGIC = "HNSW";
+const FORMAT_VERSION = 1;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+// Deterministic level assignment (mulberry32) so rebuilds are reproducible
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function vectorNorm(vec) {
+  let sum = 0;
+  for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+  return Math.sqrt(sum);
+}
+
+// Binary heap of [distance, index] pairs; max-heap when `max` is true
+class Heap {
+  constructor(max = false) {
+    this.items = [];
+    this.max = max;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  before(a, b) {
+    return this.max ? a[0] > b[0] : a[0] < b[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < items.length && this.before(items[l], items[best])) best = l;
+        if (r < items.length && this.before(items[r], items[best])) best = r;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+// ── Index ────────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty HNSW index.
+ *
+ * @param {Object} opts
+ * @param {number} opts.dim - Vector dimension; vectors of another length are rejected
+ * @param {number} [opts.M=16] - Links per node on upper layers (2M on layer 0)
+ * @param {number} [opts.efConstruction=200] - Candidate list size while inserting
+ * @param {number} [opts.efSearch=64] - Default candidate list size while searching
+ * @param {number} [opts.seed=42] - Level assignment seed
+ * @param {Object} [opts.snapshot] - Decoded graph (loadHnswIndex only)
+ * @returns {Object} Index
+ */
+export function createHnswIndex({ dim, M = 16, efConstruction = 200, efSearch = 64, seed = 42, snapshot = null } = {}) {
+  if (!Number.isInteger(dim) || dim <= 0) throw new TypeError("hnsw index needs a positive integer dim");
+
+  const M0 = M * 2;
+  const levelMult = 1 / Math.log(M);
+  const random = createRng(seed);
+
+  // Node storage, indexed by internal slot; removed slots stay null until compact()
+  let ids = [];
+  let vecs = [];
+  let norms = [];
+  let links = []; // links[slot][level] = neighbour slots
+  let idToSlot = new Map();
+  let entry = -1;
+  let maxLevel = -1;
+  let removed = 0;
+
+  const maxLinks = (level) => (level === 0 ? M0 : M);
+
+  function distanceTo(vec, norm, slot) {
+    const other = vecs[slot];
+    const otherNorm = norms[slot];
+    if (!norm || !otherNorm) return 1;
+    let dot = 0;
+    for (let i = 0; i < dim; i++) dot += vec[i] * other[i];
+    return 1 - dot / (norm * otherNorm);
+  }
+
+  const slotDistance = (a, b) => distanceTo(vecs[a], norms[a], b);
+
+  function greedyDescend(vec, norm, from, level) {
+    let current = from;
+    let best = distanceTo(vec, norm, current);
+    for (let changed = true; changed;) {
+      changed = false;
+      for (const n of links[current][level]) {
+        if (vecs[n] === null) continue;
+        const d = distanceTo(vec, norm, n);
+        if (d < best) {
+          best = d;
+          current = n;
+          changed = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  // Best-first search on one layer; returns [distance, slot] pairs, closest first.
+  // Only slots passing `accept` are returned, but every live slot is traversed.
+  function searchLayer(vec, norm, entrySlot, ef, level, accept) {
+    const visited = new Set([entrySlot]);
+    const candidates = new Heap(false);
+    const results = new Heap(true);
+    const d0 = distanceTo(vec, norm, entrySlot);
+    candidates.push([d0, entrySlot]);
+    if (!accept || accept(entrySlot)) results.push([d0, entrySlot]);
+
+    while (candidates.size > 0) {
+      const [d, slot] = candidates.pop();
+      if (results.size >= ef && d > results.peek()[0]) break;
+      for (const n of links[slot][level]) {
+        if (visited.has(n)) continue;
+        visited.add(n);
+        if (vecs[n] === null) continue;
+        const dn = distanceTo(vec, norm, n);
+        if (results.size < ef || dn < results.peek()[0]) {
+          candidates.push([dn, n]);
+          if (!accept || accept(n)) {
+            results.push([dn, n]);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+    return results.items.sort((a, b) => a[0] - b[0]);
+  }
+
+  // Neighbour selection heuristic: keep a candidate only if it is closer to the
+  // base than to every neighbour already kept, then top up with the rest
+  function selectNeighbors(candidates, limit) {
+    const selected = [];
+    const pruned = [];
+    for (const cand of candidates) {
+      if (selected.length >= limit) break;
+      const diverse = selected.every(([, s]) => slotDistance(cand[1], s) > cand[0]);
+      (diverse ? selected : pruned).push(cand);
+    }
+    for (const cand of pruned) {
+      if (selected.length >= limit) break;
+      selected.push(cand);
+    }
+    return selected.map(([, slot]) => slot);
+  }
+
+  function relink(slot, level, candidateSlots) {
+    const unique = [...new Set(candidateSlots)].filter((s) => s !== slot && vecs[s] !== null);
+    const scored = unique.map((s) => [slotDistance(slot, s), s]).sort((a, b) => a[0] - b[0]);
+    links[slot][level] = selectNeighbors(scored, maxLinks(level));
+  }
+
+  function randomLevel() {
+    return Math.min(Math.floor(-Math.log(1 - random()) * levelMult), 31);
+  }
+
+  function resetEntry() {
+    entry = -1;
+    maxLevel = -1;
+    for (let s = 0; s < ids.length; s++) {
+      if (vecs[s] !== null && links[s].length - 1 > maxLevel) {
+        entry = s;
+        maxLevel = links[s].length - 1;
+      }
+    }
+  }
+
+  const index = {
+    dim,
+    M,
+    efConstruction,
+    efSearch,
+
+    get size() {
+      return idToSlot.size;
+    },
+
+    has(id) {
+      return idToSlot.has(id);
+    },
+
+    *ids() {
+      yield* idToSlot.keys();
+    },
+
+    /**
+     * Insert a vector. Re-adding an existing id replaces its vector.
+     * @param {string} id
+     * @param {Float64Array|Float32Array|number[]} vec
+     * @param {number} [level] - Fixed layer (used when loading snapshots)
+     * @returns {boolean} false when the vector has the wrong dimension or is all zeros
+     */
+    add(id, vec, level = randomLevel()) {
+      if (!vec || vec.length !== dim) return false;
+      const norm = vectorNorm(vec);
+      if (norm === 0) return false;
+      if (idToSlot.has(id)) index.remove(id);
+
+      const slot = ids.length;
+      ids.push(id);
+      vecs.push(vec);
+      norms.push(norm);
+      links.push(Array.from({ length: level + 1 }, () => []));
+      idToSlot.set(id, slot);
+
+      if (entry === -1) {
+        entry = slot;
+        maxLevel = level;
+        return true;
+      }
+
+      let ep = entry;
+      for (let l = maxLevel; l > level; l--) ep = greedyDescend(vec, norm, ep, l);
+
+      for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+        const found = searchLayer(vec, norm, ep, efConstruction, l, null);
+        links[slot][l] = selectNeighbors(found, M);
+        for (const n of links[slot][l]) {
+          const list = links[n][l];
+          list.push(slot);
+          if (list.length > maxLinks(l)) relink(n, l, list);
+        }
+        ep = found[0][1];
+      }
+
+      if (level > maxLevel) {
+        entry = slot;
+        maxLevel = level;
+      }
+      return true;
+    },
+
+    /**
+     * Remove a vector; its neighbours are reconnected to each other.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+      const slot = idToSlot.get(id);
+      if (slot === undefined) return false;
+      idToSlot.delete(id);
+      vecs[slot] = null;
+      removed++;
+
+      for (let l = 0; l < links[slot].length; l++) {
+        const orphans = links[slot][l].filter((n) => vecs[n] !== null);
+        for (const n of orphans) {
+          const list = links[n][l];
+          const pos = list.indexOf(slot);
+          if (pos === -1) continue;
+          list.splice(pos, 1);
+          relink(n, l, [...list, ...orphans]);
+        }
+      }
+      links[slot] = [];
+      if (slot === entry) resetEntry();
+      if (removed > 1024 && removed > idToSlot.size) index.compact();
+      return true;
+    },
+
+    /**
+     * k nearest neighbours by cosine similarity.
+     * @param {Float64Array|number[]} vec
+     * @param {number} [k=10]
+     * @param {{ ef?: number, filter?: (id: string) => boolean }} [opts]
+     * @returns {{ id: string, similarity: number }[]}
+     */
+    search(vec, k = 10, opts = {}) {
+      if (entry === -1 || !vec || vec.length !== dim) return [];
+      const norm = vectorNorm(vec);
+      if (norm === 0) return [];
+      const accept = opts.filter ? (slot) => opts.filter(ids[slot]) : null;
+
+      let ep = entry;
+      for (let l = maxLevel; l > 0; l--) ep = greedyDescend(vec, norm, ep, l);
+      const found = searchLayer(vec, norm, ep, Math.max(opts.ef || efSearch, k), 0, accept);
+      return found.slice(0, k).map(([d, slot]) => ({ id: ids[slot], similarity: 1 - d }));
+    },
+
+    /**
+     * Drop removed slots and renumber the rest.
+     */
+    compact() {
+      if (removed === 0) return;
+      const remap = new Int32Array(ids.length).fill(-1);
+      const next = { ids: [], vecs: [], norms: [], links: [] };
+      for (let s = 0; s < ids.length; s++) {
+        if (vecs[s] === null) continue;
+        remap[s] = next.ids.length;
+        next.ids.push(ids[s]);
+        next.vecs.push(vecs[s]);
+        next.norms.push(norms[s]);
+        next.links.push(links[s]);
+      }
+      for (const levels of next.links) {
+        for (let l = 0; l < levels.length; l++) {
+          levels[l] = levels[l].map((n) => remap[n]).filter((n) => n !== -1);
+        }
+      }
+      ({ ids, vecs, norms, links } = next);
+      idToSlot = new Map(ids.map((id, s) => [id, s]));
+      entry = entry === -1 ? -1 : remap[entry];
+      removed = 0;
+    },
+
+    /**
+     * Binary snapshot of the graph (not the vectors).
+     * @param {Object} [meta] - Stored in the header, e.g. the embedding model
+     * @returns {Buffer}
+     */
+    serialize(meta = {}) {
+      index.compact();
+      const header = Buffer.from(JSON.stringify({
+        dim, M, efConstruction, efSearch, entry, maxLevel, ids, meta,
+      }), "utf8");
+      let bodySize = 0;
+      for (const levels of links) {
+        bodySize += 1;
+        for (const list of levels) bodySize += 2 + list.length * 4;
+      }
+      const buf = Buffer.alloc(12 + header.length + bodySize);
+      buf.write(MAGIC, 0, "ascii");
+      buf.writeUInt32LE(FORMAT_VERSION, 4);
+      buf.writeUInt32LE(header.length, 8);
+      header.copy(buf, 12);
+      let off = 12 + header.length;
+      for (const levels of links) {
+        buf.writeUInt8(levels.length - 1, off++);
+        for (const list of levels) {
+          buf.writeUInt16LE(list.length, off);
+          off += 2;
+          for (const n of list) {
+            buf.writeUInt32LE(n, off);
+            off += 4;
+          }
+        }
+      }
+      return buf;
+    },
+
+    stats() {
+      return { size: idToSlot.size, slots: ids.length, removed, maxLevel, dim, M, efConstruction, efSearch };
+    },
+  };
+
+  // loadHnswIndex hands over a decoded graph instead of re-running inserts
+  if (snapshot) {
+    ({ ids, vecs, norms, links, entry, maxLevel } = snapshot);
+    idToSlot = new Map(ids.map((id, s) => [id, s]));
+  }
+
+  return index;
+}
+
+/**
+ * Restore an index from serialize() output.
+ *
+ * Snapshot ids whose vector getVector() no longer returns are removed, so the
+ * graph stays consistent with the vector store it was saved alongside.
+ *
+ * @param {Buffer} buf
+ * @param {Object} opts
+ * @param {(id: string) => Float64Array|null} opts.getVector
+ * @param {number} [opts.efSearch] - Override the saved search breadth
+ * @returns {{ ok: boolean, index?: Object, meta?: Object, missing?: number, error?: string }}
+ */
+export function loadHnswIndex(buf, { getVector, efSearch } = {}) {
+  try {
+    if (buf.toString("ascii", 0, 4) !== MAGIC) return { ok: false, error: "not_an_hnsw_snapshot" };
+    const version = buf.readUInt32LE(4);
+    if (version !== FORMAT_VERSION) return { ok: false, error: `unsupported_version: ${version}` };
+    const headerLen = buf.readUInt32LE(8);
+    const header = JSON.parse(buf.toString("utf8", 12, 12 + headerLen));
+
+    const links = [];
+    let off = 12 + headerLen;
+    for (let s = 0; s < header.ids.length; s++) {
+      const levels = [];
+      const top = buf.readUInt8(off++);
+      for (let l = 0; l <= top; l++) {
+        const count = buf.readUInt16LE(off);
+        off += 2;
+        const list = new Array(count);
+        for (let i = 0; i < count; i++) {
+          list[i] = buf.readUInt32LE(off);
+          off += 4;
+        }
+        levels.push(list);
+      }
+      links.push(levels);
+    }
+
+    const vecs = [];
+    const norms = [];
+    const missing = [];
+    for (const id of header.ids) {
+      const vec = getVector(id);
+      const usable = vec && vec.length === header.dim;
+      // Keep a placeholder so the graph stays routable until the id is removed
+      vecs.push(usable ? vec : new Float64Array(header.dim));
+      norms.push(usable ? vectorNorm(vec) : 0);
+      if (!usable) missing.push(id);
+    }
+
+    const index = createHnswIndex({
+      dim: header.dim,
+      M: header.M,
+      efConstruction: header.efConstruction,
+      efSearch: efSearch || header.efSearch,
+      snapshot: { ids: header.ids, vecs, norms, links, entry: header.entry, maxLevel: header.maxLevel },
+    });
+    for (const id of missing) index.remove(id);
+    return { ok: true, index, meta: header.meta || {}, missing: missing.length };
+  } catch (err) {
+    return { ok: false, error: `corrupt_snapshot: ${err.message}` };
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * Hybrid Retrieval — BM25 + vector search with reciprocal-rank fusion
+ *
+ * Ranks DTUs for a query from two sources and fuses them:
+ *   - lexical  — BM25 over title/human/core/tags (lexical-index.js)
+ *   - semantic — embedding similarity (embeddings.js), when the model is up
+ *
+ * Fusion is reciprocal-rank fusion: each source contributes
+ * weight / (RRF_K + rank), so neither source's raw scores need calibrating
+ * against the other. Weights are per lens — legal or medical queries lean on
+ * exact terms, creative ones on meaning. When the embedding model is down the
+ * lexical ranking is used on its own.
+ *
+ * The fused head can be reordered by an optional reranker: a cross-encoder
+ * service (TEI-compatible /rerank) or the utility brain scoring passages.
+ * Reranking failures keep the fused order.
+ *
+ * Integrates with:
+ *   - chat-context-pipeline.js (Source B keyword component)
+ *   - token-budget-assembler.js (consumed as a ranked source)
+ *   - server.js buildBrainContext (replaces the Jaccard fallback)
+ */
+
+import { semanticSearch, isEmbeddingAvailable } from "../embeddings.js";
+import { generateWithBrain } from "./brain-backends.js";
+import { createLexicalIndex, lexicalDocument } from "./lexical-index.js";
+
+// ── Configuration ───────────────────────────────────────────────────────────
+
+/** Rank offset in reciprocal-rank fusion; 60 is the usual choice. */
+export const RRF_K = 60;
+
+/** Each source ranks this many times topK before fusion. */
+const POOL_FACTOR = 4;
+const RERANK_TOP_N = 20;
+const RERANK_SNIPPET_CHARS = 400;
+const RERANK_TIMEOUT_MS = 8000;
+/** Minimum interval between re-index sweeps triggered by searches. */
+const SYNC_INTERVAL_MS = 30_000;
+
+/**
+ * Source weights per lens. Lenses not listed use `default`.
+ * Domains full of identifiers (codes, citations, drug names) favour lexical.
+ */
+export const DEFAULT_LENS_WEIGHTS = Object.freeze({
+  default: { lexical: 1.0, semantic: 1.0 },
+  legal: { lexical: 1.5, semantic: 0.8 },
+  healthcare: { lexical: 1.4, semantic: 0.9 },
+  medical: { lexical: 1.4, semantic: 0.9 },
+  chemistry: { lexical: 1.3, semantic: 0.9 },
+  code: { lexical: 1.4, semantic: 0.9 },
+  manufacturing: { lexical: 1.3, semantic: 0.9 },
+  accounting: { lexical: 1.3, semantic: 0.9 },
+  finance: { lexical: 1.2, semantic: 1.0 },
+  philosophy: { lexical: 0.7, semantic: 1.3 },
+  art: { lexical: 0.7, semantic: 1.3 },
+  music: { lexical: 0.7, semantic: 1.3 },
+  chat: { lexical: 0.9, semantic: 1.1 },
+});
+
+const state = {
+  /** @type {ReturnType<typeof createLexicalIndex>|null} */
+  index: null,
+  /** @type {((query: string, docs: { id: string, text: string }[]) => Promise<number[]|null>)|null} */
+  reranker: null,
+  rerankerName: null,
+  lensWeights: { ...DEFAULT_LENS_WEIGHTS },
+  lastSyncAt: 0,
+  log: null,
+  metrics: { queries: 0, lexicalOnly: 0, fused: 0, reranked: 0, rerankFailures: 0 },
+};
+
+// ── Fusion ──────────────────────────────────────────────────────────────────
+
+/**
+ * Reciprocal-rank fusion of several rankings.
+ *
+ * @param {Object<string, { id: string }[]>} rankings - Source name → results, best first
+ * @param {{ weights?: Object<string, number>, k?: number }} [opts]
+ * @returns {{ id: string, score: number, ranks: Object<string, number> }[]}
+ */
+export function reciprocalRankFusion(rankings, { weights = {}, k = RRF_K } = {}) {
+  const fused = new Map();
+  for (const [source, results] of Object.entries(rankings)) {
+    const weight = weights[source] ?? 1;
+    if (!weight || !Array.isArray(results)) continue;
+    results.forEach((r, i) => {
+      let entry = fused.get(r.id);
+      if (!entry) {
+        entry = { id: r.id, score: 0, ranks: {} };
+        fused.set(r.id, entry);
+      }
+      if (entry.ranks[source] !== undefined) return;
+      entry.ranks[source] = i + 1;
+      entry.score += weight / (k + i + 1);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Source weights for a lens.
+ * @param {string|null} lens
+ * @returns {{ lexical: number, semantic: number }}
+ */
+export function getLensWeights(lens) {
+  const key = String(lens || "").toLowerCase();
+  return state.lensWeights[key] || state.lensWeights.default;
+}
+
+/**
+ * Override the source weights for a lens (or "default").
+ * @param {string} lens
+ * @param {{ lexical?: number, semantic?: number }} weights
+ * @returns {{ ok: boolean, weights?: { lexical: number, semantic: number }, error?: string }}
+ */
+export function setLensWeights(lens, weights = {}) {
+  const key = String(lens || "").toLowerCase();
+  if (!key) return { ok: false, error: "lens_required" };
+  const next = { ...getLensWeights(key) };
+  for (const source of ["lexical", "semantic"]) {
+    if (weights[source] === undefined) continue;
+    const w = Number(weights[source]);
+    if (!Number.isFinite(w) || w < 0) return { ok: false, error: `invalid_weight: ${source}` };
+    next[source] = w;
+  }
+  state.lensWeights[key] = next;
+  return { ok: true, weights: next };
+}
+
+// ── Rerankers ───────────────────────────────────────────────────────────────
+
+/**
+ * Reranker backed by a cross-encoder service speaking the text-embeddings-inference
+ * /rerank API: POST { query, texts } → [{ index, score }].
+ *
+ * @param {{ url: string, fetchImpl?: Function, timeout?: number }} opts
+ * @returns {(query: string, docs: { id: string, text: string }[]) => Promise<number[]|null>}
+ */
+export function createCrossEncoderReranker({ url, fetchImpl = globalThis.fetch, timeout = RERANK_TIMEOUT_MS }) {
+  const endpoint = /\/rerank\/?$/.test(url) ? url : `${String(url).replace(/\/+$/, "")}/rerank`;
+  return async (query, docs) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const res = await fetchImpl(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query, texts: docs.map((d) => d.text), truncate: true }),
+        signal: controller.signal,
+      });
+      if (!res.ok) return null;
+      const data = await res.json();
+      const scores = new Array(docs.length).fill(null);
+      for (const item of Array.isArray(data) ? data : data?.results || []) {
+        if (Number.isInteger(item.index) && item.index < docs.length) scores[item.index] = Number(item.score);
+      }
+      return scores.every((s) => Number.isFinite(s)) ? scores : null;
+    } catch {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Reranker that asks a brain to score each passage 0–10 for the query.
+ *
+ * @param {{ brain?: string, timeout?: number }} [opts]
+ * @returns {(query: string, docs: { id: string, text: string }[]) => Promise<number[]|null>}
+ */
+export function createBrainReranker({ brain = "utility", timeout = RERANK_TIMEOUT_MS } = {}) {
+  return async (query, docs) => {
+    const passages = docs.map((d, i) => `[${i + 1}] ${d.text.replace(/\s+/g, " ")}`).join("\n");
+    const prompt = `Rate how relevant each passage is to the query, from 0 (unrelated) to 10 (answers it directly).
+
+Query: "${String(query).slice(0, 500)}"
+
+Passages:
+${passages}
+
+Reply with a JSON object: {"scores": [one number per passage, in order]}`;
+
+    const result = await generateWithBrain(brain, {
+      prompt, json: true, temperature: 0, maxTokens: 20 + docs.length * 6, timeout,
+    });
+    if (!result.ok) return null;
+    try {
+      const match = String(result.content || "").match(/\{[\s\S]*\}/);
+      const scores = match ? JSON.parse(match[0]).scores : null;
+      if (!Array.isArray(scores) || scores.length !== docs.length) return null;
+      const numbers = scores.map(Number);
+      return numbers.every(Number.isFinite) ? numbers : null;
+    } catch {
+      return null;
+    }
+  };
+}
+
+function rerankText(dtu) {
+  const doc = lexicalDocument(dtu);
+  return `${doc.title}: ${doc.human || doc.core}`.slice(0, RERANK_SNIPPET_CHARS);
+}
+
+/**
+ * Reorder the head of a fused ranking with a reranker. The rest keeps its order.
+ *
+ * @param {string} query
+ * @param {{ id: string }[]} ranked
+ * @param {Map<string, Object>} byId - DTU lookup
+ * @param {Function} reranker
+ * @param {number} [topN]
+ * @returns {Promise<{ ok: boolean, results: Object[] }>}
+ */
+export async function rerankResults(query, ranked, byId, reranker, topN = RERANK_TOP_N) {
+  const head = ranked.slice(0, topN);
+  if (head.length < 2) return { ok: true, results: ranked };
+  let scores = null;
+  try {
+    scores = await reranker(query, head.map((r) => ({ id: r.id, text: rerankText(byId.get(r.id) || r) })));
+  } catch {
+    scores = null;
+  }
+  if (!scores) return { ok: false, results: ranked };
+  const reordered = head
+    .map((r, i) => ({ ...r, rerankScore: scores[i], fusedRank: i }))
+    .sort((a, b) => (b.rerankScore - a.rerankScore) || (a.fusedRank - b.fusedRank))
+    .map(({ fusedRank: _fusedRank, ...r }) => r);
+  return { ok: true, results: [...reordered, ...ranked.slice(topN)] };
+}
+
+// ── Index lifecycle ─────────────────────────────────────────────────────────
+
+/**
+ * Initialise hybrid retrieval: open the lexical index and pick a reranker.
+ *
+ * Reranker selection: an explicit `reranker` function, else RERANKER=cross-encoder
+ * (with RERANKER_URL) or RERANKER=utility; anything else disables reranking.
+ *
+ * @param {{ db?: Object|null, dtus?: Map<string, Object>|Iterable<Object>|null, structuredLog?: Function, reranker?: Function|null }} [opts]
+ * @returns {{ ok: boolean, backend: string, indexed: number, removed: number, reranker: string|null }}
+ */
+export function initHybridRetrieval({ db = null, dtus = null, structuredLog = () => {}, reranker = null } = {}) {
+  state.log = structuredLog;
+  state.index = createLexicalIndex({ db });
+  state.lastSyncAt = Date.now();
+
+  if (reranker) {
+    state.reranker = reranker;
+    state.rerankerName = "custom";
+  } else if (process.env.RERANKER === "cross-encoder" && process.env.RERANKER_URL) {
+    state.reranker = createCrossEncoderReranker({ url: process.env.RERANKER_URL });
+    state.rerankerName = "cross-encoder";
+  } else if (process.env.RERANKER === "utility") {
+    state.reranker = createBrainReranker({ brain: "utility" });
+    state.rerankerName = "utility";
+  } else {
+    state.reranker = null;
+    state.rerankerName = null;
+  }
+
+  const { indexed, removed } = dtus ? state.index.sync(dtus, { prune: true }) : { indexed: 0, removed: 0 };
+  structuredLog("info", "hybrid_retrieval_ready", {
+    backend: state.index.backend, size: state.index.size, indexed, removed, reranker: state.rerankerName,
+  });
+  return { ok: true, backend: state.index.backend, indexed, removed, reranker: state.rerankerName };
+}
+
+/**
+ * Index a created or updated DTU for keyword search.
+ * @param {Object} dtu
+ */
+export function indexDTUForRetrieval(dtu) {
+  if (!state.index) return;
+  try {
+    state.index.upsert(dtu);
+  } catch (e) {
+    state.log?.("warn", "lexical_index_failed", { id: dtu?.id, error: String(e?.message || e) });
+  }
+}
+
+/**
+ * Drop a DTU from keyword search.
+ * @param {string} dtuId
+ */
+export function removeDTUFromRetrieval(dtuId) {
+  if (!state.index) return;
+  try {
+    state.index.remove(dtuId);
+  } catch (e) {
+    state.log?.("warn", "lexical_index_failed", { id: dtuId, error: String(e?.message || e) });
+  }
+}
+
+// DTUs are also written straight into STATE.dtus in places; a throttled sweep
+// over the search candidates picks those up (unchanged fingerprints are skipped).
+function maybeSync(candidates) {
+  if (Date.now() - state.lastSyncAt < SYNC_INTERVAL_MS) return;
+  state.lastSyncAt = Date.now();
+  try {
+    state.index.sync(candidates);
+  } catch (e) {
+    state.log?.("warn", "lexical_sync_failed", { error: String(e?.message || e) });
+  }
+}
+
+// ── Search ──────────────────────────────────────────────────────────────────
+
+/**
+ * Hybrid search over candidate DTUs.
+ *
+ * @param {string} query
+ * @param {Object[]} candidates - DTU objects ({ id, title, tier, tags, human, core, ... })
+ * @param {Object} [opts]
+ * @param {string|null} [opts.lens] - Selects source weights and, with lensFilter, restricts candidates
+ * @param {boolean} [opts.lensFilter=true] - Keep only candidates tagged with the lens (HYPER/MEGA always pass)
+ * @param {number} [opts.topK=10]
+ * @param {boolean} [opts.includeHighTier=true]
+ * @param {{ lexical?: number, semantic?: number }} [opts.weights] - Overrides the lens weights
+ * @param {boolean} [opts.rerank=true] - Apply the configured reranker, if any
+ * @returns {Promise<{ id: string, score: number, ranks: Object<string, number>, rerankScore?: number }[]>}
+ */
+export async function hybridSearch(query, candidates, { lens = null, lensFilter = true, topK = 10, includeHighTier = true, weights = null, rerank = true } = {}) {
+  if (!state.index || !query || !Array.isArray(candidates) || candidates.length === 0) return [];
+  state.metrics.queries++;
+  maybeSync(candidates);
+
+  let pool = candidates;
+  if (lens && lensFilter) {
+    const lensKey = String(lens).toLowerCase();
+    pool = pool.filter(d => {
+      if (includeHighTier && (d.tier === "hyper" || d.tier === "mega")) return true;
+      return Array.isArray(d.tags) && d.tags.some(t => String(t).toLowerCase() === lensKey);
+    });
+  }
+  const byId = new Map(pool.map(d => [d.id, d]));
+  const poolK = Math.max(topK * POOL_FACTOR, RERANK_TOP_N);
+
+  const lexical = state.index.search(query, poolK, { filter: (id) => byId.has(id) });
+  let semantic = [];
+  if (isEmbeddingAvailable()) {
+    try {
+      semantic = await semanticSearch(query, pool, { topK: poolK, includeHighTier });
+    } catch (e) {
+      state.log?.("warn", "hybrid_semantic_failed", { error: String(e?.message || e) });
+    }
+  }
+  if (semantic.length > 0) state.metrics.fused++;
+  else state.metrics.lexicalOnly++;
+
+  const sourceWeights = { ...getLensWeights(lens), ...(weights || {}) };
+  let results = reciprocalRankFusion({ lexical, semantic }, { weights: sourceWeights });
+
+  if (rerank && state.reranker && results.length > 1) {
+    const reranked = await rerankResults(query, results, byId, state.reranker);
+    if (reranked.ok) state.metrics.reranked++;
+    else state.metrics.rerankFailures++;
+    results = reranked.results;
+  }
+
+  return results.slice(0, topK);
+}
+
+/**
+ * Status for /api/embeddings-style endpoints.
+ * @returns {{ ok: boolean, ready: boolean, index: Object|null, reranker: string|null, lensWeights: Object, metrics: Object }}
+ */
+export function getHybridStatus() {
+  return {
+    ok: true,
+    ready: Boolean(state.index),
+    index: state.index ? state.index.stats() : null,
+    reranker: state.rerankerName,
+    lensWeights: { ...state.lensWeights },
+    metrics: { ...state.metrics },
+  };
+}
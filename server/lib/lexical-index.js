@@ -0,0 +1,380 @@
+/**
+ * Lexical Index — BM25 keyword search over DTU human/core layers
+ *
+ * Embeddings blur exact terms: part numbers, statute citations and drug
+ * names rarely survive the trip through a vector. This index ranks DTUs by
+ * BM25 over four fields — title, human layer, core layer and tags — so those
+ * terms can be matched literally and fused with vector results
+ * (hybrid-retrieval.js).
+ *
+ * Two backends with the same ranking:
+ *   - fts5   — SQLite FTS5 tables from migration 046; persists across restarts
+ *   - memory — an inverted index in this process, used without a database
+ *
+ * Text is tokenized here rather than by SQLite so both backends see the
+ * same terms. Compound identifiers ("XJ-2200-B", "U.S.C.") are indexed both
+ * as their parts and as one joined term, which lets a query for the whole
+ * identifier outrank documents that only share a fragment of it.
+ */
+
+// ── Tokenization ────────────────────────────────────────────────────────────
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from",
+  "had", "has", "have", "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "no",
+  "not", "of", "on", "or", "our", "so", "such", "than", "that", "the", "their", "them", "then",
+  "there", "these", "they", "this", "to", "was", "we", "were", "what", "when", "where", "which",
+  "who", "why", "will", "with", "you", "your",
+]);
+
+// A word, optionally joined to more words by - . / _ (part numbers, citations, versions)
+const WORD_RE = /[\p{L}\p{N}]+(?:[-./_][\p{L}\p{N}]+)*/gu;
+const PART_RE = /[\p{L}\p{N}]+/gu;
+const MAX_TERMS_PER_FIELD = 4000;
+
+function keepTerm(term) {
+  if (STOPWORDS.has(term)) return false;
+  return term.length >= 2 || /\p{N}/u.test(term);
+}
+
+/**
+ * Split text into index terms: lowercased words without stopwords, plus the
+ * joined form of every compound identifier.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const [word] of String(text || "").toLowerCase().matchAll(WORD_RE)) {
+    const parts = word.match(PART_RE) || [];
+    for (const part of parts) {
+      if (keepTerm(part)) terms.push(part);
+    }
+    if (parts.length > 1) terms.push(parts.join(""));
+    if (terms.length >= MAX_TERMS_PER_FIELD) break;
+  }
+  return terms;
+}
+
+// ── Documents ───────────────────────────────────────────────────────────────
+
+/** Indexed fields, in FTS5 column order. */
+export const LEXICAL_FIELDS = Object.freeze(["title", "human", "core", "tags"]);
+
+/** BM25 column weights; the title carries the most signal per token. */
+export const LEXICAL_FIELD_WEIGHTS = Object.freeze({ title: 3.0, human: 1.5, core: 1.0, tags: 2.0 });
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function textList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(textList);
+  if (typeof value === "object") return [value.text, value.title, value.statement].filter(Boolean).map(String);
+  return [String(value)];
+}
+
+/**
+ * The text of each indexed field for a DTU.
+ *
+ * @param {Object} dtu
+ * @returns {{ title: string, human: string, core: string, tags: string }}
+ */
+export function lexicalDocument(dtu) {
+  const human = dtu.human || {};
+  const core = dtu.core || {};
+  const humanParts = [...textList(human.summary), ...textList(human.bullets), ...textList(human.examples)];
+  if (humanParts.length === 0) humanParts.push(...textList(dtu.cretiHuman || dtu.creti));
+  return {
+    title: String(dtu.title || ""),
+    human: humanParts.join("\n"),
+    core: [
+      ...textList(core.definitions), ...textList(core.invariants), ...textList(core.claims),
+      ...textList(core.examples), ...textList(core.formula),
+    ].join("\n"),
+    tags: Array.isArray(dtu.tags) ? dtu.tags.join(" ") : "",
+  };
+}
+
+function fieldLength(value) {
+  if (!value) return 0;
+  if (Array.isArray(value)) return value.reduce((n, v) => n + fieldLength(v), 0);
+  return String(typeof value === "object" ? JSON.stringify(value) : value).length;
+}
+
+/**
+ * Cheap change marker for a DTU: its update time and hash, plus the sizes of
+ * the indexed layers for DTUs that are edited in place.
+ *
+ * @param {Object} dtu
+ * @returns {string}
+ */
+export function documentFingerprint(dtu) {
+  const human = dtu.human || {};
+  const core = dtu.core || {};
+  return [
+    dtu.updatedAt || dtu.updated_at || "",
+    dtu.hash || "",
+    String(dtu.title || "").length,
+    fieldLength(human.summary) + fieldLength(human.bullets) + fieldLength(dtu.cretiHuman),
+    fieldLength(core.definitions) + fieldLength(core.invariants) + fieldLength(core.claims),
+    Array.isArray(dtu.tags) ? dtu.tags.length : 0,
+  ].join("|");
+}
+
+function tokenizeDocument(dtu) {
+  const doc = lexicalDocument(dtu);
+  return LEXICAL_FIELDS.map((field) => tokenize(doc[field]));
+}
+
+// FTS5 MATCH expression: every term quoted, OR-ed. Terms are alphanumeric,
+// so the quotes cannot be escaped.
+function ftsMatch(terms) {
+  return [...new Set(terms)].map((t) => `"${t}"`).join(" OR ");
+}
+
+// ── Memory backend ──────────────────────────────────────────────────────────
+
+function createMemoryBackend(weights) {
+  /** @type {Map<string, { fingerprint: string, length: number, tf: Map<string, number[]> }>} */
+  const docs = new Map();
+  /** @type {Map<string, Set<string>>} */
+  const postings = new Map();
+  let totalLength = 0;
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return false;
+    for (const term of doc.tf.keys()) {
+      const set = postings.get(term);
+      set.delete(id);
+      if (set.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+    return true;
+  }
+
+  return {
+    name: "memory",
+    size: () => docs.size,
+    ids: () => [...docs.keys()],
+    batch: (fn) => fn(),
+    fingerprint: (id) => docs.get(id)?.fingerprint ?? null,
+
+    put(id, fingerprint, fields) {
+      remove(id);
+      const tf = new Map();
+      let length = 0;
+      fields.forEach((terms, col) => {
+        length += terms.length;
+        for (const term of terms) {
+          let counts = tf.get(term);
+          if (!counts) {
+            counts = new Array(fields.length).fill(0);
+            tf.set(term, counts);
+          }
+          counts[col]++;
+        }
+      });
+      for (const term of tf.keys()) {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(id);
+      }
+      docs.set(id, { fingerprint, length, tf });
+      totalLength += length;
+    },
+
+    remove,
+
+    // Same formula as FTS5's bm25(): column weights scale term frequency,
+    // document length is the whole row.
+    *rank(terms) {
+      const n = docs.size;
+      if (n === 0) return;
+      const avgdl = totalLength / n || 1;
+      const scores = new Map();
+      for (const term of new Set(terms)) {
+        const hits = postings.get(term);
+        if (!hits) continue;
+        let idf = Math.log((n - hits.size + 0.5) / (hits.size + 0.5));
+        if (idf <= 0) idf = 1e-6;
+        for (const id of hits) {
+          const doc = docs.get(id);
+          const counts = doc.tf.get(term);
+          let w = 0;
+          for (let c = 0; c < counts.length; c++) w += weights[c] * counts[c];
+          const s = idf * (w * (BM25_K1 + 1)) / (w + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgdl));
+          scores.set(id, (scores.get(id) || 0) + s);
+        }
+      }
+      yield* [...scores].sort((a, b) => b[1] - a[1]).map(([id, score]) => ({ id, score }));
+    },
+  };
+}
+
+// ── FTS5 backend ────────────────────────────────────────────────────────────
+
+function createFtsBackend(db, weights) {
+  const stmts = {
+    count: db.prepare("SELECT COUNT(*) AS n FROM dtu_lexical_docs"),
+    ids: db.prepare("SELECT dtu_id FROM dtu_lexical_docs").pluck(),
+    doc: db.prepare("SELECT fts_rowid, fingerprint FROM dtu_lexical_docs WHERE dtu_id = ?"),
+    deleteFts: db.prepare("DELETE FROM dtu_lexical_fts WHERE rowid = ?"),
+    deleteDoc: db.prepare("DELETE FROM dtu_lexical_docs WHERE dtu_id = ?"),
+    insertFts: db.prepare("INSERT INTO dtu_lexical_fts (title, human, core, tags) VALUES (?, ?, ?, ?)"),
+    upsertDoc: db.prepare(`
+      INSERT INTO dtu_lexical_docs (dtu_id, fts_rowid, fingerprint, indexed_at) VALUES (?, ?, ?, datetime('now'))
+      ON CONFLICT(dtu_id) DO UPDATE SET fts_rowid = excluded.fts_rowid, fingerprint = excluded.fingerprint, indexed_at = excluded.indexed_at
+    `),
+    search: db.prepare(`
+      SELECT d.dtu_id AS id, -bm25(dtu_lexical_fts, ${weights.join(", ")}) AS score
+      FROM dtu_lexical_fts JOIN dtu_lexical_docs d ON d.fts_rowid = dtu_lexical_fts.rowid
+      WHERE dtu_lexical_fts MATCH ?
+      ORDER BY score DESC
+    `),
+  };
+
+  const remove = db.transaction((id) => {
+    const row = stmts.doc.get(id);
+    if (!row) return false;
+    stmts.deleteFts.run(row.fts_rowid);
+    stmts.deleteDoc.run(id);
+    return true;
+  });
+
+  const put = db.transaction((id, fingerprint, fields) => {
+    const row = stmts.doc.get(id);
+    if (row) stmts.deleteFts.run(row.fts_rowid);
+    const { lastInsertRowid } = stmts.insertFts.run(...fields.map((terms) => terms.join(" ")));
+    stmts.upsertDoc.run(id, lastInsertRowid, fingerprint);
+  });
+
+  return {
+    name: "fts5",
+    size: () => stmts.count.get().n,
+    ids: () => stmts.ids.all(),
+    batch: (fn) => db.transaction(fn)(),
+    fingerprint: (id) => stmts.doc.get(id)?.fingerprint ?? null,
+    put,
+    remove,
+    *rank(terms) {
+      const match = ftsMatch(terms);
+      if (match) yield* stmts.search.iterate(match);
+    },
+  };
+}
+
+function hasFtsTables(db) {
+  try {
+    const rows = db.prepare(
+      "SELECT name FROM sqlite_master WHERE name IN ('dtu_lexical_fts', 'dtu_lexical_docs')"
+    ).all();
+    return rows.length === 2;
+  } catch {
+    return false;
+  }
+}
+
+// ── Index ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create a BM25 index over DTUs.
+ *
+ * Uses the FTS5 tables from migration 046 when a database with those tables
+ * is given, and an in-memory inverted index otherwise.
+ *
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.db] - better-sqlite3 handle
+ * @param {Partial<typeof LEXICAL_FIELD_WEIGHTS>} [opts.fieldWeights]
+ * @returns {{ ok: boolean, backend: string, size: number, has: Function, upsert: Function, remove: Function, sync: Function, search: Function, stats: Function }}
+ */
+export function createLexicalIndex({ db = null, fieldWeights = {} } = {}) {
+  const weightsByField = { ...LEXICAL_FIELD_WEIGHTS, ...fieldWeights };
+  const weights = LEXICAL_FIELDS.map((f) => Number(weightsByField[f]) || 0);
+  const backend = db && hasFtsTables(db) ? createFtsBackend(db, weights) : createMemoryBackend(weights);
+  const metrics = { upserts: 0, removals: 0, queries: 0 };
+
+  /**
+   * Index or re-index a DTU. Skipped when its fingerprint has not changed.
+   * @param {Object} dtu
+   * @returns {boolean} Whether the DTU was (re)indexed
+   */
+  function upsert(dtu) {
+    if (!dtu?.id) return false;
+    const fingerprint = documentFingerprint(dtu);
+    if (backend.fingerprint(dtu.id) === fingerprint) return false;
+    backend.put(dtu.id, fingerprint, tokenizeDocument(dtu));
+    metrics.upserts++;
+    return true;
+  }
+
+  return {
+    ok: true,
+    backend: backend.name,
+    get size() { return backend.size(); },
+    has: (id) => backend.fingerprint(id) !== null,
+    upsert,
+
+    remove(id) {
+      const removed = backend.remove(id);
+      if (removed) metrics.removals++;
+      return removed;
+    },
+
+    /**
+     * Bring the index in line with a DTU collection: index new and changed
+     * DTUs and, when `prune` is set, drop ids the collection no longer has.
+     *
+     * @param {Iterable<Object>|Map<string, Object>} dtus
+     * @param {{ prune?: boolean }} [opts]
+     * @returns {{ indexed: number, removed: number }}
+     */
+    sync(dtus, { prune = false } = {}) {
+      // One transaction for the sweep; per-row commits make a first build crawl
+      return backend.batch(() => {
+        const seen = new Set();
+        let indexed = 0;
+        for (const dtu of dtus instanceof Map ? dtus.values() : dtus) {
+          if (!dtu?.id) continue;
+          seen.add(dtu.id);
+          if (upsert(dtu)) indexed++;
+        }
+        let removed = 0;
+        if (prune) {
+          for (const id of backend.ids()) {
+            if (!seen.has(id) && backend.remove(id)) removed++;
+          }
+          metrics.removals += removed;
+        }
+        return { indexed, removed };
+      });
+    },
+
+    /**
+     * Rank DTUs by BM25 for a query.
+     *
+     * @param {string} query
+     * @param {number} [topK=10]
+     * @param {{ filter?: (id: string) => boolean }} [opts] - Only ids the filter accepts are returned
+     * @returns {{ id: string, score: number }[]}
+     */
+    search(query, topK = 10, { filter = null } = {}) {
+      const terms = tokenize(query);
+      if (terms.length === 0 || topK <= 0) return [];
+      metrics.queries++;
+      const results = [];
+      for (const hit of backend.rank(terms)) {
+        if (filter && !filter(hit.id)) continue;
+        results.push({ id: hit.id, score: hit.score });
+        if (results.length >= topK) break;
+      }
+      return results;
+    },
+
+    stats() {
+      return { backend: backend.name, size: backend.size(), fieldWeights: weightsByField, ...metrics };
+    },
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * LLM Cassettes — Record/Replay for Brain Calls
+ *
+ * A cassette is a fixture file of brain responses keyed by brain, model and a
+ * hash of the normalized request. Installed as the brain transport
+ * (brain-backends.js setBrainTransport), it makes every callBrain /
+ * generateWithBrain call deterministic:
+ *
+ *   record → call the real backend, store each successful response
+ *   replay → answer from the cassette; a miss goes to the backend and is
+ *            recorded so the next run replays it
+ *   strict → answer from the cassette only; a miss is logged, collected in
+ *            getMisses() and returned as { ok: false, error: "cassette_miss" }
+ *
+ * Normalization collapses whitespace and masks values that change between
+ * runs (ISO timestamps, epoch millis, UUIDs, generated ids), so a prompt that
+ * embeds "now" still hits. Sampling options (temperature, maxTokens) are not
+ * part of the key. A prompt sent several times replays its recorded
+ * responses in order, wrapping around.
+ *
+ * File format (<dir>/<name>.json, keys sorted for stable diffs):
+ *   { version: 1, entries: { <key>: { brain, model, prompt, responses: [{ content, tokens }] } } }
+ */
+
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+export const CASSETTE_MODES = Object.freeze({
+  RECORD: "record",
+  REPLAY: "replay",
+  STRICT: "strict",
+});
+
+const CASSETTE_VERSION = 1;
+const PROMPT_PREVIEW_CHARS = 240;
+
+// ── Normalization ────────────────────────────────────────────────────────────
+
+const VOLATILE = [
+  [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, "<time>"],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "<uuid>"],
+  [/\b[a-z]{1,12}_[0-9a-z]{6,}_[0-9a-z]{4,}\b/g, "<id>"],  // id-factory style: prefix_time36_rand
+  [/\b1\d{12}\b/g, "<epoch>"],
+  [/\b[0-9a-f]{24,}\b/gi, "<hex>"],
+];
+
+/**
+ * The text a request sends to the model: system, prompt and messages.
+ * @param {Object} req - Unified brain request
+ * @returns {string}
+ */
+export function requestText(req = {}) {
+  const parts = [];
+  if (req.system) parts.push(`system: ${req.system}`);
+  if (Array.isArray(req.messages) && req.messages.length > 0) {
+    for (const m of req.messages) parts.push(`${m.role}: ${m.content}`);
+  } else {
+    parts.push(String(req.prompt ?? ""));
+  }
+  return parts.join("\n");
+}
+
+/**
+ * Normalize prompt text for keying: line endings, whitespace, volatile values.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizePrompt(text) {
+  let out = String(text ?? "").replace(/\r\n?/g, "\n");
+  for (const [pattern, mask] of VOLATILE) out = out.replace(pattern, mask);
+  return out.replace(/[ \t]+/g, " ").replace(/\s*\n\s*/g, "\n").trim();
+}
+
+/**
+ * Cassette key for a brain call.
+ * @param {{ brain: string|null, model: string, req: Object }} call - As passed to transports
+ * @param {(text: string) => string} [normalize] - Extra normalization after normalizePrompt
+ * @returns {string} Hex SHA-256
+ */
+export function cassetteKey(call, normalize) {
+  let text = normalizePrompt(requestText(call.req));
+  if (normalize) text = normalize(text);
+  const stop = call.req?.stop ? [].concat(call.req.stop) : [];
+  const material = JSON.stringify([call.brain || "", call.model || "", call.req?.json ? 1 : 0, stop, text]);
+  return createHash("sha256").update(material, "utf8").digest("hex");
+}
+
+// ── Cassette ─────────────────────────────────────────────────────────────────
+
+function readCassette(file) {
+  if (!fs.existsSync(file)) return {};
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (data.version !== CASSETTE_VERSION) {
+    throw new Error(`cassette ${file}: unsupported version ${data.version}`);
+  }
+  return data.entries || {};
+}
+
+/**
+ * Create a cassette transport.
+ *
+ * @param {Object} opts
+ * @param {string} opts.dir - Directory holding cassette files
+ * @param {string} [opts.name="default"] - Cassette file name (without .json)
+ * @param {"record"|"replay"|"strict"} [opts.mode="replay"]
+ * @param {(text: string) => string} [opts.normalize] - Extra prompt normalization
+ * @param {boolean} [opts.autosave=true] - Write the file after every new recording
+ * @returns {{ ok: boolean, error?: string, name?: string, mode?: string, file?: string, generate?: Function, probe?: Function, save?: Function, getMisses?: Function, assertNoMisses?: Function, getStats?: Function }}
+ */
+export function createCassette(opts = {}) {
+  const mode = opts.mode || CASSETTE_MODES.REPLAY;
+  if (!Object.values(CASSETTE_MODES).includes(mode)) return { ok: false, error: `invalid_cassette_mode: ${mode}` };
+  if (!opts.dir) return { ok: false, error: "cassette_dir_required" };
+
+  const file = path.join(opts.dir, `${opts.name || "default"}.json`);
+  let entries;
+  try {
+    entries = mode === CASSETTE_MODES.RECORD ? {} : readCassette(file);
+  } catch (err) {
+    return { ok: false, error: `cassette_unreadable: ${err.message}` };
+  }
+  const autosave = opts.autosave !== false;
+
+  const plays = new Map(); // key → times replayed this run
+  const misses = [];
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const sorted = {};
+    for (const key of Object.keys(entries).sort()) sorted[key] = entries[key];
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: CASSETTE_VERSION, entries: sorted }, null, 2) + "\n");
+    fs.renameSync(tmp, file);
+    return { ok: true, file, entries: Object.keys(sorted).length };
+  }
+
+  function record(key, call, out) {
+    const entry = entries[key] || (entries[key] = {
+      brain: call.brain,
+      model: call.model,
+      prompt: normalizePrompt(requestText(call.req)).slice(0, PROMPT_PREVIEW_CHARS),
+      responses: [],
+    });
+    entry.responses.push({ content: out.content ?? "", tokens: out.tokens || 0 });
+    stats.recorded++;
+    if (autosave) save();
+  }
+
+  return {
+    ok: true,
+    name: "cassette",
+    mode,
+    file,
+
+    async generate(call, live) {
+      const key = cassetteKey(call, opts.normalize);
+      const entry = entries[key];
+
+      if (entry && mode !== CASSETTE_MODES.RECORD) {
+        const n = plays.get(key) || 0;
+        plays.set(key, n + 1);
+        stats.hits++;
+        const { content, tokens } = entry.responses[n % entry.responses.length];
+        return { ok: true, content, tokens, elapsed: 0, cassette: key };
+      }
+
+      if (mode === CASSETTE_MODES.STRICT) {
+        const miss = { key, brain: call.brain, model: call.model, prompt: normalizePrompt(requestText(call.req)).slice(0, PROMPT_PREVIEW_CHARS) };
+        misses.push(miss);
+        stats.misses++;
+        console.error(`[llm-cassette] MISS in strict mode (${path.basename(file)}): ${miss.brain}/${miss.model} ${key.slice(0, 12)} — ${JSON.stringify(miss.prompt.slice(0, 120))}`);
+        return { ok: false, error: "cassette_miss", key };
+      }
+
+      stats.misses++;
+      const out = await live();
+      if (out?.ok) record(key, call, out);
+      return out;
+    },
+
+    // Recorded runs need the real backend; replays answer without one
+    probe(call, live) {
+      if (mode === CASSETTE_MODES.RECORD) return live();
+      return { ok: true, modelPresent: true, transport: "cassette" };
+    },
+
+    save,
+
+    getMisses() {
+      return misses.slice();
+    },
+
+    /**
+     * Throw if any strict-mode call missed the cassette.
+     */
+    assertNoMisses() {
+      if (misses.length === 0) return;
+      const lines = misses.map((m) => `  ${m.brain}/${m.model} ${m.key.slice(0, 12)}: ${m.prompt.slice(0, 120)}`);
+      throw new Error(`${misses.length} LLM cassette miss(es) in ${file}:\n${lines.join("\n")}`);
+    },
+
+    getStats() {
+      return { mode, file, entries: Object.keys(entries).length, ...stats };
+    },
+  };
+}
@@ -14,6 +14,12 @@
  *   - Configurable concurrency cap (defaults to 2)
  *   - Queue depth limit with rejection for low-priority overflow
  *   - Per-priority metrics (queued, inflight, completed, rejected, avg latency)
+ *   - Per-tenant quotas: a tenant may hold at most `share` of the concurrency
+ *     slots and `maxQueued` pending items, so one noisy tenant cannot starve
+ *     the others. Requests without a tenant are not limited.
+ *   - Cancellation: an AbortSignal passed to enqueue() removes a waiting
+ *     item from its bucket; in-flight calls receive the signal and are
+ *     expected to abort their own request (the slot frees when they settle)
  *   - Drain support for graceful shutdown
  */
 
@@ -26,6 +32,12 @@ export const PRIORITY = Object.freeze({
 
 const PRIORITY_LABELS = ["critical", "high", "normal", "low"];
 
+function abortError() {
+  const err = new Error("llm_request_aborted");
+  err.name = "AbortError";
+  return err;
+}
+
 /**
  * Create an LLM queue instance.
  *
@@ -33,36 +45,83 @@ const PRIORITY_LABELS = ["critical", "high", "normal", "low"];
  * @param {number} [opts.concurrency=2] - Max inflight LLM calls
  * @param {number} [opts.maxQueueDepth=200] - Max pending items; LOW priority rejected first
  * @param {Function} [opts.onReject] - Called when a request is rejected (priority, reason)
+ * @param {Function} [opts.tenantQuota] - tenantId → { share, maxQueued } | null (unlimited)
+ * @param {Function} [opts.resolveTenant] - Returns the calling tenant when enqueue() is not told
  * @returns {LLMQueue}
  */
 export function createLLMQueue(opts = {}) {
   const concurrency = opts.concurrency || parseInt(process.env.LLM_CONCURRENCY || "2", 10);
   const maxQueueDepth = opts.maxQueueDepth || 200;
   const onReject = opts.onReject || (() => {});
+  const tenantQuota = opts.tenantQuota || (() => null);
+  const resolveTenant = opts.resolveTenant || (() => null);
 
   // Priority buckets: array of arrays, index = priority level
   const buckets = [[], [], [], []];  // CRITICAL, HIGH, NORMAL, LOW
   let inflight = 0;
   let draining = false;
 
+  // tenantId → { inflight, queued, completed, rejected }
+  const tenants = new Map();
+
   const metrics = {
     enqueued:   [0, 0, 0, 0],
     completed:  [0, 0, 0, 0],
     rejected:   [0, 0, 0, 0],
+    aborted:    [0, 0, 0, 0],
     errors:     [0, 0, 0, 0],
     totalLatencyMs: [0, 0, 0, 0],
   };
 
+  function tenantStats(tenantId) {
+    let t = tenants.get(tenantId);
+    if (!t) {
+      t = { inflight: 0, queued: 0, completed: 0, rejected: 0 };
+      tenants.set(tenantId, t);
+    }
+    return t;
+  }
+
+  // Concurrency slots a tenant may hold at once (at least one)
+  function tenantSlots(tenantId) {
+    const quota = tenantQuota(tenantId);
+    if (!quota || !(quota.share > 0)) return Infinity;
+    return Math.max(1, Math.floor(quota.share * concurrency));
+  }
+
+  function underSlotLimit(item) {
+    if (item.tenantId === null) return true;
+    return tenantStats(item.tenantId).inflight < tenantSlots(item.tenantId);
+  }
+
+  // Bookkeeping for an item leaving a bucket without running
+  function dropped(item) {
+    if (item.tenantId !== null) {
+      const t = tenantStats(item.tenantId);
+      t.queued--;
+      t.rejected++;
+    }
+  }
+
+  function releaseTenantSlot(item) {
+    if (item.tenantId === null) return;
+    const t = tenantStats(item.tenantId);
+    t.inflight--;
+    t.completed++;
+  }
+
   function totalQueued() {
     return buckets[0].length + buckets[1].length + buckets[2].length + buckets[3].length;
   }
 
   /**
-   * Dequeue next item by priority order.
+   * Dequeue next item by priority order, skipping tenants already using
+   * their share of the slots.
    */
   function dequeue() {
     for (let p = 0; p < buckets.length; p++) {
-      if (buckets[p].length > 0) return buckets[p].shift();
+      const idx = buckets[p].findIndex(underSlotLimit);
+      if (idx !== -1) return buckets[p].splice(idx, 1)[0];
     }
     return null;
   }
@@ -76,18 +135,26 @@ export function createLLMQueue(opts = {}) {
       if (!item) break;
 
       inflight++;
+      if (item.tenantId !== null) {
+        const t = tenantStats(item.tenantId);
+        t.queued--;
+        t.inflight++;
+      }
       const start = Date.now();
+      item.detach();
 
       Promise.resolve()
-        .then(() => item.fn())
+        .then(() => item.fn({ signal: item.signal }))
         .then(result => {
           metrics.completed[item.priority]++;
           metrics.totalLatencyMs[item.priority] += Date.now() - start;
+          releaseTenantSlot(item);
           item.resolve(result);
         })
         .catch(err => {
           metrics.errors[item.priority]++;
           metrics.totalLatencyMs[item.priority] += Date.now() - start;
+          releaseTenantSlot(item);
           item.reject(err);
         })
         .finally(() => {
@@ -102,23 +169,46 @@ export function createLLMQueue(opts = {}) {
    *
    * @param {Function} fn - Async function that performs the LLM call
    * @param {number} [priority=PRIORITY.NORMAL] - Priority level
+   * @param {Object} [options]
+   * @param {string} [options.tenantId] - Tenant to charge (defaults to resolveTenant())
+   * @param {AbortSignal} [options.signal] - Cancels the call; fn receives it as { signal }
    * @returns {Promise<*>} Resolves with the LLM call result
    */
-  function enqueue(fn, priority = PRIORITY.NORMAL) {
+  function enqueue(fn, priority = PRIORITY.NORMAL, options = {}) {
     if (draining) {
       return Promise.reject(new Error("llm_queue_draining"));
     }
 
     const p = Math.max(0, Math.min(3, priority));
+    const tenantId = options.tenantId ?? resolveTenant() ?? null;
+    const signal = options.signal || null;
+
+    if (signal?.aborted) {
+      metrics.aborted[p]++;
+      return Promise.reject(abortError());
+    }
+
+    if (tenantId !== null) {
+      const quota = tenantQuota(tenantId);
+      const t = tenantStats(tenantId);
+      if (quota?.maxQueued > 0 && t.queued >= quota.maxQueued) {
+        metrics.rejected[p]++;
+        t.rejected++;
+        onReject(p, "tenant_quota");
+        return Promise.reject(new Error("llm_tenant_quota_exceeded"));
+      }
+    }
 
     // Check queue depth — shed LOW first, then NORMAL
     if (totalQueued() >= maxQueueDepth) {
       // Try shedding from lowest priority bucket
       for (let shed = 3; shed > p; shed--) {
         if (buckets[shed].length > 0) {
-          const dropped = buckets[shed].pop();
+          const shedItem = buckets[shed].pop();
           metrics.rejected[shed]++;
-          dropped.reject(new Error("llm_queue_shed"));
+          dropped(shedItem);
+          shedItem.detach();
+          shedItem.reject(new Error("llm_queue_shed"));
           onReject(shed, "queue_full_shed");
           break;
         }
@@ -132,9 +222,23 @@ export function createLLMQueue(opts = {}) {
     }
 
     return new Promise((resolve, reject) => {
-      const item = { fn, priority: p, resolve, reject, enqueuedAt: Date.now() };
+      const item = { fn, priority: p, tenantId, signal, resolve, reject, enqueuedAt: Date.now(), detach: () => {} };
+      if (signal) {
+        // Aborted while waiting: leave the bucket without ever taking a slot
+        const onAbort = () => {
+          const idx = buckets[p].indexOf(item);
+          if (idx === -1) return;
+          buckets[p].splice(idx, 1);
+          metrics.aborted[p]++;
+          if (tenantId !== null) tenantStats(tenantId).queued--;
+          reject(abortError());
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        item.detach = () => signal.removeEventListener("abort", onAbort);
+      }
       buckets[p].push(item);
       metrics.enqueued[p]++;
+      if (tenantId !== null) tenantStats(tenantId).queued++;
       pump();
     });
   }
@@ -148,12 +252,11 @@ export function createLLMQueue(opts = {}) {
    */
   function wrap(callFn, defaultPriority = PRIORITY.NORMAL) {
     return function queuedCall(...args) {
-      // Check if last arg is an options object with _priority
+      // Check if last arg is an options object with _priority / _tenantId
       const lastArg = args[args.length - 1];
-      const priority = (lastArg && typeof lastArg === "object" && lastArg._priority !== undefined)
-        ? lastArg._priority
-        : defaultPriority;
-      return enqueue(() => callFn(...args), priority);
+      const options = lastArg && typeof lastArg === "object" ? lastArg : {};
+      const priority = options._priority !== undefined ? options._priority : defaultPriority;
+      return enqueue(() => callFn(...args), priority, { tenantId: options._tenantId });
     };
   }
 
@@ -168,7 +271,12 @@ export function createLLMQueue(opts = {}) {
       totalQueued: totalQueued(),
       draining,
       byPriority: {},
+      byTenant: {},
     };
+    for (const [tenantId, t] of tenants) {
+      const slots = tenantSlots(tenantId);
+      result.byTenant[tenantId] = { ...t, slots: Number.isFinite(slots) ? slots : null };
+    }
     for (let p = 0; p < 4; p++) {
       const completed = metrics.completed[p] + metrics.errors[p];
       result.byPriority[PRIORITY_LABELS[p]] = {
@@ -177,6 +285,7 @@ export function createLLMQueue(opts = {}) {
         completed: metrics.completed[p],
         errors: metrics.errors[p],
         rejected: metrics.rejected[p],
+        aborted: metrics.aborted[p],
         avgLatencyMs: completed > 0 ? Math.round(metrics.totalLatencyMs[p] / completed) : 0,
       };
     }
@@ -194,6 +303,8 @@ export function createLLMQueue(opts = {}) {
       while (buckets[p].length > 0) {
         const item = buckets[p].shift();
         metrics.rejected[p]++;
+        dropped(item);
+        item.detach();
         item.reject(new Error("llm_queue_draining"));
       }
     }
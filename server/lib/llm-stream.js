@@ -0,0 +1,157 @@
+/**
+ * LLM Token Streaming
+ *
+ * Streams tokens from a brain as they are generated instead of waiting for
+ * the whole answer:
+ *
+ *   streamOllamaChat → POST /api/chat with stream: true; Ollama answers with
+ *                      one JSON object per line ({ message: { content },
+ *                      done }), each content piece is handed to onToken
+ *   relayChatStream  → Transport-agnostic relay used by the SSE routes and
+ *                      the socket layer: runs the chat, forwards tokens,
+ *                      falls back to chunking the final answer when the
+ *                      brain did not stream, and fires a completion hook
+ *                      that keeps running after the client has its answer
+ *
+ * Cancellation is an AbortSignal end to end: the transport aborts when its
+ * client goes away, the LLM queue drops the call if it is still waiting,
+ * and the in-flight fetch is aborted so the brain stops generating.
+ */
+
+/**
+ * Yield parsed objects from a newline-delimited JSON body.
+ *
+ * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} body
+ */
+export async function* readNDJSON(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+  const rest = (buffer + decoder.decode()).trim();
+  if (rest) yield JSON.parse(rest);
+}
+
+/**
+ * Stream a chat completion from an Ollama brain.
+ *
+ * @param {Object} opts
+ * @param {string} opts.url - Brain base URL
+ * @param {string} opts.model
+ * @param {Array<{role: string, content: string}>} opts.messages
+ * @param {Object} [opts.options] - Ollama generation options (temperature, num_predict, ...)
+ * @param {(delta: string) => void} opts.onToken
+ * @param {AbortSignal} [opts.signal] - Caller cancellation
+ * @param {number} [opts.timeoutMs=120000] - Overall time limit
+ * @param {Function} [opts.fetchImpl=fetch]
+ * @returns {Promise<{ ok: boolean, content: string, tokens: number, firstTokenMs: number|null, aborted?: boolean, error?: string }>}
+ */
+export async function streamOllamaChat({
+  url, model, messages, options = {}, onToken, signal, timeoutMs = 120000, fetchImpl = fetch,
+}) {
+  const ac = new AbortController();
+  const onAbort = () => ac.abort();
+  if (signal?.aborted) return { ok: false, aborted: true, error: "aborted", content: "", tokens: 0, firstTokenMs: null };
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = setTimeout(() => ac.abort(), timeoutMs);
+
+  const start = Date.now();
+  let content = "";
+  let tokens = 0;
+  let firstTokenMs = null;
+  try {
+    const res = await fetchImpl(`${url}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model, messages, stream: true, options }),
+      signal: ac.signal,
+    });
+    if (!res.ok || !res.body) {
+      return { ok: false, error: `brain_http_${res.status}`, content, tokens, firstTokenMs };
+    }
+
+    for await (const part of readNDJSON(res.body)) {
+      if (part.error) return { ok: false, error: String(part.error), content, tokens, firstTokenMs };
+      const delta = part.message?.content || "";
+      if (delta) {
+        if (firstTokenMs === null) firstTokenMs = Date.now() - start;
+        content += delta;
+        onToken?.(delta);
+      }
+      if (part.done) {
+        tokens = part.eval_count || tokens;
+        break;
+      }
+    }
+    return { ok: true, content, tokens, firstTokenMs };
+  } catch (err) {
+    if (signal?.aborted) return { ok: false, aborted: true, error: "aborted", content, tokens, firstTokenMs };
+    if (err?.name === "AbortError") return { ok: false, error: "timeout", content, tokens, firstTokenMs };
+    return { ok: false, error: String(err?.message || err), content, tokens, firstTokenMs };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Best-effort answer text from a chat macro result.
+ */
+export function answerText(out) {
+  return String(out?.reply ?? out?.answer ?? out?.content ?? out?.text ?? out?.message ?? out?.response ?? "");
+}
+
+/**
+ * Relay one streamed chat turn to a transport.
+ *
+ * Events passed to emit:
+ *   "token" { delta, synthetic? } — a piece of the answer as it is generated
+ *                                   (synthetic: chunked from a non-streamed answer)
+ *   "final" out                   — the complete macro result; its text is
+ *                                   authoritative if post-processing changed it
+ *
+ * Nothing is emitted after the signal aborts. onComplete runs after "final"
+ * and is not awaited, so follow-up work outlives the transport.
+ *
+ * @param {Object} opts
+ * @param {(stream: { onToken: Function, signal?: AbortSignal }) => Promise<Object>} opts.run
+ * @param {(event: string, data: Object) => void} opts.emit
+ * @param {AbortSignal} [opts.signal]
+ * @param {number} [opts.chunkSize=220] - Fallback chunk size when nothing streamed
+ * @param {(result: { out: Object, text: string, streamed: boolean }) => Promise<void>|void} [opts.onComplete]
+ * @param {(err: Error) => void} [opts.onCompleteError]
+ * @returns {Promise<{ ok: boolean, aborted?: boolean, streamed?: boolean, tokens?: number, out?: Object }>}
+ */
+export async function relayChatStream({ run, emit, signal, chunkSize = 220, onComplete, onCompleteError }) {
+  let tokens = 0;
+  const onToken = (delta) => {
+    if (signal?.aborted || !delta) return;
+    tokens++;
+    emit("token", { delta });
+  };
+
+  const out = await run({ onToken, signal });
+  if (signal?.aborted) return { ok: false, aborted: true, tokens };
+
+  const text = answerText(out);
+  if (tokens === 0) {
+    for (let i = 0; i < text.length; i += chunkSize) {
+      emit("token", { delta: text.slice(i, i + chunkSize), synthetic: true });
+    }
+  }
+  emit("final", out);
+
+  if (onComplete) {
+    Promise.resolve()
+      .then(() => onComplete({ out, text, streamed: tokens > 0 }))
+      .catch((err) => onCompleteError?.(err));
+  }
+  return { ok: true, streamed: tokens > 0, tokens, out };
+}
@@ -0,0 +1,103 @@
+/**
+ * Concord RBAC Middleware — enforces org roles and resource ACLs over HTTP.
+ *
+ * Routes are matched by path prefix; the segment after the prefix is the
+ * resource id (a DTU id, lens domain or listing id). The org in scope comes
+ * from the X-Org-Id header or ?orgId=. The decision itself is
+ * authorizeRequest() in emergent/rbac.js; this layer only maps requests
+ * onto it and turns a denial into a 403.
+ */
+
+import { authorizeRequest } from "../emergent/rbac.js";
+
+/**
+ * Route prefixes under enforcement, most specific first. `bodyKey` takes the
+ * resource id from the request body instead of the path; `permission`
+ * overrides the one derived from the method (buying a listing only needs
+ * read access to it).
+ */
+export const RBAC_ENFORCED_ROUTES = Object.freeze([
+  { prefix: "/api/economy/marketplace/purchase", resourceType: "listing", bodyKey: "listingId", permission: "read" },
+  { prefix: "/api/economy/marketplace/listings", resourceType: "listing" },
+  { prefix: "/api/marketplace/listings", resourceType: "listing" },
+  { prefix: "/api/dtus", resourceType: "dtu" },
+  { prefix: "/api/dtu", resourceType: "dtu" },
+  { prefix: "/api/lens", resourceType: "lens" },
+]);
+
+const METHOD_PERMISSIONS = {
+  GET: "read",
+  HEAD: "read",
+  OPTIONS: "read",
+  DELETE: "delete",
+};
+
+/**
+ * Map an HTTP method to the RBAC permission it needs.
+ * @param {string} method
+ * @returns {string}
+ */
+export function permissionForMethod(method) {
+  return METHOD_PERMISSIONS[String(method || "").toUpperCase()] || "write";
+}
+
+/**
+ * Work out which resource a request addresses.
+ * @param {{ path: string, method?: string, body?: object }} req
+ * @param {ReadonlyArray<object>} [routes]
+ * @returns {{ resourceType: string, resourceId: string|null, permission: string } | null}
+ */
+export function resolveResource(req, routes = RBAC_ENFORCED_ROUTES) {
+  const { path } = req;
+  for (const route of routes) {
+    if (path !== route.prefix && !path.startsWith(`${route.prefix}/`)) continue;
+    const rest = path.slice(route.prefix.length).split("/").filter(Boolean);
+    const resourceId = route.bodyKey
+      ? (req.body?.[route.bodyKey] ?? null)
+      : (rest[0] ? decodeURIComponent(rest[0]) : null);
+    return {
+      resourceType: route.resourceType,
+      resourceId: resourceId === null ? null : String(resourceId),
+      permission: route.permission || permissionForMethod(req.method),
+    };
+  }
+  return null;
+}
+
+/**
+ * Build the enforcement middleware.
+ *
+ * @param {object} deps
+ * @param {object} deps.STATE - Global server state
+ * @param {ReadonlyArray<object>} [deps.routes]
+ * @param {(req: import('express').Request) => boolean} [deps.bypass] - Skip enforcement (e.g. internal calls)
+ * @returns {import('express').RequestHandler}
+ */
+export function createRbacMiddleware({ STATE, routes = RBAC_ENFORCED_ROUTES, bypass = () => false }) {
+  return function rbacMiddleware(req, res, next) {
+    const resource = resolveResource(req, routes);
+    if (!resource || bypass(req)) return next();
+
+    const orgId = req.headers["x-org-id"] || req.query?.orgId || null;
+    const { permission } = resource;
+    const decision = authorizeRequest(STATE, {
+      userId: req.user?.id || null,
+      orgId: orgId ? String(orgId) : null,
+      resourceType: resource.resourceType,
+      resourceId: resource.resourceId,
+      permission,
+    });
+
+    if (!decision.allowed) {
+      return res.status(403).json({
+        ok: false,
+        error: "Forbidden by organization access policy",
+        code: "RBAC_DENIED",
+        reason: decision.reason,
+        permission,
+      });
+    }
+    if (decision.orgId) req.rbac = { orgId: decision.orgId, role: decision.role || null, permission };
+    return next();
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Semver — version parsing, ordering and range matching
+ *
+ * Enough of semver 2.0 for plugin dependency resolution, without a new
+ * dependency:
+ *
+ *   - Versions: MAJOR.MINOR.PATCH with optional -prerelease and +build
+ *     (build metadata is ignored for ordering).
+ *   - Ranges: exact ("1.2.3", "=1.2.3"), comparators (>, >=, <, <=),
+ *     caret ("^1.2.3"), tilde ("~1.2.3"), wildcards ("1.x", "1.2.*", "*",
+ *     ""), hyphen ranges ("1.2.0 - 1.4.0"), space-separated AND sets and
+ *     "||" alternatives.
+ *   - A prerelease version only satisfies a range whose comparators name a
+ *     prerelease of the same MAJOR.MINOR.PATCH, as in npm.
+ */
+
+const VERSION_RE = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_RE = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a full version string.
+ *
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, prerelease: (string|number)[] } | null}
+ */
+export function parseVersion(version) {
+  const m = VERSION_RE.exec(String(version ?? "").trim());
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    prerelease: m[4] ? m[4].split(".").map((p) => (/^\d+$/.test(p) ? Number(p) : p)) : [],
+  };
+}
+
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+function comparePrerelease(a, b) {
+  if (a.length === 0 || b.length === 0) return (a.length === 0) - (b.length === 0);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+    const an = typeof a[i] === "number";
+    const bn = typeof b[i] === "number";
+    if (an && bn) return a[i] < b[i] ? -1 : 1;
+    if (an !== bn) return an ? -1 : 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+function compareParsed(a, b) {
+  return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch)
+    || comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Order two versions: negative, zero or positive. Invalid versions throw.
+ */
+export function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  if (!pa || !pb) throw new Error(`invalid version: ${!pa ? a : b}`);
+  return Math.sign(compareParsed(pa, pb));
+}
+
+// ── Ranges ──────────────────────────────────────────────────────────────────
+
+function isWild(part) {
+  return part === undefined || part === "x" || part === "X" || part === "*";
+}
+
+function cmp(op, major, minor, patch, prerelease = []) {
+  return { op, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * Expand one range token into comparators (ANDed together).
+ */
+function expandToken(token) {
+  const m = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/.exec(token);
+  const op = m[1] || "";
+  const p = PARTIAL_RE.exec(m[2]);
+  if (!p) return null;
+
+  const [major, minor, patch] = [p[1], p[2], p[3]];
+  const pre = p[4] ? p[4].split(".").map((x) => (/^\d+$/.test(x) ? Number(x) : x)) : [];
+  const M = isWild(major) ? null : Number(major);
+  const m2 = isWild(minor) ? null : Number(minor);
+  const pt = isWild(patch) ? null : Number(patch);
+
+  if (M === null) return op === "<" || op === ">" ? [cmp("<", 0, 0, 0)] : [];
+
+  if (op === "^") {
+    const lo = cmp(">=", M, m2 ?? 0, pt ?? 0, pre);
+    if (M > 0 || m2 === null) return [lo, cmp("<", M + 1, 0, 0)];
+    if (m2 > 0 || pt === null) return [lo, cmp("<", 0, m2 + 1, 0)];
+    return [lo, cmp("<", 0, 0, pt + 1)];
+  }
+  if (op === "~") {
+    const lo = cmp(">=", M, m2 ?? 0, pt ?? 0, pre);
+    return m2 === null ? [lo, cmp("<", M + 1, 0, 0)] : [lo, cmp("<", M, m2 + 1, 0)];
+  }
+
+  // Partial versions act as ranges: "1.2" is >=1.2.0 <1.3.0
+  if (m2 === null || pt === null) {
+    const lo = cmp(">=", M, m2 ?? 0, 0);
+    const hi = m2 === null ? cmp("<", M + 1, 0, 0) : cmp("<", M, m2 + 1, 0);
+    if (op === "" || op === "=") return [lo, hi];
+    if (op === ">=") return [lo];
+    if (op === "<") return [cmp("<", M, m2 ?? 0, 0)];
+    if (op === ">") return [cmp(">=", hi.version.major, hi.version.minor, 0)];
+    if (op === "<=") return [cmp("<", hi.version.major, hi.version.minor, 0)];
+  }
+
+  return [cmp(op === "" ? "=" : op, M, m2, pt, pre)];
+}
+
+/**
+ * Parse a range into alternatives of comparator sets.
+ *
+ * @param {string} range
+ * @returns {{ op: string, version: object }[][] | null} null when invalid
+ */
+export function parseRange(range) {
+  const text = String(range ?? "").trim();
+  const alternatives = [];
+  for (const alt of text.split("||")) {
+    let part = alt.trim();
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(part);
+    if (hyphen) part = `>=${hyphen[1]} <=${hyphen[2]}`;
+
+    const set = [];
+    // Allow "> = 1.0" style spacing between operator and version
+    for (const token of part.replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1").split(/\s+/).filter(Boolean)) {
+      const comparators = expandToken(token);
+      if (!comparators) return null;
+      set.push(...comparators);
+    }
+    alternatives.push(set);
+  }
+  return alternatives;
+}
+
+export function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+function test(c, v) {
+  const d = compareParsed(v, c.version);
+  switch (c.op) {
+    case "=": return d === 0;
+    case ">": return d > 0;
+    case ">=": return d >= 0;
+    case "<": return d < 0;
+    case "<=": return d <= 0;
+    default: return false;
+  }
+}
+
+function setAllows(set, v) {
+  if (!set.every((c) => test(c, v))) return false;
+  if (v.prerelease.length === 0) return true;
+  // Prereleases only match comparators on the same release tuple
+  return set.some((c) => c.version.prerelease.length > 0
+    && c.version.major === v.major && c.version.minor === v.minor && c.version.patch === v.patch);
+}
+
+/**
+ * Does a version satisfy a range?
+ */
+export function satisfies(version, range) {
+  const v = parseVersion(version);
+  const alternatives = parseRange(range);
+  if (!v || !alternatives) return false;
+  return alternatives.some((set) => setAllows(set, v));
+}
+
+/**
+ * Highest version from a list that satisfies every given range.
+ *
+ * @param {string[]} versions
+ * @param {string|string[]} ranges
+ * @returns {string|null}
+ */
+export function maxSatisfying(versions, ranges) {
+  const all = Array.isArray(ranges) ? ranges : [ranges];
+  let best = null;
+  for (const version of versions) {
+    if (!isValidVersion(version)) continue;
+    if (!all.every((r) => satisfies(version, r))) continue;
+    if (best === null || compareVersions(version, best) > 0) best = version;
+  }
+  return best;
+}
@@ -0,0 +1,483 @@
+/**
+ * Concord Tenancy — isolated tenants inside one server process.
+ *
+ * Each tenant has its own STATE namespace and its own SQLite database
+ * (TENANTS_DIR/<id>.db, migrated like the root one). Requests are mapped to
+ * a tenant by the X-Tenant-Key header or by host name, and run inside an
+ * AsyncLocalStorage context so code reading STATE through
+ * tenantScopedState() sees only that tenant's namespace. Tenants never
+ * share memory; they exchange knowledge through `tenant_peer` federation
+ * peering, which only exposes global-scope DTUs.
+ *
+ * Durable subsystem stores (the lattice journal, RBAC) follow the request
+ * into the tenant's database through createTenantStores(); the few that are
+ * shared on purpose are listed in SHARED_SUBSYSTEMS.
+ *
+ * The tenant registry and its member list live in the root database
+ * (migrations 043 and 047).
+ */
+
+import crypto from "crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { openTenantDatabase } from "../migrate.js";
+import { createPeer, listPeers } from "./federation.js";
+import { PEERING_POLICIES } from "./federation-constants.js";
+
+const TENANT_ID_RE = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const KEY_PREFIX = "ctk_";
+
+const _context = new AsyncLocalStorage();
+
+// ── Request context ─────────────────────────────────────────────────────────
+
+/**
+ * Run fn with the given tenant context ({ tenantId, state, db, tenant }).
+ */
+export function runWithTenant(ctx, fn) {
+  return _context.run(ctx, fn);
+}
+
+/** The tenant context of the current async call chain, or null. */
+export function currentTenant() {
+  return _context.getStore() || null;
+}
+
+/** The current tenant id, or null outside any tenant. */
+export function currentTenantId() {
+  return _context.getStore()?.tenantId || null;
+}
+
+// ── Per-tenant stores ───────────────────────────────────────────────────────
+
+/**
+ * Subsystems that deliberately keep one store on the root database for all
+ * tenants. Everything else that persists resolves its database through
+ * createTenantStores(). `rootOnly` lists the path prefixes that expose the
+ * shared data platform-wide; requests bound to a tenant are refused there
+ * (createSharedSubsystemGuard).
+ */
+export const SHARED_SUBSYSTEMS = Object.freeze({
+  auth: Object.freeze({
+    reason: "Accounts are platform-wide; tenant_members decides who may enter a tenant",
+    rootOnly: Object.freeze([]),
+  }),
+  economy: Object.freeze({
+    reason: "One currency and ledger; balances and transactions are keyed by user, not tenant",
+    rootOnly: Object.freeze(["/api/economy/admin"]),
+  }),
+  cognitionBus: Object.freeze({
+    reason: "One process-wide event sequence that emergent subscribers and replay depend on",
+    rootOnly: Object.freeze(["/api/loaf/bus"]),
+  }),
+  developerSdk: Object.freeze({
+    reason: "Plugins run inside the server process for every tenant and bill their owners on the shared ledger",
+    rootOnly: Object.freeze(["/api/admin/plugins", "/api/admin/plugin-installs", "/api/admin/plugin-packages", "/api/admin/plugin-publishers"]),
+  }),
+  tenants: Object.freeze({
+    reason: "The tenant registry and its members",
+    rootOnly: Object.freeze([]),
+  }),
+});
+
+/**
+ * Per-database stores for a subsystem that keeps its data in SQLite.
+ * `build(db)` runs once per database and returns the store (or null when
+ * the database is not migrated for it). current() is the current tenant's
+ * store inside a tenant context and the root store outside one; a tenant
+ * never falls back to the root store. Until attach() runs there is no
+ * durable store anywhere and current() is null.
+ */
+export function createTenantStores(build) {
+  let root = null;
+  let attached = false;
+  const byDb = new WeakMap();
+  return {
+    attach(db) {
+      // A database that is not migrated leaves the current store in place
+      const store = build(db);
+      if (store) {
+        root = store;
+        attached = true;
+      }
+      return store;
+    },
+    detach() {
+      root = null;
+      attached = false;
+    },
+    current() {
+      const db = _context.getStore()?.db;
+      if (!attached || !db) return root;
+      if (!byDb.has(db)) byDb.set(db, build(db));
+      return byDb.get(db);
+    },
+  };
+}
+
+/**
+ * Refuse requests bound to a tenant on the root-only paths of shared
+ * subsystems (403 TENANT_SHARED_SUBSYSTEM).
+ */
+export function createSharedSubsystemGuard(shared = SHARED_SUBSYSTEMS) {
+  const prefixes = Object.entries(shared).flatMap(([name, s]) => s.rootOnly.map((prefix) => ({ name, prefix })));
+  return function sharedSubsystemGuard(req, res, next) {
+    if (!currentTenantId()) return next();
+    const path = req.path || "";
+    const hit = prefixes.find(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+    if (!hit) return next();
+    return res.status(403).json({
+      ok: false, error: `${hit.name} is shared across tenants and only available outside a tenant`, code: "TENANT_SHARED_SUBSYSTEM",
+    });
+  };
+}
+
+/**
+ * Wrap the root STATE so every property access goes to the current tenant's
+ * namespace, and to the root namespace outside a tenant context.
+ */
+export function tenantScopedState(root) {
+  const target = () => _context.getStore()?.state || root;
+  return new Proxy(root, {
+    get: (_t, prop) => Reflect.get(target(), prop),
+    set: (_t, prop, value) => Reflect.set(target(), prop, value),
+    has: (_t, prop) => Reflect.has(target(), prop),
+    deleteProperty: (_t, prop) => Reflect.deleteProperty(target(), prop),
+    ownKeys: () => Reflect.ownKeys(target()),
+    getOwnPropertyDescriptor: (_t, prop) => {
+      const desc = Reflect.getOwnPropertyDescriptor(target(), prop);
+      // Proxy invariants: a property reported on the proxy must be configurable
+      // unless it exists non-configurably on the proxied root itself
+      if (desc && !Reflect.getOwnPropertyDescriptor(root, prop)) desc.configurable = true;
+      return desc;
+    },
+    defineProperty: (_t, prop, desc) => Reflect.defineProperty(target(), prop, desc),
+  });
+}
+
+/**
+ * Give a fresh tenant namespace every top-level key the root namespace has
+ * gained since boot, so code written against the root shape keeps working.
+ * Collections start empty; functions, primitives and service objects (class
+ * instances) are carried over as they are.
+ */
+export function seedStateShape(state, root) {
+  for (const key of Object.keys(root)) {
+    if (key in state) continue;
+    const value = root[key];
+    if (value instanceof Map) state[key] = new Map();
+    else if (value instanceof Set) state[key] = new Set();
+    else if (Array.isArray(value)) state[key] = [];
+    else if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) state[key] = {};
+    else state[key] = value;
+  }
+  return state;
+}
+
+// ── Registry ────────────────────────────────────────────────────────────────
+
+function hashKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+function normalizeHost(host) {
+  return String(host || "").toLowerCase().replace(/:\d+$/, "").trim();
+}
+
+function rowToTenant(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    hosts: JSON.parse(row.hosts_json || "[]"),
+    apiKeyPrefix: row.api_key_prefix,
+    llmShare: row.llm_share,
+    llmMaxQueued: row.llm_max_queued,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Create the tenant registry.
+ *
+ * @param {object} opts
+ * @param {import("better-sqlite3").Database} opts.db - Root database holding the tenants table
+ * @param {string} [opts.dir] - Directory for tenant databases (defaults to TENANTS_DIR)
+ * @param {string} [opts.baseDomain] - <tenant>.<baseDomain> resolves to the tenant
+ * @param {Function} [opts.openDatabase] - (tenantId, { dir }) → { db, error? }
+ * @param {Function} [opts.createState] - (tenant, tenantDb) → fresh STATE namespace
+ */
+export function createTenantRegistry({
+  db,
+  dir,
+  baseDomain = process.env.TENANT_BASE_DOMAIN || "",
+  openDatabase = openTenantDatabase,
+  createState = () => ({}),
+} = {}) {
+  if (!db) return { ok: false, error: "tenancy_requires_db" };
+  try {
+    db.prepare("SELECT 1 FROM tenants LIMIT 1").get();
+    db.prepare("SELECT 1 FROM tenant_members LIMIT 1").get();
+  } catch {
+    return { ok: false, error: "tenancy_not_migrated" };
+  }
+
+  const _open = new Map(); // tenantId → Promise<{ tenantId, tenant, db, state }>
+  const domain = normalizeHost(baseDomain);
+
+  function getTenant(id) {
+    return rowToTenant(db.prepare("SELECT * FROM tenants WHERE id = ?").get(id));
+  }
+
+  function listTenants() {
+    return db.prepare("SELECT * FROM tenants ORDER BY created_at, id").all().map(rowToTenant);
+  }
+
+  function issueKey(id) {
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    db.prepare("UPDATE tenants SET api_key_hash = ?, api_key_prefix = ?, updated_at = datetime('now') WHERE id = ?")
+      .run(hashKey(apiKey), apiKey.slice(0, KEY_PREFIX.length + 8), id);
+    return apiKey;
+  }
+
+  /**
+   * Register a tenant. The API key is only ever returned here and by rotateKey.
+   */
+  function createTenant({ id, name, hosts = [], llmShare, llmMaxQueued } = {}) {
+    if (!TENANT_ID_RE.test(String(id || ""))) return { ok: false, error: "invalid_tenant_id" };
+    if (getTenant(id)) return { ok: false, error: "tenant_exists" };
+    const normalizedHosts = hosts.map(normalizeHost).filter(Boolean);
+    for (const host of normalizedHosts) {
+      if (resolveHost(host)) return { ok: false, error: "host_in_use", host };
+    }
+    db.prepare(`
+      INSERT INTO tenants (id, name, hosts_json, llm_share, llm_max_queued)
+      VALUES (?, ?, ?, COALESCE(?, 0.25), COALESCE(?, 50))
+    `).run(id, name || id, JSON.stringify(normalizedHosts), llmShare ?? null, llmMaxQueued ?? null);
+    const apiKey = issueKey(id);
+    return { ok: true, tenant: getTenant(id), apiKey };
+  }
+
+  function updateTenant(id, { name, hosts, llmShare, llmMaxQueued, status } = {}) {
+    const tenant = getTenant(id);
+    if (!tenant) return { ok: false, error: "tenant_not_found" };
+    if (status !== undefined && !["active", "suspended"].includes(status)) return { ok: false, error: "invalid_status" };
+    const normalizedHosts = hosts === undefined ? tenant.hosts : hosts.map(normalizeHost).filter(Boolean);
+    for (const host of normalizedHosts) {
+      const owner = resolveHost(host);
+      if (owner && owner.id !== id) return { ok: false, error: "host_in_use", host };
+    }
+    db.prepare(`
+      UPDATE tenants SET name = ?, hosts_json = ?, llm_share = ?, llm_max_queued = ?, status = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `).run(
+      name ?? tenant.name, JSON.stringify(normalizedHosts),
+      llmShare ?? tenant.llmShare, llmMaxQueued ?? tenant.llmMaxQueued, status ?? tenant.status, id,
+    );
+    const updated = getTenant(id);
+    const open = _open.get(id);
+    if (open) open.then((ctx) => { if (ctx.ok) ctx.tenant = updated; });
+    return { ok: true, tenant: updated };
+  }
+
+  function rotateKey(id) {
+    if (!getTenant(id)) return { ok: false, error: "tenant_not_found" };
+    return { ok: true, apiKey: issueKey(id), tenant: getTenant(id) };
+  }
+
+  // ── Membership ──
+
+  function addMember(id, userId, { role = "member" } = {}) {
+    if (!getTenant(id)) return { ok: false, error: "tenant_not_found" };
+    if (!userId) return { ok: false, error: "user_id_required" };
+    if (!["member", "admin"].includes(role)) return { ok: false, error: "invalid_role" };
+    db.prepare(`
+      INSERT INTO tenant_members (tenant_id, user_id, role) VALUES (?, ?, ?)
+      ON CONFLICT(tenant_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(id, String(userId), role);
+    return { ok: true, tenantId: id, userId: String(userId), role };
+  }
+
+  function removeMember(id, userId) {
+    const { changes } = db.prepare("DELETE FROM tenant_members WHERE tenant_id = ? AND user_id = ?").run(id, String(userId));
+    return changes ? { ok: true, tenantId: id, userId: String(userId) } : { ok: false, error: "member_not_found" };
+  }
+
+  function listMembers(id) {
+    return db.prepare("SELECT user_id, role, added_at FROM tenant_members WHERE tenant_id = ? ORDER BY added_at, user_id")
+      .all(id).map((r) => ({ userId: r.user_id, role: r.role, addedAt: r.added_at }));
+  }
+
+  function isMember(id, userId) {
+    if (!userId) return false;
+    return !!db.prepare("SELECT 1 FROM tenant_members WHERE tenant_id = ? AND user_id = ?").get(id, String(userId));
+  }
+
+  function resolveHost(host) {
+    const h = normalizeHost(host);
+    if (!h) return null;
+    const exact = db.prepare("SELECT t.* FROM tenants t, json_each(t.hosts_json) j WHERE j.value = ? LIMIT 1").get(h);
+    if (exact) return rowToTenant(exact);
+    if (domain && h.endsWith(`.${domain}`)) {
+      const sub = h.slice(0, -(domain.length + 1));
+      if (!sub.includes(".")) return getTenant(sub);
+    }
+    return null;
+  }
+
+  /**
+   * Map a request to its tenant: the tenant key wins, then the host name.
+   */
+  function resolveTenant({ host, apiKey } = {}) {
+    if (apiKey) {
+      const row = db.prepare("SELECT * FROM tenants WHERE api_key_hash = ?").get(hashKey(apiKey));
+      return row ? rowToTenant(row) : null;
+    }
+    return resolveHost(host);
+  }
+
+  /**
+   * Open (once) a tenant's database and STATE namespace.
+   * @returns {Promise<{ ok: boolean, tenantId?: string, tenant?: object, db?: object, state?: object, error?: string }>}
+   */
+  function openTenant(id) {
+    if (_open.has(id)) return _open.get(id);
+    const tenant = getTenant(id);
+    if (!tenant) return Promise.resolve({ ok: false, error: "tenant_not_found" });
+
+    const pending = (async () => {
+      const opened = await openDatabase(id, dir ? { dir } : undefined);
+      if (!opened.db) throw new Error(opened.error || "tenant_db_unavailable");
+      const state = await createState(tenant, opened.db);
+      return { ok: true, tenantId: id, tenant, db: opened.db, state };
+    })().catch((e) => {
+      // Let a failed open be retried by the next request
+      _open.delete(id);
+      return { ok: false, error: e.message };
+    });
+    _open.set(id, pending);
+    return pending;
+  }
+
+  /** Tenant contexts opened so far (for background sync loops). */
+  async function openContexts() {
+    return (await Promise.all([..._open.values()])).filter((ctx) => ctx.ok);
+  }
+
+  /**
+   * LLM queue share for a tenant: { share, maxQueued }, or null if unknown.
+   */
+  function getQuota(id) {
+    const tenant = getTenant(id);
+    return tenant ? { share: tenant.llmShare, maxQueued: tenant.llmMaxQueued } : null;
+  }
+
+  async function closeTenant(id) {
+    const pending = _open.get(id);
+    if (!pending) return { ok: true, closed: false };
+    _open.delete(id);
+    const ctx = await pending;
+    if (ctx.ok) ctx.db.close();
+    return { ok: true, closed: ctx.ok };
+  }
+
+  async function closeAll() {
+    for (const id of [..._open.keys()]) await closeTenant(id);
+  }
+
+  return {
+    ok: true,
+    getTenant, listTenants, createTenant, updateTenant, rotateKey,
+    addMember, removeMember, listMembers, isMember,
+    resolveTenant, openTenant, openContexts, closeTenant, closeAll, getQuota,
+    rootDb: db,
+  };
+}
+
+// ── HTTP ────────────────────────────────────────────────────────────────────
+
+/**
+ * Express middleware binding each request to its tenant.
+ *
+ * The host comes from req.hostname, so X-Forwarded-Host only counts when
+ * Express trusts the proxy that sent it. Unresolved requests fall through
+ * to the root namespace unless `required` is set, in which case they get
+ * 404 TENANT_UNKNOWN. Suspended tenants get 403 TENANT_SUSPENDED, and a
+ * signed-in user who is not a member of the tenant 403 TENANT_FORBIDDEN.
+ */
+export function createTenantMiddleware(registry, { required = false } = {}) {
+  return async function tenantMiddleware(req, res, next) {
+    try {
+      const tenant = registry.resolveTenant({
+        host: req.hostname,
+        apiKey: req.headers?.["x-tenant-key"],
+      });
+      if (!tenant) {
+        if (required || req.headers?.["x-tenant-key"]) {
+          return res.status(404).json({ ok: false, error: "Unknown tenant", code: "TENANT_UNKNOWN" });
+        }
+        return next();
+      }
+      if (tenant.status !== "active") {
+        return res.status(403).json({ ok: false, error: "Tenant suspended", code: "TENANT_SUSPENDED" });
+      }
+      if (req.user && !registry.isMember(tenant.id, req.user.id)) {
+        return res.status(403).json({ ok: false, error: "Not a member of this tenant", code: "TENANT_FORBIDDEN" });
+      }
+      const ctx = await registry.openTenant(tenant.id);
+      if (!ctx.ok) return res.status(503).json({ ok: false, error: ctx.error, code: "TENANT_UNAVAILABLE" });
+      req.tenant = tenant;
+      return runWithTenant(ctx, () => next());
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  };
+}
+
+// ── Peering ─────────────────────────────────────────────────────────────────
+
+const peerEntity = (tenantId) => `tenant:${tenantId}`;
+
+/**
+ * Peer two tenants through the federation peering table.
+ */
+export function peerTenants(registry, fromId, toId) {
+  if (fromId === toId) return { ok: false, error: "cannot_peer_self" };
+  if (!registry.getTenant(fromId) || !registry.getTenant(toId)) return { ok: false, error: "tenant_not_found" };
+  if (findTenantPeering(registry.rootDb, fromId, toId)) return { ok: false, error: "already_peered" };
+  const policy = PEERING_POLICIES.TENANT_PEER;
+  return createPeer(registry.rootDb, {
+    peerType: policy.peerType,
+    fromId: peerEntity(fromId),
+    toId: peerEntity(toId),
+    sharingPolicy: policy.sharingPolicy,
+    economicIsolation: policy.economicIsolation,
+  });
+}
+
+function findTenantPeering(rootDb, a, b) {
+  const { peers } = listPeers(rootDb, { entityId: peerEntity(a), peerType: PEERING_POLICIES.TENANT_PEER.peerType });
+  return peers.find((p) => p.fromId === peerEntity(b) || p.toId === peerEntity(b)) || null;
+}
+
+/**
+ * Pull global-scope DTUs from a peered tenant. Results are copies marked
+ * ephemeral; nothing is written into the asking tenant.
+ */
+export async function queryPeerTenant(registry, fromId, toId, { query = "", limit = 20 } = {}) {
+  if (!findTenantPeering(registry.rootDb, fromId, toId)) return { ok: false, error: "not_peered" };
+  const peer = await registry.openTenant(toId);
+  if (!peer.ok) return peer;
+
+  const q = String(query).toLowerCase();
+  const results = [];
+  for (const dtu of peer.state.dtus?.values?.() || []) {
+    if (dtu.scope !== "global") continue;
+    const haystack = `${dtu.title || ""} ${(dtu.tags || []).join(" ")} ${dtu.human?.summary || ""}`.toLowerCase();
+    if (q && !haystack.includes(q)) continue;
+    results.push({ ...structuredClone(dtu), ephemeral: true, sourceTenant: toId });
+    if (results.length >= limit) break;
+  }
+  return { ok: true, tenantId: toId, results, count: results.length };
+}
@@ -16,6 +16,10 @@
  *   2. Conversation-referenced DTUs (things already discussed)
  *   3. Semantic matches (new relevant knowledge)
  *   4. MEGA summaries (background depth)
+ *
+ * Ranked sources (e.g. hybrid BM25 + vector retrieval) add their DTUs to the
+ * working set; within a priority, their normalised rank score competes with
+ * activation scores.
  */
 
 import { BRAIN_CONFIG } from "./brain-config.js";
@@ -152,8 +156,9 @@ function classifyPriority(dtu, conversationDtuIds) {
  * @param {Array} opts.workingSetDtus - DTU objects from harvest
  * @param {Array} [opts.activationMeta] - Per-DTU activation metadata
  * @param {Set} [opts.conversationDtuIds] - DTU IDs referenced in prior conversation
+ * @param {Array<{ name: string, items: Array<{ dtu: Object, score: number }> }>} [opts.rankedSources] - Extra ranked retrieval sources, best first
  * @param {number} [opts.contextWindow] - Total context window size (default: from BRAIN_CONFIG)
- * @returns {{ systemPromptFinal, dtuContextBlock, messagesForLLM, tokenEstimate, truncatedCount, budgetUtilization }}
+ * @returns {{ systemPromptFinal, dtuContextBlock, messagesForLLM, tokenEstimate, truncatedCount, budgetUtilization, rankedSourceCounts }}
  */
 export function assembleWithTokenBudget(opts) {
   const contextWindow = opts.contextWindow || BRAIN_CONFIG.conscious.contextWindow || 32768;
@@ -196,13 +201,32 @@ export function assembleWithTokenBudget(opts) {
     }
   }
 
-  // Sort DTUs by priority, then by activation score
+  // Merge ranked sources into the working set. Scores are normalised per
+  // source (top hit = 1) since each source scores on its own scale.
+  const workingSet = [...(opts.workingSetDtus || [])];
+  const inWorkingSet = new Set(workingSet.map(d => d.id));
+  const rankedScores = new Map();
+  const rankedSourceCounts = {};
+  for (const source of opts.rankedSources || []) {
+    const items = (source?.items || []).filter(item => item?.dtu?.id);
+    const top = items.reduce((max, item) => Math.max(max, item.score || 0), 0) || 1;
+    rankedSourceCounts[source.name] = 0;
+    for (const { dtu, score } of items) {
+      rankedScores.set(dtu.id, Math.max(rankedScores.get(dtu.id) || 0, (score || 0) / top));
+      if (inWorkingSet.has(dtu.id)) continue;
+      inWorkingSet.add(dtu.id);
+      workingSet.push(dtu);
+      rankedSourceCounts[source.name]++;
+    }
+  }
+
+  // Sort DTUs by priority, then by activation (or ranked source) score
   const conversationDtuIds = opts.conversationDtuIds || new Set();
-  const prioritized = (opts.workingSetDtus || [])
+  const prioritized = workingSet
     .map(dtu => ({
       dtu,
       priority: classifyPriority(dtu, conversationDtuIds),
-      score: activationMap.get(dtu.id)?.score || 0,
+      score: Math.max(activationMap.get(dtu.id)?.score || 0, rankedScores.get(dtu.id) || 0),
     }))
     .sort((a, b) => {
       if (a.priority !== b.priority) return a.priority - b.priority;
@@ -268,6 +292,7 @@ export function assembleWithTokenBudget(opts) {
     truncatedCount,
     dtuCount: dtuBlocks.length,
     budgetUtilization,
+    rankedSourceCounts,
   };
 }
 
@@ -25,6 +25,11 @@ export const bountyCreateSchema = z.object({
   amount: z.number().positive().max(1000000),
   tags: z.array(z.string().max(100)).max(20).optional(),
   expiresAt: z.string().datetime().optional(),
+  milestones: z.array(z.object({
+    title: z.string().min(1).max(200),
+    amount: z.number().positive().max(1000000),
+    dueAt: z.string().datetime().optional(),
+  })).max(50).optional(),
 });
 
 export const bountyClaimSchema = z.object({
@@ -0,0 +1,854 @@
+/**
+ * Webhook Delivery — signed HTTP delivery with retries and a dead-letter queue
+ *
+ * One pipeline for every outbound webhook. The public API's webhooks
+ * (emergent/public-api.js) and developer plugin webhooks
+ * (emergent/developer-sdk.js) register their endpoints in the shared
+ * registry here and enqueue events; this module signs, POSTs, retries and
+ * dead-letters them.
+ *
+ *   - Signing: X-Concordos-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256
+ *     of "<t>.<body>"> with the endpoint secret. Receivers should reject
+ *     timestamps outside a few minutes to stop replays.
+ *   - Retries: exponential backoff (base · 2^(attempt-1), capped) until the
+ *     delivery's attempt budget runs out, then it moves to the dead-letter
+ *     queue and stays there until replayed.
+ *   - Circuit breaking: one breaker per endpoint (lib/circuit-breaker.js).
+ *     While it is open, due deliveries are deferred without using up an
+ *     attempt, so a dead receiver doesn't burn through every retry.
+ *   - Destinations: loopback, private, link-local and cloud metadata hosts
+ *     are refused (the same blocklist as isUrlSafe() in server.js), by
+ *     hostname when an endpoint is registered and by every resolved address
+ *     before each POST. The POST then connects to the address that was
+ *     checked rather than resolving the host again, and redirects are never
+ *     followed (a 3xx is a failed attempt), so neither DNS rebinding nor a
+ *     302 can steer a delivery inward. WEBHOOK_ALLOW_PRIVATE_NETWORKS=true
+ *     (or allowPrivateNetworks) lifts this for local development and tests.
+ *   - Log: deliveries and every attempt go to SQLite (migration 039) once
+ *     configureWebhookDelivery({ db }) is called at startup; before that,
+ *     or without a database, they are kept in memory.
+ *
+ * Endpoints are persisted alongside (migration 048) and loaded back by
+ * configureWebhookDelivery, so deliveries queued before a restart are still
+ * sent. Owning modules rebuild their own records from
+ * loadWebhookEndpoints(source) and re-register to reattach onResult. A
+ * delivery whose endpoint was removed is dead-lettered rather than dropped.
+ */
+
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { createCircuitBreaker, BREAKER_STATE } from "./circuit-breaker.js";
+
+export const WEBHOOK_DELIVERY_DEFAULTS = Object.freeze({
+  maxAttempts: 5,
+  baseBackoffMs: 2_000,
+  maxBackoffMs: 60 * 60 * 1000,
+  timeoutMs: 10_000,
+  batchSize: 20,
+  signatureToleranceSec: 300,
+  breaker: Object.freeze({ failureThreshold: 5, cooldownMs: 60_000, successThreshold: 1 }),
+  memoryLogLimit: 1000,
+  allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true",
+});
+
+export const DELIVERY_STATUS = Object.freeze({
+  PENDING:     "pending",
+  RETRYING:    "retrying",
+  DELIVERED:   "delivered",
+  DEAD_LETTER: "dead_letter",
+});
+
+export const SIGNATURE_HEADER = "X-Concordos-Signature";
+
+function uid(prefix = "dlv") {
+  return `${prefix}_${crypto.randomBytes(10).toString("hex")}`;
+}
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+// ── Signing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Signature header value for a request body.
+ *
+ * @param {string} body - Exact request body
+ * @param {string} secret - Endpoint secret
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} "t=<timestamp>,v1=<hex>"
+ */
+export function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Verify a signature header on the receiving side.
+ *
+ * @param {string} body
+ * @param {string} header - X-Concordos-Signature value
+ * @param {string} secret
+ * @param {Object} [opts]
+ * @param {number} [opts.toleranceSec=300] - Max clock skew / replay window
+ * @param {number} [opts.now] - Unix seconds
+ * @returns {{ ok: boolean, error?: string, timestamp?: number }}
+ */
+export function verifyWebhookSignature(body, header, secret, opts = {}) {
+  const toleranceSec = opts.toleranceSec ?? WEBHOOK_DELIVERY_DEFAULTS.signatureToleranceSec;
+  const now = opts.now ?? Math.floor(Date.now() / 1000);
+
+  const parts = Object.fromEntries(String(header || "").split(",").map((p) => p.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return { ok: false, error: "malformed_signature" };
+  if (Math.abs(now - timestamp) > toleranceSec) return { ok: false, error: "timestamp_out_of_tolerance" };
+
+  const expected = Buffer.from(signWebhookPayload(body, secret, timestamp).split("v1=")[1], "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, error: "signature_mismatch" };
+  }
+  return { ok: true, timestamp };
+}
+
+// ── Destination Guard ───────────────────────────────────────────────────────
+
+function blockedAddressReason(address) {
+  let ip = String(address).toLowerCase();
+  const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [hi, lo] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    ip = `${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`;
+  } else if (ip.startsWith("::ffff:")) {
+    ip = ip.slice(7);
+  }
+
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split(".").map(Number);
+    if (a === 127 || a === 0) return "Internal host blocked";
+    if (a === 10) return "Private IP blocked";
+    if (a === 172 && b >= 16 && b <= 31) return "Private IP blocked";
+    if (a === 192 && b === 168) return "Private IP blocked";
+    if (a === 169 && b === 254) return "Link-local IP blocked";
+    return null;
+  }
+  if (net.isIPv6(ip)) {
+    if (ip === "::1" || ip === "::") return "Internal host blocked";
+    if (/^f[cd]/.test(ip)) return "Private IP blocked";
+    if (/^fe[89ab]/.test(ip)) return "Link-local IP blocked";
+  }
+  return null;
+}
+
+function blockedHostReason(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) return "Internal host blocked";
+  if (host.endsWith(".internal") || host.endsWith(".local")) return "Metadata endpoint blocked";
+  return blockedAddressReason(host);
+}
+
+/**
+ * Check a webhook URL before it is registered: http(s) only, and (unless
+ * private networks are allowed) not a blocked hostname or IP literal.
+ *
+ * @param {string} url
+ * @returns {{ ok: boolean, error?: string }}
+ */
+export function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ok: false, error: "Invalid webhook URL" };
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return { ok: false, error: "Webhook URL must be http(s)" };
+  }
+  if (_config.allowPrivateNetworks) return { ok: true };
+  const reason = blockedHostReason(parsed.hostname);
+  return reason ? { ok: false, error: `Webhook URL not allowed: ${reason}` } : { ok: true };
+}
+
+/**
+ * Re-check a delivery's URL against every address its host resolves to,
+ * right before the POST, and return the address to connect to. Errors stay
+ * generic so the delivery log can't be used to map internal DNS.
+ *
+ * @returns {Promise<{ ok: boolean, error?: string, address?: { address: string, family: number } }>}
+ */
+async function checkDestination(url) {
+  const check = checkWebhookUrl(url);
+  if (!check.ok) return { ok: false, error: "destination_blocked" };
+  if (_config.allowPrivateNetworks) return { ok: true };
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return { ok: true, address: { address: host, family: net.isIP(host) } };
+  let addresses;
+  try {
+    addresses = await _lookup(host);
+  } catch {
+    return { ok: false, error: "dns_lookup_failed" };
+  }
+  if (!addresses.length || addresses.some(({ address }) => blockedAddressReason(address))) {
+    return { ok: false, error: "destination_blocked" };
+  }
+  const [{ address }] = addresses;
+  return { ok: true, address: { address, family: net.isIP(address) } };
+}
+
+/**
+ * Default transport: a small fetch over node's http/https. It never follows
+ * redirects, and given `address` it connects there instead of resolving the
+ * hostname again (TLS still verifies against the hostname), so the socket
+ * goes to the address checkDestination approved.
+ */
+function postOverHttp(url, { method, headers, body, signal, address } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const lookup = address
+    ? (_host, opts, cb) => (opts?.all ? cb(null, [address]) : cb(null, address.address, address.family))
+    : undefined;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method, headers, signal, lookup }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        if (size < 4096) chunks.push(chunk);
+        size += chunk.length;
+      });
+      res.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        resolve({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode, text: () => Promise.resolve(text) });
+      });
+      res.on("error", reject);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// ── Stores ──────────────────────────────────────────────────────────────────
+
+const COLUMNS = {
+  status: "status",
+  attempts: "attempts",
+  nextAttemptAt: "next_attempt_at",
+  lastAttemptAt: "last_attempt_at",
+  lastStatusCode: "last_status_code",
+  lastError: "last_error",
+  deliveredAt: "delivered_at",
+  deadLetteredAt: "dead_lettered_at",
+  replayCount: "replay_count",
+  url: "url",
+  maxAttempts: "max_attempts",
+};
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    endpointId: row.endpoint_id,
+    source: row.source,
+    event: row.event,
+    url: row.url,
+    payload: row.payload_json,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastAttemptAt: row.last_attempt_at,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    deliveredAt: row.delivered_at,
+    deadLetteredAt: row.dead_lettered_at,
+    replayCount: row.replay_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function createSqliteStore(db) {
+  return {
+    kind: "sqlite",
+    insert(d) {
+      db.prepare(`
+        INSERT INTO webhook_deliveries (
+          id, endpoint_id, source, event, url, payload_json, status, attempts, max_attempts,
+          next_attempt_at, replay_count, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(d.id, d.endpointId, d.source, d.event, d.url, d.payload, d.status, d.attempts, d.maxAttempts,
+        d.nextAttemptAt, d.replayCount, d.createdAt, d.updatedAt);
+    },
+    update(id, patch) {
+      const sets = Object.keys(patch).map((k) => `${COLUMNS[k]} = ?`);
+      db.prepare(`UPDATE webhook_deliveries SET ${sets.join(", ")}, updated_at = ? WHERE id = ?`)
+        .run(...Object.values(patch), nowISO(), id);
+    },
+    get(id) {
+      const row = db.prepare("SELECT * FROM webhook_deliveries WHERE id = ?").get(id);
+      return row ? rowToDelivery(row) : null;
+    },
+    due(nowMs, limit) {
+      return db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE status IN ('pending', 'retrying') AND next_attempt_at <= ?
+        ORDER BY next_attempt_at ASC LIMIT ?
+      `).all(nowMs, limit).map(rowToDelivery);
+    },
+    list({ endpointId, status, limit, offset }) {
+      let where = "WHERE 1=1";
+      const params = [];
+      if (endpointId) { where += " AND endpoint_id = ?"; params.push(endpointId); }
+      if (status) { where += " AND status = ?"; params.push(status); }
+      const total = db.prepare(`SELECT COUNT(*) as c FROM webhook_deliveries ${where}`).get(...params).c;
+      const deliveries = db.prepare(`
+        SELECT * FROM webhook_deliveries ${where} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?
+      `).all(...params, limit, offset).map(rowToDelivery);
+      return { deliveries, total };
+    },
+    addAttempt(a) {
+      db.prepare(`
+        INSERT INTO webhook_delivery_attempts (id, delivery_id, attempt, status_code, error, duration_ms, response_excerpt, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(a.id, a.deliveryId, a.attempt, a.statusCode, a.error, a.durationMs, a.responseExcerpt, a.createdAt);
+    },
+    attempts(deliveryId) {
+      return db.prepare(
+        "SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempt ASC, created_at ASC"
+      ).all(deliveryId).map((r) => ({
+        attempt: r.attempt, statusCode: r.status_code, error: r.error,
+        durationMs: r.duration_ms, responseExcerpt: r.response_excerpt, createdAt: r.created_at,
+      }));
+    },
+    countByStatus() {
+      const counts = {};
+      for (const r of db.prepare("SELECT status, COUNT(*) as c FROM webhook_deliveries GROUP BY status").all()) {
+        counts[r.status] = r.c;
+      }
+      return counts;
+    },
+  };
+}
+
+function rowToEndpoint(row) {
+  let metadata = {};
+  try { metadata = JSON.parse(row.metadata_json || "{}"); } catch { /* keep {} */ }
+  return {
+    id: row.id,
+    source: row.source,
+    ownerId: row.owner_id,
+    url: row.url,
+    secret: row.secret,
+    maxAttempts: row.max_attempts,
+    active: Boolean(row.active),
+    metadata,
+    onResult: null,
+    registeredAt: row.created_at,
+  };
+}
+
+function createSqliteEndpointStore(db) {
+  return {
+    save(ep) {
+      db.prepare(`
+        INSERT INTO webhook_endpoints (id, source, owner_id, url, secret, max_attempts, active, metadata_json, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          source = excluded.source, owner_id = excluded.owner_id, url = excluded.url, secret = excluded.secret,
+          max_attempts = excluded.max_attempts, active = excluded.active, metadata_json = excluded.metadata_json,
+          updated_at = excluded.updated_at
+      `).run(ep.id, ep.source, ep.ownerId, ep.url, ep.secret, ep.maxAttempts, ep.active ? 1 : 0,
+        JSON.stringify(ep.metadata || {}), ep.registeredAt, nowISO());
+    },
+    setActive(id, active) {
+      db.prepare("UPDATE webhook_endpoints SET active = ?, updated_at = ? WHERE id = ?").run(active ? 1 : 0, nowISO(), id);
+    },
+    remove(id) {
+      db.prepare("DELETE FROM webhook_endpoints WHERE id = ?").run(id);
+    },
+    all() {
+      return db.prepare("SELECT * FROM webhook_endpoints ORDER BY created_at ASC, rowid ASC").all().map(rowToEndpoint);
+    },
+  };
+}
+
+function createMemoryStore(limit) {
+  const deliveries = new Map();
+  const attempts = new Map();
+
+  // Only settled deliveries are evicted; pending work and the DLQ are kept
+  function evict() {
+    if (deliveries.size <= limit) return;
+    for (const [id, d] of deliveries) {
+      if (deliveries.size <= limit) break;
+      if (d.status === DELIVERY_STATUS.DELIVERED) {
+        deliveries.delete(id);
+        attempts.delete(id);
+      }
+    }
+  }
+
+  return {
+    kind: "memory",
+    insert(d) { deliveries.set(d.id, { ...d }); evict(); },
+    update(id, patch) {
+      const d = deliveries.get(id);
+      if (d) Object.assign(d, patch, { updatedAt: nowISO() });
+    },
+    get(id) { const d = deliveries.get(id); return d ? { ...d } : null; },
+    due(nowMs, max) {
+      return [...deliveries.values()]
+        .filter((d) => (d.status === DELIVERY_STATUS.PENDING || d.status === DELIVERY_STATUS.RETRYING) && d.nextAttemptAt <= nowMs)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, max)
+        .map((d) => ({ ...d }));
+    },
+    list({ endpointId, status, limit: max, offset }) {
+      const all = [...deliveries.values()]
+        .filter((d) => (!endpointId || d.endpointId === endpointId) && (!status || d.status === status))
+        .reverse();
+      return { deliveries: all.slice(offset, offset + max).map((d) => ({ ...d })), total: all.length };
+    },
+    addAttempt(a) {
+      if (!attempts.has(a.deliveryId)) attempts.set(a.deliveryId, []);
+      attempts.get(a.deliveryId).push(a);
+    },
+    attempts(deliveryId) {
+      return (attempts.get(deliveryId) || []).map(({ attempt, statusCode, error, durationMs, responseExcerpt, createdAt }) => (
+        { attempt, statusCode, error, durationMs, responseExcerpt, createdAt }
+      ));
+    },
+    countByStatus() {
+      const counts = {};
+      for (const d of deliveries.values()) counts[d.status] = (counts[d.status] || 0) + 1;
+      return counts;
+    },
+  };
+}
+
+// ── Module State ────────────────────────────────────────────────────────────
+
+const _endpoints = new Map();   // endpointId → endpoint record
+const _breakers  = new Map();   // endpointId → circuit breaker
+let _config = { ...WEBHOOK_DELIVERY_DEFAULTS };
+let _store = createMemoryStore(WEBHOOK_DELIVERY_DEFAULTS.memoryLogLimit);
+let _endpointStore = null;      // SQLite endpoint registry once migration 048 is applied
+let _fetch = postOverHttp;
+let _lookup = (host) => dns.promises.lookup(host, { all: true, verbatim: true });
+let _processing = false;
+
+/**
+ * Point the pipeline at SQLite and/or override delivery settings.
+ * Call once at startup, after migrations and before the delivery processor
+ * runs. Persisted endpoints are loaded into the registry and endpoints
+ * registered before this call are written out; circuit breakers are rebuilt
+ * with the new settings.
+ *
+ * @param {Object} [opts]
+ * @param {import('better-sqlite3').Database} [opts.db] - Persist the log and endpoints here
+ * @param {Function} [opts.fetchImpl] - fetch-compatible function (for tests); also gets `redirect: "manual"` and the checked `address`
+ * @param {Function} [opts.lookupImpl] - (hostname) => Promise<{ address }[]>, like dns.promises.lookup with all: true (for tests)
+ * @param {boolean} [opts.allowPrivateNetworks] - Deliver to loopback/private/link-local hosts (local development and tests)
+ * @param {number} [opts.maxAttempts]
+ * @param {number} [opts.baseBackoffMs]
+ * @param {number} [opts.maxBackoffMs]
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.batchSize]
+ * @param {Object} [opts.breaker] - { failureThreshold, cooldownMs, successThreshold }
+ */
+export function configureWebhookDelivery(opts = {}) {
+  const { db, fetchImpl, lookupImpl, breaker, ...settings } = opts;
+  _config = {
+    ...WEBHOOK_DELIVERY_DEFAULTS,
+    ...settings,
+    breaker: { ...WEBHOOK_DELIVERY_DEFAULTS.breaker, ...(breaker || {}) },
+  };
+
+  _store = createMemoryStore(_config.memoryLogLimit);
+  if (db) {
+    try {
+      db.prepare("SELECT 1 FROM webhook_deliveries LIMIT 1").get();
+      _store = createSqliteStore(db);
+    } catch {
+      // Migration 039 not applied — keep the in-memory log
+    }
+  }
+
+  _endpointStore = null;
+  let restored = 0;
+  if (db) {
+    try {
+      db.prepare("SELECT 1 FROM webhook_endpoints LIMIT 1").get();
+      _endpointStore = createSqliteEndpointStore(db);
+    } catch {
+      // Migration 048 not applied — endpoints stay in memory only
+    }
+  }
+  if (_endpointStore) {
+    for (const ep of _endpointStore.all()) {
+      if (_endpoints.has(ep.id)) continue;
+      _endpoints.set(ep.id, ep);
+      restored++;
+    }
+    for (const ep of _endpoints.values()) _endpointStore.save(ep);
+  }
+
+  if (fetchImpl) _fetch = fetchImpl;
+  if (lookupImpl) _lookup = lookupImpl;
+  _breakers.clear();
+  return { ok: true, store: _store.kind, endpoints: _endpointStore ? "sqlite" : "memory", restored };
+}
+
+function breakerFor(endpointId) {
+  if (!_breakers.has(endpointId)) {
+    _breakers.set(endpointId, createCircuitBreaker(`webhook:${endpointId}`, {
+      ..._config.breaker,
+      onStateChange: (name, from, to) => {
+        if (to === BREAKER_STATE.OPEN) console.warn(`[webhook-delivery] ${name}: ${from} → ${to}`);
+      },
+    }));
+  }
+  return _breakers.get(endpointId);
+}
+
+// ── Endpoint Registry ───────────────────────────────────────────────────────
+
+function publicEndpoint(ep) {
+  const { secret: _secret, onResult: _onResult, ...rest } = ep;
+  return { ...rest, secret: "***", breaker: breakerFor(ep.id).getStatus().state };
+}
+
+/**
+ * Register (or replace) an endpoint in the shared registry.
+ *
+ * @param {Object} endpoint
+ * @param {string} endpoint.id - Unique across sources (wh_..., whk_...)
+ * @param {string} endpoint.source - Owning module, e.g. "public_api", "developer_sdk"
+ * @param {string} endpoint.url
+ * @param {string} endpoint.secret - Signing secret
+ * @param {string} [endpoint.ownerId]
+ * @param {number} [endpoint.maxAttempts]
+ * @param {boolean} [endpoint.active=true]
+ * @param {Object} [endpoint.metadata] - Persisted with the endpoint for its owning module
+ * @param {Function} [endpoint.onResult] - Called with each delivery outcome
+ */
+export function registerWebhookEndpoint(endpoint) {
+  if (!endpoint?.id) return { ok: false, error: "Endpoint id is required" };
+  if (!endpoint.source) return { ok: false, error: "Endpoint source is required" };
+  if (!endpoint.secret) return { ok: false, error: "Endpoint secret is required" };
+  const urlCheck = checkWebhookUrl(endpoint.url);
+  if (!urlCheck.ok) return urlCheck;
+
+  const ep = {
+    id: endpoint.id,
+    source: endpoint.source,
+    ownerId: endpoint.ownerId || null,
+    url: endpoint.url,
+    secret: endpoint.secret,
+    maxAttempts: endpoint.maxAttempts || null,
+    active: endpoint.active !== false,
+    metadata: endpoint.metadata || {},
+    onResult: typeof endpoint.onResult === "function" ? endpoint.onResult : null,
+    registeredAt: _endpoints.get(endpoint.id)?.registeredAt || nowISO(),
+  };
+  try {
+    _endpointStore?.save(ep);
+  } catch (err) {
+    return { ok: false, error: `Failed to persist endpoint: ${err?.message}` };
+  }
+  _endpoints.set(ep.id, ep);
+  return { ok: true, endpointId: ep.id };
+}
+
+export function setWebhookEndpointActive(endpointId, active) {
+  const ep = _endpoints.get(endpointId);
+  if (!ep) return { ok: false, error: "Endpoint not found" };
+  ep.active = Boolean(active);
+  _endpointStore?.setActive(endpointId, ep.active);
+  if (ep.active) breakerFor(endpointId).reset();
+  return { ok: true, endpointId, active: ep.active };
+}
+
+export function removeWebhookEndpoint(endpointId) {
+  _breakers.delete(endpointId);
+  _endpointStore?.remove(endpointId);
+  return { ok: true, endpointId, removed: _endpoints.delete(endpointId) };
+}
+
+/**
+ * Registered endpoints with their secrets and metadata, for the owning
+ * module to rebuild its own records after a restart. Not for API responses —
+ * use listWebhookEndpoints() there.
+ *
+ * @param {string} source - e.g. "public_api", "developer_sdk"
+ */
+export function loadWebhookEndpoints(source) {
+  return [..._endpoints.values()]
+    .filter((ep) => ep.source === source)
+    .map(({ onResult: _onResult, ...ep }) => ({ ...ep, metadata: { ...ep.metadata } }));
+}
+
+export function listWebhookEndpoints(source) {
+  const endpoints = [..._endpoints.values()].filter((ep) => !source || ep.source === source).map(publicEndpoint);
+  return { ok: true, endpoints, total: endpoints.length };
+}
+
+// ── Enqueue ─────────────────────────────────────────────────────────────────
+
+/**
+ * Queue an event for one endpoint. The body is built and frozen here;
+ * it is re-signed with a fresh timestamp on every attempt.
+ *
+ * @param {string} endpointId
+ * @param {string} event
+ * @param {Object} data
+ * @param {Object} [opts]
+ * @param {string} [opts.deliveryId]
+ * @returns {{ ok: boolean, deliveryId?: string, error?: string }}
+ */
+export function enqueueWebhookDelivery(endpointId, event, data, opts = {}) {
+  const ep = _endpoints.get(endpointId);
+  if (!ep) return { ok: false, error: "Endpoint not found" };
+  if (!ep.active) return { ok: false, error: "Endpoint is not active" };
+
+  const now = Date.now();
+  const createdAt = new Date(now).toISOString();
+  const id = opts.deliveryId || uid("dlv");
+  const delivery = {
+    id,
+    endpointId,
+    source: ep.source,
+    event,
+    url: ep.url,
+    payload: JSON.stringify({ id, event, timestamp: createdAt, data }),
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: ep.maxAttempts || _config.maxAttempts,
+    nextAttemptAt: now,
+    replayCount: 0,
+    createdAt,
+    updatedAt: createdAt,
+  };
+  _store.insert(delivery);
+  return { ok: true, deliveryId: id };
+}
+
+// ── Delivery ────────────────────────────────────────────────────────────────
+
+function backoffMs(attempt) {
+  return Math.min(_config.maxBackoffMs, _config.baseBackoffMs * 2 ** (attempt - 1));
+}
+
+async function postDelivery(ep, delivery) {
+  const started = Date.now();
+  const destination = await checkDestination(delivery.url);
+  if (!destination.ok) {
+    return { ok: false, statusCode: null, error: destination.error, durationMs: Date.now() - started, responseExcerpt: null };
+  }
+  try {
+    const res = await _fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Concord-Webhooks/1.0",
+        [SIGNATURE_HEADER]: signWebhookPayload(delivery.payload, ep.secret),
+        "X-Concordos-Event": delivery.event,
+        "X-Concordos-Delivery": delivery.id,
+        "X-Concordos-Attempt": String(delivery.attempts + 1),
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(_config.timeoutMs),
+      redirect: "manual",
+      address: destination.address,
+    });
+    const text = await res.text().catch(() => "");
+    const redirected = res.status >= 300 && res.status < 400;
+    return {
+      ok: res.ok && !redirected,
+      statusCode: res.status,
+      error: redirected ? "redirect_refused" : (res.ok ? null : `HTTP ${res.status}`),
+      durationMs: Date.now() - started,
+      responseExcerpt: text.slice(0, 500),
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: err?.name === "TimeoutError" || err?.cause?.name === "TimeoutError"
+        ? "timeout"
+        : (err?.code || err?.cause?.code || err?.message || "request_failed"),
+      durationMs: Date.now() - started,
+      responseExcerpt: null,
+    };
+  }
+}
+
+function notify(ep, result) {
+  if (!ep?.onResult) return;
+  try { ep.onResult(result); } catch (err) {
+    console.warn("[webhook-delivery] onResult handler failed:", err?.message);
+  }
+}
+
+function deadLetter(delivery, error, extra = {}) {
+  _store.update(delivery.id, {
+    status: DELIVERY_STATUS.DEAD_LETTER,
+    lastError: error,
+    deadLetteredAt: nowISO(),
+    ...extra,
+  });
+}
+
+async function processOne(delivery, now) {
+  const base = { deliveryId: delivery.id, endpointId: delivery.endpointId, source: delivery.source, event: delivery.event };
+  const ep = _endpoints.get(delivery.endpointId);
+
+  if (!ep || !ep.active) {
+    const error = ep ? "endpoint_inactive" : "endpoint_unregistered";
+    deadLetter(delivery, error);
+    notify(ep, { ...base, status: DELIVERY_STATUS.DEAD_LETTER, attempts: delivery.attempts, error });
+    return { ...base, status: DELIVERY_STATUS.DEAD_LETTER, error };
+  }
+
+  // The breaker only sees the call if it is closed or ready to probe; when
+  // it short-circuits, `outcome` stays null and the delivery is deferred.
+  const breaker = breakerFor(ep.id);
+  let outcome = null;
+  await breaker.call(async () => {
+    outcome = await postDelivery(ep, delivery);
+    if (!outcome.ok) throw new Error(outcome.error);
+  }, () => null).catch(() => null);
+
+  if (!outcome) {
+    _store.update(delivery.id, { nextAttemptAt: now + _config.breaker.cooldownMs });
+    return { ...base, status: "deferred", error: "circuit_open" };
+  }
+
+  const attempt = delivery.attempts + 1;
+  const attemptedAt = nowISO();
+  _store.addAttempt({
+    id: uid("att"), deliveryId: delivery.id, attempt, statusCode: outcome.statusCode, error: outcome.error,
+    durationMs: outcome.durationMs, responseExcerpt: outcome.responseExcerpt, createdAt: attemptedAt,
+  });
+
+  const common = { attempts: attempt, lastAttemptAt: attemptedAt, lastStatusCode: outcome.statusCode, lastError: outcome.error };
+  let result;
+  if (outcome.ok) {
+    _store.update(delivery.id, { ...common, status: DELIVERY_STATUS.DELIVERED, deliveredAt: attemptedAt, nextAttemptAt: null });
+    result = { ...base, status: DELIVERY_STATUS.DELIVERED, attempts: attempt, statusCode: outcome.statusCode };
+  } else if (attempt >= delivery.maxAttempts) {
+    deadLetter(delivery, outcome.error, { ...common, nextAttemptAt: null });
+    result = { ...base, status: DELIVERY_STATUS.DEAD_LETTER, attempts: attempt, statusCode: outcome.statusCode, error: outcome.error };
+  } else {
+    const nextAttemptAt = now + backoffMs(attempt);
+    _store.update(delivery.id, { ...common, status: DELIVERY_STATUS.RETRYING, nextAttemptAt });
+    result = {
+      ...base, status: DELIVERY_STATUS.RETRYING, attempts: attempt, statusCode: outcome.statusCode,
+      error: outcome.error, nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+    };
+  }
+
+  notify(ep, result);
+  return result;
+}
+
+/**
+ * Attempt every delivery that is due. Deliveries run sequentially so one
+ * endpoint's breaker state is settled before its next delivery.
+ * Overlapping calls are skipped (returns busy: true).
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.now] - Epoch ms (defaults to Date.now())
+ * @param {number} [opts.limit]
+ */
+export async function processWebhookDeliveries(opts = {}) {
+  if (_processing) return { ok: true, processed: 0, busy: true, results: [] };
+  _processing = true;
+  try {
+    const now = opts.now ?? Date.now();
+    const results = [];
+    for (const delivery of _store.due(now, opts.limit || _config.batchSize)) {
+      results.push(await processOne(delivery, now));
+    }
+    return { ok: true, processed: results.length, results };
+  } finally {
+    _processing = false;
+  }
+}
+
+// ── Log & Dead-Letter Queue ─────────────────────────────────────────────────
+
+export function getWebhookDelivery(deliveryId) {
+  const delivery = _store.get(deliveryId);
+  if (!delivery) return { ok: false, error: "Delivery not found" };
+  return { ok: true, delivery: { ...delivery, attemptLog: _store.attempts(deliveryId) } };
+}
+
+export function listWebhookDeliveries({ endpointId, status, limit = 50, offset = 0 } = {}) {
+  const { deliveries, total } = _store.list({
+    endpointId, status, limit: Math.min(Math.max(Number(limit) || 50, 1), 500), offset: Math.max(Number(offset) || 0, 0),
+  });
+  return { ok: true, deliveries, total };
+}
+
+export function listDeadLetters(opts = {}) {
+  return listWebhookDeliveries({ ...opts, status: DELIVERY_STATUS.DEAD_LETTER });
+}
+
+/**
+ * Put a dead-lettered delivery back in the queue with a fresh attempt
+ * budget. The endpoint's current URL is used, so a fixed URL takes effect.
+ */
+export function replayWebhookDelivery(deliveryId) {
+  const delivery = _store.get(deliveryId);
+  if (!delivery) return { ok: false, error: "Delivery not found" };
+  if (delivery.status !== DELIVERY_STATUS.DEAD_LETTER) {
+    return { ok: false, error: "Only dead-lettered deliveries can be replayed", status: delivery.status };
+  }
+  const ep = _endpoints.get(delivery.endpointId);
+  if (!ep) return { ok: false, error: "Endpoint not registered" };
+  if (!ep.active) return { ok: false, error: "Endpoint is not active" };
+
+  breakerFor(ep.id).reset();
+  _store.update(deliveryId, {
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: ep.maxAttempts || _config.maxAttempts,
+    nextAttemptAt: Date.now(),
+    url: ep.url,
+    deadLetteredAt: null,
+    replayCount: (delivery.replayCount || 0) + 1,
+  });
+  return { ok: true, deliveryId, status: DELIVERY_STATUS.PENDING };
+}
+
+/**
+ * Replay every dead letter (optionally for one endpoint). Deliveries whose
+ * endpoint is gone or inactive are left in the queue.
+ */
+export function replayDeadLetters({ endpointId, limit = 500 } = {}) {
+  const { deliveries } = listDeadLetters({ endpointId, limit });
+  const replayed = [];
+  const skipped = [];
+  for (const d of deliveries) {
+    const r = replayWebhookDelivery(d.id);
+    if (r.ok) replayed.push(d.id);
+    else skipped.push({ deliveryId: d.id, error: r.error });
+  }
+  return { ok: true, replayed: replayed.length, skipped, deliveryIds: replayed };
+}
+
+export function getWebhookDeliveryStats() {
+  const breakers = {};
+  for (const [id, breaker] of _breakers) breakers[id] = breaker.getStatus();
+  return {
+    ok: true,
+    store: _store.kind,
+    endpoints: _endpoints.size,
+    byStatus: _store.countByStatus(),
+    breakers,
+  };
+}
@@ -11,6 +11,12 @@
  * Replay Engine:
  * Given: event stream, seed, model version
  * Replay: decisions, transfers, attention scheduling, learning updates
+ *
+ * Durability: attachEventStore(db) writes every event through to SQLite
+ * (migration 040) so the log, the sequence counter and durable subscriber
+ * cursors survive restarts. The in-memory log stays as a hot cache.
+ * replayFromStore() re-drives replay subscribers from any sequence into a
+ * sandboxed copy of STATE; scripts/replay-cognition.js does the same offline.
  */
 
 import logger from '../logger.js';
@@ -55,6 +61,17 @@ const subscribers = new Map(); // eventType -> Set<callback>
 // Sequence counter for deterministic ordering
 let sequence = 0;
 
+// Durable store (SQLite) — null until attachEventStore()
+const SEGMENT_SIZE = 10000;
+let store = null;
+const unpersisted = [];   // events emitted while no store was attached
+
+// Durable subscribers: subscriberId -> { type, callback, cursor, lagging }
+const durableSubscribers = new Map();
+
+// Replay subscribers: eventType -> Set<handler(event, { state, random, modelVersion })>
+const replaySubscribers = new Map();
+
 /**
  * Emit a cognition event to the bus.
  * All events are appended to the log and dispatched to subscribers.
@@ -81,6 +98,7 @@ function emit(type, payload = {}, meta = {}) {
 
   // Append to log
   eventLog.push(event);
+  persistEvent(event);
 
   // Trim if too large (keep recent events)
   if (eventLog.length > MAX_LOG_SIZE) {
@@ -103,6 +121,12 @@ function emit(type, payload = {}, meta = {}) {
     }
   }
 
+  // Durable subscribers advance their cursor per event
+  for (const [id, sub] of durableSubscribers) {
+    if (sub.lagging || (sub.type !== "*" && sub.type !== type)) continue;
+    deliverDurable(id, sub, event);
+  }
+
   return event;
 }
 
@@ -126,8 +150,18 @@ function subscribe(type, callback) {
 
 /**
  * Query the event log with filters.
+ * Reads the durable store when one is attached, else the in-memory log.
  */
 function queryEvents({ type, since, until, actorId, sessionId, shard, limit = 100, offset = 0 } = {}) {
+  if (store) {
+    const { where, params } = storeFilter({ type, since, until, actorId, sessionId, shard });
+    const total = store.db.prepare(`SELECT COUNT(*) as c FROM cognition_events ${where}`).get(...params).c;
+    const events = store.db.prepare(
+      `SELECT * FROM cognition_events ${where} ORDER BY seq ASC LIMIT ? OFFSET ?`
+    ).all(...params, limit, offset).map(rowToEvent);
+    return { events, total, offset, limit };
+  }
+
   let results = eventLog;
 
   if (type) results = results.filter(e => e.type === type);
@@ -147,9 +181,231 @@ function queryEvents({ type, since, until, actorId, sessionId, shard, limit = 10
  * Get event log snapshot for replay.
  */
 function getSnapshot(fromSeq = 0, toSeq = Infinity) {
+  if (store) return readStoredEvents({ fromSeq, toSeq, limit: MAX_LOG_SIZE });
   return eventLog.filter(e => e.seq >= fromSeq && e.seq <= toSeq);
 }
 
+// ===== DURABLE EVENT STORE =====
+
+function rowToEvent(row) {
+  return {
+    seq: row.seq,
+    type: row.type,
+    payload: JSON.parse(row.payload_json),
+    ts: row.ts,
+    isoTs: row.iso_ts,
+    meta: JSON.parse(row.meta_json),
+  };
+}
+
+function storeFilter({ type, types, since, until, actorId, sessionId, shard, fromSeq, toSeq } = {}) {
+  const clauses = [];
+  const params = [];
+  if (type && type !== "*") { clauses.push("type = ?"); params.push(type); }
+  if (Array.isArray(types) && types.length) { clauses.push(`type IN (${types.map(() => "?").join(",")})`); params.push(...types); }
+  if (since) { clauses.push("ts >= ?"); params.push(since); }
+  if (until) { clauses.push("ts <= ?"); params.push(until); }
+  if (actorId) { clauses.push("actor_id = ?"); params.push(actorId); }
+  if (sessionId) { clauses.push("session_id = ?"); params.push(sessionId); }
+  if (shard) { clauses.push("shard = ?"); params.push(shard); }
+  if (fromSeq) { clauses.push("seq >= ?"); params.push(fromSeq); }
+  if (Number.isFinite(toSeq)) { clauses.push("seq <= ?"); params.push(toSeq); }
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
+
+/**
+ * Read events in sequence order from the store (or the in-memory log when
+ * none is attached).
+ */
+function readStoredEvents({ fromSeq = 0, toSeq = Infinity, type, types, actorId, limit = 1000 } = {}) {
+  if (!store) {
+    return eventLog.filter(e => e.seq >= fromSeq && e.seq <= toSeq
+      && (!type || type === "*" || e.type === type)
+      && (!types?.length || types.includes(e.type))
+      && (!actorId || e.meta.actorId === actorId)).slice(0, limit);
+  }
+  const { where, params } = storeFilter({ fromSeq, toSeq, type, types, actorId });
+  return store.db.prepare(`SELECT * FROM cognition_events ${where} ORDER BY seq ASC LIMIT ?`)
+    .all(...params, limit).map(rowToEvent);
+}
+
+function persistEvent(event) {
+  if (!store) {
+    unpersisted.push(event);
+    if (unpersisted.length > MAX_LOG_SIZE) unpersisted.shift();
+    return;
+  }
+  try {
+    store.insert.run(
+      event.seq, Math.floor((event.seq - 1) / SEGMENT_SIZE), event.type,
+      JSON.stringify(event.payload ?? {}), JSON.stringify(event.meta),
+      event.meta.actorId, event.meta.sessionId, event.meta.shard, event.ts, event.isoTs,
+    );
+  } catch (e) {
+    logger.warn('cognition-bus', 'event not persisted', { seq: event.seq, error: e?.message });
+  }
+}
+
+/**
+ * Write the bus through to SQLite. The sequence counter resumes after the
+ * highest stored sequence; events emitted before the store was attached
+ * are renumbered after it and persisted.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ ok: boolean, lastSeq?: number, persistedBacklog?: number, error?: string }}
+ */
+function attachEventStore(db) {
+  try {
+    db.prepare("SELECT 1 FROM cognition_events LIMIT 1").get();
+  } catch {
+    return { ok: false, error: "event_store_not_migrated" };
+  }
+
+  store = {
+    db,
+    insert: db.prepare(`
+      INSERT INTO cognition_events (seq, segment, type, payload_json, meta_json, actor_id, session_id, shard, ts, iso_ts)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    saveCursor: db.prepare(`
+      INSERT INTO cognition_bus_cursors (subscriber_id, event_type, last_seq, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(subscriber_id) DO UPDATE SET event_type = excluded.event_type, last_seq = excluded.last_seq, updated_at = excluded.updated_at
+    `),
+    loadCursor: db.prepare("SELECT last_seq FROM cognition_bus_cursors WHERE subscriber_id = ?"),
+  };
+
+  const lastSeq = db.prepare("SELECT MAX(seq) as s FROM cognition_events").get().s || 0;
+  sequence = lastSeq;
+
+  const backlog = unpersisted.splice(0);
+  db.transaction(() => {
+    for (const event of backlog) {
+      event.seq = ++sequence;
+      persistEvent(event);
+    }
+  })();
+  eventLog.sort((a, b) => a.seq - b.seq);
+
+  return { ok: true, lastSeq: sequence, persistedBacklog: backlog.length };
+}
+
+function detachEventStore() {
+  store = null;
+  return { ok: true };
+}
+
+function getStoreStats() {
+  if (!store) return { attached: false, unpersisted: unpersisted.length };
+  const row = store.db.prepare(`
+    SELECT COUNT(*) as events, MIN(seq) as firstSeq, MAX(seq) as lastSeq,
+           COUNT(DISTINCT segment) as segments, MIN(segment) as firstSegment
+    FROM cognition_events
+  `).get();
+  return { attached: true, segmentSize: SEGMENT_SIZE, ...row };
+}
+
+/**
+ * Drop whole segments of old history, keeping the newest `keepSegments`.
+ * Never drops events a durable subscriber hasn't processed yet.
+ */
+function pruneEventSegments({ keepSegments = 10 } = {}) {
+  if (!store) return { ok: false, error: "no_event_store" };
+  const current = Math.floor(Math.max(sequence - 1, 0) / SEGMENT_SIZE);
+  let cutoff = current - Math.max(1, keepSegments) + 1;
+
+  const slowest = store.db.prepare("SELECT MIN(last_seq) as s FROM cognition_bus_cursors").get().s;
+  if (slowest !== null && slowest !== undefined) {
+    cutoff = Math.min(cutoff, Math.floor(slowest / SEGMENT_SIZE));
+  }
+  if (cutoff <= 0) return { ok: true, deleted: 0, keptFromSegment: 0 };
+
+  const { changes } = store.db.prepare("DELETE FROM cognition_events WHERE segment < ?").run(cutoff);
+  return { ok: true, deleted: changes, keptFromSegment: cutoff };
+}
+
+// ===== DURABLE SUBSCRIPTIONS =====
+
+function saveCursor(id, sub) {
+  if (!store) return;
+  try {
+    store.saveCursor.run(id, sub.type, sub.cursor, new Date().toISOString());
+  } catch (e) {
+    logger.warn('cognition-bus', 'cursor not saved', { subscriberId: id, error: e?.message });
+  }
+}
+
+function deliverDurable(id, sub, event) {
+  try {
+    sub.callback(event);
+  } catch (e) {
+    // Stop here; the cursor stays on the last event handled and the next
+    // catch-up retries from it (at-least-once, in order)
+    sub.lagging = true;
+    sub.lastError = String(e?.message || e);
+    return false;
+  }
+  sub.cursor = event.seq;
+  saveCursor(id, sub);
+  return true;
+}
+
+/**
+ * Re-drive a durable subscriber from its cursor up to the head of the log.
+ */
+function catchUpSubscriber(subscriberId) {
+  const sub = durableSubscribers.get(subscriberId);
+  if (!sub) return { ok: false, error: "subscriber_not_found" };
+
+  sub.lagging = true;   // hold live delivery until caught up
+  let delivered = 0;
+  for (;;) {
+    const batch = readStoredEvents({ fromSeq: sub.cursor + 1, toSeq: sequence, type: sub.type, limit: 500 });
+    if (batch.length === 0) break;
+    for (const event of batch) {
+      if (!deliverDurable(subscriberId, sub, event)) {
+        return { ok: false, error: "subscriber_failed", cursor: sub.cursor, delivered, detail: sub.lastError };
+      }
+      delivered++;
+    }
+  }
+  sub.lagging = false;
+  sub.lastError = null;
+  return { ok: true, cursor: sub.cursor, delivered };
+}
+
+/**
+ * Subscribe with a persisted cursor. After a restart (or a crash in the
+ * callback) the subscriber resumes from the last event it handled.
+ *
+ * @param {string} subscriberId - Stable id; the cursor is stored under it
+ * @param {string} type - Event type or "*"
+ * @param {Function} callback - Called with each event; throw to stop and retry later
+ * @param {Object} [opts]
+ * @param {number} [opts.fromSeq] - Start here when no cursor is stored (default: only new events)
+ */
+function subscribeDurable(subscriberId, type, callback, opts = {}) {
+  if (!subscriberId) return { ok: false, error: "subscriber_id_required" };
+
+  let cursor = null;
+  if (store) cursor = store.loadCursor.get(subscriberId)?.last_seq ?? null;
+  if (cursor === null) cursor = opts.fromSeq ? Number(opts.fromSeq) - 1 : sequence;
+
+  durableSubscribers.set(subscriberId, { type, callback, cursor, lagging: false, lastError: null });
+  const caughtUp = catchUpSubscriber(subscriberId);
+
+  return {
+    ...caughtUp,
+    subscriberId,
+    unsubscribe: () => durableSubscribers.delete(subscriberId),
+  };
+}
+
+function listDurableSubscribers() {
+  return Array.from(durableSubscribers.entries()).map(([id, sub]) => ({
+    subscriberId: id, type: sub.type, cursor: sub.cursor, lagging: sub.lagging, lastError: sub.lastError,
+  }));
+}
+
 // ===== DETERMINISTIC REPLAY ENGINE =====
 
 /**
@@ -253,6 +509,119 @@ function replayAll(ctx) {
   };
 }
 
+/**
+ * Register a replay subscriber. During replayFromStore() it is called for
+ * each matching event with a sandboxed STATE it may mutate freely and the
+ * replay's seeded RNG; its return value is recorded on the decision.
+ * @returns {Function} unsubscribe
+ */
+function subscribeReplay(type, handler) {
+  if (!replaySubscribers.has(type)) replaySubscribers.set(type, new Set());
+  replaySubscribers.get(type).add(handler);
+  return () => replaySubscribers.get(type)?.delete(handler);
+}
+
+function runReplay(events, { seed, modelVersion, baseState, stopAtSeq } = {}) {
+  const ctx = createReplayContext(events, seed, modelVersion);
+  const state = structuredClone(baseState || {});
+  const decisions = [];
+  let stateBefore = null;
+
+  for (;;) {
+    const next = ctx.events[ctx.cursor];
+    if (next && stopAtSeq !== undefined && next.seq === stopAtSeq) stateBefore = structuredClone(state);
+
+    const step = replayStep(ctx);
+    if (step.done) break;
+
+    const event = ctx.events[ctx.cursor - 1];
+    const effects = [];
+    for (const key of [event.type, "*"]) {
+      for (const handler of replaySubscribers.get(key) || []) {
+        try {
+          const out = handler(event, { state, random: ctx.nextRandom, modelVersion: ctx.modelVersion });
+          if (out !== undefined) effects.push(out);
+        } catch (e) {
+          effects.push({ error: String(e?.message || e) });
+        }
+      }
+    }
+    if (effects.length) step.decision.effects = effects;
+    decisions.push(step.decision);
+  }
+
+  return { ctx, state, decisions, stateBefore };
+}
+
+/**
+ * Replay stored events from sequence `fromSeq` into a sandboxed STATE.
+ * Nothing outside the sandbox is touched, so this is safe on a live server.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.fromSeq=1]
+ * @param {number} [opts.toSeq]
+ * @param {string} [opts.seed="default"]
+ * @param {string} [opts.modelVersion]
+ * @param {Object} [opts.baseState] - Starting sandbox state (deep-cloned)
+ * @param {string} [opts.actorId] - Only this actor's events
+ * @param {string[]} [opts.types] - Only these event types
+ * @param {number} [opts.limit]
+ */
+function replayFromStore(opts = {}) {
+  const fromSeq = Math.max(1, Number(opts.fromSeq) || 1);
+  const toSeq = opts.toSeq !== undefined ? Number(opts.toSeq) : Infinity;
+  const events = readStoredEvents({
+    fromSeq, toSeq, actorId: opts.actorId, types: opts.types, limit: Number(opts.limit) || MAX_LOG_SIZE,
+  });
+
+  const { ctx, state, decisions } = runReplay(events, {
+    seed: opts.seed || "default", modelVersion: opts.modelVersion, baseState: opts.baseState,
+  });
+
+  return {
+    ok: true,
+    source: store ? "store" : "memory",
+    fromSeq,
+    toSeq: events.length ? events[events.length - 1].seq : null,
+    decisions,
+    totalReplayed: decisions.length,
+    seed: ctx.seed,
+    modelVersion: ctx.modelVersion,
+    state,
+  };
+}
+
+/**
+ * Reproduce one decision: replay from `fromSeq` through `seq` and return
+ * the decision at `seq` with the sandbox state just before and after it.
+ */
+function explainEvent(seq, opts = {}) {
+  const target = Number(seq);
+  const [event] = readStoredEvents({ fromSeq: target, toSeq: target, limit: 1 });
+  if (!event) return { ok: false, error: "event_not_found", seq: target };
+
+  const fromSeq = Math.max(1, Number(opts.fromSeq) || 1);
+  const events = readStoredEvents({
+    fromSeq, toSeq: target, actorId: opts.actorId, types: opts.types, limit: MAX_LOG_SIZE,
+  });
+  if (events[events.length - 1]?.seq !== target) events.push(event);
+
+  const { ctx, state, decisions, stateBefore } = runReplay(events, {
+    seed: opts.seed || "default", modelVersion: opts.modelVersion, baseState: opts.baseState, stopAtSeq: target,
+  });
+
+  return {
+    ok: true,
+    event,
+    decision: decisions[decisions.length - 1],
+    precedingEvents: decisions.length - 1,
+    stateBefore,
+    stateAfter: state,
+    seed: ctx.seed,
+    modelVersion: ctx.modelVersion,
+  };
+}
+
 function hashSeed(seed) {
   const str = String(seed);
   let hash = 0;
@@ -264,10 +633,11 @@ function hashSeed(seed) {
   return Math.abs(hash);
 }
 
-function init({ register, STATE, helpers: _helpers }) {
+function init({ register, STATE, helpers: _helpers, db }) {
   STATE.__loaf = STATE.__loaf || {};
   STATE.__loaf.cognitionBus = {
     stats: { eventsEmitted: 0, subscriberCount: 0, replaysRun: 0, queriesRun: 0 },
+    store: db ? attachEventStore(db) : { ok: false, error: "no_database" },
   };
 
   register("loaf.bus", "status", (ctx) => {
@@ -278,6 +648,8 @@ function init({ register, STATE, helpers: _helpers }) {
       currentSequence: sequence,
       eventTypes: EVENT_TYPES,
       subscriberCount: Array.from(subscribers.values()).reduce((s, set) => s + set.size, 0),
+      durableSubscribers: listDurableSubscribers(),
+      store: getStoreStats(),
       stats: cb.stats,
     };
   }, { public: true });
@@ -310,16 +682,43 @@ function init({ register, STATE, helpers: _helpers }) {
     cb.stats.replaysRun++;
     return result;
   }, { public: false });
+
+  register("loaf.bus", "replaySandbox", (ctx, input = {}) => {
+    const cb = ctx.state.__loaf.cognitionBus;
+    cb.stats.replaysRun++;
+    return replayFromStore(input);
+  }, { public: false });
+
+  register("loaf.bus", "explain", (ctx, input = {}) => {
+    const cb = ctx.state.__loaf.cognitionBus;
+    cb.stats.replaysRun++;
+    return explainEvent(input.seq, input);
+  }, { public: false });
+
+  register("loaf.bus", "prune", (_ctx, input = {}) => {
+    return pruneEventSegments({ keepSegments: Number(input.keepSegments) || undefined });
+  }, { public: false });
 }
 
 export {
   EVENT_TYPES,
+  SEGMENT_SIZE,
   emit,
   subscribe,
   queryEvents,
   getSnapshot,
+  attachEventStore,
+  detachEventStore,
+  getStoreStats,
+  pruneEventSegments,
+  subscribeDurable,
+  catchUpSubscriber,
+  listDurableSubscribers,
   createReplayContext,
   replayStep,
   replayAll,
+  subscribeReplay,
+  replayFromStore,
+  explainEvent,
   init,
 };
@@ -114,6 +114,8 @@ const ALL_MODULES = [
  * @param {Function} ctx.register - Macro registry function: register(domain, name, fn, spec)
  * @param {Object} ctx.STATE - Global server state object
  * @param {Object} ctx.helpers - Utility functions from the server
+ * @param {Object} [ctx.db] - SQLite database, when available (durable LOAF stores)
+ * @param {string} [ctx.dataDir] - Server data directory (on-disk LOAF shards)
  * @returns {{ ok: boolean, modules: string[], version: string }}
  */
 function initAll(ctx) {
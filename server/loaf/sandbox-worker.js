@@ -0,0 +1,120 @@
+/**
+ * LOAF II.6 — App Sandbox Worker
+ *
+ * Runs one app's logicSchema handlers off the main thread. Each handler is
+ * the body of an async function `(input, host)` compiled once into a vm
+ * context that has no Node globals and cannot generate code from strings.
+ *
+ * Only strings cross into the context: input, host results and host errors
+ * arrive as JSON and are parsed by the context's own JSON, so app code never
+ * holds an object from this realm. `host` calls are forwarded to the parent
+ * thread, which checks the sandbox's permissions before acting.
+ *
+ * The thread itself is the containment boundary: the parent sets its heap
+ * limits, gives it an empty environment and terminates it on kill or when a
+ * run overruns its wall-clock limit.
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+import { performance } from "node:perf_hooks";
+import vm from "node:vm";
+
+const HOST_METHODS = ["readMemory", "writeMemory", "callWrapper", "hasPermission", "log"];
+
+const context = vm.createContext(Object.create(null), {
+  name: `loaf-app:${workerData.appName}`,
+  codeGeneration: { strings: false, wasm: false },
+});
+
+const pendingCalls = new Map(); // callId -> done(error, json)
+let nextCallId = 1;
+
+function post(method, argsJson, done) {
+  const id = nextCallId++;
+  pendingCalls.set(id, done);
+  parentPort.postMessage({ type: "host-call", id, method, argsJson: String(argsJson) });
+}
+
+// Build `host` inside the context so its functions and promises belong to
+// the context realm; `post` stays captured in the closure.
+const buildHost = vm.runInContext(`(function (post, methods) {
+  "use strict";
+  const host = {};
+  for (const method of methods.split(",")) {
+    host[method] = (...args) => new Promise((resolve, reject) => {
+      post(method, JSON.stringify(args), (error, json) => {
+        if (error) reject(new Error(error));
+        else resolve(json === undefined ? undefined : JSON.parse(json));
+      });
+    });
+  }
+  return Object.freeze(host);
+})`, context);
+context.__host = buildHost(post, HOST_METHODS.join(","));
+vm.runInContext("globalThis.__handlers = Object.create(null);", context);
+
+const compileErrors = {};
+for (const [name, source] of Object.entries(workerData.handlers || {})) {
+  try {
+    context.__name = name;
+    vm.runInContext(`__handlers[__name] = (async function (input, host) {\n${source}\n});`, context, {
+      filename: `${workerData.appName}/${name}.js`,
+      lineOffset: -1,
+      timeout: workerData.compileTimeoutMs,
+    });
+  } catch (e) {
+    compileErrors[name] = String(e?.message || e);
+  }
+}
+
+const invoke = new vm.Script("__handlers[__name](JSON.parse(__input), __host)", { filename: "loaf-sandbox-invoke.js" });
+
+// CPU time of this thread in ms. Node >= 23.9 reports it directly; earlier
+// versions fall back to event-loop active time, which on a thread doing
+// nothing else is the time spent running app code.
+function threadCpuMs() {
+  if (typeof process.threadCpuUsage === "function") {
+    const { user, system } = process.threadCpuUsage();
+    return (user + system) / 1000;
+  }
+  return performance.eventLoopUtilization().active;
+}
+
+async function run({ runId, handler, inputJson, cpuLimitMs }) {
+  const start = threadCpuMs();
+  const finish = (payload) => {
+    parentPort.postMessage({ type: "result", runId, cpuMs: threadCpuMs() - start, ...payload });
+  };
+
+  if (compileErrors[handler]) return finish({ ok: false, error: `handler_compile_error: ${compileErrors[handler]}` });
+  try {
+    context.__name = handler;
+    context.__input = inputJson;
+    const value = await invoke.runInContext(context, { timeout: cpuLimitMs });
+    let json;
+    try {
+      json = value === undefined ? undefined : JSON.stringify(value);
+    } catch (e) {
+      return finish({ ok: false, error: `result_not_serializable: ${e.message}` });
+    }
+    return finish({ ok: true, json });
+  } catch (e) {
+    if (e?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") return finish({ ok: false, error: "cpu_time_exceeded" });
+    return finish({ ok: false, error: String(e?.message ?? e) });
+  }
+}
+
+parentPort.on("message", (msg) => {
+  if (msg.type === "run") {
+    run(msg);
+    return;
+  }
+
+  if (msg.type === "host-result") {
+    const done = pendingCalls.get(msg.id);
+    pendingCalls.delete(msg.id);
+    if (done) done(msg.error || null, msg.json);
+  }
+});
+
+parentPort.postMessage({ type: "ready", handlers: Object.keys(workerData.handlers || {}), compileErrors });
@@ -8,18 +8,36 @@
  * Apps defined by:
  *   manifest, uiSchema, logicSchema, stateSchema,
  *   safety limits, wrapper allowlist
+ *
+ * App logic runs in a worker thread per sandbox (sandbox-worker.js) with a
+ * heap limit from safetyLimits.maxMemoryMb. logicSchema.handlers maps a
+ * handler name to the body of an async function `(input, host)`; `host`
+ * exposes readMemory / writeMemory / callWrapper / hasPermission / log,
+ * each checked here against the sandbox's permissions, allowlist and op
+ * rate. Measured CPU time is charged to the budget; the kill switch
+ * terminates the worker.
  */
 
+import { Worker } from "node:worker_threads";
+
 const SANDBOX_DEFAULTS = Object.freeze({
   maxBudget: 1000,
   maxMemoryItems: 500,
   maxExecutionTimeMs: 60000,       // 1 minute
   defaultPermissions: ["read"],
   auditEnabled: true,
+  budgetPerCpuMs: 1,               // budget units charged per ms of app CPU time
+  maxCpuMsPerRun: 1000,
+  maxRunMs: 5000,                  // wall clock, including time waiting on the host
+  compileTimeoutMs: 1000,
 });
 
+const WORKER_URL = new URL("./sandbox-worker.js", import.meta.url);
+
 // Active sandboxes
 const sandboxes = new Map();  // sandboxId -> Sandbox
+const runtimes = new Map();   // sandboxId -> running app worker
+const wrappers = new Map();   // wrapper name -> async (input, { sandboxId, appName }) => result
 
 /**
  * Create an agent sandbox.
@@ -79,6 +97,8 @@ function createAppSandbox(manifest) {
       maxStateSize: Number(manifest.safetyLimits?.maxStateSize || 10000),
       maxOpsPerSecond: Number(manifest.safetyLimits?.maxOpsPerSecond || 100),
       maxMemoryMb: Number(manifest.safetyLimits?.maxMemoryMb || 50),
+      maxCpuMsPerRun: Number(manifest.safetyLimits?.maxCpuMsPerRun || SANDBOX_DEFAULTS.maxCpuMsPerRun),
+      maxRunMs: Number(manifest.safetyLimits?.maxRunMs || SANDBOX_DEFAULTS.maxRunMs),
     },
     wrapperAllowlist: Array.isArray(manifest.wrapperAllowlist)
       ? manifest.wrapperAllowlist.map(String)
@@ -96,6 +116,7 @@ function createAppSandbox(manifest) {
       ? manifest.permissions
       : [...SANDBOX_DEFAULTS.defaultPermissions],
     auditTrail: [],
+    usage: { runs: 0, cpuMs: 0, hostCalls: 0 },
     status: "active",
     createdAt: new Date().toISOString(),
     startedAt: new Date().toISOString(),
@@ -180,9 +201,241 @@ function killSandbox(sandboxId, reason) {
   sandbox.killSwitch.reason = String(reason || "manual");
   sandbox.killSwitch.killedAt = new Date().toISOString();
   audit(sandbox, "killed", { reason: sandbox.killSwitch.reason });
+  terminateRuntime(sandboxId, `sandbox_killed: ${sandbox.killSwitch.reason}`);
   return { ok: true, sandbox: sanitizeSandbox(sandbox) };
 }
 
+// ── App execution ───────────────────────────────────────────────────────────
+
+/**
+ * Make a wrapper callable from app logic via host.callWrapper(name, input).
+ * Apps can still only call wrappers named in their wrapperAllowlist.
+ */
+function registerSandboxWrapper(name, fn) {
+  if (typeof fn !== "function") return { ok: false, error: "wrapper_must_be_function" };
+  wrappers.set(String(name), fn);
+  return { ok: true, name: String(name) };
+}
+
+function handlerSources(sandbox) {
+  const handlers = {};
+  for (const [name, def] of Object.entries(sandbox.logicSchema?.handlers || {})) {
+    const source = typeof def === "string" ? def : def?.source;
+    if (typeof source === "string") handlers[name] = source;
+  }
+  return handlers;
+}
+
+function spawnRuntime(sandbox) {
+  const worker = new Worker(WORKER_URL, {
+    workerData: {
+      appName: sandbox.appName,
+      handlers: handlerSources(sandbox),
+      compileTimeoutMs: SANDBOX_DEFAULTS.compileTimeoutMs,
+    },
+    resourceLimits: {
+      maxOldGenerationSizeMb: sandbox.safetyLimits.maxMemoryMb,
+      maxYoungGenerationSizeMb: Math.max(1, Math.min(16, Math.floor(sandbox.safetyLimits.maxMemoryMb / 4))),
+      stackSizeMb: 4,
+    },
+    env: {},        // no host environment (API keys) inside the sandbox
+  });
+
+  const runtime = {
+    worker,
+    runs: new Map(),        // runId -> settle(result)
+    queue: Promise.resolve(),
+    nextRunId: 1,
+    resolveWrapper: null,   // set per run
+    opsWindow: { startedAt: 0, count: 0 },
+    exitReason: null,
+  };
+
+  worker.on("message", (msg) => {
+    if (msg.type === "result") {
+      const settle = runtime.runs.get(msg.runId);
+      if (settle) settle(msg);
+    } else if (msg.type === "host-call") {
+      handleHostCall(sandbox, runtime, msg);
+    }
+  });
+  worker.on("error", (err) => {
+    if (err?.code === "ERR_WORKER_OUT_OF_MEMORY") {
+      runtime.exitReason = "memory_limit_exceeded";
+      killSandbox(sandbox.id, "memory_limit_exceeded");
+    } else {
+      runtime.exitReason = `worker_error: ${err?.message || err}`;
+      audit(sandbox, "worker_error", { error: String(err?.message || err) });
+    }
+  });
+  worker.on("exit", () => {
+    if (runtimes.get(sandbox.id) === runtime) runtimes.delete(sandbox.id);
+    for (const settle of runtime.runs.values()) {
+      settle({ ok: false, error: runtime.exitReason || "sandbox_worker_exited", cpuMs: null });
+    }
+  });
+
+  // After the listeners: attaching a message listener re-refs the worker
+  worker.unref();
+  runtimes.set(sandbox.id, runtime);
+  return runtime;
+}
+
+function terminateRuntime(sandboxId, reason) {
+  const runtime = runtimes.get(sandboxId);
+  if (!runtime) return false;
+  runtimes.delete(sandboxId);
+  runtime.exitReason = runtime.exitReason || reason;
+  runtime.worker.terminate();
+  return true;
+}
+
+// Host API: every call is checked against the sandbox before it acts.
+async function hostApi(sandbox, runtime, method, args) {
+  const now = Date.now();
+  const ops = runtime.opsWindow;
+  if (now - ops.startedAt >= 1000) { ops.startedAt = now; ops.count = 0; }
+  if (++ops.count > sandbox.safetyLimits.maxOpsPerSecond) throw new Error("rate_limited");
+  sandbox.usage.hostCalls++;
+
+  const requirePermission = (permission) => {
+    const check = checkPermission(sandbox.id, permission);
+    if (!check.ok) throw new Error(check.error);
+    if (!check.allowed) throw new Error(`permission_denied: ${permission}`);
+  };
+
+  switch (method) {
+    case "readMemory": {
+      requirePermission("read");
+      const r = readMemory(sandbox.id, String(args[0] ?? ""));
+      return r.ok ? r.value : undefined;
+    }
+    case "writeMemory": {
+      requirePermission("write");
+      const size = JSON.stringify(args[1] ?? null).length;
+      if (size > sandbox.safetyLimits.maxStateSize) throw new Error("state_size_exceeded");
+      const r = writeMemory(sandbox.id, String(args[0] ?? ""), args[1]);
+      if (!r.ok) throw new Error(r.error);
+      return true;
+    }
+    case "callWrapper": {
+      const name = String(args[0] ?? "");
+      if (!sandbox.wrapperAllowlist.includes(name)) {
+        audit(sandbox, "wrapper_denied", { name });
+        throw new Error(`wrapper_not_allowlisted: ${name}`);
+      }
+      const fn = runtime.resolveWrapper?.(name) || wrappers.get(name);
+      if (!fn) throw new Error(`wrapper_not_found: ${name}`);
+      audit(sandbox, "wrapper_call", { name });
+      return fn(args[1] ?? {}, { sandboxId: sandbox.id, appName: sandbox.appName });
+    }
+    case "hasPermission":
+      return checkPermission(sandbox.id, String(args[0] ?? "")).allowed === true;
+    case "log":
+      audit(sandbox, "app_log", { message: String(args[0] ?? "").slice(0, 500) });
+      return true;
+    default:
+      throw new Error(`unknown_host_method: ${method}`);
+  }
+}
+
+async function handleHostCall(sandbox, runtime, msg) {
+  let reply;
+  try {
+    const value = await hostApi(sandbox, runtime, msg.method, JSON.parse(msg.argsJson || "[]"));
+    reply = { type: "host-result", id: msg.id, json: value === undefined ? undefined : JSON.stringify(value) };
+  } catch (e) {
+    reply = { type: "host-result", id: msg.id, error: String(e?.message || e) };
+  }
+  try {
+    runtime.worker.postMessage(reply);
+  } catch {
+    // Worker already gone; its runs were settled on exit
+  }
+}
+
+// Charge measured CPU time; a run can overshoot by at most one timeslice,
+// so the charge is capped at what is left.
+function chargeCpu(sandbox, cpuMs) {
+  const cost = Math.max(1, Math.ceil(cpuMs * SANDBOX_DEFAULTS.budgetPerCpuMs));
+  const charged = Math.min(cost, sandbox.budget.remaining);
+  sandbox.budget.used += charged;
+  sandbox.budget.remaining = sandbox.budget.total - sandbox.budget.used;
+  sandbox.usage.cpuMs += cpuMs;
+  audit(sandbox, "cpu_charged", { cpuMs: Math.round(cpuMs * 100) / 100, cost: charged });
+  return charged;
+}
+
+function executeRun(sandbox, runtime, handler, input) {
+  const budgetCpuMs = Math.floor(sandbox.budget.remaining / SANDBOX_DEFAULTS.budgetPerCpuMs);
+  const cpuLimitMs = Math.min(sandbox.safetyLimits.maxCpuMsPerRun, budgetCpuMs);
+  if (cpuLimitMs < 1) return Promise.resolve({ ok: false, error: "budget_exceeded", remaining: sandbox.budget.remaining });
+
+  return new Promise((resolve) => {
+    const runId = runtime.nextRunId++;
+    const startedAt = Date.now();
+    const timer = setTimeout(() => {
+      runtime.exitReason = "execution_timeout";
+      terminateRuntime(sandbox.id, "execution_timeout");
+    }, sandbox.safetyLimits.maxRunMs);
+
+    runtime.runs.set(runId, (msg) => {
+      clearTimeout(timer);
+      runtime.runs.delete(runId);
+      // A worker that died mid-run reports nothing: charge the wall time, capped at the CPU limit
+      const cpuMs = typeof msg.cpuMs === "number" ? msg.cpuMs : Math.min(cpuLimitMs, Date.now() - startedAt);
+      const cost = chargeCpu(sandbox, cpuMs);
+      sandbox.usage.runs++;
+      audit(sandbox, msg.ok ? "run_completed" : "run_failed", { handler, error: msg.error });
+      const base = { handler, cpuMs, cost, wallMs: Date.now() - startedAt, remaining: sandbox.budget.remaining };
+      resolve(msg.ok
+        ? { ok: true, result: msg.json === undefined ? undefined : JSON.parse(msg.json), ...base }
+        : { ok: false, error: msg.error, ...base });
+    });
+
+    try {
+      runtime.worker.postMessage({ type: "run", runId, handler, inputJson: JSON.stringify(input ?? {}), cpuLimitMs });
+    } catch (e) {
+      runtime.runs.get(runId)?.({ ok: false, error: `run_dispatch_failed: ${e.message}`, cpuMs: 0 });
+    }
+  });
+}
+
+/**
+ * Run one of an app sandbox's logicSchema handlers in its worker.
+ * Runs of the same sandbox are serialized so CPU time is attributable.
+ *
+ * @param {string} sandboxId
+ * @param {string} handler - Name in logicSchema.handlers
+ * @param {object} [input] - JSON-serializable input
+ * @param {object} [opts]
+ * @param {Function} [opts.resolveWrapper] - name → wrapper fn, consulted before registered wrappers
+ * @returns {Promise<{ ok: boolean, result?: any, error?: string, cpuMs?: number, cost?: number, remaining?: number }>}
+ */
+async function runAppSandbox(sandboxId, handler, input = {}, opts = {}) {
+  const sandbox = sandboxes.get(sandboxId);
+  if (!sandbox) return { ok: false, error: "sandbox_not_found" };
+  if (sandbox.type !== "app") return { ok: false, error: "not_an_app_sandbox" };
+  if (sandbox.status !== "active") return { ok: false, error: `sandbox_${sandbox.status}` };
+  if (!Object.prototype.hasOwnProperty.call(handlerSources(sandbox), handler)) return { ok: false, error: "handler_not_found" };
+  try {
+    JSON.stringify(input ?? {});
+  } catch (e) {
+    return { ok: false, error: `input_not_serializable: ${e.message}` };
+  }
+
+  const runtime = runtimes.get(sandboxId) || spawnRuntime(sandbox);
+  const run = runtime.queue.then(() => {
+    if (sandbox.status !== "active") return { ok: false, error: `sandbox_${sandbox.status}` };
+    // The worker may have been replaced (timeout) while this run waited
+    const current = runtimes.get(sandboxId) || spawnRuntime(sandbox);
+    current.resolveWrapper = opts.resolveWrapper || null;
+    return executeRun(sandbox, current, handler, input);
+  });
+  runtime.queue = run.catch(() => {});
+  return run;
+}
+
 /**
  * Add an audit trail entry.
  */
@@ -235,13 +488,15 @@ function sanitizeSandbox(sandbox) {
     createdAt: sandbox.createdAt,
     killSwitch: { ...sandbox.killSwitch },
     auditCount: sandbox.auditTrail.length,
+    usage: sandbox.usage ? { ...sandbox.usage } : undefined,
+    running: runtimes.has(sandbox.id),
   };
 }
 
 function init({ register, STATE, helpers: _helpers }) {
   STATE.__loaf = STATE.__loaf || {};
   STATE.__loaf.sandbox = {
-    stats: { agentsCreated: 0, appsCreated: 0, killed: 0, budgetExceeded: 0 },
+    stats: { agentsCreated: 0, appsCreated: 0, killed: 0, budgetExceeded: 0, runs: 0 },
   };
 
   register("loaf.sandbox", "status", (ctx) => {
@@ -251,6 +506,7 @@ function init({ register, STATE, helpers: _helpers }) {
       ok: true,
       totalSandboxes: sandboxes.size,
       activeSandboxes: active.length,
+      runningWorkers: runtimes.size,
       stats: s.stats,
     };
   }, { public: true });
@@ -269,6 +525,14 @@ function init({ register, STATE, helpers: _helpers }) {
     return result;
   }, { public: false });
 
+  register("loaf.sandbox", "run_app", async (ctx, input = {}) => {
+    const s = ctx.state.__loaf.sandbox;
+    const result = await runAppSandbox(String(input.sandboxId || ""), String(input.handler || ""), input.input || {});
+    if (result.cpuMs !== undefined) s.stats.runs++;
+    if (result.error === "budget_exceeded") s.stats.budgetExceeded++;
+    return result;
+  }, { public: false });
+
   register("loaf.sandbox", "consume_budget", (_ctx, input = {}) => {
     return consumeSandboxBudget(String(input.sandboxId || ""), input.cost);
   }, { public: false });
@@ -315,5 +579,7 @@ export {
   readMemory,
   killSandbox,
   enforceTimeLimit,
+  registerSandboxWrapper,
+  runAppSandbox,
   init,
 };
@@ -0,0 +1,207 @@
+/**
+ * LOAF II.2 — SQLite Shard Backend
+ *
+ * On-disk backend for ShardedStore. Each store is one SQLite file
+ * (<dir>/<store>.db); each shard is its own table in it, so moving an item
+ * between shards during re-sharding is a single transaction. Two catalog
+ * tables sit beside the shard tables:
+ *
+ *   shard_catalog   shard key → table name, item count
+ *   item_locations  item id → shard key (lookups without a shard key)
+ *
+ * The backend holds no items in memory; ShardedStore decides which shards
+ * stay hot.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+let Database;
+try {
+  Database = (await import("better-sqlite3")).default;
+} catch {
+  // Reported by createSqliteShardBackend
+}
+
+const STORE_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function tableFor(shardKey) {
+  return `shard_${crypto.createHash("sha256").update(String(shardKey)).digest("hex").slice(0, 24)}`;
+}
+
+/**
+ * Open the per-store shard tables for one ShardedStore.
+ * @param {import("better-sqlite3").Database} db
+ */
+function openStoreBackend(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS shard_catalog (
+      shard_key   TEXT PRIMARY KEY,
+      table_name  TEXT NOT NULL UNIQUE,
+      item_count  INTEGER NOT NULL DEFAULT 0,
+      created_at  INTEGER NOT NULL,
+      updated_at  INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS item_locations (
+      item_id     TEXT PRIMARY KEY,
+      shard_key   TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_item_locations_shard ON item_locations(shard_key);
+  `);
+
+  const catalog = {
+    get: db.prepare("SELECT * FROM shard_catalog WHERE shard_key = ?"),
+    list: db.prepare("SELECT shard_key, item_count, created_at, updated_at FROM shard_catalog ORDER BY shard_key"),
+    insert: db.prepare("INSERT INTO shard_catalog (shard_key, table_name, item_count, created_at, updated_at) VALUES (?, ?, 0, ?, ?)"),
+    bump: db.prepare("UPDATE shard_catalog SET item_count = item_count + ?, updated_at = ? WHERE shard_key = ?"),
+    remove: db.prepare("DELETE FROM shard_catalog WHERE shard_key = ?"),
+    total: db.prepare("SELECT COALESCE(SUM(item_count), 0) AS n FROM shard_catalog"),
+    locate: db.prepare("SELECT shard_key FROM item_locations WHERE item_id = ?"),
+    setLocation: db.prepare(`
+      INSERT INTO item_locations (item_id, shard_key) VALUES (?, ?)
+      ON CONFLICT(item_id) DO UPDATE SET shard_key = excluded.shard_key
+    `),
+    clearLocation: db.prepare("DELETE FROM item_locations WHERE item_id = ?"),
+  };
+
+  const shardStmts = new Map(); // shardKey → prepared statements for its table
+
+  function stmts(shardKey, create) {
+    if (shardStmts.has(shardKey)) return shardStmts.get(shardKey);
+    let row = catalog.get.get(shardKey);
+    if (!row) {
+      if (!create) return null;
+      const table = tableFor(shardKey);
+      db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)`);
+      const now = Date.now();
+      catalog.insert.run(shardKey, table, now, now);
+      row = catalog.get.get(shardKey);
+    }
+    const t = row.table_name;
+    const s = {
+      all: db.prepare(`SELECT id, data FROM ${t}`),
+      get: db.prepare(`SELECT data FROM ${t} WHERE id = ?`),
+      upsert: db.prepare(`
+        INSERT INTO ${t} (id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      remove: db.prepare(`DELETE FROM ${t} WHERE id = ?`),
+      table: t,
+    };
+    shardStmts.set(shardKey, s);
+    return s;
+  }
+
+  function removeFrom(shardKey, itemId) {
+    const s = stmts(shardKey, false);
+    if (!s || s.remove.run(itemId).changes === 0) return false;
+    catalog.bump.run(-1, Date.now(), shardKey);
+    return true;
+  }
+
+  const put = db.transaction((shardKey, itemId, item) => {
+    const previous = catalog.locate.get(itemId)?.shard_key;
+    if (previous !== undefined && previous !== shardKey) removeFrom(previous, itemId);
+    const s = stmts(shardKey, true);
+    const isNew = !s.get.get(itemId);
+    s.upsert.run(itemId, JSON.stringify(item ?? null), Date.now());
+    if (isNew) catalog.bump.run(1, Date.now(), shardKey);
+    catalog.setLocation.run(itemId, shardKey);
+    return { previousShard: previous ?? null };
+  });
+
+  const remove = db.transaction((shardKey, itemId) => {
+    const removed = removeFrom(shardKey, itemId);
+    if (removed && catalog.locate.get(itemId)?.shard_key === shardKey) catalog.clearLocation.run(itemId);
+    return removed;
+  });
+
+  const dropShard = db.transaction((shardKey) => {
+    const row = catalog.get.get(shardKey);
+    if (!row) return false;
+    shardStmts.delete(shardKey);
+    db.prepare("DELETE FROM item_locations WHERE shard_key = ?").run(shardKey);
+    db.exec(`DROP TABLE IF EXISTS ${row.table_name}`);
+    catalog.remove.run(shardKey);
+    return true;
+  });
+
+  return {
+    kind: "sqlite",
+
+    /** [[itemId, item], ...] for one shard (empty if it does not exist). */
+    loadShard(shardKey) {
+      const s = stmts(shardKey, false);
+      return s ? s.all.all().map((r) => [r.id, JSON.parse(r.data)]) : [];
+    },
+
+    getItem(shardKey, itemId) {
+      const row = stmts(shardKey, false)?.get.get(itemId);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    /** Shard key currently holding itemId, or null. */
+    locate(itemId) {
+      return catalog.locate.get(itemId)?.shard_key ?? null;
+    },
+
+    /** Write an item; an item previously in another shard is moved. */
+    put(shardKey, itemId, item) {
+      return put(shardKey, itemId, item);
+    },
+
+    delete(shardKey, itemId) {
+      return remove(shardKey, itemId);
+    },
+
+    listShards() {
+      return catalog.list.all().map((r) => ({
+        shardKey: r.shard_key, items: r.item_count, createdAt: r.created_at, updatedAt: r.updated_at,
+      }));
+    },
+
+    totalItems() {
+      return catalog.total.get().n;
+    },
+
+    dropShard(shardKey) {
+      return dropShard(shardKey);
+    },
+
+    /** Forget cached statements for a shard evicted from memory. */
+    releaseShard(shardKey) {
+      shardStmts.delete(shardKey);
+    },
+
+    close() {
+      shardStmts.clear();
+      db.close();
+    },
+  };
+}
+
+/**
+ * Create a backend factory that keeps each store in <dir>/<store>.db.
+ *
+ * @param {object} opts
+ * @param {string} opts.dir - Directory for store files
+ * @returns {{ ok: boolean, openStore?: (name: string) => object, error?: string }}
+ */
+export function createSqliteShardBackend({ dir } = {}) {
+  if (!Database) return { ok: false, error: "no-sqlite" };
+  if (!dir) return { ok: false, error: "dir_required" };
+
+  return {
+    ok: true,
+    kind: "sqlite",
+    dir,
+    openStore(name) {
+      if (!STORE_NAME_RE.test(String(name))) throw new Error(`invalid store name: ${name}`);
+      fs.mkdirSync(dir, { recursive: true });
+      const db = new Database(path.join(dir, `${name}.db`));
+      db.pragma("journal_mode = WAL");
+      return openStoreBackend(db);
+    },
+  };
+}
@@ -11,29 +11,131 @@
  * - audit logs
  *
  * No global locks.
+ *
+ * When the server has a database, each store is persisted to
+ * <DATA_DIR>/loaf-shards/<store>.db (or LOAF_SHARD_DIR) with only the most
+ * recently used LOAF_MAX_HOT_SHARDS shards per store kept in memory.
  */
 
+import path from "path";
+import { createSqliteShardBackend } from "./shard-backend-sqlite.js";
+
+const DEFAULT_MAX_HOT_SHARDS = 64;
+
 /**
  * A ShardedStore provides partitioned storage with no global locks.
  * Each shard is an independent Map with its own operations.
+ *
+ * With a backend (see attachBackend / shard-backend-sqlite.js) the Maps are
+ * a write-through cache: shards load lazily on first access and the least
+ * recently used ones are evicted once more than maxHotShards are in memory.
+ * Without one, everything stays in memory as before.
  */
 class ShardedStore {
-  constructor(name, shardKeyFn) {
+  constructor(name, shardKeyFn, opts = {}) {
     this.name = name;
     this.shardKeyFn = shardKeyFn || defaultShardKey;
-    this.shards = new Map();  // shardKey -> Map(itemId -> item)
-    this.stats = { reads: 0, writes: 0, deletes: 0, shardCount: 0 };
+    this.shards = new Map();  // shardKey -> Map(itemId -> item), least recently used first
+    this.stats = { reads: 0, writes: 0, deletes: 0, shardCount: 0, shardLoads: 0, evictions: 0, moved: 0 };
+    this.shardStats = new Map();  // shardKey -> { reads, writes, loads, evictions, lastAccess }
+    this.backend = null;
+    this.maxHotShards = Infinity;
+    this.resharding = null;
+    if (opts.backend) this.attachBackend(opts.backend, opts);
   }
 
   /**
-   * Get or create a shard.
+   * Persist this store through a backend. Items already in memory are
+   * written through, then memory becomes a cache of at most maxHotShards
+   * shards.
+   */
+  attachBackend(backend, { maxHotShards = DEFAULT_MAX_HOT_SHARDS } = {}) {
+    this.backend = backend;
+    this.maxHotShards = Math.max(1, maxHotShards);
+    let persisted = 0;
+    for (const [key, shard] of this.shards) {
+      for (const [itemId, item] of shard) {
+        backend.put(key, itemId, item);
+        persisted++;
+      }
+    }
+    this._evictCold();
+    this.stats.shardCount = this._shardCount();
+    return { ok: true, backend: backend.kind, persisted };
+  }
+
+  detachBackend() {
+    const backend = this.backend;
+    this.backend = null;
+    this.maxHotShards = Infinity;
+    this.shards.clear();
+    this.stats.shardCount = 0;
+    return backend;
+  }
+
+  _statsFor(shardKey) {
+    let s = this.shardStats.get(shardKey);
+    if (!s) {
+      s = { reads: 0, writes: 0, loads: 0, evictions: 0, lastAccess: 0 };
+      this.shardStats.set(shardKey, s);
+    }
+    s.lastAccess = Date.now();
+    return s;
+  }
+
+  _shardCount() {
+    return this.backend ? this.backend.listShards().length : this.shards.size;
+  }
+
+  // Mark a hot shard most recently used (Map order is the LRU order)
+  _touch(shardKey, shard) {
+    this.shards.delete(shardKey);
+    this.shards.set(shardKey, shard);
+  }
+
+  _evictCold(keep = null) {
+    if (!this.backend) return;
+    for (const key of this.shards.keys()) {
+      if (this.shards.size <= this.maxHotShards) break;
+      if (key === keep) continue;
+      this.shards.delete(key);
+      this.backend.releaseShard(key);
+      this.stats.evictions++;
+      this._statsFor(key).evictions++;
+    }
+  }
+
+  /**
+   * A shard's Map if it is in memory or on disk, else null.
+   */
+  _loadShard(shardKey) {
+    const hot = this.shards.get(shardKey);
+    if (hot) {
+      this._touch(shardKey, hot);
+      return hot;
+    }
+    if (!this.backend) return null;
+    const entries = this.backend.loadShard(shardKey);
+    if (entries.length === 0) return null;
+    const shard = new Map(entries);
+    this.shards.set(shardKey, shard);
+    this.stats.shardLoads++;
+    this._statsFor(shardKey).loads++;
+    this._evictCold(shardKey);
+    return shard;
+  }
+
+  /**
+   * Get or create a shard (memory-only stores).
    */
   _getShard(shardKey) {
-    if (!this.shards.has(shardKey)) {
-      this.shards.set(shardKey, new Map());
+    let shard = this.shards.get(shardKey);
+    if (!shard) {
+      shard = new Map();
+      this.shards.set(shardKey, shard);
       this.stats.shardCount = this.shards.size;
     }
-    return this.shards.get(shardKey);
+    return shard;
   }
 
   /**
@@ -47,27 +149,55 @@ class ShardedStore {
    * Put an item into the appropriate shard.
    */
   put(itemId, item) {
-    const key = this._shardKeyFor(item);
-    const shard = this._getShard(key);
-    shard.set(itemId, item);
+    const key = this._write(itemId, item);
     this.stats.writes++;
+    this._statsFor(key).writes++;
     return { ok: true, shardKey: key, itemId };
   }
 
+  // With a backend, write through and update the shard only if it is hot,
+  // so writing to a cold shard does not load it.
+  _write(itemId, item) {
+    const key = this._shardKeyFor(item);
+    if (!this.backend) {
+      this._getShard(key).set(itemId, item);
+      return key;
+    }
+    const { previousShard } = this.backend.put(key, itemId, item);
+    if (previousShard !== null && previousShard !== key) this.shards.get(previousShard)?.delete(itemId);
+    const hot = this.shards.get(key);
+    if (hot) {
+      hot.set(itemId, item);
+      this._touch(key, hot);
+    }
+    this.stats.shardCount = this._shardCount();
+    return key;
+  }
+
   /**
    * Get an item by ID. Must specify shard key or scan all shards.
    */
   get(itemId, shardKey = null) {
     this.stats.reads++;
     if (shardKey) {
-      const shard = this.shards.get(shardKey);
-      return shard ? shard.get(itemId) || null : null;
+      const shard = this._loadShard(shardKey);
+      if (shard) this._statsFor(shardKey).reads++;
+      const item = shard ? shard.get(itemId) : undefined;
+      // Mid-reshard an item may already have moved under the new key function
+      if (item === undefined && this.resharding) return this.get(itemId);
+      return item ?? null;
     }
-    // Scan all shards (no global lock, but O(shards))
-    for (const shard of this.shards.values()) {
-      if (shard.has(itemId)) return shard.get(itemId);
+    // Scan hot shards (no global lock, but O(shards)), then ask the backend
+    for (const [key, shard] of this.shards) {
+      if (shard.has(itemId)) {
+        this._statsFor(key).reads++;
+        return shard.get(itemId);
+      }
     }
-    return null;
+    const located = this.backend?.locate(itemId);
+    if (located === null || located === undefined) return null;
+    this._statsFor(located).reads++;
+    return this._loadShard(located)?.get(itemId) ?? null;
   }
 
   /**
@@ -75,23 +205,25 @@ class ShardedStore {
    */
   delete(itemId, shardKey = null) {
     this.stats.deletes++;
-    if (shardKey) {
-      const shard = this.shards.get(shardKey);
-      if (shard) return shard.delete(itemId);
+    const key = shardKey ?? this.backend?.locate(itemId) ?? null;
+    if (key === null) {
+      for (const shard of this.shards.values()) {
+        if (shard.delete(itemId)) return true;
+      }
       return false;
     }
-    for (const shard of this.shards.values()) {
-      if (shard.delete(itemId)) return true;
-    }
-    return false;
+    const inMemory = this.shards.get(key)?.delete(itemId) || false;
+    const onDisk = this.backend ? this.backend.delete(key, itemId) : false;
+    return inMemory || onDisk;
   }
 
   /**
    * Query a specific shard.
    */
   queryShard(shardKey, filterFn = null, limit = 100) {
-    const shard = this.shards.get(shardKey);
+    const shard = this._loadShard(shardKey);
     if (!shard) return [];
+    this._statsFor(shardKey).reads++;
     let items = Array.from(shard.values());
     if (filterFn) items = items.filter(filterFn);
     return items.slice(0, limit);
@@ -101,6 +233,7 @@ class ShardedStore {
    * Get all shard keys.
    */
   listShards() {
+    if (this.backend) return this.backend.listShards().map(s => s.shardKey);
     return Array.from(this.shards.keys());
   }
 
@@ -108,6 +241,7 @@ class ShardedStore {
    * Get total item count across all shards.
    */
   totalSize() {
+    if (this.backend) return this.backend.totalItems();
     let total = 0;
     for (const shard of this.shards.values()) total += shard.size;
     return total;
@@ -118,19 +252,110 @@ class ShardedStore {
    */
   shardSizes() {
     const sizes = {};
+    if (this.backend) {
+      for (const s of this.backend.listShards()) sizes[s.shardKey] = s.items;
+      return sizes;
+    }
     for (const [key, shard] of this.shards) {
       sizes[key] = shard.size;
     }
     return sizes;
   }
 
+  /**
+   * Per-shard statistics: size, whether it is in memory, and access counters.
+   */
+  getShardStats() {
+    const sizes = this.shardSizes();
+    const shards = {};
+    for (const key of Object.keys(sizes)) {
+      const s = this.shardStats.get(key) || { reads: 0, writes: 0, loads: 0, evictions: 0, lastAccess: 0 };
+      shards[key] = { items: sizes[key], hot: this.shards.has(key), ...s };
+    }
+    return {
+      store: this.name,
+      backend: this.backend?.kind || "memory",
+      hotShards: this.shards.size,
+      maxHotShards: Number.isFinite(this.maxHotShards) ? this.maxHotShards : null,
+      resharding: this.resharding ? { ...this.resharding } : null,
+      stats: { ...this.stats },
+      shards,
+    };
+  }
+
+  /**
+   * Re-shard online under a new key function. Items are moved shard by
+   * shard in batches, yielding to the event loop between batches so reads
+   * and writes continue; writes made meanwhile already use the new key
+   * function, and reads by an old shard key fall back to a lookup by id.
+   * Shards left empty are dropped.
+   *
+   * @param {Function} shardKeyFn - New item → shard key function
+   * @param {object} [opts]
+   * @param {number} [opts.batchSize=500] - Items moved between yields
+   */
+  async reshard(shardKeyFn, { batchSize = 500 } = {}) {
+    if (typeof shardKeyFn !== "function") return { ok: false, error: "shard_key_fn_required" };
+    if (this.resharding) return { ok: false, error: "reshard_in_progress" };
+    this.shardKeyFn = shardKeyFn;
+    const progress = { startedAt: Date.now(), scanned: 0, moved: 0, shardsDone: 0, shardsTotal: 0 };
+    this.resharding = progress;
+
+    try {
+      const sourceKeys = this.listShards();
+      progress.shardsTotal = sourceKeys.length;
+      for (const sourceKey of sourceKeys) {
+        const ids = this.backend
+          ? this.backend.loadShard(sourceKey).map(([id]) => id)
+          : Array.from(this.shards.get(sourceKey)?.keys() || []);
+        for (let i = 0; i < ids.length; i++) {
+          progress.scanned++;
+          if (this._moveIfRekeyed(ids[i], sourceKey)) progress.moved++;
+          if ((i + 1) % batchSize === 0) await new Promise((resolve) => { setImmediate(resolve); });
+        }
+        if (this.shardSizes()[sourceKey] === 0) this._dropShard(sourceKey);
+        progress.shardsDone++;
+      }
+      this.stats.moved += progress.moved;
+      this.stats.shardCount = this._shardCount();
+      return { ok: true, scanned: progress.scanned, moved: progress.moved, shards: this.listShards().length };
+    } finally {
+      this.resharding = null;
+    }
+  }
+
+  // Move one item if the current key function places it elsewhere. Reads
+  // the item fresh, so a write made during the reshard is never undone.
+  _moveIfRekeyed(itemId, sourceKey) {
+    const current = this.backend
+      ? this.backend.getItem(sourceKey, itemId)
+      : this.shards.get(sourceKey)?.get(itemId);
+    if (current === undefined) return false;
+    const target = this._shardKeyFor(current);
+    if (target === sourceKey) return false;
+    this.shards.get(sourceKey)?.delete(itemId);
+    this._write(itemId, current);
+    return true;
+  }
+
+  _dropShard(shardKey) {
+    this.shards.delete(shardKey);
+    this.shardStats.delete(shardKey);
+    this.backend?.dropShard(shardKey);
+  }
+
   /**
    * Export the store for persistence/federation.
    */
   export() {
     const data = {};
-    for (const [key, shard] of this.shards) {
-      data[key] = Array.from(shard.entries());
+    if (this.backend) {
+      // Straight from disk so exporting does not pull every shard into the cache
+      for (const key of this.listShards()) data[key] = this.backend.loadShard(key);
+    } else {
+      for (const [key, shard] of this.shards) {
+        data[key] = Array.from(shard.entries());
+      }
     }
     return { name: this.name, shards: data, stats: { ...this.stats } };
   }
@@ -142,13 +367,15 @@ class ShardedStore {
     if (!data?.shards) return { ok: false, error: "invalid_data" };
     let imported = 0;
     for (const [key, entries] of Object.entries(data.shards)) {
-      const shard = this._getShard(key);
+      const shard = this.backend ? this.shards.get(key) : this._getShard(key);
       for (const [itemId, item] of entries) {
-        shard.set(itemId, item);
+        this.backend?.put(key, itemId, item);
+        shard?.set(itemId, item);
         imported++;
       }
     }
     this.stats.writes += imported;
+    this.stats.shardCount = this._shardCount();
     return { ok: true, imported };
   }
 }
@@ -181,6 +408,14 @@ function domainShardKey(item) {
   return item?.domain || "general";
 }
 
+// Key functions addressable by name (macros cannot pass functions)
+const SHARD_KEY_FNS = Object.freeze({
+  default: defaultShardKey,
+  instance: instanceShardKey,
+  lens: lensShardKey,
+  domain: domainShardKey,
+});
+
 // Pre-built stores for the LOAF specification
 const stores = {
   experience: new ShardedStore("experience", domainShardKey),
@@ -190,10 +425,38 @@ const stores = {
   auditLogs: new ShardedStore("auditLogs", instanceShardKey),
 };
 
-function init({ register, STATE, helpers: _helpers }) {
+/**
+ * Persist every pre-built store through a backend factory
+ * (e.g. createSqliteShardBackend({ dir })).
+ */
+function attachShardBackend(factory, { maxHotShards = DEFAULT_MAX_HOT_SHARDS } = {}) {
+  if (!factory?.ok) return { ok: false, error: factory?.error || "backend_unavailable" };
+  const attached = {};
+  for (const [name, store] of Object.entries(stores)) {
+    if (store.backend) store.detachBackend().close();
+    attached[name] = store.attachBackend(factory.openStore(name), { maxHotShards }).persisted;
+  }
+  return { ok: true, backend: factory.kind, dir: factory.dir, persisted: attached };
+}
+
+/** Close the pre-built stores' backends and fall back to memory. */
+function detachShardBackend() {
+  for (const store of Object.values(stores)) {
+    if (store.backend) store.detachBackend().close();
+  }
+  return { ok: true };
+}
+
+function init({ register, STATE, helpers: _helpers, db, dataDir }) {
+  const dir = process.env.LOAF_SHARD_DIR || (db && dataDir ? path.join(dataDir, "loaf-shards") : null);
   STATE.__loaf = STATE.__loaf || {};
   STATE.__loaf.shardedStores = {
     storeNames: Object.keys(stores),
+    backend: dir
+      ? attachShardBackend(createSqliteShardBackend({ dir }), {
+        maxHotShards: Number(process.env.LOAF_MAX_HOT_SHARDS) || DEFAULT_MAX_HOT_SHARDS,
+      })
+      : { ok: false, error: "no_database" },
   };
 
   register("loaf.stores", "status", (_ctx) => {
@@ -201,7 +464,9 @@ function init({ register, STATE, helpers: _helpers }) {
     for (const [name, store] of Object.entries(stores)) {
       summary[name] = {
         totalItems: store.totalSize(),
-        shardCount: store.shards.size,
+        shardCount: store.listShards().length,
+        hotShards: store.shards.size,
+        backend: store.backend?.kind || "memory",
         shardSizes: store.shardSizes(),
         stats: { ...store.stats },
       };
@@ -239,6 +504,22 @@ function init({ register, STATE, helpers: _helpers }) {
     return { ok: true, shards: store.listShards(), sizes: store.shardSizes() };
   }, { public: true });
 
+  register("loaf.stores", "shard_stats", (_ctx, input = {}) => {
+    const storeName = String(input.store || "");
+    const store = stores[storeName];
+    if (!store) return { ok: false, error: `unknown store: ${storeName}` };
+    return { ok: true, ...store.getShardStats() };
+  }, { public: true });
+
+  register("loaf.stores", "reshard", async (_ctx, input = {}) => {
+    const storeName = String(input.store || "");
+    const store = stores[storeName];
+    if (!store) return { ok: false, error: `unknown store: ${storeName}` };
+    const keyFn = SHARD_KEY_FNS[String(input.by || "")];
+    if (!keyFn) return { ok: false, error: `unknown shard key: ${input.by}`, available: Object.keys(SHARD_KEY_FNS) };
+    return store.reshard(keyFn, { batchSize: Number(input.batchSize) || undefined });
+  }, { public: false });
+
   register("loaf.stores", "export", (_ctx, input = {}) => {
     const storeName = String(input.store || "");
     const store = stores[storeName];
@@ -260,6 +541,9 @@ export {
   instanceShardKey,
   lensShardKey,
   domainShardKey,
+  SHARD_KEY_FNS,
   stores,
+  attachShardBackend,
+  detachShardBackend,
   init,
 };
@@ -6,8 +6,12 @@
  * - Counterfactual simulation
  * - "What changed and why" queries
  * - Forked reality analysis
+ *
+ * DTU-level "what changed and why" reads the durable lattice journal.
  */
 
+import { reconstructDTU, explainDTU } from "../emergent/journal.js";
+
 // Timeline store: each timeline is a versioned sequence of states
 const timelines = new Map();  // timelineId -> Timeline
 
@@ -144,6 +148,44 @@ function queryChanges(timelineId, fromVersion, toVersion) {
   };
 }
 
+/**
+ * "What changed and why" for a single DTU between two points in time,
+ * answered from the lattice journal: the field diff between the two
+ * reconstructed states plus the journal entries (actor, per-field changes)
+ * that produced it.
+ */
+function queryDTUChanges(STATE, dtuId, from, to) {
+  const before = reconstructDTU(STATE, dtuId, { asOf: from });
+  const after = reconstructDTU(STATE, dtuId, { asOf: to });
+  if (!after.ok && after.error !== "no_history") return after;
+  if (!before.ok && before.error !== "no_history") return before;
+
+  const history = explainDTU(STATE, dtuId, { since: from, until: to }).history
+    .filter(h => !before.ok || h.seq > before.seq);
+
+  const fromTs = from ? new Date(from).getTime() : 0;
+  const toTs = to ? new Date(to).getTime() : Date.now();
+  const causalEvents = Array.from(causalGraph.nodes.values())
+    .filter(n => {
+      const nTs = new Date(n.ts).getTime();
+      return !isNaN(nTs) && nTs >= fromTs && nTs <= toTs
+        && (n.data?.dtuId === dtuId || n.id === dtuId);
+    })
+    .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+
+  return {
+    ok: true,
+    dtuId,
+    from: before.ok ? before.asOf : null,
+    to: after.ok ? after.asOf : null,
+    existedBefore: before.ok && before.exists,
+    existsAfter: after.ok && after.exists,
+    changes: diffStates(before.ok ? before.dtu : {}, after.ok ? after.dtu : {}),
+    why: history,
+    causalEvents,
+  };
+}
+
 /**
  * Simple state diff: find added, removed, and changed keys.
  */
@@ -338,6 +380,12 @@ function init({ register, STATE, helpers: _helpers }) {
     return queryChanges(String(input.timelineId || ""), input.fromVersion, input.toVersion);
   }, { public: true });
 
+  register("loaf.time", "dtu_changes", (ctx, input = {}) => {
+    const tc = ctx.state.__loaf.timeCausality;
+    tc.stats.queriesRun++;
+    return queryDTUChanges(STATE, String(input.dtuId || ""), input.from, input.to);
+  }, { public: true });
+
   register("loaf.time", "add_causal_event", (ctx, input = {}) => {
     const tc = ctx.state.__loaf.timeCausality;
     const result = addCausalEvent(input.id, input.type, input.description, input.data);
@@ -377,6 +425,7 @@ export {
   getTimelineVersion,
   forkTimeline,
   queryChanges,
+  queryDTUChanges,
   diffStates,
   addCausalEvent,
   addCausalEdge,
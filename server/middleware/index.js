@@ -123,7 +123,8 @@ export default function configureMiddleware(app, deps) {
     // Find most specific matching route prefix
     const matchedLimit = Object.entries(BODY_LIMITS).find(([prefix]) => req.url.startsWith(prefix));
     const limit = matchedLimit ? matchedLimit[1] : '10mb';
-    express.json({ limit, verify: (innerReq, _res, buf) => {
+    // SCIM provisioning clients send application/scim+json
+    express.json({ limit, type: ["application/json", "application/scim+json"], verify: (innerReq, _res, buf) => {
       if (innerReq.url === '/api/economy/webhook') innerReq.rawBody = buf;
     } })(req, res, next);
   });
@@ -184,7 +185,7 @@ export default function configureMiddleware(app, deps) {
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Requested-With", "X-Session-ID", "X-CSRF-Token", "X-XSRF-Token", "X-Request-ID", "Idempotency-Key"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Requested-With", "X-Session-ID", "X-CSRF-Token", "X-XSRF-Token", "X-Request-ID", "Idempotency-Key", "X-Org-Id"],
     exposedHeaders: ["X-Request-ID"],
   };
   app.use(cors(corsOptions));
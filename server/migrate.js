@@ -9,6 +9,8 @@
  *   node migrate.js --status         # Show current schema version
  *   node migrate.js --rollback       # Rollback the last applied migration
  *   node migrate.js --rollback 5     # Rollback to version 5 (exclusive)
+ *   node migrate.js --tenant acme    # Apply pending migrations to one tenant's database
+ *   node migrate.js --all-tenants    # ... to every tenant database under TENANTS_DIR
  */
 
 import fs from "fs";
@@ -19,6 +21,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const MIGRATIONS_DIR = path.join(__dirname, "migrations");
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
 const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "concord.db");
+const TENANTS_DIR = process.env.TENANTS_DIR || path.join(DATA_DIR, "tenants");
+const TENANT_ID_RE = /^[a-z0-9][a-z0-9-]{0,62}$/;
 
 let Database;
 try {
@@ -231,6 +235,56 @@ export async function rollbackMigrations(targetVersion = null, existingDb = null
   }
 }
 
+/**
+ * Path of a tenant's SQLite file. Tenant ids are restricted to lowercase
+ * slugs so they are always safe as file names.
+ */
+export function tenantDatabasePath(tenantId, dir = TENANTS_DIR) {
+  if (!TENANT_ID_RE.test(String(tenantId || ""))) {
+    throw new Error(`Invalid tenant id: ${tenantId}`);
+  }
+  return path.join(dir, `${tenantId}.db`);
+}
+
+/**
+ * Open (creating if needed) a tenant's database and bring it up to the
+ * current schema. The caller owns the returned handle.
+ * Returns { db, appliedCount, currentVersion, error? }
+ */
+export async function openTenantDatabase(tenantId, { dir = TENANTS_DIR } = {}) {
+  if (!Database) return { db: null, appliedCount: 0, currentVersion: 0, error: "no-sqlite" };
+
+  const file = tenantDatabasePath(tenantId, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  const result = await runMigrations(db);
+  if (result.error) {
+    db.close();
+    return { db: null, ...result };
+  }
+  return { db, ...result };
+}
+
+/**
+ * Migrate every tenant database found in the tenants directory.
+ * Returns { tenants: [{ tenantId, appliedCount, currentVersion, error? }] }
+ */
+export async function migrateAllTenants({ dir = TENANTS_DIR } = {}) {
+  if (!fs.existsSync(dir)) return { tenants: [] };
+  const tenants = [];
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".db")).sort()) {
+    const tenantId = file.slice(0, -3);
+    if (!TENANT_ID_RE.test(tenantId)) continue;
+    const { db, ...result } = await openTenantDatabase(tenantId, { dir });
+    if (db) db.close();
+    tenants.push({ tenantId, ...result });
+  }
+  return { tenants };
+}
+
 /**
  * Show current schema status.
  */
@@ -273,7 +327,19 @@ export function migrationStatus(existingDb = null) {
 // CLI mode
 if (process.argv[1] && process.argv[1].endsWith("migrate.js")) {
   const rollbackIdx = process.argv.indexOf("--rollback");
-  if (process.argv.includes("--status")) {
+  const tenantIdx = process.argv.indexOf("--tenant");
+  if (tenantIdx !== -1) {
+    const { db, error } = await openTenantDatabase(process.argv[tenantIdx + 1]);
+    if (db) db.close();
+    if (error) {
+      console.error("Tenant migration error:", error);
+      process.exit(1);
+    }
+  } else if (process.argv.includes("--all-tenants")) {
+    const { tenants } = await migrateAllTenants();
+    console.table(tenants);
+    if (tenants.some((t) => t.error)) process.exit(1);
+  } else if (process.argv.includes("--status")) {
     const status = migrationStatus();
     console.log("Schema version:", status.currentVersion);
     if (status.migrations.length > 0) {
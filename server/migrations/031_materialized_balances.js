@@ -0,0 +1,115 @@
+// migrations/031_materialized_balances.js
+// Materialized account balances maintained alongside the append-only ledger,
+// plus signed balance checkpoints used by the drift verifier.
+//
+// The ledger stays the source of truth. economy_balances is a projection kept
+// current by triggers, so every writer (recordTransaction, recordTransactionBatch,
+// status flips on reversal/settlement) updates it inside the same SQLite
+// transaction as the ledger row itself. Amounts are stored in integer cents
+// using the same ROUND(x * 100) rule as the ledger scan in balances.js.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS economy_balances (
+      account_id     TEXT PRIMARY KEY,
+      credits_cents  INTEGER NOT NULL DEFAULT 0,
+      debits_cents   INTEGER NOT NULL DEFAULT 0,
+      updated_at     TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_balances_updated ON economy_balances(updated_at);
+
+    -- Snapshots of economy_balances at a ledger watermark (rowid), signed
+    -- when ECONOMY_CHECKPOINT_SECRET is set (signature NULL otherwise).
+    CREATE TABLE IF NOT EXISTS economy_balance_checkpoints (
+      id              TEXT PRIMARY KEY,
+      ledger_rowid    INTEGER NOT NULL,
+      account_count   INTEGER NOT NULL,
+      total_cents     INTEGER NOT NULL,
+      balances_json   TEXT NOT NULL,
+      balances_hash   TEXT NOT NULL,
+      signature       TEXT,
+      created_at      TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_balance_checkpoints_time ON economy_balance_checkpoints(created_at);
+
+    -- ── Triggers: keep economy_balances in step with economy_ledger ──────────
+
+    CREATE TRIGGER IF NOT EXISTS economy_balances_ledger_insert
+    AFTER INSERT ON economy_ledger
+    WHEN NEW.status = 'complete'
+    BEGIN
+      INSERT INTO economy_balances (account_id, credits_cents, debits_cents, updated_at)
+        SELECT NEW.to_user_id, CAST(ROUND(NEW.net * 100) AS INTEGER), 0, datetime('now')
+        WHERE NEW.to_user_id IS NOT NULL
+      ON CONFLICT(account_id) DO UPDATE SET
+        credits_cents = credits_cents + excluded.credits_cents,
+        updated_at = excluded.updated_at;
+
+      INSERT INTO economy_balances (account_id, credits_cents, debits_cents, updated_at)
+        SELECT NEW.from_user_id, 0, CAST(ROUND(NEW.amount * 100) AS INTEGER), datetime('now')
+        WHERE NEW.from_user_id IS NOT NULL
+      ON CONFLICT(account_id) DO UPDATE SET
+        debits_cents = debits_cents + excluded.debits_cents,
+        updated_at = excluded.updated_at;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS economy_balances_ledger_complete
+    AFTER UPDATE OF status ON economy_ledger
+    WHEN OLD.status != 'complete' AND NEW.status = 'complete'
+    BEGIN
+      INSERT INTO economy_balances (account_id, credits_cents, debits_cents, updated_at)
+        SELECT NEW.to_user_id, CAST(ROUND(NEW.net * 100) AS INTEGER), 0, datetime('now')
+        WHERE NEW.to_user_id IS NOT NULL
+      ON CONFLICT(account_id) DO UPDATE SET
+        credits_cents = credits_cents + excluded.credits_cents,
+        updated_at = excluded.updated_at;
+
+      INSERT INTO economy_balances (account_id, credits_cents, debits_cents, updated_at)
+        SELECT NEW.from_user_id, 0, CAST(ROUND(NEW.amount * 100) AS INTEGER), datetime('now')
+        WHERE NEW.from_user_id IS NOT NULL
+      ON CONFLICT(account_id) DO UPDATE SET
+        debits_cents = debits_cents + excluded.debits_cents,
+        updated_at = excluded.updated_at;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS economy_balances_ledger_uncomplete
+    AFTER UPDATE OF status ON economy_ledger
+    WHEN OLD.status = 'complete' AND NEW.status != 'complete'
+    BEGIN
+      UPDATE economy_balances
+        SET credits_cents = credits_cents - CAST(ROUND(OLD.net * 100) AS INTEGER),
+            updated_at = datetime('now')
+        WHERE account_id = OLD.to_user_id;
+
+      UPDATE economy_balances
+        SET debits_cents = debits_cents - CAST(ROUND(OLD.amount * 100) AS INTEGER),
+            updated_at = datetime('now')
+        WHERE account_id = OLD.from_user_id;
+    END;
+
+    -- ── Backfill from the existing ledger ───────────────────────────────────
+
+    INSERT OR REPLACE INTO economy_balances (account_id, credits_cents, debits_cents, updated_at)
+    SELECT account_id, SUM(credits_cents), SUM(debits_cents), datetime('now')
+    FROM (
+      SELECT to_user_id AS account_id, CAST(ROUND(net * 100) AS INTEGER) AS credits_cents, 0 AS debits_cents
+      FROM economy_ledger WHERE to_user_id IS NOT NULL AND status = 'complete'
+      UNION ALL
+      SELECT from_user_id, 0, CAST(ROUND(amount * 100) AS INTEGER)
+      FROM economy_ledger WHERE from_user_id IS NOT NULL AND status = 'complete'
+    )
+    GROUP BY account_id;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS economy_balances_ledger_uncomplete;
+    DROP TRIGGER IF EXISTS economy_balances_ledger_complete;
+    DROP TRIGGER IF EXISTS economy_balances_ledger_insert;
+    DROP TABLE IF EXISTS economy_balance_checkpoints;
+    DROP TABLE IF EXISTS economy_balances;
+  `);
+}
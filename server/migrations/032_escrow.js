@@ -0,0 +1,65 @@
+// migrations/032_escrow.js
+// Escrow contracts with milestone releases (bounties, film crew contracts).
+//
+// Coins are locked into the __ESCROW__ holding account when an escrow is
+// created and leave it one milestone at a time: to the payee on approval,
+// back to the payer on refund. Every movement is an executeTransfer with a
+// deterministic ref_id, stored on the row that caused it, so reconciliation
+// can match escrow state against the ledger.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS escrows (
+      id               TEXT PRIMARY KEY,
+      kind             TEXT NOT NULL,            -- bounty | crew_contract
+      subject_id       TEXT,                     -- bounty id, film_crew id, ...
+      payer_id         TEXT NOT NULL,
+      payee_id         TEXT,                     -- NULL until assigned (open bounties)
+      amount           REAL NOT NULL CHECK(amount > 0),
+      released_amount  REAL NOT NULL DEFAULT 0,
+      refunded_amount  REAL NOT NULL DEFAULT 0,
+      status           TEXT NOT NULL DEFAULT 'FUNDED'
+        CHECK (status IN ('FUNDED', 'PARTIALLY_RELEASED', 'DISPUTED', 'RELEASED', 'REFUNDED')),
+      lock_ref_id      TEXT NOT NULL UNIQUE,
+      dispute_id       TEXT,
+      metadata_json    TEXT DEFAULT '{}',
+      expires_at       TEXT,
+      created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at       TEXT NOT NULL DEFAULT (datetime('now')),
+      closed_at        TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_escrows_payer ON escrows(payer_id);
+    CREATE INDEX IF NOT EXISTS idx_escrows_payee ON escrows(payee_id);
+    CREATE INDEX IF NOT EXISTS idx_escrows_subject ON escrows(kind, subject_id);
+    CREATE INDEX IF NOT EXISTS idx_escrows_status_expiry ON escrows(status, expires_at);
+
+    CREATE TABLE IF NOT EXISTS escrow_milestones (
+      id             TEXT PRIMARY KEY,
+      escrow_id      TEXT NOT NULL REFERENCES escrows(id),
+      seq            INTEGER NOT NULL,
+      title          TEXT NOT NULL,
+      amount         REAL NOT NULL CHECK(amount > 0),
+      status         TEXT NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'SUBMITTED', 'RELEASED', 'REFUNDED')),
+      ref_id         TEXT,                       -- ledger ref of the release/refund
+      evidence_json  TEXT DEFAULT '[]',
+      due_at         TEXT,
+      submitted_at   TEXT,
+      settled_at     TEXT,
+      created_at     TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at     TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(escrow_id, seq)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_escrow_milestones_escrow ON escrow_milestones(escrow_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_escrow_milestones_ref ON escrow_milestones(ref_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS escrow_milestones;
+    DROP TABLE IF EXISTS escrows;
+  `);
+}
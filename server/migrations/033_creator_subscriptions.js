@@ -0,0 +1,85 @@
+// migrations/033_creator_subscriptions.js
+// Recurring creator subscriptions on the creative marketplace.
+//
+// A creator publishes plans (price + billing period, optionally scoped to a
+// film series and filtered by artifact type / federation tier). Fans
+// subscribe; the heartbeat renews due subscriptions, moving them to
+// past_due with a grace window when the subscriber can't pay. Every charge
+// is a ledger transfer whose ref_id is stored on creator_subscription_charges.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS creator_subscription_plans (
+      id                   TEXT PRIMARY KEY,
+      creator_id           TEXT NOT NULL,
+      title                TEXT NOT NULL,
+      description          TEXT,
+      price                REAL NOT NULL CHECK(price > 0),
+      period               TEXT NOT NULL DEFAULT 'month'
+        CHECK (period IN ('week', 'month', 'quarter', 'year')),
+      included_types_json  TEXT NOT NULL DEFAULT '[]',   -- artifact types; [] = all
+      included_tiers_json  TEXT NOT NULL DEFAULT '[]',   -- federation tiers; [] = all
+      series_dtu_id        TEXT,                         -- film series scope (film_dtus.id)
+      grace_days           INTEGER NOT NULL DEFAULT 3,
+      status               TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'archived')),
+      created_at           TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at           TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sub_plans_creator ON creator_subscription_plans(creator_id, status);
+    CREATE INDEX IF NOT EXISTS idx_sub_plans_series ON creator_subscription_plans(series_dtu_id);
+
+    CREATE TABLE IF NOT EXISTS creator_subscriptions (
+      id                    TEXT PRIMARY KEY,
+      plan_id               TEXT NOT NULL REFERENCES creator_subscription_plans(id),
+      subscriber_id         TEXT NOT NULL,
+      creator_id            TEXT NOT NULL,
+      status                TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'past_due', 'cancelled', 'expired')),
+      current_period_start  TEXT NOT NULL,
+      current_period_end    TEXT NOT NULL,
+      cancel_at_period_end  INTEGER NOT NULL DEFAULT 0,
+      grace_until           TEXT,
+      credit_balance        REAL NOT NULL DEFAULT 0,       -- proration credit applied at renewal
+      failed_attempts       INTEGER NOT NULL DEFAULT 0,
+      created_at            TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at            TEXT NOT NULL DEFAULT (datetime('now')),
+      ended_at              TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_subs_subscriber ON creator_subscriptions(subscriber_id, status);
+    CREATE INDEX IF NOT EXISTS idx_subs_plan ON creator_subscriptions(plan_id, status);
+    CREATE INDEX IF NOT EXISTS idx_subs_due ON creator_subscriptions(status, current_period_end);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_subs_one_live_per_plan
+      ON creator_subscriptions(plan_id, subscriber_id) WHERE status IN ('active', 'past_due');
+
+    CREATE TABLE IF NOT EXISTS creator_subscription_charges (
+      id               TEXT PRIMARY KEY,
+      subscription_id  TEXT NOT NULL REFERENCES creator_subscriptions(id),
+      kind             TEXT NOT NULL
+        CHECK (kind IN ('initial', 'renewal', 'proration', 'refund')),
+      amount           REAL NOT NULL,
+      fee              REAL NOT NULL DEFAULT 0,
+      royalties        REAL NOT NULL DEFAULT 0,
+      credit_applied   REAL NOT NULL DEFAULT 0,
+      status           TEXT NOT NULL CHECK (status IN ('paid', 'failed')),
+      period_start     TEXT,
+      period_end       TEXT,
+      ref_id           TEXT,
+      batch_id         TEXT,
+      error            TEXT,
+      created_at       TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sub_charges_sub ON creator_subscription_charges(subscription_id, created_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS creator_subscription_charges;
+    DROP TABLE IF EXISTS creator_subscriptions;
+    DROP TABLE IF EXISTS creator_subscription_plans;
+  `);
+}
@@ -0,0 +1,28 @@
+// migrations/034_royalty_policies.js
+// Per-content royalty split policies.
+//
+// A creator may declare, for a piece of content, how its lineage is paid:
+// per-parent overrides (flat-fee citation, rate/amount caps, public-domain
+// opt-out) and co-creator splits for the royalties the content itself earns
+// as an ancestor. Content without a row keeps the default generational decay.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS royalty_policies (
+      content_id   TEXT PRIMARY KEY,
+      creator_id   TEXT NOT NULL,
+      policy_json  TEXT NOT NULL DEFAULT '{}',
+      version      INTEGER NOT NULL DEFAULT 1,
+      created_at   TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_royalty_policies_creator ON royalty_policies(creator_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS royalty_policies;
+  `);
+}
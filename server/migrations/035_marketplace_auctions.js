@@ -0,0 +1,92 @@
+// migrations/035_marketplace_auctions.js
+// Auctions (English and sealed-bid) and buyer offers on marketplace listings.
+//
+// Every bid and offer holds the bidder's coins in the __ESCROW__ account
+// (AUCTION_HOLD) until it is outbid, loses, is rejected or expires
+// (AUCTION_REFUND), or wins, in which case the hold is returned and the sale
+// goes through the normal marketplace purchase path at the winning amount.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS marketplace_auctions (
+      id                    TEXT PRIMARY KEY,
+      listing_id            TEXT NOT NULL REFERENCES marketplace_economy_listings(id),
+      seller_id             TEXT NOT NULL,
+      kind                  TEXT NOT NULL CHECK (kind IN ('english', 'sealed')),
+      status                TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'settled', 'no_sale', 'cancelled')),
+      starting_price        REAL NOT NULL CHECK(starting_price > 0),
+      reserve_price         REAL,
+      min_increment         REAL NOT NULL DEFAULT 1,
+      high_bid_id           TEXT,
+      high_bid_amount       REAL,
+      bid_count             INTEGER NOT NULL DEFAULT 0,
+      ends_at               TEXT NOT NULL,
+      original_ends_at      TEXT NOT NULL,
+      snipe_window_seconds  INTEGER NOT NULL DEFAULT 120,
+      extension_seconds     INTEGER NOT NULL DEFAULT 120,
+      max_extensions        INTEGER NOT NULL DEFAULT 10,
+      extensions            INTEGER NOT NULL DEFAULT 0,
+      winner_id             TEXT,
+      winning_amount        REAL,
+      purchase_id           TEXT,
+      close_reason          TEXT,
+      created_at            TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at            TEXT NOT NULL DEFAULT (datetime('now')),
+      closed_at             TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auctions_listing ON marketplace_auctions(listing_id, status);
+    CREATE INDEX IF NOT EXISTS idx_auctions_due ON marketplace_auctions(status, ends_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_auctions_one_open_per_listing
+      ON marketplace_auctions(listing_id) WHERE status = 'open';
+
+    CREATE TABLE IF NOT EXISTS marketplace_bids (
+      id              TEXT PRIMARY KEY,
+      auction_id      TEXT NOT NULL REFERENCES marketplace_auctions(id),
+      bidder_id       TEXT NOT NULL,
+      amount          REAL NOT NULL CHECK(amount > 0),
+      status          TEXT NOT NULL DEFAULT 'held'
+        CHECK (status IN ('held', 'outbid', 'replaced', 'lost', 'won', 'refunded')),
+      hold_ref_id     TEXT NOT NULL UNIQUE,
+      refund_ref_id   TEXT,
+      created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at      TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_bids_auction ON marketplace_bids(auction_id, status);
+    CREATE INDEX IF NOT EXISTS idx_bids_bidder ON marketplace_bids(bidder_id, status);
+
+    CREATE TABLE IF NOT EXISTS marketplace_offers (
+      id              TEXT PRIMARY KEY,
+      listing_id      TEXT NOT NULL REFERENCES marketplace_economy_listings(id),
+      buyer_id        TEXT NOT NULL,
+      seller_id       TEXT NOT NULL,
+      amount          REAL NOT NULL CHECK(amount > 0),
+      message         TEXT,
+      status          TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn', 'expired')),
+      hold_ref_id     TEXT NOT NULL UNIQUE,
+      refund_ref_id   TEXT,
+      purchase_id     TEXT,
+      expires_at      TEXT NOT NULL,
+      created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      responded_at    TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_offers_listing ON marketplace_offers(listing_id, status);
+    CREATE INDEX IF NOT EXISTS idx_offers_buyer ON marketplace_offers(buyer_id, status);
+    CREATE INDEX IF NOT EXISTS idx_offers_expiry ON marketplace_offers(status, expires_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_one_pending
+      ON marketplace_offers(listing_id, buyer_id) WHERE status = 'pending';
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS marketplace_offers;
+    DROP TABLE IF EXISTS marketplace_bids;
+    DROP TABLE IF EXISTS marketplace_auctions;
+  `);
+}
@@ -0,0 +1,34 @@
+// migrations/036_creator_tax_profiles.js
+// Creator tax profiles (W-9 / W-8BEN / W-8BEN-E).
+//
+// The form fields (name, TIN, address, …) are stored only as an AES-256-GCM
+// ciphertext; the plain columns hold what admins need to triage without
+// decrypting: form type, country, TIN last four and certification time.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS creator_tax_profiles (
+      user_id           TEXT PRIMARY KEY,
+      form_type         TEXT NOT NULL CHECK (form_type IN ('W-9', 'W-8BEN', 'W-8BEN-E')),
+      country           TEXT NOT NULL,
+      tin_last4         TEXT,
+      ciphertext        TEXT NOT NULL,
+      iv                TEXT NOT NULL,
+      auth_tag          TEXT NOT NULL,
+      key_version       INTEGER NOT NULL DEFAULT 1,
+      certified_name    TEXT NOT NULL,
+      certified_at      TEXT NOT NULL,
+      version           INTEGER NOT NULL DEFAULT 1,
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tax_profiles_form ON creator_tax_profiles(form_type);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS creator_tax_profiles;
+  `);
+}
@@ -0,0 +1,45 @@
+// migrations/037_fraud_reviews.js
+// Fraud review queue.
+//
+// Transfers, purchases, tips, bids, offers, subscriptions and citations
+// that score above the review threshold are held here with the original
+// request payload and replayed when an admin approves them. Withdrawals already wait for manual approval, so
+// their reviews point at the withdrawal (subject_id) instead.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS economy_fraud_reviews (
+      id               TEXT PRIMARY KEY,
+      action           TEXT NOT NULL CHECK (action IN (
+        'transfer', 'marketplace_purchase', 'listing_purchase', 'artifact_purchase', 'dtu_purchase',
+        'tip', 'bid', 'offer', 'subscription', 'withdrawal', 'citation'
+      )),
+      user_id          TEXT NOT NULL,
+      counterparty_id  TEXT,
+      subject_id       TEXT,
+      amount           REAL,
+      score            INTEGER NOT NULL,
+      signals_json     TEXT NOT NULL DEFAULT '[]',
+      payload_json     TEXT NOT NULL DEFAULT '{}',
+      status           TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending', 'approved', 'rejected', 'failed'
+      )),
+      result_json      TEXT,
+      reviewed_by      TEXT,
+      reviewed_at      TEXT,
+      review_note      TEXT,
+      created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at       TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fraud_reviews_status ON economy_fraud_reviews(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_fraud_reviews_user ON economy_fraud_reviews(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_fraud_reviews_subject ON economy_fraud_reviews(action, subject_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS economy_fraud_reviews;
+  `);
+}
@@ -0,0 +1,33 @@
+// migrations/038_regional_price_tiers.js
+// Creator-set regional price tiers for marketplace listings and creative
+// artifacts. A tier targets a national (ISO country code) or a federation
+// region and either scales the base Concord Coin price by a multiplier or
+// replaces it with a fixed price.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS regional_price_tiers (
+      id            TEXT PRIMARY KEY,
+      item_type     TEXT NOT NULL CHECK (item_type IN ('listing', 'artifact')),
+      item_id       TEXT NOT NULL,
+      creator_id    TEXT NOT NULL,
+      scope         TEXT NOT NULL CHECK (scope IN ('national', 'regional')),
+      target        TEXT NOT NULL,
+      multiplier    REAL,
+      fixed_price   REAL,
+      label         TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      CHECK ((multiplier IS NULL) != (fixed_price IS NULL)),
+      UNIQUE (item_type, item_id, scope, target)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_price_tiers_item ON regional_price_tiers(item_type, item_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS regional_price_tiers;
+  `);
+}
@@ -0,0 +1,55 @@
+// migrations/039_webhook_deliveries.js
+// Outbound webhook delivery log and dead-letter queue. One row per
+// event-to-endpoint delivery; every HTTP attempt is logged separately.
+// Deliveries that exhaust their retries stay here with status
+// 'dead_letter' until an operator replays them.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id                TEXT PRIMARY KEY,
+      endpoint_id       TEXT NOT NULL,
+      source            TEXT NOT NULL,
+      event             TEXT NOT NULL,
+      url               TEXT NOT NULL,
+      payload_json      TEXT NOT NULL,
+      status            TEXT NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'retrying', 'delivered', 'dead_letter')),
+      attempts          INTEGER NOT NULL DEFAULT 0,
+      max_attempts      INTEGER NOT NULL,
+      next_attempt_at   INTEGER,
+      last_attempt_at   TEXT,
+      last_status_code  INTEGER,
+      last_error        TEXT,
+      delivered_at      TEXT,
+      dead_lettered_at  TEXT,
+      replay_count      INTEGER NOT NULL DEFAULT 0,
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+      id                TEXT PRIMARY KEY,
+      delivery_id       TEXT NOT NULL,
+      attempt           INTEGER NOT NULL,
+      status_code       INTEGER,
+      error             TEXT,
+      duration_ms       INTEGER,
+      response_excerpt  TEXT,
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery ON webhook_delivery_attempts(delivery_id, attempt);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS webhook_delivery_attempts;
+    DROP TABLE IF EXISTS webhook_deliveries;
+  `);
+}
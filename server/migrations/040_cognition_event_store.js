@@ -0,0 +1,41 @@
+// migrations/040_cognition_event_store.js
+// Durable store for the LOAF cognition bus. Events keep their bus sequence
+// number as the primary key so numbering continues across restarts, and are
+// grouped into fixed-size segments so old history can be pruned a segment
+// at a time. Durable subscribers record the last sequence they processed.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cognition_events (
+      seq           INTEGER PRIMARY KEY,
+      segment       INTEGER NOT NULL,
+      type          TEXT NOT NULL,
+      payload_json  TEXT NOT NULL DEFAULT '{}',
+      meta_json     TEXT NOT NULL DEFAULT '{}',
+      actor_id      TEXT,
+      session_id    TEXT,
+      shard         TEXT,
+      ts            INTEGER NOT NULL,
+      iso_ts        TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cognition_events_segment ON cognition_events(segment);
+    CREATE INDEX IF NOT EXISTS idx_cognition_events_type ON cognition_events(type, seq);
+    CREATE INDEX IF NOT EXISTS idx_cognition_events_actor ON cognition_events(actor_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_cognition_events_ts ON cognition_events(ts);
+
+    CREATE TABLE IF NOT EXISTS cognition_bus_cursors (
+      subscriber_id TEXT PRIMARY KEY,
+      event_type    TEXT NOT NULL,
+      last_seq      INTEGER NOT NULL DEFAULT 0,
+      updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS cognition_bus_cursors;
+    DROP TABLE IF EXISTS cognition_events;
+  `);
+}
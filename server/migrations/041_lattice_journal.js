@@ -0,0 +1,44 @@
+// migrations/041_lattice_journal.js
+// Durable lattice journal. Every journal event is kept here with its
+// journal sequence number; compaction only trims the in-memory window.
+// Per-DTU snapshots are written every few events so a DTU can be rebuilt
+// as of any timestamp from the nearest snapshot plus the event tail.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lattice_journal (
+      seq           INTEGER PRIMARY KEY,
+      type          TEXT NOT NULL,
+      entity_id     TEXT,
+      session_id    TEXT,
+      actor_id      TEXT,
+      payload_json  TEXT NOT NULL DEFAULT '{}',
+      meta_json     TEXT NOT NULL DEFAULT '{}',
+      timestamp     TEXT NOT NULL,
+      ts_ms         INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lattice_journal_entity ON lattice_journal(entity_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_lattice_journal_type ON lattice_journal(type, seq);
+    CREATE INDEX IF NOT EXISTS idx_lattice_journal_session ON lattice_journal(session_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_lattice_journal_ts ON lattice_journal(ts_ms);
+
+    CREATE TABLE IF NOT EXISTS lattice_dtu_snapshots (
+      dtu_id        TEXT NOT NULL,
+      seq           INTEGER NOT NULL,
+      ts_ms         INTEGER NOT NULL,
+      state_json    TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (dtu_id, seq)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lattice_dtu_snapshots_ts ON lattice_dtu_snapshots(dtu_id, ts_ms);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS lattice_dtu_snapshots;
+    DROP TABLE IF EXISTS lattice_journal;
+  `);
+}
@@ -0,0 +1,77 @@
+// migrations/042_rbac.js
+// Enterprise RBAC: org workspaces, member roles (with SCIM external ids and
+// active flags), per-org private lenses, resource ACLs, and the RBAC audit
+// log. Audit rows are hash-chained per org — each row stores the previous
+// row's hash — so an exported log can be checked for tampering.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rbac_orgs (
+      id            TEXT PRIMARY KEY,
+      name          TEXT NOT NULL,
+      description   TEXT NOT NULL DEFAULT '',
+      owner_id      TEXT,
+      plan          TEXT NOT NULL DEFAULT 'free',
+      settings_json TEXT NOT NULL DEFAULT '{}',
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS rbac_org_members (
+      org_id        TEXT NOT NULL,
+      user_id       TEXT NOT NULL,
+      role          TEXT NOT NULL,
+      external_id   TEXT,
+      active        INTEGER NOT NULL DEFAULT 1,
+      assigned_by   TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (org_id, user_id),
+      FOREIGN KEY (org_id) REFERENCES rbac_orgs(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rbac_members_user ON rbac_org_members(user_id);
+    CREATE INDEX IF NOT EXISTS idx_rbac_members_external ON rbac_org_members(org_id, external_id);
+
+    CREATE TABLE IF NOT EXISTS rbac_org_lenses (
+      org_id        TEXT NOT NULL,
+      lens_id       TEXT NOT NULL,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (org_id, lens_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rbac_org_lenses_lens ON rbac_org_lenses(lens_id);
+
+    CREATE TABLE IF NOT EXISTS rbac_resource_acls (
+      resource_id   TEXT PRIMARY KEY,
+      org_id        TEXT,
+      rules_json    TEXT NOT NULL DEFAULT '[]',
+      updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS rbac_audit_log (
+      seq           INTEGER PRIMARY KEY AUTOINCREMENT,
+      id            TEXT NOT NULL UNIQUE,
+      org_id        TEXT,
+      action        TEXT NOT NULL,
+      actor         TEXT,
+      details_json  TEXT NOT NULL DEFAULT '{}',
+      ts            INTEGER NOT NULL,
+      timestamp     TEXT NOT NULL,
+      prev_hash     TEXT NOT NULL,
+      hash          TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rbac_audit_org ON rbac_audit_log(org_id, seq);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS rbac_audit_log;
+    DROP TABLE IF EXISTS rbac_resource_acls;
+    DROP TABLE IF EXISTS rbac_org_lenses;
+    DROP TABLE IF EXISTS rbac_org_members;
+    DROP TABLE IF EXISTS rbac_orgs;
+  `);
+}
@@ -0,0 +1,67 @@
+// migrations/043_tenants.js
+// Multi-tenant hosting: the tenant registry (host names, hashed tenant API
+// key, LLM queue share) and a `tenant_peer` federation peer type so tenants
+// exchange knowledge through federation peering instead of shared memory.
+// SQLite cannot alter a CHECK constraint, so federation_peers is rebuilt.
+
+const PEERS_COLUMNS = "id, peer_type, from_id, to_id, sharing_policy, economic_isolation, compliance_layer, created_at";
+
+function rebuildFederationPeers(db, peerTypes) {
+  const hasPeers = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'federation_peers'").get();
+  const allowed = peerTypes.map((t) => `'${t}'`).join(",");
+  db.exec(`
+    CREATE TABLE federation_peers_rebuild (
+      id TEXT PRIMARY KEY,
+      peer_type TEXT NOT NULL
+        CHECK (peer_type IN (${allowed})),
+      from_id TEXT NOT NULL,
+      to_id TEXT NOT NULL,
+      sharing_policy TEXT NOT NULL DEFAULT 'pull_on_demand',
+      economic_isolation INTEGER NOT NULL DEFAULT 1,
+      compliance_layer INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+  if (hasPeers) {
+    db.exec(`
+      INSERT INTO federation_peers_rebuild (${PEERS_COLUMNS})
+        SELECT ${PEERS_COLUMNS} FROM federation_peers WHERE peer_type IN (${allowed});
+      DROP TABLE federation_peers;
+    `);
+  }
+  db.exec(`
+    ALTER TABLE federation_peers_rebuild RENAME TO federation_peers;
+    CREATE INDEX IF NOT EXISTS idx_fed_peers_from ON federation_peers(from_id);
+    CREATE INDEX IF NOT EXISTS idx_fed_peers_to ON federation_peers(to_id);
+  `);
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tenants (
+      id               TEXT PRIMARY KEY,
+      name             TEXT NOT NULL,
+      hosts_json       TEXT NOT NULL DEFAULT '[]',
+      api_key_hash     TEXT,
+      api_key_prefix   TEXT,
+      llm_share        REAL NOT NULL DEFAULT 0.25,
+      llm_max_queued   INTEGER NOT NULL DEFAULT 50,
+      status           TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active','suspended')),
+      created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at       TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_tenants_api_key ON tenants(api_key_hash);
+  `);
+
+  rebuildFederationPeers(db, ["regional_sibling", "national_peer", "tier_escalation", "tenant_peer"]);
+}
+
+export function down(db) {
+  rebuildFederationPeers(db, ["regional_sibling", "national_peer", "tier_escalation"]);
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tenants_api_key;
+    DROP TABLE IF EXISTS tenants;
+  `);
+}
@@ -0,0 +1,107 @@
+// migrations/044_developer_sdk.js
+// Developer SDK: third-party plugins, their hashed API keys (with scopes and
+// expiry), sandboxes, rate-limit token buckets, hourly usage counters and an
+// append-only audit trail of plugin lifecycle events. Billed calls go through
+// api_usage_log (017) under the plugin key's hash so the two can be reconciled.
+//
+// meterAPICall bumps api_keys.total_calls, but on databases where 001 created
+// api_keys first, 017's CREATE IF NOT EXISTS was a no-op and the column is
+// missing; it is added here. down() leaves it, since 017's own schema has it.
+
+export function up(db) {
+  const apiKeyColumns = db.prepare("PRAGMA table_info(api_keys)").all().map((c) => c.name);
+  if (apiKeyColumns.length > 0 && !apiKeyColumns.includes("total_calls")) {
+    db.exec("ALTER TABLE api_keys ADD COLUMN total_calls INTEGER DEFAULT 0");
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sdk_plugins (
+      id                TEXT PRIMARY KEY,
+      name              TEXT NOT NULL,
+      version           TEXT NOT NULL DEFAULT '1.0.0',
+      author            TEXT NOT NULL DEFAULT '',
+      description       TEXT NOT NULL DEFAULT '',
+      status            TEXT NOT NULL DEFAULT 'registered'
+        CHECK (status IN ('registered', 'active', 'suspended', 'revoked')),
+      permissions_json  TEXT NOT NULL DEFAULT '[]',
+      rate_limits_json  TEXT NOT NULL DEFAULT '{}',
+      metadata_json     TEXT NOT NULL DEFAULT '{}',
+      billing_user_id   TEXT,
+      request_count     INTEGER NOT NULL DEFAULT 0,
+      error_count       INTEGER NOT NULL DEFAULT 0,
+      registered_at     TEXT NOT NULL,
+      last_active_at    TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sdk_plugins_status ON sdk_plugins(status);
+
+    CREATE TABLE IF NOT EXISTS sdk_api_keys (
+      id            TEXT PRIMARY KEY,
+      plugin_id     TEXT NOT NULL,
+      key_hash      TEXT NOT NULL UNIQUE,
+      key_prefix    TEXT NOT NULL,
+      scopes_json   TEXT NOT NULL DEFAULT '[]',
+      status        TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'revoked', 'expired')),
+      expires_at    TEXT,
+      created_at    TEXT NOT NULL,
+      last_used_at  TEXT,
+      revoked_at    TEXT,
+      FOREIGN KEY (plugin_id) REFERENCES sdk_plugins(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sdk_api_keys_plugin ON sdk_api_keys(plugin_id, status);
+
+    CREATE TABLE IF NOT EXISTS sdk_sandboxes (
+      id          TEXT PRIMARY KEY,
+      plugin_id   TEXT NOT NULL,
+      type        TEXT NOT NULL CHECK (type IN ('readonly', 'testing')),
+      state_json  TEXT NOT NULL DEFAULT '{}',
+      ttl_ms      INTEGER NOT NULL,
+      created_at  TEXT NOT NULL,
+      expires_at  TEXT NOT NULL,
+      FOREIGN KEY (plugin_id) REFERENCES sdk_plugins(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sdk_sandboxes_plugin ON sdk_sandboxes(plugin_id);
+
+    CREATE TABLE IF NOT EXISTS sdk_rate_buckets (
+      plugin_id            TEXT PRIMARY KEY,
+      tokens               REAL NOT NULL,
+      last_refill_ms       INTEGER NOT NULL,
+      requests_per_minute  INTEGER NOT NULL,
+      burst_size           INTEGER NOT NULL,
+      FOREIGN KEY (plugin_id) REFERENCES sdk_plugins(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS sdk_usage_hourly (
+      plugin_id   TEXT NOT NULL,
+      hour        TEXT NOT NULL,
+      count       INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (plugin_id, hour),
+      FOREIGN KEY (plugin_id) REFERENCES sdk_plugins(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS sdk_audit_log (
+      seq           INTEGER PRIMARY KEY AUTOINCREMENT,
+      plugin_id     TEXT NOT NULL,
+      action        TEXT NOT NULL,
+      actor         TEXT,
+      details_json  TEXT NOT NULL DEFAULT '{}',
+      created_at    TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sdk_audit_plugin ON sdk_audit_log(plugin_id, seq);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS sdk_audit_log;
+    DROP TABLE IF EXISTS sdk_usage_hourly;
+    DROP TABLE IF EXISTS sdk_rate_buckets;
+    DROP TABLE IF EXISTS sdk_sandboxes;
+    DROP TABLE IF EXISTS sdk_api_keys;
+    DROP TABLE IF EXISTS sdk_plugins;
+  `);
+}
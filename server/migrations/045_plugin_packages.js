@@ -0,0 +1,115 @@
+// migrations/045_plugin_packages.js
+// Plugin packaging and distribution: trusted publishers (Ed25519 public
+// keys), the package repository (one row per published plugin version), the
+// installed set with the version to roll back to, and an install event log.
+//
+// Plugins are sold as marketplace listings with content_type 'plugin'.
+// SQLite cannot alter a CHECK constraint, so marketplace_economy_listings is
+// rebuilt from its stored DDL (keeping columns added by later migrations);
+// 'film' and 'video', which the preview engine already offers, are allowed
+// at the same time. Auctions and offers reference the listings table, so
+// foreign key checks are deferred to commit while it is swapped.
+
+const BASE_CONTENT_TYPES = ["dtu", "mega_dtu", "hyper_dtu", "music", "art", "document", "artifact"];
+const CONTENT_TYPES = [...BASE_CONTENT_TYPES, "film", "video", "plugin"];
+
+function rebuildListings(db, contentTypes) {
+  const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'marketplace_economy_listings'").get();
+  if (!table) return;
+
+  const allowed = contentTypes.map((t) => `'${t}'`).join(", ");
+  const ddl = table.sql
+    .replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?"?marketplace_economy_listings"?/, "CREATE TABLE marketplace_economy_listings_rebuild")
+    .replace(/CHECK\s*\(\s*content_type\s+IN\s*\([^)]*\)\s*\)/, `CHECK(content_type IN (${allowed}))`);
+  const indexes = db.prepare(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'marketplace_economy_listings' AND sql IS NOT NULL"
+  ).all();
+  const columns = db.prepare("PRAGMA table_info(marketplace_economy_listings)").all().map((c) => c.name).join(", ");
+
+  db.pragma("defer_foreign_keys = ON");
+  db.exec(ddl);
+  db.exec(`
+    INSERT INTO marketplace_economy_listings_rebuild (${columns})
+      SELECT ${columns} FROM marketplace_economy_listings WHERE content_type IN (${allowed});
+    DROP TABLE marketplace_economy_listings;
+    ALTER TABLE marketplace_economy_listings_rebuild RENAME TO marketplace_economy_listings;
+  `);
+  for (const { sql } of indexes) db.exec(sql);
+}
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS plugin_publishers (
+      id               TEXT PRIMARY KEY,
+      name             TEXT NOT NULL,
+      public_key_pem   TEXT NOT NULL,
+      fingerprint      TEXT NOT NULL UNIQUE,
+      owner_user_id    TEXT,
+      status           TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'revoked')),
+      created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at       TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS plugin_packages (
+      plugin_id        TEXT NOT NULL,
+      version          TEXT NOT NULL,
+      publisher_id     TEXT NOT NULL REFERENCES plugin_publishers(id),
+      digest           TEXT NOT NULL,
+      manifest_json    TEXT NOT NULL,
+      package_path     TEXT NOT NULL,
+      published_by     TEXT,
+      published_at     TEXT NOT NULL DEFAULT (datetime('now')),
+      yanked           INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (plugin_id, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_plugin_packages_publisher ON plugin_packages(publisher_id);
+
+    CREATE TABLE IF NOT EXISTS plugin_installs (
+      plugin_id         TEXT PRIMARY KEY,
+      version           TEXT NOT NULL,
+      previous_version  TEXT,
+      status            TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'failed')),
+      last_error        TEXT,
+      installed_by      TEXT,
+      installed_at      TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (plugin_id, version) REFERENCES plugin_packages(plugin_id, version)
+    );
+
+    CREATE TABLE IF NOT EXISTS plugin_install_events (
+      seq            INTEGER PRIMARY KEY AUTOINCREMENT,
+      plugin_id      TEXT NOT NULL,
+      action         TEXT NOT NULL
+        CHECK (action IN ('install', 'upgrade', 'uninstall', 'rollback', 'load')),
+      from_version   TEXT,
+      to_version     TEXT,
+      outcome        TEXT NOT NULL CHECK (outcome IN ('ok', 'failed')),
+      error          TEXT,
+      actor          TEXT,
+      created_at     TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_plugin_install_events_plugin ON plugin_install_events(plugin_id, seq);
+  `);
+
+  rebuildListings(db, CONTENT_TYPES);
+}
+
+export function down(db) {
+  const dropped = CONTENT_TYPES.filter((t) => !BASE_CONTENT_TYPES.includes(t)).map((t) => `'${t}'`).join(", ");
+  for (const child of ["marketplace_auctions", "marketplace_offers"]) {
+    if (db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(child)) {
+      db.exec(`DELETE FROM ${child} WHERE listing_id IN (SELECT id FROM marketplace_economy_listings WHERE content_type IN (${dropped}))`);
+    }
+  }
+  rebuildListings(db, BASE_CONTENT_TYPES);
+  db.exec(`
+    DROP TABLE IF EXISTS plugin_install_events;
+    DROP TABLE IF EXISTS plugin_installs;
+    DROP TABLE IF EXISTS plugin_packages;
+    DROP TABLE IF EXISTS plugin_publishers;
+  `);
+}
@@ -0,0 +1,29 @@
+// migrations/046_lexical_index.js
+// BM25 keyword index over the DTU substrate (lib/lexical-index.js). Text is
+// tokenized in JS before it is stored, so the FTS5 table only splits on
+// whitespace and the in-memory fallback ranks identically. dtu_lexical_docs
+// maps each DTU to its FTS row and remembers the fingerprint it was indexed
+// at, so a restart only re-indexes DTUs that changed.
+
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS dtu_lexical_fts USING fts5(
+      title, human, core, tags,
+      tokenize = 'unicode61 remove_diacritics 0'
+    );
+
+    CREATE TABLE IF NOT EXISTS dtu_lexical_docs (
+      dtu_id        TEXT PRIMARY KEY,
+      fts_rowid     INTEGER NOT NULL,
+      fingerprint   TEXT NOT NULL,
+      indexed_at    TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS dtu_lexical_docs;
+    DROP TABLE IF EXISTS dtu_lexical_fts;
+  `);
+}
@@ -0,0 +1,25 @@
+// migrations/047_tenant_members.js
+// Who may use each hosted tenant. Accounts live in the root database, so a
+// signed-in user is only bound to a tenant's namespace when they are listed
+// here (lib/tenancy.js createTenantMiddleware).
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tenant_members (
+      tenant_id   TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+      user_id     TEXT NOT NULL,
+      role        TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('member','admin')),
+      added_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (tenant_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tenant_members_user ON tenant_members(user_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS tenant_members;
+  `);
+}
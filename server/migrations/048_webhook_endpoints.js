@@ -0,0 +1,31 @@
+// migrations/048_webhook_endpoints.js
+// Registry of outbound webhook endpoints, next to the delivery log from
+// migration 039. lib/webhook-delivery.js writes every registration here and
+// loads it back at startup, so deliveries still queued when the server
+// restarts find their URL and signing secret. metadata_json holds what the
+// owning module needs to rebuild its own record (subscribed events, etc.).
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id                TEXT PRIMARY KEY,
+      source            TEXT NOT NULL,
+      owner_id          TEXT,
+      url               TEXT NOT NULL,
+      secret            TEXT NOT NULL,
+      max_attempts      INTEGER,
+      active            INTEGER NOT NULL DEFAULT 1,
+      metadata_json     TEXT NOT NULL DEFAULT '{}',
+      created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at        TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_source ON webhook_endpoints(source);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS webhook_endpoints;
+  `);
+}
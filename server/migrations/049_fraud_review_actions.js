@@ -0,0 +1,44 @@
+// migrations/049_fraud_review_actions.js
+// Widen the fraud review queue's action CHECK.
+//
+// Escrow locks (bounties and film crew contracts) are screened as 'escrow'.
+// Databases that ran 037 before tips, bids, offers and subscriptions were
+// screened also lack those actions. SQLite cannot alter a CHECK constraint,
+// so economy_fraud_reviews is rebuilt from its stored DDL.
+
+const BASE_ACTIONS = [
+  "transfer", "marketplace_purchase", "listing_purchase", "artifact_purchase", "dtu_purchase",
+  "tip", "bid", "offer", "subscription", "withdrawal", "citation",
+];
+const ACTIONS = [...BASE_ACTIONS, "escrow"];
+
+function rebuildReviews(db, actions) {
+  const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'economy_fraud_reviews'").get();
+  if (!table) return;
+
+  const allowed = actions.map((a) => `'${a}'`).join(", ");
+  const ddl = table.sql
+    .replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?"?economy_fraud_reviews"?/, "CREATE TABLE economy_fraud_reviews_rebuild")
+    .replace(/CHECK\s*\(\s*action\s+IN\s*\([^)]*\)\s*\)/, `CHECK (action IN (${allowed}))`);
+  const indexes = db.prepare(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'economy_fraud_reviews' AND sql IS NOT NULL"
+  ).all();
+  const columns = db.prepare("PRAGMA table_info(economy_fraud_reviews)").all().map((c) => c.name).join(", ");
+
+  db.exec(ddl);
+  db.exec(`
+    INSERT INTO economy_fraud_reviews_rebuild (${columns})
+      SELECT ${columns} FROM economy_fraud_reviews WHERE action IN (${allowed});
+    DROP TABLE economy_fraud_reviews;
+    ALTER TABLE economy_fraud_reviews_rebuild RENAME TO economy_fraud_reviews;
+  `);
+  for (const { sql } of indexes) db.exec(sql);
+}
+
+export function up(db) {
+  rebuildReviews(db, ACTIONS);
+}
+
+export function down(db) {
+  rebuildReviews(db, BASE_ACTIONS);
+}
@@ -0,0 +1,45 @@
+// migrations/050_developer_sdk_webhooks.js
+// Developer SDK webhooks and the hooks/endpoints each plugin declares, so
+// they survive a restart (emergent/developer-sdk.js attachDeveloperSdkStore).
+// Webhooks are re-registered with the delivery pipeline on load.
+//
+// The columns are only added where they are missing: some databases got them
+// from an earlier revision of 044.
+
+export function up(db) {
+  const pluginColumns = db.prepare("PRAGMA table_info(sdk_plugins)").all().map((c) => c.name);
+  if (pluginColumns.length > 0 && !pluginColumns.includes("hooks_json")) {
+    db.exec("ALTER TABLE sdk_plugins ADD COLUMN hooks_json TEXT NOT NULL DEFAULT '[]'");
+  }
+  if (pluginColumns.length > 0 && !pluginColumns.includes("endpoints_json")) {
+    db.exec("ALTER TABLE sdk_plugins ADD COLUMN endpoints_json TEXT NOT NULL DEFAULT '[]'");
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sdk_webhooks (
+      id              TEXT PRIMARY KEY,
+      plugin_id       TEXT NOT NULL,
+      url             TEXT NOT NULL,
+      events_json     TEXT NOT NULL DEFAULT '[]',
+      secret          TEXT NOT NULL,
+      status          TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'paused', 'failed')),
+      failure_count   INTEGER NOT NULL DEFAULT 0,
+      max_retries     INTEGER NOT NULL DEFAULT 3,
+      last_delivered  TEXT,
+      last_error      TEXT,
+      created_at      TEXT NOT NULL,
+      FOREIGN KEY (plugin_id) REFERENCES sdk_plugins(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sdk_webhooks_plugin ON sdk_webhooks(plugin_id);
+  `);
+}
+
+export function down(db) {
+  db.exec("DROP TABLE IF EXISTS sdk_webhooks");
+  const pluginColumns = db.prepare("PRAGMA table_info(sdk_plugins)").all().map((c) => c.name);
+  for (const column of ["hooks_json", "endpoints_json"]) {
+    if (pluginColumns.includes(column)) db.exec(`ALTER TABLE sdk_plugins DROP COLUMN ${column}`);
+  }
+}
@@ -0,0 +1,691 @@
+/**
+ * Plugin Installer — signed package distribution
+ *
+ * Installs, upgrades and uninstalls .concord-plugin packages (package.js) on
+ * top of the loader's lifecycle (loader.js):
+ *
+ *   addPublisher / revokePublisher → Trust store of publisher Ed25519 keys
+ *   publish                        → Verify signature + source gate, store in repository
+ *   resolve                        → Semver dependency resolution over published versions
+ *   install                        → Resolve, license check, activate dependencies first
+ *   upgrade                        → Swap versions; roll back if the new init fails
+ *   uninstall                      → Refuses while other installed plugins depend on it
+ *   loadInstalled                  → Re-verify and activate the installed set at startup
+ *   listForSale                    → Sell a plugin through the marketplace (content_type 'plugin')
+ *
+ * Repository layout (under dir, default data/plugins):
+ *   packages/<pluginId>/<version>.concord-plugin  — the signed package as published
+ *   modules/<pluginId>/<version>-<digest>.mjs     — extracted code, imported on activation
+ *
+ * Packages are re-verified against the trust store every time they are
+ * activated, so revoking a publisher or tampering with a stored package
+ * stops it loading on the next start. Package code must be self-contained:
+ * everything a plugin needs comes through the sandboxed init(ctx), so
+ * static imports are refused along with the validator's prohibited patterns.
+ *
+ * Resolution is greedy (highest satisfying version per plugin, no
+ * backtracking); a choice that a later constraint rules out is reported as
+ * dependency_conflict rather than searched around.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import { satisfies, maxSatisfying, isValidRange, compareVersions } from "../lib/semver.js";
+import { createListing, generatePreview } from "../economy/marketplace-service.js";
+import { registerPlugin, unloadPlugin, getPlugin } from "./loader.js";
+import { validatePatterns } from "./validator.js";
+import {
+  PACKAGE_EXTENSION, parsePluginPackage, verifyPluginPackage,
+  publicKeyFingerprint, isValidPublisherId,
+} from "./package.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PLUGIN_REPOSITORY_DIR = process.env.PLUGIN_REPOSITORY_DIR
+  || path.join(__dirname, "..", "data", "plugins");
+
+const STATIC_IMPORT = /^\s*(?:import\s+[\w{*"'\s]|export\s+(?:\*|\{[^}]*\})\s+from\b)/m;
+const LICENSED_PURCHASE_STATUSES = ["PAID", "SETTLED", "FULFILLED"];
+
+function listingContentId(pluginId) {
+  return `plugin:${pluginId}`;
+}
+
+function rowToPublisher(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    fingerprint: row.fingerprint,
+    ownerUserId: row.owner_user_id,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToPackage(row) {
+  if (!row) return null;
+  return {
+    pluginId: row.plugin_id,
+    version: row.version,
+    publisherId: row.publisher_id,
+    digest: row.digest,
+    manifest: JSON.parse(row.manifest_json),
+    publishedBy: row.published_by,
+    publishedAt: row.published_at,
+  };
+}
+
+function rowToInstall(row) {
+  if (!row) return null;
+  return {
+    pluginId: row.plugin_id,
+    version: row.version,
+    previousVersion: row.previous_version,
+    status: row.status,
+    lastError: row.last_error,
+    installedBy: row.installed_by,
+    installedAt: row.installed_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Create the plugin installer.
+ *
+ * @param {object} opts
+ * @param {import("better-sqlite3").Database} opts.db - Database migrated through 045
+ * @param {object} opts.STATE - Server state the loader keeps its plugin store in
+ * @param {string} [opts.dir] - Package repository directory (defaults to PLUGIN_REPOSITORY_DIR)
+ * @param {object} [opts.loaderOpts] - { register, helpers, runMacro } passed to loader.registerPlugin
+ * @param {Function} [opts.importModule] - (fileUrl) → Promise<module namespace>
+ */
+export function createPluginInstaller({
+  db,
+  STATE,
+  dir = PLUGIN_REPOSITORY_DIR,
+  loaderOpts = {},
+  importModule = (url) => import(url),
+} = {}) {
+  if (!db) return { ok: false, error: "plugin_installer_requires_db" };
+  try {
+    db.prepare("SELECT 1 FROM plugin_installs LIMIT 1").get();
+  } catch {
+    return { ok: false, error: "plugin_packages_not_migrated" };
+  }
+
+  const _modules = new Map(); // digest → imported plugin module
+  let _chain = Promise.resolve();
+
+  // Install, upgrade and uninstall swap live plugins; run them one at a time
+  function exclusive(fn) {
+    const run = _chain.then(fn, fn);
+    _chain = run.catch(() => {});
+    return run;
+  }
+
+  function recordEvent(pluginId, action, { from = null, to = null, outcome = "ok", error = null, actor = null } = {}) {
+    db.prepare(`
+      INSERT INTO plugin_install_events (plugin_id, action, from_version, to_version, outcome, error, actor)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(pluginId, action, from, to, outcome, error, actor);
+  }
+
+  // ── Publishers ────────────────────────────────────────────────────────────
+
+  function getPublisher(id) {
+    return rowToPublisher(db.prepare("SELECT * FROM plugin_publishers WHERE id = ?").get(id));
+  }
+
+  function listPublishers() {
+    return db.prepare("SELECT * FROM plugin_publishers ORDER BY id").all().map(rowToPublisher);
+  }
+
+  /**
+   * Trust a publisher's Ed25519 public key (PEM or KeyObject).
+   */
+  function addPublisher({ id, name, publicKey, ownerUserId = null } = {}) {
+    if (!isValidPublisherId(id)) return { ok: false, error: "invalid_publisher_id" };
+    if (getPublisher(id)) return { ok: false, error: "publisher_exists" };
+    const key = publicKeyFingerprint(publicKey);
+    if (!key.ok) return key;
+    if (db.prepare("SELECT 1 FROM plugin_publishers WHERE fingerprint = ?").get(key.fingerprint)) {
+      return { ok: false, error: "publisher_key_in_use" };
+    }
+    db.prepare(`
+      INSERT INTO plugin_publishers (id, name, public_key_pem, fingerprint, owner_user_id)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, name || id, key.pem, key.fingerprint, ownerUserId);
+    return { ok: true, publisher: getPublisher(id) };
+  }
+
+  function revokePublisher(id) {
+    if (!getPublisher(id)) return { ok: false, error: "publisher_not_found" };
+    db.prepare("UPDATE plugin_publishers SET status = 'revoked', updated_at = datetime('now') WHERE id = ?").run(id);
+    return { ok: true, publisher: getPublisher(id) };
+  }
+
+  function lookupPublisher(id) {
+    const row = db.prepare("SELECT public_key_pem, status FROM plugin_publishers WHERE id = ?").get(id);
+    return row ? { publicKey: row.public_key_pem, status: row.status } : null;
+  }
+
+  // ── Repository ────────────────────────────────────────────────────────────
+
+  function packagePath(pluginId, version) {
+    return path.join(dir, "packages", pluginId, `${version}${PACKAGE_EXTENSION}`);
+  }
+
+  function getPackage(pluginId, version) {
+    return rowToPackage(db.prepare("SELECT * FROM plugin_packages WHERE plugin_id = ? AND version = ?").get(pluginId, version));
+  }
+
+  function listPackages(pluginId) {
+    const rows = pluginId
+      ? db.prepare("SELECT * FROM plugin_packages WHERE plugin_id = ? AND yanked = 0").all(pluginId)
+      : db.prepare("SELECT * FROM plugin_packages WHERE yanked = 0").all();
+    return rows.map(rowToPackage)
+      .sort((a, b) => a.pluginId.localeCompare(b.pluginId) || compareVersions(b.version, a.version));
+  }
+
+  function checkSource(code) {
+    const patterns = validatePatterns(code);
+    if (!patterns.passed) return { ok: false, error: "prohibited_source", errors: patterns.errors };
+    if (STATIC_IMPORT.test(code)) return { ok: false, error: "prohibited_source", errors: ["static_import"] };
+    return { ok: true };
+  }
+
+  /**
+   * Verify a package and add it to the repository. Republishing the same
+   * signed package is a no-op; a different package for an existing
+   * id@version is refused.
+   *
+   * @param {string|Buffer|object} input - Package text or parsed package
+   * @param {object} [opts]
+   * @param {string} [opts.actor]
+   */
+  function publish(input, { actor = null } = {}) {
+    const parsed = parsePluginPackage(input);
+    if (!parsed.ok) return parsed;
+    const pkg = parsed.package;
+
+    const verified = verifyPluginPackage(pkg, lookupPublisher);
+    if (!verified.ok) return verified;
+    const source = checkSource(pkg.code);
+    if (!source.ok) return source;
+
+    const { id, version } = verified.manifest;
+    const existing = db.prepare("SELECT digest FROM plugin_packages WHERE plugin_id = ? AND version = ?").get(id, version);
+    if (existing) {
+      if (existing.digest !== verified.digest) return { ok: false, error: "version_exists" };
+      return { ok: true, package: getPackage(id, version), alreadyPublished: true };
+    }
+
+    // Another publisher cannot ship versions of someone else's plugin
+    const owner = db.prepare("SELECT publisher_id FROM plugin_packages WHERE plugin_id = ? LIMIT 1").get(id);
+    if (owner && owner.publisher_id !== verified.manifest.publisher) return { ok: false, error: "plugin_owned_by_other_publisher" };
+
+    const file = packagePath(id, version);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(pkg, null, 2));
+    db.prepare(`
+      INSERT INTO plugin_packages (plugin_id, version, publisher_id, digest, manifest_json, package_path, published_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, version, verified.manifest.publisher, verified.digest, JSON.stringify(verified.manifest), file, actor);
+    return { ok: true, package: getPackage(id, version) };
+  }
+
+  /**
+   * Read a stored package, verify it again and import its module.
+   */
+  async function loadModule(pluginId, version) {
+    const row = db.prepare("SELECT * FROM plugin_packages WHERE plugin_id = ? AND version = ?").get(pluginId, version);
+    if (!row) return { ok: false, error: "package_not_found" };
+    if (_modules.has(row.digest)) return { ok: true, module: _modules.get(row.digest) };
+
+    let text;
+    try {
+      text = fs.readFileSync(row.package_path, "utf-8");
+    } catch {
+      return { ok: false, error: "package_file_missing" };
+    }
+    const parsed = parsePluginPackage(text);
+    if (!parsed.ok) return parsed;
+    const verified = verifyPluginPackage(parsed.package, lookupPublisher);
+    if (!verified.ok) return verified;
+    if (verified.digest !== row.digest) return { ok: false, error: "package_digest_mismatch" };
+    const source = checkSource(parsed.package.code);
+    if (!source.ok) return source;
+
+    const file = path.join(dir, "modules", pluginId, `${version}-${row.digest.slice(0, 16)}.mjs`);
+    let ns;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, parsed.package.code);
+      ns = await importModule(`${pathToFileURL(file).href}?digest=${row.digest}`);
+    } catch (err) {
+      return { ok: false, error: `module_import_failed: ${err.message}` };
+    }
+
+    const pluginModule = ns.default ?? ns;
+    if (pluginModule.id !== pluginId || pluginModule.version !== version) {
+      return { ok: false, error: "module_manifest_mismatch" };
+    }
+    _modules.set(row.digest, pluginModule);
+    return { ok: true, module: pluginModule };
+  }
+
+  // ── Resolution ────────────────────────────────────────────────────────────
+
+  function getInstall(pluginId) {
+    return rowToInstall(db.prepare("SELECT * FROM plugin_installs WHERE plugin_id = ?").get(pluginId));
+  }
+
+  function listInstalled() {
+    return db.prepare("SELECT * FROM plugin_installs ORDER BY plugin_id").all().map(rowToInstall);
+  }
+
+  function manifestOf(pluginId, version) {
+    const row = db.prepare("SELECT manifest_json FROM plugin_packages WHERE plugin_id = ? AND version = ?").get(pluginId, version);
+    return row ? JSON.parse(row.manifest_json) : null;
+  }
+
+  function publishedVersions(pluginId) {
+    return db.prepare("SELECT version FROM plugin_packages WHERE plugin_id = ? AND yanked = 0").all(pluginId).map((r) => r.version);
+  }
+
+  /**
+   * Installed plugins whose current version declares a dependency on pluginId.
+   */
+  function dependentsOf(pluginId) {
+    const dependents = [];
+    for (const install of listInstalled()) {
+      const range = manifestOf(install.pluginId, install.version)?.dependencies?.[pluginId];
+      if (range !== undefined) dependents.push({ pluginId: install.pluginId, version: install.version, range });
+    }
+    return dependents;
+  }
+
+  /**
+   * Work out which versions to activate so that pluginId@range and all of
+   * its dependencies are satisfied alongside what is already installed.
+   *
+   * @param {string} pluginId
+   * @param {string} [range="*"]
+   * @param {object} [opts]
+   * @param {boolean} [opts.upgrade=false] - Replace the installed version of pluginId
+   * @returns {{ ok: boolean, plan?: { pluginId, version, from, action }[], error?: string }}
+   */
+  function resolve(pluginId, range = "*", { upgrade = false } = {}) {
+    if (!isValidRange(range)) return { ok: false, error: "invalid_range" };
+
+    const installed = new Map(listInstalled().map((i) => [i.pluginId, i.version]));
+    const chosen = new Map(); // pluginId → version
+    const order = [];
+    const requested = new Map([[pluginId, range]]);
+
+    // Constraints on depId: the request, installed plugins we keep, and everything chosen so far
+    function constraintsOn(depId) {
+      const list = [];
+      if (requested.has(depId)) list.push({ range: requested.get(depId), from: null });
+      for (const [id, version] of installed) {
+        if (chosen.has(id) && chosen.get(id) !== version) continue;
+        const r = manifestOf(id, version)?.dependencies?.[depId];
+        if (r !== undefined) list.push({ range: r, from: id, installed: true });
+      }
+      for (const [id, version] of chosen) {
+        if (installed.get(id) === version) continue;
+        const r = manifestOf(id, version)?.dependencies?.[depId];
+        if (r !== undefined) list.push({ range: r, from: id });
+      }
+      return list;
+    }
+
+    function visit(depId, stack) {
+      if (stack.includes(depId)) return { ok: false, error: "dependency_cycle", cycle: [...stack, depId] };
+      if (chosen.has(depId)) return { ok: true };
+
+      const constraints = constraintsOn(depId);
+      const ranges = constraints.map((c) => c.range);
+      const current = installed.get(depId);
+      const replace = depId === pluginId && upgrade;
+      let version = current && !replace && ranges.every((r) => satisfies(current, r)) ? current : null;
+      if (!version) version = maxSatisfying(publishedVersions(depId), ranges);
+      if (!version) {
+        const available = publishedVersions(depId);
+        if (available.length === 0) return { ok: false, error: "package_not_found", pluginId: depId };
+        // Satisfiable but for plugins already installed → name them
+        const wanted = maxSatisfying(available, constraints.filter((c) => !c.installed).map((c) => c.range));
+        if (wanted) {
+          const requiredBy = constraints.filter((c) => c.installed && !satisfies(wanted, c.range))
+            .map((c) => ({ pluginId: c.from, range: c.range }));
+          return { ok: false, error: "dependent_conflict", pluginId: depId, version: wanted, requiredBy };
+        }
+        return { ok: false, error: "unsatisfiable", pluginId: depId, ranges };
+      }
+
+      chosen.set(depId, version);
+      const deps = manifestOf(depId, version)?.dependencies || {};
+      for (const dep of Object.keys(deps)) {
+        const result = visit(dep, [...stack, depId]);
+        if (!result.ok) return result;
+      }
+      order.push(depId);
+      return { ok: true };
+    }
+
+    const result = visit(pluginId, []);
+    if (!result.ok) return result;
+
+    // Greedy choices made early may break a constraint discovered later
+    for (const [id, version] of chosen) {
+      for (const c of constraintsOn(id)) {
+        if (!satisfies(version, c.range)) {
+          return { ok: false, error: "dependency_conflict", pluginId: id, version, requiredBy: c.from, range: c.range };
+        }
+      }
+    }
+
+    const plan = order.map((id) => {
+      const from = installed.get(id) || null;
+      const version = chosen.get(id);
+      let action = "install";
+      if (from === version) action = "keep";
+      else if (from) action = "upgrade";
+      return { pluginId: id, version, from, action };
+    });
+    return { ok: true, plan };
+  }
+
+  // ── Licensing ─────────────────────────────────────────────────────────────
+
+  /**
+   * A plugin with an active marketplace listing needs a paid purchase of one
+   * of its listings (or to be installed by its seller).
+   */
+  function checkLicense(pluginId, userId) {
+    const contentId = listingContentId(pluginId);
+    const listing = db.prepare(`
+      SELECT id, seller_id FROM marketplace_economy_listings
+      WHERE content_type = 'plugin' AND content_id = ? AND status = 'active'
+    `).get(contentId);
+    if (!listing) return { ok: true, licensed: false };
+    if (!userId) return { ok: false, error: "license_required", pluginId, listingId: listing.id };
+    if (listing.seller_id === userId) return { ok: true, licensed: true };
+
+    const purchase = db.prepare(`
+      SELECT p.purchase_id FROM purchases p
+      JOIN marketplace_economy_listings l ON l.id = p.listing_id
+      WHERE l.content_type = 'plugin' AND l.content_id = ? AND p.buyer_id = ?
+        AND p.status IN (${LICENSED_PURCHASE_STATUSES.map(() => "?").join(", ")})
+      LIMIT 1
+    `).get(contentId, userId, ...LICENSED_PURCHASE_STATUSES);
+    if (!purchase) return { ok: false, error: "license_required", pluginId, listingId: listing.id };
+    return { ok: true, licensed: true, purchaseId: purchase.purchase_id };
+  }
+
+  // ── Activation ────────────────────────────────────────────────────────────
+
+  function activate(pluginModule) {
+    return registerPlugin(STATE, pluginModule, loaderOpts);
+  }
+
+  /**
+   * Activate a plan in dependency order. If any step fails, every step
+   * already taken is undone: new installs are unloaded and upgraded plugins
+   * get their previous module back.
+   */
+  async function applyPlan(plan, { actor, action }) {
+    const steps = plan.filter((s) => s.action !== "keep");
+    const applied = [];
+
+    for (const step of steps) {
+      const loaded = await loadModule(step.pluginId, step.version);
+      let previous = null;
+      let result = loaded;
+
+      if (loaded.ok) {
+        if (step.from) {
+          previous = await loadModule(step.pluginId, step.from);
+          if (getPlugin(STATE, step.pluginId).ok) unloadPlugin(STATE, step.pluginId);
+        }
+        result = activate(loaded.module);
+      }
+
+      if (!result.ok) {
+        const error = result.error === "validation_failed"
+          ? `validation_failed: ${result.validation.errors.join("; ")}`
+          : result.error;
+        recordEvent(step.pluginId, step.from ? "upgrade" : "install", {
+          from: step.from, to: step.version, outcome: "failed", error, actor,
+        });
+
+        // Undo this step, then everything before it
+        const undo = [{ step, previous }, ...applied.reverse()];
+        for (const done of undo) {
+          if (done !== undo[0] && getPlugin(STATE, done.step.pluginId).ok) unloadPlugin(STATE, done.step.pluginId);
+          if (done.previous?.ok) {
+            const restored = activate(done.previous.module);
+            recordEvent(done.step.pluginId, "rollback", {
+              from: done.step.version, to: done.step.from,
+              outcome: restored.ok ? "ok" : "failed", error: restored.ok ? null : restored.error, actor,
+            });
+          }
+        }
+        return {
+          ok: false, error, failed: { pluginId: step.pluginId, version: step.version },
+          rolledBack: applied.length > 0 || !!step.from,
+        };
+      }
+      applied.push({ step, previous });
+    }
+
+    db.transaction(() => {
+      for (const { step } of applied) {
+        db.prepare(`
+          INSERT INTO plugin_installs (plugin_id, version, previous_version, status, last_error, installed_by)
+          VALUES (?, ?, ?, 'active', NULL, ?)
+          ON CONFLICT(plugin_id) DO UPDATE SET
+            version = excluded.version, previous_version = excluded.previous_version,
+            status = 'active', last_error = NULL, updated_at = datetime('now')
+        `).run(step.pluginId, step.version, step.from, actor);
+        recordEvent(step.pluginId, step.from ? "upgrade" : action, { from: step.from, to: step.version, actor });
+      }
+    })();
+    return { ok: true, plan };
+  }
+
+  /**
+   * Install a plugin and whatever it depends on.
+   *
+   * @param {string} pluginId
+   * @param {string} [range="*"]
+   * @param {object} [opts]
+   * @param {string} [opts.actor]
+   * @param {string} [opts.userId] - Whose marketplace purchases license paid plugins
+   */
+  function install(pluginId, range = "*", { actor = null, userId = null } = {}) {
+    return exclusive(async () => {
+      if (getInstall(pluginId)) return { ok: false, error: "already_installed", install: getInstall(pluginId) };
+      const resolved = resolve(pluginId, range);
+      if (!resolved.ok) return resolved;
+
+      for (const step of resolved.plan) {
+        if (step.action === "keep") continue;
+        const license = checkLicense(step.pluginId, userId);
+        if (!license.ok) return license;
+      }
+
+      const result = await applyPlan(resolved.plan, { actor, action: "install" });
+      if (!result.ok) return result;
+      return { ok: true, install: getInstall(pluginId), plan: result.plan };
+    });
+  }
+
+  /**
+   * Upgrade (or downgrade) an installed plugin to the highest version in
+   * range. Installed dependents' ranges must still be met. If the new
+   * version fails validation or init, the previous version is reactivated
+   * and the result carries rolledBack: true.
+   */
+  function upgrade(pluginId, range = "*", { actor = null, userId = null } = {}) {
+    return exclusive(async () => {
+      const current = getInstall(pluginId);
+      if (!current) return { ok: false, error: "not_installed" };
+      const resolved = resolve(pluginId, range, { upgrade: true });
+      if (!resolved.ok) return resolved;
+
+      const target = resolved.plan.find((s) => s.pluginId === pluginId);
+      if (target.version === current.version) return { ok: true, unchanged: true, install: current };
+
+      for (const step of resolved.plan) {
+        if (step.action !== "install") continue;
+        const license = checkLicense(step.pluginId, userId);
+        if (!license.ok) return license;
+      }
+
+      const result = await applyPlan(resolved.plan, { actor, action: "install" });
+      if (!result.ok) return result;
+      return { ok: true, install: getInstall(pluginId), plan: result.plan };
+    });
+  }
+
+  /**
+   * Unload and remove an installed plugin. Refused while other installed
+   * plugins depend on it unless force is set.
+   */
+  function uninstall(pluginId, { actor = null, force = false } = {}) {
+    return exclusive(() => {
+      const current = getInstall(pluginId);
+      if (!current) return { ok: false, error: "not_installed" };
+      const dependents = dependentsOf(pluginId);
+      if (dependents.length > 0 && !force) {
+        return { ok: false, error: "required_by", requiredBy: dependents.map((d) => d.pluginId) };
+      }
+      if (getPlugin(STATE, pluginId).ok) unloadPlugin(STATE, pluginId);
+      db.prepare("DELETE FROM plugin_installs WHERE plugin_id = ?").run(pluginId);
+      recordEvent(pluginId, "uninstall", { from: current.version, actor });
+      return { ok: true, pluginId, version: current.version };
+    });
+  }
+
+  /**
+   * Activate every installed plugin, dependencies first. Used at startup;
+   * a plugin that no longer verifies or fails init is marked failed and
+   * its dependents are skipped.
+   */
+  function loadInstalled() {
+    return exclusive(async () => {
+      const installs = listInstalled();
+      const byId = new Map(installs.map((i) => [i.pluginId, i]));
+      const loaded = [];
+      const failed = [];
+      const done = new Map(); // pluginId → ok
+
+      async function load(install, stack = []) {
+        if (done.has(install.pluginId)) return done.get(install.pluginId);
+        if (stack.includes(install.pluginId)) return false;
+
+        let error = null;
+        const deps = manifestOf(install.pluginId, install.version)?.dependencies || {};
+        for (const depId of Object.keys(deps)) {
+          const dep = byId.get(depId);
+          if (!dep || !(await load(dep, [...stack, install.pluginId]))) {
+            error = `dependency_unavailable: ${depId}`;
+            break;
+          }
+        }
+
+        if (!error && !getPlugin(STATE, install.pluginId).ok) {
+          const mod = await loadModule(install.pluginId, install.version);
+          const result = mod.ok ? activate(mod.module) : mod;
+          if (!result.ok) error = result.error;
+        }
+
+        db.prepare("UPDATE plugin_installs SET status = ?, last_error = ?, updated_at = datetime('now') WHERE plugin_id = ?")
+          .run(error ? "failed" : "active", error, install.pluginId);
+        recordEvent(install.pluginId, "load", { to: install.version, outcome: error ? "failed" : "ok", error });
+        if (error) failed.push({ pluginId: install.pluginId, error });
+        else loaded.push(install.pluginId);
+        done.set(install.pluginId, !error);
+        return !error;
+      }
+
+      for (const install of installs) await load(install);
+      return { ok: true, loaded, failed };
+    });
+  }
+
+  function getEvents(pluginId, { limit = 50 } = {}) {
+    const rows = db.prepare(`
+      SELECT * FROM plugin_install_events WHERE plugin_id = ? ORDER BY seq DESC LIMIT ?
+    `).all(pluginId, Math.max(1, Math.min(500, Number(limit) || 50)));
+    return rows.map((r) => ({
+      seq: r.seq,
+      action: r.action,
+      fromVersion: r.from_version,
+      toVersion: r.to_version,
+      outcome: r.outcome,
+      error: r.error,
+      actor: r.actor,
+      createdAt: r.created_at,
+    }));
+  }
+
+  // ── Marketplace ───────────────────────────────────────────────────────────
+
+  /**
+   * List a published plugin for sale. Only the user who owns the
+   * publisher identity can sell it; buyers get an install license.
+   */
+  function listForSale({ sellerId, pluginId, price, title, description, licenseType } = {}) {
+    const latest = listPackages(pluginId)[0];
+    if (!latest) return { ok: false, error: "package_not_found" };
+    const publisher = getPublisher(latest.publisherId);
+    if (!publisher || publisher.status !== "active") return { ok: false, error: "publisher_revoked" };
+    if (!sellerId || publisher.ownerUserId !== sellerId) return { ok: false, error: "not_publisher_owner" };
+
+    const { manifest } = latest;
+    const contentData = JSON.stringify({
+      id: manifest.id, name: manifest.name, version: manifest.version,
+      publisher: manifest.publisher, dependencies: manifest.dependencies || {},
+    });
+    const listed = createListing(db, {
+      sellerId,
+      contentId: listingContentId(pluginId),
+      contentType: "plugin",
+      title: title || manifest.name,
+      description: description ?? manifest.description,
+      price,
+      contentData,
+      licenseType,
+    });
+    if (!listed.ok) return listed;
+    return { ...listed, preview: generatePreview("plugin", contentData) };
+  }
+
+  return {
+    ok: true,
+    dir,
+    addPublisher,
+    revokePublisher,
+    getPublisher,
+    listPublishers,
+    publish,
+    getPackage,
+    listPackages,
+    resolve,
+    checkLicense,
+    install,
+    upgrade,
+    uninstall,
+    loadInstalled,
+    getInstall,
+    listInstalled,
+    getEvents,
+    listForSale,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Plugin Packages — the .concord-plugin format
+ *
+ * A package is one JSON document:
+ *
+ *   {
+ *     "format":    "concord-plugin/1",
+ *     "manifest":  { id, name, version, publisher, description?, author?,
+ *                    dependencies?: { "<pluginId>": "<semver range>" },
+ *                    intent?: { reads, writes, purpose } },
+ *     "code":      "<ES module source; default export is the plugin module>",
+ *     "signature": { publisher, algorithm: "ed25519", digest, value }
+ *   }
+ *
+ * The publisher signs the canonical JSON of { format, manifest, codeSha256 }
+ * with an Ed25519 key; `digest` is the SHA-256 of that payload and is the
+ * package's identity in the repository. Verification needs the publisher's
+ * public key from the installer's trust store — a package is never trusted
+ * on the strength of its own contents.
+ */
+
+import crypto from "crypto";
+import { isValidVersion, isValidRange } from "../lib/semver.js";
+import { ID_PATTERN, RESERVED_NAMESPACES } from "./validator.js";
+
+export const PACKAGE_FORMAT = "concord-plugin/1";
+export const PACKAGE_EXTENSION = ".concord-plugin";
+export const SIGNATURE_ALGORITHM = "ed25519";
+
+const PUBLISHER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const MAX_CODE_BYTES = 512 * 1024;
+
+// ── Canonical Encoding ──────────────────────────────────────────────────────
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function signedPayload(manifest, code) {
+  return Buffer.from(canonicalJSON({ format: PACKAGE_FORMAT, manifest, codeSha256: sha256(code) }));
+}
+
+// ── Manifest ────────────────────────────────────────────────────────────────
+
+/**
+ * Check a manifest's shape. Returns the list of problems (empty when valid).
+ *
+ * @param {Object} manifest
+ * @returns {string[]}
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  if (!manifest || typeof manifest !== "object") return ["manifest_missing"];
+
+  if (typeof manifest.id !== "string" || !ID_PATTERN.test(manifest.id)) {
+    errors.push("manifest_id_invalid");
+  } else if (RESERVED_NAMESPACES.includes(manifest.id.split(".")[0])) {
+    errors.push("manifest_id_reserved_namespace");
+  }
+  if (!manifest.name || typeof manifest.name !== "string") errors.push("manifest_name_missing");
+  if (!isValidVersion(manifest.version)) errors.push("manifest_version_not_semver");
+  if (typeof manifest.publisher !== "string" || !PUBLISHER_ID_PATTERN.test(manifest.publisher)) {
+    errors.push("manifest_publisher_invalid");
+  }
+
+  const deps = manifest.dependencies ?? {};
+  if (typeof deps !== "object" || Array.isArray(deps)) {
+    errors.push("manifest_dependencies_must_be_object");
+  } else {
+    for (const [depId, range] of Object.entries(deps)) {
+      if (!ID_PATTERN.test(depId)) errors.push(`dependency_id_invalid: ${depId}`);
+      else if (depId === manifest.id) errors.push("dependency_on_self");
+      if (typeof range !== "string" || !isValidRange(range)) errors.push(`dependency_range_invalid: ${depId}`);
+    }
+  }
+  return errors;
+}
+
+export function isValidPublisherId(id) {
+  return typeof id === "string" && PUBLISHER_ID_PATTERN.test(id);
+}
+
+// ── Build / Parse / Verify ──────────────────────────────────────────────────
+
+/**
+ * Build and sign a package (publisher side).
+ *
+ * @param {Object} input
+ * @param {Object} input.manifest
+ * @param {string} input.code
+ * @param {crypto.KeyObject|string} privateKey - Ed25519 private key (KeyObject or PEM)
+ * @returns {{ ok: boolean, package?: Object, text?: string, error?: string, errors?: string[] }}
+ */
+export function createPluginPackage({ manifest, code }, privateKey) {
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) return { ok: false, error: "invalid_manifest", errors };
+  if (typeof code !== "string" || code.length === 0) return { ok: false, error: "code_missing" };
+
+  const payload = signedPayload(manifest, code);
+  let value;
+  try {
+    value = crypto.sign(null, payload, privateKey).toString("base64");
+  } catch (e) {
+    return { ok: false, error: `signing_failed: ${e.message}` };
+  }
+
+  const pkg = {
+    format: PACKAGE_FORMAT,
+    manifest,
+    code,
+    signature: { publisher: manifest.publisher, algorithm: SIGNATURE_ALGORITHM, digest: sha256(payload), value },
+  };
+  return { ok: true, package: pkg, text: JSON.stringify(pkg, null, 2) };
+}
+
+/**
+ * Parse package text (or a Buffer) into a package object.
+ *
+ * @returns {{ ok: boolean, package?: Object, error?: string }}
+ */
+export function parsePluginPackage(input) {
+  let pkg = input;
+  if (typeof input === "string" || Buffer.isBuffer(input)) {
+    try {
+      pkg = JSON.parse(String(input));
+    } catch {
+      return { ok: false, error: "package_not_json" };
+    }
+  }
+  if (!pkg || typeof pkg !== "object") return { ok: false, error: "package_invalid" };
+  if (pkg.format !== PACKAGE_FORMAT) return { ok: false, error: "package_format_unsupported" };
+  if (typeof pkg.code !== "string" || Buffer.byteLength(pkg.code) > MAX_CODE_BYTES) {
+    return { ok: false, error: "package_code_invalid" };
+  }
+  if (!pkg.signature || typeof pkg.signature.value !== "string") return { ok: false, error: "package_unsigned" };
+  return { ok: true, package: pkg };
+}
+
+/**
+ * Verify a package's manifest and publisher signature.
+ *
+ * @param {Object} pkg - Parsed package
+ * @param {(publisherId: string) => { publicKey: string, status: string } | null} lookupPublisher
+ * @returns {{ ok: boolean, manifest?: Object, digest?: string, error?: string, errors?: string[] }}
+ */
+export function verifyPluginPackage(pkg, lookupPublisher) {
+  const errors = validateManifest(pkg.manifest);
+  if (errors.length > 0) return { ok: false, error: "invalid_manifest", errors };
+
+  const sig = pkg.signature || {};
+  if (sig.algorithm !== SIGNATURE_ALGORITHM) return { ok: false, error: "signature_algorithm_unsupported" };
+  if (sig.publisher !== pkg.manifest.publisher) return { ok: false, error: "signature_publisher_mismatch" };
+
+  const publisher = lookupPublisher(sig.publisher);
+  if (!publisher) return { ok: false, error: "publisher_untrusted" };
+  if (publisher.status !== "active") return { ok: false, error: "publisher_revoked" };
+
+  const payload = signedPayload(pkg.manifest, pkg.code);
+  let valid = false;
+  try {
+    valid = crypto.verify(null, payload, publisher.publicKey, Buffer.from(sig.value, "base64"));
+  } catch {
+    valid = false;
+  }
+  if (!valid) return { ok: false, error: "signature_invalid" };
+
+  return { ok: true, manifest: pkg.manifest, digest: sha256(payload) };
+}
+
+/**
+ * Fingerprint of an Ed25519 public key (SHA-256 of its DER encoding).
+ *
+ * @returns {{ ok: boolean, fingerprint?: string, pem?: string, error?: string }}
+ */
+export function publicKeyFingerprint(publicKey) {
+  try {
+    const key = publicKey instanceof crypto.KeyObject && publicKey.type === "public"
+      ? publicKey
+      : crypto.createPublicKey(publicKey);
+    if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) return { ok: false, error: "key_not_ed25519" };
+    return {
+      ok: true,
+      fingerprint: sha256(key.export({ type: "spki", format: "der" })),
+      pem: key.export({ type: "spki", format: "pem" }).toString(),
+    };
+  } catch {
+    return { ok: false, error: "public_key_invalid" };
+  }
+}
@@ -238,6 +238,7 @@ export function validatePlugin(pluginModule, opts = {}) {
 }
 
 export {
+  validatePatterns,
   RESERVED_NAMESPACES,
   VALID_READ_TARGETS,
   VALID_WRITE_TARGETS,
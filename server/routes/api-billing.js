@@ -20,6 +20,7 @@ import {
   createAlert, getAlerts, deleteAlert, checkAlerts,
   getFeeDistributions,
 } from "../economy/api-billing.js";
+import { localizeApiPricing } from "../economy/regional-pricing.js";
 
 export default function createAPIBillingRouter({ db, requireAuth }) {
   const router = express.Router();
@@ -46,6 +47,11 @@ export default function createAPIBillingRouter({ db, requireAuth }) {
     });
   });
 
+  router.get("/pricing/local", (req, res) => {
+    const result = localizeApiPricing(API_PRICING, req.query.currency || "USD");
+    res.status(result.ok ? 200 : 400).json(result);
+  });
+
   // ── API Key Management ────────────────────────────────────────────
   router.post("/keys", (req, res) => {
     const { userId, name, isTest } = req.body || {};
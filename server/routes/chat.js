@@ -21,18 +21,27 @@ export default function registerChatRoutes(app, {
   ETHOS_INVARIANTS,
   validate,
   perEndpointRateLimit,
+  streamChatTurn,
 }) {
 
   // Per-endpoint rate limit: 30 req/min per user for chat (conscious.chat category)
   const chatRateLimit = perEndpointRateLimit ? perEndpointRateLimit("conscious.chat") : ((_req, _res, next) => next());
 
+  // Abort the in-flight generation when the SSE client disconnects before the end
+  const abortOnDisconnect = (res) => {
+    const ac = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) ac.abort();
+    });
+    return ac.signal;
+  };
+
   // Chat + Ask
   app.post("/api/chat", chatRateLimit, validate("chat"), asyncHandler(async (req, res) => {
     const errorId = uid("err");
     try {
       req.body = enforceRequestInvariants(req, req.body || {});
       req._concordMode = req.body.mode || "chat";
-      const ctx = makeCtx(req);
       // Chicken3: stream by default when enabled, while preserving an explicit full-response path.
       // - ?full=1 forces classic JSON response
       // - Accept: text/event-stream or ?stream=1 also forces streaming
@@ -63,30 +72,26 @@ export default function registerChatRoutes(app, {
           } catch (_e) { logger.debug('chat', 'silent catch', { error: _e?.message }); }
         };
 
-        // Lightweight chunker over a final answer (keeps architecture unchanged).
-        async function* chunkText(txt, size=240) {
-          const t = String(txt || "");
-          for (let i=0; i<t.length; i+=size) {
-            yield t.slice(i, i+size);
-            await new Promise(r => { setImmediate(r); }); // yield to event loop
-          }
-        }
-
         sse("meta", { ok:true, mode: req._concordMode, sessionId: req.body.sessionId || null });
-        const out = await runMacro("chat","respond", req.body, ctx);
-
-        // Pick a best-effort text field for progressive display.
-        const answer = out?.answer ?? out?.content ?? out?.text ?? out?.message ?? out?.response ?? "";
-        for await (const delta of chunkText(answer)) {
-          sse("chunk", { delta });
-        }
-        sse("final", _withAck(out, req, ["state","logs","shadow"], ["/api/state/latest","/api/logs"], null, { panel: "chat" }));
-        kernelTick({ type: "USER_MSG", meta: { path: req.path, stream: true }, signals: { benefit: out?.ok?0.2:0, error: out?.ok?0:0.2 } });
+        // Tokens are relayed as the conscious brain generates them; answers that
+        // were not streamed (local/deterministic replies) arrive as 240-char chunks.
+        const relayed = await streamChatTurn({
+          req,
+          input: req.body,
+          signal: abortOnDisconnect(res),
+          chunkSize: 240,
+          emit: (event, data) => {
+            if (event === "token") sse("chunk", data);
+            else sse("final", _withAck(data, req, ["state","logs","shadow"], ["/api/state/latest","/api/logs"], null, { panel: "chat" }));
+          },
+        });
+        if (relayed.aborted) return;
+        kernelTick({ type: "USER_MSG", meta: { path: req.path, stream: true }, signals: { benefit: relayed.out?.ok?0.2:0, error: relayed.out?.ok?0:0.2 } });
         try { res.end(); } catch (_e) { logger.debug('chat', 'silent catch', { error: _e?.message }); }
         return;
       }
 
-      const out = await runMacro("chat","respond", req.body, ctx);
+      const out = await runMacro("chat","respond", req.body, makeCtx(req));
       kernelTick({ type: "USER_MSG", meta: { path: req.path }, signals: { benefit: out?.ok?0.2:0, error: out?.ok?0:0.2 } });
       return uiJson(
         res,
@@ -152,7 +157,6 @@ export default function registerChatRoutes(app, {
       if (!STATE.__chicken3?.streamingEnabled) throw new Error("streaming disabled");
       req.body = enforceRequestInvariants(req, req.body || {});
       req._concordMode = req.body.mode || "chat";
-      const ctx = makeCtx(req);
 
       res.set({
         "Content-Type": "text/event-stream",
@@ -161,18 +165,23 @@ export default function registerChatRoutes(app, {
       });
       res.flushHeaders?.();
 
-      const out = await runMacro("chat","respond", req.body, ctx);
-      kernelTick({ type: "USER_MSG", meta: { path: req.path, stream: true }, signals: { benefit: out?.ok?0.2:0, error: out?.ok?0:0.2 } });
-
-      const content = String(out?.content || out?.answer || out?.text || "");
-      // Deterministic chunking (local-first). If you later add true token-streaming LLM, swap this chunker.
-      const step = clamp(Number(req.body?.chunkSize || 220), 40, 1200);
-      for (let i = 0; i < content.length; i += step) {
-        const chunk = content.slice(i, i + step);
-        res.write(`data: ${JSON.stringify({ ok: true, chunk, done: false })}\n\n`);
-      }
-      // Final envelope (also contains full out for UI parity)
-      res.write(`data: ${JSON.stringify({ ok: true, done: true, out })}\n\n`);
+      // Token streaming from the conscious brain; chunkSize only applies to
+      // answers that were not streamed (deterministic/local replies).
+      const relayed = await streamChatTurn({
+        req,
+        input: req.body,
+        signal: abortOnDisconnect(res),
+        chunkSize: clamp(Number(req.body?.chunkSize || 220), 40, 1200),
+        emit: (event, data) => {
+          // Final envelope (also contains full out for UI parity)
+          const payload = event === "token"
+            ? { ok: true, chunk: data.delta, done: false }
+            : { ok: true, done: true, out: data };
+          res.write(`data: ${JSON.stringify(payload)}\n\n`);
+        },
+      });
+      if (relayed.aborted) return;
+      kernelTick({ type: "USER_MSG", meta: { path: req.path, stream: true }, signals: { benefit: relayed.out?.ok?0.2:0, error: relayed.out?.ok?0:0.2 } });
       return res.end();
     } catch (e) {
       const msg = String(e?.message || e || "Unknown error");
@@ -42,9 +42,9 @@ export default function connectiveTissueRoutes(db) {
   // ── BOUNTIES ───────────────────────────────────────────────────────
 
   router.post("/bounties", validateBody(bountyCreateSchema), (req, res) => {
-    const { posterId, title, description, lensId, amount, tags, expiresAt } = req.body;
+    const { posterId, title, description, lensId, amount, tags, expiresAt, milestones } = req.body;
     const result = postBounty(db, {
-      posterId, title, description, lensId, amount, tags, expiresAt,
+      posterId, title, description, lensId, amount, tags, expiresAt, milestones,
       requestId: req.requestId, ip: req.ip,
     });
     res.json(result);
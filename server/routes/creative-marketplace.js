@@ -14,6 +14,7 @@
  *   - Creative XP and quests
  *   - License management
  *   - Cascade earnings queries
+ *   - Creator subscription plans and subscriptions
  *   - Constants / config
  */
 
@@ -50,6 +51,20 @@ import {
   CREATOR_RIGHTS,
   LICENSE_TYPES,
 } from "../economy/creative-marketplace.js";
+import {
+  createSubscriptionPlan,
+  archiveSubscriptionPlan,
+  getSubscriptionPlan,
+  listCreatorPlans,
+  subscribe,
+  cancelSubscription,
+  resumeSubscription,
+  changeSubscriptionPlan,
+  getSubscription,
+  getUserSubscriptions,
+  getCreatorSubscribers,
+  SUBSCRIPTION_PERIODS,
+} from "../economy/creator-subscriptions.js";
 import { QUEST_REWARD_POLICY } from "../lib/creative-marketplace-constants.js";
 
 /**
@@ -142,7 +157,7 @@ export default function createCreativeMarketplaceRouter({ db, requireAuth }) {
       requestId: req.body.requestId,
       ip: req.ip,
     });
-    res.status(result.ok ? 200 : 400).json(result);
+    res.status(result.held ? 202 : result.ok ? 200 : 400).json(result);
   });
 
   // ── Discovery ───────────────────────────────────────────────────────
@@ -263,6 +278,117 @@ export default function createCreativeMarketplaceRouter({ db, requireAuth }) {
     res.json(result);
   });
 
+  // ── Creator Subscriptions ───────────────────────────────────────────
+
+  router.get("/subscription-periods", (_req, res) => {
+    res.json({ ok: true, periods: Object.keys(SUBSCRIPTION_PERIODS) });
+  });
+
+  // The subscriber or creator is always the signed-in user: subscribing
+  // sets up recurring charges against that user's wallet.
+  const canViewAs = (req, userId) =>
+    req.user?.id === userId || ["sovereign", "owner", "admin", "founder"].includes(req.user?.role);
+
+  router.post("/subscription-plans", (req, res) => {
+    const creatorId = req.user?.id;
+    if (!creatorId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const result = createSubscriptionPlan(db, { ...(req.body || {}), creatorId });
+    res.status(result.ok ? 201 : 400).json(result);
+  });
+
+  router.get("/subscription-plans/:planId", (req, res) => {
+    const plan = getSubscriptionPlan(db, req.params.planId);
+    if (!plan) return res.status(404).json({ ok: false, error: "plan_not_found" });
+    res.json({ ok: true, plan });
+  });
+
+  router.post("/subscription-plans/:planId/archive", (req, res) => {
+    const creatorId = req.user?.id;
+    if (!creatorId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const result = archiveSubscriptionPlan(db, { planId: req.params.planId, creatorId });
+    res.status(result.ok ? 200 : 400).json(result);
+  });
+
+  router.post("/subscription-plans/:planId/subscribe", (req, res) => {
+    const subscriberId = req.user?.id;
+    if (!subscriberId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const result = subscribe(db, {
+      planId: req.params.planId,
+      subscriberId,
+      requestId: req.body.requestId,
+      ip: req.ip,
+    });
+    res.status(result.held ? 202 : result.ok ? 201 : 400).json(result);
+  });
+
+  router.get("/creators/:creatorId/subscription-plans", (req, res) => {
+    const result = listCreatorPlans(db, req.params.creatorId, {
+      includeArchived: req.query.includeArchived === "true",
+    });
+    res.json(result);
+  });
+
+  router.get("/creators/:creatorId/subscribers", (req, res) => {
+    if (!req.user?.id) return res.status(401).json({ ok: false, error: "unauthorized" });
+    if (!canViewAs(req, req.params.creatorId)) return res.status(403).json({ ok: false, error: "forbidden" });
+
+    const result = getCreatorSubscribers(db, req.params.creatorId);
+    res.json(result);
+  });
+
+  router.get("/users/:userId/subscriptions", (req, res) => {
+    if (!req.user?.id) return res.status(401).json({ ok: false, error: "unauthorized" });
+    if (!canViewAs(req, req.params.userId)) return res.status(403).json({ ok: false, error: "forbidden" });
+
+    const result = getUserSubscriptions(db, req.params.userId, { status: req.query.status || null });
+    res.json(result);
+  });
+
+  router.get("/subscriptions/:id", (req, res) => {
+    const subscription = getSubscription(db, req.params.id);
+    if (!subscription) return res.status(404).json({ ok: false, error: "subscription_not_found" });
+    res.json({ ok: true, subscription });
+  });
+
+  router.post("/subscriptions/:id/cancel", (req, res) => {
+    const subscriberId = req.user?.id;
+    if (!subscriberId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const result = cancelSubscription(db, {
+      subscriptionId: req.params.id,
+      subscriberId,
+      immediate: req.body.immediate === true,
+      requestId: req.body.requestId,
+      ip: req.ip,
+    });
+    res.status(result.ok ? 200 : 400).json(result);
+  });
+
+  router.post("/subscriptions/:id/resume", (req, res) => {
+    const subscriberId = req.user?.id;
+    if (!subscriberId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const result = resumeSubscription(db, { subscriptionId: req.params.id, subscriberId });
+    res.status(result.ok ? 200 : 400).json(result);
+  });
+
+  router.post("/subscriptions/:id/change-plan", (req, res) => {
+    const subscriberId = req.user?.id;
+    if (!subscriberId) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const result = changeSubscriptionPlan(db, {
+      subscriptionId: req.params.id,
+      subscriberId,
+      newPlanId: req.body.newPlanId,
+      requestId: req.body.requestId,
+      ip: req.ip,
+    });
+    res.status(result.held ? 202 : result.ok ? 200 : 400).json(result);
+  });
+
   // ── Creative XP & Quests ────────────────────────────────────────────
 
   router.post("/xp/award", (req, res) => {
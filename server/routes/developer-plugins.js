@@ -0,0 +1,87 @@
+/**
+ * Developer Plugin Admin Routes — Concord Cognitive Engine
+ *
+ * Operator view of third-party plugins registered through the developer SDK
+ * (emergent/developer-sdk.js): list them, suspend or revoke them, manage
+ * their scoped API keys, read their audit trail and reconcile their metered
+ * usage against API billing.
+ *
+ * Routes (platform admin):
+ *   GET    /api/admin/plugins                    — List plugins (?status=)
+ *   GET    /api/admin/plugins/:id                — Plugin, active keys and metrics
+ *   POST   /api/admin/plugins/:id/suspend        — Suspend ({ reason })
+ *   POST   /api/admin/plugins/:id/activate       — Reactivate a suspended plugin
+ *   POST   /api/admin/plugins/:id/revoke         — Revoke permanently ({ reason })
+ *   GET    /api/admin/plugins/:id/keys           — All keys (prefix, scopes, expiry)
+ *   POST   /api/admin/plugins/:id/keys           — Issue a key ({ scopes, ttlMs | expiresAt })
+ *   DELETE /api/admin/plugins/:id/keys/:keyId    — Revoke one key
+ *   GET    /api/admin/plugins/:id/audit?limit=   — Lifecycle audit trail
+ *   GET    /api/admin/plugins/:id/usage?hours=   — SDK calls vs billed calls
+ */
+
+import {
+  listPlugins, getPlugin, getPluginMetrics, suspendPlugin, activatePlugin, revokePlugin,
+  listApiKeys, issueApiKey, revokeApiKey, getPluginAudit, reconcilePluginUsage,
+} from "../emergent/developer-sdk.js";
+
+/**
+ * Register developer plugin admin routes.
+ *
+ * @param {import('express').Express} app - Express application
+ * @param {object} deps - Dependencies
+ * @param {Function} deps.requireRole - Role-checking middleware
+ */
+export default function registerDeveloperPluginRoutes(app, { requireRole }) {
+  const admin = requireRole("owner", "admin");
+
+  const actorOf = (req) => req.user?.id || null;
+
+  const send = (res, result, okStatus = 200) => {
+    if (result.ok) return res.status(okStatus).json(result);
+    const status = /not found/i.test(result.error) ? 404 : /store/.test(result.error) ? 503 : 400;
+    return res.status(status).json(result);
+  };
+
+  app.get("/api/admin/plugins", admin, (req, res) => {
+    send(res, listPlugins(req.query.status || undefined));
+  });
+
+  app.get("/api/admin/plugins/:id", admin, (req, res) => {
+    const plugin = getPlugin(req.params.id);
+    if (!plugin.ok) return send(res, plugin);
+    return res.json({ ...plugin, metrics: getPluginMetrics(req.params.id) });
+  });
+
+  app.post("/api/admin/plugins/:id/suspend", admin, (req, res) => {
+    send(res, suspendPlugin(req.params.id, { actor: actorOf(req), reason: req.body?.reason }));
+  });
+
+  app.post("/api/admin/plugins/:id/activate", admin, (req, res) => {
+    send(res, activatePlugin(req.params.id, { actor: actorOf(req) }));
+  });
+
+  app.post("/api/admin/plugins/:id/revoke", admin, (req, res) => {
+    send(res, revokePlugin(req.params.id, { actor: actorOf(req), reason: req.body?.reason }));
+  });
+
+  app.get("/api/admin/plugins/:id/keys", admin, (req, res) => {
+    send(res, listApiKeys(req.params.id));
+  });
+
+  app.post("/api/admin/plugins/:id/keys", admin, (req, res) => {
+    const { scopes, ttlMs, expiresAt } = req.body || {};
+    send(res, issueApiKey(req.params.id, { scopes, ttlMs, expiresAt, actor: actorOf(req) }), 201);
+  });
+
+  app.delete("/api/admin/plugins/:id/keys/:keyId", admin, (req, res) => {
+    send(res, revokeApiKey(req.params.id, req.params.keyId, { actor: actorOf(req), reason: req.body?.reason }));
+  });
+
+  app.get("/api/admin/plugins/:id/audit", admin, (req, res) => {
+    send(res, getPluginAudit(req.params.id, { limit: req.query.limit }));
+  });
+
+  app.get("/api/admin/plugins/:id/usage", admin, (req, res) => {
+    send(res, reconcilePluginUsage(req.params.id, { hours: req.query.hours }));
+  });
+}
@@ -10,7 +10,7 @@
  *   - Preview analytics (drop-off, conversion — owned by creator)
  *   - Component DTU decomposition (soundtrack, score, dialogue, etc.)
  *   - Series/episode structure with bundle pricing
- *   - Crew tagging and crew-created sellable DTUs
+ *   - Crew tagging, escrowed crew contracts, and crew-created sellable DTUs
  *   - Film remix registration and lineage tracking
  *   - Discovery with public, auditable ranking weights
  *   - Watch party sessions (synchronized viewing)
@@ -24,7 +24,7 @@ import {
   createFilmDTU, getFilmDTU, updateFilmDTU,
   getFilmPreview, recordPreviewEvent, getPreviewAnalytics,
   createFilmComponent, listFilmComponents, updateFilmComponent,
-  addCrewMember, listFilmCrew, removeCrewMember,
+  addCrewMember, listFilmCrew, removeCrewMember, getCrewContract,
   createCrewDTU, listCrewDTUs,
   createSeriesBundle, getSeriesEpisodes, getSeriesBundles,
   registerFilmRemix, getFilmRemixes, getRemixLineage,
@@ -155,11 +155,19 @@ export default function createFilmStudioRouter({ db, requireAuth }) {
 
   router.post("/:filmDtuId/crew", (req, res) => {
     const result = addCrewMember(db, {
+      ...req.body,
       filmDtuId: req.params.filmDtuId,
       creatorId: req.user?.id || req.body.creatorId,
-      ...req.body,
+      requestId: req.requestId,
+      ip: req.ip,
     });
-    res.status(result.ok ? 201 : 400).json(result);
+    res.status(result.held ? 202 : result.ok ? 201 : 400).json(result);
+  });
+
+  router.get("/crew/:crewId/contract", (req, res) => {
+    const contract = getCrewContract(db, req.params.crewId);
+    if (!contract) return res.status(404).json({ ok: false, error: "contract_not_found" });
+    res.json({ ok: true, contract });
   });
 
   router.get("/:filmDtuId/crew", (req, res) => {
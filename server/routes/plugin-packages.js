@@ -0,0 +1,131 @@
+/**
+ * Plugin Package Routes — Concord Cognitive Engine
+ *
+ * Distribution of signed .concord-plugin packages (plugins/installer.js):
+ * the publisher trust store, the package repository, installs with
+ * dependency resolution, upgrades (rolled back if the new version fails
+ * init), and marketplace listings for paid plugins.
+ *
+ * Routes (platform admin):
+ *   GET    /api/admin/plugin-publishers                  — Trusted publishers
+ *   POST   /api/admin/plugin-publishers                  — Trust a key ({ id, name, publicKey (PEM), ownerUserId })
+ *   POST   /api/admin/plugin-publishers/:id/revoke       — Stop trusting a publisher
+ *   GET    /api/admin/plugin-packages?pluginId=          — Published versions
+ *   POST   /api/admin/plugin-packages                    — Publish ({ package }: package text or object)
+ *   GET    /api/admin/plugin-packages/resolve?pluginId=&range= — Dry-run an install plan
+ *   GET    /api/admin/plugin-installs                    — Installed plugins
+ *   POST   /api/admin/plugin-installs                    — Install ({ pluginId, range })
+ *   POST   /api/admin/plugin-installs/:id/upgrade        — Upgrade ({ range })
+ *   DELETE /api/admin/plugin-installs/:id?force=true     — Uninstall
+ *   GET    /api/admin/plugin-installs/:id/events?limit=  — Install/upgrade/rollback history
+ *
+ * Routes (authenticated publisher owner):
+ *   POST   /api/plugins/listings                         — Sell a plugin ({ pluginId, price, title, description })
+ */
+
+/**
+ * Register plugin package routes.
+ *
+ * @param {import('express').Express} app - Express application
+ * @param {object} deps - Dependencies
+ * @param {object|null} deps.installer - createPluginInstaller() result (null when unavailable)
+ * @param {Function} deps.requireRole - Role-checking middleware
+ * @param {Function} deps.requireAuth - Authentication middleware factory
+ */
+export default function registerPluginPackageRoutes(app, { installer, requireRole, requireAuth }) {
+  const admin = requireRole("owner", "admin");
+
+  const actorOf = (req) => req.user?.id || null;
+
+  const available = (_req, res, next) => {
+    if (installer?.ok) return next();
+    return res.status(503).json({ ok: false, error: "plugin_installer_unavailable" });
+  };
+
+  const send = (res, result, okStatus = 200) => {
+    if (result.ok) return res.status(okStatus).json(result);
+    const status = /not_found|not_installed/.test(result.error) ? 404
+      : /license_required|not_publisher_owner/.test(result.error) ? 403
+        : /exists|already_installed|required_by|conflict/.test(result.error) ? 409 : 400;
+    return res.status(status).json(result);
+  };
+
+  // ── Publishers ────────────────────────────────────────────────────────
+
+  app.get("/api/admin/plugin-publishers", admin, available, (_req, res) => {
+    try { res.json({ ok: true, publishers: installer.listPublishers() }); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/admin/plugin-publishers", admin, available, (req, res) => {
+    try {
+      const { id, name, publicKey, ownerUserId } = req.body || {};
+      send(res, installer.addPublisher({ id, name, publicKey, ownerUserId }), 201);
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/admin/plugin-publishers/:id/revoke", admin, available, (req, res) => {
+    try { send(res, installer.revokePublisher(req.params.id)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // ── Repository ────────────────────────────────────────────────────────
+
+  app.get("/api/admin/plugin-packages", admin, available, (req, res) => {
+    try { res.json({ ok: true, packages: installer.listPackages(req.query.pluginId || undefined) }); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/admin/plugin-packages", admin, available, (req, res) => {
+    try { send(res, installer.publish(req.body?.package, { actor: actorOf(req) }), 201); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.get("/api/admin/plugin-packages/resolve", admin, available, (req, res) => {
+    try { send(res, installer.resolve(String(req.query.pluginId || ""), req.query.range || "*")); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // ── Installs ──────────────────────────────────────────────────────────
+
+  app.get("/api/admin/plugin-installs", admin, available, (_req, res) => {
+    try { res.json({ ok: true, installs: installer.listInstalled() }); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/admin/plugin-installs", admin, available, async (req, res) => {
+    try {
+      const { pluginId, range } = req.body || {};
+      const actor = actorOf(req);
+      send(res, await installer.install(pluginId, range || "*", { actor, userId: actor }), 201);
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.post("/api/admin/plugin-installs/:id/upgrade", admin, available, async (req, res) => {
+    try {
+      const actor = actorOf(req);
+      send(res, await installer.upgrade(req.params.id, req.body?.range || "*", { actor, userId: actor }));
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.delete("/api/admin/plugin-installs/:id", admin, available, async (req, res) => {
+    try {
+      send(res, await installer.uninstall(req.params.id, { actor: actorOf(req), force: req.query.force === "true" }));
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+
+  app.get("/api/admin/plugin-installs/:id/events", admin, available, (req, res) => {
+    try { res.json({ ok: true, events: installer.getEvents(req.params.id, { limit: req.query.limit }) }); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  // ── Marketplace ───────────────────────────────────────────────────────
+
+  app.post("/api/plugins/listings", requireAuth(), available, (req, res) => {
+    try {
+      const { pluginId, price, title, description, licenseType } = req.body || {};
+      send(res, installer.listForSale({
+        sellerId: actorOf(req), pluginId, price: Number(price), title, description, licenseType,
+      }), 201);
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * SCIM Provisioning Routes — Concord Cognitive Engine
+ *
+ * SCIM 2.0-style user provisioning for enterprise org workspaces, so an
+ * identity provider can bulk-sync members and their org roles. Users are
+ * org members; `userName` is the Concord user id and `roles[0].value` the
+ * org role. Only the subset of SCIM our IdPs use is implemented.
+ *
+ * Routes (all under /api/rbac/scim/:orgId):
+ *   GET    /Users           — List members (filter: userName eq "…" | externalId eq "…")
+ *   GET    /Users/:userId   — Get one member
+ *   POST   /Users           — Provision a member
+ *   PUT    /Users/:userId   — Replace a member's role/active/externalId
+ *   PATCH  /Users/:userId   — Patch operations on active/roles/externalId
+ *   DELETE /Users/:userId   — Deprovision a member
+ *   POST   /Bulk            — Run many of the above in one request
+ *
+ * Callers need manage_members in the org, or the platform owner/admin role.
+ */
+
+import {
+  checkPermission, getOrgMembers, getOrgMember, findOrgMemberByExternalId,
+  provisionMember, deprovisionMember,
+} from "../emergent/rbac.js";
+
+const SCHEMA_USER = "urn:ietf:params:scim:schemas:core:2.0:User";
+const SCHEMA_LIST = "urn:ietf:params:scim:api:messages:2.0:ListResponse";
+const SCHEMA_ERROR = "urn:ietf:params:scim:api:messages:2.0:Error";
+const SCHEMA_PATCH = "urn:ietf:params:scim:api:messages:2.0:PatchOp";
+const SCHEMA_BULK_RESPONSE = "urn:ietf:params:scim:api:messages:2.0:BulkResponse";
+
+const MAX_BULK_OPERATIONS = 1000;
+
+function scimError(status, detail) {
+  return { schemas: [SCHEMA_ERROR], status: String(status), detail };
+}
+
+function statusForError(error) {
+  if (/not found/i.test(error || "")) return 404;
+  if (/owner/i.test(error || "")) return 403;
+  return 400;
+}
+
+function toScimUser(orgId, member) {
+  return {
+    schemas: [SCHEMA_USER],
+    id: member.userId,
+    userName: member.userId,
+    externalId: member.externalId || undefined,
+    active: member.active,
+    roles: [{ value: member.role, primary: true }],
+    meta: { resourceType: "User", location: `/api/rbac/scim/${orgId}/Users/${encodeURIComponent(member.userId)}` },
+  };
+}
+
+// SCIM body → provisionMember input
+function fromScimUser(body = {}, userId) {
+  const role = Array.isArray(body.roles) ? (body.roles.find(r => r.primary) || body.roles[0])?.value : undefined;
+  return {
+    userId: userId || body.userName || body.id,
+    role,
+    externalId: body.externalId,
+    active: typeof body.active === "boolean" ? body.active : undefined,
+  };
+}
+
+// PATCH operations → partial member input
+function fromPatchOperations(operations = []) {
+  const patch = {};
+  for (const op of operations) {
+    const kind = String(op.op || "").toLowerCase();
+    if (kind !== "replace" && kind !== "add") continue;
+    const value = op.path ? { [op.path]: op.value } : (op.value || {});
+    if ("active" in value) patch.active = value.active === true || value.active === "true";
+    if ("externalId" in value) patch.externalId = value.externalId;
+    if ("roles" in value) patch.role = fromScimUser({ roles: value.roles }).role;
+  }
+  return patch;
+}
+
+function parseFilter(filter) {
+  const m = /^\s*(userName|externalId)\s+eq\s+"([^"]*)"\s*$/i.exec(filter || "");
+  return m ? { attribute: m[1], value: m[2] } : null;
+}
+
+/**
+ * Apply one SCIM user operation. Shared by the single-resource routes and
+ * /Bulk. Returns { status, body }.
+ */
+function runUserOperation(STATE, orgId, actor, { method, userId, body }) {
+  switch (method) {
+    case "GET": {
+      const r = getOrgMember(STATE, orgId, userId);
+      return r.ok ? { status: 200, body: toScimUser(orgId, r.member) } : { status: 404, body: scimError(404, r.error) };
+    }
+    case "POST": {
+      const input = fromScimUser(body);
+      if (!input.userId) return { status: 400, body: scimError(400, "userName required") };
+      if (getOrgMember(STATE, orgId, input.userId).ok) return { status: 409, body: scimError(409, "Member already exists") };
+      const r = provisionMember(STATE, orgId, input, actor);
+      return r.ok
+        ? { status: 201, body: toScimUser(orgId, r.member) }
+        : { status: statusForError(r.error), body: scimError(statusForError(r.error), r.error) };
+    }
+    case "PUT":
+    case "PATCH": {
+      if (!getOrgMember(STATE, orgId, userId).ok) return { status: 404, body: scimError(404, "Member not found") };
+      const input = method === "PUT"
+        ? { ...fromScimUser(body, userId), active: body?.active ?? true }
+        : { userId, ...fromPatchOperations(body?.Operations) };
+      const r = provisionMember(STATE, orgId, input, actor);
+      return r.ok
+        ? { status: 200, body: toScimUser(orgId, r.member) }
+        : { status: statusForError(r.error), body: scimError(statusForError(r.error), r.error) };
+    }
+    case "DELETE": {
+      const r = deprovisionMember(STATE, orgId, userId, actor);
+      return r.ok ? { status: 204, body: null } : { status: statusForError(r.error), body: scimError(statusForError(r.error), r.error) };
+    }
+    default:
+      return { status: 405, body: scimError(405, `Unsupported method: ${method}`) };
+  }
+}
+
+/**
+ * Register SCIM provisioning routes.
+ *
+ * @param {import('express').Express} app - Express application
+ * @param {object} deps - Dependencies
+ * @param {object} deps.STATE - Global server state
+ * @param {Function} deps.requireRole - Role-checking middleware
+ */
+export default function registerRbacScimRoutes(app, { STATE, requireRole }) {
+  const platformAdmin = requireRole("owner", "admin");
+  const base = "/api/rbac/scim/:orgId";
+
+  // Org admins manage their own org; platform admins manage any
+  const scimAuth = (req, res, next) => {
+    if (checkPermission(STATE, req.params.orgId, req.user?.id, "manage_members").allowed) return next();
+    return platformAdmin(req, res, next);
+  };
+
+  const send = (res, { status, body }) => {
+    res.status(status).type("application/scim+json");
+    return body === null ? res.end() : res.send(JSON.stringify(body));
+  };
+
+  app.get(`${base}/Users`, scimAuth, (req, res) => {
+    const { orgId } = req.params;
+    const filter = parseFilter(req.query.filter);
+    if (req.query.filter && !filter) return send(res, { status: 400, body: scimError(400, "Unsupported filter") });
+
+    let members;
+    if (filter?.attribute.toLowerCase() === "externalid") {
+      const r = findOrgMemberByExternalId(STATE, orgId, filter.value);
+      members = r.ok ? [r.member] : [];
+    } else {
+      members = getOrgMembers(STATE, orgId).members;
+      if (filter) members = members.filter(m => m.userId === filter.value);
+    }
+
+    const startIndex = Math.max(Number(req.query.startIndex) || 1, 1);
+    const count = Math.min(Math.max(Number(req.query.count) || 100, 0), 1000);
+    const page = members.slice(startIndex - 1, startIndex - 1 + count);
+    return send(res, {
+      status: 200,
+      body: {
+        schemas: [SCHEMA_LIST],
+        totalResults: members.length,
+        startIndex,
+        itemsPerPage: page.length,
+        Resources: page.map(m => toScimUser(orgId, m)),
+      },
+    });
+  });
+
+  app.get(`${base}/Users/:userId`, scimAuth, (req, res) => {
+    send(res, runUserOperation(STATE, req.params.orgId, req.user?.id, { method: "GET", userId: req.params.userId }));
+  });
+
+  app.post(`${base}/Users`, scimAuth, (req, res) => {
+    send(res, runUserOperation(STATE, req.params.orgId, req.user?.id, { method: "POST", body: req.body }));
+  });
+
+  app.put(`${base}/Users/:userId`, scimAuth, (req, res) => {
+    send(res, runUserOperation(STATE, req.params.orgId, req.user?.id, { method: "PUT", userId: req.params.userId, body: req.body }));
+  });
+
+  app.patch(`${base}/Users/:userId`, scimAuth, (req, res) => {
+    if (req.body?.schemas && !req.body.schemas.includes(SCHEMA_PATCH)) {
+      return send(res, { status: 400, body: scimError(400, "Expected a PatchOp request") });
+    }
+    return send(res, runUserOperation(STATE, req.params.orgId, req.user?.id, { method: "PATCH", userId: req.params.userId, body: req.body }));
+  });
+
+  app.delete(`${base}/Users/:userId`, scimAuth, (req, res) => {
+    send(res, runUserOperation(STATE, req.params.orgId, req.user?.id, { method: "DELETE", userId: req.params.userId }));
+  });
+
+  app.post(`${base}/Bulk`, scimAuth, (req, res) => {
+    const { orgId } = req.params;
+    const operations = Array.isArray(req.body?.Operations) ? req.body.Operations : [];
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      return send(res, { status: 413, body: scimError(413, `At most ${MAX_BULK_OPERATIONS} operations per request`) });
+    }
+    const failOnErrors = Number(req.body?.failOnErrors) || 0;
+
+    const results = [];
+    let errors = 0;
+    for (const op of operations) {
+      if (failOnErrors && errors >= failOnErrors) break;
+      const method = String(op.method || "").toUpperCase();
+      const m = /^\/Users(?:\/([^/]+))?$/.exec(op.path || "");
+      const outcome = m
+        ? runUserOperation(STATE, orgId, req.user?.id, { method, userId: m[1] && decodeURIComponent(m[1]), body: op.data })
+        : { status: 400, body: scimError(400, `Unsupported path: ${op.path}`) };
+      if (outcome.status >= 400) errors++;
+      results.push({
+        method,
+        bulkId: op.bulkId,
+        location: outcome.body?.meta?.location,
+        status: String(outcome.status),
+        response: outcome.status >= 400 ? outcome.body : undefined,
+      });
+    }
+
+    return send(res, { status: 200, body: { schemas: [SCHEMA_BULK_RESPONSE], Operations: results } });
+  });
+}
@@ -10,6 +10,7 @@ import {
   storeInVault, getVaultEntry, incrementVaultRef, decrementVaultRef,
   cleanupUnreferencedArtifacts, getVaultStats,
   recordDownload, getUserDownloads, getArtifactDownloadCount, hasUserDownloaded,
+  checkDownloadRights,
   cacheInCRI, recordCRIServe, evictFromCRI, getCRICacheContents,
   getCRICacheStats, evictExpiredCRIEntries,
   getRegionalStats, getTopRegionalArtifacts,
@@ -103,6 +104,11 @@ export default function createStorageRouter({ db, requireAuth }) {
     res.json({ ok: true, hasDownloaded: downloaded });
   });
 
+  router.get("/downloads/rights/:artifactId/:userId", (req, res) => {
+    const rights = checkDownloadRights(db, req.params.artifactId, req.params.userId);
+    res.json({ ok: true, ...rights });
+  });
+
   // ── CRI Cache ─────────────────────────────────────────────────────
   router.post("/cri/cache", (req, res) => {
     const result = cacheInCRI(db, req.body || {});
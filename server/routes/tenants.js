@@ -0,0 +1,100 @@
+/**
+ * Tenant Routes — Concord Cognitive Engine
+ *
+ * Administration of hosted tenants (CONCORD_MULTI_TENANT=true) and the
+ * federation peering between them. Tenants are managed from the root
+ * namespace only: a request bound to a tenant cannot edit the registry.
+ *
+ * Routes:
+ *   GET   /api/tenants                  — List tenants (platform admin)
+ *   POST  /api/tenants                  — Create a tenant; returns its API key once
+ *   PATCH /api/tenants/:id              — Update name, hosts, LLM share, status
+ *   POST  /api/tenants/:id/rotate-key   — Issue a new tenant API key
+ *   GET   /api/tenants/:id/members      — List the users allowed into a tenant
+ *   PUT   /api/tenants/:id/members/:userId — Add a member ({ role: member|admin })
+ *   DELETE /api/tenants/:id/members/:userId — Remove a member
+ *   POST  /api/tenants/:id/peers        — Peer with another tenant ({ peerId })
+ *   GET   /api/tenants/current          — The tenant this request is bound to
+ *   GET   /api/tenants/peers/:peerId/dtus?q= — Query a peered tenant's global DTUs
+ */
+
+import { peerTenants, queryPeerTenant } from "../lib/tenancy.js";
+
+/**
+ * Register tenant routes.
+ *
+ * @param {import('express').Express} app - Express application
+ * @param {object} deps - Dependencies
+ * @param {object|null} deps.registry - Tenant registry (null when tenancy is off)
+ * @param {Function} deps.requireRole - Role-checking middleware
+ */
+export default function registerTenantRoutes(app, { registry, requireRole }) {
+  const platformAdmin = requireRole("owner", "admin");
+
+  const enabled = (_req, res, next) => (registry
+    ? next()
+    : res.status(404).json({ ok: false, error: "Multi-tenant hosting is disabled" }));
+
+  // Registry edits only from the root namespace
+  const rootOnly = (req, res, next) => (req.tenant
+    ? res.status(403).json({ ok: false, error: "Tenant requests cannot manage tenants" })
+    : next());
+
+  const admin = [enabled, rootOnly, platformAdmin];
+
+  const send = (res, result, okStatus = 200) => {
+    if (result.ok) return res.status(okStatus).json(result);
+    const status = /not_found/.test(result.error) ? 404 : /exists|in_use|already/.test(result.error) ? 409 : 400;
+    return res.status(status).json(result);
+  };
+
+  app.get("/api/tenants", ...admin, (_req, res) => {
+    try { res.json({ ok: true, tenants: registry.listTenants() }); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/tenants", ...admin, (req, res) => {
+    try { send(res, registry.createTenant(req.body || {}), 201); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.get("/api/tenants/current", enabled, (req, res) => {
+    res.json({ ok: true, tenant: req.tenant || null });
+  });
+
+  app.patch("/api/tenants/:id", ...admin, (req, res) => {
+    try { send(res, registry.updateTenant(req.params.id, req.body || {})); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/tenants/:id/rotate-key", ...admin, (req, res) => {
+    try { send(res, registry.rotateKey(req.params.id)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.get("/api/tenants/:id/members", ...admin, (req, res) => {
+    try {
+      if (!registry.getTenant(req.params.id)) return send(res, { ok: false, error: "tenant_not_found" });
+      res.json({ ok: true, members: registry.listMembers(req.params.id) });
+    } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.put("/api/tenants/:id/members/:userId", ...admin, (req, res) => {
+    try { send(res, registry.addMember(req.params.id, req.params.userId, { role: req.body?.role })); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.delete("/api/tenants/:id/members/:userId", ...admin, (req, res) => {
+    try { send(res, registry.removeMember(req.params.id, req.params.userId)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.post("/api/tenants/:id/peers", ...admin, (req, res) => {
+    try { send(res, peerTenants(registry, req.params.id, req.body?.peerId), 201); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+
+  app.get("/api/tenants/peers/:peerId/dtus", enabled, async (req, res) => {
+    try {
+      if (!req.tenant) return res.status(400).json({ ok: false, error: "Request is not bound to a tenant" });
+      const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+      const result = await queryPeerTenant(registry, req.tenant.id, req.params.peerId, { query: req.query.q || "", limit });
+      return res.status(result.ok ? 200 : result.error === "not_peered" ? 403 : 404).json(result);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+  });
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Replay the LOAF cognition bus from disk
+ *
+ * Re-drives replay subscribers over the persisted event log into a
+ * sandboxed STATE, so a past decision can be reproduced offline. Opens the
+ * database read-only — safe to run next to a live server.
+ *
+ * Usage:
+ *   node server/scripts/replay-cognition.js --from 1200 --to 1300 --seed s1
+ *   node server/scripts/replay-cognition.js --explain 1250 --from 1200
+ *   node server/scripts/replay-cognition.js --from 1 --state snapshot.json --module ./my-handlers.js
+ *
+ * Flags:
+ *   --from N            first sequence (default 1)
+ *   --to N              last sequence (default: head of log)
+ *   --seed S            replay RNG seed (default "default")
+ *   --model-version V   model version recorded on decisions
+ *   --actor ID          only events from this actor
+ *   --type T            only this event type (repeatable)
+ *   --state FILE        JSON file used as the starting sandbox STATE
+ *   --module FILE       module that registers handlers via subscribeReplay (repeatable)
+ *   --explain SEQ       reproduce a single decision with state before/after
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import Database from "better-sqlite3";
+import { attachEventStore, replayFromStore, explainEvent } from "../loaf/cognition-bus.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.join(__dirname, "..");
+const DATA_DIR = process.env.DATA_DIR || path.join(SERVER_DIR, "data");
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "concord.db");
+
+function parseArgs(argv) {
+  const args = { types: [], modules: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    switch (flag) {
+      case "--from": args.fromSeq = Number(value); i++; break;
+      case "--to": args.toSeq = Number(value); i++; break;
+      case "--seed": args.seed = value; i++; break;
+      case "--model-version": args.modelVersion = value; i++; break;
+      case "--actor": args.actorId = value; i++; break;
+      case "--type": args.types.push(value); i++; break;
+      case "--state": args.statePath = value; i++; break;
+      case "--module": args.modules.push(value); i++; break;
+      case "--explain": args.explain = Number(value); i++; break;
+      default:
+        throw new Error(`Unknown flag: ${flag}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(DB_PATH)) throw new Error(`Database not found: ${DB_PATH}`);
+  const db = new Database(DB_PATH, { readonly: true, fileMustExist: true });
+
+  const attached = attachEventStore(db);
+  if (!attached.ok) throw new Error(`Cognition event store unavailable: ${attached.error}`);
+
+  for (const mod of args.modules) {
+    await import(pathToFileURL(path.resolve(mod)).href);
+  }
+
+  const baseState = args.statePath ? JSON.parse(fs.readFileSync(args.statePath, "utf-8")) : {};
+  const opts = {
+    fromSeq: args.fromSeq,
+    toSeq: args.toSeq,
+    seed: args.seed,
+    modelVersion: args.modelVersion,
+    actorId: args.actorId,
+    types: args.types.length ? args.types : undefined,
+    baseState,
+  };
+
+  const result = Number.isFinite(args.explain) ? explainEvent(args.explain, opts) : replayFromStore(opts);
+  db.close();
+
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  if (!result.ok) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error(`[replay-cognition] ${e.message}`);
+  process.exit(1);
+});
@@ -8,7 +8,7 @@
  * Adaptive threshold: tracks satisfaction per lens and adjusts.
  */
 
-import { embed, cosineSimilarity, isEmbeddingAvailable, getEmbedding } from "./embeddings.js";
+import { embed, nearestNeighbors, isEmbeddingAvailable } from "./embeddings.js";
 
 // ── Configuration ──────────────────────────────────────────────────────────
 const DEFAULT_THRESHOLD = 0.92;
@@ -87,20 +87,10 @@ export async function semanticCacheCheck(query, lens, { dtusArray, threshold, us
     return { cached: false, reason: "no_candidates" };
   }
 
-  // Find best match
-  let bestScore = 0;
-  let bestDTU = null;
-
-  for (const dtu of candidates) {
-    const vec = getEmbedding(dtu.id);
-    if (!vec) continue;
-
-    const sim = cosineSimilarity(queryVec, vec);
-    if (sim > bestScore) {
-      bestScore = sim;
-      bestDTU = dtu;
-    }
-  }
+  // Find best match (ANN index when the candidate pool is large enough)
+  const [nearest] = nearestNeighbors(queryVec, candidates, 1);
+  const bestScore = nearest && nearest.rawSimilarity > 0 ? nearest.rawSimilarity : 0;
+  const bestDTU = bestScore > 0 ? nearest : null;
 
   if (bestDTU && bestScore >= effectiveThreshold) {
     cacheStats.hits++;
@@ -32,14 +32,20 @@ import path from "path";
 import { spawnSync } from "child_process";
 import { Worker } from "node:worker_threads";
 import { initAll as initLoaf } from "./loaf/index.js";
+import { replayFromStore as replayCognitionBus, explainEvent as explainCognitionEvent } from "./loaf/cognition-bus.js";
 import { init as initEmergent } from "./emergent/index.js";
 import { ConcordError } from "./lib/errors.js";
+import { MARKETPLACE_LENS_REGISTRY } from "./lib/marketplace-lens-registry.js";
 import { asyncHandler } from "./lib/async-handler.js";
 import { init as initGRC, formatAndValidate as grcFormatAndValidate, getGRCSystemPrompt } from "./grc/index.js";
 import configureMiddleware from "./middleware/index.js";
 import { createLLMQueue, PRIORITY } from "./lib/llm-queue.js";
+import { streamOllamaChat, relayChatStream } from "./lib/llm-stream.js";
 import { BRAIN_CONFIG as _BRAIN_CONFIG_SPEC, SYSTEM_TO_BRAIN, BRAIN_PRIORITY, getBrainForSystem } from "./lib/brain-config.js";
 import { preloadBrains, getBrainPriority, resolveBrain } from "./lib/brain-router.js";
+import { BRAIN_PROVIDERS, generateWithBrain, probeBrain, getBackendStatus, setBrainTransport } from "./lib/brain-backends.js";
+import { createCassette } from "./lib/llm-cassette.js";
+import { createFakeBrain, parseFakeBrainRules } from "./lib/fake-brain.js";
 import { createBreakerRegistry } from "./lib/circuit-breaker.js";
 import { traceMiddleware, startSpan, storeTrace, getRecentTraces, getTraceMetrics } from "./lib/request-trace.js";
 import { loadPluginsFromDisk, fireHook, tickPlugins } from "./plugins/loader.js";
@@ -131,6 +137,7 @@ import {
 import { attemptReproduction, getLineage, getLineageTree, enableReproduction, disableReproduction, isReproductionEnabled } from "./emergent/reproduction.js";
 import { classifyEntity, classifyAllEntities, getSpeciesCensus, getSpeciesRegistry, checkReproductionCompatibility, getSpecies } from "./emergent/species.js";
 import { runDualPathSimulation, getSimulation, listSimulations } from "./emergent/dual-path.js";
+import { attachJournalStore, recordDTUChange, reconstructDTU, explainDTU as explainDTUJournal } from "./emergent/journal.js";
 // ---- Biological Systems: emergent module wiring ----
 import { instantiateBody, getBody, entityKernelTick as tickBodyDecay, getBodyMetrics } from "./emergent/body-instantiation.js";
 import { initSleepState, tickFatigue, checkSleepTransition, getSleepState, getSleepMetrics } from "./emergent/sleep-consolidation.js";
@@ -143,7 +150,7 @@ import { recordTick as tickSubjectiveTime, getSubjectiveTimeMetrics } from "./em
 import { recordObservation as recordInstitutionalDecision, getInstitutionalMemoryMetrics } from "./emergent/institutional-memory.js";
 
 // ---- Worker Pool: offload heavy macros to worker threads ----
-import { initPool, isHeavy, dispatch as dispatchToPool, syncState as syncPoolState, getPoolStats, shutdownPool } from "./workers/macro-pool.js";
+import { initPool, isHeavy, dispatch as dispatchToPool, syncState as syncPoolState, setTenantWorkerLimit, getPoolStats, shutdownPool } from "./workers/macro-pool.js";
 
 // ---- Repair Cortex: three-phase self-repair (Prophet + Surgeon + Guardian) ----
 import {
@@ -194,9 +201,15 @@ import {
   checkRefIdProcessed,
   validateBalance as economyValidateBalance,
   economyAudit,
+  runBalanceCheckpointCycle,
+  expireEscrows,
+  processSubscriptionRenewals,
+  processMarketplaceAuctions,
+  refreshExchangeRates,
   createPurchase,
   transitionPurchase,
   recordSettlement,
+  getBalance as getEconomyBalance,
 } from "./economy/index.js";
 
 // ---- Atlas + Platform Upgrade Imports (v2) ----
@@ -207,9 +220,21 @@ import { runAutogenV2, getAutogenRun, acceptAutogenOutput, mergeAutogenOutput, p
 import { councilResolve, getCouncilQueue, councilRequestSources, councilMerge, getCouncilActions, getCouncilMetrics } from "./emergent/atlas-council.js";
 import { upsertProfile, getProfile, listProfiles, followUser, unfollowUser, getFollowers, getFollowing, publishDtu, unpublishDtu, recordCitation, getCitedBy, getFeed, computeTrending, discoverUsers, getSocialMetrics } from "./emergent/social-layer.js";
 import { createWorkspace as collabCreateWorkspace, getWorkspace as collabGetWorkspace, listWorkspaces as collabListWorkspaces, addWorkspaceMember as collabAddWorkspaceMember, removeWorkspaceMember as collabRemoveWorkspaceMember, addDtuToWorkspace as collabAddDtuToWorkspace, addComment as collabAddComment, getComments as collabGetComments, editComment as collabEditComment, resolveComment as collabResolveComment, proposeRevision, getRevisionProposals, voteOnRevision, applyRevision, startEditSession, recordEdit, endEditSession, getCollabMetrics } from "./emergent/collaboration.js";
-import { createOrgWorkspace, getOrgWorkspace, assignRole, revokeRole, getUserRole, getOrgMembers, checkPermission, getUserPermissions, assignOrgLens, getOrgLenses, exportAuditLog, getRbacMetrics } from "./emergent/rbac.js";
+import { createOrgWorkspace, getOrgWorkspace, assignRole, revokeRole, getUserRole, getOrgMembers, checkPermission, getUserPermissions, assignOrgLens, getOrgLenses, exportAuditLog, getRbacMetrics, attachRbacStore, setResourceACL, getResourceACL, canManageResourceACL } from "./emergent/rbac.js";
+import { createRbacMiddleware } from "./lib/rbac-middleware.js";
+import registerRbacScimRoutes from "./routes/rbac-scim.js";
+import { tenantScopedState, seedStateShape, createTenantRegistry, createTenantMiddleware, createSharedSubsystemGuard, runWithTenant, currentTenantId } from "./lib/tenancy.js";
+import registerTenantRoutes from "./routes/tenants.js";
+import { attachDeveloperSdkStore, detachDeveloperSdkStore } from "./emergent/developer-sdk.js";
+import registerDeveloperPluginRoutes from "./routes/developer-plugins.js";
+import { createPluginInstaller } from "./plugins/installer.js";
+import registerPluginPackageRoutes from "./routes/plugin-packages.js";
 import { takeSnapshot as takeAnalyticsSnapshot, getPersonalAnalytics, getDtuGrowthTrends, getCitationAnalytics, getMarketplaceAnalytics as getMarketAnalytics, getKnowledgeDensity, getAtlasDomainAnalytics, getDashboardSummary } from "./emergent/analytics-dashboard.js";
-import { registerWebhook as registerWh, getWebhook, listWebhooks, deactivateWebhook, deleteWebhook, dispatchWebhookEvent, processPendingDeliveries, getDeliveryHistory, getApiMetrics } from "./emergent/public-api.js";
+import { registerWebhook as registerWh, restoreWebhooks, getWebhook, listWebhooks, deactivateWebhook, deleteWebhook, dispatchWebhookEvent, getDeliveryHistory, getApiMetrics } from "./emergent/public-api.js";
+import {
+  configureWebhookDelivery, processWebhookDeliveries, getWebhookDelivery, listWebhookDeliveries,
+  listDeadLetters, replayWebhookDelivery, replayDeadLetters, getWebhookDeliveryStats,
+} from "./lib/webhook-delivery.js";
 import { tagDataRegion, getDataRegion, setExportControls, checkExportAllowed, exportData, createDataPartition, getDataPartition, setRetentionPolicy, getRetentionPolicy, getComplianceLog, getComplianceStatus } from "./emergent/compliance.js";
 import { startOnboarding as startOnboardingV2, getOnboardingProgress as getOnboardingProgressV2, completeOnboardingStep as completeOnboardingStepV2, skipOnboarding as skipOnboardingV2, getOnboardingHints, getOnboardingMetrics } from "./emergent/onboarding.js";
 import { recordSubstrateReuse, recordLlmCall, getEfficiencyDashboard, takeEfficiencySnapshot, getEfficiencyHistory } from "./emergent/compute-efficiency.js";
@@ -219,10 +244,10 @@ import { selectGlobalSynthesisCandidates } from "./emergent/scope-separation.js"
 
 // ---- Chat Response Pipeline: DTU-Enriched Context System ----
 import { isSummaryDue, compressConversation, getSessionSummary, getSummaryText } from "./lib/conversation-summarizer.js";
-import { runContextHarvest, harvestEntityState, formatEntityStateBlock } from "./lib/chat-context-pipeline.js";
+import { runContextHarvest, harvestEntityState, formatEntityStateBlock, harvestHybridSource } from "./lib/chat-context-pipeline.js";
 import { assembleWithTokenBudget, computeBudgetBreakdown } from "./lib/token-budget-assembler.js";
 import { createInputDTU, createOutputDTU, isConsolidationDue, consolidationCheck, forgeFromMessage } from "./lib/conversation-enrichment.js";
-import { runParallelBrains, recordParallelMetrics } from "./lib/chat-parallel-brains.js";
+import { runParallelBrains, recordParallelMetrics, runAfterStream } from "./lib/chat-parallel-brains.js";
 
 // ---- Entity Growth, Web Exploration & Hive Communication ----
 import {
@@ -257,8 +282,11 @@ import {
 import {
   initEmbeddings, embed, cosineSimilarity, findSimilar, semanticSearch,
   findCrossDomainConnections, embedDTU, storeEmbedding, getEmbedding,
-  removeEmbedding, backfillEmbeddings, getEmbeddingStatus, isEmbeddingAvailable,
+  removeEmbedding, backfillEmbeddings, getEmbeddingStatus, isEmbeddingAvailable, saveAnnIndex,
 } from "./embeddings.js";
+import {
+  initHybridRetrieval, indexDTUForRetrieval, removeDTUFromRetrieval, hybridSearch, getHybridStatus,
+} from "./lib/hybrid-retrieval.js";
 import {
   initSemanticCache, semanticCacheCheck, recordCacheSatisfaction,
   warmRelatedQueries, getCacheStats,
@@ -300,6 +328,8 @@ import {
 import { AUTO_PROMOTE_THRESHOLDS, STRICTNESS_PROFILES, getAutoPromoteConfig } from "./emergent/atlas-config.js";
 import { getInvariantMetrics, getInvariantLog } from "./emergent/atlas-invariants.js";
 import { applyWrite, runAutoPromoteGate, getWriteGuardLog, getWriteGuardMetrics } from "./emergent/atlas-write-guard.js";
+import { getCollabDoc, commitCollabDoc, leaveAllCollabDocs, getCrdtCollabMetrics, setCollabCommitHandler } from "./emergent/crdt-collab.js";
+import { COLLAB_MESSAGE_TYPES, routeCollabMessage, buildCollabEvent } from "./emergent/lattice-interface.js";
 import { initScopeState, scopedWrite, createSubmission, processSubmission, approveSubmission, rejectSubmission, getSubmission, listSubmissions, getDtuScope, getScopeMetrics, getLocalQualityHints } from "./emergent/atlas-scope-router.js";
 import { tickLocal, tickGlobal, tickMarketplace, getHeartbeatMetrics } from "./emergent/atlas-heartbeat.js";
 import { retrieve as atlasRetrieve, retrieveForChat, retrieveLabeled, retrieveFromScope } from "./emergent/atlas-retrieval.js";
@@ -3112,130 +3142,140 @@ function cretiPack({ title, purpose, context, procedure, outputs, tests, notes }
   ].join("\n\n").trim();
 }
 
+const TENANCY_ENABLED = String(process.env.CONCORD_MULTI_TENANT || "").toLowerCase() === "true";
+
 // ---- in-memory state (v2 local-first) ----
-const STATE = {
-  dtus: new Map(),        // id -> dtu
-  shadowDtus: new Map(),  // id -> dtu (shadow tier persisted separately)
-  wrappers: new Map(),    // id -> wrapper
-  layers: new Map(),      // id -> layer
-  personas: new Map(),    // id -> persona
-  sessions: new Map(),    // sessionId -> {messages:[...], createdAt, styleVector?}
-  styleVectors: new Map(), // sessionId -> style vector (mutable)
-  // v3: identity + orgs (local-first auth; can be upgraded to real DB/OIDC later)
-  users: new Map(),       // userId -> {id, handle, createdAt, orgIds:[...], roleByOrg:{orgId:role}}
-  orgs: new Map(),        // orgId -> {id, name, ownerUserId, createdAt}
-  apiKeys: new Map(),     // keyId -> {id, keyHash, userId, orgId, scopes:[...], createdAt, revokedAt}
-  // v3: jobs (long-running orchestrator)
-  jobs: new Map(),        // jobId -> {id, kind, payload, status, attempts, maxAttempts, runAt, createdAt, updatedAt, lastError, result}
-  // v3: sources + global + marketplace + papers
-  sources: new Map(),     // sourceId -> {id, url, fetchedAt, contentHash, title, excerpt, text, meta}
-  globalIndex: { byHash: new Map(), byId: new Map() }, // globalId/hash -> dtuId
-  listings: new Map(),    // listingId -> {id, dtuId, orgId, price, currency, license, status, createdAt}
-  entitlements: new Map(),// entId -> {id, buyerOrgId, dtuId, license, createdAt}
-  transactions: new Map(),// txId -> {id, buyerOrgId, sellerOrgId, listingId, amount, fee, createdAt}
-  papers: new Map(),      // paperId -> {id, orgId, topic, outline, sections, refs, status, createdAt, updatedAt}
-  organs: new Map(),      // organId -> organState
-  growth: null,          // growth OS state
-  // v3: Generic lens artifact store (domain.type → artifact)
-  lensArtifacts: new Map(), // artifactId → {id, domain, type, ownerId, title, data, meta, createdAt, updatedAt, version}
-  lensDomainIndex: new Map(), // domain → Set<artifactId> — O(1) domain lookup
-  // v4: User Universes (local/global multiverse substrate)
-  userUniverses: new Map(), // userId → { userId, localDTUs: Map, localLensArtifacts: Map, syncedFromGlobal: Set, preferences, stats, discoveryLog }
-  globalThread: { councilQueue: [], acceptedContributions: [] }, // council submission queue + audit trail
-  __chicken2: {
-    enabled: true,
-    mode: "full_blast",
-    thresholdOverlap: 0.95,
-    thresholdHomeostasis: 0.80,
-    thresholdSuffering: 0.65,
-    hardFails: { inversionVacuum: true, negativeValence: true, genesisViolation: true },
+function createStateNamespace() {
+  return {
+    dtus: new Map(),        // id -> dtu
+    shadowDtus: new Map(),  // id -> dtu (shadow tier persisted separately)
+    wrappers: new Map(),    // id -> wrapper
+    layers: new Map(),      // id -> layer
+    personas: new Map(),    // id -> persona
+    sessions: new Map(),    // sessionId -> {messages:[...], createdAt, styleVector?}
+    styleVectors: new Map(), // sessionId -> style vector (mutable)
+    // v3: identity + orgs (local-first auth; can be upgraded to real DB/OIDC later)
+    users: new Map(),       // userId -> {id, handle, createdAt, orgIds:[...], roleByOrg:{orgId:role}}
+    orgs: new Map(),        // orgId -> {id, name, ownerUserId, createdAt}
+    apiKeys: new Map(),     // keyId -> {id, keyHash, userId, orgId, scopes:[...], createdAt, revokedAt}
+    // v3: jobs (long-running orchestrator)
+    jobs: new Map(),        // jobId -> {id, kind, payload, status, attempts, maxAttempts, runAt, createdAt, updatedAt, lastError, result}
+    // v3: sources + global + marketplace + papers
+    sources: new Map(),     // sourceId -> {id, url, fetchedAt, contentHash, title, excerpt, text, meta}
+    globalIndex: { byHash: new Map(), byId: new Map() }, // globalId/hash -> dtuId
+    listings: new Map(),    // listingId -> {id, dtuId, orgId, price, currency, license, status, createdAt}
+    entitlements: new Map(),// entId -> {id, buyerOrgId, dtuId, license, createdAt}
+    transactions: new Map(),// txId -> {id, buyerOrgId, sellerOrgId, listingId, amount, fee, createdAt}
+    papers: new Map(),      // paperId -> {id, orgId, topic, outline, sections, refs, status, createdAt, updatedAt}
+    organs: new Map(),      // organId -> organState
+    growth: null,          // growth OS state
+    // v3: Generic lens artifact store (domain.type → artifact)
+    lensArtifacts: new Map(), // artifactId → {id, domain, type, ownerId, title, data, meta, createdAt, updatedAt, version}
+    lensDomainIndex: new Map(), // domain → Set<artifactId> — O(1) domain lookup
+    // v4: User Universes (local/global multiverse substrate)
+    userUniverses: new Map(), // userId → { userId, localDTUs: Map, localLensArtifacts: Map, syncedFromGlobal: Set, preferences, stats, discoveryLog }
+    globalThread: { councilQueue: [], acceptedContributions: [] }, // council submission queue + audit trail
+    __chicken2: {
+      enabled: true,
+      mode: "full_blast",
+      thresholdOverlap: 0.95,
+      thresholdHomeostasis: 0.80,
+      thresholdSuffering: 0.65,
+      hardFails: { inversionVacuum: true, negativeValence: true, genesisViolation: true },
+      logs: [],
+      lastProof: null,
+      metrics: { continuityAvg: 0, homeostasis: 1, contradictionLoad: 0, suffering: 0, rejections: 0, accepts: 0 }
+    },
+    
+    __chicken3: {
+      enabled: true,
+      // runtime switches
+      cronEnabled: true,
+      // Chicken3 intent: lattice never sleeps. Default 15s; env may override.
+      cronIntervalMs: Number(process.env.LATTICE_CRON_MS || 15000),
+      metaEnabled: true,
+      metaSampleProb: clamp(Number(process.env.C3_META_PROB || 0.10), 0, 1),
+      metaMinMaturity: clamp(Number(process.env.C3_META_MIN_MATURITY || 0.75), 0, 1),
+      // transport/polish
+      streamingEnabled: true,
+      multimodalEnabled: true,
+      voiceEnabled: true,
+      toolsEnabled: true,
+      federationEnabled: false,
+      // bookkeeping
+      lastCronAt: null,
+      lastMetaAt: null,
+      lastFederationAt: null,
+      stats: { cronTicks: 0, metaProposals: 0, metaCommits: 0, federationRx: 0, federationTx: 0 }
+    },
+    settings: {
+      heartbeatMs: 10000,
+      heartbeatEnabled: true,
+      autogenEnabled: true,
+      dreamEnabled: true,
+      evolutionEnabled: true,
+      synthEnabled: true,
+      llmDefault: true,
+      // Truth calibration
+      interpretiveTruthMin: 0.35,
+      interpretiveTruthMax: 0.85,
+      speculativeGateEnabled: false,
+      // Abstraction Ladder (ape constraints + ant scale)
+      abstractionDepthDefault: 1,   // 0=concrete,1=generalize,2=hypotheses-labeled,3=meta
+      abstractionMaxDepth: 3,
+      workingSetMax: 1000,          // (legacy) focus DTUs used for reasoning
+      focusSetMax: 1000,            // Tier A: focus set — GPU has more RAM for richer context
+      peripheralSetMax: 10000,      // Tier B: peripheral context — GPU can scan larger sets
+      microSetMax: 80,              // preferred DTUs for local reasoning (subset of focus)
+      crispnessMin: 0.25,           // min crispness to drive reasoning (fallback allowed)
+      canonicalOnly: true,          // prefer canonical DTUs; merged/archived are de-prioritized
+      includeMegasInBase: true,     // allow megas to assist, but never replace micro evidence
+      requireHypothesisLabels: true,
+      requireTestsWhenUncertain: true
+    },
     logs: [],
-    lastProof: null,
-    metrics: { continuityAvg: 0, homeostasis: 1, contradictionLoad: 0, suffering: 0, rejections: 0, accepts: 0 }
-  },
-  
-  __chicken3: {
-    enabled: true,
-    // runtime switches
-    cronEnabled: true,
-    // Chicken3 intent: lattice never sleeps. Default 15s; env may override.
-    cronIntervalMs: Number(process.env.LATTICE_CRON_MS || 15000),
-    metaEnabled: true,
-    metaSampleProb: clamp(Number(process.env.C3_META_PROB || 0.10), 0, 1),
-    metaMinMaturity: clamp(Number(process.env.C3_META_MIN_MATURITY || 0.75), 0, 1),
-    // transport/polish
-    streamingEnabled: true,
-    multimodalEnabled: true,
-    voiceEnabled: true,
-    toolsEnabled: true,
-    federationEnabled: false,
-    // bookkeeping
-    lastCronAt: null,
-    lastMetaAt: null,
-    lastFederationAt: null,
-    stats: { cronTicks: 0, metaProposals: 0, metaCommits: 0, federationRx: 0, federationTx: 0 }
-  },
-  settings: {
-    heartbeatMs: 10000,
-    heartbeatEnabled: true,
-    autogenEnabled: true,
-    dreamEnabled: true,
-    evolutionEnabled: true,
-    synthEnabled: true,
-    llmDefault: true,
-    // Truth calibration
-    interpretiveTruthMin: 0.35,
-    interpretiveTruthMax: 0.85,
-    speculativeGateEnabled: false,
-    // Abstraction Ladder (ape constraints + ant scale)
-    abstractionDepthDefault: 1,   // 0=concrete,1=generalize,2=hypotheses-labeled,3=meta
-    abstractionMaxDepth: 3,
-    workingSetMax: 1000,          // (legacy) focus DTUs used for reasoning
-    focusSetMax: 1000,            // Tier A: focus set — GPU has more RAM for richer context
-    peripheralSetMax: 10000,      // Tier B: peripheral context — GPU can scan larger sets
-    microSetMax: 80,              // preferred DTUs for local reasoning (subset of focus)
-    crispnessMin: 0.25,           // min crispness to drive reasoning (fallback allowed)
-    canonicalOnly: true,          // prefer canonical DTUs; merged/archived are de-prioritized
-    includeMegasInBase: true,     // allow megas to assist, but never replace micro evidence
-    requireHypothesisLabels: true,
-    requireTestsWhenUncertain: true
-  },
-  logs: [],
-  crawlQueue: [],
-  queues: {
-    maintenance: [],
-    macroProposals: [],
-    panelProposals: [],
-    synthesis: [],
-    hypotheses: [],
-    philosophy: [],
-    wrapperJobs: [],
-    notifications: []
-  },
+    crawlQueue: [],
+    queues: {
+      maintenance: [],
+      macroProposals: [],
+      panelProposals: [],
+      synthesis: [],
+      hypotheses: [],
+      philosophy: [],
+      wrapperJobs: [],
+      notifications: []
+    },
 
-  // ---- Abstraction Governor (v3 upgrades) ----
-  // Abstraction is treated as an additive, measurable quantity.
-  // Concord enforces a conservation invariant: abstraction added must be matched
-  // by equal-order collapse/grounding over long horizons.
-  abstraction: {
-    enabled: true,
-    cadenceDays: 10,
-    lastEvalAt: null,
-    lastUpgradeAt: null,
-    // ledger: track abstraction added vs collapsed (conservation)
-    ledger: { added: 0, collapsed: 0 },
-    // metrics snapshot updated periodically
-    metrics: {
-      ecc: 0,        // equivalence compression count (proxy)
-      rd: 0,         // reuse distance (proxy)
-      ir: 0,         // internalization ratio (proxy)
-      etua: 1,       // error tolerance under addition (proxy, 0..1)
-      load: 0,       // current abstraction load (0..1)
-      margin: 1      // remaining capacity margin (0..1)
+    // ---- Abstraction Governor (v3 upgrades) ----
+    // Abstraction is treated as an additive, measurable quantity.
+    // Concord enforces a conservation invariant: abstraction added must be matched
+    // by equal-order collapse/grounding over long horizons.
+    abstraction: {
+      enabled: true,
+      cadenceDays: 10,
+      lastEvalAt: null,
+      lastUpgradeAt: null,
+      // ledger: track abstraction added vs collapsed (conservation)
+      ledger: { added: 0, collapsed: 0 },
+      // metrics snapshot updated periodically
+      metrics: {
+        ecc: 0,        // equivalence compression count (proxy)
+        rd: 0,         // reuse distance (proxy)
+        ir: 0,         // internalization ratio (proxy)
+        etua: 1,       // error tolerance under addition (proxy, 0..1)
+        load: 0,       // current abstraction load (0..1)
+        margin: 1      // remaining capacity margin (0..1)
+      },
+      history: []
     },
-    history: []
-  },
-};
+  };
+}
+
+// With CONCORD_MULTI_TENANT=true, STATE resolves to the namespace of the
+// tenant the current request belongs to (lib/tenancy.js); ROOT_STATE is the
+// host's own namespace and what background work outside a request sees.
+const ROOT_STATE = createStateNamespace();
+const STATE = TENANCY_ENABLED ? tenantScopedState(ROOT_STATE) : ROOT_STATE;
 
 // Expose STATE for modules that use globalThis (e.g. repair-cortex.js)
 globalThis._concordSTATE = STATE;
@@ -3355,6 +3395,40 @@ if (db) {
   }
 }
 
+// ---- Webhook delivery log + dead-letter queue (SQLite once migrated) ----
+if (db) {
+  const webhookDelivery = configureWebhookDelivery({ db });
+  const publicWebhooks = restoreWebhooks(STATE);
+  structuredLog("info", "webhook_delivery_configured", {
+    store: webhookDelivery.store, endpoints: webhookDelivery.endpoints,
+    restoredEndpoints: webhookDelivery.restored, restoredPublicWebhooks: publicWebhooks.restored,
+  });
+}
+
+// ---- Durable lattice journal (point-in-time DTU reconstruction) ----
+if (db) {
+  const journalStore = attachJournalStore(db);
+  structuredLog("info", "lattice_journal_store", journalStore);
+}
+
+// ---- RBAC org workspaces, roles, ACLs and hash-chained audit log ----
+if (db) {
+  const rbacStore = attachRbacStore(db);
+  structuredLog("info", "rbac_store", rbacStore);
+}
+
+// ---- Developer SDK plugins, scoped API keys, sandboxes and metering ----
+// A store that fails to attach leaves the SDK in memory rather than stopping boot.
+if (db) {
+  try {
+    const sdkStore = attachDeveloperSdkStore(db, { getBalance: getEconomyBalance });
+    structuredLog("info", "developer_sdk_store", sdkStore);
+  } catch (e) {
+    detachDeveloperSdkStore();
+    structuredLog("error", "developer_sdk_store_failed", { error: e.message });
+  }
+}
+
 // ---- DTU Write-Through Store (persistent-first) ----
 // Initialize the dtu_store table for row-level DTU persistence.
 // This supplements the full-state snapshot with per-DTU durability.
@@ -3363,6 +3437,34 @@ if (_DTU_STORE_READY) {
   structuredLog("info", "dtu_store_initialized", { backend: "sqlite" });
 }
 
+// ---- Multi-tenant hosting (CONCORD_MULTI_TENANT=true) ----
+// Each tenant gets its own STATE namespace and its own migrated database
+// with a write-through DTU store; the registry lives in the root database.
+// The journal and RBAC stores attached above switch to the tenant's database
+// inside a tenant context; auth, the economy ledger, the cognition bus and
+// the developer SDK stay shared (SHARED_SUBSYSTEMS in lib/tenancy.js).
+let tenantRegistry = null;
+if (TENANCY_ENABLED && db) {
+  const registry = createTenantRegistry({
+    db,
+    createState: (tenant, tenantDb) => {
+      const state = seedStateShape(createStateNamespace(), ROOT_STATE);
+      if (initDTUStore(tenantDb)) {
+        const store = createDTUStore(tenantDb, state.dtus, { log: structuredLog });
+        store.rehydrateFromSQLite();
+        state.dtus = store;
+      }
+      structuredLog("info", "tenant_opened", { tenantId: tenant.id, dtus: state.dtus.size });
+      return state;
+    },
+  });
+  if (registry.ok) {
+    tenantRegistry = registry;
+    registerShutdownCallback(() => registry.closeAll());
+  }
+  structuredLog("info", "tenancy_registry", { ok: registry.ok, error: registry.error, tenants: registry.ok ? registry.listTenants().length : 0 });
+}
+
 // Register database close on shutdown
 if (db) {
   registerShutdownCallback(() => {
@@ -5393,6 +5495,26 @@ function realtimeEmit(event, payload, { sessionId = "", orgId = "", requestId =
   return { ok: false, reason: "socket_not_ready" };
 }
 
+// Deliver a lattice collab event to the participants of a DTU's CRDT session
+// on either transport, optionally skipping the sender.
+function collabBroadcast(dtuId, evt, { except = null } = {}) {
+  if (REALTIME.io) {
+    const room = REALTIME.io.to(`collab:${dtuId}`);
+    (except ? room.except(except) : room).emit(evt.event, evt);
+  }
+  const msg = JSON.stringify({ type: evt.event, payload: evt, ts: nowISO() });
+  for (const [cid, c] of REALTIME.clients.entries()) {
+    if (cid === except || !c?.ws || c.ws.readyState !== 1 || !c.collabDocs?.has(dtuId)) continue;
+    try { c.ws.send(msg); } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); }
+  }
+}
+
+function collabDisconnect(connectionId) {
+  for (const dtuId of leaveAllCollabDocs(STATE, connectionId)) {
+    collabBroadcast(dtuId, buildCollabEvent("presence", dtuId, { action: "leave", presence: { connectionId } }), { except: connectionId });
+  }
+}
+
 function enqueueNotification(item, { sessionId = "", orgId = "" } = {}) {
   ensureQueues();
   STATE.queues.notifications.push(item);
@@ -5575,8 +5697,22 @@ async function tryInitWebSockets(server) {
       socket.emit("pong", { ts: nowISO() });
     });
 
+    // Collaborative DTU editing (CRDT sync, presence, commit)
+    for (const type of Object.values(COLLAB_MESSAGE_TYPES)) {
+      socket.on(type, (msg, ack) => {
+        const out = routeCollabMessage(STATE, { ...(msg || {}), type }, { connectionId: clientId, userId: socket.data.userId || null });
+        if (out.join) socket.join(`collab:${out.join}`);
+        if (out.broadcast) collabBroadcast(msg.dtuId, out.broadcast, { except: clientId });
+        if (out.leave) socket.leave(`collab:${out.leave}`);
+        if (!out.reply) return;
+        if (typeof ack === "function") ack(out.reply);
+        else socket.emit(out.reply.event, out.reply);
+      });
+    }
+
     socket.on("disconnect", () => {
       REALTIME.clients.delete(clientId);
+      collabDisconnect(clientId);
     });
 
     socket.on("error", () => {
@@ -5670,12 +5806,21 @@ async function tryInitNativeWebSockets(server) {
 
         if (msg?.type === "ping") {
           try { ws.send(JSON.stringify({ type: "pong", ts: nowISO() })); } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); }
-          
+          return;
+        }
+
+        if (typeof msg?.type === "string" && msg.type.startsWith("collab:")) {
+          const out = routeCollabMessage(STATE, msg, { connectionId: clientId, userId: c.userId || null });
+          if (!c.collabDocs) c.collabDocs = new Set();
+          if (out.join) c.collabDocs.add(out.join);
+          if (out.broadcast) collabBroadcast(msg.dtuId, out.broadcast, { except: clientId });
+          if (out.leave) c.collabDocs.delete(out.leave);
+          if (out.reply) ws.send(JSON.stringify({ type: out.reply.event, payload: out.reply, ts: nowISO() }));
         }
       } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); }
     });
 
-    ws.on("close", () => { try { REALTIME.clients.delete(clientId); } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); } });
+    ws.on("close", () => { try { REALTIME.clients.delete(clientId); collabDisconnect(clientId); } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); } });
     ws.on("error", () => { try { REALTIME.clients.delete(clientId); } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); } });
   });
 
@@ -6829,12 +6974,13 @@ async function runMacro(domain, name, input, ctx) {
     try {
       // fireHook before dispatch (best-effort)
       try { fireHook(STATE, "macro:beforeExecute", { domain, name, input, offloaded: true }); } catch (e) { observe(e, "macro_hook_before_execute_pool"); }
-      const poolResult = await dispatchToPool(domain, name, input, actorInfo);
+      const poolResult = await dispatchToPool(domain, name, input, actorInfo, { tenantId: currentTenantId() || undefined });
       try { fireHook(STATE, "macro:afterExecute", { domain, name, result: poolResult, offloaded: true }); } catch (e) { observe(e, "macro_hook_after_execute_pool"); }
       return poolResult;
     } catch (poolErr) {
-      // If worker doesn't support this macro, fall through to main thread execution
-      if (!poolErr.message?.startsWith("worker_unsupported_macro")) {
+      // If worker doesn't support this macro, or hasn't received this tenant's
+      // snapshot yet, fall through to main thread execution
+      if (!/^worker_(unsupported_macro|no_snapshot)/.test(poolErr.message || "")) {
         throw poolErr;
       }
       // Fall through to local execution
@@ -9021,7 +9167,7 @@ register("metalearning", "adaptations", (ctx, _input = {}) => {
 // ===== END META-LEARNING MACROS =====
 
 // ---- ctx ----
-function makeCtx(req=null) {
+function makeCtx(req=null, opts={}) {
   // Inject ATS affect policy into context so macros can consume depthBudget, riskBudget, etc.
   let affectPolicy = null;
   if (ATS && req?._atsSessionId) {
@@ -9119,9 +9265,12 @@ function makeCtx(req=null) {
       listDomains,
       listMacros,
     },
+    // Token streaming for the current request ({ onToken, signal }) — set by
+    // the streaming chat transports, null otherwise. Nested macro contexts do not inherit it.
+    llmStream: opts.llmStream || null,
     llm: {
       enabled: LLM_READY || (BRAIN.conscious && BRAIN.conscious.enabled),
-      async chat({ system, messages, temperature=0.3, maxTokens=1500, model=null, timeoutMs=30000, dtuRefs, macroRefs, grcMode }) {
+      async chat({ system, messages, temperature=0.3, maxTokens=1500, model=null, timeoutMs=30000, dtuRefs, macroRefs, grcMode, onToken=null, signal=null }) {
         // ===== OLLAMA-FIRST ROUTING =====
         // Sovereignty principle: always try local conscious brain first.
         // Only fall back to OpenAI if Ollama is offline or fails.
@@ -9133,8 +9282,25 @@ function makeCtx(req=null) {
           return { ok: false, reason: "LLM not configured (no conscious brain and no OPENAI_API_KEY)." };
         }
 
-        // ── Try Ollama conscious brain FIRST (local, free, sovereign) ──
-        if (consciousAvailable) {
+        // ── Conscious brain on a non-Ollama backend (llama.cpp, OpenAI-compatible) ──
+        // No token streaming here: streaming callers get the answer chunked at the end.
+        if (consciousAvailable && BRAIN.conscious.provider !== BRAIN_PROVIDERS.OLLAMA) {
+          const r = await generateWithBrain(BRAIN.conscious, {
+            system, messages, temperature, maxTokens, model: model || BRAIN.conscious.model,
+            timeout: Math.max(timeoutMs, 120000), signal,
+          });
+          if (r.aborted) return { ok: false, aborted: true, error: "aborted" };
+          BRAIN.conscious.stats.requests++;
+          BRAIN.conscious.stats.lastCallAt = new Date().toISOString();
+          if (r.ok && r.content) {
+            BRAIN.conscious.stats.totalMs += r.elapsed;
+            structuredLog("info", "llm_conscious_primary", { brain: "conscious", provider: r.provider, model: r.model, elapsed: r.elapsed, tokens: r.tokens });
+            return { ok: true, content: r.content, brain: "conscious", source: r.provider };
+          }
+          BRAIN.conscious.stats.errors++;
+          structuredLog("warn", "llm_conscious_primary_error", { provider: BRAIN.conscious.provider, error: r.error });
+        } else if (consciousAvailable) {
+          // ── Try Ollama conscious brain FIRST (local, free, sovereign) ──
           const brainUrl = BRAIN.conscious.url;
           const brainModel = model || BRAIN.conscious.model;
           const ollamaMessages = [
@@ -9143,6 +9309,39 @@ function makeCtx(req=null) {
           ];
           // Local models need more time than cloud — 120s for first call, 90s steady state
           const ollamaTimeout = Math.max(timeoutMs, 120000);
+
+          // ── Streaming: tokens go to onToken as Ollama generates them ──
+          // Runs through the LLM queue at user-facing priority; the caller's
+          // signal drops it from the queue or aborts the in-flight request.
+          if (onToken) {
+            const startMs = Date.now();
+            let streamed;
+            try {
+              streamed = await _llmQueue.enqueue(({ signal: queueSignal }) => streamOllamaChat({
+                url: brainUrl, model: brainModel, messages: ollamaMessages,
+                options: { temperature, num_predict: maxTokens },
+                onToken, signal: queueSignal, timeoutMs: ollamaTimeout,
+              }), PRIORITY.CRITICAL, { signal });
+            } catch (err) {
+              if (err?.name === "AbortError") return { ok: false, aborted: true, error: "aborted" };
+              streamed = { ok: false, error: String(err?.message || err), content: "" };
+            }
+            const elapsed = Date.now() - startMs;
+            if (streamed.aborted) return { ok: false, aborted: true, error: "aborted" };
+            BRAIN.conscious.stats.requests++;
+            BRAIN.conscious.stats.totalMs += elapsed;
+            BRAIN.conscious.stats.lastCallAt = new Date().toISOString();
+            if (streamed.ok && streamed.content) {
+              structuredLog("info", "llm_ollama_stream", { brain: "conscious", model: brainModel, elapsed, firstTokenMs: streamed.firstTokenMs, tokens: streamed.tokens });
+              return { ok: true, content: streamed.content, brain: "conscious", source: "ollama", streamed: true };
+            }
+            BRAIN.conscious.stats.errors++;
+            structuredLog("warn", "llm_ollama_stream_error", { error: streamed.error, elapsed, partial: Boolean(streamed.content) });
+            // Tokens already reached the client: let the caller's fallback produce the authoritative answer
+            if (streamed.content) return { ok: false, error: streamed.error || "stream_interrupted" };
+            // Nothing streamed yet — fall through to the non-streaming call below
+          }
+
           const ac = new AbortController();
           const t = setTimeout(() => ac.abort(), ollamaTimeout);
           const startMs = Date.now();
@@ -9323,6 +9522,7 @@ function demoteToArchive(dtuId, consolidatedIntoId) {
   if (STATE.shadowDtus?.has(dtuId)) STATE.shadowDtus.delete(dtuId);
   // Remove embedding vector to free memory
   try { removeEmbedding(dtuId); } catch (e) { log("consolidation.warn", `removeEmbedding failed for ${dtuId}: ${e?.message}`); }
+  removeDTUFromRetrieval(dtuId);
 }
 
 // Expose archive functions globally for module access
@@ -9491,6 +9691,9 @@ function upsertDTU(dtu, { broadcast = true, federate = false } = {}) {
   STATE.dtus.set(dtu.id, dtu);
   saveStateDebounced();
 
+  // Journal the field-level change (durable history for point-in-time reconstruction)
+  try { recordDTUChange(STATE, dtu, { actorId: dtu.updatedBy || dtu.authorId || null }); } catch (e) { observe(e, "dtu_journal_record"); }
+
   // Sync DTU to lens artifacts for domain-based lens views
   if (isNew) { try { if (typeof syncDTUToLensArtifacts === "function") syncDTUToLensArtifacts(dtu); } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); } }
 
@@ -10801,6 +11004,9 @@ const _llmQueue = createLLMQueue({
   onReject: (priority, reason) => {
     structuredLog("warn", "llm_queue_reject", { priority, reason });
   },
+  // Tenants get a bounded share of the LLM slots so one cannot starve the rest
+  resolveTenant: currentTenantId,
+  tenantQuota: (tenantId) => tenantRegistry?.getQuota(tenantId) || null,
 });
 
 const _breakers = createBreakerRegistry({
@@ -10931,6 +11137,9 @@ async function llmChat(messagesOrCtx, messagesOrOptions = {}, maybeOptions = {})
 
 const BRAIN = {
   conscious: {
+    name: "conscious",
+    provider: _BRAIN_CONFIG_SPEC.conscious.provider,
+    apiKey: _BRAIN_CONFIG_SPEC.conscious.apiKey,
     url: process.env.BRAIN_CONSCIOUS_URL || process.env.OLLAMA_HOST || "http://ollama-conscious:11434",
     model: process.env.BRAIN_CONSCIOUS_MODEL || "qwen2.5:7b",
     role: "chat, deep reasoning, complex queries",
@@ -10938,6 +11147,9 @@ const BRAIN = {
     stats: { requests: 0, totalMs: 0, dtusGenerated: 0, errors: 0, lastCallAt: null },
   },
   subconscious: {
+    name: "subconscious",
+    provider: _BRAIN_CONFIG_SPEC.subconscious.provider,
+    apiKey: _BRAIN_CONFIG_SPEC.subconscious.apiKey,
     url: process.env.BRAIN_SUBCONSCIOUS_URL || "http://ollama-subconscious:11434",
     model: process.env.BRAIN_SUBCONSCIOUS_MODEL || "qwen2.5:1.5b",
     role: "autogen, dream, evolution, synthesis, birth",
@@ -10945,6 +11157,9 @@ const BRAIN = {
     stats: { requests: 0, totalMs: 0, dtusGenerated: 0, errors: 0, lastCallAt: null },
   },
   utility: {
+    name: "utility",
+    provider: _BRAIN_CONFIG_SPEC.utility.provider,
+    apiKey: _BRAIN_CONFIG_SPEC.utility.apiKey,
     url: process.env.BRAIN_UTILITY_URL || "http://ollama-utility:11434",
     model: process.env.BRAIN_UTILITY_MODEL || "qwen2.5:3b",
     role: "lens interactions, entity actions, quick domain tasks",
@@ -10952,6 +11167,9 @@ const BRAIN = {
     stats: { requests: 0, totalMs: 0, dtusGenerated: 0, errors: 0, lastCallAt: null },
   },
   repair: {
+    name: "repair",
+    provider: _BRAIN_CONFIG_SPEC.repair.provider,
+    apiKey: _BRAIN_CONFIG_SPEC.repair.apiKey,
     url: process.env.BRAIN_REPAIR_URL || "http://ollama-repair:11434",
     model: process.env.BRAIN_REPAIR_MODEL || "qwen2.5:0.5b",
     role: "error detection, auto-fix, runtime repair",
@@ -10960,6 +11178,48 @@ const BRAIN = {
   },
 };
 
+// Deterministic brains for CI and offline runs:
+//   LLM_FAKE_BRAIN=true                  scripted rule-based answers (lib/fake-brain.js),
+//                                        plus rules from LLM_FAKE_BRAIN_RULES (JSON file)
+//   LLM_CASSETTE=record|replay|strict    fixtures in LLM_CASSETTE_DIR/LLM_CASSETTE_NAME.json
+//                                        (lib/llm-cassette.js)
+// Either one answers brain probes, so initThreeBrains enables every brain.
+const _brainTransport = installBrainTransport();
+
+function installBrainTransport() {
+  if (String(process.env.LLM_FAKE_BRAIN || "").toLowerCase() === "true" || process.env.LLM_FAKE_BRAIN === "1") {
+    const rules = process.env.LLM_FAKE_BRAIN_RULES
+      ? parseFakeBrainRules(fs.readFileSync(process.env.LLM_FAKE_BRAIN_RULES, "utf8"))
+      : [];
+    const fake = createFakeBrain({ rules });
+    setBrainTransport(fake);
+    structuredLog("info", "brain_transport", { transport: fake.name, rules: rules.length });
+    return fake;
+  }
+
+  if (!process.env.LLM_CASSETTE) return null;
+  const cassette = createCassette({
+    mode: process.env.LLM_CASSETTE,
+    dir: process.env.LLM_CASSETTE_DIR || new URL("./tests/fixtures/cassettes", import.meta.url).pathname,
+    name: process.env.LLM_CASSETTE_NAME || "default",
+  });
+  // A misconfigured cassette must not silently fall through to live brains
+  if (!cassette.ok) throw new Error(`LLM_CASSETTE: ${cassette.error}`);
+  setBrainTransport(cassette);
+  structuredLog("info", "brain_transport", { transport: cassette.name, ...cassette.getStats() });
+  if (cassette.mode === "strict") {
+    process.on("exit", () => {
+      try {
+        cassette.assertNoMisses();
+      } catch (err) {
+        console.error(`[llm-cassette] ${err.message}`);
+        process.exitCode = 1;
+      }
+    });
+  }
+  return cassette;
+}
+
 /**
  * Initialize four-brain architecture.
  * Probes each brain endpoint; marks as enabled if responsive.
@@ -10968,12 +11228,19 @@ const BRAIN = {
 async function initThreeBrains() {
   for (const [name, brain] of Object.entries(BRAIN)) {
     try {
-      const r = await fetch(`${brain.url}/api/tags`, { signal: AbortSignal.timeout(15000) });
-      if (r.ok) {
-        const tags = await r.json().catch(() => ({}));
-        const modelNames = (tags.models || []).map(m => m.name || "");
-        const modelBase = (brain.model || "").split(":")[0];
-        const modelPresent = modelNames.some(m => m.startsWith(modelBase));
+      const health = await probeBrain(brain, { timeoutMs: 15000 });
+      brain.health = { ok: health.ok, provider: health.provider, latencyMs: health.latencyMs, error: health.error || null, checkedAt: nowISO() };
+      if (!health.ok) {
+        brain.enabled = false;
+        structuredLog("warn", "brain_offline", { brain: name, provider: health.provider, url: brain.url, error: health.error });
+        continue;
+      }
+      // Only Ollama can pull; other providers serve whatever they were started with
+      const modelPresent = health.modelPresent !== false;
+      if (!modelPresent && health.provider !== BRAIN_PROVIDERS.OLLAMA) {
+        brain.enabled = false;
+        structuredLog("warn", "brain_model_missing", { brain: name, provider: health.provider, model: brain.model });
+      } else {
         if (!modelPresent) {
           // Model not yet pulled — trigger async pull
           structuredLog("info", "brain_model_pull", { brain: name, model: brain.model });
@@ -10990,7 +11257,7 @@ async function initThreeBrains() {
         } else {
           brain.enabled = true;
         }
-        structuredLog("info", "brain_online", { brain: name, url: brain.url, model: brain.model, modelPresent });
+        structuredLog("info", "brain_online", { brain: name, provider: health.provider, url: brain.url, model: brain.model, modelPresent });
       }
     } catch {
       brain.enabled = false;
@@ -11575,16 +11842,43 @@ async function initGhostFleet() {
 
     register("apps", "list", (_ctx, input = {}) => appMaker.listApps(input));
     register("apps", "get", (_ctx, input = {}) => appMaker.getApp(input.id));
-    register("apps", "create", (_ctx, input = {}) => appMaker.createApp(input));
-    register("apps", "update", (_ctx, input = {}) => appMaker.updateApp(input.id, input.updates));
-    register("apps", "delete", (_ctx, input = {}) => appMaker.deleteApp(input.id));
+    register("apps", "create", (ctx, input = {}) => appMaker.createApp({ ...input, author: ctx.actor?.userId || "anonymous" }));
+    // A draft's macros run with its author's privileges, so only the author may change it
+    const mayEditApp = (ctx, id) => {
+      const found = appMaker.getApp(id);
+      if (!found.ok || ctx.internal === true) return true;   // a missing app gets "App not found"
+      return !!ctx.actor?.userId && found.app.author === ctx.actor.userId;
+    };
+    register("apps", "update", (ctx, input = {}) => (mayEditApp(ctx, input.id)
+      ? appMaker.updateApp(input.id, input.updates)
+      : { ok: false, error: "Only the author can edit this app" }));
+    register("apps", "delete", (ctx, input = {}) => (mayEditApp(ctx, input.id)
+      ? appMaker.deleteApp(input.id)
+      : { ok: false, error: "Only the author can delete this app" }));
     register("apps", "validate", (_ctx, input = {}) => appMaker.validateApp(input));
     register("apps", "promote", (_ctx, input = {}) => appMaker.promoteApp(input.id));
     register("apps", "demote", (_ctx, input = {}) => appMaker.demoteApp(input.id));
     register("apps", "metrics", () => appMaker.getAppMetrics());
+    // Inline macros run in a LOAF app sandbox; allowlisted "domain.name" macros are
+    // bridged back as wrappers with the caller's ctx, so drafts only run for their author
+    register("apps", "run", (ctx, input = {}) => {
+      if (!appMaker.getApp(input.id).ok) return { ok: false, error: "App not found" };
+      if (ctx.internal !== true && !appMaker.canRunApp(input.id, ctx.actor?.userId)) {
+        return { ok: false, error: "Draft apps can only be run by their author" };
+      }
+      return appMaker.runApp(input.id, input.macro, input.input || {}, {
+        resolveWrapper: (qualifiedName) => {
+          const dot = qualifiedName.indexOf(".");
+          if (dot <= 0) return null;
+          const [domain, name] = [qualifiedName.slice(0, dot), qualifiedName.slice(dot + 1)];
+          if (!MACROS.get(domain)?.has(name)) return null;
+          return (wrapperInput) => runMacro(domain, name, wrapperInput, ctx);
+        },
+      });
+    });
 
     appMaker.init({ STATE });
-    structuredLog("info", "ghost_fleet_module_loaded", { name: "app-maker", macros: 9 });
+    structuredLog("info", "ghost_fleet_module_loaded", { name: "app-maker", macros: 10 });
   } catch (err) {
     GHOST_FLEET_STATUS.modules["app-maker"] = { loaded: false, error: err.message };
     structuredLog("warn", "ghost_fleet_module_failed", { name: "app-maker", error: err.message });
@@ -11723,6 +12017,13 @@ setTimeout(() => {
 // ── Semantic Intelligence Layer Initialization ────────────────────────────
 // Initialize after brains come online (embeddings use Ollama)
 setTimeout(async () => {
+  // Keyword side of hybrid retrieval (BM25) needs no model, so it comes up regardless
+  try {
+    initHybridRetrieval({ db, dtus: STATE.dtus, structuredLog });
+  } catch (e) {
+    structuredLog("warn", "hybrid_retrieval_init_error", { error: String(e?.message || e) });
+  }
+
   try {
     // Gather all Ollama URLs (three brains + default)
     const ollamaUrls = [
@@ -11732,8 +12033,9 @@ setTimeout(async () => {
       process.env.OLLAMA_URL || process.env.OLLAMA_HOST || "http://ollama:11434",
     ].filter(Boolean);
 
-    // Initialize embeddings
-    await initEmbeddings({ db, ollamaUrls, structuredLog });
+    // Initialize embeddings (the ANN snapshot lives next to the database)
+    await initEmbeddings({ db, ollamaUrls, structuredLog, annPath: path.join(DATA_DIR, "ann", "dtu-embeddings.hnsw") });
+    registerShutdownCallback(() => saveAnnIndex());
 
     // Initialize downstream modules
     initSemanticCache({ structuredLog });
@@ -11763,10 +12065,10 @@ setTimeout(async () => {
 }, 5000); // Wait 5s for Ollama to be ready
 
 /**
- * Call a specific brain (Ollama instance).
+ * Call a specific brain through its backend adapter (Ollama, OpenAI-compatible or llama.cpp).
  * @param {"conscious"|"subconscious"|"utility"} brainName
  * @param {string} prompt
- * @param {object} options - { system, temperature, maxTokens, timeout }
+ * @param {object} options - { system, temperature, maxTokens, stop, json, timeout }
  * @returns {Promise<{ok:boolean, content?:string, source:string, model:string, tokens?:number, error?:string}>}
  */
 async function callBrain(brainName, prompt, options = {}) {
@@ -11805,46 +12107,39 @@ async function callBrain(brainName, prompt, options = {}) {
   const _doBrainCall = async () => {
     const start = Date.now();
     const fullPrompt = options.system ? `${options.system}\n\n${prompt}` : prompt;
-    const payload = {
-      model: brain.model,
+    // Provider-specific request/response shapes live in lib/brain-backends.js
+    const data = await generateWithBrain(brain, {
       prompt: fullPrompt,
-      stream: false,
-      options: {
-        temperature: options.temperature || 0.7,
-        num_predict: options.maxTokens || 500,
-      },
-    };
-
-    const response = await fetch(`${brain.url}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-      signal: AbortSignal.timeout(options.timeout || 120000),
+      temperature: options.temperature || 0.7,
+      maxTokens: options.maxTokens || 500,
+      stop: options.stop,
+      json: options.json,
+      timeout: options.timeout || 120000,
     });
 
     brain.stats.requests++;
     brain.stats.lastCallAt = nowISO();
 
-    if (!response.ok) {
+    if (!data.ok) {
       brain.stats.errors++;
-      throw new Error(`Brain ${brainName} error: ${response.status}`);
+      throw new Error(`Brain ${brainName} error: ${data.status || data.error}`);
     }
 
-    const data = await response.json();
     const elapsed = Date.now() - start;
     brain.stats.totalMs += elapsed;
 
     // Record cost (Spec V #85)
     if (typeof recordCost === "function") {
-      try { recordCost(options._userId || "default", brainName, prompt.length, data.eval_count || 0, elapsed); } catch (e) { structuredLog("warn", "llm_cost_recording_failed", { brain: brainName, error: String(e) }); }
+      try { recordCost(options._userId || "default", brainName, prompt.length, data.tokens || 0, elapsed); } catch (e) { structuredLog("warn", "llm_cost_recording_failed", { brain: brainName, error: String(e) }); }
     }
 
     const result = {
       ok: true,
-      content: data.response || "",
+      content: data.content || "",
       source: brainName,
       model: brain.model,
-      tokens: data.eval_count || 0,
+      provider: data.provider,
+      tokens: data.tokens || 0,
       elapsed,
     };
 
@@ -11935,23 +12230,22 @@ async function buildBrainContext(query, lens = null, maxDTUs = 10, sessionId = n
   let existingContext = "";
 
   if (all.length) {
-    // ── Semantic path: use embeddings when available ──
-    if (isEmbeddingAvailable()) {
-      try {
-        const results = await semanticSearch(query, all, { lens, topK: maxDTUs, includeHighTier: true });
-        if (results.length > 0) {
-          existingContext = results.map(r => {
-            const d = all.find(x => x.id === r.id) || r;
-            return `[${(d.tier || "regular").toUpperCase()}] ${d.title}: ${(d.cretiHuman || d.human?.summary || "").slice(0, 400)}`;
-          }).join("\n");
-        }
-      } catch {
-        // Fall through to keyword-based retrieval
+    // ── Hybrid path: BM25 fused with embeddings (BM25 alone when the model is down) ──
+    try {
+      const results = await hybridSearch(query, all, { lens, topK: maxDTUs, includeHighTier: true });
+      if (results.length > 0) {
+        const byId = new Map(all.map(d => [d.id, d]));
+        existingContext = results.map(r => {
+          const d = byId.get(r.id) || r;
+          return `[${(d.tier || "regular").toUpperCase()}] ${d.title}: ${(d.cretiHuman || d.human?.summary || "").slice(0, 400)}`;
+        }).join("\n");
       }
+    } catch {
+      // Fall through to keyword-based retrieval
     }
 
     if (!existingContext) {
-      // ── Fallback: keyword/Jaccard-based retrieval ──
+      // ── Fallback: keyword/Jaccard-based retrieval (index not ready yet) ──
       const qTokens = tokensNoStop(String(query || ""));
 
       const scored = all.map(d => {
@@ -14852,6 +15146,7 @@ async function pipelineCommitDTU(ctx, dtu, opts={}) {
 
     // ===== SEMANTIC EMBEDDING (async, never blocks) =====
     embedDTU(dtu).catch(() => {});
+    indexDTUForRetrieval(dtu);
 
     // Keep high-tier sparse & maintain metrics periodically
     try { enforceTierBudgets(); } catch (e) { observe(e, "tier_budget_enforcement_post_dtu"); }
@@ -15053,6 +15348,7 @@ register("dtu", "create", async (ctx, input) => {
 
   // Async embedding generation (NEVER blocks DTU creation — Rule #1)
   embedDTU(dtu).catch(() => {});
+  indexDTUForRetrieval(dtu);
 
   return { ok: true, dtu };
 }, { description: "Create a DTU (regular/mega/hyper) with structured core; UI receives human projection." });
@@ -15136,8 +15432,10 @@ register("dtu", "delete", (ctx, input) => {
 
   // Delete the DTU
   STATE.dtus.delete(id);
+  try { recordDTUChange(STATE, { id }, { deleted: true, actorId: userId || null }); } catch (e) { observe(e, "dtu_journal_record"); }
   SEARCH_INDEX.dirty = true;
   EMBEDDINGS.store.delete(id); // Remove from embedding index
+  removeDTUFromRetrieval(id);
   saveStateDebounced();
 
   // Fire plugin after-delete hooks
@@ -16166,15 +16464,18 @@ let localReply = formatCrispResponse({
   // NOTE: Do NOT print internal context tracking to the user.
 
   // ===== CONSCIOUS BRAIN ROUTING =====
-  // Resolve the brain URL and model for conscious routing.
-  // When BRAIN.conscious is enabled, route to the configured conscious brain;
-  // otherwise fall back to default Ollama host / model env vars.
-  const brainUrl = BRAIN.conscious.enabled
-    ? BRAIN.conscious.url
-    : (process.env.OLLAMA_HOST || "http://ollama-conscious:11434");
-  const brainModel = BRAIN.conscious.enabled
-    ? BRAIN.conscious.model
-    : (process.env.BRAIN_CONSCIOUS_MODEL || "qwen2.5:7b");
+  // Resolve the brain for conscious routing.
+  // When BRAIN.conscious is enabled, route to the configured conscious brain
+  // (whatever its provider); otherwise fall back to default Ollama host / model env vars.
+  const consciousBrain = BRAIN.conscious.enabled
+    ? BRAIN.conscious
+    : {
+        provider: BRAIN_PROVIDERS.OLLAMA,
+        url: process.env.OLLAMA_HOST || "http://ollama-conscious:11434",
+        model: process.env.BRAIN_CONSCIOUS_MODEL || "qwen2.5:7b",
+      };
+  const brainUrl = consciousBrain.url;
+  const brainModel = consciousBrain.model;
 
   // ===== UNIFIED CONTEXT ENGINE: Retrieve DTUs across all tiers =====
   // Pull context from the unified context engine spanning regular + MEGA + HYPER tiers
@@ -16210,13 +16511,15 @@ let localReply = formatCrispResponse({
   let _pipelineBudget = null;
   let _pipelineDtuCount = 0;
   try {
-    // Phase 1: Context Harvest (4 sources)
+    // Phase 1: Context Harvest (4 sources; Source B adds hybrid keyword + vector hits)
+    const _hybridSource = await harvestHybridSource(STATE, { prompt, lens: mode });
     _pipelineHarvest = runContextHarvest(STATE, {
       sessionId,
       prompt,
       lens: mode,
       userId: ctx?.actor?.userId,
       workingSetDtus: _enrichedFocus,
+      rankedSources: [_hybridSource],
     });
 
     // Phase 2: Token Budget Assembly
@@ -16231,6 +16534,7 @@ let localReply = formatCrispResponse({
       userMessage: prompt,
       workingSetDtus: _pipelineHarvest.consolidatedWorkingSet || _enrichedFocus,
       activationMeta: (_pipelineHarvest.consolidatedWorkingSet || []).map(d => ({ dtuId: d.id, score: d._activationScore || 0.5 })),
+      rankedSources: _pipelineHarvest.rankedSources,
     });
 
     _pipelineDtuCount = _pipelineBudget.dtuCount || 0;
@@ -16295,7 +16599,14 @@ When helpful, reference DTU titles in plain language (do not dump ids unless ask
       dtuRefs: _dtuTitles,
       macroRefs: ["chat.respond"],
       grcMode: mode,
+      onToken: ctx.llmStream?.onToken || null,
+      signal: ctx.llmStream?.signal || null,
     });
+    if (r.aborted) {
+      // Client went away mid-stream: don't fall back or record a half answer
+      _llmSpan.end("aborted");
+      return { ok: false, aborted: true, error: "aborted", sessionId, mode };
+    }
     if (r.ok) {
       finalReply = r.content.trim() || localReply;
       llmUsed = true;
@@ -16304,83 +16615,49 @@ When helpful, reference DTU titles in plain language (do not dump ids unless ask
       _llmSpan.end("error", { error: String(r?.error || "llm_failed") });
       ctx.log("llm.error", "LLM call via ctx.llm failed; attempting conscious brain fallback.", { error: r });
       // ===== CONSCIOUS BRAIN FALLBACK (within ctx.llm block) =====
-      // When ctx.llm.chat() fails, fall back to a direct Ollama call using BRAIN.conscious config
-      try {
-        const _fbAc = new AbortController();
-        const _fbTimeout = setTimeout(() => _fbAc.abort(), 120000);
-        const _fbStart = Date.now();
-        const _fbRes = await fetch(`${brainUrl}/api/chat`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            model: brainModel,
-            messages: [{ role: "system", content: system }, ...messages],
-            stream: false,
-            options: { temperature: _llmTemp, num_predict: _llmMaxTokens }
-          }),
-          signal: _fbAc.signal
-        }).finally(() => clearTimeout(_fbTimeout));
-        const _fbJson = await _fbRes.json().catch(() => ({}));
-        const _fbElapsed = Date.now() - _fbStart;
-        BRAIN.conscious.stats.requests++;
-        BRAIN.conscious.stats.totalMs += _fbElapsed;
-        BRAIN.conscious.stats.lastCallAt = new Date().toISOString();
-        if (_fbRes.ok && _fbJson.message?.content) {
-          finalReply = _fbJson.message.content.trim() || localReply;
-          llmUsed = true;
-          ctx.log("llm.fallback", "Conscious brain fallback succeeded.", { brainUrl, brainModel, elapsed: _fbElapsed });
-        } else {
-          BRAIN.conscious.stats.errors++;
-          ctx.log("llm.fallback.error", "Conscious brain fallback returned non-ok.", { status: _fbRes.status, error: _fbJson?.error });
-        }
-      } catch (_fbErr) {
+      // When ctx.llm.chat() fails, call the conscious brain directly through its backend adapter
+      const _fb = await generateWithBrain(consciousBrain, {
+        system, messages, temperature: _llmTemp, maxTokens: _llmMaxTokens, timeout: 120000,
+      });
+      BRAIN.conscious.stats.requests++;
+      BRAIN.conscious.stats.lastCallAt = new Date().toISOString();
+      if (_fb.ok && _fb.content) {
+        BRAIN.conscious.stats.totalMs += _fb.elapsed;
+        finalReply = _fb.content.trim() || localReply;
+        llmUsed = true;
+        ctx.log("llm.fallback", "Conscious brain fallback succeeded.", { brainUrl, brainModel, provider: _fb.provider, elapsed: _fb.elapsed });
+      } else {
         BRAIN.conscious.stats.errors++;
-        ctx.log("llm.fallback.error", "Conscious brain fallback threw.", { error: String(_fbErr?.message || _fbErr) });
+        ctx.log("llm.fallback.error", "Conscious brain fallback returned non-ok.", { status: _fb.status, error: _fb.error });
       }
       // ===== END CONSCIOUS BRAIN FALLBACK =====
     }
   } else {
     // ===== DIRECT CONSCIOUS BRAIN CALL (no ctx.llm available) =====
-    // When no LLM provider is wired into the macro context, call BRAIN.conscious directly via fetch.
+    // When no LLM provider is wired into the macro context, call BRAIN.conscious directly
+    // through its backend adapter.
     // This ensures the chat lens always attempts the conscious brain before settling for localReply.
-    try {
-      const _dtuTitlesDirect = _enrichedFocus.map(d => d.title || d.id).filter(Boolean);
-      const _directSystem = `You are ConcordOS. Be natural, concise but not dry. Use DTUs as memory. Never pretend features exist.\nMode: ${mode}.\nWhen helpful, reference DTU titles in plain language (do not dump ids unless asked).`;
-      const _directDtuContext = _enrichedFocus.map(d => `TITLE: ${d.title}\nTIER: ${d.tier}\nTAGS: ${(d.tags||[]).join(", ")}\nCRETI:\n${buildCretiText(d)}\n---`).join("\n");
-      const _directMessages = [
-        { role: "system", content: _directSystem },
+    const _directSystem = `You are ConcordOS. Be natural, concise but not dry. Use DTUs as memory. Never pretend features exist.\nMode: ${mode}.\nWhen helpful, reference DTU titles in plain language (do not dump ids unless asked).`;
+    const _directDtuContext = _enrichedFocus.map(d => `TITLE: ${d.title}\nTIER: ${d.tier}\nTAGS: ${(d.tags||[]).join(", ")}\nCRETI:\n${buildCretiText(d)}\n---`).join("\n");
+    const _direct = await generateWithBrain(consciousBrain, {
+      system: _directSystem,
+      messages: [
         { role: "user", content: `User prompt:\n${prompt}\n\nRelevant DTUs:\n${_directDtuContext}\n\nRespond naturally and propose next actions.` }
-      ];
-      const _directAc = new AbortController();
-      const _directTimeout = setTimeout(() => _directAc.abort(), 120000);
-      const _directStart = Date.now();
-      const _directRes = await fetch(`${brainUrl}/api/chat`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          model: brainModel,
-          messages: _directMessages,
-          stream: false,
-          options: { temperature: 0.5, num_predict: 700 }
-        }),
-        signal: _directAc.signal
-      }).finally(() => clearTimeout(_directTimeout));
-      const _directJson = await _directRes.json().catch(() => ({}));
-      const _directElapsed = Date.now() - _directStart;
-      BRAIN.conscious.stats.requests++;
-      BRAIN.conscious.stats.totalMs += _directElapsed;
-      BRAIN.conscious.stats.lastCallAt = new Date().toISOString();
-      if (_directRes.ok && _directJson.message?.content) {
-        finalReply = _directJson.message.content.trim() || localReply;
-        llmUsed = true;
-        ctx.log("llm.direct", "Direct conscious brain call succeeded (no ctx.llm).", { brainUrl, brainModel, elapsed: _directElapsed });
-      } else {
-        BRAIN.conscious.stats.errors++;
-        ctx.log("llm.direct.error", "Direct conscious brain call returned non-ok.", { status: _directRes.status, error: _directJson?.error });
-      }
-    } catch (_directErr) {
+      ],
+      temperature: 0.5,
+      maxTokens: 700,
+      timeout: 120000,
+    });
+    BRAIN.conscious.stats.requests++;
+    BRAIN.conscious.stats.lastCallAt = new Date().toISOString();
+    if (_direct.ok && _direct.content) {
+      BRAIN.conscious.stats.totalMs += _direct.elapsed;
+      finalReply = _direct.content.trim() || localReply;
+      llmUsed = true;
+      ctx.log("llm.direct", "Direct conscious brain call succeeded (no ctx.llm).", { brainUrl, brainModel, provider: _direct.provider, elapsed: _direct.elapsed });
+    } else {
       BRAIN.conscious.stats.errors++;
-      ctx.log("llm.direct.error", "Direct conscious brain call threw.", { error: String(_directErr?.message || _directErr) });
+      ctx.log("llm.direct.error", "Direct conscious brain call returned non-ok.", { status: _direct.status, error: _direct.error });
     }
     // ===== END DIRECT CONSCIOUS BRAIN CALL =====
   }
@@ -20348,6 +20625,7 @@ register("lattice", "birth_protocol", async (ctx, input={}) => {
 
   // Async embedding for birth DTU (never blocks)
   embedDTU(dtu).catch(() => {});
+  indexDTUForRetrieval(dtu);
 
   // ── Entity Lifecycle Completion ──────────────────────────────────────────
   // If this birth came from reproduction or entity emergence, instantiate the
@@ -20809,6 +21087,8 @@ try {
   const loafCtx = {
     register,
     STATE,
+    db,
+    dataDir: DATA_DIR,
     helpers: {
       uid, nowISO, clamp, normalizeText, log,
       enforceEthosInvariant,
@@ -20912,6 +21192,24 @@ try {
 } catch (e) {
   log("plugins.init", "Plugin system initialization failed", { error: String(e?.message || e) });
 }
+
+// Signed .concord-plugin packages installed from the repository
+let pluginInstaller = null;
+if (db) {
+  const installer = createPluginInstaller({
+    db,
+    STATE,
+    loaderOpts: { register, runMacro, helpers: { uid, nowISO, log, upsertDTU, realtimeEmit, saveStateDebounced } },
+  });
+  if (installer.ok) {
+    pluginInstaller = installer;
+    installer.loadInstalled()
+      .then((r) => structuredLog(r.failed.length ? "warn" : "info", "plugin_packages_loaded", { loaded: r.loaded, failed: r.failed }))
+      .catch((e) => structuredLog("error", "plugin_packages_load_failed", { error: String(e?.message || e) }));
+  } else {
+    structuredLog("info", "plugin_installer", installer);
+  }
+}
 // ===== END PLUGINS =====
 
 // ===== BOOTSTRAP GLOBAL EMERGENTS =====
@@ -21084,6 +21382,18 @@ configureMiddleware(app, {
 app.use(httpMetricsMiddleware);
 installGlobalMetrics();
 
+// ---- Tenant binding (X-Tenant-Key or host → tenant STATE namespace) ----
+if (tenantRegistry) {
+  app.use(createTenantMiddleware(tenantRegistry, { required: process.env.TENANT_REQUIRED === "true" }));
+  app.use(createSharedSubsystemGuard());
+}
+
+// ---- RBAC enforcement (org roles + resource ACLs on DTU, lens, marketplace routes) ----
+app.use(createRbacMiddleware({
+  STATE,
+  bypass: (req) => req.ctx?.internal === true || AUTH_MODE === "public" || req.user?.role === "sovereign",
+}));
+
 // ---- Request Tracing (unified observability across all subsystems) ----
 app.use(traceMiddleware);
 app.use((req, res, next) => {
@@ -21661,10 +21971,43 @@ structuredLog("info", "server_starting", { version: VERSION, port: PORT, dotenvL
 registerDtuRoutes(app, { STATE, makeCtx, runMacro, dtuForClient, dtusArray, _withAck, saveStateDebounced, validate });
 
 // ---- Chat + Ask Endpoints (extracted to routes/chat.js) ----
+// ---- Streamed chat turns (SSE routes + socket chat:stream) ----
+// Conscious-brain tokens reach emit() as they are generated; the subconscious
+// and repair passes run after the stream ends and are recorded on the reply.
+function runChatAfterStream(input, { out, text }) {
+  if (!out?.ok || !out.llmUsed || !text) return Promise.resolve(null);
+  const sessionId = out.sessionId || input.sessionId || "default";
+  return runAfterStream({
+    response: text,
+    userMessage: String(input.prompt || input.message || input.query || ""),
+    conversationSummary: getSummaryText(STATE, sessionId),
+    entityStateBlock: formatEntityStateBlock(harvestEntityState(STATE)),
+    STATE,
+    sessionId,
+  }).then((passes) => {
+    const messages = STATE.sessions.get(sessionId)?.messages || [];
+    const reply = [...messages].reverse().find((m) => m.role === "assistant" && m.content === text);
+    if (reply && passes.ok) reply.meta = { ...reply.meta, parallelBrains: passes };
+    return passes;
+  });
+}
+
+function streamChatTurn({ req = null, input, emit, signal, chunkSize }) {
+  return relayChatStream({
+    run: (llmStream) => runMacro("chat", "respond", input, makeCtx(req, { llmStream })),
+    emit,
+    signal,
+    chunkSize,
+    onComplete: (result) => runChatAfterStream(input, result),
+    onCompleteError: (err) => structuredLog("warn", "chat_after_stream_error", { error: String(err?.message || err) }),
+  });
+}
+
 registerChatRoutes(app, {
   STATE, makeCtx, runMacro, enforceRequestInvariants, enforceEthosInvariant,
   uid, kernelTick, uiJson, _withAck, _extractReply, clamp, nowISO,
   saveStateDebounced, ETHOS_INVARIANTS, validate, perEndpointRateLimit,
+  streamChatTurn,
 });
 
 // ---- Domain Routes (extracted to routes/domain.js) ----
@@ -22042,6 +22385,58 @@ function startHeartbeat() {
       } catch (_e) { logger.debug('server', 'want engine not critical', { error: _e?.message }); }
     }
 
+    // ── Economy: balance drift check + checkpoint, signed with ECONOMY_CHECKPOINT_SECRET (every 240th heartbeat @ 15s = ~hourly) ──
+    if (_heartbeatCount % 240 === 0 && _heartbeatCount > 0 && db) {
+      try {
+        const cycle = runBalanceCheckpointCycle(db);
+        if (cycle.verification?.driftCount > 0) {
+          structuredLog("warn", "economy_balance_drift", { driftCount: cycle.verification.driftCount, mode: cycle.verification.mode });
+        }
+      } catch (_e) { logger.debug('server', 'balance checkpoint not critical', { error: _e?.message }); }
+    }
+
+    // ── Economy: refund expired escrows (every 20th heartbeat @ 15s = ~5 min) ──
+    if (_heartbeatCount % 20 === 0 && _heartbeatCount > 0 && db) {
+      try {
+        const expiry = expireEscrows(db);
+        if (expiry.expired.length > 0 || expiry.errors.length > 0) {
+          structuredLog("info", "economy_escrows_expired", { expired: expiry.expired.length, errors: expiry.errors.length });
+        }
+      } catch (_e) { logger.debug('server', 'escrow expiry not critical', { error: _e?.message }); }
+    }
+
+    // ── Economy: creator subscription renewals (every 240th heartbeat @ 15s = ~1 hour) ──
+    if (_heartbeatCount % 240 === 0 && _heartbeatCount > 0 && db) {
+      try {
+        const renewals = processSubscriptionRenewals(db);
+        if (renewals.processed > 0) {
+          structuredLog("info", "economy_subscription_renewals", {
+            renewed: renewals.renewed, pastDue: renewals.pastDue, expired: renewals.expired,
+            cancelled: renewals.cancelled, errors: renewals.errors.length,
+          });
+        }
+      } catch (_e) { logger.debug('server', 'subscription renewals not critical', { error: _e?.message }); }
+    }
+
+    // ── Economy: settle ended auctions + expire stale offers (every 4th heartbeat @ 15s = ~1 min) ──
+    if (_heartbeatCount % 4 === 0 && _heartbeatCount > 0 && db) {
+      try {
+        const sweep = processMarketplaceAuctions(db);
+        if (sweep.settled > 0 || sweep.noSale > 0 || sweep.offersExpired > 0 || sweep.errors.length > 0) {
+          structuredLog("info", "economy_marketplace_auctions", {
+            settled: sweep.settled, noSale: sweep.noSale, offersExpired: sweep.offersExpired, errors: sweep.errors.length,
+          });
+        }
+      } catch (_e) { logger.debug('server', 'auction settlement not critical', { error: _e?.message }); }
+    }
+
+    // ── Economy: refresh exchange rates for local-currency pricing (every 240th heartbeat @ 15s = ~1 hour) ──
+    if (_heartbeatCount % 240 === 0 && _heartbeatCount > 0) {
+      refreshExchangeRates()
+        .then((r) => { if (!r.ok) structuredLog("warn", "economy_exchange_rates_refresh_failed", { error: r.error, detail: r.detail }); })
+        .catch((_e) => logger.debug('server', 'exchange rate refresh not critical', { error: _e?.message }));
+    }
+
     // ── Learning Verification: probation audit (every 480th heartbeat @ 15s = ~2 hours) ──
     if (_heartbeatCount % 480 === 0) {
       try {
@@ -22466,7 +22861,7 @@ app.use("/api/federation", createFederationRouter({ db }));
 
 // ===== CREATIVE ARTIFACT MARKETPLACE =====
 import createCreativeMarketplaceRouter from "./routes/creative-marketplace.js";
-app.use("/api/creative-marketplace", createCreativeMarketplaceRouter({ db }));
+app.use("/api/creative-marketplace", createCreativeMarketplaceRouter({ db, requireAuth }));
 
 // ===== CONCORD FILM STUDIOS =====
 import createFilmStudioRouter from "./routes/film-studio.js";
@@ -32413,6 +32808,67 @@ function initChatSocketHandlers(io) {
         ack?.({ ok: false, error: err?.message });
       }
     });
+
+    // Token streaming variant: chat:token per generated piece, chat:done with
+    // the full result. chat:abort { streamId } or a disconnect cancels the
+    // in-flight generation.
+    const streams = new Map();
+
+    socket.on("chat:stream", async (data, ack) => {
+      const { sessionId, prompt, lens, mode } = data || {};
+      if (!sessionId || !prompt) {
+        ack?.({ ok: false, error: "sessionId and prompt required" });
+        return;
+      }
+      const streamId = String(data.streamId || uid("stream"));
+      if (streams.has(streamId)) {
+        ack?.({ ok: false, error: "stream_id_in_use" });
+        return;
+      }
+      const ac = new AbortController();
+      streams.set(streamId, ac);
+      ack?.({ ok: true, streamId });
+      socket.emit("chat:status", { sessionId, streamId, status: "thinking", lens });
+
+      try {
+        const relayed = await streamChatTurn({
+          input: { sessionId, prompt: String(prompt), lens: lens || null, mode: mode || "chat", llm: true },
+          signal: ac.signal,
+          emit: (event, payload) => {
+            if (event === "token") {
+              socket.emit("chat:token", { sessionId, streamId, ...payload });
+              return;
+            }
+            let lensRecommendation = null;
+            try {
+              lensRecommendation = detectLensRecommendation(prompt, payload?.reply || "", lens);
+            } catch (_e) { logger.debug('server', 'silent catch', { error: _e?.message }); }
+            socket.emit("chat:done", {
+              sessionId,
+              streamId,
+              ok: Boolean(payload?.ok),
+              response: payload?.reply || payload?.content || "No response generated.",
+              lensRecommendation,
+              sources: payload?.meta?.sources || [],
+              dtuId: payload?.meta?.dtuId || null,
+            });
+          },
+        });
+        if (relayed.aborted) socket.emit("chat:done", { sessionId, streamId, ok: false, aborted: true });
+      } catch (err) {
+        socket.emit("chat:done", { sessionId, streamId, ok: false, error: err?.message || "Unknown error" });
+      } finally {
+        streams.delete(streamId);
+      }
+    });
+
+    socket.on("chat:abort", (data) => {
+      streams.get(String(data?.streamId))?.abort();
+    });
+
+    socket.on("disconnect", () => {
+      for (const ac of streams.values()) ac.abort();
+    });
   });
 }
 
@@ -33163,9 +33619,9 @@ register("integration", "list", (_ctx, _input) => {
   return { ok: true, integrations };
 });
 
-app.post("/api/webhooks", asyncHandler(async (req, res) => res.json(await runMacro("webhook", "register", req.body, makeCtx(req)))));
-app.get("/api/webhooks", asyncHandler(async (req, res) => res.json(await runMacro("webhook", "list", {}, makeCtx(req)))));
-app.delete("/api/webhooks/:id", asyncHandler(async (req, res) => res.json(await runMacro("webhook", "delete", { webhookId: req.params.id }, makeCtx(req)))));
+// POST/GET /api/webhooks and DELETE /api/webhooks/:id belong to the public API
+// webhooks (see "Public API & Webhooks" below); the webhook.* macros stay
+// reachable through /api/macros/run.
 app.post("/api/webhooks/:id/toggle", asyncHandler(async (req, res) => res.json(await runMacro("webhook", "toggle", { webhookId: req.params.id, ...req.body }, makeCtx(req)))));
 app.post("/api/automations", asyncHandler(async (req, res) => res.json(await runMacro("automation", "create", req.body, makeCtx(req)))));
 app.get("/api/automations", asyncHandler(async (req, res) => res.json(await runMacro("automation", "list", {}, makeCtx(req)))));
@@ -33410,6 +33866,49 @@ app.post("/api/dtus/:id/restore", validate("dtuRestore"), (req, res) => {
   res.json(result);
 });
 
+// ---- Lattice journal: point-in-time reconstruction + field-level history ----
+app.get("/api/dtus/:id/as-of", (req, res) => {
+  const result = reconstructDTU(STATE, req.params.id, { asOf: req.query.at });
+  res.status(result.ok ? 200 : (result.error === "invalid_as_of" ? 400 : 404)).json(result);
+});
+
+app.get("/api/dtus/:id/history", (req, res) => {
+  res.json(explainDTUJournal(STATE, req.params.id, { since: req.query.since, until: req.query.until }));
+});
+
+// ---- Collaborative editing: CRDT session state + governed commit ----
+// Committed layers land through the same path as dtu.update: version bump,
+// journal entry, state save and the dtu:updated broadcast.
+setCollabCommitHandler(({ dtuId, human, core, userId }) => {
+  const existing = STATE.dtus.get(dtuId);
+  if (!existing) return { ok: false, error: "DTU not found" };
+  const updated = { ...existing, human, core };
+  if (userId) updated.updatedBy = userId;
+  updated.updatedAt = nowISO();
+  updated._version = (existing._version || 1) + 1;
+  upsertDTU(updated, { broadcast: true });
+  return { ok: true, dtu: updated };
+});
+
+app.get("/api/dtus/:id/collab", (req, res) => {
+  const result = getCollabDoc(STATE, req.params.id);
+  res.status(result.ok ? 200 : 404).json(result);
+});
+
+app.post("/api/dtus/:id/collab/commit", (req, res) => {
+  try {
+    const userId = req.user?.id || null;
+    const result = commitCollabDoc(STATE, req.params.id, { actor: userId, userId, scope: req.body?.scope });
+    if (!result.ok) return res.status(result.error === "no_collab_session" ? 404 : 422).json(result);
+    collabBroadcast(req.params.id, buildCollabEvent("committed", req.params.id, { by: userId, stateVector: result.stateVector, warnings: result.warnings }));
+    return res.json(result);
+  } catch (e) { return res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/api/collab/crdt/metrics", (req, res) => {
+  res.json(getCrdtCollabMetrics(STATE));
+});
+
 // ---- Wave 2: Templates Endpoints ----
 app.get("/api/templates", (req, res) => {
   res.json({ ok: true, templates: Array.from(TEMPLATES.values()) });
@@ -34977,8 +35476,8 @@ app.post("/api/webhooks/register", (req, res) => {
   res.json(result);
 });
 
-// GET /api/webhooks already registered above (line ~21631) via macro.
-// DELETE /api/webhooks/:id already registered above (line ~21632) via macro.
+// GET /api/webhooks and DELETE /api/webhooks/:id are the public API routes
+// under "Public API & Webhooks".
 
 app.get("/api/themes/marketplace", (req, res) => {
   res.json(getMarketplaceThemes());
@@ -36717,8 +37216,23 @@ app.post("/api/rbac/check-permission", (req, res) => {
   try { res.json(checkPermission(STATE, req.body?.orgId, req.body?.userId, req.body?.permission)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// Lenses anyone can already see: the built-in registry and published templates
+function isPublicLens(lensId) {
+  if (MARKETPLACE_LENS_REGISTRY.some(l => l.id === lensId)) return true;
+  const artifact = STATE.lensArtifacts?.get(lensId);
+  return artifact?.type === "lens-template" && artifact.meta?.visibility === "public";
+}
+
 app.post("/api/rbac/org-lens", (req, res) => {
-  try { res.json(assignOrgLens(STATE, req.body?.orgId, req.body?.lensId)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  try {
+    if (!req.user?.id) return res.status(401).json({ ok: false, error: "Authentication required" });
+    const result = assignOrgLens(STATE, req.body?.orgId, req.body?.lensId, req.user.id, { isPublicLens });
+    if (!result.ok) {
+      const status = result.error.startsWith("Insufficient") ? 403 : result.error.startsWith("Lens is") ? 409 : 400;
+      return res.status(status).json(result);
+    }
+    res.json(result);
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
 app.get("/api/rbac/org-lenses/:orgId", (req, res) => {
@@ -36733,6 +37247,31 @@ app.get("/api/rbac/metrics", (req, res) => {
   try { res.json(getRbacMetrics(STATE)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
+app.put("/api/rbac/acl/:resourceId", (req, res) => {
+  try {
+    const resourceId = req.params.resourceId;
+    const resource = STATE.dtus.get(resourceId) || STATE.lensArtifacts?.get(resourceId);
+    const ownerId = resource ? (resource.ownerId || resource.authorId || resource.meta?.createdBy) : null;
+    const isOwner = (Boolean(ownerId) && ownerId === req.user?.id) || ["owner", "admin", "sovereign"].includes(req.user?.role);
+    const decision = canManageResourceACL(STATE, resourceId, req.user?.id, { orgId: req.body?.orgId, isOwner });
+    if (!decision.allowed) return res.status(403).json({ ok: false, error: "Insufficient permissions to manage ACLs", reason: decision.reason });
+    if (!Array.isArray(req.body?.rules)) return res.status(400).json({ ok: false, error: "rules must be an array" });
+    res.json(setResourceACL(STATE, resourceId, req.body.rules, { orgId: decision.orgId, actor: req.user?.id }));
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/api/rbac/acl/:resourceId", (req, res) => {
+  try { res.json(getResourceACL(STATE, req.params.resourceId)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// SCIM 2.0-style provisioning (bulk user/role sync from identity providers)
+registerRbacScimRoutes(app, { STATE, requireRole });
+
+// Hosted tenants: registry administration and tenant-to-tenant peering
+registerTenantRoutes(app, { registry: tenantRegistry, requireRole });
+registerDeveloperPluginRoutes(app, { requireRole });
+registerPluginPackageRoutes(app, { installer: pluginInstaller, requireRole, requireAuth });
+
 // ---- Analytics Dashboard ----
 app.get("/api/analytics/dashboard", (req, res) => {
   try { res.json(getDashboardSummary(STATE)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
@@ -36771,6 +37310,37 @@ app.get("/api/webhooks", (req, res) => {
   try { res.json(listWebhooks(STATE, req.query.ownerId || req.user?.id)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
+// Delivery log + dead-letter queue (shared by public API and developer plugin webhooks)
+app.get("/api/webhooks/dead-letters", requireRole("owner", "admin"), (req, res) => {
+  try {
+    res.json(listDeadLetters({ endpointId: req.query.endpointId, limit: req.query.limit, offset: req.query.offset }));
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post("/api/webhooks/dead-letters/replay", requireRole("owner", "admin"), (req, res) => {
+  try { res.json(replayDeadLetters({ endpointId: req.body?.endpointId })); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/api/webhooks/deliveries", requireRole("owner", "admin"), (req, res) => {
+  try {
+    res.json(listWebhookDeliveries({ endpointId: req.query.endpointId, status: req.query.status, limit: req.query.limit, offset: req.query.offset }));
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/api/webhooks/deliveries/:deliveryId", requireRole("owner", "admin"), (req, res) => {
+  try {
+    const result = getWebhookDelivery(req.params.deliveryId);
+    res.status(result.ok ? 200 : 404).json(result);
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.post("/api/webhooks/deliveries/:deliveryId/replay", requireRole("owner", "admin"), (req, res) => {
+  try {
+    const result = replayWebhookDelivery(req.params.deliveryId);
+    res.status(result.ok ? 200 : 400).json(result);
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
 app.get("/api/webhooks/:id", (req, res) => {
   try { res.json(getWebhook(STATE, req.params.id)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
@@ -36791,6 +37361,31 @@ app.get("/api/webhooks-metrics", (req, res) => {
   try { res.json(getApiMetrics(STATE)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
 });
 
+app.get("/api/webhooks-delivery-status", requireRole("owner", "admin"), (req, res) => {
+  try { res.json(getWebhookDeliveryStats()); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+// ---- Cognition bus replay (sandboxed; never touches live STATE) ----
+app.post("/api/loaf/bus/replay", requireRole("owner", "admin"), (req, res) => {
+  try {
+    const b = req.body || {};
+    res.json(replayCognitionBus({
+      fromSeq: b.fromSeq, toSeq: b.toSeq, seed: b.seed, modelVersion: b.modelVersion,
+      actorId: b.actorId, types: b.types, baseState: b.baseState, limit: b.limit,
+    }));
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
+app.get("/api/loaf/bus/explain/:seq", requireRole("owner", "admin"), (req, res) => {
+  try {
+    const q = req.query || {};
+    const out = explainCognitionEvent(Number(req.params.seq), {
+      fromSeq: q.fromSeq, seed: q.seed, modelVersion: q.modelVersion, actorId: q.actorId,
+    });
+    res.status(out.ok ? 200 : 404).json(out);
+  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+
 // ---- Compliance ----
 app.post("/api/compliance/region-tag", (req, res) => {
   try { res.json(tagDataRegion(STATE, req.body?.resourceId, req.body?.region, req.user?.id)); } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
@@ -37161,9 +37756,14 @@ app.get("/api/atlas/rights/metrics", (req, res) => {
 setInterval(() => {
   try { takeAnalyticsSnapshot(STATE); } catch (e) { log("heartbeat.error", `analyticsSnapshot: ${e?.message}`); }
   try { takeEfficiencySnapshot(STATE); } catch (e) { log("heartbeat.error", `efficiencySnapshot: ${e?.message}`); }
-  try { processPendingDeliveries(STATE); } catch (e) { log("heartbeat.error", `pendingDeliveries: ${e?.message}`); }
 }, 300000); // Every 5 minutes
 
+// Webhook delivery: public API and developer plugin webhooks share one
+// pipeline; retries are scheduled by backoff, so drain often.
+setInterval(() => {
+  processWebhookDeliveries().catch((e) => log("heartbeat.error", `webhookDeliveries: ${e?.message}`));
+}, 10000).unref();
+
 // Global + Marketplace heartbeats on separate cadence (every 10 minutes)
 setInterval(() => {
   try { tickGlobal(STATE); } catch (e) { log("heartbeat.error", `tickGlobal: ${e?.message}`); }
@@ -37255,6 +37855,38 @@ app.get("/api/dtus/search/semantic", asyncHandler(async (req, res) => {
   res.json({ ok: true, query: q, lens: lens || null, results: enriched, total: enriched.length });
 }));
 
+// Hybrid search: BM25 + semantic, fused by reciprocal rank (reranked when configured)
+app.get("/api/dtus/search/hybrid", asyncHandler(async (req, res) => {
+  const { q, lens, limit, rerank } = req.query;
+  if (!q) return res.status(400).json({ ok: false, error: "q (query) is required" });
+
+  const topK = Math.min(Number(limit) || 10, 100);
+  const all = dtusArray();
+  const results = await hybridSearch(String(q), all, { lens: lens || null, topK, rerank: rerank !== "false" });
+
+  const byId = new Map(all.map(d => [d.id, d]));
+  const enriched = results.map(r => {
+    const dtu = byId.get(r.id);
+    return {
+      id: r.id,
+      title: dtu?.title || "",
+      tier: dtu?.tier || "regular",
+      tags: dtu?.tags || [],
+      score: Math.round(r.score * 10000) / 10000,
+      ranks: r.ranks,
+      rerankScore: r.rerankScore ?? null,
+      summary: (dtu?.human?.summary || dtu?.cretiHuman || "").slice(0, 300),
+    };
+  });
+
+  res.json({ ok: true, query: q, lens: lens || null, results: enriched, total: enriched.length });
+}));
+
+// Hybrid retrieval status (lexical index, reranker, lens weights)
+app.get("/api/retrieval/status", (_req, res) => {
+  res.json(getHybridStatus());
+});
+
 // Cross-domain connections for a DTU
 app.get("/api/dtus/:id/connections", asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -37358,6 +37990,7 @@ app.get("/api/intelligence/dashboard", asyncHandler(async (_req, res) => {
   res.json({
     ok: true,
     embeddings: getEmbeddingStatus(STATE.dtus.size),
+    retrieval: getHybridStatus(),
     cache: getCacheStats(),
     distillation: getDistillationStats(),
     precompute: getPrecomputeStats(),
@@ -37377,7 +38010,14 @@ registerDurableEndpoints(app, db);
 registerGuidanceEndpoints(app, db);
 
 // ── Economy System: ledger, balances, transfers, withdrawals ─────────────────
-registerEconomyEndpoints(app, db, { structuredLog });
+registerEconomyEndpoints(app, db, {
+  structuredLog,
+  // Royalty policies on in-memory DTUs: whoever owns or authored the DTU
+  resolveContentCreator: (contentId) => {
+    const dtu = STATE.dtus.get(contentId);
+    return dtu ? [dtu.ownerId, dtu.authorId].filter(Boolean) : null;
+  },
+});
 
 // ── Brain Prompts & Want Engine API ──────────────────────────────────────────
 
@@ -37570,14 +38210,26 @@ try {
     };
   }
 
+  // Root snapshot, then one per open tenant (built inside its context so
+  // STATE resolves to that tenant's namespace)
+  const tenantWorkerLimit = Math.max(1, parseInt(process.env.TENANT_MAX_WORKERS || "0", 10) || Math.floor(getPoolStats().poolSize / 2));
+  async function syncAllPoolState() {
+    syncPoolState(buildPoolSnapshot());
+    if (!tenantRegistry) return;
+    for (const ctx of await tenantRegistry.openContexts()) {
+      setTenantWorkerLimit(ctx.tenantId, tenantWorkerLimit);
+      runWithTenant(ctx, () => syncPoolState(buildPoolSnapshot(), ctx.tenantId));
+    }
+  }
+
   // Sync every 30 seconds
   setInterval(() => {
-    try { syncPoolState(buildPoolSnapshot()); } catch (_e) { logger.debug('server', 'silent', { error: _e?.message }); }
+    syncAllPoolState().catch((_e) => logger.debug('server', 'silent', { error: _e?.message }));
   }, 30000);
 
   // Initial sync after 5 seconds (let STATE populate)
   setTimeout(() => {
-    try { syncPoolState(buildPoolSnapshot()); } catch (_e) { logger.debug('server', 'silent', { error: _e?.message }); }
+    syncAllPoolState().catch((_e) => logger.debug('server', 'silent', { error: _e?.message }));
   }, 5000);
 
   structuredLog("info", "module_loaded", { detail: `Worker Pool: ${getPoolStats().poolSize} workers initialized` });
@@ -37648,19 +38300,19 @@ app.post("/api/brain/entity/explore", asyncHandler(async (req, res) => {
 app.get("/api/brain/health", asyncHandler(async (_req, res) => {
   const health = {};
   for (const [name, brain] of Object.entries(BRAIN)) {
-    try {
-      const probe = await fetch(`${brain.url}/api/tags`, { signal: AbortSignal.timeout(3000) });
-      health[name] = {
-        online: probe.ok,
-        healthy: probe.ok,
-        model: brain.model,
-        avgResponseTime: brain.stats.requests > 0 ? Math.round(brain.stats.totalMs / brain.stats.requests) : 0,
-        totalRequests: brain.stats.requests,
-        status: probe.status,
-      };
-    } catch (e) {
-      health[name] = { online: false, healthy: false, model: brain.model, error: String(e?.message || e) };
-    }
+    // Provider-specific health endpoints live in lib/brain-backends.js
+    const probe = await probeBrain(brain, { timeoutMs: 3000 });
+    health[name] = {
+      online: probe.ok,
+      healthy: probe.ok && probe.modelPresent !== false,
+      model: brain.model,
+      provider: probe.provider,
+      avgResponseTime: brain.stats.requests > 0 ? Math.round(brain.stats.totalMs / brain.stats.requests) : 0,
+      totalRequests: brain.stats.requests,
+      latencyMs: probe.latencyMs,
+      breaker: probe.breaker,
+      ...(probe.error ? { error: probe.error } : {}),
+    };
   }
   const allHealthy = Object.values(health).every(r => r.online);
   res.json({ ok: true, allHealthy, ...health, brains: health });
@@ -37974,23 +38626,15 @@ async function tryAIFix(error, context) {
 
   const prompt = `You are a runtime repair system. Fix this error.\n\nERROR: ${error.message}\nFILE: ${error.file || "unknown"}\nLINE: ${error.line || "unknown"}\nSTACK: ${(error.stack || "").slice(0, 500)}\n\nSURROUNDING CODE:\n${context}\n\nRules:\n- Return ONLY the fixed code, no explanation\n- Fix the root cause, not the symptom\n- If you can't fix it, return UNFIXABLE`;
 
-  try {
-    const resp = await fetch(`${BRAIN.repair.url}/api/generate`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ model: BRAIN.repair.model, prompt, stream: false, options: { temperature: 0.1 } }),
-      signal: AbortSignal.timeout(30000),
-    });
-    BRAIN.repair.stats.requests++;
-    const data = await resp.json();
-    REPAIR_STATE.sleeping = true;
-    const fix = (data.response || "").trim();
-    return fix === "UNFIXABLE" ? null : fix;
-  } catch (err) {
-    structuredLog("warn", "repair_ai_error", { error: String(err?.message || err) });
-    REPAIR_STATE.sleeping = true;
+  const data = await generateWithBrain(BRAIN.repair, { prompt, temperature: 0.1, timeout: 30000 });
+  BRAIN.repair.stats.requests++;
+  REPAIR_STATE.sleeping = true;
+  if (!data.ok) {
+    structuredLog("warn", "repair_ai_error", { provider: BRAIN.repair.provider, error: String(data.error || data.status) });
     return null;
   }
+  const fix = (data.content || "").trim();
+  return fix === "UNFIXABLE" ? null : fix;
 }
 
 async function repairError(error) {
@@ -38196,7 +38840,7 @@ app.get("/api/apps/:id", requireAuth(), asyncHandler(async (req, res) => {
 }));
 app.post("/api/apps", requireAuth(), asyncHandler(async (req, res) => {
   const m = await import("./emergent/app-maker.js");
-  res.json(m.createApp(req.body));
+  res.json(m.createApp({ ...(req.body || {}), author: req.user?.id || "anonymous" }));
 }));
 app.post("/api/apps/:id/validate", requireAuth(), asyncHandler(async (req, res) => {
   const m = await import("./emergent/app-maker.js");
@@ -38208,6 +38852,9 @@ app.post("/api/apps/:id/promote", requireAuth(), requireRole("owner"), asyncHand
   const m = await import("./emergent/app-maker.js");
   res.json(m.promoteApp(req.params.id));
 }));
+app.post("/api/apps/:id/run", requireAuth(), asyncHandler(async (req, res) => {
+  res.json(await runMacro("apps", "run", { id: req.params.id, macro: req.body?.macro, input: req.body?.input }, makeCtx(req)));
+}));
 
 // Reality Explorer
 app.post("/api/explore", requireAuth(), asyncHandler(async (req, res) => {
@@ -42161,7 +42808,12 @@ app.get("/api/circuits", (_req, res) => {
   for (const [name, breaker] of Object.entries(circuitBreakers)) {
     states[name] = breaker.getState();
   }
-  res.json({ ok: true, breakers: states });
+  res.json({
+    ok: true,
+    breakers: states,
+    backends: getBackendStatus(),
+    transport: _brainTransport ? { name: _brainTransport.name, ...(_brainTransport.getStats?.() || {}) } : null,
+  });
 });
 
 app.post("/api/circuits/:name/reset", (req, res) => {
@@ -0,0 +1,294 @@
+// tests/balance-checkpoints.test.js
+// Materialized balances (migration 031), signed and unsigned checkpoints and
+// drift verification.
+//
+// Run: node --test tests/balance-checkpoints.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { getBalance, getLedgerBalance, hasMaterializedBalances } from "../economy/balances.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { executeTransfer, executeReversal } from "../economy/transfer.js";
+import {
+  createBalanceCheckpoint,
+  verifyBalances,
+  runBalanceCheckpointCycle,
+  getLatestCheckpoint,
+  getCheckpointHistory,
+  verifyCheckpointSignature,
+} from "../economy/balance-checkpoints.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const SECRET = "test-checkpoint-key";
+
+function createTestDb({ migrate = true } = {}) {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT,
+      CHECK(from_user_id IS NOT NULL OR to_user_id IS NOT NULL)
+    );
+
+    CREATE TABLE audit_log (
+      id          TEXT PRIMARY KEY,
+      timestamp   TEXT,
+      category    TEXT,
+      action      TEXT,
+      user_id     TEXT,
+      ip_address  TEXT,
+      user_agent  TEXT,
+      request_id  TEXT,
+      path        TEXT,
+      method      TEXT,
+      status_code TEXT,
+      details     TEXT
+    );
+  `);
+  if (migrate) migrateBalances(db);
+  return db;
+}
+
+function credit(db, userId, amount) {
+  return recordTransaction(db, { type: "TOKEN_PURCHASE", to: userId, amount, net: amount });
+}
+
+function auditActions(db, action) {
+  return db.prepare("SELECT * FROM audit_log WHERE action = ?").all(action);
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("materialized balances", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("detects the materialized table", () => {
+    assert.equal(hasMaterializedBalances(db), true);
+    const bare = createTestDb({ migrate: false });
+    assert.equal(hasMaterializedBalances(bare), false);
+    bare.close();
+  });
+
+  it("is maintained by ledger inserts and matches the ledger scan", () => {
+    credit(db, "alice", 100);
+    const transfer = executeTransfer(db, { from: "alice", to: "bob", amount: 40 });
+    assert.equal(transfer.ok, true);
+
+    for (const user of ["alice", "bob", "__PLATFORM__"]) {
+      assert.deepEqual(getBalance(db, user), getLedgerBalance(db, user), user);
+    }
+    assert.equal(getBalance(db, "alice").balance, 60);
+  });
+
+  it("backfills balances for ledger rows written before the migration", () => {
+    const legacy = createTestDb({ migrate: false });
+    credit(legacy, "alice", 12.34);
+    recordTransaction(legacy, { type: "TRANSFER", from: "alice", to: "bob", amount: 2.34, net: 2.34 });
+    migrateBalances(legacy);
+
+    assert.equal(getBalance(legacy, "alice").balance, 10);
+    assert.equal(getBalance(legacy, "bob").balance, 2.34);
+    legacy.close();
+  });
+
+  it("follows status changes (reversal, pending → complete)", () => {
+    credit(db, "alice", 50);
+    const { id } = recordTransaction(db, { type: "TRANSFER", from: "alice", to: "bob", amount: 20, net: 20 });
+    assert.equal(getBalance(db, "bob").balance, 20);
+
+    const reversal = executeReversal(db, { originalTxId: id, reason: "test" });
+    assert.equal(reversal.ok, true);
+    assert.deepEqual(getBalance(db, "alice"), getLedgerBalance(db, "alice"));
+    assert.deepEqual(getBalance(db, "bob"), getLedgerBalance(db, "bob"));
+
+    const pending = recordTransaction(db, { type: "TOKEN_PURCHASE", to: "carol", amount: 5, net: 5, status: "pending" });
+    assert.equal(getBalance(db, "carol").balance, 0);
+    db.prepare("UPDATE economy_ledger SET status = 'complete' WHERE id = ?").run(pending.id);
+    assert.equal(getBalance(db, "carol").balance, 5);
+  });
+
+  it("rejects overspend using the materialized balance", () => {
+    credit(db, "alice", 10);
+    const result = executeTransfer(db, { from: "alice", to: "bob", amount: 25 });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, "insufficient_balance");
+    assert.equal(result.balance, 10);
+  });
+});
+
+describe("balance checkpoints", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("creates a signed checkpoint at the ledger watermark", () => {
+    credit(db, "alice", 100);
+    credit(db, "bob", 30);
+
+    const { ok, checkpoint } = createBalanceCheckpoint(db, { secret: SECRET });
+    assert.equal(ok, true);
+    assert.equal(checkpoint.ledgerRowid, 2);
+    assert.equal(checkpoint.accountCount, 2);
+    assert.equal(checkpoint.totalCents, 13000);
+    assert.equal(checkpoint.signed, true);
+
+    const latest = getLatestCheckpoint(db);
+    assert.equal(latest.id, checkpoint.id);
+    assert.equal(verifyCheckpointSignature(latest, { secret: SECRET }), true);
+    assert.equal(verifyCheckpointSignature(latest, { secret: "other-key" }), false);
+    assert.equal(getCheckpointHistory(db).total, 1);
+    assert.equal(auditActions(db, "balance_checkpoint_created").length, 1);
+  });
+
+  it("detects a tampered snapshot", () => {
+    credit(db, "alice", 100);
+    createBalanceCheckpoint(db, { secret: SECRET });
+    db.prepare("UPDATE economy_balance_checkpoints SET balances_json = ?").run(JSON.stringify({ alice: 999999 }));
+
+    assert.equal(verifyCheckpointSignature(getLatestCheckpoint(db), { secret: SECRET }), false);
+    const result = verifyBalances(db, { secret: SECRET });
+    assert.equal(result.checkpointValid, false);
+    assert.equal(result.mode, "full");
+    assert.equal(result.driftCount, 0);
+    assert.equal(auditActions(db, "balance_checkpoint_invalid").length, 1);
+  });
+
+  it("stores the checkpoint unsigned without a key and never trusts it", () => {
+    credit(db, "alice", 100);
+    const { ok, checkpoint } = createBalanceCheckpoint(db, { secret: "" });
+    assert.equal(ok, true);
+    assert.equal(checkpoint.signed, false);
+    assert.equal(checkpoint.signature, null);
+    assert.equal(verifyCheckpointSignature(getLatestCheckpoint(db), { secret: SECRET }), false);
+
+    const result = verifyBalances(db, { secret: SECRET });
+    assert.equal(result.mode, "full");
+    assert.equal(result.checkpointSigned, false);
+    assert.equal(result.checkpointValid, null);
+    assert.equal(auditActions(db, "balance_checkpoint_invalid").length, 0);
+  });
+
+  it("cannot verify a signed checkpoint without a key", () => {
+    credit(db, "alice", 100);
+    createBalanceCheckpoint(db, { secret: SECRET });
+    assert.equal(verifyCheckpointSignature(getLatestCheckpoint(db), { secret: "" }), false);
+
+    const result = verifyBalances(db, { secret: "" });
+    assert.equal(result.mode, "full");
+    assert.equal(result.checkpointSigned, true);
+    assert.equal(result.checkpointValid, null);
+  });
+});
+
+describe("verifyBalances", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("runs a full verification when there is no checkpoint", () => {
+    credit(db, "alice", 100);
+    const result = verifyBalances(db, { secret: SECRET });
+    assert.equal(result.ok, true);
+    assert.equal(result.mode, "full");
+    assert.equal(result.checkpointValid, null);
+    assert.equal(result.driftCount, 0);
+  });
+
+  it("only recomputes accounts touched since the checkpoint", () => {
+    credit(db, "alice", 100);
+    credit(db, "bob", 50);
+    createBalanceCheckpoint(db, { secret: SECRET });
+    // Age the checkpoint so the untouched rows' updated_at predates it
+    db.prepare("UPDATE economy_balance_checkpoints SET created_at = datetime('now', '+1 minute')").run();
+    db.prepare("UPDATE economy_balances SET updated_at = datetime('now', '-1 hour')").run();
+
+    credit(db, "carol", 10);
+    const result = verifyBalances(db, { secret: SECRET });
+    assert.equal(result.mode, "incremental");
+    assert.equal(result.checkpointValid, true);
+    assert.equal(result.accountsChecked, 3);
+    assert.equal(result.driftCount, 0);
+  });
+
+  it("flags drift between the materialized table and the ledger through economyAudit", () => {
+    credit(db, "alice", 100);
+    db.prepare("UPDATE economy_balances SET credits_cents = credits_cents + 500 WHERE account_id = 'alice'").run();
+
+    const result = verifyBalances(db, { secret: SECRET });
+    assert.equal(result.driftCount, 1);
+    assert.deepEqual(
+      { accountId: result.drifted[0].accountId, drift: result.drifted[0].drift },
+      { accountId: "alice", drift: 5 },
+    );
+    assert.equal(auditActions(db, "balance_drift_detected").length, 1);
+    assert.equal(result.repaired, 0);
+  });
+
+  it("flags drift on untouched accounts against the checkpoint snapshot", () => {
+    credit(db, "alice", 100);
+    createBalanceCheckpoint(db, { secret: SECRET });
+    db.prepare("UPDATE economy_balance_checkpoints SET created_at = datetime('now', '+1 minute')").run();
+    db.prepare("UPDATE economy_balances SET credits_cents = 1, updated_at = datetime('now', '-1 hour') WHERE account_id = 'alice'").run();
+
+    const result = verifyBalances(db, { secret: SECRET });
+    assert.equal(result.mode, "incremental");
+    assert.equal(result.driftCount, 1);
+    assert.equal(result.drifted[0].source, "checkpoint");
+  });
+
+  it("repairs drifted rows from the ledger when asked", () => {
+    credit(db, "alice", 100);
+    db.prepare("UPDATE economy_balances SET debits_cents = 2500 WHERE account_id = 'alice'").run();
+
+    const result = verifyBalances(db, { repair: true, secret: SECRET });
+    assert.equal(result.repaired, 1);
+    assert.equal(getBalance(db, "alice").balance, 100);
+    assert.equal(verifyBalances(db, { secret: SECRET }).driftCount, 0);
+  });
+
+  it("returns an error without the materialized table", () => {
+    const bare = createTestDb({ migrate: false });
+    assert.equal(verifyBalances(bare).ok, false);
+    assert.equal(createBalanceCheckpoint(bare).ok, false);
+    bare.close();
+  });
+});
+
+describe("runBalanceCheckpointCycle", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("checkpoints when balances verify clean", () => {
+    credit(db, "alice", 100);
+    const result = runBalanceCheckpointCycle(db, { secret: SECRET });
+    assert.equal(result.ok, true);
+    assert.ok(result.checkpoint?.id);
+  });
+
+  it("skips the checkpoint when drift is found", () => {
+    credit(db, "alice", 100);
+    db.prepare("UPDATE economy_balances SET credits_cents = 1 WHERE account_id = 'alice'").run();
+    const result = runBalanceCheckpointCycle(db, { secret: SECRET });
+    assert.equal(result.checkpoint, null);
+    assert.equal(result.skipped, "drift_detected");
+    assert.equal(getLatestCheckpoint(db), null);
+  });
+});
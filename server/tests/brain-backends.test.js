@@ -0,0 +1,221 @@
+/**
+ * Brain Backends Test Suite
+ *
+ * Tests the provider adapter layer behind the four brains:
+ *   - request/response translation for ollama, openai-compatible, llama.cpp
+ *   - per-backend circuit breakers (5xx trips, 4xx and aborts do not)
+ *   - health probes and preloadBrains() using them
+ */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// Mixed deployment: configured before brain-config.js is first imported
+process.env.BRAIN_UTILITY_PROVIDER = "llama.cpp";
+process.env.BRAIN_UTILITY_URL = "http://llama:8080";
+process.env.BRAIN_REPAIR_PROVIDER = "openai";
+process.env.BRAIN_REPAIR_URL = "http://gateway:4000/v1";
+process.env.BRAIN_REPAIR_API_KEY = "sk-test";
+
+const {
+  BRAIN_PROVIDERS, normalizeProvider, generateWithBrain, probeBrain, getBackendStatus, resetBackendBreakers,
+} = await import("../lib/brain-backends.js");
+const { preloadBrains } = await import("../lib/brain-router.js");
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+// Records every call; `routes` maps "METHOD url" (or url) to a response factory
+function fakeFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url, init = {}) => {
+    const method = init.method || "GET";
+    calls.push({ url, method, headers: init.headers || {}, body: init.body ? JSON.parse(init.body) : null });
+    const route = routes[`${method} ${url}`] || routes[url];
+    if (!route) throw new Error(`connect ECONNREFUSED ${url}`);
+    return route(init);
+  };
+  return { fetchImpl, calls };
+}
+
+const ollama = { provider: "ollama", url: "http://ollama:11434", model: "qwen2.5:7b", temperature: 0.7, maxTokens: 100, timeout: 1000 };
+const llama = { provider: "llama.cpp", url: "http://llama:8080", model: "local", temperature: 0.3, maxTokens: 50, timeout: 1000 };
+const gateway = { provider: "openai-compatible", url: "http://gw:4000", model: "gpt-x", apiKey: "sk-1", temperature: 0.2, maxTokens: 10, timeout: 1000 };
+
+beforeEach(() => resetBackendBreakers());
+
+// ── Providers ───────────────────────────────────────────────────────────────
+
+describe("normalizeProvider", () => {
+  it("accepts aliases and defaults to ollama", () => {
+    assert.equal(normalizeProvider(), BRAIN_PROVIDERS.OLLAMA);
+    assert.equal(normalizeProvider("openai"), BRAIN_PROVIDERS.OPENAI_COMPATIBLE);
+    assert.equal(normalizeProvider("LlamaCpp"), BRAIN_PROVIDERS.LLAMA_CPP);
+    assert.equal(normalizeProvider("bard"), null);
+  });
+});
+
+describe("generateWithBrain — request translation", () => {
+  it("ollama: prompt goes to /api/generate with unified options", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "POST http://ollama:11434/api/generate": () => jsonResponse({ response: "hi", eval_count: 3 }),
+    });
+    const r = await generateWithBrain(ollama, { prompt: "ping", stop: "\n", json: true }, { fetchImpl });
+    assert.deepEqual([r.ok, r.content, r.tokens, r.provider], [true, "hi", 3, "ollama"]);
+    assert.equal(calls[0].body.prompt, "ping");
+    assert.equal(calls[0].body.format, "json");
+    assert.deepEqual(calls[0].body.options, { temperature: 0.7, num_predict: 100, stop: ["\n"] });
+  });
+
+  it("ollama: messages go to /api/chat", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "POST http://ollama:11434/api/chat": () => jsonResponse({ message: { content: "hello" } }),
+    });
+    const r = await generateWithBrain(ollama, { system: "be brief", messages: [{ role: "user", content: "hi" }] }, { fetchImpl });
+    assert.equal(r.content, "hello");
+    assert.deepEqual(calls[0].body.messages.map((m) => m.role), ["system", "user"]);
+  });
+
+  it("openai-compatible: chat completions with bearer auth and JSON mode", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "POST http://gw:4000/v1/chat/completions": () => jsonResponse({
+        choices: [{ message: { content: "{\"a\":1}" } }], usage: { completion_tokens: 5 },
+      }),
+    });
+    const r = await generateWithBrain(gateway, { prompt: "q", json: true, maxTokens: 20 }, { fetchImpl });
+    assert.deepEqual([r.ok, r.content, r.tokens], [true, "{\"a\":1}", 5]);
+    assert.equal(calls[0].headers.Authorization, "Bearer sk-1");
+    assert.deepEqual(calls[0].body.response_format, { type: "json_object" });
+    assert.equal(calls[0].body.max_tokens, 20);
+    assert.deepEqual(calls[0].body.messages, [{ role: "user", content: "q" }]);
+  });
+
+  it("llama.cpp: prompt goes to /completion, messages to its OpenAI endpoint", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "POST http://llama:8080/completion": () => jsonResponse({ content: "done", tokens_predicted: 2 }),
+      "POST http://llama:8080/v1/chat/completions": () => jsonResponse({ choices: [{ message: { content: "chat" } }] }),
+    });
+    const r = await generateWithBrain(llama, { prompt: "p", system: "s", json: true, stop: ["</s>"] }, { fetchImpl });
+    assert.deepEqual([r.content, r.tokens], ["done", 2]);
+    assert.equal(calls[0].body.prompt, "s\n\np");
+    assert.equal(calls[0].body.n_predict, 50);
+    assert.deepEqual(calls[0].body.json_schema, {});
+    assert.deepEqual(calls[0].body.stop, ["</s>"]);
+
+    const chat = await generateWithBrain(llama, { messages: [{ role: "user", content: "x" }] }, { fetchImpl });
+    assert.equal(chat.content, "chat");
+  });
+
+  it("resolves brains by name from BRAIN_CONFIG", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "POST http://gateway:4000/v1/chat/completions": () => jsonResponse({ choices: [{ message: { content: "ok" } }] }),
+    });
+    const r = await generateWithBrain("repair", { prompt: "check" }, { fetchImpl });
+    assert.equal(r.ok, true);
+    assert.equal(calls[0].headers.Authorization, "Bearer sk-test");
+    assert.equal((await generateWithBrain("cerebellum", {})).error, "unknown_brain: cerebellum");
+    assert.equal((await generateWithBrain({ ...ollama, provider: "bard" }, {})).error, "unknown_provider: bard");
+  });
+});
+
+// ── Circuit breakers ────────────────────────────────────────────────────────
+
+describe("generateWithBrain — circuit breakers", () => {
+  it("opens after repeated 5xx and fails fast without calling the backend", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "POST http://llama:8080/completion": () => jsonResponse({}, 500),
+    });
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await generateWithBrain(llama, { prompt: "p" }, { fetchImpl })).error, "brain_http_500");
+    }
+    const r = await generateWithBrain(llama, { prompt: "p" }, { fetchImpl });
+    assert.equal(r.circuitOpen, true);
+    assert.equal(calls.length, 5);
+    assert.equal(getBackendStatus()["llama.cpp|http://llama:8080"].state, "open");
+
+    // Another backend is unaffected
+    const other = fakeFetch({ "POST http://ollama:11434/api/generate": () => jsonResponse({ response: "fine" }) });
+    assert.equal((await generateWithBrain(ollama, { prompt: "p" }, { fetchImpl: other.fetchImpl })).ok, true);
+  });
+
+  it("does not count 4xx responses or caller aborts", async () => {
+    const { fetchImpl } = fakeFetch({
+      "POST http://ollama:11434/api/generate": () => jsonResponse({ error: "model not found" }, 404),
+    });
+    for (let i = 0; i < 6; i++) {
+      assert.equal((await generateWithBrain(ollama, { prompt: "p" }, { fetchImpl })).status, 404);
+    }
+
+    const hang = async (_url, init) => new Promise((_resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+    });
+    const ac = new AbortController();
+    const pending = generateWithBrain(ollama, { prompt: "p", signal: ac.signal }, { fetchImpl: hang });
+    ac.abort();
+    assert.equal((await pending).aborted, true);
+    assert.equal(getBackendStatus()["ollama|http://ollama:11434"].failures, 0);
+  });
+
+  it("reports timeouts as failures", async () => {
+    const hang = async (_url, init) => new Promise((_resolve, reject) => {
+      init.signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+    });
+    const r = await generateWithBrain({ ...ollama, timeout: 20 }, { prompt: "p" }, { fetchImpl: hang });
+    assert.equal(r.error, "timeout");
+    assert.equal(getBackendStatus()["ollama|http://ollama:11434"].failures, 1);
+  });
+});
+
+// ── Health probes ───────────────────────────────────────────────────────────
+
+describe("probeBrain", () => {
+  it("checks model presence on Ollama and OpenAI-compatible backends", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      "http://ollama:11434/api/tags": () => jsonResponse({ models: [{ name: "qwen2.5:7b" }] }),
+      "http://gw:4000/v1/models": () => jsonResponse({ data: [{ id: "other" }] }),
+    });
+    const o = await probeBrain(ollama, { fetchImpl });
+    assert.deepEqual([o.ok, o.modelPresent, o.provider, o.breaker], [true, true, "ollama", "closed"]);
+    const g = await probeBrain(gateway, { fetchImpl });
+    assert.deepEqual([g.ok, g.modelPresent], [true, false]);
+    assert.equal(calls[1].headers.Authorization, "Bearer sk-1");
+  });
+
+  it("treats a loading llama.cpp server and an unreachable host as down", async () => {
+    const { fetchImpl } = fakeFetch({ "http://llama:8080/health": () => jsonResponse({}, 503) });
+    assert.equal((await probeBrain(llama, { fetchImpl })).error, "model_loading");
+    const down = await probeBrain(ollama, { fetchImpl });
+    assert.equal(down.ok, false);
+    assert.match(down.error, /ECONNREFUSED/);
+  });
+});
+
+describe("preloadBrains", () => {
+  it("probes each backend, pulls missing Ollama models and warms local servers", async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      // conscious: model present; subconscious: missing, pulled
+      "GET http://ollama-conscious:11434/api/tags": () => jsonResponse({ models: [{ name: "qwen2.5:7b" }] }),
+      "POST http://ollama-conscious:11434/api/generate": () => jsonResponse({ response: "p" }),
+      "GET http://ollama-subconscious:11434/api/tags": () => jsonResponse({ models: [] }),
+      "POST http://ollama-subconscious:11434/api/pull": () => jsonResponse({ status: "success" }),
+      "POST http://ollama-subconscious:11434/api/generate": () => jsonResponse({ response: "p" }),
+      // utility: llama.cpp, healthy
+      "GET http://llama:8080/health": () => jsonResponse({ status: "ok" }),
+      "POST http://llama:8080/completion": () => jsonResponse({ content: "p" }),
+      // repair: gateway that does not serve the configured model
+      "GET http://gateway:4000/v1/models": () => jsonResponse({ data: [{ id: "gpt-other" }] }),
+    });
+    const logs = [];
+    const result = await preloadBrains((level, event) => logs.push(event), { fetchImpl });
+
+    assert.deepEqual(result.loaded, ["conscious", "subconscious", "utility"]);
+    assert.deepEqual(result.failed, ["repair"]);
+    assert.equal(result.health.utility.provider, "llama.cpp");
+    assert.ok(logs.includes("brain_model_missing"));
+    // Hosted gateways are probed but never sent a warm-up generation
+    assert.equal(calls.some((c) => c.url.startsWith("http://gateway:4000/v1/chat")), false);
+    assert.equal(calls.filter((c) => c.url.endsWith("/api/pull")).length, 1);
+  });
+});
@@ -405,6 +405,20 @@ describe('runContextHarvest', () => {
     assert.strictEqual(result.sources.conversationSummary, 'available');
   });
 
+  it('passes ranked sources through, capped to max N', () => {
+    const STATE = { sessions: new Map(), shadowDtus: new Map() };
+    const items = Array.from({ length: 30 }, (_, i) => ({ dtu: { id: `hit_${i}`, tags: [] }, score: 1 - i / 30 }));
+    const result = runContextHarvest(STATE, {
+      sessionId: 's1',
+      prompt: 'test',
+      rankedSources: [{ name: 'hybrid', items }, null],
+    });
+    assert.strictEqual(result.rankedSources.length, 1);
+    const expected = Math.min(items.length, result.maxWorkingSet);
+    assert.strictEqual(result.rankedSources[0].items.length, expected);
+    assert.deepStrictEqual(result.sources.rankedSources, { hybrid: expected });
+  });
+
   it('marks summary as empty when not available', () => {
     const STATE = { sessions: new Map(), shadowDtus: new Map() };
     const result = runContextHarvest(STATE, { sessionId: 's1', prompt: 'test' });
@@ -11,6 +11,7 @@ import {
   runParallelBrains,
   recordParallelMetrics,
   getParallelBrainMetrics,
+  runAfterStream,
 } from '../lib/chat-parallel-brains.js';
 
 // ── Helper ────────────────────────────────────────────────────────────────────
@@ -399,6 +400,37 @@ describe('runParallelBrains', () => {
   });
 });
 
+// ── runAfterStream tests ────────────────────────────────────────────────────
+
+describe('runAfterStream', () => {
+  afterEach(restoreFetch);
+
+  it('runs the subconscious pass on an already-streamed response', async () => {
+    mockFetch('User wants reassurance.');
+    const before = getParallelBrainMetrics().metrics.totalRuns;
+
+    const result = await runAfterStream({
+      response: 'Here is the streamed answer.',
+      userMessage: 'Is this right?',
+      conversationSummary: '',
+      entityStateBlock: '',
+      STATE: { shadowDtus: new Map() },
+      sessionId: 's1',
+    });
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.unsaidAnalysis, 'User wants reassurance.');
+    assert.strictEqual(result.response, undefined);
+    assert.strictEqual(getParallelBrainMetrics().metrics.totalRuns, before + 1);
+  });
+
+  it('skips an empty response', async () => {
+    const result = await runAfterStream({ response: '', userMessage: 'Hi', STATE: {}, sessionId: 's1' });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error, 'no_response');
+  });
+});
+
 // ── Metrics tests ───────────────────────────────────────────────────────────
 
 describe('parallelBrainMetrics', () => {
@@ -0,0 +1,243 @@
+// tests/cognition-bus-store.test.js
+// Durable cognition bus: write-through to SQLite, sequence continuity
+// across restarts, durable subscriber cursors, sandboxed replay from disk
+// and segment pruning.
+//
+// Run: node --test tests/cognition-bus-store.test.js
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+
+import { up as migrateCognitionEvents } from "../migrations/040_cognition_event_store.js";
+import {
+  SEGMENT_SIZE, emit, queryEvents, getSnapshot, attachEventStore, detachEventStore, getStoreStats,
+  pruneEventSegments, subscribeDurable, catchUpSubscriber, subscribeReplay, replayFromStore, explainEvent,
+} from "../loaf/cognition-bus.js";
+
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const BUS_URL = new URL("../loaf/cognition-bus.js", import.meta.url).href;
+
+function freshDb() {
+  const db = new Database(":memory:");
+  migrateCognitionEvents(db);
+  return db;
+}
+
+let db;
+
+beforeEach(() => {
+  db = freshDb();
+  attachEventStore(db);
+});
+
+after(() => {
+  detachEventStore();
+});
+
+describe("write-through store", () => {
+  it("refuses an unmigrated database", () => {
+    assert.deepEqual(attachEventStore(new Database(":memory:")), { ok: false, error: "event_store_not_migrated" });
+  });
+
+  it("persists emitted events with their sequence and segment", () => {
+    const e = emit("dtu.create", { id: "d1" }, { actorId: "a1", shard: "s0" });
+    const row = db.prepare("SELECT * FROM cognition_events WHERE seq = ?").get(e.seq);
+    assert.equal(row.type, "dtu.create");
+    assert.equal(row.actor_id, "a1");
+    assert.equal(row.segment, Math.floor((e.seq - 1) / SEGMENT_SIZE));
+    assert.deepEqual(JSON.parse(row.payload_json), { id: "d1" });
+  });
+
+  it("queries and snapshots read from the store", () => {
+    const a = emit("dtu.create", { n: 1 }, { actorId: "q1" });
+    emit("dtu.update", { n: 2 }, { actorId: "q2" });
+    const byActor = queryEvents({ actorId: "q1" });
+    assert.equal(byActor.total, 1);
+    assert.equal(byActor.events[0].seq, a.seq);
+    assert.equal(getSnapshot(a.seq, a.seq + 1).length, 2);
+  });
+
+  it("renumbers events emitted before attach after the stored head", () => {
+    emit("dtu.create", {});
+    const head = getStoreStats().lastSeq;
+    detachEventStore();
+    const early = emit("dtu.create", { early: true });
+    const other = freshDb();
+    other.prepare(`INSERT INTO cognition_events (seq, segment, type, ts, iso_ts) VALUES (?, 0, 'dtu.create', 0, '')`).run(head + 50);
+    const res = attachEventStore(other);
+    assert.equal(res.persistedBacklog, 1);
+    assert.equal(early.seq, head + 51);
+    assert.equal(emit("dtu.create", {}).seq, head + 52);
+  });
+});
+
+describe("restart continuity", () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "cogbus-")); });
+  after(() => { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  function runProcess(dbFile, script) {
+    const code = `
+      import Database from "better-sqlite3";
+      import * as bus from ${JSON.stringify(BUS_URL)};
+      const db = new Database(${JSON.stringify(dbFile)});
+      bus.attachEventStore(db);
+      ${script}
+    `;
+    return execFileSync(process.execPath, ["--input-type=module", "-e", code], {
+      cwd: SERVER_DIR, encoding: "utf-8", timeout: 20000,
+    }).trim();
+  }
+
+  it("continues the sequence and resumes a durable cursor in a new process", () => {
+    const dbFile = path.join(dir, "bus.db");
+    const setup = new Database(dbFile);
+    migrateCognitionEvents(setup);
+    setup.close();
+
+    // First process: consumer handles two events, then "crashes" on the third
+    const first = runProcess(dbFile, `
+      const seen = [];
+      bus.subscribeDurable("indexer", "dtu.create", (e) => {
+        if (e.payload.n === 3) throw new Error("crash");
+        seen.push(e.payload.n);
+      });
+      for (let n = 1; n <= 4; n++) bus.emit("dtu.create", { n });
+      console.log(JSON.stringify({ seen, head: bus.getStoreStats().lastSeq }));
+    `);
+    const r1 = JSON.parse(first);
+    assert.deepEqual(r1.seen, [1, 2]);
+    assert.equal(r1.head, 4);
+
+    // Second process: sequence continues, consumer resumes at the failed event
+    const second = runProcess(dbFile, `
+      const seen = [];
+      const sub = bus.subscribeDurable("indexer", "dtu.create", (e) => { seen.push(e.payload.n); });
+      const next = bus.emit("dtu.create", { n: 5 });
+      console.log(JSON.stringify({ seen, replayed: sub.delivered, nextSeq: next.seq }));
+    `);
+    const r2 = JSON.parse(second);
+    assert.equal(r2.nextSeq, 5);
+    assert.equal(r2.replayed, 2);
+    assert.deepEqual(r2.seen, [3, 4, 5]);
+  });
+
+  it("replays from disk through the CLI", () => {
+    const dbFile = path.join(dir, "bus.db");
+    const out = execFileSync(process.execPath, ["scripts/replay-cognition.js", "--from", "2", "--to", "4", "--seed", "s1"], {
+      cwd: SERVER_DIR, encoding: "utf-8", timeout: 20000, env: { ...process.env, DB_PATH: dbFile },
+    });
+    const result = JSON.parse(out);
+    assert.equal(result.ok, true);
+    assert.equal(result.source, "store");
+    assert.deepEqual(result.decisions.map((d) => d.seq), [2, 3, 4]);
+  });
+});
+
+describe("durable subscriptions", () => {
+  it("starts from fromSeq when no cursor is stored and persists the cursor", () => {
+    const first = emit("attention.allocate", { n: 1 });
+    emit("attention.allocate", { n: 2 });
+    const seen = [];
+    const sub = subscribeDurable("alloc-log", "attention.allocate", (e) => seen.push(e.payload.n), { fromSeq: first.seq });
+    assert.equal(sub.ok, true);
+    assert.deepEqual(seen, [1, 2]);
+
+    emit("attention.allocate", { n: 3 });
+    assert.deepEqual(seen, [1, 2, 3]);
+    const stored = db.prepare("SELECT last_seq FROM cognition_bus_cursors WHERE subscriber_id = 'alloc-log'").get();
+    assert.equal(stored.last_seq, sub.cursor + 1);
+    sub.unsubscribe();
+  });
+
+  it("holds a failing subscriber until it is caught up", () => {
+    let failing = true;
+    const seen = [];
+    const sub = subscribeDurable("flaky", "learning.update", (e) => {
+      if (failing) throw new Error("down");
+      seen.push(e.payload.n);
+    });
+    emit("learning.update", { n: 1 });
+    emit("learning.update", { n: 2 });
+    assert.deepEqual(seen, []);
+    assert.equal(catchUpSubscriber("flaky").ok, false);
+
+    failing = false;
+    const res = catchUpSubscriber("flaky");
+    assert.equal(res.ok, true);
+    assert.equal(res.delivered, 2);
+    emit("learning.update", { n: 3 });
+    assert.deepEqual(seen, [1, 2, 3]);
+    sub.unsubscribe();
+  });
+});
+
+describe("sandboxed replay", () => {
+  it("reproduces the same decisions and state for the same seed", () => {
+    const unsubscribe = subscribeReplay("transfer.execute", (event, { state, random }) => {
+      state.balance = (state.balance || 0) + event.payload.amount;
+      return { roll: random() };
+    });
+    const start = emit("transfer.execute", { amount: 5 }).seq;
+    emit("transfer.execute", { amount: 7 });
+    const live = { balance: 100 };
+
+    const a = replayFromStore({ fromSeq: start, seed: "x", baseState: live });
+    const b = replayFromStore({ fromSeq: start, seed: "x", baseState: live });
+    unsubscribe();
+
+    assert.equal(a.totalReplayed, 2);
+    assert.equal(a.state.balance, 112);
+    assert.equal(live.balance, 100, "live state untouched");
+    assert.deepEqual(a.decisions.map((d) => d.effects), b.decisions.map((d) => d.effects));
+  });
+
+  it("explains a single decision with state before and after", () => {
+    const unsubscribe = subscribeReplay("transfer.execute", (event, { state }) => {
+      state.count = (state.count || 0) + 1;
+      return { count: state.count };
+    });
+    const start = emit("transfer.execute", { amount: 1 }).seq;
+    const target = emit("transfer.execute", { amount: 2 }).seq;
+    const out = explainEvent(target, { fromSeq: start });
+    unsubscribe();
+
+    assert.equal(out.ok, true);
+    assert.equal(out.precedingEvents, 1);
+    assert.deepEqual(out.stateBefore, { count: 1 });
+    assert.deepEqual(out.stateAfter, { count: 2 });
+    assert.deepEqual(out.decision.effects, [{ count: 2 }]);
+    assert.equal(explainEvent(target + 100).error, "event_not_found");
+  });
+});
+
+describe("segment pruning", () => {
+  it("keeps segments a durable subscriber has not processed", () => {
+    const head = getStoreStats().lastSeq || 0;
+    db.prepare(`INSERT INTO cognition_events (seq, segment, type, ts, iso_ts) VALUES (?, ?, 'dtu.create', 0, '')`)
+      .run(head + 3 * SEGMENT_SIZE, Math.floor((head + 3 * SEGMENT_SIZE - 1) / SEGMENT_SIZE));
+    attachEventStore(db);
+    for (let i = 0; i < 3; i++) {
+      const seq = head + 1 + i * SEGMENT_SIZE;
+      db.prepare(`INSERT INTO cognition_events (seq, segment, type, ts, iso_ts) VALUES (?, ?, 'dtu.create', 0, '')`)
+        .run(seq, Math.floor((seq - 1) / SEGMENT_SIZE));
+    }
+    db.prepare("INSERT INTO cognition_bus_cursors (subscriber_id, event_type, last_seq) VALUES ('slow', '*', ?)").run(head + SEGMENT_SIZE + 1);
+
+    const res = pruneEventSegments({ keepSegments: 1 });
+    assert.equal(res.ok, true);
+    assert.equal(res.keptFromSegment, Math.floor((head + SEGMENT_SIZE + 1) / SEGMENT_SIZE));
+    assert.ok(db.prepare("SELECT 1 FROM cognition_events WHERE seq = ?").get(head + SEGMENT_SIZE + 1));
+
+    db.prepare("DELETE FROM cognition_bus_cursors").run();
+    const all = pruneEventSegments({ keepSegments: 1 });
+    assert.ok(all.deleted >= 1);
+    assert.equal(getStoreStats().firstSegment, Math.floor((head + 3 * SEGMENT_SIZE - 1) / SEGMENT_SIZE));
+  });
+});
@@ -0,0 +1,310 @@
+// tests/crdt-collab.test.js
+// CRDT collaborative editing of DTU human/core layers: convergence under
+// concurrent and out-of-order delivery, idempotent updates, offline edits
+// merging on reconnect, presence with relative cursors, the lattice
+// interface message router and the governed commit through applyWrite.
+//
+// Run: node --test tests/crdt-collab.test.js
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PRESENCE_TTL_MS, createDoc, insert, remove, replaceField, applyUpdate, getFieldValue, toLayers,
+  encodeStateVector, encodeStateAsUpdate, relativePosition, absolutePosition, openCollabDoc,
+  joinCollabDoc, applyCollabUpdate, updatePresence, listPresence, leaveCollabDoc, getCollabDoc,
+  commitCollabDoc, setCollabCommitHandler,
+} from "../emergent/crdt-collab.js";
+import { COLLAB_MESSAGE_TYPES, routeCollabMessage } from "../emergent/lattice-interface.js";
+import { applyWrite, WRITE_OPS } from "../emergent/atlas-write-guard.js";
+import { initAtlasState } from "../emergent/atlas-epistemic.js";
+
+function syncPair(a, b) {
+  applyUpdate(b, encodeStateAsUpdate(a, encodeStateVector(b)));
+  applyUpdate(a, encodeStateAsUpdate(b, encodeStateVector(a)));
+}
+
+describe("sequence CRDT", () => {
+  it("converges on concurrent text edits", () => {
+    const a = createDoc({ clientId: 1 });
+    const b = createDoc({ clientId: 2 });
+    insert(a, "human.summary", 0, "hello world");
+    syncPair(a, b);
+
+    insert(a, "human.summary", 5, ",");
+    insert(b, "human.summary", 11, "!");
+    remove(b, "human.summary", 0, 1);
+    insert(b, "human.summary", 0, "H");
+    syncPair(a, b);
+
+    assert.equal(getFieldValue(a, "human.summary"), "Hello, world!");
+    assert.equal(getFieldValue(b, "human.summary"), getFieldValue(a, "human.summary"));
+  });
+
+  it("orders concurrent inserts at the same spot identically everywhere", () => {
+    const docs = [1, 2, 3].map(clientId => createDoc({ clientId }));
+    const updates = docs.map((d, i) => insert(d, "human.bullets", 0, [`from ${i}`]));
+    for (const d of docs) for (const u of [...updates].reverse()) applyUpdate(d, u);
+    const values = docs.map(d => JSON.stringify(getFieldValue(d, "human.bullets")));
+    assert.equal(new Set(values).size, 1);
+    assert.equal(getFieldValue(docs[0], "human.bullets").length, 3);
+  });
+
+  it("is idempotent and tolerates out-of-order delivery", () => {
+    const a = createDoc({ clientId: 1 });
+    const u1 = insert(a, "human.summary", 0, "ab");
+    const u2 = insert(a, "human.summary", 2, "cd");
+    const u3 = remove(a, "human.summary", 1, 2);
+
+    const b = createDoc({ clientId: 2 });
+    assert.equal(applyUpdate(b, u3).pending, 0);
+    assert.equal(applyUpdate(b, u2).pending, 2, "waits for its origin");
+    applyUpdate(b, u1);
+    applyUpdate(b, u1);
+    applyUpdate(b, u2);
+    assert.equal(getFieldValue(b, "human.summary"), "ad");
+    assert.deepEqual(encodeStateVector(b), encodeStateVector(a));
+  });
+
+  it("encodes typed text as runs and only sends what is missing", () => {
+    const a = createDoc({ clientId: 7 });
+    const first = insert(a, "human.summary", 0, "abcdef");
+    assert.equal(first.structs.length, 1);
+    assert.equal(first.structs[0].length, 6);
+    insert(a, "core.invariants", 0, ["x", "y"]);
+    const diff = encodeStateAsUpdate(a, { 7: 6 });
+    assert.deepEqual(diff.structs.map(s => s.content), ["x", "y"]);
+    assert.equal(applyUpdate(createDoc(), { v: 99 }).error, "unsupported_update_version");
+  });
+
+  it("merges offline edits from both sides on reconnect", () => {
+    const server = createDoc({ clientId: 10 });
+    insert(server, "core.definitions", 0, ["term: meaning"]);
+    const laptop = createDoc({ clientId: 11 });
+    applyUpdate(laptop, encodeStateAsUpdate(server));
+
+    // Laptop goes offline and keeps editing; the server keeps changing too
+    insert(laptop, "core.definitions", 1, ["offline: added"]);
+    replaceField(laptop, "human.summary", "written on a plane");
+    insert(server, "core.definitions", 0, ["online: added"]);
+
+    // Reconnect: exchange state vectors, then diffs in both directions
+    const toLaptop = encodeStateAsUpdate(server, encodeStateVector(laptop));
+    const toServer = encodeStateAsUpdate(laptop, encodeStateVector(server));
+    applyUpdate(laptop, toLaptop);
+    applyUpdate(server, toServer);
+
+    assert.deepEqual(toLayers(server), toLayers(laptop));
+    assert.deepEqual(getFieldValue(server, "core.definitions"), ["online: added", "term: meaning", "offline: added"]);
+    assert.equal(getFieldValue(server, "human.summary"), "written on a plane");
+  });
+
+  it("keeps cursors anchored through concurrent edits", () => {
+    const a = createDoc({ clientId: 1 });
+    insert(a, "human.summary", 0, "world");
+    const cursor = relativePosition(a, "human.summary", 2);
+    insert(a, "human.summary", 0, "hello ");
+    assert.equal(absolutePosition(a, cursor), 8);
+    assert.equal(absolutePosition(a, relativePosition(a, "human.summary", 99)), 11);
+  });
+});
+
+// ── Sessions, presence and commit ───────────────────────────────────────────
+
+function freshState() {
+  const STATE = { dtus: new Map() };
+  initAtlasState(STATE);
+  return STATE;
+}
+
+function createAtlasDtu(STATE) {
+  const created = applyWrite(STATE, WRITE_OPS.CREATE, {
+    title: "Collaborative DTU",
+    domainType: "empirical.physics",
+    epistemicClass: "EMPIRICAL",
+    tags: ["collab"],
+    claims: [{
+      text: "A valid factual claim for testing",
+      claimType: "FACT",
+      sources: [{ title: "Source", url: "https://example.com/source", sourceTier: "SCHOLARLY" }],
+    }],
+    author: { userId: "alice", display: "Alice", isSystem: false },
+    human: { summary: "Draft", bullets: ["one"] },
+    core: { definitions: [], invariants: [], claims: [], examples: [], nextActions: [], notes: "keep me" },
+  }, { scope: "local" });
+  assert.equal(created.ok, true);
+  created.dtu.human = { summary: "Draft", bullets: ["one"] };
+  created.dtu.core = { definitions: [], invariants: [], claims: [], examples: [], nextActions: [], notes: "keep me" };
+  return created.dtu;
+}
+
+describe("collab sessions", () => {
+  let STATE;
+  let dtu;
+  beforeEach(() => {
+    STATE = freshState();
+    dtu = createAtlasDtu(STATE);
+  });
+
+  it("seeds identical documents for the same DTU state", () => {
+    const first = joinCollabDoc(STATE, dtu.id, { connectionId: "c1" });
+    const other = freshState();
+    other.dtus.set(dtu.id, { id: dtu.id, human: dtu.human, core: dtu.core });
+    const second = joinCollabDoc(other, dtu.id, { connectionId: "c1" });
+    assert.equal(first.docId, second.docId);
+    assert.deepEqual(first.update, second.update);
+    assert.equal(openCollabDoc(STATE, "missing").error, "dtu_not_found");
+  });
+
+  it("syncs a replica, relays its edits and flags a stale base", () => {
+    const join = joinCollabDoc(STATE, dtu.id, { connectionId: "c1", userId: "alice" });
+    const replica = createDoc();
+    applyUpdate(replica, join.update);
+    assert.equal(getFieldValue(replica, "human.summary"), "Draft");
+
+    const edit = insert(replica, "human.summary", 5, " v2");
+    const res = applyCollabUpdate(STATE, dtu.id, edit, { docId: join.docId });
+    assert.equal(res.applied, 3);
+    assert.equal(getCollabDoc(STATE, dtu.id).layers.human.summary, "Draft v2");
+    assert.equal(applyCollabUpdate(STATE, dtu.id, edit, { docId: "other:base" }).error, "stale_base");
+    assert.equal(joinCollabDoc(STATE, dtu.id, { connectionId: "c2", docId: "other:base" }).stale, true);
+  });
+
+  it("tracks presence with a TTL and closes idle, committed sessions", () => {
+    joinCollabDoc(STATE, dtu.id, { connectionId: "c1", userId: "alice" });
+    joinCollabDoc(STATE, dtu.id, { connectionId: "c2", userId: "bob" });
+    const moved = updatePresence(STATE, dtu.id, "c2", { cursor: { field: "human.summary", index: 3 } });
+    assert.equal(moved.presence.cursor.index, 3);
+    assert.equal(updatePresence(STATE, dtu.id, "nobody", {}).error, "not_joined");
+
+    const later = Date.now() + PRESENCE_TTL_MS + 1000;
+    updatePresence(STATE, dtu.id, "c1", {});
+    assert.equal(listPresence(STATE, dtu.id).length, 2);
+    assert.equal(listPresence(STATE, dtu.id, { now: later }).length, 0);
+
+    joinCollabDoc(STATE, dtu.id, { connectionId: "c3" });
+    assert.equal(leaveCollabDoc(STATE, dtu.id, "c3").closed, true);
+  });
+
+  it("keeps sessions with uncommitted edits open after everyone leaves", () => {
+    const join = joinCollabDoc(STATE, dtu.id, { connectionId: "c1" });
+    const replica = createDoc();
+    applyUpdate(replica, join.update);
+    applyCollabUpdate(STATE, dtu.id, remove(replica, "human.bullets", 0, 1));
+    assert.equal(leaveCollabDoc(STATE, dtu.id, "c1").closed, false);
+    assert.equal(getCollabDoc(STATE, dtu.id).uncommitted, true);
+  });
+
+  it("commits merged layers through the write guard", () => {
+    const join = joinCollabDoc(STATE, dtu.id, { connectionId: "c1", userId: "alice" });
+    const replica = createDoc();
+    applyUpdate(replica, join.update);
+    applyCollabUpdate(STATE, dtu.id, insert(replica, "core.invariants", 0, ["energy is conserved"]));
+
+    const committed = commitCollabDoc(STATE, dtu.id, { actor: "alice", scope: "local" });
+    assert.equal(committed.ok, true);
+    assert.deepEqual(committed.dtu.core.invariants, ["energy is conserved"]);
+    assert.equal(committed.dtu.core.notes, "keep me");
+    assert.equal(committed.dtu.human.summary, "Draft");
+    assert.equal(getCollabDoc(STATE, dtu.id).uncommitted, false);
+  });
+
+  it("hands committed layers to the lattice commit handler", () => {
+    STATE.dtus.set(dtu.id, { id: dtu.id, human: dtu.human, core: dtu.core, _version: 4 });
+    const calls = [];
+    setCollabCommitHandler((change) => {
+      calls.push(change);
+      return calls.length === 1 ? { ok: false, error: "disk_full" } : { ok: true, dtu: { id: change.dtuId, _version: 5 } };
+    });
+    try {
+      const join = joinCollabDoc(STATE, dtu.id, { connectionId: "c1", userId: "alice" });
+      const replica = createDoc();
+      applyUpdate(replica, join.update);
+      applyCollabUpdate(STATE, dtu.id, insert(replica, "human.bullets", 1, ["two"]));
+
+      assert.equal(commitCollabDoc(STATE, dtu.id, { actor: "alice", userId: "alice" }).error, "disk_full");
+      assert.equal(getCollabDoc(STATE, dtu.id).uncommitted, true);
+
+      const committed = commitCollabDoc(STATE, dtu.id, { actor: "alice", userId: "alice" });
+      assert.equal(committed.version, 5);
+      assert.deepEqual(calls[1].human.bullets, ["one", "two"]);
+      assert.equal(calls[1].core.notes, "keep me");
+      assert.equal(calls[1].userId, "alice");
+    } finally {
+      setCollabCommitHandler(null);
+    }
+  });
+
+  it("bumps the lattice version without a handler", () => {
+    STATE.dtus.set(dtu.id, { id: dtu.id, human: dtu.human, core: dtu.core, _version: 2 });
+    joinCollabDoc(STATE, dtu.id, { connectionId: "c1" });
+    assert.equal(commitCollabDoc(STATE, dtu.id, { actor: "alice" }).version, 3);
+  });
+
+  it("keeps the layers out of ordinary write guard updates", () => {
+    const res = applyWrite(STATE, WRITE_OPS.UPDATE, { dtuId: dtu.id, human: { summary: "Hijacked" } }, { scope: "local" });
+    assert.equal(res.ok, true);
+    assert.equal(dtu.human.summary, "Draft");
+  });
+
+  it("surfaces write guard rejections", () => {
+    STATE.dtus.set("lattice_only", { id: "lattice_only", human: { summary: "x" } });
+    joinCollabDoc(STATE, "lattice_only", { connectionId: "c1" });
+    const res = commitCollabDoc(STATE, "lattice_only", { actor: "alice" });
+    assert.equal(res.ok, false);
+    assert.match(res.error, /not found/);
+  });
+});
+
+describe("lattice interface routing", () => {
+  it("routes join, update, awareness, commit and leave", () => {
+    const STATE = freshState();
+    const dtu = createAtlasDtu(STATE);
+    const conn = { connectionId: "sock1", userId: "alice" };
+    const send = (msg, c = conn) => routeCollabMessage(STATE, { dtuId: dtu.id, ...msg }, c);
+
+    const joined = send({ type: COLLAB_MESSAGE_TYPES.JOIN });
+    assert.equal(joined.join, dtu.id);
+    assert.equal(joined.reply.event, "lattice:collab:sync");
+    assert.equal(joined.broadcast.data.action, "join");
+
+    const replica = createDoc();
+    applyUpdate(replica, joined.reply.data.update);
+    const updated = send({ type: COLLAB_MESSAGE_TYPES.UPDATE, docId: joined.reply.data.docId, update: insert(replica, "human.bullets", 1, ["two"]) });
+    assert.equal(updated.broadcast.event, "lattice:collab:update");
+    assert.equal(updated.reply.data.applied, 1);
+
+    const aware = send({ type: COLLAB_MESSAGE_TYPES.AWARENESS, cursor: { field: "human.bullets", index: 1 } });
+    assert.equal(aware.broadcast.data.presence.cursor.index, 1);
+
+    assert.equal(send({ type: COLLAB_MESSAGE_TYPES.COMMIT }, { connectionId: "anon" }).reply.data.error, "authentication_required");
+    const committed = send({ type: COLLAB_MESSAGE_TYPES.COMMIT });
+    assert.equal(committed.reply.event, "lattice:collab:committed");
+    assert.deepEqual(dtu.human.bullets, ["one", "two"]);
+
+    assert.equal(send({ type: COLLAB_MESSAGE_TYPES.LEAVE }).leave, dtu.id);
+    assert.equal(send({ type: "collab:nope" }).reply.data.error, "unknown_message_type");
+  });
+
+  it("lets anonymous connections watch but not edit an open DTU", () => {
+    const STATE = freshState();
+    const dtu = createAtlasDtu(STATE);
+    const anon = { connectionId: "anon", userId: null };
+    const send = (msg) => routeCollabMessage(STATE, { dtuId: dtu.id, ...msg }, anon);
+
+    const joined = send({ type: COLLAB_MESSAGE_TYPES.JOIN });
+    assert.equal(joined.ok, true);
+
+    const replica = createDoc();
+    applyUpdate(replica, joined.reply.data.update);
+    const rejected = send({ type: COLLAB_MESSAGE_TYPES.UPDATE, docId: joined.reply.data.docId, update: insert(replica, "human.bullets", 1, ["spam"]) });
+    assert.equal(rejected.ok, false);
+    assert.equal(rejected.reply.data.error, "authentication_required");
+    assert.equal(rejected.broadcast, undefined);
+    assert.deepEqual(getCollabDoc(STATE, dtu.id).layers.human.bullets, ["one"]);
+    assert.equal(getCollabDoc(STATE, dtu.id).uncommitted, false);
+
+    assert.equal(send({ type: COLLAB_MESSAGE_TYPES.COMMIT }).reply.data.error, "authentication_required");
+    assert.deepEqual(dtu.human.bullets, ["one"]);
+  });
+});
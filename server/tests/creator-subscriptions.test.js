@@ -0,0 +1,434 @@
+// tests/creator-subscriptions.test.js
+// Creator subscriptions: plans, charges with fee split and royalties,
+// renewals with grace periods, cancellation/proration and download rights
+// for new releases.
+//
+// Run: node --test tests/creator-subscriptions.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+import express from "express";
+
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migrateCreative } from "../migrations/014_creative_marketplace.js";
+import { up as migrateFilm } from "../migrations/021_film_studio.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { up as migrateSubscriptions } from "../migrations/033_creator_subscriptions.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { getBalance } from "../economy/balances.js";
+import { registerCitation } from "../economy/royalty-cascade.js";
+import { checkDownloadRights } from "../economy/storage.js";
+import { publishArtifact, purchaseArtifact } from "../economy/creative-marketplace.js";
+import { createFilmDTU } from "../economy/film-studio.js";
+import {
+  addPeriod,
+  createSubscriptionPlan,
+  archiveSubscriptionPlan,
+  listCreatorPlans,
+  subscribe,
+  cancelSubscription,
+  resumeSubscription,
+  changeSubscriptionPlan,
+  getSubscription,
+  processSubscriptionRenewals,
+  grantReleaseToSubscribers,
+} from "../economy/creator-subscriptions.js";
+import createCreativeMarketplaceRouter from "../routes/creative-marketplace.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE audit_log (
+      id TEXT PRIMARY KEY, timestamp TEXT, category TEXT, action TEXT, user_id TEXT,
+      ip_address TEXT, user_agent TEXT, request_id TEXT, path TEXT, method TEXT,
+      status_code TEXT, details TEXT
+    );
+
+    CREATE TABLE users (
+      id TEXT PRIMARY KEY, username TEXT, declared_regional TEXT, declared_national TEXT
+    );
+  `);
+  migrateEconomic(db);
+  migrateCreative(db);
+  migrateFilm(db);
+  migrateBalances(db);
+  migrateSubscriptions(db);
+  return db;
+}
+
+function fund(db, userId, amount) {
+  return recordTransaction(db, { type: "TOKEN_PURCHASE", to: userId, amount, net: amount });
+}
+
+function publish(db, { creatorId = "creator", type = "beat", title = "New Beat" } = {}) {
+  return publishArtifact(db, {
+    creatorId, type, title,
+    filePath: `/uploads/${title}.wav`, fileSize: 1024, fileHash: `hash_${title}`, price: 20,
+  });
+}
+
+// Far enough ahead that rights granted in these periods are still unexpired
+// when checkDownloadRights compares against the real clock.
+const START = "2030-01-31T12:00:00Z";
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("addPeriod", () => {
+  it("clamps month-based periods to the end of shorter months", () => {
+    assert.equal(addPeriod("2026-01-31 12:00:00.000", "month"), "2026-02-28 12:00:00.000");
+    assert.equal(addPeriod("2026-01-31 12:00:00.000", "quarter"), "2026-04-30 12:00:00.000");
+    assert.equal(addPeriod("2026-01-31 12:00:00.000", "week"), "2026-02-07 12:00:00.000");
+  });
+});
+
+describe("subscription plans", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("validates price, period, types and tiers", () => {
+    assert.equal(createSubscriptionPlan(db, { creatorId: "creator", title: "T", price: 0 }).error, "invalid_price");
+    assert.equal(createSubscriptionPlan(db, { creatorId: "creator", title: "T", price: 5, period: "day" }).error, "invalid_period");
+    assert.equal(createSubscriptionPlan(db, { creatorId: "creator", title: "T", price: 5, includedTypes: ["nope"] }).error, "invalid_artifact_type");
+    assert.equal(createSubscriptionPlan(db, { creatorId: "creator", title: "T", price: 5, includedTiers: ["galactic"] }).error, "invalid_federation_tier");
+  });
+
+  it("lists active plans and hides archived ones", () => {
+    const a = createSubscriptionPlan(db, { creatorId: "creator", title: "Basic", price: 5 });
+    createSubscriptionPlan(db, { creatorId: "creator", title: "Pro", price: 15, includedTypes: ["beat"] });
+    assert.equal(archiveSubscriptionPlan(db, { planId: a.plan.id, creatorId: "someone" }).error, "not_plan_creator");
+    assert.equal(archiveSubscriptionPlan(db, { planId: a.plan.id, creatorId: "creator" }).ok, true);
+
+    assert.deepEqual(listCreatorPlans(db, "creator").plans.map((p) => p.title), ["Pro"]);
+    assert.equal(listCreatorPlans(db, "creator", { includeArchived: true }).plans.length, 2);
+  });
+});
+
+describe("subscribe", () => {
+  let db, plan;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "fan", 100);
+    plan = createSubscriptionPlan(db, { creatorId: "creator", title: "Monthly", price: 10 }).plan;
+  });
+  afterEach(() => { db.close(); });
+
+  it("charges the first period through the ledger", () => {
+    const result = subscribe(db, { planId: plan.id, subscriberId: "fan", now: START });
+    assert.equal(result.ok, true);
+    assert.equal(result.subscription.status, "active");
+    assert.equal(result.subscription.currentPeriodEnd, "2030-02-28 12:00:00.000");
+    assert.equal(result.charge.fee, 0.55); // 5.46% of 10
+    assert.equal(getBalance(db, "fan").balance, 90);
+
+    const row = db.prepare("SELECT * FROM economy_ledger WHERE ref_id = ?").get(result.charge.refId);
+    assert.equal(row.type, "SUBSCRIPTION");
+    assert.ok(db.prepare("SELECT COUNT(*) as c FROM fee_distributions").get().c > 0);
+  });
+
+  it("rejects self-subscription, duplicates and insufficient balance", () => {
+    assert.equal(subscribe(db, { planId: plan.id, subscriberId: "creator" }).error, "cannot_subscribe_to_self");
+    assert.equal(subscribe(db, { planId: plan.id, subscriberId: "fan" }).ok, true);
+    assert.equal(subscribe(db, { planId: plan.id, subscriberId: "fan" }).error, "already_subscribed");
+
+    const broke = subscribe(db, { planId: plan.id, subscriberId: "broke" });
+    assert.equal(broke.error, "insufficient_balance");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM creator_subscriptions WHERE subscriber_id = 'broke'").get().c, 0);
+  });
+
+  it("pays royalties to ancestors of the plan's content", () => {
+    registerCitation(db, { childId: plan.id, parentId: "original_work", creatorId: "creator", parentCreatorId: "mentor", generation: 1 });
+    const result = subscribe(db, { planId: plan.id, subscriberId: "fan" });
+    assert.ok(result.charge.royalties > 0);
+    const payout = db.prepare("SELECT * FROM royalty_payouts WHERE recipient_id = 'mentor'").get();
+    assert.equal(payout.amount, result.charge.royalties);
+  });
+});
+
+describe("processSubscriptionRenewals", () => {
+  let db, plan;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "fan", 15);
+    plan = createSubscriptionPlan(db, { creatorId: "creator", title: "Monthly", price: 10, graceDays: 3 }).plan;
+  });
+  afterEach(() => { db.close(); });
+
+  it("renews a due subscription from the end of the old period", () => {
+    fund(db, "fan", 10);
+    const { subscription } = subscribe(db, { planId: plan.id, subscriberId: "fan", now: START });
+    const summary = processSubscriptionRenewals(db, { now: "2030-03-01T00:00:00Z" });
+    assert.equal(summary.renewed, 1);
+
+    const sub = getSubscription(db, subscription.id);
+    assert.equal(sub.currentPeriodStart, "2030-02-28 12:00:00.000");
+    assert.equal(sub.currentPeriodEnd, "2030-03-28 12:00:00.000");
+    assert.equal(getBalance(db, "fan").balance, 5);
+  });
+
+  it("moves to past_due with a grace window, keeps access, then expires", () => {
+    const { subscription } = subscribe(db, { planId: plan.id, subscriberId: "fan", now: START });
+    const artifact = publish(db).artifact;
+    assert.equal(checkDownloadRights(db, artifact.id, "fan").via, "subscription");
+
+    let summary = processSubscriptionRenewals(db, { now: "2030-03-01T00:00:00Z" });
+    assert.equal(summary.pastDue, 1);
+    let sub = getSubscription(db, subscription.id);
+    assert.equal(sub.status, "past_due");
+    assert.equal(sub.graceUntil, "2030-03-03 12:00:00.000");
+    const license = db.prepare("SELECT expires_at FROM creative_usage_licenses WHERE purchase_id = ?").get(subscription.id);
+    assert.equal(license.expires_at, "2030-03-03 12:00:00.000");
+
+    summary = processSubscriptionRenewals(db, { now: "2030-03-04T00:00:00Z" });
+    assert.equal(summary.expired, 1);
+    sub = getSubscription(db, subscription.id);
+    assert.equal(sub.status, "expired");
+    assert.equal(sub.charges.filter((c) => c.status === "failed").length, 2);
+    assert.equal(checkDownloadRights(db, artifact.id, "fan").allowed, false);
+  });
+
+  it("recovers from past_due when the subscriber tops up within grace", () => {
+    const { subscription } = subscribe(db, { planId: plan.id, subscriberId: "fan", now: START });
+    processSubscriptionRenewals(db, { now: "2030-03-01T00:00:00Z" });
+    fund(db, "fan", 20);
+    const summary = processSubscriptionRenewals(db, { now: "2030-03-02T00:00:00Z" });
+    assert.equal(summary.renewed, 1);
+
+    const sub = getSubscription(db, subscription.id);
+    assert.equal(sub.status, "active");
+    assert.equal(sub.graceUntil, null);
+    assert.equal(sub.currentPeriodEnd, "2030-03-28 12:00:00.000");
+  });
+
+  it("ends subscriptions flagged to cancel or on archived plans without charging", () => {
+    fund(db, "fan2", 50);
+    const a = subscribe(db, { planId: plan.id, subscriberId: "fan", now: START }).subscription;
+    const b = subscribe(db, { planId: plan.id, subscriberId: "fan2", now: START }).subscription;
+    cancelSubscription(db, { subscriptionId: a.id, subscriberId: "fan" });
+    archiveSubscriptionPlan(db, { planId: plan.id, creatorId: "creator" });
+
+    const summary = processSubscriptionRenewals(db, { now: "2030-03-01T00:00:00Z" });
+    assert.equal(summary.cancelled, 1);
+    assert.equal(summary.expired, 1);
+    assert.equal(getSubscription(db, a.id).status, "cancelled");
+    assert.equal(getSubscription(db, b.id).status, "expired");
+    assert.equal(getBalance(db, "fan").balance, 5);
+  });
+});
+
+describe("cancellation and plan changes", () => {
+  let db, basic, pro;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "fan", 100);
+    fund(db, "creator", 100);
+    basic = createSubscriptionPlan(db, { creatorId: "creator", title: "Basic", price: 10 }).plan;
+    pro = createSubscriptionPlan(db, { creatorId: "creator", title: "Pro", price: 30 }).plan;
+  });
+  afterEach(() => { db.close(); });
+
+  it("cancel at period end can be resumed", () => {
+    const { subscription } = subscribe(db, { planId: basic.id, subscriberId: "fan" });
+    const cancel = cancelSubscription(db, { subscriptionId: subscription.id, subscriberId: "fan" });
+    assert.equal(cancel.cancelAtPeriodEnd, true);
+    assert.equal(resumeSubscription(db, { subscriptionId: subscription.id, subscriberId: "fan" }).ok, true);
+    assert.equal(getSubscription(db, subscription.id).cancelAtPeriodEnd, false);
+  });
+
+  it("immediate cancel refunds the unused part of the period and revokes rights", () => {
+    const { subscription } = subscribe(db, { planId: basic.id, subscriberId: "fan", now: "2030-03-01T00:00:00Z" });
+    const artifact = publish(db).artifact;
+
+    // Half of a 31-day March period is left
+    const result = cancelSubscription(db, {
+      subscriptionId: subscription.id, subscriberId: "fan", immediate: true, now: "2030-03-16T12:00:00Z",
+    });
+    assert.equal(result.ok, true);
+    assert.equal(result.refund, 5);
+    const refund = db.prepare("SELECT * FROM economy_ledger WHERE ref_id = ? AND to_user_id = 'fan'").get(result.refundRefId);
+    assert.equal(refund.type, "SUBSCRIPTION_REFUND");
+    assert.equal(refund.net, 5);
+    assert.equal(refund.fee, 0);
+    assert.equal(checkDownloadRights(db, artifact.id, "fan").allowed, false);
+  });
+
+  it("upgrade charges the prorated difference, downgrade credits the next renewal", () => {
+    const { subscription } = subscribe(db, { planId: basic.id, subscriberId: "fan", now: "2030-03-01T00:00:00Z" });
+
+    const up = changeSubscriptionPlan(db, {
+      subscriptionId: subscription.id, subscriberId: "fan", newPlanId: pro.id, now: "2030-03-16T12:00:00Z",
+    });
+    assert.equal(up.ok, true);
+    assert.equal(up.proration.charged, 10);
+    assert.equal(getBalance(db, "fan").balance, 80);
+
+    const down = changeSubscriptionPlan(db, {
+      subscriptionId: subscription.id, subscriberId: "fan", newPlanId: basic.id, now: "2030-03-16T12:00:00Z",
+    });
+    assert.equal(down.proration.credited, 10);
+    assert.equal(down.subscription.creditBalance, 10);
+
+    // Next renewal is fully covered by the credit
+    processSubscriptionRenewals(db, { now: "2030-04-02T00:00:00Z" });
+    const sub = getSubscription(db, subscription.id);
+    assert.equal(sub.status, "active");
+    assert.equal(sub.creditBalance, 0);
+    assert.equal(sub.charges[0].credit_applied, 10);
+    assert.equal(getBalance(db, "fan").balance, 80);
+  });
+
+  it("rejects plans from another creator", () => {
+    const other = createSubscriptionPlan(db, { creatorId: "other", title: "Other", price: 10 }).plan;
+    const { subscription } = subscribe(db, { planId: basic.id, subscriberId: "fan" });
+    assert.equal(
+      changeSubscriptionPlan(db, { subscriptionId: subscription.id, subscriberId: "fan", newPlanId: other.id }).error,
+      "plan_from_different_creator",
+    );
+  });
+});
+
+describe("download rights for new releases", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "fan", 100);
+  });
+  afterEach(() => { db.close(); });
+
+  it("grants matching releases only, expiring with the period", () => {
+    const plan = createSubscriptionPlan(db, { creatorId: "creator", title: "Beats", price: 10, includedTypes: ["beat"] }).plan;
+    const { subscription } = subscribe(db, { planId: plan.id, subscriberId: "fan" });
+
+    const beat = publish(db, { type: "beat", title: "b1" });
+    const image = publish(db, { type: "image", title: "i1" });
+    assert.equal(beat.subscriberGrants, 1);
+    assert.equal(image.subscriberGrants, 0);
+
+    const rights = checkDownloadRights(db, beat.artifact.id, "fan");
+    assert.equal(rights.allowed, true);
+    assert.equal(rights.expiresAt, subscription.currentPeriodEnd);
+    assert.equal(checkDownloadRights(db, image.artifact.id, "fan").allowed, false);
+
+    // Granting again is a no-op
+    assert.equal(grantReleaseToSubscribers(db, beat.artifact.id).granted, 0);
+  });
+
+  it("subscription access does not block buying a permanent license", () => {
+    const plan = createSubscriptionPlan(db, { creatorId: "creator", title: "All", price: 10 }).plan;
+    subscribe(db, { planId: plan.id, subscriberId: "fan" });
+    const beat = publish(db);
+    const purchase = purchaseArtifact(db, { buyerId: "fan", artifactId: beat.artifact.id });
+    assert.equal(purchase.ok, true);
+  });
+
+  it("series plans grant new episodes when they are linked to the series", () => {
+    const seriesArtifact = publish(db, { type: "video", title: "Show" }).artifact;
+    const series = createFilmDTU(db, { artifactId: seriesArtifact.id, creatorId: "creator", filmType: "series" });
+    const plan = createSubscriptionPlan(db, { creatorId: "creator", title: "Show pass", price: 5, seriesDtuId: series.filmDtuId }).plan;
+    subscribe(db, { planId: plan.id, subscriberId: "fan" });
+
+    const episodeArtifact = publish(db, { type: "video", title: "Ep1" });
+    assert.equal(episodeArtifact.subscriberGrants, 0);
+    const episode = createFilmDTU(db, {
+      artifactId: episodeArtifact.artifact.id, creatorId: "creator", filmType: "episode",
+      seriesId: series.filmDtuId, seasonNumber: 1, episodeNumber: 1,
+    });
+    assert.equal(episode.subscriberGrants, 1);
+    assert.equal(checkDownloadRights(db, episodeArtifact.artifact.id, "fan").allowed, true);
+  });
+});
+
+describe("subscription routes", () => {
+  let db, server, base;
+  beforeEach(async () => {
+    db = createTestDb();
+    fund(db, "fan", 100);
+    fund(db, "victim", 100);
+    const app = express();
+    app.use(express.json());
+    // Stand-in for the auth middleware: the signed-in user comes from a header
+    app.use((req, _res, next) => {
+      const id = req.get("x-test-user");
+      if (id) req.user = { id, role: req.get("x-test-role") || "member" };
+      next();
+    });
+    app.use(createCreativeMarketplaceRouter({ db }));
+    await new Promise((resolve) => { server = app.listen(0, "127.0.0.1", resolve); });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterEach(async () => {
+    await new Promise((resolve) => { server.close(resolve); });
+    db.close();
+  });
+
+  async function call(method, path, { user, role, body } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (user) headers["x-test-user"] = user;
+    if (role) headers["x-test-role"] = role;
+    const res = await fetch(`${base}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: res.status, ...(await res.json()) };
+  }
+
+  it("creates plans and subscriptions for the signed-in user, not the body", async () => {
+    const created = await call("POST", "/subscription-plans", {
+      user: "creator", body: { creatorId: "someone_else", title: "Monthly", price: 10 },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.plan.creatorId, "creator");
+
+    const sub = await call("POST", `/subscription-plans/${created.plan.id}/subscribe`, {
+      user: "fan", body: { subscriberId: "victim" },
+    });
+    assert.equal(sub.status, 201);
+    assert.equal(sub.subscription.subscriberId, "fan");
+    assert.equal(getBalance(db, "victim").balance, 100);
+
+    const cancel = await call("POST", `/subscriptions/${sub.subscription.id}/cancel`, {
+      user: "victim", body: { subscriberId: "fan" },
+    });
+    assert.equal(cancel.status, 400);
+    assert.equal(getSubscription(db, sub.subscription.id).status, "active");
+
+    assert.equal((await call("POST", `/subscription-plans/${created.plan.id}/archive`, {
+      user: "fan", body: { creatorId: "creator" },
+    })).status, 400);
+  });
+
+  it("requires a signed-in user for writes", async () => {
+    const plan = createSubscriptionPlan(db, { creatorId: "creator", title: "Monthly", price: 10 }).plan;
+    assert.equal((await call("POST", "/subscription-plans", { body: { creatorId: "creator", title: "T", price: 5 } })).status, 401);
+    assert.equal((await call("POST", `/subscription-plans/${plan.id}/subscribe`, { body: { subscriberId: "victim" } })).status, 401);
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM creator_subscriptions").get().c, 0);
+  });
+
+  it("shows subscriber and subscription lists only to that user or an admin", async () => {
+    const plan = createSubscriptionPlan(db, { creatorId: "creator", title: "Monthly", price: 10 }).plan;
+    subscribe(db, { planId: plan.id, subscriberId: "fan" });
+
+    assert.equal((await call("GET", "/creators/creator/subscribers")).status, 401);
+    assert.equal((await call("GET", "/creators/creator/subscribers", { user: "fan" })).status, 403);
+    assert.equal((await call("GET", "/creators/creator/subscribers", { user: "creator" })).status, 200);
+    assert.equal((await call("GET", "/users/fan/subscriptions", { user: "victim" })).status, 403);
+    assert.equal((await call("GET", "/users/fan/subscriptions", { user: "fan" })).status, 200);
+    assert.equal((await call("GET", "/users/fan/subscriptions", { user: "mod", role: "admin" })).status, 200);
+  });
+});
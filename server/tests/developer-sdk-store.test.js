@@ -0,0 +1,194 @@
+// tests/developer-sdk-store.test.js
+// Developer SDK persistence: plugins, hashed and scoped API keys, webhooks,
+// sandboxes and rate buckets surviving a restart, key expiry, metering through API
+// billing with usage reconciliation, and the plugin audit trail.
+//
+// Run: node --test tests/developer-sdk-store.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import Database from "better-sqlite3";
+
+import { runMigrations } from "../migrate.js";
+import { up as migrateDeveloperSdk } from "../migrations/044_developer_sdk.js";
+import { up as migrateDeveloperSdkWebhooks } from "../migrations/050_developer_sdk_webhooks.js";
+import * as sdk from "../emergent/developer-sdk.js";
+import { configureWebhookDelivery, processWebhookDeliveries, listWebhookEndpoints } from "../lib/webhook-delivery.js";
+
+const { PERMISSIONS } = sdk;
+
+let db;
+let restarts = 0;
+
+// A fresh module instance has empty Maps, like a restarted server
+async function restart() {
+  sdk.detachDeveloperSdkStore();
+  const fresh = await import(`../emergent/developer-sdk.js?restart=${++restarts}`);
+  assert.equal(fresh.attachDeveloperSdkStore(db).ok, true);
+  return fresh;
+}
+
+function activePlugin(permissions = [PERMISSIONS.READ_DTUS, PERMISSIONS.SUBMIT_DTUS], opts = {}) {
+  const reg = sdk.registerPlugin("Indexer", "acme", "Indexes DTUs", permissions, opts);
+  assert.equal(reg.ok, true, reg.error);
+  sdk.activatePlugin(reg.pluginId, { actor: "admin_1" });
+  return reg;
+}
+
+beforeEach(async () => {
+  db = new Database(":memory:");
+  await runMigrations(db);
+  assert.equal(sdk.attachDeveloperSdkStore(db).ok, true);
+});
+
+afterEach(() => {
+  sdk.detachDeveloperSdkStore();
+});
+
+describe("durable store", () => {
+  it("refuses an unmigrated database", () => {
+    assert.equal(sdk.attachDeveloperSdkStore(new Database(":memory:")).error, "developer_sdk_store_not_migrated");
+  });
+
+  it("upgrades a database that applied 044 before webhooks were persisted", () => {
+    const old = new Database(":memory:");
+    migrateDeveloperSdk(old);
+    old.prepare("INSERT INTO sdk_plugins (id, name, version, author, registered_at) VALUES ('plg_old', 'Old', '1.0.0', 'acme', ?)")
+      .run(new Date().toISOString());
+    assert.equal(sdk.attachDeveloperSdkStore(old).error, "developer_sdk_store_not_migrated");
+
+    migrateDeveloperSdkWebhooks(old);
+    migrateDeveloperSdkWebhooks(old);
+    assert.equal(sdk.attachDeveloperSdkStore(old).ok, true);
+    assert.deepEqual(sdk.getPlugin("plg_old").plugin.hooks, []);
+    sdk.detachDeveloperSdkStore();
+    old.close();
+  });
+
+  it("keeps plugins, keys, sandboxes and rate buckets across a restart", async () => {
+    const { pluginId, apiKey } = activePlugin();
+    const sandbox = sdk.createSandbox(pluginId, "testing");
+    for (let i = 0; i < 4; i++) sdk.checkRateLimit(pluginId);
+
+    const row = db.prepare("SELECT key_hash, key_prefix FROM sdk_api_keys WHERE plugin_id = ?").get(pluginId);
+    assert.equal(row.key_hash, crypto.createHash("sha256").update(apiKey).digest("hex"));
+    assert.equal(JSON.stringify(db.prepare("SELECT * FROM sdk_api_keys").all()).includes(apiKey), false);
+
+    const after = await restart();
+    assert.equal(after.getPlugin(pluginId).plugin.status, "active");
+    assert.equal(after.validateApiKey(apiKey).pluginId, pluginId);
+    assert.equal(after.destroySandbox(sandbox.sandboxId).ok, true);
+    assert.ok(after.checkRateLimit(pluginId).remaining <= 6);
+    assert.equal(after.getPluginMetrics(pluginId).usage.totalTracked, 5);
+    after.detachDeveloperSdkStore();
+  });
+
+  it("keeps webhooks, hooks and endpoints across a restart and delivers what was queued", async () => {
+    configureWebhookDelivery({
+      db,
+      fetchImpl: () => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve("ack") }),
+      lookupImpl: () => Promise.resolve([{ address: "93.184.216.34", family: 4 }]),
+    });
+    const { pluginId } = activePlugin([PERMISSIONS.READ_DTUS, PERMISSIONS.SUBSCRIBE_EVENTS]);
+    const { webhookId } = sdk.registerWebhook(pluginId, "https://hooks.example.com/concord", ["dtu.created"]);
+    assert.equal(sdk.queueWebhookDelivery("dtu.created", { id: "dtu_1" }).queued, 1);
+    db.prepare("UPDATE sdk_plugins SET hooks_json = ?, endpoints_json = ? WHERE id = ?")
+      .run(JSON.stringify(["onDTUCreated"]), JSON.stringify(["/plugins/indexer/search"]), pluginId);
+
+    const after = await restart();
+    const { plugin } = after.getPlugin(pluginId);
+    assert.deepEqual(plugin.hooks, ["onDTUCreated"]);
+    assert.deepEqual(plugin.endpoints, ["/plugins/indexer/search"]);
+
+    const run = await processWebhookDeliveries();
+    assert.equal(run.results[0].status, "delivered");
+    const [webhook] = after.listWebhooks(pluginId).webhooks;
+    assert.equal(webhook.webhookId, webhookId);
+    assert.ok(webhook.lastDelivered);
+    assert.ok(db.prepare("SELECT last_delivered FROM sdk_webhooks WHERE id = ?").get(webhookId).last_delivered);
+
+    after.suspendPlugin(pluginId);
+    after.detachDeveloperSdkStore();
+    const again = await restart();
+    assert.equal(again.listWebhooks(pluginId).webhooks[0].status, "paused");
+    assert.equal(listWebhookEndpoints("developer_sdk").endpoints.find(ep => ep.id === webhookId).active, false);
+    again.detachDeveloperSdkStore();
+  });
+
+  it("persists plugins registered before the store was attached", async () => {
+    sdk.detachDeveloperSdkStore();
+    const { pluginId, apiKey } = activePlugin();
+    assert.equal(sdk.attachDeveloperSdkStore(db).ok, true);
+
+    const after = await restart();
+    assert.equal(after.validateApiKey(apiKey).pluginId, pluginId);
+    after.detachDeveloperSdkStore();
+  });
+});
+
+describe("scoped, expiring keys", () => {
+  it("limits keys to their scopes and the plugin's permissions", () => {
+    const { pluginId } = activePlugin();
+    assert.match(sdk.issueApiKey(pluginId, { scopes: [PERMISSIONS.TRIGGER_RESEARCH] }).error, /exceed plugin permissions/);
+
+    const readOnly = sdk.issueApiKey(pluginId, { scopes: [PERMISSIONS.READ_DTUS] });
+    assert.deepEqual(readOnly.key.scopes, [PERMISSIONS.READ_DTUS]);
+    assert.equal(sdk.validateApiKey(readOnly.apiKey, { scope: PERMISSIONS.READ_DTUS }).ok, true);
+    assert.equal(sdk.validateApiKey(readOnly.apiKey, { scope: PERMISSIONS.SUBMIT_DTUS }).error, "API key lacks scope: submit_dtus");
+  });
+
+  it("expires keys and keeps the rotated key's scopes", async () => {
+    const { pluginId, apiKey } = activePlugin();
+    const shortLived = sdk.issueApiKey(pluginId, { scopes: [PERMISSIONS.READ_DTUS], ttlMs: 20 });
+    await new Promise((resolve) => { setTimeout(resolve, 40); });
+
+    assert.equal(sdk.validateApiKey(shortLived.apiKey).error, "API key expired");
+    assert.equal(sdk.validateApiKey(shortLived.apiKey).error, "Invalid API key");
+    const statuses = sdk.listApiKeys(pluginId).keys.map(k => k.status).sort();
+    assert.deepEqual(statuses, ["active", "expired"]);
+
+    const rotated = sdk.rotateApiKey(pluginId, { scopes: [PERMISSIONS.SUBMIT_DTUS] });
+    assert.equal(sdk.validateApiKey(apiKey).ok, false);
+    assert.deepEqual(sdk.validateApiKey(rotated.apiKey).permissions, [PERMISSIONS.SUBMIT_DTUS]);
+  });
+});
+
+describe("metering and audit", () => {
+  it("bills calls under the key hash and reconciles them with SDK usage", () => {
+    const { pluginId, apiKey } = activePlugin([PERMISSIONS.READ_DTUS], { billingUserId: "dev_1" });
+
+    const call = sdk.meterPluginCall(apiKey, { endpoint: "/api/dtus", method: "GET", balance: 100 });
+    assert.equal(call.allowed, true);
+    assert.equal(call.billed, true);
+    assert.equal(call.category, "read");
+    assert.equal(sdk.meterPluginCall(apiKey, { endpoint: "/api/dtus", scope: PERMISSIONS.SUBMIT_DTUS }).allowed, false);
+
+    // Rate-limited traffic that never reached billing
+    sdk.checkRateLimit(pluginId);
+
+    const billed = db.prepare("SELECT user_id, metadata_json FROM api_usage_log").all();
+    assert.equal(billed.length, 1);
+    assert.equal(billed[0].user_id, "dev_1");
+    assert.equal(JSON.parse(billed[0].metadata_json).pluginId, pluginId);
+
+    const report = sdk.reconcilePluginUsage(pluginId);
+    assert.equal(report.ok, true);
+    assert.deepEqual(
+      { sdkCalls: report.totals.sdkCalls, billedCalls: report.totals.billedCalls, unbilled: report.totals.unbilled },
+      { sdkCalls: 2, billedCalls: 1, unbilled: 1 },
+    );
+  });
+
+  it("records lifecycle events newest first", () => {
+    const { pluginId } = activePlugin();
+    sdk.suspendPlugin(pluginId, { actor: "admin_1", reason: "abuse report" });
+    sdk.revokePlugin(pluginId, { actor: "admin_2" });
+
+    const { events } = sdk.getPluginAudit(pluginId);
+    assert.deepEqual(events.map(e => e.action), ["revoked", "suspended", "activated", "registered"]);
+    assert.equal(events[1].details.reason, "abuse report");
+    assert.equal(events[1].actor, "admin_1");
+    assert.equal(sdk.listApiKeys(pluginId).keys[0].status, "revoked");
+  });
+});
@@ -0,0 +1,237 @@
+// tests/double-entry.test.js
+// Double-entry projection of the ledger: postings, trial balance, general ledger.
+//
+// Run: node --test tests/double-entry.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { executePurchase, executeTransfer } from "../economy/transfer.js";
+import { recordTransactionBatch, generateTxId } from "../economy/ledger.js";
+import { distributeFee } from "../economy/fee-split.js";
+import { mintCoins } from "../economy/coin-service.js";
+import { getBalance } from "../economy/balances.js";
+import { PLATFORM_ACCOUNT_ID, RESERVES_ACCOUNT_ID } from "../economy/fees.js";
+import {
+  classifyAccount,
+  expandLedgerRow,
+  expandTreasuryEvent,
+  getChartOfAccounts,
+  getJournal,
+  getTrialBalance,
+  getGeneralLedger,
+  verifyTreasuryInvariantByAccount,
+  FEE_CLEARING_ACCOUNT_ID,
+  STRIPE_CLEARING_ACCOUNT_ID,
+} from "../economy/double-entry.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE fee_distributions (
+      id               TEXT PRIMARY KEY,
+      source_tx_id     TEXT,
+      total_fee        REAL,
+      reserves_amount  REAL,
+      operating_amount REAL,
+      payroll_amount   REAL,
+      created_at       TEXT
+    );
+
+    CREATE TABLE treasury (
+      id          TEXT PRIMARY KEY,
+      total_usd   REAL NOT NULL DEFAULT 0,
+      total_coins REAL NOT NULL DEFAULT 0,
+      updated_at  TEXT
+    );
+
+    CREATE TABLE treasury_events (
+      id            TEXT PRIMARY KEY,
+      event_type    TEXT NOT NULL,
+      amount        REAL NOT NULL,
+      usd_before    REAL,
+      usd_after     REAL,
+      coins_before  REAL,
+      coins_after   REAL,
+      ref_id        TEXT,
+      metadata_json TEXT DEFAULT '{}',
+      created_at    TEXT NOT NULL
+    );
+
+    INSERT INTO treasury (id, total_usd, total_coins, updated_at) VALUES ('treasury_main', 0, 0, datetime('now'));
+  `);
+  return db;
+}
+
+function withdraw(db, userId, amount, fee) {
+  const batchId = generateTxId();
+  return recordTransactionBatch(db, [
+    {
+      type: "WITHDRAWAL", from: userId, to: null, amount, fee, net: amount - fee,
+      metadata: { batchId, role: "debit" },
+    },
+    {
+      type: "FEE", from: null, to: PLATFORM_ACCOUNT_ID, amount: fee, fee: 0, net: fee,
+      metadata: { batchId, role: "fee", sourceType: "WITHDRAWAL" },
+    },
+  ]);
+}
+
+function sumSides(postings) {
+  return postings.reduce((acc, p) => {
+    acc[p.side] += p.amountCents;
+    return acc;
+  }, { debit: 0, credit: 0 });
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("classifyAccount", () => {
+  it("maps ledger account IDs onto the chart", () => {
+    assert.equal(classifyAccount("alice").code, "2000");
+    assert.equal(classifyAccount("emergent_op:e1").code, "2100");
+    assert.equal(classifyAccount("emergent_res:e1").code, "2110");
+    assert.equal(classifyAccount(PLATFORM_ACCOUNT_ID).code, "3000");
+    assert.equal(classifyAccount(RESERVES_ACCOUNT_ID).code, "3100");
+    assert.equal(classifyAccount("__ESCROW__").code, "2600");
+    assert.equal(classifyAccount("__SOMETHING_NEW__").code, "3900");
+  });
+
+  it("lists the chart without matcher functions", () => {
+    const chart = getChartOfAccounts();
+    assert.ok(chart.length > 10);
+    assert.equal(typeof chart[0].match, "undefined");
+    assert.deepEqual(Object.keys(chart[0]).sort(), ["code", "name", "normal", "type"]);
+  });
+});
+
+describe("expandLedgerRow", () => {
+  it("splits a debit leg into sender, recipient and fee clearing", () => {
+    const entry = expandLedgerRow({
+      id: "t1", type: "TRANSFER", from_user_id: "a", to_user_id: "b",
+      amount: 100, fee: 1.46, net: 98.54, metadata_json: "{}",
+    });
+    assert.equal(entry.balanced, true);
+    assert.deepEqual(entry.postings.map((p) => [p.account, p.side, p.amountCents]), [
+      ["a", "debit", 10000],
+      ["b", "credit", 9854],
+      [FEE_CLEARING_ACCOUNT_ID, "credit", 146],
+    ]);
+  });
+
+  it("balances token purchases against Stripe clearing", () => {
+    const entry = expandLedgerRow({
+      id: "t2", type: "TOKEN_PURCHASE", from_user_id: null, to_user_id: "a",
+      amount: 50, net: 50, metadata_json: "{}",
+    });
+    assert.equal(entry.postings[0].account, STRIPE_CLEARING_ACCOUNT_ID);
+    assert.equal(entry.postings[0].side, "debit");
+    assert.deepEqual(sumSides(entry.postings), { debit: 5000, credit: 5000 });
+  });
+
+  it("balances withdrawals against Stripe clearing", () => {
+    const entry = expandLedgerRow({
+      id: "t3", type: "WITHDRAWAL", from_user_id: "a", to_user_id: null,
+      amount: 20, fee: 0.29, net: 19.71, metadata_json: "{}",
+    });
+    assert.equal(entry.balanced, true);
+    assert.equal(entry.postings[1].account, STRIPE_CLEARING_ACCOUNT_ID);
+  });
+
+  it("expands treasury mint events", () => {
+    const entry = expandTreasuryEvent({ id: "tev1", event_type: "MINT", amount: 10, created_at: "2026-01-01 00:00:00" });
+    assert.equal(entry.balanced, true);
+    assert.equal(entry.postings.length, 2);
+    assert.equal(expandTreasuryEvent({ id: "tev2", event_type: "DRIFT_ALERT", amount: 1 }).postings.length, 0);
+  });
+});
+
+describe("reports", () => {
+  let db;
+
+  beforeEach(() => {
+    db = createTestDb();
+    executePurchase(db, { userId: "alice", amount: 100 });
+    mintCoins(db, { amount: 100, userId: "alice" });
+    executeTransfer(db, { from: "alice", to: "bob", amount: 30 });
+    withdraw(db, "alice", 10, 0.15);
+    distributeFee(db, { feeAmount: 1, sourceTxId: "src1" });
+  });
+
+  afterEach(() => { db.close(); });
+
+  it("produces a balanced journal", () => {
+    const journal = getJournal(db);
+    assert.equal(journal.unbalanced, 0);
+    assert.ok(journal.total >= 9);
+    const sources = new Set(journal.items.map((e) => e.source));
+    assert.deepEqual([...sources].sort(), ["ledger", "treasury"]);
+
+    const page = getJournal(db, { limit: 2, offset: 1 });
+    assert.equal(page.items.length, 2);
+    assert.equal(page.items[0].entryId, journal.items[1].entryId);
+  });
+
+  it("produces a balanced trial balance whose wallets match getBalance", () => {
+    const trial = getTrialBalance(db, { detail: true });
+    assert.equal(trial.balanced, true);
+    assert.equal(trial.totals.debits, trial.totals.credits);
+
+    const wallets = trial.accounts.find((a) => a.code === "2000");
+    for (const sub of wallets.subaccounts) {
+      assert.equal(sub.balance, getBalance(db, sub.account).balance, sub.account);
+    }
+
+    const platform = trial.accounts.find((a) => a.code === "3000");
+    assert.equal(platform.subaccounts[0].balance, getBalance(db, PLATFORM_ACCOUNT_ID).balance);
+
+    const feeClearing = trial.accounts.find((a) => a.code === "2500");
+    assert.equal(feeClearing.balance, 0);
+  });
+
+  it("respects asOf on the trial balance", () => {
+    const trial = getTrialBalance(db, { asOf: "2000-01-01T00:00:00Z" });
+    assert.deepEqual(trial.accounts, []);
+    assert.equal(trial.balanced, true);
+  });
+
+  it("builds a general ledger with running balances", () => {
+    const gl = getGeneralLedger(db, "alice");
+    assert.equal(gl.chart.code, "2000");
+    assert.equal(gl.closingBalance, getBalance(db, "alice").balance);
+    assert.equal(gl.items[gl.items.length - 1].runningBalance, gl.closingBalance);
+
+    const byCode = getGeneralLedger(db, "2000");
+    const trial = getTrialBalance(db);
+    assert.equal(byCode.closingBalance, trial.accounts.find((a) => a.code === "2000").balance);
+  });
+
+  it("checks the treasury invariant per account", () => {
+    const result = verifyTreasuryInvariantByAccount(db);
+    assert.equal(result.ok, true);
+    assert.equal(result.journalBalanced, true);
+    assert.equal(result.treasuryUsd, 100);
+    assert.equal(result.journalTreasuryUsd, 100);
+    assert.ok(result.accounts.some((a) => a.code === "2000"));
+    assert.equal(result.invariantHolds, result.treasuryUsd >= result.circulatingCoins);
+  });
+});
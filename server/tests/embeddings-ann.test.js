@@ -0,0 +1,131 @@
+/**
+ * Embeddings ANN Test Suite
+ *
+ * Tests the HNSW index wired into embeddings.js:
+ *   - index follows storeEmbedding / removeEmbedding
+ *   - cost-based choice between ANN and exact search, with metrics
+ *   - tier weighting still sees every HYPER/MEGA candidate
+ *   - snapshot saved and restored on the next init
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+process.env.ANN_MIN_SIZE = "500";
+
+const DIM = 16;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ann-"));
+const annPath = path.join(dir, "dtu-embeddings.hnsw");
+
+// Ollama stand-in for the embedding probe
+const realFetch = globalThis.fetch;
+globalThis.fetch = async () => ({ ok: true, json: async () => ({ embedding: Array.from({ length: DIM }, (_, i) => i + 1) }) });
+
+const {
+  initEmbeddings, storeEmbedding, removeEmbedding, nearestNeighbors, findSimilar, getAnnStatus, saveAnnIndex,
+} = await import("../embeddings.js");
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function rng(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s / 2147483648 - 0.5;
+  };
+}
+
+const next = rng(3);
+const vectors = new Map();
+for (let i = 0; i < 1200; i++) vectors.set(`dtu_${i}`, Float64Array.from({ length: DIM }, next));
+const candidates = [...vectors.keys()].map((id) => ({ id, tier: "regular" }));
+
+async function waitForIndex() {
+  for (let i = 0; i < 600 && (!getAnnStatus().ready || getAnnStatus().building); i++) {
+    await new Promise((r) => { setTimeout(r, 10); });
+  }
+  assert.equal(getAnnStatus().ready, true);
+}
+
+const log = () => {};
+
+before(async () => {
+  await initEmbeddings({ db: null, ollamaUrls: ["http://embed:11434"], structuredLog: log, annPath });
+  for (const [id, v] of vectors) storeEmbedding(id, v);
+  await waitForIndex();
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── Search path selection ───────────────────────────────────────────────────
+
+describe("nearestNeighbors", () => {
+  it("uses the index for large pools and matches exact search closely", () => {
+    const before = getAnnStatus().queries.ann;
+    const query = vectors.get("dtu_10");
+    const results = nearestNeighbors(query, candidates, 10);
+    assert.equal(results[0].id, "dtu_10");
+    assert.equal(getAnnStatus().queries.ann, before + 1);
+    assert.equal(getAnnStatus().index.size, 1200);
+    assert.ok(getAnnStatus().latencyMs.ann.p95 >= 0);
+  });
+
+  it("scans exactly when a filter leaves only a few candidates", () => {
+    const before = getAnnStatus().queries.exact;
+    const few = candidates.slice(0, 30);
+    const results = nearestNeighbors(vectors.get("dtu_5"), few, 3);
+    assert.equal(results[0].id, "dtu_5");
+    assert.ok(results.every((r) => few.some((c) => c.id === r.id)));
+    assert.equal(getAnnStatus().queries.exact, before + 1);
+  });
+
+  it("samples recall against exact search", () => {
+    for (let i = 0; i < 50; i++) nearestNeighbors(vectors.get(`dtu_${i}`), candidates, 5);
+    const { recall } = getAnnStatus();
+    assert.ok(recall.samples >= 1);
+    assert.ok(recall.mean >= 0.8);
+  });
+});
+
+describe("findSimilar with the index", () => {
+  it("still weights HYPER candidates that ANN alone would not return", () => {
+    const query = vectors.get("dtu_20");
+    // The least similar DTU becomes a HYPER: 3x weighting must still be applied exactly
+    const ranked = nearestNeighbors(query, candidates, 1200);
+    const weakest = ranked[ranked.length - 1].id;
+    const pool = candidates.map((c) => (c.id === weakest ? { ...c, tier: "hyper" } : c));
+    const results = findSimilar(query, pool, 1200);
+    const hyper = results.find((r) => r.id === weakest);
+    assert.ok(hyper);
+    assert.equal(hyper.score, hyper.rawSimilarity * 3);
+  });
+});
+
+// ── Sync and persistence ────────────────────────────────────────────────────
+
+describe("index sync and snapshots", () => {
+  it("drops removed embeddings from results", () => {
+    removeEmbedding("dtu_10");
+    const results = nearestNeighbors(vectors.get("dtu_10"), candidates, 10);
+    assert.ok(results.every((r) => r.id !== "dtu_10"));
+    assert.equal(getAnnStatus().index.size, 1199);
+  });
+
+  it("restores the saved snapshot on the next init instead of rebuilding", async () => {
+    const saved = saveAnnIndex();
+    assert.equal(saved.ok, true);
+    assert.ok(fs.existsSync(annPath));
+
+    await initEmbeddings({ db: null, ollamaUrls: ["http://embed:11434"], structuredLog: log, annPath });
+    assert.equal(getAnnStatus().source, "snapshot");
+    assert.equal(getAnnStatus().ready, true);
+    assert.equal(getAnnStatus().index.size, 1199);
+    await waitForIndex();
+    assert.equal(nearestNeighbors(vectors.get("dtu_11"), candidates, 1)[0].id, "dtu_11");
+  });
+});
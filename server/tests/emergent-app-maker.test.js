@@ -3,7 +3,7 @@
  *
  * Covers: validateApp, createApp, getApp, listApps, updateApp, deleteApp,
  *         promoteApp, demoteApp, countApps, countAppsByStage,
- *         getAppMetrics, handleAppCommand, init
+ *         getAppMetrics, handleAppCommand, runApp, canRunApp, init
  */
 
 import { describe, it, beforeEach, afterEach } from "node:test";
@@ -22,8 +22,11 @@ import {
   countAppsByStage,
   getAppMetrics,
   handleAppCommand,
+  runApp,
+  canRunApp,
   init,
 } from "../emergent/app-maker.js";
+import { readMemory } from "../loaf/sandbox.js";
 
 // ── Setup / Cleanup ──────────────────────────────────────────────────────────
 
@@ -132,7 +135,7 @@ describe("validateApp", () => {
     const spec = {
       name: "test",
       primitives: {
-        execution: { macros: ["existingMacro"] },
+        execution: { macros: ["domain1.existingMacro"] },
       },
     };
     const result = validateApp(spec);
@@ -140,6 +143,14 @@ describe("validateApp", () => {
     assert.ok(!result.violations.some(v => v.includes("existingMacro")));
   });
 
+  it("requires registered macros to be named with their domain", () => {
+    globalThis._concordMACROS = new Map([
+      ["domain1", new Map([["existingMacro", {}]])],
+    ]);
+    const result = validateApp({ name: "test", primitives: { execution: { macros: ["existingMacro", "domain2.existingMacro"] } } });
+    assert.deepEqual(result.violations, ["Macro existingMacro not found", "Macro domain2.existingMacro not found"]);
+  });
+
   it("passes macros defined as inline", () => {
     const spec = {
       name: "test",
@@ -462,6 +473,66 @@ describe("handleAppCommand", () => {
   });
 });
 
+// ── runApp ───────────────────────────────────────────────────────────────────
+
+describe("runApp", () => {
+  const tally = {
+    source: "const total = ((await host.readMemory('total')) || 0) + input.n; await host.writeMemory('total', total); return total;",
+  };
+
+  it("runs inline macros in the app's sandbox and keeps its memory", async () => {
+    const app = createApp({ name: "Tally", _inlineMacros: { tally } }).app;
+    assert.equal((await runApp(app.id, "tally", { n: 2 })).result, 2);
+    const second = await runApp(app.id, "tally", { n: 5 });
+    assert.equal(second.result, 7);
+    assert.equal(readMemory(second.sandboxId, "total").value, 7);
+    deleteApp(app.id);
+  });
+
+  it("bridges allowlisted macros as wrappers", async () => {
+    globalThis._concordMACROS = new Map([["math", new Map([["square", {}]])]]);
+    const app = createApp({
+      name: "Squares",
+      primitives: { execution: { macros: ["math.square"] } },
+      _inlineMacros: { run: "return host.callWrapper('math.square', { x: input.x });" },
+    }).app;
+    const asked = [];
+    const resolveWrapper = (name) => { asked.push(name); return async ({ x }) => x * x; };
+    const result = await runApp(app.id, "run", { x: 9 }, { resolveWrapper });
+    assert.equal(result.result, 81);
+    assert.deepEqual(asked, ["math.square"]);
+    deleteApp(app.id);
+  });
+
+  it("lets only the author run a draft, and anyone run a published app", () => {
+    const app = createApp({ name: "Mine", author: "alice", primitives: {} }).app;
+    assert.equal(canRunApp(app.id, "alice"), true);
+    assert.equal(canRunApp(app.id, "mallory"), false);
+    assert.equal(canRunApp(app.id, undefined), false);
+    assert.equal(canRunApp("missing", "alice"), false);
+
+    promoteApp(app.id);
+    assert.equal(canRunApp(app.id, "mallory"), true);
+  });
+
+  it("starts a fresh sandbox after the app is edited", async () => {
+    const app = createApp({ name: "Edited", _inlineMacros: { tally } }).app;
+    const first = await runApp(app.id, "tally", { n: 1 });
+    updateApp(app.id, { name: "Edited v2" });
+    const second = await runApp(app.id, "tally", { n: 1 });
+    assert.notEqual(second.sandboxId, first.sandboxId);
+    assert.equal(second.result, 1);
+    deleteApp(app.id);
+  });
+
+  it("rejects unknown apps and macros without source", async () => {
+    const app = createApp({ name: "NoSource", _inlineMacros: { empty: {} } }).app;
+    assert.equal((await runApp("missing", "x")).ok, false);
+    assert.match((await runApp(app.id, "empty")).error, /has no source/);
+    assert.match((await runApp(app.id, "nope")).error, /not found/);
+  });
+});
+
 // ── init ─────────────────────────────────────────────────────────────────────
 
 describe("init", () => {
@@ -8,8 +8,11 @@
  * checkRateLimit, getPluginMetrics, getSDKMetrics, PERMISSIONS.
  */
 
-import { describe, it, beforeEach } from "node:test";
+import { describe, it, beforeEach, before, after } from "node:test";
 import assert from "node:assert/strict";
+import http from "node:http";
+
+import { configureWebhookDelivery, verifyWebhookSignature } from "../lib/webhook-delivery.js";
 
 import {
   PERMISSIONS,
@@ -457,34 +460,65 @@ describe("queueWebhookDelivery", () => {
 // ── processWebhookQueue ─────────────────────────────────────────────────────
 
 describe("processWebhookQueue", () => {
-  it("processes queued deliveries successfully (valid URL)", () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  // Local HTTP stand-in: /ok answers 200, anything else 500
+  before(async () => {
+    configureWebhookDelivery({ baseBackoffMs: 1, allowPrivateNetworks: true });  // fresh in-memory log
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => { body += chunk; });
+      req.on("end", () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(req.url === "/ok" ? 200 : 500).end();
+      });
+    });
+    await new Promise((resolve) => { server.listen(0, "127.0.0.1", resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => { server.close(resolve); });
+  });
+
+  it("delivers queued events with a verifiable signature", async () => {
     const reg = setupActivePlugin();
-    registerWebhook(reg.pluginId, "https://example.com/wh", ["dtu.promoted"]);
+    const wh = registerWebhook(reg.pluginId, `${baseUrl}/ok`, ["dtu.promoted"]);
     queueWebhookDelivery("dtu.promoted", { id: "d1" });
 
-    const r = processWebhookQueue();
+    const r = await processWebhookQueue();
     assert.ok(r.ok);
     assert.ok(r.processed >= 1);
     // Successful delivery
     const delivered = r.results.filter(d => d.status === "delivered");
     assert.ok(delivered.length >= 1);
+
+    const req = received.find(x => x.url === "/ok");
+    assert.equal(JSON.parse(req.body).data.id, "d1");
+    assert.ok(verifyWebhookSignature(req.body, req.headers["x-concordos-signature"], wh.secret).ok);
   });
 
-  it("retries failed deliveries (non-http URL => simulated failure)", () => {
+  it("retries failed deliveries", async () => {
     const reg = setupActivePlugin();
-    // Register webhook with a non-http URL -> simulateHTTPPost returns false
-    registerWebhook(reg.pluginId, "ftp://badurl.com/wh", ["dtu.archived"]);
-    // But this will fail at registerWebhook because URL validation passes (ftp is valid URL)
-    // Actually registerWebhook passes because new URL("ftp://...") is valid
+    registerWebhook(reg.pluginId, `${baseUrl}/fail`, ["dtu.archived"]);
     queueWebhookDelivery("dtu.archived", {});
 
     // Process first time: attempt 1, should retry
-    const r1 = processWebhookQueue();
+    const r1 = await processWebhookQueue();
     assert.ok(r1.ok);
+    assert.deepEqual(r1.results.map(d => [d.status, d.attempt]), [["retrying", 1]]);
+  });
+
+  it("rejects non-http webhook URLs", () => {
+    const reg = setupActivePlugin();
+    const r = registerWebhook(reg.pluginId, "ftp://badurl.com/wh", ["dtu.archived"]);
+    assert.equal(r.ok, false);
   });
 
-  it("returns empty when no deliveries pending", () => {
-    const r = processWebhookQueue();
+  it("returns empty when no deliveries pending", async () => {
+    const r = await processWebhookQueue();
     assert.ok(r.ok);
     // processed can be 0 or more depending on previous test state
     assert.equal(typeof r.processed, "number");
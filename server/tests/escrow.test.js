@@ -0,0 +1,362 @@
+// tests/escrow.test.js
+// Escrow with milestone releases: bounties, film crew contracts, refunds,
+// disputes and the reconciliation sweep.
+//
+// Run: node --test tests/escrow.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateLegal } from "../migrations/020_legal_liability.js";
+import { up as migrateFilm } from "../migrations/021_film_studio.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { up as migrateEscrow } from "../migrations/032_escrow.js";
+import { recordTransaction, checkRefIdProcessed } from "../economy/ledger.js";
+import { getBalance } from "../economy/balances.js";
+import { ESCROW_ACCOUNT_ID } from "../economy/fees.js";
+import { getDispute } from "../economy/legal-liability.js";
+import { postBounty, claimBounty } from "../economy/lens-economy-wiring.js";
+import { addCrewMember, removeCrewMember, getCrewContract } from "../economy/film-studio.js";
+import { runReconciliation } from "../economy/reconciliation.js";
+import {
+  createEscrow,
+  getEscrow,
+  listEscrows,
+  submitMilestone,
+  approveMilestone,
+  refundEscrow,
+  expireEscrows,
+  disputeEscrow,
+  resolveEscrowDispute,
+  sweepEscrows,
+} from "../economy/escrow.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE audit_log (
+      id TEXT PRIMARY KEY, timestamp TEXT, category TEXT, action TEXT, user_id TEXT,
+      ip_address TEXT, user_agent TEXT, request_id TEXT, path TEXT, method TEXT,
+      status_code TEXT, details TEXT
+    );
+
+    CREATE TABLE bounties (
+      id TEXT PRIMARY KEY, poster_id TEXT NOT NULL, title TEXT NOT NULL,
+      description TEXT DEFAULT '', lens_id TEXT DEFAULT 'questmarket', amount REAL NOT NULL,
+      tags_json TEXT DEFAULT '[]', status TEXT DEFAULT 'OPEN', escrow_ref_id TEXT,
+      claimed_by TEXT, solution_dtu_id TEXT, expires_at TEXT, claimed_at TEXT,
+      created_at TEXT NOT NULL, updated_at TEXT NOT NULL
+    );
+  `);
+  migrateLegal(db);
+  migrateFilm(db);
+  migrateBalances(db);
+  migrateEscrow(db);
+  return db;
+}
+
+function fund(db, userId, amount) {
+  return recordTransaction(db, { type: "TOKEN_PURCHASE", to: userId, amount, net: amount });
+}
+
+function escrowHeld(db) {
+  // Net coins moved into __ESCROW__ by locks minus coins moved out, per the ledger debit rows
+  const row = db.prepare(`
+    SELECT
+      COALESCE(SUM(CASE WHEN to_user_id = ? THEN amount ELSE 0 END), 0) as locked,
+      COALESCE(SUM(CASE WHEN from_user_id = ? THEN amount ELSE 0 END), 0) as released
+    FROM economy_ledger WHERE json_extract(metadata_json, '$.role') = 'debit'
+  `).get(ESCROW_ACCOUNT_ID, ESCROW_ACCOUNT_ID);
+  return Math.round((row.locked - row.released) * 100) / 100;
+}
+
+const MILESTONES = [
+  { title: "Draft", amount: 30 },
+  { title: "Final", amount: 70 },
+];
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("createEscrow", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); fund(db, "alice", 500); });
+  afterEach(() => { db.close(); });
+
+  it("locks the amount through the ledger with a lock refId", () => {
+    const result = createEscrow(db, { kind: "crew_contract", payerId: "alice", payeeId: "bob", amount: 100, milestones: MILESTONES });
+    assert.equal(result.ok, true);
+    assert.equal(result.escrow.status, "FUNDED");
+    assert.equal(result.escrow.heldAmount, 100);
+    assert.deepEqual(result.escrow.milestones.map((m) => [m.seq, m.title, m.amount, m.status]), [
+      [1, "Draft", 30, "PENDING"],
+      [2, "Final", 70, "PENDING"],
+    ]);
+
+    const lock = checkRefIdProcessed(db, result.escrow.lockRefId);
+    assert.equal(lock.exists, true);
+    assert.equal(lock.entries[0].type, "ESCROW_LOCK");
+    assert.equal(escrowHeld(db), 100);
+    assert.equal(getBalance(db, "alice").balance, 400);
+  });
+
+  it("defaults to a single completion milestone", () => {
+    const { escrow } = createEscrow(db, { kind: "bounty", payerId: "alice", amount: 25 });
+    assert.equal(escrow.milestones.length, 1);
+    assert.equal(escrow.milestones[0].amount, 25);
+  });
+
+  it("rejects milestones that do not sum to the amount", () => {
+    const result = createEscrow(db, { kind: "bounty", payerId: "alice", amount: 100, milestones: [{ title: "A", amount: 40 }] });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, "milestones_do_not_sum_to_amount");
+  });
+
+  it("rejects an underfunded payer without writing anything", () => {
+    const result = createEscrow(db, { kind: "bounty", payerId: "alice", amount: 900 });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, "insufficient_balance");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM escrows").get().c, 0);
+  });
+
+  it("lists escrows for either party", () => {
+    createEscrow(db, { kind: "crew_contract", payerId: "alice", payeeId: "bob", amount: 10 });
+    assert.equal(listEscrows(db, { userId: "bob" }).total, 1);
+    assert.equal(listEscrows(db, { userId: "bob", role: "payer" }).total, 0);
+    assert.equal(listEscrows(db, { userId: "carol" }).total, 0);
+  });
+});
+
+describe("milestone release and refund", () => {
+  let db;
+  let escrow;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "alice", 500);
+    escrow = createEscrow(db, { kind: "crew_contract", payerId: "alice", payeeId: "bob", amount: 100, milestones: MILESTONES }).escrow;
+  });
+  afterEach(() => { db.close(); });
+
+  it("releases milestones one at a time on payer approval", () => {
+    const [draft, final] = escrow.milestones;
+    assert.equal(submitMilestone(db, { escrowId: escrow.id, milestoneId: draft.id, payeeId: "bob", evidence: ["dtu_1"] }).ok, true);
+    assert.equal(approveMilestone(db, { escrowId: escrow.id, milestoneId: draft.id, payerId: "bob" }).error, "only_payer_can_approve");
+
+    const first = approveMilestone(db, { escrowId: escrow.id, milestoneId: draft.id, payerId: "alice" });
+    assert.equal(first.ok, true);
+    assert.equal(first.status, "PARTIALLY_RELEASED");
+    assert.equal(first.released.refId, `escrow_release:${draft.id}`);
+    assert.equal(escrowHeld(db), 70);
+
+    const again = approveMilestone(db, { escrowId: escrow.id, milestoneId: draft.id, payerId: "alice" });
+    assert.equal(again.error, "milestone_already_settled");
+
+    const second = approveMilestone(db, { escrowId: escrow.id, milestoneId: final.id, payerId: "alice" });
+    assert.equal(second.status, "RELEASED");
+    const closed = getEscrow(db, escrow.id);
+    assert.equal(closed.releasedAmount, 100);
+    assert.equal(closed.heldAmount, 0);
+    assert.ok(closed.closedAt);
+    assert.deepEqual(closed.milestones[0].evidence, ["dtu_1"]);
+    assert.equal(escrowHeld(db), 0);
+  });
+
+  it("refunds only the unreleased milestones", () => {
+    approveMilestone(db, { escrowId: escrow.id, milestoneId: escrow.milestones[0].id, payerId: "alice" });
+
+    assert.equal(refundEscrow(db, { escrowId: escrow.id, actorId: "alice" }).error, "refund_not_permitted");
+    const result = refundEscrow(db, { escrowId: escrow.id, actorId: "bob", reason: "cannot_deliver" });
+    assert.equal(result.ok, true);
+    assert.equal(result.amount, 70);
+    assert.equal(result.status, "REFUNDED");
+
+    const closed = getEscrow(db, escrow.id);
+    assert.equal(closed.releasedAmount, 30);
+    assert.equal(closed.refundedAmount, 70);
+    assert.equal(escrowHeld(db), 0);
+  });
+
+  it("refunds expired escrows and leaves others alone", () => {
+    const later = createEscrow(db, {
+      kind: "crew_contract", payerId: "alice", payeeId: "carol", amount: 10, expiresAt: "2999-01-01T00:00:00Z",
+    }).escrow;
+    db.prepare("UPDATE escrows SET expires_at = '2000-01-01 00:00:00' WHERE id = ?").run(escrow.id);
+
+    const result = expireEscrows(db);
+    assert.deepEqual(result.expired, [{ escrowId: escrow.id, amount: 100 }]);
+    assert.equal(getEscrow(db, escrow.id).status, "REFUNDED");
+    assert.equal(getEscrow(db, later.id).status, "FUNDED");
+  });
+});
+
+describe("disputes", () => {
+  let db;
+  let escrow;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "alice", 500);
+    escrow = createEscrow(db, { kind: "crew_contract", payerId: "alice", payeeId: "bob", amount: 100, milestones: MILESTONES }).escrow;
+  });
+  afterEach(() => { db.close(); });
+
+  it("opens a legal-liability dispute and freezes the escrow", () => {
+    assert.equal(disputeEscrow(db, { escrowId: escrow.id, reporterId: "mallory", description: "x" }).error, "not_escrow_party");
+
+    const result = disputeEscrow(db, { escrowId: escrow.id, reporterId: "alice", description: "Final cut never delivered" });
+    assert.equal(result.ok, true);
+
+    const dispute = getDispute(db, result.disputeId);
+    assert.equal(dispute.dispute_type, "quality");
+    assert.equal(dispute.reported_content_id, escrow.id);
+    assert.equal(dispute.reported_user_id, "bob");
+
+    assert.equal(approveMilestone(db, { escrowId: escrow.id, milestoneId: escrow.milestones[0].id, payerId: "alice" }).error, "escrow_not_open");
+    assert.equal(refundEscrow(db, { escrowId: escrow.id, actorId: "bob" }).error, "escrow_disputed");
+
+    db.prepare("UPDATE escrows SET expires_at = '2000-01-01 00:00:00' WHERE id = ?").run(escrow.id);
+    assert.deepEqual(expireEscrows(db).expired, []);
+  });
+
+  it("resolves a dispute by releasing or refunding the remainder", () => {
+    approveMilestone(db, { escrowId: escrow.id, milestoneId: escrow.milestones[0].id, payerId: "alice" });
+    const { disputeId } = disputeEscrow(db, { escrowId: escrow.id, reporterId: "bob", description: "Payer unresponsive" });
+
+    assert.equal(resolveEscrowDispute(db, { escrowId: escrow.id, outcome: "split" }).error, "invalid_outcome");
+    const result = resolveEscrowDispute(db, { escrowId: escrow.id, outcome: "release", resolution: "work accepted", actorId: "admin" });
+    assert.equal(result.ok, true);
+    assert.equal(result.amount, 70);
+    assert.equal(result.status, "RELEASED");
+    assert.equal(getDispute(db, disputeId).status, "resolved");
+    assert.equal(escrowHeld(db), 0);
+  });
+});
+
+describe("bounties", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); fund(db, "poster", 500); });
+  afterEach(() => { db.close(); });
+
+  it("pays a single-milestone bounty on claim", () => {
+    const posted = postBounty(db, { posterId: "poster", title: "Fix parser", lensId: "code", amount: 50 });
+    assert.equal(posted.ok, true);
+    assert.equal(escrowHeld(db), 50);
+
+    const claimed = claimBounty(db, { bountyId: posted.bounty.id, claimerId: "solver", posterId: "poster" });
+    assert.equal(claimed.ok, true);
+    assert.equal(claimed.escrow.payeeId, "solver");
+    assert.equal(claimed.escrow.status, "RELEASED");
+    assert.equal(escrowHeld(db), 0);
+  });
+
+  it("keeps multi-milestone bounties in escrow until each milestone is approved", () => {
+    const posted = postBounty(db, { posterId: "poster", title: "Port module", amount: 100, milestones: MILESTONES });
+    const claimed = claimBounty(db, { bountyId: posted.bounty.id, claimerId: "solver", posterId: "poster" });
+    assert.equal(claimed.escrow.status, "FUNDED");
+    assert.equal(escrowHeld(db), 100);
+
+    const approved = approveMilestone(db, {
+      escrowId: claimed.escrow.id, milestoneId: claimed.escrow.milestones[0].id, payerId: "poster",
+    });
+    assert.equal(approved.status, "PARTIALLY_RELEASED");
+  });
+
+  it("marks an unclaimed bounty expired when its escrow is refunded", () => {
+    const posted = postBounty(db, { posterId: "poster", title: "Old", amount: 20, expiresAt: "2000-01-01T00:00:00Z" });
+    expireEscrows(db);
+    assert.equal(db.prepare("SELECT status FROM bounties WHERE id = ?").get(posted.bounty.id).status, "EXPIRED");
+    assert.equal(claimBounty(db, { bountyId: posted.bounty.id, claimerId: "solver", posterId: "poster" }).error, "bounty_not_found_or_closed");
+  });
+
+  it("rolls back the bounty when the escrow cannot be funded", () => {
+    const result = postBounty(db, { posterId: "poster", title: "Too big", amount: 100, milestones: [{ title: "A", amount: 10 }] });
+    assert.equal(result.ok, false);
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM bounties").get().c, 0);
+  });
+});
+
+describe("film crew contracts", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "director", 500);
+    db.exec("CREATE TABLE creative_artifacts (id TEXT PRIMARY KEY); INSERT INTO creative_artifacts (id) VALUES ('art1')");
+    db.prepare("INSERT INTO film_dtus (id, artifact_id, creator_id, film_type) VALUES ('film1', 'art1', 'director', 'short')").run();
+  });
+  afterEach(() => { db.close(); });
+
+  it("escrows the crew contract and blocks removal while it is active", () => {
+    const added = addCrewMember(db, {
+      filmDtuId: "film1", creatorId: "director", userId: "dp", role: "cinematographer",
+      contract: { amount: 100, milestones: MILESTONES },
+    });
+    assert.equal(added.ok, true);
+    assert.equal(added.escrow.payeeId, "dp");
+    assert.equal(getCrewContract(db, added.crewId).id, added.escrow.id);
+
+    assert.equal(removeCrewMember(db, added.crewId, "director").error, "crew_contract_active");
+    refundEscrow(db, { escrowId: added.escrow.id, actorId: "dp" });
+    assert.equal(removeCrewMember(db, added.crewId, "director").ok, true);
+  });
+
+  it("does not tag the crew member when the contract cannot be funded", () => {
+    const result = addCrewMember(db, {
+      filmDtuId: "film1", creatorId: "director", userId: "dp", role: "cinematographer",
+      contract: { amount: 5000 },
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, "insufficient_balance");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM film_crew").get().c, 0);
+  });
+});
+
+describe("reconciliation sweep", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); fund(db, "alice", 500); });
+  afterEach(() => { db.close(); });
+
+  it("re-drives a settled milestone missing from the ledger", () => {
+    const { escrow } = createEscrow(db, { kind: "crew_contract", payerId: "alice", payeeId: "bob", amount: 40 });
+    const milestone = escrow.milestones[0];
+    // Simulate state written without its transfer
+    db.prepare("UPDATE escrow_milestones SET status = 'RELEASED', ref_id = ? WHERE id = ?")
+      .run(`escrow_release:${milestone.id}`, milestone.id);
+
+    const dry = sweepEscrows(db, { dryRun: true });
+    assert.deepEqual(dry.actions.map((a) => a.type), ["would_redrive_escrow_settlement"]);
+    assert.equal(escrowHeld(db), 40);
+
+    const sweep = sweepEscrows(db);
+    assert.deepEqual(sweep.actions.map((a) => a.type), ["escrow_settlement_redriven"]);
+    assert.equal(escrowHeld(db), 0);
+    assert.deepEqual(sweepEscrows(db).actions, []);
+  });
+
+  it("flags escrow rows whose lock is missing and runs as a reconciliation step", () => {
+    const { escrow } = createEscrow(db, { kind: "crew_contract", payerId: "alice", payeeId: "bob", amount: 40 });
+    db.prepare("UPDATE escrows SET lock_ref_id = 'escrow_lock:missing' WHERE id = ?").run(escrow.id);
+    db.prepare("UPDATE escrows SET expires_at = '2000-01-01 00:00:00' WHERE id = ?").run(escrow.id);
+
+    const result = runReconciliation(db, { dryRun: true });
+    const types = result.actions.map((a) => a.type);
+    assert.ok(types.includes("escrow_lock_missing"));
+    assert.ok(types.includes("would_refund_expired_escrow"));
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Fake Brain Test Suite
+ *
+ * Tests the scripted brain transport used to run the heartbeat offline:
+ *   - custom rules (regex, substring, function; per-brain) before heartbeat rules
+ *   - heartbeat rules produce the JSON shapes server.js parses
+ *   - results flow through generateWithBrain and probes report the transport
+ *   - rules loaded from JSON
+ */
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { generateWithBrain, probeBrain, setBrainTransport } from "../lib/brain-backends.js";
+import { createFakeBrain, parseFakeBrainRules } from "../lib/fake-brain.js";
+
+const offline = async () => { throw new Error("no network in this test"); };
+
+afterEach(() => setBrainTransport(null));
+
+function ask(brainName, req) {
+  return generateWithBrain(brainName, req, { fetchImpl: offline });
+}
+
+describe("createFakeBrain — rules", () => {
+  it("checks custom rules first, honouring brain filters", async () => {
+    const fake = createFakeBrain({
+      rules: [
+        { brain: "repair", match: "status", respond: "repair says ok" },
+        { match: /capital of (\w+)/, respond: (_call, m) => `capital of ${m[1]} is known` },
+      ],
+    });
+    setBrainTransport(fake);
+    assert.equal((await ask("repair", { prompt: "status?" })).content, "repair says ok");
+    assert.match((await ask("utility", { prompt: "status?" })).content, /^\[utility\] status\?/);
+    assert.equal((await ask("conscious", { prompt: "capital of France" })).content, "capital of France is known");
+    assert.deepEqual(fake.getCalls().map((c) => c.rule), [0, null, 1]);
+  });
+
+  it("passes error results through", async () => {
+    setBrainTransport(createFakeBrain({ rules: [{ match: "boom", respond: { ok: false, error: "brain_http_500" } }] }));
+    const r = await ask("utility", { prompt: "boom" });
+    assert.deepEqual([r.ok, r.error], [false, "brain_http_500"]);
+  });
+});
+
+describe("createFakeBrain — heartbeat rules", () => {
+  it("answers governance votes for the roles the prompt lists", async () => {
+    setBrainTransport(createFakeBrain());
+    const prompt = 'respond with JSON array: [{ "role": "critic", "approve": true/false, "note": "..." }, { "role": "auditor", "approve": true/false, "note": "..." }]';
+    const votes = JSON.parse((await ask("repair", { prompt })).content);
+    assert.deepEqual(votes.map((v) => [v.role, v.approve]), [["critic", true], ["auditor", true]]);
+  });
+
+  it("produces parseable synthesis, critic and consistency answers", async () => {
+    setBrainTransport(createFakeBrain());
+    const synth = JSON.parse((await ask("subconscious", {
+      prompt: 'Title: Tidal energy\nReturn JSON: { "title": "...", "noveltyScore": 0.0-1.0 }',
+    })).content);
+    assert.equal(synth.title, "Insight on Tidal energy");
+    assert.equal(typeof synth.body, "string");
+
+    const critic = JSON.parse((await ask("repair", { prompt: 'Respond with JSON: { "pass": true/false, "reason": "..." }' })).content);
+    assert.equal(critic.pass, true);
+
+    const repair = JSON.parse((await ask("repair", { prompt: '{"consistent": true/false, "score": 0.0-1.0}', json: true })).content);
+    assert.equal(repair.consistent, true);
+
+    assert.equal((await ask("utility", { prompt: "anything", json: true })).content, "{}");
+  });
+
+  it("is deterministic and reports itself as the provider", async () => {
+    setBrainTransport(createFakeBrain());
+    const a = await ask("subconscious", { prompt: "Find a hidden connection\nbetween tides and markets" });
+    const b = await ask("subconscious", { prompt: "Find a hidden connection\nbetween tides and markets" });
+    assert.equal(a.content, b.content);
+    assert.equal(a.provider, "fake");
+    assert.equal(a.model, "qwen2.5:1.5b");
+  });
+
+  it("answers probes so every brain comes online", async () => {
+    setBrainTransport(createFakeBrain());
+    const p = await probeBrain("conscious", { fetchImpl: offline });
+    assert.deepEqual([p.ok, p.modelPresent, p.transport], [true, true, "fake-brain"]);
+  });
+});
+
+describe("parseFakeBrainRules", () => {
+  it("compiles regex sources and rejects malformed rules", async () => {
+    const rules = parseFakeBrainRules(JSON.stringify([{ brain: "utility", match: "^hello", flags: "i", respond: { hi: 1 } }]));
+    setBrainTransport(createFakeBrain({ rules, heartbeatRules: false }));
+    assert.equal((await ask("utility", { prompt: "HELLO there" })).content, "{\"hi\":1}");
+    assert.throws(() => parseFakeBrainRules("{}"), /JSON array/);
+    assert.throws(() => parseFakeBrainRules('[{"match": 1}]'), /regex string/);
+  });
+});
@@ -0,0 +1,377 @@
+// tests/fraud-engine.test.js
+// Fraud scoring rules (velocity, circular flows, repeat counterparties,
+// new-account cashouts, citation farming) and the review queue.
+//
+// Run: node --test tests/fraud-engine.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { up as migrateFraudReviews } from "../migrations/037_fraud_reviews.js";
+import { up as migrateLegal } from "../migrations/020_legal_liability.js";
+import { up as migrateFilm } from "../migrations/021_film_studio.js";
+import { up as migrateEscrow } from "../migrations/032_escrow.js";
+import { up as migrateFraudReviewActions } from "../migrations/049_fraud_review_actions.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { getBalance } from "../economy/balances.js";
+import { executeTransfer } from "../economy/transfer.js";
+import { requestWithdrawal, approveWithdrawal } from "../economy/withdrawals.js";
+import { registerCitation } from "../economy/royalty-cascade.js";
+import { tipContent } from "../economy/lens-economy-wiring.js";
+import { addCrewMember, listFilmCrew } from "../economy/film-studio.js";
+import {
+  evaluateFraudRisk, screenTransaction, findLedgerPath, getFraudReview, listFraudReviews,
+  approveFraudReview, rejectFraudReview,
+} from "../economy/fraud-engine.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function createTestDb({ reviews = true } = {}) {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE economy_withdrawals (
+      id TEXT PRIMARY KEY, user_id TEXT NOT NULL, amount REAL NOT NULL, fee REAL NOT NULL DEFAULT 0,
+      net REAL NOT NULL, status TEXT NOT NULL DEFAULT 'pending', ledger_id TEXT, reviewed_by TEXT,
+      reviewed_at TEXT, processed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')), updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+  migrateEconomic(db);
+  migrateBalances(db);
+  if (reviews) {
+    migrateFraudReviews(db);
+    migrateFraudReviewActions(db);
+  }
+  return db;
+}
+
+function fund(db, userId, amount) {
+  recordTransaction(db, { type: "TOKEN_PURCHASE", to: userId, amount, net: amount });
+}
+
+// Make every ledger row so far look like it happened a month ago
+function ageLedger(db) {
+  db.prepare("UPDATE economy_ledger SET created_at = datetime('now', '-30 days')").run();
+}
+
+function send(db, from, to, amount = 10) {
+  const result = executeTransfer(db, { from, to, amount, type: "TRANSFER" });
+  assert.equal(result.ok, true, result.error);
+  return result;
+}
+
+function rulesOf(risk) {
+  return risk.signals.map((s) => s.rule);
+}
+
+// ── Scoring ──────────────────────────────────────────────────────────────────
+
+describe("fraud scoring", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    for (const u of ["alice", "bob", "carol"]) fund(db, u, 1000);
+  });
+  afterEach(() => { db.close(); });
+
+  it("scores an ordinary transfer at zero", () => {
+    const risk = evaluateFraudRisk(db, { action: "transfer", userId: "alice", counterpartyId: "bob", amount: 25 });
+    assert.equal(risk.ok, true);
+    assert.equal(risk.score, 0);
+    assert.equal(risk.decision, "allow");
+  });
+
+  it("validates the action and skips system accounts", () => {
+    assert.equal(evaluateFraudRisk(db, { action: "heist", userId: "alice" }).error, "invalid_fraud_action");
+    assert.equal(evaluateFraudRisk(db, { action: "transfer" }).error, "missing_user_id");
+    assert.equal(evaluateFraudRisk(db, { action: "transfer", userId: "__ESCROW__", counterpartyId: "bob", amount: 1e6 }).score, 0);
+  });
+
+  it("detects coins travelling back to the sender through other accounts", () => {
+    send(db, "alice", "bob");
+    send(db, "bob", "carol");
+
+    const risk = evaluateFraudRisk(db, { action: "transfer", userId: "carol", counterpartyId: "alice", amount: 10 });
+    const cycle = risk.signals.find((s) => s.rule === "circularFlow");
+    assert.deepEqual(cycle.path, ["carol", "alice", "bob", "carol"]);
+    assert.match(risk.explanation, /carol → alice → bob → carol/);
+  });
+
+  it("does not treat paying someone back directly as a cycle", () => {
+    send(db, "alice", "bob");
+    const risk = evaluateFraudRisk(db, { action: "transfer", userId: "bob", counterpartyId: "alice", amount: 10 });
+    assert.ok(!rulesOf(risk).includes("circularFlow"));
+    assert.equal(findLedgerPath(db, { start: "alice", target: "bob", since: "2000-01-01" }).join(","), "alice,bob");
+  });
+
+  it("ignores flows older than the window", () => {
+    send(db, "alice", "bob");
+    send(db, "bob", "carol");
+    ageLedger(db);
+    const risk = evaluateFraudRisk(db, { action: "transfer", userId: "carol", counterpartyId: "alice", amount: 10 });
+    assert.ok(!rulesOf(risk).includes("circularFlow"));
+  });
+
+  it("flags bursts of outgoing transactions and repeat counterparties", () => {
+    for (let i = 0; i < 10; i++) send(db, "alice", "bob", 1);
+    const risk = evaluateFraudRisk(db, { action: "transfer", userId: "alice", counterpartyId: "bob", amount: 1 });
+    assert.deepEqual(rulesOf(risk).sort(), ["repeatCounterparty", "velocity"]);
+    assert.equal(risk.score, 50);
+    assert.equal(risk.decision, "review");
+  });
+
+  it("flags daily volume", () => {
+    const risk = evaluateFraudRisk(db, { action: "transfer", userId: "alice", counterpartyId: "bob", amount: 6000 });
+    assert.deepEqual(rulesOf(risk), ["velocity"]);
+    assert.match(risk.explanation, /6000 CC sent in 24 hours/);
+  });
+
+  it("accepts rule overrides", () => {
+    send(db, "alice", "bob");
+    const risk = evaluateFraudRisk(db, {
+      action: "transfer", userId: "alice", counterpartyId: "bob", amount: 1,
+      rules: { reviewThreshold: 20, repeatCounterparty: { maxTrades: 1 } },
+    });
+    assert.equal(risk.decision, "review");
+  });
+});
+
+describe("citation farming", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("holds self-citations", () => {
+    const risk = evaluateFraudRisk(db, { action: "citation", userId: "alice", counterpartyId: "alice" });
+    assert.equal(risk.decision, "review");
+    assert.match(risk.explanation, /cites their own work/);
+  });
+
+  it("flags citing an account linked by ledger flows and citation bursts", () => {
+    fund(db, "alice", 100);
+    send(db, "alice", "sock");
+    for (let i = 0; i < 5; i++) {
+      registerCitation(db, { childId: `c${i}`, parentId: `p${i}`, creatorId: "alice", parentCreatorId: "sock" });
+    }
+    const risk = evaluateFraudRisk(db, { action: "citation", userId: "alice", counterpartyId: "sock" });
+    assert.equal(risk.score, 50);
+    assert.equal(risk.signals.length, 2);
+  });
+
+  it("registers a held citation when approved", () => {
+    const citation = { childId: "song", parentId: "beat", creatorId: "alice", parentCreatorId: "alice" };
+    const screen = screenTransaction(db, {
+      action: "citation", userId: "alice", counterpartyId: "alice", payload: citation,
+    });
+    assert.equal(screen.error, "held_for_review");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM royalty_lineage").get().c, 0);
+
+    const approved = approveFraudReview(db, { reviewId: screen.reviewId, reviewerId: "admin" });
+    assert.equal(approved.ok, true);
+    assert.equal(approved.review.status, "approved");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM royalty_lineage").get().c, 1);
+  });
+});
+
+// ── Review queue ─────────────────────────────────────────────────────────────
+
+describe("held transfers", () => {
+  let db;
+  const strict = { reviewThreshold: 1, repeatCounterparty: { maxTrades: 1 } };
+
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "alice", 100);
+    send(db, "alice", "bob", 10);
+  });
+  afterEach(() => { db.close(); });
+
+  function hold(amount = 20) {
+    const payload = { from: "alice", to: "bob", amount, type: "TRANSFER", metadata: {} };
+    return screenTransaction(db, {
+      action: "transfer", userId: "alice", counterpartyId: "bob", amount, payload, rules: strict,
+    });
+  }
+
+  it("stores the payload and explanation without moving coins", () => {
+    const screen = hold();
+    assert.equal(screen.ok, false);
+    assert.equal(screen.held, true);
+    assert.equal(getBalance(db, "alice").balance, 90);
+
+    const review = getFraudReview(db, screen.reviewId);
+    assert.equal(review.status, "pending");
+    assert.equal(review.payload.amount, 20);
+    assert.match(review.explanation, /transactions with bob/);
+    assert.equal(listFraudReviews(db, { status: "pending" }).total, 1);
+  });
+
+  it("executes the transfer exactly once on approval", () => {
+    const { reviewId } = hold();
+    const approved = approveFraudReview(db, { reviewId, reviewerId: "admin", note: "known customers" });
+    assert.equal(approved.ok, true);
+    assert.equal(getBalance(db, "alice").balance, 70);
+    assert.equal(approved.review.reviewNote, "known customers");
+    assert.ok(approved.review.result.batchId);
+
+    assert.equal(approveFraudReview(db, { reviewId, reviewerId: "admin" }).error, "fraud_review_not_pending");
+    assert.equal(getBalance(db, "alice").balance, 70);
+  });
+
+  it("records a failed replay when the sender can no longer pay", () => {
+    const { reviewId } = hold(80);
+    send(db, "alice", "carol", 50);
+    const approved = approveFraudReview(db, { reviewId, reviewerId: "admin" });
+    assert.equal(approved.ok, false);
+    assert.equal(approved.error, "insufficient_balance");
+    assert.equal(getFraudReview(db, reviewId).status, "failed");
+  });
+
+  it("drops the transfer on rejection", () => {
+    const { reviewId } = hold();
+    assert.equal(rejectFraudReview(db, { reviewId, reviewerId: "admin" }).review.status, "rejected");
+    assert.equal(getBalance(db, "alice").balance, 90);
+    assert.equal(rejectFraudReview(db, { reviewId: "frv_missing" }).error, "fraud_review_not_found");
+  });
+
+  it("scores but never holds before the review queue is migrated", () => {
+    const legacy = createTestDb({ reviews: false });
+    const screen = screenTransaction(legacy, {
+      action: "citation", userId: "alice", counterpartyId: "alice", payload: {},
+    });
+    assert.equal(screen.ok, true);
+    assert.equal(screen.held, false);
+    assert.equal(screen.decision, "review");
+    legacy.close();
+  });
+});
+
+describe("service-level screening", () => {
+  let db;
+
+  beforeEach(() => {
+    db = createTestDb();
+    db.exec(`
+      CREATE TABLE tips (
+        id TEXT PRIMARY KEY, tipper_id TEXT NOT NULL, creator_id TEXT NOT NULL, content_id TEXT NOT NULL,
+        content_type TEXT, lens_id TEXT, amount REAL NOT NULL, ledger_ref_id TEXT, created_at TEXT NOT NULL
+      )
+    `);
+    fund(db, "alice", 100);
+    // Ten quick trades with bob put the next one at the review threshold
+    for (let i = 0; i < 10; i++) send(db, "alice", "bob", 1);
+  });
+  afterEach(() => { db.close(); });
+
+  it("holds a transfer made straight through executeTransfer", () => {
+    const held = executeTransfer(db, { from: "alice", to: "bob", amount: 5, type: "TRANSFER" });
+    assert.equal(held.held, true);
+    assert.equal(getFraudReview(db, held.reviewId).action, "transfer");
+    assert.equal(getBalance(db, "alice").balance, 90);
+
+    const unscreened = executeTransfer(db, { from: "alice", to: "bob", amount: 5, type: "TRANSFER", screen: false });
+    assert.equal(unscreened.ok, true, unscreened.error);
+  });
+
+  it("holds a tip and records it once on approval", () => {
+    const held = tipContent(db, { tipperId: "alice", creatorId: "bob", contentId: "song", amount: 5 });
+    assert.equal(held.error, "held_for_review");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM tips").get().c, 0);
+
+    const approved = approveFraudReview(db, { reviewId: held.reviewId, reviewerId: "admin" });
+    assert.equal(approved.ok, true, approved.error);
+    assert.equal(getBalance(db, "alice").balance, 85);
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM tips").get().c, 1);
+  });
+
+  it("holds a crew contract escrow and tags the crew member once on approval", () => {
+    migrateLegal(db);
+    migrateFilm(db);
+    migrateEscrow(db);
+    db.exec("CREATE TABLE creative_artifacts (id TEXT PRIMARY KEY); INSERT INTO creative_artifacts (id) VALUES ('art1')");
+    db.prepare("INSERT INTO film_dtus (id, artifact_id, creator_id, film_type) VALUES ('film1', 'art1', 'alice', 'short')").run();
+
+    const held = addCrewMember(db, {
+      filmDtuId: "film1", creatorId: "alice", userId: "bob", role: "cinematographer", contract: { amount: 20 },
+    });
+    assert.equal(held.error, "held_for_review");
+    assert.equal(getFraudReview(db, held.reviewId).action, "escrow");
+    assert.equal(listFilmCrew(db, "film1").length, 0);
+    assert.equal(getBalance(db, "alice").balance, 90);
+
+    const approved = approveFraudReview(db, { reviewId: held.reviewId, reviewerId: "admin" });
+    assert.equal(approved.ok, true, approved.error);
+    assert.equal(approved.result.escrow.amount, 20);
+    assert.equal(listFilmCrew(db, "film1").length, 1);
+    assert.equal(getBalance(db, "alice").balance, 70);
+  });
+});
+
+describe("withdrawal screening", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("lets established accounts withdraw without review", () => {
+    fund(db, "alice", 500);
+    ageLedger(db);
+    const result = requestWithdrawal(db, { userId: "alice", amount: 450 });
+    assert.equal(result.ok, true);
+    assert.equal(result.underReview, undefined);
+    assert.equal(approveWithdrawal(db, { withdrawalId: result.withdrawal.id, reviewerId: "admin" }).ok, true);
+  });
+
+  it("holds a new account cashing out its balance until the review clears", () => {
+    fund(db, "alice", 500);
+    const result = requestWithdrawal(db, { userId: "alice", amount: 450 });
+    assert.equal(result.ok, true);
+    assert.equal(result.underReview, true);
+
+    const review = getFraudReview(db, result.reviewId);
+    assert.equal(review.subjectId, result.withdrawal.id);
+    assert.deepEqual(review.signals.map((s) => s.rule), ["newAccountCashout", "newAccountCashout"]);
+
+    assert.equal(approveWithdrawal(db, { withdrawalId: result.withdrawal.id, reviewerId: "admin" }).error,
+      "withdrawal_under_fraud_review");
+    approveFraudReview(db, { reviewId: result.reviewId, reviewerId: "admin" });
+    assert.equal(approveWithdrawal(db, { withdrawalId: result.withdrawal.id, reviewerId: "admin" }).ok, true);
+  });
+
+  it("rejects the withdrawal when the review is rejected", () => {
+    fund(db, "alice", 500);
+    const result = requestWithdrawal(db, { userId: "alice", amount: 450 });
+    rejectFraudReview(db, { reviewId: result.reviewId, reviewerId: "admin" });
+    const row = db.prepare("SELECT status FROM economy_withdrawals WHERE id = ?").get(result.withdrawal.id);
+    assert.equal(row.status, "rejected");
+  });
+
+  it("spots coins that went around a ring before being cashed out", () => {
+    for (const u of ["alice", "bob", "carol"]) fund(db, u, 500);
+    ageLedger(db);
+    send(db, "alice", "bob");
+    send(db, "bob", "carol");
+    send(db, "carol", "alice");
+
+    const risk = evaluateFraudRisk(db, { action: "withdrawal", userId: "alice", amount: 20 });
+    assert.deepEqual(risk.signals.find((s) => s.rule === "circularFlow").path, ["alice", "bob", "carol", "alice"]);
+  });
+});
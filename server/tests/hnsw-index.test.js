@@ -0,0 +1,155 @@
+/**
+ * HNSW Index Test Suite
+ *
+ * Tests the approximate nearest-neighbour graph behind embeddings.js:
+ *   - recall against exact search, filtered search
+ *   - replacing and removing vectors
+ *   - binary snapshots and restoring them against a vector store
+ */
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHnswIndex, loadHnswIndex } from "../lib/hnsw-index.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const DIM = 32;
+
+function rng(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s / 2147483648 - 0.5;
+  };
+}
+
+function randomVectors(n, seed) {
+  const next = rng(seed);
+  const vectors = new Map();
+  for (let i = 0; i < n; i++) vectors.set(`dtu_${i}`, Float64Array.from({ length: DIM }, next));
+  return vectors;
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / Math.sqrt(na * nb);
+}
+
+function exactTopK(vectors, query, k, filter = () => true) {
+  return [...vectors]
+    .filter(([id]) => filter(id))
+    .map(([id, v]) => [id, cosine(query, v)])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([id]) => id);
+}
+
+function meanRecall(index, vectors, queries, k, filter) {
+  let total = 0;
+  for (const q of queries) {
+    const exact = new Set(exactTopK(vectors, q, k, filter));
+    total += index.search(q, k, { filter }).filter((r) => exact.has(r.id)).length / k;
+  }
+  return total / queries.length;
+}
+
+let vectors;
+let index;
+let queries;
+
+before(() => {
+  vectors = randomVectors(1500, 1);
+  index = createHnswIndex({ dim: DIM, M: 12, efConstruction: 100 });
+  for (const [id, v] of vectors) index.add(id, v);
+  queries = [...randomVectors(30, 99).values()];
+});
+
+// ── Search ──────────────────────────────────────────────────────────────────
+
+describe("createHnswIndex — search", () => {
+  it("finds the true nearest neighbours with high recall", () => {
+    assert.equal(index.size, 1500);
+    assert.ok(meanRecall(index, vectors, queries, 10) >= 0.9);
+    const [top] = index.search(vectors.get("dtu_42"), 1);
+    assert.equal(top.id, "dtu_42");
+    assert.ok(Math.abs(top.similarity - 1) < 1e-9);
+  });
+
+  it("only returns ids the filter accepts", () => {
+    const filter = (id) => Number(id.split("_")[1]) % 4 === 0;
+    const results = index.search(queries[0], 10, { filter });
+    assert.equal(results.length, 10);
+    assert.ok(results.every((r) => filter(r.id)));
+    assert.ok(meanRecall(index, vectors, queries, 10, filter) >= 0.9);
+  });
+
+  it("rejects vectors of the wrong dimension or zero length", () => {
+    assert.equal(index.add("bad", new Float64Array(DIM + 1)), false);
+    assert.equal(index.add("zero", new Float64Array(DIM)), false);
+    assert.deepEqual(index.search(new Float64Array(3), 5), []);
+    assert.throws(() => createHnswIndex({ dim: 0 }), TypeError);
+  });
+});
+
+// ── Updates ─────────────────────────────────────────────────────────────────
+
+describe("createHnswIndex — updates", () => {
+  it("replaces a vector when an id is re-added", () => {
+    const local = createHnswIndex({ dim: DIM });
+    const small = randomVectors(200, 5);
+    for (const [id, v] of small) local.add(id, v);
+    const target = small.get("dtu_7");
+    local.add("dtu_3", target);
+    assert.equal(local.size, 200);
+    assert.deepEqual(local.search(target, 2).map((r) => r.id).sort(), ["dtu_3", "dtu_7"]);
+  });
+
+  it("keeps recall after removing a fifth of the graph", () => {
+    const local = createHnswIndex({ dim: DIM, M: 12, efConstruction: 100 });
+    const copy = new Map(vectors);
+    for (const [id, v] of copy) local.add(id, v);
+    for (let i = 0; i < 300; i++) {
+      assert.equal(local.remove(`dtu_${i * 5}`), true);
+      copy.delete(`dtu_${i * 5}`);
+    }
+    assert.equal(local.remove("dtu_0"), false);
+    assert.equal(local.size, 1200);
+    assert.ok(local.search(queries[1], 20).every((r) => copy.has(r.id)));
+    assert.ok(meanRecall(local, copy, queries, 10) >= 0.85);
+
+    local.compact();
+    assert.equal(local.stats().slots, 1200);
+    assert.ok(meanRecall(local, copy, queries, 10) >= 0.85);
+  });
+});
+
+// ── Snapshots ───────────────────────────────────────────────────────────────
+
+describe("serialize / loadHnswIndex", () => {
+  it("restores the same graph from a snapshot", () => {
+    const buf = index.serialize({ model: "nomic-embed-text" });
+    const loaded = loadHnswIndex(buf, { getVector: (id) => vectors.get(id) || null });
+    assert.equal(loaded.ok, true);
+    assert.equal(loaded.meta.model, "nomic-embed-text");
+    assert.equal(loaded.index.size, 1500);
+    for (const q of queries.slice(0, 5)) {
+      assert.deepEqual(loaded.index.search(q, 10), index.search(q, 10));
+    }
+  });
+
+  it("drops ids whose vectors are gone and rejects foreign data", () => {
+    const buf = index.serialize();
+    const loaded = loadHnswIndex(buf, { getVector: (id) => (id === "dtu_1" ? null : vectors.get(id)) });
+    assert.equal(loaded.missing, 1);
+    assert.equal(loaded.index.has("dtu_1"), false);
+    assert.ok(loaded.index.search(vectors.get("dtu_1"), 10).every((r) => r.id !== "dtu_1"));
+
+    assert.equal(loadHnswIndex(Buffer.from("not a snapshot"), { getVector: () => null }).error, "not_an_hnsw_snapshot");
+    assert.match(loadHnswIndex(buf.subarray(0, 40), { getVector: () => null }).error, /^corrupt_snapshot/);
+  });
+});
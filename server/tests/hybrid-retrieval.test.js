@@ -0,0 +1,194 @@
+/**
+ * Hybrid Retrieval Test Suite
+ *
+ * Tests BM25 + vector fusion:
+ *   - reciprocal-rank fusion and per-lens weights
+ *   - lexical-only ranking while the embedding model is down
+ *   - fused ranking once embeddings are up
+ *   - rerankers (custom, cross-encoder, utility brain) and their failure modes
+ *   - the chat pipeline's ranked source
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  RRF_K, reciprocalRankFusion, getLensWeights, setLensWeights, initHybridRetrieval, hybridSearch,
+  indexDTUForRetrieval, removeDTUFromRetrieval, createCrossEncoderReranker, createBrainReranker, getHybridStatus,
+} from "../lib/hybrid-retrieval.js";
+import { initEmbeddings, storeEmbedding } from "../embeddings.js";
+import { setBrainTransport } from "../lib/brain-backends.js";
+import { createFakeBrain } from "../lib/fake-brain.js";
+import { harvestHybridSource } from "../lib/chat-context-pipeline.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const DIM = 8;
+const QUERY_VEC = Array.from({ length: DIM }, (_, i) => (i === 0 ? 1 : 0));
+
+const DTUS = [
+  { id: "pump", title: "Hydraulic pump XJ-2200-B seal replacement", human: { summary: "Replace the seal on pump XJ-2200-B every 500 hours." }, tags: ["engineering"] },
+  { id: "care", title: "Pump maintenance overview", human: { summary: "General pump care, seals and bearings." }, tags: ["engineering"] },
+  { id: "leaks", title: "Why hydraulic systems leak", human: { summary: "Worn gaskets and fittings let fluid escape under pressure." }, tags: ["engineering"] },
+  { id: "1983", title: "Civil rights claims", core: { definitions: ["42 U.S.C. § 1983 provides a cause of action"] }, tags: ["legal"] },
+  { id: "summary", title: "Mechanical systems overview", tier: "mega", human: { summary: "Pumps, valves and seals." }, tags: ["engineering"] },
+];
+
+const log = () => {};
+const ids = (results) => results.map((r) => r.id);
+
+const realFetch = globalThis.fetch;
+
+before(() => {
+  initHybridRetrieval({ dtus: DTUS, structuredLog: log });
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  setBrainTransport(null);
+});
+
+// ── Fusion ───────────────────────────────────────────────────────────────────
+
+describe("reciprocalRankFusion", () => {
+  it("sums weighted reciprocal ranks across sources", () => {
+    const fused = reciprocalRankFusion(
+      { lexical: [{ id: "a" }, { id: "b" }], semantic: [{ id: "b" }, { id: "c" }, { id: "b" }] },
+      { weights: { lexical: 2, semantic: 1 } },
+    );
+    assert.deepEqual(ids(fused), ["b", "a", "c"]);
+    assert.deepEqual(fused[0].ranks, { lexical: 2, semantic: 1 });
+    assert.equal(fused[0].score, 2 / (RRF_K + 2) + 1 / (RRF_K + 1));
+    assert.deepEqual(ids(reciprocalRankFusion({ lexical: [{ id: "a" }], semantic: [{ id: "c" }] }, { weights: { lexical: 0 } })), ["c"]);
+  });
+
+  it("looks up and validates per-lens weights", () => {
+    assert.ok(getLensWeights("Legal").lexical > getLensWeights("legal").semantic);
+    assert.deepEqual(getLensWeights("unknown-lens"), getLensWeights(null));
+    assert.deepEqual(setLensWeights("robotics", { lexical: 1.6 }).weights, { lexical: 1.6, semantic: 1 });
+    assert.equal(getLensWeights("robotics").lexical, 1.6);
+    assert.equal(setLensWeights("robotics", { semantic: -1 }).error, "invalid_weight: semantic");
+    assert.equal(setLensWeights("", {}).error, "lens_required");
+  });
+});
+
+// ── Search ───────────────────────────────────────────────────────────────────
+
+describe("hybridSearch — embeddings down", () => {
+  it("ranks by BM25 alone", async () => {
+    const before = getHybridStatus().metrics.lexicalOnly;
+    const results = await hybridSearch("XJ-2200-B seal", DTUS, { topK: 3 });
+    assert.equal(results[0].id, "pump");
+    assert.deepEqual(Object.keys(results[0].ranks), ["lexical"]);
+    assert.equal(getHybridStatus().metrics.lexicalOnly, before + 1);
+  });
+
+  it("filters by lens tag, keeping MEGA/HYPER DTUs", async () => {
+    assert.deepEqual(ids(await hybridSearch("pump seals cause of action", DTUS, { lens: "legal" })).sort(), ["1983", "summary"]);
+    const unfiltered = await hybridSearch("pump seals cause of action", DTUS, { lens: "legal", lensFilter: false });
+    assert.ok(unfiltered.some((r) => r.id === "pump"));
+  });
+
+  it("follows index and removal hooks", async () => {
+    indexDTUForRetrieval({ id: "valve", title: "Check valve CV-77 torque", tags: ["engineering"] });
+    const pool = [...DTUS, { id: "valve", title: "Check valve CV-77 torque", tags: ["engineering"] }];
+    assert.equal((await hybridSearch("CV-77", pool))[0].id, "valve");
+    removeDTUFromRetrieval("valve");
+    assert.deepEqual(await hybridSearch("CV-77", pool), []);
+  });
+});
+
+describe("hybridSearch — embeddings up", () => {
+  before(async () => {
+    globalThis.fetch = async () => ({ ok: true, json: async () => ({ embedding: QUERY_VEC }) });
+    await initEmbeddings({ db: null, ollamaUrls: ["http://embed:11434"], structuredLog: log });
+    // "leaks" shares no terms with the query but is the closest vector
+    const vectors = { leaks: [1, 0.1], pump: [0.6, 0.8], care: [0.5, 0.9], 1983: [0, 1], summary: [0.3, 1] };
+    for (const [id, v] of Object.entries(vectors)) {
+      storeEmbedding(id, Float64Array.from({ length: DIM }, (_, i) => v[i] ?? 0));
+    }
+  });
+
+  it("fuses lexical and semantic rankings", async () => {
+    const results = await hybridSearch("hydraulic seal failure", DTUS, { topK: 5 });
+    const leaks = results.find((r) => r.id === "leaks");
+    assert.equal(leaks.ranks.semantic, 1);
+    assert.equal(results[0].id, "pump");
+    assert.ok(results[0].ranks.lexical && results[0].ranks.semantic);
+  });
+
+  it("lets weights hand the ranking to one source", async () => {
+    const semanticOnly = await hybridSearch("hydraulic seal failure", DTUS, { topK: 2, weights: { lexical: 0 } });
+    assert.equal(semanticOnly[0].id, "leaks");
+    const lexicalOnly = await hybridSearch("hydraulic seal failure", DTUS, { topK: 5, weights: { semantic: 0 } });
+    assert.ok(lexicalOnly.every((r) => r.ranks.lexical));
+  });
+});
+
+// ── Reranking ────────────────────────────────────────────────────────────────
+
+describe("reranking", () => {
+  after(() => initHybridRetrieval({ dtus: DTUS, structuredLog: log }));
+
+  it("reorders the fused head with a custom reranker", async () => {
+    const seen = [];
+    initHybridRetrieval({
+      dtus: DTUS, structuredLog: log,
+      reranker: async (_query, docs) => {
+        seen.push(...docs);
+        return docs.map((d) => (d.id === "care" ? 10 : 1));
+      },
+    });
+    const results = await hybridSearch("pump seal", DTUS, { topK: 3 });
+    assert.equal(results[0].id, "care");
+    assert.equal(results[0].rerankScore, 10);
+    assert.match(seen.find((d) => d.id === "care").text, /^Pump maintenance overview: General pump care/);
+    assert.equal((await hybridSearch("pump seal", DTUS, { topK: 3, rerank: false }))[0].id, "pump");
+    assert.equal(getHybridStatus().reranker, "custom");
+  });
+
+  it("keeps the fused order when the reranker fails", async () => {
+    initHybridRetrieval({ dtus: DTUS, structuredLog: log, reranker: async () => { throw new Error("down"); } });
+    const before = getHybridStatus().metrics.rerankFailures;
+    assert.equal((await hybridSearch("pump seal", DTUS, { topK: 3 }))[0].id, "pump");
+    assert.equal(getHybridStatus().metrics.rerankFailures, before + 1);
+  });
+
+  it("scores passages with a cross-encoder /rerank endpoint", async () => {
+    const calls = [];
+    const fetchImpl = async (url, init) => {
+      calls.push({ url, body: JSON.parse(init.body) });
+      return { ok: true, json: async () => [{ index: 1, score: 0.9 }, { index: 0, score: 0.2 }] };
+    };
+    const rerank = createCrossEncoderReranker({ url: "http://reranker:8080/", fetchImpl });
+    assert.deepEqual(await rerank("q", [{ id: "a", text: "A" }, { id: "b", text: "B" }]), [0.2, 0.9]);
+    assert.equal(calls[0].url, "http://reranker:8080/rerank");
+    assert.deepEqual(calls[0].body.texts, ["A", "B"]);
+
+    const failing = createCrossEncoderReranker({ url: "http://reranker:8080", fetchImpl: async () => ({ ok: false }) });
+    assert.equal(await failing("q", [{ id: "a", text: "A" }]), null);
+  });
+
+  it("scores passages with the utility brain", async () => {
+    setBrainTransport(createFakeBrain({
+      rules: [{ brain: "utility", match: /Rate how relevant/, respond: { scores: [2, 9] } }],
+      heartbeatRules: false,
+    }));
+    const rerank = createBrainReranker();
+    assert.deepEqual(await rerank("q", [{ id: "a", text: "A" }, { id: "b", text: "B" }]), [2, 9]);
+    // A score list that does not line up with the passages is unusable
+    assert.equal(await rerank("q", [{ id: "a", text: "A" }]), null);
+  });
+});
+
+// ── Chat pipeline source ─────────────────────────────────────────────────────
+
+describe("harvestHybridSource", () => {
+  it("returns DTUs from STATE as a ranked source without lens filtering", async () => {
+    const STATE = { dtus: new Map(DTUS.map((d) => [d.id, d])) };
+    const source = await harvestHybridSource(STATE, { prompt: "XJ-2200-B", lens: "legal", topK: 3 });
+    assert.equal(source.name, "hybrid");
+    assert.equal(source.items[0].dtu.id, "pump");
+    assert.equal(source.items[0].score, 1);
+    assert.ok(source.items.every((item, i) => i === 0 || item.score < source.items[i - 1].score));
+  });
+});
@@ -0,0 +1,189 @@
+// tests/ledger-export.test.js
+// Accounting exports: CSV / OFX / IIF rendering, user and platform scopes,
+// date ranges, fiat conversion and per-type category mapping.
+//
+// Run: node --test tests/ledger-export.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { getBalance } from "../economy/balances.js";
+import { executeTransfer } from "../economy/transfer.js";
+import { distributeFee } from "../economy/fee-split.js";
+import { registerCitation, distributeRoyalties } from "../economy/royalty-cascade.js";
+import { exportLedger, resolveTypeMap } from "../economy/ledger-export.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE audit_log (
+      id TEXT PRIMARY KEY, timestamp TEXT, category TEXT, action TEXT, user_id TEXT,
+      ip_address TEXT, user_agent TEXT, request_id TEXT, path TEXT, method TEXT,
+      status_code TEXT, details TEXT
+    );
+  `);
+  migrateEconomic(db);
+  migrateBalances(db);
+  return db;
+}
+
+function text(result) {
+  return result.body.toString("utf-8");
+}
+
+// Ledger rows are written with the real clock; tests move them into fixed days.
+function seed(db) {
+  recordTransaction(db, { type: "TOKEN_PURCHASE", to: "alice", amount: 100, net: 100 });
+  db.prepare("UPDATE economy_ledger SET created_at = '2030-01-05 10:00:00.000'").run();
+
+  executeTransfer(db, { from: "alice", to: "bob", amount: 40, type: "TRANSFER", metadata: { description: "Rent share" } });
+  db.prepare("UPDATE economy_ledger SET created_at = '2030-01-20 09:30:00.000' WHERE type = 'TRANSFER'").run();
+
+  registerCitation(db, { childId: "song", parentId: "beat", creatorId: "alice", parentCreatorId: "producer" });
+  distributeRoyalties(db, { contentId: "song", transactionAmount: 10, sourceTxId: "tx_sale", sellerId: "alice" });
+  db.prepare("UPDATE economy_ledger SET created_at = '2030-02-03 15:00:00.000' WHERE type = 'ROYALTY'").run();
+  db.prepare("UPDATE royalty_payouts SET created_at = '2030-02-03 15:00:00.000'").run();
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("exportLedger validation", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("rejects bad formats, scopes, ranges and type maps", () => {
+    assert.equal(exportLedger(db, { userId: "alice", format: "xlsx" }).error, "invalid_format");
+    assert.equal(exportLedger(db, { scope: "galaxy" }).error, "invalid_scope");
+    assert.equal(exportLedger(db, { format: "csv" }).error, "missing_user_id");
+    assert.equal(exportLedger(db, { userId: "alice", from: "2030-02-01", to: "2030-01-01" }).error, "invalid_date_range");
+    assert.equal(exportLedger(db, { userId: "alice", from: "yesterday-ish" }).error, "invalid_date_range");
+    assert.equal(exportLedger(db, { userId: "alice", typeMap: { TRANSFER: { ofx: "BRIBE" } } }).error, "invalid_ofx_type");
+    assert.equal(resolveTypeMap({ transfer: "x" }).error, "invalid_type_map");
+  });
+});
+
+describe("user statements", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); seed(db); });
+  afterEach(() => { db.close(); });
+
+  it("CSV lists the wallet's side of each transaction, oldest first, and totals to the balance", () => {
+    const result = exportLedger(db, { userId: "alice", format: "csv" });
+    assert.equal(result.ok, true);
+    assert.equal(result.contentType, "text/csv; charset=utf-8");
+
+    const [header, ...lines] = text(result).split("\n");
+    assert.ok(header.startsWith("date,transaction_id,type,category,direction"));
+    assert.deepEqual(lines.map((l) => l.split(",")[2]), ["TOKEN_PURCHASE", "TRANSFER", "ROYALTY"]);
+
+    const transfer = lines[1].split(",");
+    assert.equal(transfer[3], "Transfers Out");
+    assert.equal(transfer[5], "bob");
+    assert.equal(transfer[6], "-40.00");
+    assert.equal(result.totals.net, getBalance(db, "alice").balance);
+  });
+
+  it("annotates royalty income from the payout records", () => {
+    const result = exportLedger(db, { userId: "producer", format: "csv" });
+    const [, line] = text(result).split("\n");
+    assert.match(line, /Royalty Income/);
+    assert.match(line, /Royalty on beat \(generation 1/);
+  });
+
+  it("filters by date range, with a bare end date covering the whole day", () => {
+    const january = exportLedger(db, { userId: "alice", from: "2030-01-01", to: "2030-01-20" });
+    assert.equal(january.entryCount, 2);
+    assert.equal(january.filename, "concord-statement-2030-01-01_2030-01-20.csv");
+
+    const february = exportLedger(db, { userId: "alice", from: "2030-02-01T00:00:00Z" });
+    assert.equal(february.entryCount, 1);
+  });
+
+  it("applies type map overrides", () => {
+    const result = exportLedger(db, {
+      userId: "alice", format: "csv", typeMap: { TRANSFER: { out: "Household" }, TOKEN_PURCHASE: "Top-ups" },
+    });
+    const body = text(result);
+    assert.match(body, /,Household,/);
+    assert.match(body, /,Top-ups,/);
+  });
+
+  it("renders an OFX statement with signed fiat amounts and the closing balance", () => {
+    const result = exportLedger(db, { userId: "alice", format: "ofx", to: "2030-01-31" });
+    const body = text(result);
+    assert.match(body, /^<\?xml version="1.0"/);
+    assert.match(body, /<ACCTID>alice<\/ACCTID>/);
+    assert.match(body, /<TRNTYPE>DEP<\/TRNTYPE>\n<DTPOSTED>20300105100000.000\[0:GMT\]<\/DTPOSTED>\n<TRNAMT>100.00<\/TRNAMT>/);
+    assert.match(body, /<TRNTYPE>XFER<\/TRNTYPE>[\s\S]*?<TRNAMT>-40.00<\/TRNAMT>[\s\S]*?<MEMO>Transfers Out — Rent share<\/MEMO>/);
+    assert.match(body, /<LEDGERBAL><BALAMT>60.00<\/BALAMT><DTASOF>20300131235959.999\[0:GMT\]<\/DTASOF><\/LEDGERBAL>/);
+    assert.equal((body.match(/<STMTTRN>/g) || []).length, 2);
+  });
+
+  it("renders balanced IIF journal entries", () => {
+    const result = exportLedger(db, { userId: "alice", format: "iif" });
+    const lines = text(result).split("\r\n").filter(Boolean);
+    assert.equal(lines[0].split("\t")[0], "!TRNS");
+    assert.equal(lines[2], "!ENDTRNS");
+
+    const transfer = lines.slice(3).map((l) => l.split("\t")).filter((f) => f[0] !== "ENDTRNS" && f[7]?.length);
+    const trns = transfer.find((f) => f[0] === "TRNS" && f[6] === "-40.00");
+    assert.ok(trns);
+    assert.equal(trns[3], "01/20/2030");
+    assert.equal(trns[4], "Concord Coin Wallet");
+
+    let sum = 0;
+    for (const f of transfer) sum += Math.round(parseFloat(f[6]) * 100);
+    assert.equal(sum, 0);
+  });
+});
+
+describe("platform fee export", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    distributeFee(db, { feeAmount: 1.01, sourceTxId: "tx_a" });
+    distributeFee(db, { feeAmount: 4, sourceTxId: "tx_b" });
+  });
+  afterEach(() => { db.close(); });
+
+  it("CSV carries the reserves / operating / payroll split", () => {
+    const result = exportLedger(db, { scope: "platform", format: "csv" });
+    const [header, ...lines] = text(result).split("\n");
+    assert.ok(header.endsWith("reserves_cc,operating_cc,payroll_cc"));
+    assert.ok(lines.find((l) => l.includes(",tx_a,")).endsWith("0.81,0.10,0.10"));
+    assert.equal(result.totals.in, 5.01);
+  });
+
+  it("IIF splits each fee into fund accounts that balance to the cent", () => {
+    const lines = text(exportLedger(db, { scope: "platform", format: "iif" })).split("\r\n").slice(3);
+    const first = lines.slice(0, lines.indexOf("ENDTRNS")).map((l) => l.split("\t"));
+    assert.equal(first[0][4], "Concord Coin:Platform Fee Pool");
+    assert.deepEqual(first.slice(1).map((f) => f[4]), [
+      "Fee Revenue:Reserves Fund", "Fee Revenue:Operating Fund", "Fee Revenue:Payroll Fund",
+    ]);
+    assert.equal(first.reduce((s, f) => s + Math.round(parseFloat(f[6]) * 100), 0), 0);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Lexical Index Test Suite
+ *
+ * Tests the BM25 keyword index behind hybrid retrieval:
+ *   - tokenization keeps exact identifiers (part numbers, citations)
+ *   - FTS5 and in-memory backends rank identically
+ *   - fingerprint-based re-indexing, removal and pruning sync
+ */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up } from "../migrations/046_lexical_index.js";
+import { tokenize, lexicalDocument, createLexicalIndex } from "../lib/lexical-index.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const DTUS = [
+  { id: "pump", title: "Hydraulic pump XJ-2200-B seal replacement", human: { summary: "Replace the seal on pump XJ-2200-B every 500 hours." }, tags: ["engineering"] },
+  { id: "care", title: "Pump maintenance overview", human: { summary: "General pump care, seals and bearings. See XJ-2100." }, tags: ["engineering"] },
+  { id: "1983", title: "Civil rights claims", core: { definitions: ["42 U.S.C. § 1983 provides a cause of action"] }, tags: ["legal"] },
+  { id: "metformin", title: "Type 2 diabetes", human: { bullets: ["Metformin 500 mg twice daily"] }, tags: ["healthcare"] },
+  { id: "tides", title: "Tidal energy", cretiHuman: "Tides move water twice a day; turbines capture the flow.", tags: ["energy"] },
+];
+
+function migratedDb() {
+  const db = new Database(":memory:");
+  up(db);
+  return db;
+}
+
+// ── Tokenization ─────────────────────────────────────────────────────────────
+
+describe("tokenize", () => {
+  it("keeps compound identifiers as parts and as one joined term", () => {
+    assert.deepEqual(tokenize("Seal for XJ-2200-B"), ["seal", "xj", "2200", "xj2200b"]);
+    assert.deepEqual(tokenize("42 U.S.C. § 1983"), ["42", "usc", "1983"]);
+  });
+
+  it("drops stopwords and single letters but keeps numbers", () => {
+    assert.deepEqual(tokenize("What is the dose of a 5 mg tablet?"), ["dose", "5", "mg", "tablet"]);
+    assert.deepEqual(tokenize(""), []);
+  });
+});
+
+describe("lexicalDocument", () => {
+  it("reads human and core layers, falling back to the rendered human text", () => {
+    const doc = lexicalDocument(DTUS[2]);
+    assert.match(doc.core, /1983/);
+    assert.equal(doc.tags, "legal");
+    assert.match(lexicalDocument(DTUS[4]).human, /turbines/);
+  });
+});
+
+// ── Ranking ──────────────────────────────────────────────────────────────────
+
+describe("createLexicalIndex — ranking", () => {
+  const backends = {
+    fts5: () => createLexicalIndex({ db: migratedDb() }),
+    memory: () => createLexicalIndex(),
+  };
+
+  for (const [name, make] of Object.entries(backends)) {
+    it(`${name}: finds exact identifiers and ranks the full match first`, () => {
+      const index = make();
+      assert.equal(index.backend, name);
+      index.sync(DTUS);
+      assert.equal(index.size, DTUS.length);
+      assert.deepEqual(index.search("XJ-2200-B", 5).map((r) => r.id), ["pump", "care"]);
+      assert.equal(index.search("section 1983 of 42 USC", 1)[0].id, "1983");
+      assert.equal(index.search("metformin", 1)[0].id, "metformin");
+      assert.deepEqual(index.search("the of and", 5), []);
+    });
+  }
+
+  it("both backends produce the same scores", () => {
+    const fts = backends.fts5();
+    const mem = backends.memory();
+    fts.sync(DTUS);
+    mem.sync(DTUS);
+    for (const q of ["pump seal", "XJ-2200-B", "twice daily", "energy"]) {
+      const a = fts.search(q, 5);
+      const b = mem.search(q, 5);
+      assert.deepEqual(a.map((r) => r.id), b.map((r) => r.id));
+      a.forEach((r, i) => assert.ok(Math.abs(r.score - b[i].score) < 1e-9));
+    }
+  });
+
+  it("applies the filter before cutting to topK", () => {
+    const index = backends.memory();
+    index.sync(DTUS);
+    const results = index.search("pump", 1, { filter: (id) => id !== "pump" });
+    assert.deepEqual(results.map((r) => r.id), ["care"]);
+  });
+});
+
+// ── Updates ──────────────────────────────────────────────────────────────────
+
+describe("createLexicalIndex — updates", () => {
+  let db;
+  let index;
+
+  beforeEach(() => {
+    db = migratedDb();
+    index = createLexicalIndex({ db });
+    index.sync(DTUS);
+  });
+
+  it("skips unchanged DTUs and re-indexes edited ones", () => {
+    assert.equal(index.upsert(DTUS[0]), false);
+    const edited = { ...DTUS[3], updatedAt: "2026-01-01T00:00:00Z", human: { bullets: ["Sitagliptin 100 mg daily"] } };
+    assert.equal(index.upsert(edited), true);
+    assert.deepEqual(index.search("metformin", 5), []);
+    assert.equal(index.search("sitagliptin", 1)[0].id, "metformin");
+    assert.equal(db.prepare("SELECT COUNT(*) AS n FROM dtu_lexical_fts").get().n, DTUS.length);
+  });
+
+  it("removes DTUs and prunes ids missing from a sync", () => {
+    assert.equal(index.remove("tides"), true);
+    assert.equal(index.remove("tides"), false);
+    assert.deepEqual(index.search("tidal", 5), []);
+
+    const { indexed, removed } = index.sync(DTUS.slice(0, 2), { prune: true });
+    assert.deepEqual([indexed, removed], [0, 2]);
+    assert.equal(index.size, 2);
+    assert.equal(index.has("1983"), false);
+  });
+
+  it("persists across index instances on the same database", () => {
+    const reopened = createLexicalIndex({ db });
+    assert.equal(reopened.size, DTUS.length);
+    assert.equal(reopened.sync(DTUS).indexed, 0);
+    assert.equal(reopened.search("turbines", 1)[0].id, "tides");
+  });
+});
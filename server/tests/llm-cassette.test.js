@@ -0,0 +1,148 @@
+/**
+ * LLM Cassette Test Suite
+ *
+ * Tests record/replay of brain calls through the brain-backends transport:
+ *   - prompt normalization and keying
+ *   - record → replay round trip, repeated prompts replayed in order
+ *   - replay-mode misses recorded, strict-mode misses reported
+ *   - probes answered without a backend when replaying
+ */
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { generateWithBrain, probeBrain, setBrainTransport, getBrainTransport } from "../lib/brain-backends.js";
+import { createCassette, cassetteKey, normalizePrompt, requestText } from "../lib/llm-cassette.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const brain = { name: "subconscious", provider: "ollama", url: "http://ollama:11434", model: "qwen2.5:1.5b", timeout: 1000 };
+
+// An Ollama that answers "reply N" to the Nth generate call
+function countingFetch() {
+  let n = 0;
+  const fetchImpl = async (url) => {
+    if (url.endsWith("/api/tags")) return { ok: true, status: 200, json: async () => ({ models: [] }) };
+    n++;
+    return { ok: true, status: 200, json: async () => ({ response: `reply ${n}`, eval_count: n }) };
+  };
+  return { fetchImpl, count: () => n };
+}
+
+let dir;
+beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "cassette-")); });
+afterEach(() => {
+  setBrainTransport(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ── Normalization ───────────────────────────────────────────────────────────
+
+describe("normalizePrompt / cassetteKey", () => {
+  it("masks timestamps, ids and whitespace", () => {
+    const a = normalizePrompt("At 2026-10-19T08:00:00.123Z  entity atlas_mgc1x2y3_0a1b2c3d4e5f\r\nsaid   hi ");
+    const b = normalizePrompt("At 2026-10-20T09:30:00Z entity atlas_mgc9z9z9_ffffffffffff\nsaid hi");
+    assert.equal(a, b);
+    assert.equal(a, "At <time> entity <id>\nsaid hi");
+  });
+
+  it("keys on brain, model, JSON mode and text but not sampling options", () => {
+    const call = { brain: "utility", model: "m", req: { prompt: "q", temperature: 0.1 } };
+    assert.equal(cassetteKey(call), cassetteKey({ ...call, req: { prompt: "q", temperature: 0.9, maxTokens: 5 } }));
+    assert.notEqual(cassetteKey(call), cassetteKey({ ...call, brain: "repair" }));
+    assert.notEqual(cassetteKey(call), cassetteKey({ ...call, model: "m2" }));
+    assert.notEqual(cassetteKey(call), cassetteKey({ ...call, req: { prompt: "q", json: true } }));
+  });
+
+  it("includes system and chat messages in the request text", () => {
+    assert.equal(requestText({ system: "s", messages: [{ role: "user", content: "u" }] }), "system: s\nuser: u");
+  });
+});
+
+// ── Record / replay ─────────────────────────────────────────────────────────
+
+describe("createCassette", () => {
+  it("rejects unknown modes and unreadable files", () => {
+    assert.equal(createCassette({ dir, mode: "rewind" }).error, "invalid_cassette_mode: rewind");
+    fs.writeFileSync(path.join(dir, "old.json"), JSON.stringify({ version: 99, entries: {} }));
+    assert.match(createCassette({ dir, name: "old" }).error, /unsupported version 99/);
+  });
+
+  it("records successful calls and replays them in order without the backend", async () => {
+    const live = countingFetch();
+    const rec = createCassette({ dir, name: "chat", mode: "record" });
+    setBrainTransport(rec);
+    await generateWithBrain(brain, { prompt: "dream at 2026-01-01T00:00:00Z" }, { fetchImpl: live.fetchImpl });
+    await generateWithBrain(brain, { prompt: "dream at 2026-01-01T00:05:00Z" }, { fetchImpl: live.fetchImpl });
+    await generateWithBrain(brain, { prompt: "other" }, { fetchImpl: live.fetchImpl });
+    assert.equal(live.count(), 3);
+    assert.deepEqual(rec.getStats().recorded, 3);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, "chat.json"), "utf8"));
+    assert.equal(Object.keys(saved.entries).length, 2);
+
+    const replay = createCassette({ dir, name: "chat", mode: "replay" });
+    setBrainTransport(replay);
+    const dead = countingFetch();
+    const outs = [];
+    for (let i = 0; i < 3; i++) {
+      outs.push((await generateWithBrain(brain, { prompt: "dream at 2027-05-05T12:00:00Z" }, { fetchImpl: dead.fetchImpl })).content);
+    }
+    assert.deepEqual(outs, ["reply 1", "reply 2", "reply 1"]);
+    assert.equal(dead.count(), 0);
+
+    const r = await generateWithBrain(brain, { prompt: "other" }, { fetchImpl: dead.fetchImpl });
+    assert.deepEqual([r.ok, r.content, r.tokens, r.provider, r.model], [true, "reply 3", 3, "ollama", "qwen2.5:1.5b"]);
+  });
+
+  it("replay mode sends misses to the backend and records them", async () => {
+    const replay = createCassette({ dir, name: "grow", mode: "replay" });
+    setBrainTransport(replay);
+    const live = countingFetch();
+    assert.equal((await generateWithBrain(brain, { prompt: "new" }, { fetchImpl: live.fetchImpl })).content, "reply 1");
+    assert.equal((await generateWithBrain(brain, { prompt: "new" }, { fetchImpl: live.fetchImpl })).content, "reply 1");
+    assert.equal(live.count(), 1);
+    assert.ok(fs.existsSync(path.join(dir, "grow.json")));
+  });
+
+  it("strict mode fails misses loudly and never calls the backend", async () => {
+    const strict = createCassette({ dir, name: "ci", mode: "strict" });
+    setBrainTransport(strict);
+    const live = countingFetch();
+    const errors = [];
+    const origError = console.error;
+    console.error = (msg) => errors.push(msg);
+    try {
+      const r = await generateWithBrain(brain, { prompt: "unrecorded" }, { fetchImpl: live.fetchImpl });
+      assert.deepEqual([r.ok, r.error], [false, "cassette_miss"]);
+    } finally {
+      console.error = origError;
+    }
+    assert.equal(live.count(), 0);
+    assert.match(errors[0], /MISS in strict mode/);
+    assert.equal(strict.getMisses()[0].brain, "subconscious");
+    assert.throws(() => strict.assertNoMisses(), /1 LLM cassette miss/);
+  });
+
+  it("answers probes when replaying, probes the backend when recording", async () => {
+    setBrainTransport(createCassette({ dir, mode: "strict" }));
+    const p = await probeBrain(brain, { fetchImpl: async () => { throw new Error("offline"); } });
+    assert.deepEqual([p.ok, p.transport], [true, "cassette"]);
+
+    setBrainTransport(createCassette({ dir, mode: "record" }));
+    const live = await probeBrain(brain, { fetchImpl: async () => { throw new Error("offline"); } });
+    assert.equal(live.ok, false);
+  });
+});
+
+describe("setBrainTransport", () => {
+  it("validates transports and can be cleared", () => {
+    assert.throws(() => setBrainTransport({}), TypeError);
+    setBrainTransport({ generate: async () => ({ ok: true, content: "" }) });
+    assert.ok(getBrainTransport());
+    setBrainTransport(null);
+    assert.equal(getBrainTransport(), null);
+  });
+});
@@ -207,3 +207,92 @@ describe("LLM Queue — Drain", () => {
     assert.ok(true);
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 9. Tenant Quotas
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("LLM Queue — Tenant Quotas", () => {
+  const quotas = { noisy: { share: 0.25, maxQueued: 3 }, quiet: { share: 0.5, maxQueued: 10 } };
+
+  it("caps a tenant at its share of concurrency slots", async () => {
+    let maxNoisy = 0;
+    let noisy = 0;
+    const q = createLLMQueue({ concurrency: 4, tenantQuota: (id) => quotas[id] });
+    const noisyTasks = Array.from({ length: 3 }, () =>
+      q.enqueue(async () => {
+        noisy++;
+        maxNoisy = Math.max(maxNoisy, noisy);
+        await delay(15);
+        noisy--;
+      }, PRIORITY.NORMAL, { tenantId: "noisy" })
+    );
+    const quietStarted = [];
+    const quietTasks = Array.from({ length: 2 }, (_, i) =>
+      q.enqueue(async () => { quietStarted.push(i); await delay(5); }, PRIORITY.NORMAL, { tenantId: "quiet" })
+    );
+
+    await delay(5);
+    assert.equal(quietStarted.length, 2, "quiet tenant runs while noisy waits for its slot");
+    await Promise.all([...noisyTasks, ...quietTasks]);
+    assert.equal(maxNoisy, 1);
+    assert.equal(q.getMetrics().byTenant.noisy.completed, 3);
+    assert.equal(q.getMetrics().byTenant.noisy.slots, 1);
+  });
+
+  it("rejects a tenant over its queued limit without touching others", async () => {
+    const q = createLLMQueue({ concurrency: 1, tenantQuota: (id) => quotas[id] });
+    const blocker = q.enqueue(slowFn(20), PRIORITY.NORMAL, { tenantId: "quiet" });
+    const queued = Array.from({ length: 3 }, () => q.enqueue(immediateFn(), PRIORITY.NORMAL, { tenantId: "noisy" }));
+    await assert.rejects(
+      () => q.enqueue(immediateFn(), PRIORITY.CRITICAL, { tenantId: "noisy" }),
+      { message: /llm_tenant_quota_exceeded/ }
+    );
+    assert.equal(await q.enqueue(immediateFn("ok"), PRIORITY.NORMAL, { tenantId: "quiet" }), "ok");
+    await Promise.all([blocker, ...queued]);
+    assert.equal(q.getMetrics().byTenant.noisy.rejected, 1);
+  });
+
+  it("charges the resolved tenant when none is passed", async () => {
+    const q = createLLMQueue({ concurrency: 1, tenantQuota: (id) => quotas[id], resolveTenant: () => "quiet" });
+    await q.wrap(async (x) => x)(1);
+    assert.equal(q.getMetrics().byTenant.quiet.completed, 1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 10. Cancellation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("LLM Queue — Cancellation", () => {
+  it("removes an aborted item before it takes a slot", async () => {
+    const q = createLLMQueue({ concurrency: 1 });
+    const blocker = q.enqueue(slowFn(20));
+    const ac = new AbortController();
+    let ran = false;
+    const waiting = q.enqueue(async () => { ran = true; }, PRIORITY.CRITICAL, { signal: ac.signal });
+    ac.abort();
+    await assert.rejects(waiting, { name: "AbortError", message: /llm_request_aborted/ });
+    await blocker;
+    assert.equal(ran, false);
+    assert.equal(q.getMetrics().byPriority.critical.aborted, 1);
+    assert.equal(q.getMetrics().totalQueued, 0);
+  });
+
+  it("rejects an already-aborted signal", async () => {
+    const q = createLLMQueue({ concurrency: 1 });
+    await assert.rejects(q.enqueue(immediateFn(), PRIORITY.NORMAL, { signal: AbortSignal.abort() }), { name: "AbortError" });
+  });
+
+  it("hands the signal to an in-flight call", async () => {
+    const q = createLLMQueue({ concurrency: 1 });
+    const ac = new AbortController();
+    const inflight = q.enqueue(({ signal }) => new Promise((resolve) => {
+      signal.addEventListener("abort", () => resolve("stopped"));
+    }), PRIORITY.CRITICAL, { signal: ac.signal });
+    await delay(5);
+    ac.abort();
+    assert.equal(await inflight, "stopped");
+    assert.equal(await q.enqueue(immediateFn("next")), "next");
+  });
+});
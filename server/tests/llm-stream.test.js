@@ -0,0 +1,188 @@
+/**
+ * LLM Token Streaming Tests
+ *
+ * Verifies: NDJSON parsing across chunk boundaries, Ollama stream relay,
+ * abort propagation, and the transport-agnostic relay's fallback chunking.
+ * Run: node --test tests/llm-stream.test.js
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { readNDJSON, streamOllamaChat, relayChatStream, answerText } from "../lib/llm-stream.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+function delay(ms) {
+  return new Promise(r => { setTimeout(r, ms); });
+}
+
+function streamOf(pieces, { gapMs = 0 } = {}) {
+  return new ReadableStream({
+    async start(controller) {
+      for (const piece of pieces) {
+        if (gapMs) await delay(gapMs);
+        controller.enqueue(encoder.encode(piece));
+      }
+      controller.close();
+    },
+  });
+}
+
+function ndjson(...objects) {
+  return objects.map(o => `${JSON.stringify(o)}\n`).join("");
+}
+
+// Fake fetch that honours the abort signal like the real one
+function fakeFetch(pieces, opts) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    const body = streamOf(pieces, opts);
+    const reader = body.getReader();
+    return {
+      ok: true,
+      status: 200,
+      body: {
+        async *[Symbol.asyncIterator]() {
+          while (true) {
+            if (init.signal.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+            const { value, done } = await reader.read();
+            if (done) return;
+            yield value;
+          }
+        },
+      },
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 1. NDJSON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("LLM Stream — NDJSON", () => {
+  it("reassembles lines split across chunks", async () => {
+    const text = ndjson({ a: 1 }, { b: "é" }) + JSON.stringify({ c: 3 });
+    const bytes = encoder.encode(text);
+    const chunks = [bytes.slice(0, 4), bytes.slice(4, 14), bytes.slice(14)];
+    const parsed = [];
+    for await (const obj of readNDJSON(new ReadableStream({
+      start(c) { chunks.forEach(ch => c.enqueue(ch)); c.close(); },
+    }))) parsed.push(obj);
+    assert.deepEqual(parsed, [{ a: 1 }, { b: "é" }, { c: 3 }]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 2. Ollama Streaming
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("LLM Stream — streamOllamaChat", () => {
+  it("hands each content piece to onToken as it arrives", async () => {
+    const { fetchImpl, calls } = fakeFetch([
+      ndjson({ message: { content: "Hel" }, done: false }),
+      ndjson({ message: { content: "lo" }, done: false }, { message: { content: "" }, done: true, eval_count: 2 }),
+    ]);
+    const tokens = [];
+    const result = await streamOllamaChat({
+      url: "http://brain", model: "m", messages: [{ role: "user", content: "hi" }],
+      onToken: (d) => tokens.push(d), fetchImpl,
+    });
+    assert.deepEqual(tokens, ["Hel", "lo"]);
+    assert.equal(result.ok, true);
+    assert.equal(result.content, "Hello");
+    assert.equal(result.tokens, 2);
+    assert.equal(calls[0].url, "http://brain/api/chat");
+    assert.equal(calls[0].body.stream, true);
+  });
+
+  it("reports a brain error line", async () => {
+    const { fetchImpl } = fakeFetch([ndjson({ error: "model not found" })]);
+    const result = await streamOllamaChat({ url: "u", model: "m", messages: [], fetchImpl });
+    assert.equal(result.ok, false);
+    assert.equal(result.error, "model not found");
+  });
+
+  it("aborts the in-flight request when the caller's signal fires", async () => {
+    const { fetchImpl } = fakeFetch([
+      ndjson({ message: { content: "one " } }),
+      ndjson({ message: { content: "two " } }),
+      ndjson({ message: { content: "three" }, done: true }),
+    ], { gapMs: 20 });
+    const ac = new AbortController();
+    const tokens = [];
+    const result = await streamOllamaChat({
+      url: "u", model: "m", messages: [], fetchImpl, signal: ac.signal,
+      onToken: (d) => { tokens.push(d); ac.abort(); },
+    });
+    assert.equal(result.aborted, true);
+    assert.deepEqual(tokens, ["one "]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 3. Relay
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("LLM Stream — relayChatStream", () => {
+  it("forwards streamed tokens, then the final result, then runs onComplete", async () => {
+    const events = [];
+    let completed = null;
+    let release;
+    const gate = new Promise(r => { release = r; });
+    const result = await relayChatStream({
+      run: async ({ onToken }) => { onToken("Hi "); onToken("there"); return { ok: true, reply: "Hi there" }; },
+      emit: (event, data) => events.push([event, data]),
+      // Follow-up work outlives the relay: it finishes only after release()
+      onComplete: async (r) => { await gate; completed = r; },
+    });
+    assert.deepEqual(events, [
+      ["token", { delta: "Hi " }],
+      ["token", { delta: "there" }],
+      ["final", { ok: true, reply: "Hi there" }],
+    ]);
+    assert.equal(result.streamed, true);
+    assert.equal(completed, null, "onComplete is not awaited by the relay");
+    release();
+    await delay(0);
+    assert.deepEqual(completed, { out: { ok: true, reply: "Hi there" }, text: "Hi there", streamed: true });
+  });
+
+  it("chunks an answer that was not streamed", async () => {
+    const events = [];
+    await relayChatStream({
+      run: async () => ({ ok: true, reply: "abcdefg" }),
+      emit: (event, data) => events.push([event, data]),
+      chunkSize: 3,
+    });
+    assert.deepEqual(events.slice(0, 3).map(([, d]) => d.delta), ["abc", "def", "g"]);
+    assert.equal(events[0][1].synthetic, true);
+    assert.equal(events[3][0], "final");
+  });
+
+  it("emits nothing more and skips onComplete once aborted", async () => {
+    const ac = new AbortController();
+    const events = [];
+    let completed = false;
+    const result = await relayChatStream({
+      run: async ({ onToken }) => { onToken("a"); ac.abort(); onToken("b"); return { ok: false, aborted: true }; },
+      emit: (event, data) => events.push([event, data]),
+      signal: ac.signal,
+      onComplete: () => { completed = true; },
+    });
+    await delay(0);
+    assert.equal(result.aborted, true);
+    assert.deepEqual(events, [["token", { delta: "a" }]]);
+    assert.equal(completed, false);
+  });
+
+  it("reads the reply field chat.respond returns", () => {
+    assert.equal(answerText({ reply: "r", content: "c" }), "r");
+    assert.equal(answerText({ content: "c" }), "c");
+    assert.equal(answerText(null), "");
+  });
+});
@@ -0,0 +1,117 @@
+// tests/loaf-sandbox.test.js
+// LOAF app sandboxes running logicSchema handlers in worker threads: the
+// permission-checked host API, wrapper allowlist, CPU budget charging,
+// time and memory limits, and real termination by the kill switch.
+//
+// Run: node --test tests/loaf-sandbox.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createAppSandbox, runAppSandbox, killSandbox, readMemory, registerSandboxWrapper,
+} from "../loaf/sandbox.js";
+
+function app(handlers, extra = {}) {
+  const created = createAppSandbox({ name: "CounterApp", logicSchema: { handlers }, ...extra });
+  assert.equal(created.ok, true);
+  return created.sandbox.id;
+}
+
+describe("app execution", () => {
+  it("runs handlers in a worker and bridges memory through the host API", async () => {
+    const id = app({
+      increment: "const n = (await host.readMemory('count')) || 0; await host.writeMemory('count', n + input.by); return { count: n + input.by };",
+    }, { permissions: ["read", "write"] });
+
+    const first = await runAppSandbox(id, "increment", { by: 2 });
+    assert.equal(first.ok, true, first.error);
+    assert.deepEqual(first.result, { count: 2 });
+    assert.equal((await runAppSandbox(id, "increment", { by: 3 })).result.count, 5);
+    assert.equal(readMemory(id, "count").value, 5);
+    killSandbox(id, "done");
+  });
+
+  it("gives app code no Node globals or code generation", async () => {
+    const id = app({
+      probe: "return { process: typeof process, require: typeof require, setTimeout: typeof setTimeout };",
+      evil: "return eval('1 + 1');",
+    });
+    assert.deepEqual((await runAppSandbox(id, "probe")).result, { process: "undefined", require: "undefined", setTimeout: "undefined" });
+    assert.match((await runAppSandbox(id, "evil")).error, /Code generation from strings disallowed/);
+    killSandbox(id, "done");
+  });
+
+  it("checks permissions and the wrapper allowlist", async () => {
+    registerSandboxWrapper("double", async ({ n }) => n * 2);
+    registerSandboxWrapper("secret", async () => "leaked");
+    const id = app({
+      write: "await host.writeMemory('k', 1);",
+      wrap: "return host.callWrapper(input.name, { n: 21 });",
+    }, { permissions: ["read"], wrapperAllowlist: ["double"] });
+
+    assert.equal((await runAppSandbox(id, "write")).error, "permission_denied: write");
+    assert.equal((await runAppSandbox(id, "wrap", { name: "double" })).result, 42);
+    assert.equal((await runAppSandbox(id, "wrap", { name: "secret" })).error, "wrapper_not_allowlisted: secret");
+    assert.equal((await runAppSandbox(id, "wrap", { name: "double" }, { resolveWrapper: () => async () => "per-run" })).result, "per-run");
+    killSandbox(id, "done");
+  });
+
+  it("reports unknown handlers and compile errors", async () => {
+    const id = app({ broken: "return (;" });
+    assert.equal((await runAppSandbox(id, "missing")).error, "handler_not_found");
+    assert.match((await runAppSandbox(id, "broken")).error, /^handler_compile_error/);
+    killSandbox(id, "done");
+  });
+});
+
+describe("budgets and limits", () => {
+  it("charges measured CPU time and refuses runs once the budget is spent", async () => {
+    const id = app({
+      spin: "const end = Date.now() + input.ms; while (Date.now() < end) { /* burn */ } return true;",
+    }, { budget: 60 });
+
+    const run = await runAppSandbox(id, "spin", { ms: 30 });
+    assert.equal(run.ok, true, run.error);
+    assert.ok(run.cpuMs >= 20, `cpuMs ${run.cpuMs}`);
+    assert.equal(run.remaining, 60 - run.cost);
+
+    const capped = await runAppSandbox(id, "spin", { ms: 500 });
+    assert.equal(capped.error, "cpu_time_exceeded");
+    assert.equal(capped.remaining, 0);
+    assert.equal((await runAppSandbox(id, "spin", { ms: 1 })).error, "budget_exceeded");
+    killSandbox(id, "done");
+  });
+
+  it("terminates a run that overruns its wall-clock limit", async () => {
+    const id = app({
+      hang: "await host.log('waiting'); while (true) { /* after an await the vm timeout no longer applies */ }",
+      ok: "return 'alive';",
+    }, { safetyLimits: { maxRunMs: 300 } });
+
+    const hung = await runAppSandbox(id, "hang");
+    assert.equal(hung.error, "execution_timeout");
+    assert.equal((await runAppSandbox(id, "ok")).result, "alive");
+    killSandbox(id, "done");
+  });
+
+  it("kills the sandbox when the app exceeds its heap limit", async () => {
+    const id = app({
+      hog: "const keep = []; for (;;) keep.push(new Array(1e5).fill(keep.length));",
+    }, { safetyLimits: { maxMemoryMb: 16, maxCpuMsPerRun: 20000, maxRunMs: 20000 }, budget: 100000 });
+
+    const run = await runAppSandbox(id, "hog");
+    assert.equal(run.error, "memory_limit_exceeded");
+    assert.equal((await runAppSandbox(id, "hog")).error, "sandbox_killed");
+  });
+
+  it("stops in-flight work when the kill switch is pulled", async () => {
+    const id = app({ wait: "await host.log('start'); for (;;) { /* spin */ }" }, { safetyLimits: { maxRunMs: 10000 } });
+    const pending = runAppSandbox(id, "wait");
+    await new Promise((resolve) => { setTimeout(resolve, 150); });
+    killSandbox(id, "operator");
+    const run = await pending;
+    assert.equal(run.ok, false);
+    assert.equal(run.error, "sandbox_killed: operator");
+  });
+});
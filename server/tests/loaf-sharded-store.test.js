@@ -0,0 +1,128 @@
+// tests/loaf-sharded-store.test.js
+// LOAF sharded stores on the SQLite shard backend: write-through persistence,
+// lazy shard loading, LRU eviction of cold shards, shard statistics and
+// online re-sharding.
+//
+// Run: node --test tests/loaf-sharded-store.test.js
+
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { ShardedStore, domainShardKey, lensShardKey } from "../loaf/sharded-store.js";
+import { createSqliteShardBackend } from "../loaf/shard-backend-sqlite.js";
+
+let dir;
+let factory;
+let store;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "concord-shards-"));
+  factory = createSqliteShardBackend({ dir });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let n = 0;
+beforeEach(() => {
+  store = new ShardedStore(`world_${++n}`, domainShardKey, { backend: factory.openStore(`world_${n}`), maxHotShards: 2 });
+});
+
+afterEach(() => {
+  store.detachBackend()?.close();
+});
+
+function reopen() {
+  const name = store.name;
+  store.detachBackend().close();
+  store = new ShardedStore(name, domainShardKey, { backend: factory.openStore(name), maxHotShards: 2 });
+}
+
+describe("persistence and lazy loading", () => {
+  it("keeps items across reopen and loads shards only when touched", () => {
+    store.put("m1", { domain: "math", v: 1 });
+    store.put("p1", { domain: "physics", v: 2 });
+    reopen();
+
+    assert.equal(store.shards.size, 0);
+    assert.equal(store.totalSize(), 2);
+    assert.deepEqual(store.listShards().sort(), ["math", "physics"]);
+    assert.equal(store.get("m1", "math").v, 1);
+    assert.equal(store.get("p1").v, 2);
+    assert.equal(store.stats.shardLoads, 2);
+  });
+
+  it("moves an item when its shard key changes and deletes through to disk", () => {
+    store.put("x", { domain: "math", v: 1 });
+    store.put("x", { domain: "biology", v: 2 });
+    assert.deepEqual(store.shardSizes(), { biology: 1, math: 0 });
+    assert.equal(store.get("x").v, 2);
+
+    assert.equal(store.delete("x"), true);
+    reopen();
+    assert.equal(store.get("x"), null);
+  });
+
+  it("writes to cold shards without loading them", () => {
+    store.put("a", { domain: "math" });
+    reopen();
+    store.put("b", { domain: "math" });
+    assert.equal(store.shards.size, 0);
+    assert.equal(store.queryShard("math").length, 2);
+  });
+});
+
+describe("LRU eviction", () => {
+  it("keeps at most maxHotShards shards in memory and reports per-shard stats", () => {
+    for (const domain of ["a", "b", "c", "d"]) store.put(`${domain}1`, { domain });
+    reopen();
+
+    store.get("a1", "a");
+    store.get("b1", "b");
+    store.get("a1", "a");
+    store.get("c1", "c");
+    assert.deepEqual([...store.shards.keys()], ["a", "c"]);
+
+    const stats = store.getShardStats();
+    assert.equal(stats.backend, "sqlite");
+    assert.equal(stats.hotShards, 2);
+    assert.equal(stats.shards.b.hot, false);
+    assert.equal(stats.shards.b.evictions, 1);
+    assert.equal(stats.shards.a.reads, 2);
+    assert.equal(stats.shards.d.items, 1);
+  });
+});
+
+describe("re-sharding", () => {
+  it("moves items under a new key function while reads keep working", async () => {
+    for (let i = 0; i < 30; i++) store.put(`i${i}`, { domain: i % 2 ? "odd" : "even", lens: `lens${i % 3}`, i });
+
+    const running = store.reshard(lensShardKey, { batchSize: 4 });
+    assert.equal(store.get("i7", "odd").i, 7);
+    store.put("late", { domain: "odd", lens: "lens9", i: 99 });
+    const result = await running;
+
+    assert.equal(result.ok, true);
+    assert.equal(result.moved, 30);
+    assert.deepEqual(store.listShards().sort(), ["lens0", "lens1", "lens2", "lens9"]);
+    assert.equal(store.get("i7", "lens1").i, 7);
+    assert.equal(store.totalSize(), 31);
+
+    reopen();
+    assert.equal(store.queryShard("lens0").length, 10);
+  });
+
+  it("re-shards memory-only stores too", async () => {
+    const mem = new ShardedStore("mem", domainShardKey);
+    mem.put("a", { domain: "x", lens: "l1" });
+    mem.put("b", { domain: "x", lens: "l2" });
+    const result = await mem.reshard(lensShardKey);
+    assert.equal(result.moved, 2);
+    assert.deepEqual(mem.listShards().sort(), ["l1", "l2"]);
+    assert.equal((await mem.reshard("nope")).error, "shard_key_fn_required");
+  });
+});
@@ -0,0 +1,386 @@
+// tests/marketplace-auctions.test.js
+// Marketplace auctions and offers: escrow holds, outbid refunds, anti-sniping,
+// reserve prices, sealed bids, settlement through the normal purchase path,
+// offer accept/reject/expiry and the wash-trading check on bidders.
+//
+// Run: node --test tests/marketplace-auctions.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migratePurchases } from "../migrations/005_purchases_table.js";
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { up as migrateAuctions } from "../migrations/035_marketplace_auctions.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { getBalance } from "../economy/balances.js";
+import { createListing, purchaseListing, delistListing } from "../economy/marketplace-service.js";
+import {
+  createAuction,
+  getAuction,
+  listAuctionBids,
+  placeBid,
+  cancelAuction,
+  settleAuction,
+  makeOffer,
+  respondToOffer,
+  withdrawOffer,
+  getOffer,
+  processMarketplaceAuctions,
+} from "../economy/marketplace-auctions.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const START = "2030-01-01T12:00:00Z";
+
+function at(offsetSeconds) {
+  return new Date(new Date(START).getTime() + offsetSeconds * 1000).toISOString();
+}
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE audit_log (
+      id TEXT PRIMARY KEY, timestamp TEXT, category TEXT, action TEXT, user_id TEXT,
+      ip_address TEXT, user_agent TEXT, request_id TEXT, path TEXT, method TEXT,
+      status_code TEXT, details TEXT
+    );
+  `);
+  migratePurchases(db);
+  migrateEconomic(db);
+  migrateBalances(db);
+  migrateAuctions(db);
+  return db;
+}
+
+function fund(db, userId, amount) {
+  return recordTransaction(db, { type: "TOKEN_PURCHASE", to: userId, amount, net: amount });
+}
+
+function list(db, { price = 100, contentId = "song", edition = "" } = {}) {
+  const result = createListing(db, {
+    sellerId: "seller", contentId, contentType: "music", title: "Song",
+    price, contentData: `data for ${contentId}${edition}`,
+  });
+  assert.equal(result.ok, true, result.error);
+  return result.listing.id;
+}
+
+function auction(db, listingId, opts = {}) {
+  const result = createAuction(db, {
+    listingId, sellerId: "seller", startingPrice: 10, durationMinutes: 60, now: START, ...opts,
+  });
+  assert.equal(result.ok, true, result.error);
+  return result.auction.id;
+}
+
+// Balances credit the recipient side twice for a transfer (debit row + credit
+// row), so escrow holds and refunds are checked from the ledger rows instead.
+function heldInEscrow(db) {
+  const sum = (type, column) => db.prepare(
+    `SELECT COALESCE(SUM(amount), 0) as s FROM economy_ledger WHERE type = ? AND ${column} IS NOT NULL AND json_extract(metadata_json, '$.role') = 'debit'`,
+  ).get(type).s;
+  return sum("AUCTION_HOLD", "from_user_id") - sum("AUCTION_REFUND", "to_user_id");
+}
+
+function refundedTo(db, userId) {
+  return db.prepare(
+    "SELECT COALESCE(SUM(amount), 0) as s FROM economy_ledger WHERE type = 'AUCTION_REFUND' AND to_user_id = ? AND json_extract(metadata_json, '$.role') = 'debit'",
+  ).get(userId).s;
+}
+
+function paidFor(db, buyerId) {
+  return db.prepare(
+    "SELECT COALESCE(SUM(amount), 0) as s FROM economy_ledger WHERE type = 'MARKETPLACE_PURCHASE' AND from_user_id = ?",
+  ).get(buyerId).s;
+}
+
+function bidStatuses(db, auctionId) {
+  return Object.fromEntries(
+    db.prepare("SELECT bidder_id, status FROM marketplace_bids WHERE auction_id = ? ORDER BY created_at, rowid")
+      .all(auctionId).map((b) => [b.bidder_id, b.status]),
+  );
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("createAuction", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("validates the seller, prices and duration", () => {
+    const listingId = list(db);
+    assert.equal(createAuction(db, { listingId, sellerId: "mallory", startingPrice: 10 }).error, "not_listing_seller");
+    assert.equal(createAuction(db, { listingId, sellerId: "seller", startingPrice: 0 }).error, "invalid_starting_price");
+    assert.equal(createAuction(db, { listingId, sellerId: "seller", startingPrice: 10, reservePrice: 5 }).error, "invalid_reserve_price");
+    assert.equal(createAuction(db, { listingId, sellerId: "seller", startingPrice: 10, durationMinutes: 1 }).error, "invalid_duration");
+    assert.equal(createAuction(db, { listingId, sellerId: "seller", startingPrice: 10, kind: "dutch" }).error, "invalid_auction_kind");
+  });
+
+  it("blocks fixed-price purchase, delisting and a second auction while open", () => {
+    const listingId = list(db);
+    auction(db, listingId);
+    fund(db, "buyer", 500);
+
+    assert.equal(purchaseListing(db, { buyerId: "buyer", listingId }).error, "listing_in_auction");
+    assert.equal(delistListing(db, { listingId, sellerId: "seller" }).error, "listing_in_auction");
+    assert.equal(createAuction(db, { listingId, sellerId: "seller", startingPrice: 10 }).error, "auction_already_open");
+    assert.equal(getBalance(db, "buyer").balance, 500);
+  });
+
+  it("can be cancelled only before the first bid", () => {
+    const listingId = list(db);
+    const auctionId = auction(db, listingId);
+    fund(db, "alice", 100);
+    placeBid(db, { auctionId, bidderId: "alice", amount: 10, now: at(10) });
+
+    assert.equal(cancelAuction(db, { auctionId, sellerId: "seller" }).error, "auction_has_bids");
+
+    const other = auction(db, list(db, { contentId: "other" }));
+    assert.equal(cancelAuction(db, { auctionId: other, sellerId: "seller" }).status, "cancelled");
+  });
+});
+
+describe("english auctions", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "alice", 200);
+    fund(db, "bob", 200);
+  });
+  afterEach(() => { db.close(); });
+
+  it("holds each bid and refunds the previous high bidder", () => {
+    const auctionId = auction(db, list(db), { minIncrement: 5 });
+
+    assert.equal(placeBid(db, { auctionId, bidderId: "alice", amount: 5, now: at(10) }).error, "bid_below_starting_price");
+    assert.equal(placeBid(db, { auctionId, bidderId: "seller", amount: 50, now: at(10) }).error, "cannot_bid_on_own_auction");
+
+    assert.equal(placeBid(db, { auctionId, bidderId: "alice", amount: 20, now: at(10) }).ok, true);
+    assert.equal(getBalance(db, "alice").balance, 180);
+    assert.equal(heldInEscrow(db), 20);
+
+    const low = placeBid(db, { auctionId, bidderId: "bob", amount: 22, now: at(20) });
+    assert.equal(low.error, "bid_too_low");
+    assert.equal(low.minimum, 25);
+
+    assert.equal(placeBid(db, { auctionId, bidderId: "bob", amount: 25, now: at(30) }).ok, true);
+    assert.equal(getBalance(db, "bob").balance, 175);
+    assert.equal(heldInEscrow(db), 25);
+    assert.deepEqual(bidStatuses(db, auctionId), { alice: "outbid", bob: "held" });
+
+    assert.equal(refundedTo(db, "alice"), 20);
+    assert.equal(getAuction(db, auctionId).highBid, 25);
+  });
+
+  it("rejects a bid the bidder can't cover without recording it", () => {
+    const auctionId = auction(db, list(db));
+    const result = placeBid(db, { auctionId, bidderId: "alice", amount: 500, now: at(10) });
+    assert.equal(result.error, "insufficient_balance");
+    assert.equal(getAuction(db, auctionId).bidCount, 0);
+  });
+
+  it("extends the close when a bid lands inside the anti-sniping window", () => {
+    const auctionId = auction(db, list(db), { snipeWindowSeconds: 120, extensionSeconds: 300, maxExtensions: 1 });
+    const original = getAuction(db, auctionId).endsAt;
+
+    const early = placeBid(db, { auctionId, bidderId: "alice", amount: 10, now: at(600) });
+    assert.equal(early.extended, false);
+
+    const late = placeBid(db, { auctionId, bidderId: "bob", amount: 20, now: at(3590) });
+    assert.equal(late.extended, true);
+    assert.equal(late.endsAt, "2030-01-01 13:04:50.000");
+    assert.equal(getAuction(db, auctionId).originalEndsAt, original);
+
+    // Extension budget spent: the next late bid does not move the close again
+    const again = placeBid(db, { auctionId, bidderId: "alice", amount: 30, now: at(3880) });
+    assert.equal(again.extended, false);
+    assert.equal(placeBid(db, { auctionId, bidderId: "bob", amount: 40, now: at(3890) }).error, "auction_closed");
+  });
+
+  it("settles to the high bidder through the marketplace purchase path", () => {
+    const listingId = list(db);
+    const auctionId = auction(db, listingId);
+    placeBid(db, { auctionId, bidderId: "alice", amount: 30, now: at(10) });
+    placeBid(db, { auctionId, bidderId: "bob", amount: 40, now: at(20) });
+
+    assert.equal(settleAuction(db, { auctionId, now: at(60) }).error, "auction_not_ended");
+
+    const result = settleAuction(db, { auctionId, now: at(3600) });
+    assert.equal(result.ok, true);
+    assert.equal(result.winnerId, "bob");
+    assert.equal(result.amount, 40);
+
+    assert.equal(refundedTo(db, "alice"), 30);
+    assert.equal(paidFor(db, "bob"), 40);
+    assert.equal(heldInEscrow(db), 0);
+
+    const purchase = db.prepare("SELECT * FROM purchases WHERE purchase_id = ?").get(result.purchaseId);
+    assert.equal(purchase.source, "auction");
+    assert.equal(purchase.amount, 40);
+    assert.equal(purchase.status, "FULFILLED");
+
+    const listing = db.prepare("SELECT status, total_revenue FROM marketplace_economy_listings WHERE id = ?").get(listingId);
+    assert.equal(listing.status, "sold");
+    assert.equal(listing.total_revenue, 40);
+    assert.deepEqual(bidStatuses(db, auctionId), { alice: "outbid", bob: "won" });
+  });
+
+  it("refunds every bidder when the reserve is not met", () => {
+    const auctionId = auction(db, list(db), { reservePrice: 100 });
+    placeBid(db, { auctionId, bidderId: "alice", amount: 50, now: at(10) });
+    assert.equal(getAuction(db, auctionId).reserveMet, false);
+
+    const result = settleAuction(db, { auctionId, now: at(3600) });
+    assert.equal(result.status, "no_sale");
+    assert.equal(result.reason, "reserve_not_met");
+    assert.equal(refundedTo(db, "alice"), 50);
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM purchases").get().c, 0);
+  });
+});
+
+describe("sealed-bid auctions", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "alice", 200);
+    fund(db, "bob", 200);
+  });
+  afterEach(() => { db.close(); });
+
+  it("hides amounts while open, replaces a bidder's own bid, and sells to the highest", () => {
+    const auctionId = auction(db, list(db), { kind: "sealed" });
+    placeBid(db, { auctionId, bidderId: "alice", amount: 60, now: at(10) });
+    placeBid(db, { auctionId, bidderId: "bob", amount: 50, now: at(20) });
+    placeBid(db, { auctionId, bidderId: "bob", amount: 70, now: at(30) });
+
+    assert.equal(getAuction(db, auctionId).highBid, null);
+    const aliceView = listAuctionBids(db, auctionId, { viewerId: "alice" });
+    assert.equal(aliceView.sealed, true);
+    assert.deepEqual(aliceView.bids.map((b) => b.bidderId), ["alice"]);
+    assert.equal(heldInEscrow(db), 130);
+
+    const result = settleAuction(db, { auctionId, now: at(3600) });
+    assert.equal(result.winnerId, "bob");
+    assert.equal(result.amount, 70);
+    assert.equal(refundedTo(db, "alice"), 60);
+    assert.equal(getAuction(db, auctionId).highBid, 70);
+    assert.equal(listAuctionBids(db, auctionId).bids.length, 3);
+  });
+});
+
+describe("offers", () => {
+  let db;
+  beforeEach(() => {
+    db = createTestDb();
+    fund(db, "buyer", 200);
+  });
+  afterEach(() => { db.close(); });
+
+  it("must be below the list price and is held in escrow", () => {
+    const listingId = list(db, { price: 100 });
+    assert.equal(makeOffer(db, { listingId, buyerId: "buyer", amount: 100 }).error, "offer_at_or_above_price");
+
+    const result = makeOffer(db, { listingId, buyerId: "buyer", amount: 80, now: START });
+    assert.equal(result.ok, true);
+    assert.equal(getBalance(db, "buyer").balance, 120);
+    assert.equal(makeOffer(db, { listingId, buyerId: "buyer", amount: 85 }).error, "offer_already_pending");
+    assert.equal(createAuction(db, { listingId, sellerId: "seller", startingPrice: 10 }).error, "listing_has_pending_offers");
+  });
+
+  it("accepting sells at the offer amount and keeps the listing active", () => {
+    const listingId = list(db, { price: 100 });
+    const { offer } = makeOffer(db, { listingId, buyerId: "buyer", amount: 80, now: START });
+
+    assert.equal(respondToOffer(db, { offerId: offer.id, sellerId: "mallory", accept: true, now: at(60) }).error, "not_listing_seller");
+
+    const result = respondToOffer(db, { offerId: offer.id, sellerId: "seller", accept: true, now: at(60) });
+    assert.equal(result.ok, true);
+    assert.equal(paidFor(db, "buyer"), 80);
+    assert.equal(heldInEscrow(db), 0);
+    assert.equal(db.prepare("SELECT source FROM purchases WHERE purchase_id = ?").get(result.purchaseId).source, "offer");
+    assert.equal(db.prepare("SELECT status FROM marketplace_economy_listings WHERE id = ?").get(listingId).status, "active");
+    assert.equal(getOffer(db, offer.id).status, "accepted");
+  });
+
+  it("rejecting or withdrawing returns the hold", () => {
+    const listingId = list(db, { price: 100 });
+    const first = makeOffer(db, { listingId, buyerId: "buyer", amount: 80, now: START }).offer;
+    assert.equal(respondToOffer(db, { offerId: first.id, sellerId: "seller", accept: false, now: at(60) }).status, "rejected");
+    assert.equal(refundedTo(db, "buyer"), 80);
+
+    const second = makeOffer(db, { listingId, buyerId: "buyer", amount: 70, now: START }).offer;
+    assert.equal(withdrawOffer(db, { offerId: second.id, buyerId: "seller" }).error, "not_offer_buyer");
+    assert.equal(withdrawOffer(db, { offerId: second.id, buyerId: "buyer" }).status, "withdrawn");
+    assert.equal(refundedTo(db, "buyer"), 150);
+  });
+
+  it("expires through the heartbeat sweep", () => {
+    const listingId = list(db, { price: 100 });
+    const { offer } = makeOffer(db, { listingId, buyerId: "buyer", amount: 80, expiresInHours: 1, now: START });
+
+    assert.equal(processMarketplaceAuctions(db, { now: at(1800) }).offersExpired, 0);
+    const sweep = processMarketplaceAuctions(db, { now: at(3600) });
+    assert.equal(sweep.offersExpired, 1);
+    assert.equal(getOffer(db, offer.id).status, "expired");
+    assert.equal(refundedTo(db, "buyer"), 80);
+  });
+});
+
+describe("processMarketplaceAuctions", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); fund(db, "alice", 100); });
+  afterEach(() => { db.close(); });
+
+  it("settles due auctions and closes bidless ones without a sale", () => {
+    const sold = auction(db, list(db));
+    const unsold = auction(db, list(db, { contentId: "other" }));
+    placeBid(db, { auctionId: sold, bidderId: "alice", amount: 15, now: at(10) });
+
+    const sweep = processMarketplaceAuctions(db, { now: at(3600) });
+    assert.equal(sweep.settled, 1);
+    assert.equal(sweep.noSale, 1);
+    assert.equal(getAuction(db, sold).status, "settled");
+    assert.equal(getAuction(db, unsold).closeReason, "no_bids");
+    assert.equal(processMarketplaceAuctions(db, { now: at(7200) }).settled, 0);
+  });
+});
+
+describe("wash trading", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); fund(db, "alice", 500); });
+  afterEach(() => { db.close(); });
+
+  it("rejects bids and offers from accounts that keep trading the content with the seller", () => {
+    const listingId = list(db, { contentId: "song" });
+    const auctionId = auction(db, list(db, { contentId: "song", edition: " (signed)" }));
+    for (let i = 0; i < 3; i++) {
+      recordTransaction(db, {
+        type: "MARKETPLACE_PURCHASE", from: "alice", to: "seller", amount: 1, net: 1,
+        metadata: { contentId: "song" },
+      });
+    }
+
+    assert.equal(makeOffer(db, { listingId, buyerId: "alice", amount: 50 }).error, "wash_trading_suspected");
+    assert.equal(placeBid(db, { auctionId, bidderId: "alice", amount: 20, now: at(10) }).error, "wash_trading_suspected");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM wash_trade_flags").get().c, 2);
+  });
+});
@@ -0,0 +1,244 @@
+// tests/plugin-installer.test.js
+// Signed .concord-plugin packages: publisher signature verification, semver
+// dependency resolution, install/upgrade/uninstall through the loader,
+// rollback when a new version's init fails, and marketplace licensing.
+//
+// Run: node --test tests/plugin-installer.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import express from "express";
+
+import { runMigrations } from "../migrate.js";
+import { createPluginPackage } from "../plugins/package.js";
+import { createPluginInstaller } from "../plugins/installer.js";
+import { getPlugin } from "../plugins/loader.js";
+import registerPluginPackageRoutes from "../routes/plugin-packages.js";
+
+const acme = crypto.generateKeyPairSync("ed25519");
+const mallory = crypto.generateKeyPairSync("ed25519");
+
+let db;
+let dir;
+let STATE;
+let installer;
+
+function pluginCode(id, version, { initOk = true } = {}) {
+  return [
+    `export const id = ${JSON.stringify(id)};`,
+    `export const name = "Plugin ${id}";`,
+    `export const version = ${JSON.stringify(version)};`,
+    initOk
+      ? "export function init(ctx) { ctx.store.set(\"ready\", true); return { ok: true }; }"
+      : "export function init() { return { ok: false, error: \"boom\" }; }",
+    "export function destroy() {}",
+  ].join("\n");
+}
+
+function build(id, version, { dependencies, initOk, key = acme.privateKey, publisher = "acme" } = {}) {
+  const built = createPluginPackage({
+    manifest: { id, name: `Plugin ${id}`, version, publisher, dependencies },
+    code: pluginCode(id, version, { initOk }),
+  }, key);
+  assert.equal(built.ok, true, built.error);
+  return built.text;
+}
+
+function publish(id, version, opts) {
+  const result = installer.publish(build(id, version, opts), { actor: "dev_1" });
+  assert.equal(result.ok, true, result.error);
+  return result;
+}
+
+function loadedVersion(id) {
+  const loaded = getPlugin(STATE, id);
+  return loaded.ok ? loaded.plugin.version : null;
+}
+
+beforeEach(async () => {
+  db = new Database(":memory:");
+  await runMigrations(db);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "concord-plugins-"));
+  STATE = {};
+  installer = createPluginInstaller({ db, STATE, dir });
+  assert.equal(installer.ok, true);
+  assert.equal(installer.addPublisher({ id: "acme", publicKey: acme.publicKey, ownerUserId: "user_acme" }).ok, true);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("publishing", () => {
+  it("refuses an unmigrated database", () => {
+    assert.equal(createPluginInstaller({ db: new Database(":memory:"), STATE }).error, "plugin_packages_not_migrated");
+  });
+
+  it("accepts only packages signed by a trusted, active publisher", () => {
+    assert.equal(installer.publish(build("acme.search", "1.0.0", { publisher: "mallory", key: mallory.privateKey })).error, "publisher_untrusted");
+    assert.equal(installer.publish(build("acme.search", "1.0.0", { key: mallory.privateKey })).error, "signature_invalid");
+
+    const tampered = JSON.parse(build("acme.search", "1.0.0"));
+    tampered.code = tampered.code.replace("return { ok: true }", "return { ok: true, tampered: true }");
+    assert.equal(installer.publish(tampered).error, "signature_invalid");
+
+    const text = build("acme.search", "1.0.0");
+    assert.equal(installer.publish(text).ok, true);
+    assert.equal(installer.publish(text).alreadyPublished, true);
+    assert.equal(installer.publish(build("acme.search", "1.0.0", { initOk: false })).error, "version_exists");
+
+    installer.revokePublisher("acme");
+    assert.equal(installer.publish(build("acme.search", "1.1.0")).error, "publisher_revoked");
+  });
+
+  it("refuses prohibited source", () => {
+    const built = createPluginPackage({
+      manifest: { id: "acme.shell", name: "Shell", version: "1.0.0", publisher: "acme" },
+      code: `import { execSync } from "child_process";\n${pluginCode("acme.shell", "1.0.0")}`,
+    }, acme.privateKey);
+    const result = installer.publish(built.text);
+    assert.equal(result.error, "prohibited_source");
+    assert.deepEqual(result.errors, ["static_import"]);
+  });
+});
+
+describe("dependency resolution", () => {
+  it("installs the highest satisfying versions, dependencies first", async () => {
+    publish("acme.core", "1.0.0");
+    publish("acme.core", "1.4.0");
+    publish("acme.core", "2.0.0");
+    publish("acme.search", "1.0.0", { dependencies: { "acme.core": "^1.2.0" } });
+
+    const result = await installer.install("acme.search", "^1.0.0", { actor: "admin_1" });
+    assert.equal(result.ok, true, result.error);
+    assert.deepEqual(result.plan.map((s) => `${s.pluginId}@${s.version}`), ["acme.core@1.4.0", "acme.search@1.0.0"]);
+    assert.equal(loadedVersion("acme.core"), "1.4.0");
+    assert.equal(loadedVersion("acme.search"), "1.0.0");
+
+    const missing = installer.resolve("acme.search", "^2.0.0");
+    assert.equal(missing.error, "unsatisfiable");
+  });
+
+  it("keeps dependents' ranges satisfied and blocks uninstalling what they need", async () => {
+    publish("acme.core", "1.4.0");
+    publish("acme.core", "2.0.0");
+    publish("acme.search", "1.0.0", { dependencies: { "acme.core": "^1.0.0" } });
+    await installer.install("acme.search");
+
+    const upgrade = await installer.upgrade("acme.core", "^2.0.0");
+    assert.equal(upgrade.error, "dependent_conflict");
+    assert.deepEqual(upgrade.requiredBy, [{ pluginId: "acme.search", range: "^1.0.0" }]);
+
+    const removal = await installer.uninstall("acme.core");
+    assert.equal(removal.error, "required_by");
+    assert.deepEqual(removal.requiredBy, ["acme.search"]);
+
+    assert.equal((await installer.uninstall("acme.search")).ok, true);
+    assert.equal((await installer.uninstall("acme.core")).ok, true);
+    assert.equal(loadedVersion("acme.core"), null);
+  });
+
+  it("detects dependency cycles", () => {
+    publish("acme.a", "1.0.0", { dependencies: { "acme.b": "*" } });
+    publish("acme.b", "1.0.0", { dependencies: { "acme.a": "*" } });
+    const result = installer.resolve("acme.a");
+    assert.equal(result.error, "dependency_cycle");
+    assert.deepEqual(result.cycle, ["acme.a", "acme.b", "acme.a"]);
+  });
+});
+
+describe("upgrade and rollback", () => {
+  it("upgrades in place and rolls back when the new init fails", async () => {
+    publish("acme.search", "1.0.0");
+    publish("acme.search", "1.1.0");
+    publish("acme.search", "1.2.0", { initOk: false });
+    await installer.install("acme.search", "1.0.0");
+
+    const up = await installer.upgrade("acme.search", "~1.1.0", { actor: "admin_1" });
+    assert.equal(up.ok, true, up.error);
+    assert.equal(up.install.previousVersion, "1.0.0");
+    assert.equal(loadedVersion("acme.search"), "1.1.0");
+
+    const broken = await installer.upgrade("acme.search", "^1.0.0", { actor: "admin_1" });
+    assert.equal(broken.ok, false);
+    assert.equal(broken.rolledBack, true);
+    assert.match(broken.error, /^init_failed: boom/);
+    assert.equal(loadedVersion("acme.search"), "1.1.0");
+    assert.equal(installer.getInstall("acme.search").version, "1.1.0");
+
+    const events = installer.getEvents("acme.search").map((e) => `${e.action}:${e.outcome}:${e.toVersion}`);
+    assert.deepEqual(events.slice(0, 3), ["rollback:ok:1.1.0", "upgrade:failed:1.2.0", "upgrade:ok:1.1.0"]);
+  });
+
+  it("reloads the installed set on restart and refuses revoked publishers", async () => {
+    publish("acme.core", "1.0.0");
+    publish("acme.search", "1.0.0", { dependencies: { "acme.core": "1.x" } });
+    await installer.install("acme.search");
+
+    STATE = {};
+    const restarted = createPluginInstaller({ db, STATE, dir });
+    const loaded = await restarted.loadInstalled();
+    assert.deepEqual(loaded.loaded, ["acme.core", "acme.search"]);
+    assert.equal(loadedVersion("acme.search"), "1.0.0");
+
+    restarted.revokePublisher("acme");
+    STATE = {};
+    const again = await createPluginInstaller({ db, STATE, dir }).loadInstalled();
+    assert.deepEqual(again.failed.map((f) => f.error), ["publisher_revoked", "dependency_unavailable: acme.core"]);
+    assert.equal(loadedVersion("acme.core"), null);
+  });
+});
+
+describe("marketplace", () => {
+  it("sells plugins and requires a purchase to install a listed one", async () => {
+    publish("acme.search", "1.0.0");
+    assert.equal(installer.listForSale({ sellerId: "user_other", pluginId: "acme.search", price: 10 }).error, "not_publisher_owner");
+
+    const listed = installer.listForSale({ sellerId: "user_acme", pluginId: "acme.search", price: 10 });
+    assert.equal(listed.ok, true, listed.error);
+    assert.equal(listed.listing.contentType, "plugin");
+    assert.equal(listed.preview.data.pluginId, "acme.search");
+
+    const unlicensed = await installer.install("acme.search", "*", { userId: "buyer_1" });
+    assert.equal(unlicensed.error, "license_required");
+
+    db.prepare(`
+      INSERT INTO purchases (id, purchase_id, buyer_id, seller_id, listing_id, listing_type, amount, source, status)
+      VALUES ('p1', 'pur_1', 'buyer_1', 'user_acme', ?, 'plugin', 10, 'marketplace', 'FULFILLED')
+    `).run(listed.listing.id);
+    const licensed = await installer.install("acme.search", "*", { userId: "buyer_1" });
+    assert.equal(licensed.ok, true, licensed.error);
+  });
+});
+
+describe("plugin package routes", () => {
+  it("answers 500 when the installer throws instead of leaving the request hanging", async () => {
+    const boom = () => Promise.reject(new Error("disk I/O error"));
+    const app = express();
+    app.use(express.json());
+    registerPluginPackageRoutes(app, {
+      installer: { ok: true, install: boom, upgrade: boom, uninstall: boom },
+      requireRole: () => (_req, _res, next) => next(),
+      requireAuth: () => (_req, _res, next) => next(),
+    });
+    const server = await new Promise((resolve) => { const s = app.listen(0, "127.0.0.1", () => resolve(s)); });
+    const base = `http://127.0.0.1:${server.address().port}/api/admin/plugin-installs`;
+    try {
+      for (const [method, url] of [["POST", base], ["POST", `${base}/acme.widgets/upgrade`], ["DELETE", `${base}/acme.widgets`]]) {
+        const res = await fetch(url, {
+          method, headers: { "Content-Type": "application/json" }, body: method === "POST" ? "{}" : undefined,
+          signal: AbortSignal.timeout(5000),
+        });
+        assert.equal(res.status, 500, `${method} ${url}`);
+        assert.deepEqual(await res.json(), { ok: false, error: "disk I/O error" });
+      }
+    } finally {
+      await new Promise((resolve) => { server.close(resolve); });
+    }
+  });
+});
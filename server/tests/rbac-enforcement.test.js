@@ -0,0 +1,283 @@
+// tests/rbac-enforcement.test.js
+// Enterprise RBAC: SQLite persistence, request authorization (private org
+// lenses, resource ACLs, org scope), the HTTP middleware, SCIM provisioning
+// and the hash-chained audit log export.
+//
+// Run: node --test tests/rbac-enforcement.test.js
+
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateRbac } from "../migrations/042_rbac.js";
+import {
+  ROLES, AUDIT_GENESIS_HASH, attachRbacStore, detachRbacStore, createOrgWorkspace, getOrgWorkspace,
+  assignRole, revokeRole, getUserRole, getOrgMembers, assignOrgLens, setResourceACL, checkResourceAccess,
+  canManageResourceACL,
+  authorizeRequest, provisionMember, exportAuditLog, verifyAuditChain, getRbacMetrics,
+} from "../emergent/rbac.js";
+import { createRbacMiddleware, resolveResource, permissionForMethod } from "../lib/rbac-middleware.js";
+import registerRbacScimRoutes from "../routes/rbac-scim.js";
+
+let db;
+let STATE;
+
+beforeEach(() => {
+  db = new Database(":memory:");
+  migrateRbac(db);
+  attachRbacStore(db);
+  STATE = {};
+  createOrgWorkspace(STATE, { orgId: "org_acme", name: "Acme", ownerId: "owner1", plan: "enterprise" });
+});
+
+after(() => {
+  detachRbacStore();
+});
+
+describe("SQLite store", () => {
+  it("persists orgs and roles independently of STATE", () => {
+    assignRole(STATE, "org_acme", "u_editor", ROLES.EDITOR, "owner1");
+    const freshState = {};
+    assert.equal(getOrgWorkspace(freshState, "org_acme").orgWorkspace.name, "Acme");
+    assert.equal(getUserRole(freshState, "org_acme", "u_editor").role, "editor");
+    assert.equal(getOrgMembers(freshState, "org_acme").total, 2);
+    assert.equal(getRbacMetrics(freshState).store, "sqlite");
+  });
+
+  it("keeps existing role rules", () => {
+    assignRole(STATE, "org_acme", "u_admin", ROLES.ADMIN, "owner1");
+    assert.equal(assignRole(STATE, "org_acme", "u_x", ROLES.OWNER, "u_admin").ok, false);
+    assert.equal(revokeRole(STATE, "org_acme", "owner1", "u_admin").error, "Cannot revoke owner role");
+  });
+
+  it("refuses an unmigrated database", () => {
+    assert.equal(attachRbacStore(new Database(":memory:")).error, "rbac_store_not_migrated");
+    attachRbacStore(db);
+  });
+});
+
+describe("authorizeRequest", () => {
+  beforeEach(() => {
+    assignRole(STATE, "org_acme", "u_viewer", ROLES.VIEWER, "owner1");
+    assignRole(STATE, "org_acme", "u_editor", ROLES.EDITOR, "owner1");
+  });
+
+  it("restricts private org lenses to members", () => {
+    assert.equal(assignOrgLens(STATE, "org_acme", "legal", "owner1").ok, true);
+    assert.equal(authorizeRequest(STATE, { userId: "u_viewer", resourceType: "lens", resourceId: "legal", permission: "read" }).allowed, true);
+    assert.equal(authorizeRequest(STATE, { userId: "stranger", resourceType: "lens", resourceId: "legal", permission: "read" }).reason, "private_lens");
+    assert.equal(authorizeRequest(STATE, { userId: "stranger", resourceType: "lens", resourceId: "public", permission: "read" }).allowed, true);
+  });
+
+  it("only org role managers may claim a lens, and never a public or taken one", () => {
+    createOrgWorkspace(STATE, { orgId: "org_rival", name: "Rival", ownerId: "rival_owner" });
+    assert.equal(assignOrgLens(STATE, "org_acme", "legal", "u_editor").error, "Insufficient permissions to manage org lenses");
+    assert.equal(assignOrgLens(STATE, "org_acme", "legal").ok, false);
+    assert.equal(assignOrgLens(STATE, "org_acme", "chat", "owner1", { isPublicLens: (id) => id === "chat" }).error, "Lens is public");
+
+    assert.equal(assignOrgLens(STATE, "org_acme", "legal", "owner1").ok, true);
+    assert.equal(assignOrgLens(STATE, "org_rival", "legal", "rival_owner").error, "Lens is private to another organization");
+    assert.equal(authorizeRequest(STATE, { userId: "rival_owner", resourceType: "lens", resourceId: "legal", permission: "read" }).reason, "private_lens");
+  });
+
+  it("lets only the resource owner or the ACL's org managers set an ACL", () => {
+    assert.equal(canManageResourceACL(STATE, "dtu_2", "mallory", { orgId: "org_acme" }).reason, "not_resource_owner");
+    assert.equal(canManageResourceACL(STATE, "dtu_2", "author", { isOwner: true, orgId: "org_acme" }).reason, "org_permission_missing");
+    assert.equal(canManageResourceACL(STATE, "dtu_2", "author", { isOwner: true }).allowed, true);
+    assert.equal(canManageResourceACL(STATE, "dtu_2", undefined, { isOwner: true }).reason, "unauthenticated");
+
+    setResourceACL(STATE, "dtu_2", [{ userId: "author", permissions: ["read"] }], { orgId: "org_acme" });
+    // Naming an org the caller manages does not take over an existing ACL
+    createOrgWorkspace(STATE, { orgId: "org_mallory", name: "Mallory", ownerId: "mallory" });
+    assert.equal(canManageResourceACL(STATE, "dtu_2", "mallory", { orgId: "org_mallory" }).reason, "acl_org_permission_missing");
+    assert.equal(canManageResourceACL(STATE, "dtu_2", "author", { isOwner: true }).allowed, false);
+    assert.deepEqual(canManageResourceACL(STATE, "dtu_2", "owner1"), { allowed: true, orgId: "org_acme" });
+  });
+
+  it("lets ACL users or org members with the permission in", () => {
+    setResourceACL(STATE, "dtu_1", [{ userId: "guest", permissions: ["read"] }], { orgId: "org_acme" });
+    const check = (userId, permission) => authorizeRequest(STATE, { userId, resourceType: "dtu", resourceId: "dtu_1", permission });
+    assert.equal(check("guest", "read").allowed, true);
+    assert.equal(check("guest", "write").reason, "acl_permission_missing");
+    assert.equal(check("u_editor", "write").allowed, true);
+    assert.equal(check("u_viewer", "write").allowed, false);
+    assert.equal(check("stranger", "read").reason, "not_in_acl");
+    assert.equal(checkResourceAccess(STATE, "dtu_1", "guest", "read").allowed, true);
+  });
+
+  it("checks the caller's role when an org is named", () => {
+    assert.equal(authorizeRequest(STATE, { userId: "u_viewer", orgId: "org_acme", permission: "write" }).reason, "role_lacks_permission");
+    assert.equal(authorizeRequest(STATE, { userId: "stranger", orgId: "org_acme", permission: "read" }).reason, "no_role");
+    assert.equal(authorizeRequest(STATE, { userId: "u_editor", orgId: "org_acme", permission: "write" }).role, "editor");
+    assert.equal(authorizeRequest(STATE, { userId: "u_editor", permission: "write" }).allowed, true);
+  });
+
+  it("denies deactivated members", () => {
+    provisionMember(STATE, "org_acme", { userId: "u_editor", active: false }, "idp");
+    assert.equal(getUserRole(STATE, "org_acme", "u_editor").role, null);
+    assert.equal(authorizeRequest(STATE, { userId: "u_editor", orgId: "org_acme", permission: "read" }).allowed, false);
+  });
+});
+
+// ── HTTP layer ───────────────────────────────────────────────────────────────
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    contentType: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    type(t) { this.contentType = t; return this; },
+    send(text) { this.body = JSON.parse(text); return this; },
+    end() { return this; },
+  };
+}
+
+describe("rbac middleware", () => {
+  it("maps paths and methods onto resources and permissions", () => {
+    assert.deepEqual(resolveResource({ path: "/api/dtus/dtu_9/versions", method: "GET" }), { resourceType: "dtu", resourceId: "dtu_9", permission: "read" });
+    assert.equal(resolveResource({ path: "/api/lens/legal/items", method: "POST" }).resourceId, "legal");
+    assert.equal(resolveResource({ path: "/api/economy/marketplace/purchase", method: "POST", body: { listingId: "l1" } }).permission, "read");
+    assert.equal(resolveResource({ path: "/api/lens-culture/x", method: "GET" }), null);
+    assert.equal(permissionForMethod("DELETE"), "delete");
+  });
+
+  it("answers 403 for denied requests and passes the rest", () => {
+    setResourceACL(STATE, "dtu_secret", [{ userId: "alice", permissions: ["read"] }], { orgId: "org_acme" });
+    const mw = createRbacMiddleware({ STATE });
+    const run = (req) => {
+      const res = mockRes();
+      let passed = false;
+      mw({ headers: {}, query: {}, ...req }, res, () => { passed = true; });
+      return { passed, res };
+    };
+
+    const denied = run({ path: "/api/dtus/dtu_secret", method: "GET", user: { id: "mallory" } });
+    assert.equal(denied.passed, false);
+    assert.equal(denied.res.statusCode, 403);
+    assert.equal(denied.res.body.code, "RBAC_DENIED");
+
+    assert.equal(run({ path: "/api/dtus/dtu_secret", method: "GET", user: { id: "alice" } }).passed, true);
+    assert.equal(run({ path: "/api/dtus/dtu_open", method: "GET", user: { id: "mallory" } }).passed, true);
+    assert.equal(run({ path: "/api/dtus", method: "POST", headers: { "x-org-id": "org_acme" }, user: { id: "mallory" } }).passed, false);
+    assert.equal(run({ path: "/api/chat", method: "POST", user: null }).passed, true);
+  });
+
+  it("counts anonymous and unknown-org denials without writing audit rows", () => {
+    const mw = createRbacMiddleware({ STATE });
+    const auditRows = () => db.prepare("SELECT COUNT(*) as c FROM rbac_audit_log").get().c;
+    const before = auditRows();
+    const denialsBefore = getRbacMetrics(STATE).unauditedDenials;
+
+    const res = mockRes();
+    let passed = false;
+    mw({ path: "/api/dtus", method: "POST", headers: { "x-org-id": "org_made_up_123" }, query: {}, user: null }, res, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(authorizeRequest(STATE, { orgId: "org_acme", permission: "write" }).reason, "no_role");
+    assert.equal(authorizeRequest(STATE, { userId: "mallory", orgId: "org_other_made_up", permission: "read" }).reason, "org_not_found");
+
+    assert.equal(auditRows(), before);
+    assert.equal(getRbacMetrics(STATE).unauditedDenials, denialsBefore + 3);
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM rbac_audit_log WHERE org_id LIKE '%made_up%'").get().c, 0);
+  });
+});
+
+describe("SCIM provisioning", () => {
+  function scimApp() {
+    const routes = new Map();
+    const app = {};
+    for (const m of ["get", "post", "put", "patch", "delete"]) {
+      app[m] = (path, ...handlers) => routes.set(`${m.toUpperCase()} ${path}`, handlers);
+    }
+    const requireRole = () => (req, res, next) => (req.user?.role === "admin" ? next() : res.status(403).json({ ok: false }));
+    registerRbacScimRoutes(app, { STATE, requireRole });
+
+    return (method, path, { params = {}, body, query = {}, user = { id: "owner1" } } = {}) => {
+      const handlers = routes.get(`${method} /api/rbac/scim/:orgId${path}`);
+      const res = mockRes();
+      const req = { params: { orgId: "org_acme", ...params }, body, query, user };
+      let i = 0;
+      const next = () => { const h = handlers[i++]; if (h) h(req, res, next); };
+      next();
+      return res;
+    };
+  }
+
+  it("provisions, patches, lists and deprovisions members", () => {
+    const call = scimApp();
+    const created = call("POST", "/Users", {
+      body: { userName: "u_new", externalId: "okta-1", roles: [{ value: "editor", primary: true }] },
+    });
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.contentType, "application/scim+json");
+    assert.equal(getUserRole(STATE, "org_acme", "u_new").role, "editor");
+
+    const patched = call("PATCH", "/Users/:userId", {
+      params: { userId: "u_new" },
+      body: { Operations: [{ op: "replace", path: "active", value: false }] },
+    });
+    assert.equal(patched.body.active, false);
+
+    const listed = call("GET", "/Users", { query: { filter: 'externalId eq "okta-1"' } });
+    assert.equal(listed.body.totalResults, 1);
+    assert.equal(listed.body.Resources[0].userName, "u_new");
+
+    assert.equal(call("DELETE", "/Users/:userId", { params: { userId: "u_new" } }).statusCode, 204);
+    assert.equal(call("DELETE", "/Users/:userId", { params: { userId: "owner1" } }).statusCode, 403);
+  });
+
+  it("runs bulk operations and reports each result", () => {
+    const call = scimApp();
+    const res = call("POST", "/Bulk", {
+      body: {
+        Operations: [
+          { method: "POST", path: "/Users", bulkId: "a", data: { userName: "b1", roles: [{ value: "viewer" }] } },
+          { method: "POST", path: "/Users", bulkId: "b", data: { userName: "b2", roles: [{ value: "nope" }] } },
+          { method: "PUT", path: "/Users/b1", data: { roles: [{ value: "reviewer" }] } },
+        ],
+      },
+    });
+    assert.deepEqual(res.body.Operations.map(o => o.status), ["201", "400", "200"]);
+    assert.equal(getUserRole(STATE, "org_acme", "b1").role, "reviewer");
+  });
+
+  it("rejects callers without manage_members", () => {
+    const call = scimApp();
+    assert.equal(call("GET", "/Users", { user: { id: "stranger" } }).statusCode, 403);
+    assert.equal(call("GET", "/Users", { user: { id: "root", role: "admin" } }).statusCode, 200);
+  });
+});
+
+describe("hash-chained audit log", () => {
+  it("exports a verifiable chain and detects tampering", () => {
+    assignRole(STATE, "org_acme", "u1", ROLES.VIEWER, "owner1");
+    assignRole(STATE, "org_acme", "u1", ROLES.EDITOR, "owner1");
+
+    const exported = exportAuditLog(STATE, "org_acme");
+    assert.equal(exported.chain.valid, true);
+    assert.equal(exported.chain.length, 3);
+
+    const oldestFirst = [...exported.events].reverse();
+    assert.equal(oldestFirst[0].prevHash, AUDIT_GENESIS_HASH);
+    assert.equal(verifyAuditChain(oldestFirst, { genesis: AUDIT_GENESIS_HASH }).valid, true);
+
+    const forged = oldestFirst.map(e => ({ ...e, details: { ...e.details } }));
+    forged[1].details.role = "owner";
+    assert.equal(verifyAuditChain(forged).reason, "hash_mismatch");
+    assert.equal(verifyAuditChain([oldestFirst[0], oldestFirst[2]]).reason, "prev_hash_mismatch");
+
+    db.prepare("UPDATE rbac_audit_log SET actor = 'someone_else' WHERE seq = (SELECT MIN(seq) FROM rbac_audit_log)").run();
+    assert.equal(exportAuditLog(STATE, "org_acme").chain.valid, false);
+  });
+
+  it("chains in memory when no store is attached", () => {
+    detachRbacStore();
+    const memState = {};
+    createOrgWorkspace(memState, { orgId: "org_mem", ownerId: "o" });
+    assignRole(memState, "org_mem", "u", ROLES.VIEWER, "o");
+    assert.equal(exportAuditLog(memState, "org_mem").chain.valid, true);
+    attachRbacStore(db);
+  });
+});
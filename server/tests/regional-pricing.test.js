@@ -0,0 +1,304 @@
+// tests/regional-pricing.test.js
+// Exchange-rate providers, local-currency conversion, creator-set regional
+// price tiers and buyer location from declared federation region/national.
+//
+// Run: node --test tests/regional-pricing.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import Database from "better-sqlite3";
+
+import { up as migratePurchases } from "../migrations/005_purchases_table.js";
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { up as migratePriceTiers } from "../migrations/038_regional_price_tiers.js";
+import { up as migrateFraudReviews } from "../migrations/037_fraud_reviews.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { getBalance } from "../economy/balances.js";
+import { getFraudReview } from "../economy/fraud-engine.js";
+import { createListing, purchaseListing } from "../economy/marketplace-service.js";
+import { buildCheckoutPrice } from "../economy/stripe.js";
+import { API_PRICING } from "../lib/api-billing-constants.js";
+import { DEFAULT_EXCHANGE_RATES } from "../lib/currency-constants.js";
+import {
+  createStaticRateProvider, setExchangeRateProvider, refreshExchangeRates, getExchangeRates,
+  convertUsdCents, currencyForCountry, validateRateSnapshot,
+} from "../economy/exchange-rates.js";
+import {
+  resolveBuyerLocation, setRegionalPriceTiers, getRegionalPriceTiers, getRegionalPrice,
+  localizePrice, localizeApiPricing, tokensToFiat,
+} from "../economy/regional-pricing.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const TEST_RATES = { base: "USD", asOf: "2030-01-01T00:00:00Z", rates: { EUR: 0.9, JPY: 150, INR: 80 } };
+
+async function useRates(rates = TEST_RATES) {
+  setExchangeRateProvider(createStaticRateProvider({ rates }));
+  const result = await refreshExchangeRates();
+  assert.equal(result.ok, true, result.error);
+}
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE audit_log (
+      id TEXT PRIMARY KEY, timestamp TEXT, category TEXT, action TEXT, user_id TEXT,
+      ip_address TEXT, user_agent TEXT, request_id TEXT, path TEXT, method TEXT,
+      status_code TEXT, details TEXT
+    );
+
+    CREATE TABLE users (id TEXT PRIMARY KEY, declared_regional TEXT, declared_national TEXT);
+    CREATE TABLE nationals (id TEXT PRIMARY KEY, name TEXT NOT NULL, country_code TEXT NOT NULL UNIQUE);
+    CREATE TABLE regions (id TEXT PRIMARY KEY, name TEXT NOT NULL, national_id TEXT NOT NULL);
+
+    INSERT INTO nationals (id, name, country_code) VALUES ('nat_in', 'India', 'IN'), ('nat_jp', 'Japan', 'JP');
+    INSERT INTO regions (id, name, national_id) VALUES ('reg_mumbai', 'Mumbai', 'nat_in');
+    INSERT INTO users (id, declared_regional, declared_national) VALUES
+      ('buyer_mumbai', 'reg_mumbai', 'nat_in'),
+      ('buyer_delhi', NULL, 'nat_in'),
+      ('buyer_region_only', 'reg_mumbai', NULL),
+      ('buyer_us', NULL, NULL);
+  `);
+  migratePurchases(db);
+  migrateEconomic(db);
+  migrateBalances(db);
+  migratePriceTiers(db);
+  migrateFraudReviews(db);
+  return db;
+}
+
+function list(db, price = 100) {
+  const result = createListing(db, {
+    sellerId: "seller", contentId: "song", contentType: "music", title: "Song",
+    price, contentData: "song data",
+  });
+  assert.equal(result.ok, true, result.error);
+  return result.listing.id;
+}
+
+// ── Exchange rates ───────────────────────────────────────────────────────────
+
+describe("exchange rates", () => {
+  let dir;
+
+  beforeEach(async () => {
+    await useRates();
+    dir = mkdtempSync(join(tmpdir(), "rates-"));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("converts USD cents into minor units, with zero-decimal currencies", () => {
+    assert.deepEqual(
+      { ...convertUsdCents(1000, "eur") },
+      { ok: true, currency: "EUR", amount: 9, minorAmount: 900, rate: 0.9, asOf: "2030-01-01T00:00:00Z" },
+    );
+    const yen = convertUsdCents(1050, "JPY");
+    assert.equal(yen.minorAmount, 1575);
+    assert.equal(yen.amount, 1575);
+  });
+
+  it("rejects unknown currencies and currencies missing from the snapshot", () => {
+    assert.equal(convertUsdCents(100, "XYZ").error, "unsupported_currency");
+    assert.equal(convertUsdCents(100, "GBP").error, "rate_unavailable");
+  });
+
+  it("reads a static rate file and keeps the old snapshot when a refresh fails", async () => {
+    const file = join(dir, "rates.json");
+    writeFileSync(file, JSON.stringify({ base: "USD", asOf: "2030-02-01", rates: { EUR: 0.5 } }));
+    setExchangeRateProvider(createStaticRateProvider({ filePath: file }));
+    assert.equal((await refreshExchangeRates()).ok, true);
+    assert.equal(convertUsdCents(100, "EUR").amount, 0.5);
+
+    writeFileSync(file, "not json");
+    const failed = await refreshExchangeRates();
+    assert.equal(failed.ok, false);
+    assert.equal(failed.error, "rate_refresh_failed");
+    assert.equal(getExchangeRates().rates.EUR, 0.5);
+  });
+
+  it("accepts async providers and validates what they return", async () => {
+    setExchangeRateProvider({ name: "live", fetchRates: async () => ({ base: "USD", rates: { EUR: -1 } }) });
+    assert.equal((await refreshExchangeRates()).error, "invalid_rate");
+    assert.equal(validateRateSnapshot({ base: "EUR", rates: {} }).error, "unsupported_rate_base");
+    assert.equal(setExchangeRateProvider({}).error, "invalid_rate_provider");
+
+    setExchangeRateProvider({ name: "live", fetchRates: async () => ({ base: "USD", rates: { eur: 0.8, XYZ: 3 } }) });
+    const result = await refreshExchangeRates();
+    assert.equal(result.provider, "live");
+    assert.deepEqual(getExchangeRates().rates, { USD: 1, EUR: 0.8 });
+  });
+
+  it("bundles a snapshot covering every country currency", () => {
+    for (const country of ["DE", "JP", "IN", "BR", "NG"]) {
+      assert.ok(DEFAULT_EXCHANGE_RATES.rates[currencyForCountry(country)], country);
+    }
+    assert.equal(currencyForCountry("ZZ"), "USD");
+  });
+
+  it("prices checkout in the buyer's currency", () => {
+    const price = buildCheckoutPrice(25, "JPY");
+    assert.equal(price.currency, "JPY");
+    assert.equal(price.usdCents, 2500);
+    assert.equal(price.unitAmount, 3750);
+    assert.equal(buildCheckoutPrice(25).unitAmount, 2500);
+    assert.equal(buildCheckoutPrice(25, "XYZ").ok, false);
+  });
+
+  it("shows API costs per 1,000 calls in local currency", () => {
+    const local = localizeApiPricing(API_PRICING, "EUR");
+    assert.equal(local.ok, true);
+    assert.equal(local.categories.compute.costPerCall, 0.01);
+    assert.equal(local.categories.compute.per1000Calls, 9);
+    assert.equal(localizeApiPricing(API_PRICING, "XYZ").error, "unsupported_currency");
+    assert.equal(tokensToFiat(2, "INR").amount, 160);
+  });
+});
+
+// ── Buyer location ───────────────────────────────────────────────────────────
+
+describe("buyer location", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("resolves declared region and national to a country and currency", () => {
+    assert.deepEqual(resolveBuyerLocation(db, { buyerId: "buyer_mumbai" }), { country: "IN", region: "reg_mumbai", currency: "INR" });
+    assert.deepEqual(resolveBuyerLocation(db, { buyerId: "buyer_region_only" }), { country: "IN", region: "reg_mumbai", currency: "INR" });
+    assert.deepEqual(resolveBuyerLocation(db, { buyerId: "buyer_us" }), { country: null, region: null, currency: "USD" });
+  });
+
+  it("lets an explicit country override the declaration", () => {
+    assert.equal(resolveBuyerLocation(db, { buyerId: "buyer_delhi", country: "jp" }).currency, "JPY");
+    assert.equal(resolveBuyerLocation(db, { country: "nat_jp" }).country, "JP");
+  });
+
+  it("tolerates a database without federation tables", () => {
+    const bare = new Database(":memory:");
+    assert.deepEqual(resolveBuyerLocation(bare, { buyerId: "someone", country: "DE" }), { country: "DE", region: null, currency: "EUR" });
+    bare.close();
+  });
+});
+
+// ── Tiers ────────────────────────────────────────────────────────────────────
+
+describe("regional price tiers", () => {
+  let db;
+  let listingId;
+
+  beforeEach(async () => {
+    await useRates();
+    db = createTestDb();
+    listingId = list(db, 100);
+  });
+
+  afterEach(() => { db.close(); });
+
+  function setTiers(tiers, creatorId = "seller") {
+    return setRegionalPriceTiers(db, { itemType: "listing", itemId: listingId, creatorId, tiers });
+  }
+
+  it("only lets the seller set tiers", () => {
+    assert.equal(setTiers([], "someone_else").error, "not_item_owner");
+    assert.equal(setRegionalPriceTiers(db, { itemType: "listing", itemId: "nope", creatorId: "seller", tiers: [] }).error, "item_not_found");
+    assert.equal(setRegionalPriceTiers(db, { itemType: "bundle", itemId: listingId, creatorId: "seller", tiers: [] }).error, "invalid_item_type");
+  });
+
+  it("validates tiers", () => {
+    assert.equal(setTiers([{ scope: "planet", target: "IN", multiplier: 0.5 }]).error, "invalid_tier_scope");
+    assert.equal(setTiers([{ scope: "national", target: "India", multiplier: 0.5 }]).error, "invalid_country_code");
+    assert.equal(setTiers([{ scope: "national", target: "IN" }]).error, "tier_needs_multiplier_or_price");
+    assert.equal(setTiers([{ scope: "national", target: "IN", multiplier: 0.5, price: 10 }]).error, "tier_needs_multiplier_or_price");
+    assert.equal(setTiers([{ scope: "national", target: "IN", multiplier: 0.01 }]).error, "invalid_multiplier");
+    assert.equal(setTiers([{ scope: "national", target: "IN", price: 0 }]).error, "invalid_tier_price");
+    assert.equal(setTiers([
+      { scope: "national", target: "in", multiplier: 0.5 },
+      { scope: "national", target: "IN", price: 20 },
+    ]).error, "duplicate_tier");
+    assert.equal(getRegionalPriceTiers(db, "listing", listingId).length, 0);
+  });
+
+  it("replaces the tier set and clears it with an empty list", () => {
+    assert.equal(setTiers([{ scope: "national", target: "in", multiplier: 0.4, label: "India PPP" }]).ok, true);
+    const replaced = setTiers([{ scope: "national", target: "JP", price: 80 }]);
+    assert.deepEqual(replaced.tiers.map((t) => [t.target, t.multiplier, t.price]), [["JP", null, 80]]);
+    assert.equal(setTiers([]).tiers.length, 0);
+  });
+
+  it("prefers a regional tier over a national one", () => {
+    setTiers([
+      { scope: "national", target: "IN", multiplier: 0.4 },
+      { scope: "regional", target: "reg_mumbai", price: 55 },
+    ]);
+    const price = (buyerId) => getRegionalPrice(db, { itemType: "listing", itemId: listingId, basePrice: 100, buyerId }).price;
+    assert.equal(price("buyer_mumbai"), 55);
+    assert.equal(price("buyer_delhi"), 40);
+    assert.equal(price("buyer_us"), 100);
+  });
+
+  it("localizes the tiered price into the buyer's currency", () => {
+    setTiers([{ scope: "national", target: "IN", multiplier: 0.4 }]);
+    const local = localizePrice(db, { itemType: "listing", itemId: listingId, basePrice: 100, buyerId: "buyer_delhi" });
+    assert.equal(local.price, 40);
+    assert.equal(local.tier.target, "IN");
+    assert.deepEqual(local.display, { currency: "INR", amount: 3200, rate: 80, asOf: "2030-01-01T00:00:00Z" });
+
+    const euro = localizePrice(db, { itemType: "listing", itemId: listingId, basePrice: 100, buyerId: "buyer_us", currency: "EUR" });
+    assert.equal(euro.price, 100);
+    assert.equal(euro.display.amount, 90);
+    assert.equal(localizePrice(db, { itemType: "listing", itemId: listingId, basePrice: 100, currency: "XYZ" }).error, "unsupported_currency");
+  });
+
+  it("charges the tiered price on purchase", () => {
+    setTiers([{ scope: "national", target: "IN", multiplier: 0.4 }]);
+    recordTransaction(db, { type: "TOKEN_PURCHASE", to: "buyer_delhi", amount: 100, net: 100 });
+
+    const result = purchaseListing(db, { buyerId: "buyer_delhi", listingId });
+    assert.equal(result.ok, true, result.error);
+    assert.equal(getBalance(db, "buyer_delhi").balance, 60);
+  });
+
+  it("screens the purchase at the tiered price", () => {
+    setTiers([{ scope: "national", target: "IN", multiplier: 0.4 }]);
+    recordTransaction(db, { type: "TOKEN_PURCHASE", to: "buyer_delhi", amount: 100, net: 100 });
+    for (let i = 0; i < 10; i++) {
+      recordTransaction(db, { type: "TRANSFER", from: "buyer_delhi", to: "seller", amount: 1, net: 1 });
+    }
+
+    const held = purchaseListing(db, { buyerId: "buyer_delhi", listingId });
+    assert.equal(held.held, true);
+    assert.equal(getFraudReview(db, held.reviewId).amount, 40);
+    assert.equal(getBalance(db, "buyer_delhi").balance, 90);
+  });
+
+  it("charges the base price outside any tier", () => {
+    setTiers([{ scope: "national", target: "IN", multiplier: 0.4 }]);
+    recordTransaction(db, { type: "TOKEN_PURCHASE", to: "buyer_us", amount: 150, net: 150 });
+
+    const result = purchaseListing(db, { buyerId: "buyer_us", listingId });
+    assert.equal(result.ok, true, result.error);
+    assert.equal(getBalance(db, "buyer_us").balance, 50);
+  });
+});
@@ -0,0 +1,261 @@
+// tests/royalty-policies.test.js
+// Declared royalty policies: co-creator splits, per-parent caps, flat-fee
+// citations, public-domain opt-out, and the dry-run preview.
+//
+// Run: node --test tests/royalty-policies.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migratePolicies } from "../migrations/034_royalty_policies.js";
+import {
+  calculateGenerationalRate,
+  registerCitation,
+  getAncestorChain,
+  distributeRoyalties,
+  validateRoyaltyPolicy,
+  declareRoyaltyPolicy,
+  getContentCreators,
+  getRoyaltyPolicy,
+  previewRoyalties,
+} from "../economy/royalty-cascade.js";
+import { createListing } from "../economy/marketplace-service.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function createTestDb() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+  `);
+  migrateEconomic(db);
+  migratePolicies(db);
+  return db;
+}
+
+// song (by seller) cites beat (by producer) and poem (public domain, by bard);
+// beat cites sample (by crate).
+function seedLineage(db) {
+  registerCitation(db, { childId: "song", parentId: "beat", creatorId: "seller", parentCreatorId: "producer" });
+  registerCitation(db, { childId: "song", parentId: "poem", creatorId: "seller", parentCreatorId: "bard" });
+  registerCitation(db, { childId: "beat", parentId: "sample", creatorId: "producer", parentCreatorId: "crate" });
+  seedContent(db, { song: "seller", beat: "producer", poem: "bard", sample: "crate" });
+}
+
+// Creator records for the content, as the DTU pipeline keeps them
+function seedContent(db, creators) {
+  db.exec("CREATE TABLE IF NOT EXISTS dtus (id TEXT PRIMARY KEY, creator_id TEXT NOT NULL)");
+  const insert = db.prepare("INSERT INTO dtus (id, creator_id) VALUES (?, ?)");
+  for (const [id, creatorId] of Object.entries(creators)) insert.run(id, creatorId);
+}
+
+function amountFor(payouts, recipientId) {
+  return payouts.find((p) => p.recipientId === recipientId)?.amount;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("validateRoyaltyPolicy", () => {
+  it("requires split shares to sum to one", () => {
+    const result = validateRoyaltyPolicy({ splits: [{ userId: "a", share: 0.5 }, { userId: "b", share: 0.4 }] });
+    assert.equal(result.error, "split_shares_must_sum_to_one");
+  });
+
+  it("rejects duplicate split users and unknown fields", () => {
+    assert.equal(validateRoyaltyPolicy({ splits: [{ userId: "a", share: 0.5 }, { userId: "a", share: 0.5 }] }).error, "duplicate_split_user");
+    assert.equal(validateRoyaltyPolicy({ payEveryone: true }).error, "unknown_policy_field");
+  });
+
+  it("validates parent terms by mode", () => {
+    assert.equal(validateRoyaltyPolicy({ parents: { p: { mode: "flat" } } }).error, "invalid_flat_fee");
+    assert.equal(validateRoyaltyPolicy({ parents: { p: { mode: "public_domain" } } }).error, "public_domain_reason_required");
+    assert.equal(validateRoyaltyPolicy({ parents: { p: { mode: "flat", flatFee: 1, rateCap: 0.1 } } }).error, "invalid_rate_cap");
+    assert.equal(validateRoyaltyPolicy({ parents: { p: { mode: "bribe" } } }).error, "invalid_parent_mode");
+    assert.equal(validateRoyaltyPolicy({ parents: { p: { rateCap: 0.05, amountCap: 2 } } }).ok, true);
+  });
+});
+
+describe("declareRoyaltyPolicy", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); seedLineage(db); });
+  afterEach(() => { db.close(); });
+
+  it("only the content's creator may declare, and updates bump the version", () => {
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "song", creatorId: "mallory", policy: {} }).error, "not_content_creator");
+
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "song", creatorId: "seller", policy: {} }).version, 1);
+    const updated = declareRoyaltyPolicy(db, {
+      contentId: "song", creatorId: "seller", policy: { parents: { beat: { rateCap: 0.1 } } },
+    });
+    assert.equal(updated.version, 2);
+    assert.deepEqual(getRoyaltyPolicy(db, "song").policy.parents, { beat: { mode: "cascade", rateCap: 0.1 } });
+  });
+
+  it("root content cannot be claimed by whoever declares first", () => {
+    // sample has no lineage of its own; its creator record still decides
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "sample", creatorId: "mallory", policy: {} }).error, "not_content_creator");
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "sample", creatorId: "crate", policy: {} }).ok, true);
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "ghost", creatorId: "mallory", policy: {} }).error, "content_not_found");
+  });
+
+  it("falls back to the first listing's seller and accepts a creator resolver", () => {
+    db.prepare(`
+      INSERT INTO marketplace_economy_listings (id, seller_id, content_id, content_type, title, price, content_hash, created_at, updated_at)
+      VALUES (?, ?, 'jingle', 'music', 'Jingle', 5, ?, ?, ?)
+    `).run("lst_1", "writer", "h1", "2026-01-01 00:00:00", "2026-01-01 00:00:00");
+    db.prepare(`
+      INSERT INTO marketplace_economy_listings (id, seller_id, content_id, content_type, title, price, content_hash, created_at, updated_at)
+      VALUES (?, ?, 'jingle', 'music', 'Jingle', 5, ?, ?, ?)
+    `).run("lst_2", "mallory", "h2", "2026-02-01 00:00:00", "2026-02-01 00:00:00");
+    assert.deepEqual([...getContentCreators(db, "jingle")], ["writer"]);
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "jingle", creatorId: "mallory", policy: {} }).error, "not_content_creator");
+
+    const resolveCreator = (id) => (id === "dtu_mem" ? ["author"] : null);
+    assert.equal(declareRoyaltyPolicy(db, { contentId: "dtu_mem", creatorId: "author", policy: {}, resolveCreator }).ok, true);
+  });
+});
+
+describe("cascade evaluation with policies", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); seedLineage(db); });
+  afterEach(() => { db.close(); });
+
+  it("without policies keeps the default generational decay", () => {
+    const preview = previewRoyalties(db, { contentId: "song", transactionAmount: 100, sellerId: "seller" });
+    assert.equal(amountFor(preview.payouts, "producer"), Math.round(100 * calculateGenerationalRate(1) * 100) / 100);
+    assert.equal(amountFor(preview.payouts, "bard"), 10.5);
+    assert.equal(amountFor(preview.payouts, "crate"), Math.round(100 * calculateGenerationalRate(2) * 100) / 100);
+  });
+
+  it("public-domain parents are excluded along with their upstream", () => {
+    registerCitation(db, { childId: "poem", parentId: "older_poem", creatorId: "bard", parentCreatorId: "ancient" });
+    declareRoyaltyPolicy(db, {
+      contentId: "song", creatorId: "seller",
+      policy: { parents: { poem: { mode: "public_domain", reason: "Published 1850" } } },
+    });
+
+    const ids = getAncestorChain(db, "song").map((a) => a.contentId);
+    assert.deepEqual(ids.sort(), ["beat", "sample"]);
+
+    const preview = previewRoyalties(db, { contentId: "song", transactionAmount: 100, sellerId: "seller" });
+    assert.equal(amountFor(preview.payouts, "bard"), undefined);
+    assert.equal(amountFor(preview.payouts, "ancient"), undefined);
+    assert.ok(preview.skipped.some((s) => s.contentId === "poem" && s.reason === "public_domain"));
+  });
+
+  it("applies flat fees and rate/amount caps per parent", () => {
+    declareRoyaltyPolicy(db, {
+      contentId: "song", creatorId: "seller",
+      policy: { parents: { beat: { rateCap: 0.05 }, poem: { mode: "flat", flatFee: 2 } } },
+    });
+    declareRoyaltyPolicy(db, {
+      contentId: "beat", creatorId: "producer",
+      policy: { parents: { sample: { amountCap: 1 } } },
+    });
+
+    const preview = previewRoyalties(db, { contentId: "song", transactionAmount: 100, sellerId: "seller" });
+    assert.equal(amountFor(preview.payouts, "producer"), 5);
+    assert.equal(amountFor(preview.payouts, "bard"), 2);
+    assert.equal(amountFor(preview.payouts, "crate"), 1);
+    assert.equal(preview.totalRoyalties, 8);
+    assert.equal(preview.sellerRetains, 92);
+  });
+
+  it("caps the total royalties at the sale amount", () => {
+    declareRoyaltyPolicy(db, {
+      contentId: "song", creatorId: "seller",
+      policy: { parents: { beat: { mode: "flat", flatFee: 80 }, poem: { mode: "flat", flatFee: 80 } } },
+    });
+
+    const preview = previewRoyalties(db, { contentId: "song", transactionAmount: 100, sellerId: "seller" });
+    assert.ok(preview.totalRoyalties <= 100);
+    assert.ok(preview.sellerRetains >= 0);
+    assert.equal(amountFor(preview.payouts, "producer"), amountFor(preview.payouts, "bard"));
+    assert.ok(preview.payouts.every((p) => p.cappedFrom !== undefined));
+
+    const result = distributeRoyalties(db, { contentId: "song", transactionAmount: 100, sourceTxId: "tx_2", sellerId: "seller" });
+    const paid = db.prepare("SELECT SUM(amount) AS total FROM royalty_payouts WHERE source_tx_id = 'tx_2'").get().total;
+    assert.equal(result.totalRoyalties, preview.totalRoyalties);
+    assert.ok(paid <= 100);
+  });
+
+  it("splits an ancestor's royalty among its co-creators", () => {
+    declareRoyaltyPolicy(db, {
+      contentId: "beat", creatorId: "producer",
+      policy: { splits: [{ userId: "producer", share: 0.6 }, { userId: "engineer", share: 0.4 }] },
+    });
+
+    const preview = previewRoyalties(db, { contentId: "song", transactionAmount: 100, sellerId: "seller" });
+    assert.equal(amountFor(preview.payouts, "producer"), 6.3);
+    assert.equal(amountFor(preview.payouts, "engineer"), 4.2);
+  });
+
+  it("distributeRoyalties pays exactly what the preview showed", () => {
+    declareRoyaltyPolicy(db, {
+      contentId: "song", creatorId: "seller",
+      policy: { parents: { poem: { mode: "flat", flatFee: 3 } } },
+    });
+    const preview = previewRoyalties(db, { contentId: "song", transactionAmount: 50, sellerId: "seller", buyerId: "fan" });
+    const result = distributeRoyalties(db, {
+      contentId: "song", transactionAmount: 50, sourceTxId: "tx_1", sellerId: "seller", buyerId: "fan",
+    });
+
+    assert.equal(result.ok, true);
+    assert.equal(result.totalRoyalties, preview.totalRoyalties);
+    const paid = db.prepare("SELECT recipient_id, amount FROM royalty_payouts ORDER BY recipient_id").all();
+    assert.deepEqual(
+      paid.map((p) => [p.recipient_id, p.amount]),
+      preview.payouts.map((p) => [p.recipientId, p.amount]).sort(),
+    );
+    const flat = db.prepare("SELECT metadata_json FROM economy_ledger WHERE to_user_id = 'bard'").get();
+    assert.equal(JSON.parse(flat.metadata_json).mode, "flat");
+  });
+});
+
+describe("createListing with a royalty policy", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); seedLineage(db); });
+  afterEach(() => { db.close(); });
+
+  it("declares the policy with the listing", () => {
+    const result = createListing(db, {
+      sellerId: "seller", contentId: "song", contentType: "music", title: "Song",
+      price: 10, contentData: "la la la",
+      royaltyPolicy: { parents: { poem: { mode: "public_domain", reason: "Traditional" } } },
+    });
+    assert.equal(result.ok, true);
+    assert.equal(result.listing.royaltyPolicyVersion, 1);
+    assert.equal(getRoyaltyPolicy(db, "song").policy.parents.poem.mode, "public_domain");
+  });
+
+  it("rejects the listing when the policy is invalid or not the seller's to declare", () => {
+    const invalid = createListing(db, {
+      sellerId: "seller", contentId: "song", contentType: "music", title: "Song",
+      price: 10, contentData: "v1", royaltyPolicy: { splits: [{ userId: "a", share: 0.3 }] },
+    });
+    assert.equal(invalid.error, "split_shares_must_sum_to_one");
+
+    const foreign = createListing(db, {
+      sellerId: "mallory", contentId: "song", contentType: "music", title: "Song",
+      price: 10, contentData: "v2", royaltyPolicy: {},
+    });
+    assert.equal(foreign.error, "not_content_creator");
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM marketplace_economy_listings").get().c, 0);
+  });
+});
@@ -0,0 +1,60 @@
+// tests/semver.test.js
+// Version ordering and range matching used by plugin dependency resolution.
+//
+// Run: node --test tests/semver.test.js
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseVersion, compareVersions, isValidRange, satisfies, maxSatisfying } from "../lib/semver.js";
+
+describe("versions", () => {
+  it("parses and orders versions, prereleases before releases", () => {
+    assert.deepEqual(parseVersion("1.2.3-beta.2+build.7"), { major: 1, minor: 2, patch: 3, prerelease: ["beta", 2] });
+    assert.equal(parseVersion("1.2"), null);
+
+    const sorted = ["1.0.0", "1.0.0-rc.1", "0.9.9", "1.0.0-alpha", "1.0.0-alpha.1", "1.10.0", "1.2.0"]
+      .sort(compareVersions);
+    assert.deepEqual(sorted, ["0.9.9", "1.0.0-alpha", "1.0.0-alpha.1", "1.0.0-rc.1", "1.0.0", "1.2.0", "1.10.0"]);
+  });
+});
+
+describe("ranges", () => {
+  it("matches caret, tilde, wildcard, hyphen and alternative ranges", () => {
+    const cases = [
+      ["1.4.2", "^1.2.0", true],
+      ["2.0.0", "^1.2.0", false],
+      ["0.2.5", "^0.2.1", true],
+      ["0.3.0", "^0.2.1", false],
+      ["0.0.4", "^0.0.3", false],
+      ["1.2.9", "~1.2.3", true],
+      ["1.3.0", "~1.2.3", false],
+      ["3.1.4", "3.x", true],
+      ["4.0.0", "*", true],
+      ["1.3.0", "1.2.0 - 1.4.0", true],
+      ["1.4.1", "1.2.0 - 1.4.0", false],
+      ["2.5.0", ">=1.0.0 <2.0.0 || ^2.5.0", true],
+      ["1.5.1", ">1.2 <=1.5.0", false],
+      ["1.2.9", ">1.2 <=1.5.0", false],
+      ["1.3.0", ">1.2 <=1.5.0", true],
+    ];
+    for (const [version, range, expected] of cases) {
+      assert.equal(satisfies(version, range), expected, `${version} ${range}`);
+    }
+    assert.equal(isValidRange("^1.x || >=3"), true);
+    assert.equal(isValidRange("^banana"), false);
+  });
+
+  it("only lets prereleases through ranges that name them", () => {
+    assert.equal(satisfies("2.0.0-beta.1", "^1.0.0 || >=2.0.0"), false);
+    assert.equal(satisfies("2.0.0-beta.2", ">=2.0.0-beta.1"), true);
+    assert.equal(satisfies("2.1.0-beta.1", ">=2.0.0-beta.1"), false);
+  });
+
+  it("picks the highest version meeting every range", () => {
+    const versions = ["1.0.0", "1.1.0", "1.2.0", "2.0.0", "not-a-version"];
+    assert.equal(maxSatisfying(versions, "^1.0.0"), "1.2.0");
+    assert.equal(maxSatisfying(versions, ["^1.0.0", "<1.2.0"]), "1.1.0");
+    assert.equal(maxSatisfying(versions, ["^1.0.0", "^2.0.0"]), null);
+  });
+});
@@ -0,0 +1,301 @@
+// tests/tax-documents.test.js
+// Creator tax profiles (encrypted W-9 / W-8 forms), the withdrawal tax gate,
+// annual statements, 1099 threshold reports and statement PDFs.
+//
+// Run: node --test tests/tax-documents.test.js
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Database from "better-sqlite3";
+
+import { up as migrateEconomic } from "../migrations/008_economic_system.js";
+import { up as migrateBalances } from "../migrations/031_materialized_balances.js";
+import { up as migrateTaxProfiles } from "../migrations/036_creator_tax_profiles.js";
+import { recordTransaction } from "../economy/ledger.js";
+import { executeTransfer } from "../economy/transfer.js";
+import { requestWithdrawal } from "../economy/withdrawals.js";
+import { registerCitation, distributeRoyalties } from "../economy/royalty-cascade.js";
+import {
+  saveTaxProfile, getTaxProfile, revealTaxProfile, checkWithdrawalTaxGate, validateTaxForm,
+} from "../economy/tax-profiles.js";
+import { getAnnualStatement, getTaxThresholdReport, renderAnnualStatementPDF } from "../economy/tax-statements.js";
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const TAX_SECRET = "test-tax-profile-key";
+
+function createTestDb({ taxProfiles = true } = {}) {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE economy_ledger (
+      id            TEXT PRIMARY KEY,
+      type          TEXT NOT NULL,
+      from_user_id  TEXT,
+      to_user_id    TEXT,
+      amount        REAL NOT NULL CHECK(amount > 0),
+      fee           REAL NOT NULL DEFAULT 0 CHECK(fee >= 0),
+      net           REAL NOT NULL CHECK(net > 0),
+      status        TEXT NOT NULL DEFAULT 'complete',
+      metadata_json TEXT DEFAULT '{}',
+      request_id    TEXT,
+      ip            TEXT,
+      created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+      ref_id        TEXT
+    );
+
+    CREATE TABLE economy_withdrawals (
+      id TEXT PRIMARY KEY, user_id TEXT NOT NULL, amount REAL NOT NULL, fee REAL NOT NULL DEFAULT 0,
+      net REAL NOT NULL, status TEXT NOT NULL DEFAULT 'pending', ledger_id TEXT, reviewed_by TEXT,
+      reviewed_at TEXT, processed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')), updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE audit_log (
+      id TEXT PRIMARY KEY, timestamp TEXT, category TEXT, action TEXT, user_id TEXT,
+      ip_address TEXT, user_agent TEXT, request_id TEXT, path TEXT, method TEXT,
+      status_code TEXT, details TEXT
+    );
+  `);
+  migrateEconomic(db);
+  migrateBalances(db);
+  if (taxProfiles) migrateTaxProfiles(db);
+  return db;
+}
+
+const W9 = {
+  name: "Alice Artist",
+  taxClassification: "individual",
+  tinType: "ssn",
+  tin: "123-45-6789",
+  address: { line1: "1 Main St", city: "Springfield", state: "IL", postalCode: "62701" },
+};
+
+function fund(db, userId, amount) {
+  recordTransaction(db, { type: "TOKEN_PURCHASE", to: userId, amount, net: amount });
+}
+
+// Ledger rows are written with the real clock; tests move them into 2030.
+function seedCreatorYear(db) {
+  fund(db, "buyer", 5000);
+  fund(db, "fan", 100);
+
+  executeTransfer(db, { from: "buyer", to: "alice", amount: 100, type: "MARKETPLACE_PURCHASE", metadata: { listingId: "l1" } });
+  executeTransfer(db, { from: "fan", to: "alice", amount: 10, type: "TRANSFER", metadata: { subtype: "TIP", contentId: "c1" } });
+  executeTransfer(db, { from: "fan", to: "alice", amount: 5, type: "TRANSFER", metadata: { description: "lunch" } });
+  executeTransfer(db, { from: "buyer", to: "alice", amount: 20, type: "SUBSCRIPTION", metadata: { planId: "p1" } });
+
+  // Creative artifact sale: the platform pays the creator net of fees and cascade
+  recordTransaction(db, {
+    type: "MARKETPLACE_PURCHASE", from: "__PLATFORM__", to: "alice", amount: 45, fee: 0, net: 45,
+    metadata: { role: "creative_seller_credit", grossPrice: 50, fees: 2.73, cascadePaid: 2.27 },
+  });
+
+  // Alice owes royalties upstream on a derivative; she earns on her own beat
+  registerCitation(db, { childId: "song", parentId: "beat", creatorId: "alice", parentCreatorId: "producer" });
+  distributeRoyalties(db, { contentId: "song", transactionAmount: 100, sourceTxId: "tx_sale", sellerId: "alice" });
+  registerCitation(db, { childId: "remix", parentId: "alice_beat", creatorId: "bob", parentCreatorId: "alice" });
+  fund(db, "bob", 100);
+  distributeRoyalties(db, { contentId: "remix", transactionAmount: 100, sourceTxId: "tx_remix", sellerId: "bob" });
+
+  db.prepare("UPDATE economy_ledger SET created_at = '2030-03-15 12:00:00.000'").run();
+  db.prepare("UPDATE economy_ledger SET created_at = '2030-07-01 12:00:00.000' WHERE type = 'SUBSCRIPTION'").run();
+
+  db.prepare(`
+    INSERT INTO economy_withdrawals (id, user_id, amount, fee, net, status, processed_at)
+    VALUES ('wd_1', 'alice', 50, 0.73, 49.27, 'complete', '2030-08-01 00:00:00.000'),
+           ('wd_2', 'alice', 30, 0.44, 29.56, 'rejected', NULL)
+  `).run();
+}
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+describe("tax profiles", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); });
+  afterEach(() => { db.close(); });
+
+  it("validates each form type", () => {
+    assert.equal(validateTaxForm("1040", {}).error, "invalid_form_type");
+    assert.equal(validateTaxForm("W-9", { ...W9, tin: "12345" }).error, "invalid_tin");
+    assert.equal(validateTaxForm("W-9", { ...W9, address: { line1: "x", city: "y" } }).field, "address.state");
+    assert.equal(validateTaxForm("W-8BEN", {
+      name: "Bea", countryOfCitizenship: "US", dateOfBirth: "1990-01-01", address: { line1: "x", city: "y", country: "DE" },
+    }).error, "invalid_country");
+    const entity = validateTaxForm("W-8BEN-E", {
+      organizationName: "Studio GmbH", countryOfIncorporation: "de", chapter3Status: "corporation",
+      foreignTin: "DE123456789", address: { line1: "Hauptstr. 1", city: "Berlin", country: "DE" },
+    });
+    assert.equal(entity.ok, true);
+    assert.equal(entity.country, "DE");
+    assert.equal(entity.tinLast4, "6789");
+  });
+
+  it("requires certification and stores form fields only as ciphertext", () => {
+    assert.equal(saveTaxProfile(db, { userId: "alice", formType: "W-9", fields: W9, certifiedName: "Alice" }).error,
+      "certification_required");
+
+    const saved = saveTaxProfile(db, { userId: "alice", formType: "W-9", fields: W9, certifiedName: "Alice Artist", certify: true, secret: TAX_SECRET });
+    assert.equal(saved.ok, true);
+    assert.equal(saved.profile.tinLast4, "6789");
+    assert.equal(saved.profile.version, 1);
+
+    const row = db.prepare("SELECT * FROM creator_tax_profiles WHERE user_id = 'alice'").get();
+    assert.ok(!row.ciphertext.includes("123456789"));
+    assert.ok(!Buffer.from(row.ciphertext, "base64").toString("utf8").includes("Springfield"));
+
+    const revealed = revealTaxProfile(db, "alice", { secret: TAX_SECRET });
+    assert.equal(revealed.fields.tin, "123456789");
+    assert.equal(revealed.fields.address.country, "US");
+
+    saveTaxProfile(db, { userId: "alice", formType: "W-9", fields: { ...W9, tinType: "ein" }, certifiedName: "Alice Artist", certify: true, secret: TAX_SECRET });
+    assert.equal(getTaxProfile(db, "alice").version, 2);
+  });
+
+  it("refuses to save or reveal forms without an encryption key", () => {
+    const unkeyed = { userId: "alice", formType: "W-9", fields: W9, certifiedName: "Alice Artist", certify: true, secret: "" };
+    assert.equal(saveTaxProfile(db, unkeyed).error, "tax_profile_encryption_not_configured");
+    assert.equal(getTaxProfile(db, "alice"), null);
+
+    saveTaxProfile(db, { ...unkeyed, secret: TAX_SECRET });
+    assert.equal(revealTaxProfile(db, "alice", { secret: "" }).error, "tax_profile_encryption_not_configured");
+  });
+
+  it("refuses to decrypt a ciphertext moved to another user or read with the wrong key", () => {
+    saveTaxProfile(db, { userId: "alice", formType: "W-9", fields: W9, certifiedName: "Alice Artist", certify: true, secret: TAX_SECRET });
+    assert.equal(revealTaxProfile(db, "alice", { secret: "other-key" }).error, "tax_profile_decrypt_failed");
+
+    saveTaxProfile(db, { userId: "mallory", formType: "W-9", fields: { ...W9, name: "Mallory" }, certifiedName: "M", certify: true, secret: TAX_SECRET });
+    db.prepare(`
+      UPDATE creator_tax_profiles SET (ciphertext, iv, auth_tag) =
+        (SELECT ciphertext, iv, auth_tag FROM creator_tax_profiles WHERE user_id = 'alice')
+      WHERE user_id = 'mallory'
+    `).run();
+    assert.equal(revealTaxProfile(db, "mallory", { secret: TAX_SECRET }).error, "tax_profile_decrypt_failed");
+  });
+});
+
+describe("withdrawal tax gate", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); fund(db, "alice", 2000); });
+  afterEach(() => { db.close(); });
+
+  it("allows withdrawals up to the yearly threshold without a profile", () => {
+    assert.equal(requestWithdrawal(db, { userId: "alice", amount: 400 }).ok, true);
+    assert.equal(requestWithdrawal(db, { userId: "alice", amount: 200 }).ok, true);
+  });
+
+  it("blocks withdrawals that would cross the threshold until a profile is on file", () => {
+    requestWithdrawal(db, { userId: "alice", amount: 500 });
+    const blocked = requestWithdrawal(db, { userId: "alice", amount: 150 });
+    assert.equal(blocked.ok, false);
+    assert.equal(blocked.error, "tax_profile_required");
+    assert.equal(blocked.yearToDateUsd, 650);
+
+    saveTaxProfile(db, { userId: "alice", formType: "W-9", fields: W9, certifiedName: "Alice Artist", certify: true, secret: TAX_SECRET });
+    assert.equal(requestWithdrawal(db, { userId: "alice", amount: 150 }).ok, true);
+  });
+
+  it("ignores rejected and cancelled withdrawals and earlier years", () => {
+    db.prepare(`
+      INSERT INTO economy_withdrawals (id, user_id, amount, fee, net, status, created_at)
+      VALUES ('wd_old', 'alice', 900, 0, 900, 'complete', '2020-06-01 00:00:00.000'),
+             ('wd_rej', 'alice', 900, 0, 900, 'rejected', datetime('now'))
+    `).run();
+    assert.equal(checkWithdrawalTaxGate(db, { userId: "alice", amount: 100 }).ok, true);
+  });
+
+  it("is a no-op before the profiles table exists", () => {
+    const legacy = createTestDb({ taxProfiles: false });
+    fund(legacy, "alice", 2000);
+    assert.equal(requestWithdrawal(legacy, { userId: "alice", amount: 1000 }).ok, true);
+    legacy.close();
+  });
+});
+
+describe("annual statements", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); seedCreatorYear(db); });
+  afterEach(() => { db.close(); });
+
+  it("breaks income down by category, gross of fees", () => {
+    const s = getAnnualStatement(db, { userId: "alice", year: 2030 });
+    assert.equal(s.ok, true);
+    assert.equal(s.income.marketplaceSales.count, 2);
+    assert.equal(s.income.marketplaceSales.gross, 150);
+    assert.equal(s.income.marketplaceSales.fees, 8.19);
+    assert.equal(s.income.tips.gross, 10);
+    assert.equal(s.income.subscriptions.gross, 20);
+    assert.equal(s.income.royaltiesReceived.count, 1);
+    assert.equal(s.income.royaltiesReceived.gross, 10.5);
+
+    // Plain transfers are not income; monthly figures exclude royalties
+    assert.equal(s.totals.grossPayments, 180);
+    assert.equal(s.totals.paymentTransactions, 4);
+    assert.equal(s.monthlyGrossPayments[2].gross, 160);
+    assert.equal(s.monthlyGrossPayments[6].gross, 20);
+  });
+
+  it("nets out royalties paid upstream and counts completed withdrawals", () => {
+    const s = getAnnualStatement(db, { userId: "alice", year: 2030 });
+    assert.equal(s.totals.royaltiesPaid, 12.77);
+    assert.equal(s.withdrawals.count, 1);
+    assert.equal(s.withdrawals.amount, 50);
+    assert.equal(s.usd.withdrawals, 50);
+
+    const netIncome = Object.values(s.income).reduce((sum, b) => sum + Math.round(b.net * 100), 0);
+    assert.equal(Math.round(s.totals.netEarnings * 100), netIncome - 1050);
+  });
+
+  it("flags the forms the year triggers", () => {
+    const s = getAnnualStatement(db, { userId: "alice", year: 2030 });
+    assert.equal(s.forms["1099-K"].reportable, false);
+    assert.equal(s.forms["1099-MISC"].reportable, true);
+
+    const low = getAnnualStatement(db, {
+      userId: "alice", year: 2030, thresholds: { FORM_1099_K: { grossUsd: 100, transactions: 3 } },
+    });
+    assert.equal(low.forms["1099-K"].reportable, true);
+  });
+
+  it("is empty for other years and rejects bad input", () => {
+    assert.equal(getAnnualStatement(db, { userId: "alice", year: 2029 }).totals.grossPayments, 0);
+    assert.equal(getAnnualStatement(db, { userId: "alice", year: "next" }).error, "invalid_year");
+    assert.equal(getAnnualStatement(db, { year: 2030 }).error, "missing_user_id");
+  });
+
+  it("renders a PDF", async () => {
+    const pdf = await renderAnnualStatementPDF(getAnnualStatement(db, { userId: "alice", year: 2030 }));
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 4).toString(), "%PDF");
+  });
+});
+
+describe("threshold report", () => {
+  let db;
+  beforeEach(() => { db = createTestDb(); seedCreatorYear(db); });
+  afterEach(() => { db.close(); });
+
+  it("lists creators over a threshold with their profile status", () => {
+    const report = getTaxThresholdReport(db, { year: 2030 });
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.creators.map((c) => c.userId).sort(), ["alice", "producer"]);
+    assert.equal(report.summary.reportable1099Misc, 2);
+    assert.equal(report.summary.missingTaxProfiles, 2);
+
+    saveTaxProfile(db, { userId: "alice", formType: "W-9", fields: W9, certifiedName: "Alice Artist", certify: true, secret: TAX_SECRET });
+    const after = getTaxThresholdReport(db, { year: 2030 });
+    assert.equal(after.creators.find((c) => c.userId === "alice").taxProfile.tinLast4, "6789");
+    assert.equal(after.summary.missingTaxProfiles, 1);
+  });
+
+  it("applies 1099-K thresholds and can include everyone who earned", () => {
+    const k = getTaxThresholdReport(db, {
+      year: 2030, thresholds: { FORM_1099_K: { grossUsd: 100, transactions: 1 }, FORM_1099_MISC: { royaltiesUsd: 1000 } },
+    });
+    assert.deepEqual(k.creators.map((c) => c.userId), ["alice"]);
+
+    const all = getTaxThresholdReport(db, { year: 2030, includeBelowThreshold: true, thresholds: { FORM_1099_MISC: { royaltiesUsd: 1000 } } });
+    assert.ok(all.creators.some((c) => c.userId === "producer" && !c.reportable));
+    assert.ok(!all.creators.some((c) => c.userId.startsWith("__")));
+  });
+});
@@ -0,0 +1,274 @@
+// tests/tenancy.test.js
+// Multi-tenant hosting: the tenant registry and request resolution, per-tenant
+// databases and STATE namespaces, per-tenant journal and RBAC stores, the
+// tenant middleware, and tenant peering through federation.
+//
+// Run: node --test tests/tenancy.test.js
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+
+import { runMigrations } from "../migrate.js";
+import { initDTUStore, createDTUStore } from "../lib/dtu-store.js";
+import {
+  createTenantRegistry, createTenantMiddleware, tenantScopedState, seedStateShape,
+  runWithTenant, currentTenantId, peerTenants, queryPeerTenant, createSharedSubsystemGuard,
+} from "../lib/tenancy.js";
+import { attachJournalStore, detachJournalStore, recordDTUChange, reconstructDTU } from "../emergent/journal.js";
+import { attachRbacStore, detachRbacStore, createOrgWorkspace, getOrgWorkspace } from "../emergent/rbac.js";
+
+let dir;
+let rootDb;
+let registry;
+
+function tenantState(_tenant, tenantDb) {
+  const state = { dtus: new Map(), settings: {} };
+  initDTUStore(tenantDb);
+  const store = createDTUStore(tenantDb, state.dtus);
+  store.rehydrateFromSQLite();
+  state.dtus = store;
+  return state;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "concord-tenants-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await registry?.closeAll();
+  rootDb = new Database(":memory:");
+  await runMigrations(rootDb);
+  registry = createTenantRegistry({ db: rootDb, dir, baseDomain: "concord.test", createState: tenantState });
+});
+
+describe("tenant registry", () => {
+  it("refuses an unmigrated database", () => {
+    assert.equal(createTenantRegistry({ db: new Database(":memory:") }).error, "tenancy_not_migrated");
+  });
+
+  it("creates tenants with a one-time API key and validates ids and hosts", () => {
+    const acme = registry.createTenant({ id: "acme", name: "Acme", hosts: ["Knowledge.Acme.com:443"] });
+    assert.equal(acme.ok, true);
+    assert.match(acme.apiKey, /^ctk_[0-9a-f]{48}$/);
+    assert.deepEqual(acme.tenant.hosts, ["knowledge.acme.com"]);
+    assert.equal(acme.tenant.apiKeyPrefix, acme.apiKey.slice(0, 12));
+    assert.equal(JSON.stringify(registry.listTenants()).includes(acme.apiKey), false);
+
+    assert.equal(registry.createTenant({ id: "Bad Id" }).error, "invalid_tenant_id");
+    assert.equal(registry.createTenant({ id: "acme" }).error, "tenant_exists");
+    assert.equal(registry.createTenant({ id: "other", hosts: ["knowledge.acme.com"] }).error, "host_in_use");
+  });
+
+  it("resolves requests by key, exact host and base-domain subdomain", () => {
+    const { apiKey } = registry.createTenant({ id: "acme", hosts: ["kb.acme.com"] });
+    registry.createTenant({ id: "globex" });
+
+    assert.equal(registry.resolveTenant({ apiKey }).id, "acme");
+    assert.equal(registry.resolveTenant({ apiKey, host: "globex.concord.test" }).id, "acme");
+    assert.equal(registry.resolveTenant({ host: "KB.acme.com:8080" }).id, "acme");
+    assert.equal(registry.resolveTenant({ host: "globex.concord.test" }).id, "globex");
+    assert.equal(registry.resolveTenant({ host: "a.globex.concord.test" }), null);
+    assert.equal(registry.resolveTenant({ apiKey: "ctk_wrong" }), null);
+
+    const rotated = registry.rotateKey("acme");
+    assert.equal(registry.resolveTenant({ apiKey }), null);
+    assert.equal(registry.resolveTenant({ apiKey: rotated.apiKey }).id, "acme");
+  });
+
+  it("reports LLM quotas and applies updates", () => {
+    registry.createTenant({ id: "acme", llmShare: 0.5 });
+    assert.deepEqual(registry.getQuota("acme"), { share: 0.5, maxQueued: 50 });
+    assert.equal(registry.updateTenant("acme", { llmMaxQueued: 5, status: "suspended" }).tenant.status, "suspended");
+    assert.deepEqual(registry.getQuota("acme"), { share: 0.5, maxQueued: 5 });
+    assert.equal(registry.updateTenant("acme", { status: "deleted" }).error, "invalid_status");
+    assert.equal(registry.getQuota("nobody"), null);
+  });
+});
+
+describe("tenant isolation", () => {
+  it("gives each tenant its own migrated database and DTUs", async () => {
+    registry.createTenant({ id: "acme" });
+    registry.createTenant({ id: "globex" });
+    const acme = await registry.openTenant("acme");
+    const globex = await registry.openTenant("globex");
+
+    assert.equal(acme.ok, true);
+    assert.ok(fs.existsSync(path.join(dir, "acme.db")));
+    assert.ok(acme.db.prepare("SELECT version FROM schema_version WHERE version = 43").get());
+    assert.equal(await registry.openTenant("acme"), acme);
+
+    acme.state.dtus.set("d1", { id: "d1", title: "Acme only", scope: "local", createdAt: "2026-01-01", updatedAt: "2026-01-01" });
+    assert.equal(globex.state.dtus.has("d1"), false);
+
+    await registry.closeTenant("acme");
+    const reopened = await registry.openTenant("acme");
+    assert.equal(reopened.state.dtus.get("d1").title, "Acme only");
+  });
+
+  it("routes STATE through the current tenant's namespace", async () => {
+    const root = { dtus: new Map([["root_dtu", {}]]), counter: 0 };
+    const STATE = tenantScopedState(root);
+    const ctx = { tenantId: "acme", state: seedStateShape({ dtus: new Map() }, root) };
+
+    assert.equal(ctx.state.counter, 0);
+    await runWithTenant(ctx, async () => {
+      await new Promise((resolve) => { setImmediate(resolve); });
+      assert.equal(currentTenantId(), "acme");
+      assert.equal(STATE.dtus.has("root_dtu"), false);
+      STATE.counter = 7;
+      STATE.added = true;
+      assert.deepEqual(Object.keys(STATE).sort(), ["added", "counter", "dtus"]);
+    });
+
+    assert.equal(currentTenantId(), null);
+    assert.equal(STATE.counter, 0);
+    assert.equal("added" in STATE, false);
+    assert.equal(ctx.state.counter, 7);
+  });
+});
+
+// ── HTTP layer ───────────────────────────────────────────────────────────────
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+describe("per-tenant subsystem stores", () => {
+  after(() => {
+    detachJournalStore();
+    detachRbacStore();
+  });
+
+  it("writes the journal and RBAC data of a tenant request to the tenant's database", async () => {
+    attachJournalStore(rootDb);
+    attachRbacStore(rootDb);
+    registry.createTenant({ id: "acme" });
+    const acme = await registry.openTenant("acme");
+    const STATE = tenantScopedState({});
+
+    await runWithTenant(acme, async () => {
+      recordDTUChange(STATE, { id: "d1", title: "Acme only" });
+      createOrgWorkspace(STATE, { orgId: "org_acme", name: "Acme", ownerId: "u1" });
+      assert.equal(reconstructDTU(STATE, "d1").dtu.title, "Acme only");
+    });
+
+    const count = (db, table) => db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+    assert.equal(count(acme.db, "lattice_journal"), 1);
+    assert.equal(count(rootDb, "lattice_journal"), 0);
+    assert.equal(count(acme.db, "rbac_orgs"), 1);
+    assert.equal(getOrgWorkspace(STATE, "org_acme").ok, false);
+    assert.equal(reconstructDTU(STATE, "d1").error, "no_history");
+  });
+
+  it("keeps tenant requests off the root-only paths of shared subsystems", async () => {
+    const guard = createSharedSubsystemGuard();
+    const run = (path) => {
+      const res = mockRes();
+      let passed = false;
+      guard({ path }, res, () => { passed = true; });
+      return { passed, res };
+    };
+
+    assert.equal(run("/api/economy/admin/transactions").passed, true);
+    registry.createTenant({ id: "acme" });
+    const acme = await registry.openTenant("acme");
+    runWithTenant(acme, () => {
+      const denied = run("/api/economy/admin/transactions");
+      assert.equal(denied.passed, false);
+      assert.equal(denied.res.body.code, "TENANT_SHARED_SUBSYSTEM");
+      assert.equal(run("/api/loaf/bus/replay").res.statusCode, 403);
+      assert.equal(run("/api/economy/balance").passed, true);
+      assert.equal(run("/api/economy/administrator").passed, true);
+    });
+  });
+});
+
+describe("tenant middleware", () => {
+  // Express derives req.hostname from Host (or a trusted X-Forwarded-Host)
+  async function run(mw, headers, { hostname = headers.host?.replace(/:\d+$/, ""), user } = {}) {
+    const req = { headers, hostname, user };
+    const res = mockRes();
+    let seen;
+    await mw(req, res, () => { seen = currentTenantId(); });
+    return { req, res, seen };
+  }
+
+  it("binds requests to their tenant and rejects unknown or suspended ones", async () => {
+    const { apiKey } = registry.createTenant({ id: "acme" });
+    const mw = createTenantMiddleware(registry);
+
+    const bound = await run(mw, { "x-tenant-key": apiKey });
+    assert.equal(bound.seen, "acme");
+    assert.equal(bound.req.tenant.id, "acme");
+
+    assert.equal((await run(mw, { host: "acme.concord.test" })).seen, "acme");
+    assert.equal((await run(mw, { host: "localhost:5050" })).seen, null);
+    assert.equal((await run(mw, { "x-tenant-key": "ctk_forged" })).res.body.code, "TENANT_UNKNOWN");
+    assert.equal((await run(createTenantMiddleware(registry, { required: true }), { host: "localhost" })).res.statusCode, 404);
+
+    registry.updateTenant("acme", { status: "suspended" });
+    const suspended = await run(mw, { "x-tenant-key": apiKey });
+    assert.equal(suspended.res.statusCode, 403);
+    assert.equal(suspended.seen, undefined);
+  });
+
+  it("ignores an untrusted X-Forwarded-Host and admits only tenant members", async () => {
+    registry.createTenant({ id: "acme" });
+    const mw = createTenantMiddleware(registry);
+
+    const spoofed = await run(mw, { host: "localhost", "x-forwarded-host": "acme.concord.test" });
+    assert.equal(spoofed.seen, null);
+
+    const host = { host: "acme.concord.test" };
+    const outsider = await run(mw, host, { user: { id: "u_outsider" } });
+    assert.equal(outsider.res.statusCode, 403);
+    assert.equal(outsider.res.body.code, "TENANT_FORBIDDEN");
+    assert.equal(outsider.seen, undefined);
+
+    assert.equal(registry.addMember("acme", "u_member").ok, true);
+    assert.equal(registry.addMember("acme", "u_member", { role: "owner" }).error, "invalid_role");
+    assert.equal((await run(mw, host, { user: { id: "u_member" } })).seen, "acme");
+    assert.deepEqual(registry.listMembers("acme").map((m) => [m.userId, m.role]), [["u_member", "member"]]);
+
+    assert.equal(registry.removeMember("acme", "u_member").ok, true);
+    assert.equal((await run(mw, host, { user: { id: "u_member" } })).res.body.code, "TENANT_FORBIDDEN");
+  });
+});
+
+describe("tenant peering", () => {
+  it("shares only global-scope DTUs with peered tenants", async () => {
+    registry.createTenant({ id: "acme" });
+    registry.createTenant({ id: "globex" });
+    const globex = await registry.openTenant("globex");
+    const stamp = { createdAt: "2026-01-01", updatedAt: "2026-01-01" };
+    globex.state.dtus.set("g1", { id: "g1", title: "Public tariff notes", scope: "global", ...stamp });
+    globex.state.dtus.set("g2", { id: "g2", title: "Internal tariff notes", scope: "local", ...stamp });
+
+    assert.equal((await queryPeerTenant(registry, "acme", "globex", { query: "tariff" })).error, "not_peered");
+
+    const peered = peerTenants(registry, "globex", "acme");
+    assert.equal(peered.ok, true);
+    assert.equal(peered.peer.peerType, "tenant_peer");
+    assert.equal(peerTenants(registry, "acme", "globex").error, "already_peered");
+    assert.equal(peerTenants(registry, "acme", "acme").error, "cannot_peer_self");
+
+    const result = await queryPeerTenant(registry, "acme", "globex", { query: "tariff" });
+    assert.deepEqual(result.results.map((d) => d.id), ["g1"]);
+    assert.equal(result.results[0].ephemeral, true);
+    result.results[0].title = "changed";
+    assert.equal(globex.state.dtus.get("g1").title, "Public tariff notes");
+  });
+});
@@ -269,6 +269,30 @@ describe('assembleWithTokenBudget', () => {
     assert.ok(typeof result.budgetUtilization.total.pct === 'number');
   });
 
+  it('merges ranked sources into the working set by normalised score', () => {
+    const result = assembleWithTokenBudget({
+      systemPromptBase: 'System.',
+      userMessage: 'Seal for XJ-2200-B?',
+      workingSetDtus: [{ id: 'focus1', title: 'Focus DTU', tier: 'regular', tags: [] }],
+      activationMeta: [{ dtuId: 'focus1', score: 0.5 }],
+      rankedSources: [{
+        name: 'hybrid',
+        items: [
+          { dtu: { id: 'part1', title: 'Pump XJ-2200-B', tier: 'regular', tags: [] }, score: 0.03 },
+          { dtu: { id: 'focus1', title: 'Focus DTU', tier: 'regular', tags: [] }, score: 0.02 },
+          { dtu: { id: 'part2', title: 'Pump overview', tier: 'regular', tags: [] }, score: 0.009 },
+        ],
+      }],
+      contextWindow: 32768,
+    });
+    assert.strictEqual(result.dtuCount, 3);
+    assert.deepStrictEqual(result.rankedSourceCounts, { hybrid: 2 });
+    const order = ['Pump XJ-2200-B', 'Focus DTU', 'Pump overview'].map(t => result.dtuContextBlock.indexOf(t));
+    assert.ok(order[0] < order[1] && order[1] < order[2], `unexpected order ${order}`);
+    // Ranked scores order the blocks but are not reported as activation confidence
+    assert.ok(!result.dtuContextBlock.includes('Confidence: 100%'));
+  });
+
   it('handles empty options gracefully', () => {
     const result = assembleWithTokenBudget({});
     assert.ok(result.systemPromptFinal !== undefined);
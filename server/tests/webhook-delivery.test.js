@@ -0,0 +1,435 @@
+// tests/webhook-delivery.test.js
+// Shared webhook delivery pipeline: signing, retries with backoff, the
+// per-endpoint circuit breaker, the SQLite delivery log, the dead-letter
+// queue and replay, persisted endpoints across restarts, and the public API
+// webhooks running through it, and the private-network destination guard.
+// Deliveries go to a local HTTP stand-in, so private networks are allowed
+// everywhere except the destination guard tests.
+//
+// Run: node --test tests/webhook-delivery.test.js
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import Database from "better-sqlite3";
+
+import { up as migrateWebhookDeliveries } from "../migrations/039_webhook_deliveries.js";
+import { up as migrateWebhookEndpoints } from "../migrations/048_webhook_endpoints.js";
+import {
+  configureWebhookDelivery, registerWebhookEndpoint, setWebhookEndpointActive, removeWebhookEndpoint,
+  enqueueWebhookDelivery, processWebhookDeliveries, getWebhookDelivery, listWebhookDeliveries,
+  listDeadLetters, replayWebhookDelivery, replayDeadLetters, getWebhookDeliveryStats,
+  signWebhookPayload, verifyWebhookSignature, loadWebhookEndpoints,
+} from "../lib/webhook-delivery.js";
+import {
+  registerWebhook, restoreWebhooks, dispatchWebhookEvent, processPendingDeliveries, getDeliveryHistory,
+} from "../emergent/public-api.js";
+
+// ── Local HTTP stand-in ──────────────────────────────────────────────────────
+
+let server;
+let baseUrl;
+let received = [];
+const statusFor = new Map();   // path → status code to answer with
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      if (req.url === "/redirect") {
+        res.writeHead(302, { Location: `${baseUrl}/internal` }).end();
+        return;
+      }
+      res.writeHead(statusFor.get(req.url) || 200, { "Content-Type": "text/plain" }).end("ack");
+    });
+  });
+  await new Promise((resolve) => { server.listen(0, "127.0.0.1", resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => { server.close(resolve); });
+});
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+let db;
+let seq = 0;
+
+function setup(opts = {}) {
+  db = new Database(":memory:");
+  migrateWebhookDeliveries(db);
+  migrateWebhookEndpoints(db);
+  received = [];
+  statusFor.clear();
+  return configureWebhookDelivery({ db, baseBackoffMs: 1000, allowPrivateNetworks: true, ...opts });
+}
+
+function endpoint(path = "/ok", extra = {}) {
+  const id = `ep_${++seq}`;
+  const r = registerWebhookEndpoint({ id, source: "test", url: `${baseUrl}${path}`, secret: `secret-${id}`, ...extra });
+  assert.equal(r.ok, true, r.error);
+  return id;
+}
+
+// What a previous process left behind: an endpoint row and a queued delivery
+function persistedEndpoint(path, extra = {}) {
+  const id = `ep_${++seq}`;
+  db.prepare(`
+    INSERT INTO webhook_endpoints (id, source, owner_id, url, secret, max_attempts, active, metadata_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, extra.source || "test", extra.ownerId || null, `${baseUrl}${path}`, `secret-${id}`,
+    extra.maxAttempts || null, extra.active === false ? 0 : 1, JSON.stringify(extra.metadata || {}));
+  return id;
+}
+
+function persistedDelivery(endpointId, path) {
+  const id = `dlv_${++seq}`;
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, endpoint_id, source, event, url, payload_json, status, attempts, max_attempts, next_attempt_at)
+    VALUES (?, ?, 'test', 'dtu.created', ?, ?, 'pending', 0, 3, ?)
+  `).run(id, endpointId, `${baseUrl}${path}`, JSON.stringify({ id, event: "dtu.created", data: {} }), Date.now());
+  return id;
+}
+
+function later(ms) {
+  return Date.now() + ms;
+}
+
+// ── Signing ──────────────────────────────────────────────────────────────────
+
+describe("webhook signatures", () => {
+  it("round-trips and rejects tampering, wrong secrets and stale timestamps", () => {
+    const body = JSON.stringify({ hello: "world" });
+    const header = signWebhookPayload(body, "s3cret", 1_900_000_000);
+    assert.match(header, /^t=1900000000,v1=[0-9a-f]{64}$/);
+
+    assert.equal(verifyWebhookSignature(body, header, "s3cret", { now: 1_900_000_010 }).ok, true);
+    assert.equal(verifyWebhookSignature(body + " ", header, "s3cret", { now: 1_900_000_010 }).error, "signature_mismatch");
+    assert.equal(verifyWebhookSignature(body, header, "other", { now: 1_900_000_010 }).error, "signature_mismatch");
+    assert.equal(verifyWebhookSignature(body, header, "s3cret", { now: 1_900_001_000 }).error, "timestamp_out_of_tolerance");
+    assert.equal(verifyWebhookSignature(body, "garbage", "s3cret").error, "malformed_signature");
+  });
+});
+
+// ── Delivery ─────────────────────────────────────────────────────────────────
+
+describe("webhook delivery", () => {
+  beforeEach(() => { setup(); });
+
+  it("persists to SQLite when the migration is applied", () => {
+    assert.equal(getWebhookDeliveryStats().store, "sqlite");
+    assert.equal(configureWebhookDelivery({ db: new Database(":memory:") }).store, "memory");
+  });
+
+  it("POSTs a signed body and logs the attempt", async () => {
+    const id = endpoint("/ok");
+    const { deliveryId } = enqueueWebhookDelivery(id, "dtu.created", { dtuId: "d1" });
+
+    const run = await processWebhookDeliveries();
+    assert.deepEqual(run.results.map((r) => r.status), ["delivered"]);
+
+    const [req] = received;
+    assert.equal(req.headers["x-concordos-event"], "dtu.created");
+    assert.equal(req.headers["x-concordos-delivery"], deliveryId);
+    assert.equal(verifyWebhookSignature(req.body, req.headers["x-concordos-signature"], `secret-${id}`).ok, true);
+    assert.deepEqual(JSON.parse(req.body).data, { dtuId: "d1" });
+
+    const { delivery } = getWebhookDelivery(deliveryId);
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.attempts, 1);
+    assert.deepEqual(delivery.attemptLog.map((a) => [a.attempt, a.statusCode, a.responseExcerpt]), [[1, 200, "ack"]]);
+    assert.equal(db.prepare("SELECT COUNT(*) as c FROM webhook_delivery_attempts").get().c, 1);
+  });
+
+  it("backs off exponentially and dead-letters after the attempt budget", async () => {
+    const id = endpoint("/down", { maxAttempts: 3 });
+    statusFor.set("/down", 503);
+    const { deliveryId } = enqueueWebhookDelivery(id, "dtu.created", {});
+
+    const first = await processWebhookDeliveries();
+    assert.equal(first.results[0].status, "retrying");
+    const next = getWebhookDelivery(deliveryId).delivery.nextAttemptAt;
+
+    // Not due yet
+    assert.equal((await processWebhookDeliveries()).processed, 0);
+
+    const second = await processWebhookDeliveries({ now: next });
+    assert.equal(second.results[0].status, "retrying");
+    const gap = getWebhookDelivery(deliveryId).delivery.nextAttemptAt - next;
+    assert.equal(gap, 2000);
+
+    const third = await processWebhookDeliveries({ now: later(10_000) });
+    assert.equal(third.results[0].status, "dead_letter");
+
+    const { delivery } = getWebhookDelivery(deliveryId);
+    assert.equal(delivery.status, "dead_letter");
+    assert.equal(delivery.lastStatusCode, 503);
+    assert.equal(delivery.attemptLog.length, 3);
+    assert.deepEqual(listDeadLetters().deliveries.map((d) => d.id), [deliveryId]);
+  });
+
+  it("records network failures", async () => {
+    const id = `ep_${++seq}`;
+    registerWebhookEndpoint({ id, source: "test", url: "http://127.0.0.1:1/nothing", secret: "s", maxAttempts: 1 });
+    const { deliveryId } = enqueueWebhookDelivery(id, "dtu.created", {});
+
+    await processWebhookDeliveries();
+    const { delivery } = getWebhookDelivery(deliveryId);
+    assert.equal(delivery.status, "dead_letter");
+    assert.equal(delivery.lastStatusCode, null);
+    assert.ok(delivery.lastError);
+  });
+
+  it("does not follow a redirect to loopback", async () => {
+    const id = endpoint("/redirect", { maxAttempts: 1 });
+    const { deliveryId } = enqueueWebhookDelivery(id, "dtu.created", {});
+
+    await processWebhookDeliveries();
+    assert.deepEqual(received.map((r) => r.path), ["/redirect"]);
+    const { delivery } = getWebhookDelivery(deliveryId);
+    assert.equal(delivery.status, "dead_letter");
+    assert.equal(delivery.lastStatusCode, 302);
+    assert.equal(delivery.lastError, "redirect_refused");
+  });
+
+  it("defers deliveries without spending attempts while the endpoint's breaker is open", async () => {
+    setup({ maxAttempts: 10, breaker: { failureThreshold: 2, cooldownMs: 60_000 } });
+    const id = endpoint("/flaky");
+    statusFor.set("/flaky", 500);
+    const a = enqueueWebhookDelivery(id, "e", { n: 1 }).deliveryId;
+    const b = enqueueWebhookDelivery(id, "e", { n: 2 }).deliveryId;
+    const c = enqueueWebhookDelivery(id, "e", { n: 3 }).deliveryId;
+
+    const run = await processWebhookDeliveries();
+    assert.deepEqual(run.results.map((r) => r.status), ["retrying", "retrying", "deferred"]);
+    assert.equal(received.length, 2);
+    assert.equal(getWebhookDelivery(c).delivery.attempts, 0);
+    assert.equal(getWebhookDeliveryStats().breakers[id].state, "open");
+
+    // Still open: everything due is deferred, nothing is sent
+    const again = await processWebhookDeliveries({ now: later(30_000) });
+    assert.ok(again.results.every((r) => r.status === "deferred"));
+    assert.equal(received.length, 2);
+    assert.equal(getWebhookDelivery(a).delivery.attempts, 1);
+    assert.equal(getWebhookDelivery(b).delivery.attempts, 1);
+  });
+
+  it("dead-letters deliveries for endpoints that are gone or inactive", async () => {
+    const gone = endpoint("/ok");
+    const paused = endpoint("/ok");
+    const d1 = enqueueWebhookDelivery(gone, "e", {}).deliveryId;
+    const d2 = enqueueWebhookDelivery(paused, "e", {}).deliveryId;
+    removeWebhookEndpoint(gone);
+    setWebhookEndpointActive(paused, false);
+
+    await processWebhookDeliveries();
+    assert.equal(getWebhookDelivery(d1).delivery.lastError, "endpoint_unregistered");
+    assert.equal(getWebhookDelivery(d2).delivery.lastError, "endpoint_inactive");
+    assert.equal(received.length, 0);
+    assert.equal(enqueueWebhookDelivery(paused, "e", {}).ok, false);
+  });
+});
+
+// ── Persisted endpoints ──────────────────────────────────────────────────────
+
+describe("persisted webhook endpoints", () => {
+  beforeEach(() => { setup(); });
+
+  it("writes registrations, activation changes and removals through to SQLite", () => {
+    const id = endpoint("/ok", { metadata: { events: ["dtu.created"] } });
+    const row = () => db.prepare("SELECT * FROM webhook_endpoints WHERE id = ?").get(id);
+    assert.equal(row().url, `${baseUrl}/ok`);
+    assert.equal(row().secret, `secret-${id}`);
+    assert.deepEqual(JSON.parse(row().metadata_json), { events: ["dtu.created"] });
+
+    setWebhookEndpointActive(id, false);
+    assert.equal(row().active, 0);
+    removeWebhookEndpoint(id);
+    assert.equal(row(), undefined);
+  });
+
+  it("reloads endpoints at startup so queued deliveries are still sent", async () => {
+    const id = persistedEndpoint("/restored");
+    const paused = persistedEndpoint("/ok", { active: false });
+    const deliveryId = persistedDelivery(id, "/restored");
+
+    const result = configureWebhookDelivery({ db, baseBackoffMs: 1000, allowPrivateNetworks: true });
+    assert.equal(result.endpoints, "sqlite");
+    assert.equal(result.restored, 2);
+    assert.equal(loadWebhookEndpoints("test").find((ep) => ep.id === paused).active, false);
+
+    await processWebhookDeliveries();
+    assert.equal(getWebhookDelivery(deliveryId).delivery.status, "delivered");
+    assert.equal(received[0].path, "/restored");
+    assert.ok(verifyWebhookSignature(received[0].body, received[0].headers["x-concordos-signature"], `secret-${id}`).ok);
+  });
+
+  it("keeps endpoints in memory when the migration is missing", () => {
+    const bare = new Database(":memory:");
+    migrateWebhookDeliveries(bare);
+    assert.equal(configureWebhookDelivery({ db: bare, allowPrivateNetworks: true }).endpoints, "memory");
+    assert.equal(endpoint("/ok").startsWith("ep_"), true);
+  });
+});
+
+// ── Dead-letter queue ────────────────────────────────────────────────────────
+
+describe("dead-letter replay", () => {
+  beforeEach(() => { setup(); });
+
+  it("replays a dead letter with a fresh attempt budget", async () => {
+    const id = endpoint("/recovering", { maxAttempts: 1 });
+    statusFor.set("/recovering", 500);
+    const { deliveryId } = enqueueWebhookDelivery(id, "e", {});
+    await processWebhookDeliveries();
+    assert.equal(getWebhookDelivery(deliveryId).delivery.status, "dead_letter");
+
+    statusFor.set("/recovering", 204);
+    const replay = replayWebhookDelivery(deliveryId);
+    assert.equal(replay.ok, true);
+    assert.equal(replayWebhookDelivery(deliveryId).ok, false);
+
+    await processWebhookDeliveries();
+    const { delivery } = getWebhookDelivery(deliveryId);
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.replayCount, 1);
+    assert.equal(delivery.attemptLog.length, 2);
+  });
+
+  it("replays in bulk per endpoint and skips endpoints that are inactive", async () => {
+    const live = endpoint("/x", { maxAttempts: 1 });
+    const off = endpoint("/x", { maxAttempts: 1 });
+    statusFor.set("/x", 500);
+    enqueueWebhookDelivery(live, "e", {});
+    enqueueWebhookDelivery(live, "e", {});
+    enqueueWebhookDelivery(off, "e", {});
+    await processWebhookDeliveries();
+    assert.equal(listDeadLetters().total, 3);
+
+    assert.equal(replayDeadLetters({ endpointId: live }).replayed, 2);
+    setWebhookEndpointActive(off, false);
+    const rest = replayDeadLetters();
+    assert.equal(rest.replayed, 0);
+    assert.equal(rest.skipped[0].error, "Endpoint is not active");
+    assert.equal(listWebhookDeliveries({ status: "pending" }).total, 2);
+  });
+});
+
+// ── Public API webhooks ──────────────────────────────────────────────────────
+
+describe("public API webhooks on the shared pipeline", () => {
+  beforeEach(() => { setup(); });
+
+  it("dispatches, delivers and reports history", async () => {
+    const STATE = {};
+    const { webhook } = registerWebhook(STATE, { url: `${baseUrl}/public`, events: ["dtu:created"] });
+    const dispatched = dispatchWebhookEvent(STATE, "dtu:created", { dtuId: "abc" });
+    assert.equal(dispatched.dispatched, 1);
+
+    const result = await processPendingDeliveries(STATE);
+    assert.deepEqual(result.results.map((r) => r.status), ["delivered"]);
+    assert.equal(STATE._webhooks.metrics.totalDeliveries, 1);
+    assert.ok(STATE._webhooks.registrations.get(webhook.id).lastDeliveryAt);
+
+    const history = getDeliveryHistory(STATE, webhook.id);
+    assert.equal(history.total, 1);
+    assert.equal(history.history[0].event, "dtu:created");
+    assert.ok(verifyWebhookSignature(received[0].body, received[0].headers["x-concordos-signature"], webhook.secret).ok);
+  });
+
+  it("counts dead letters as consecutive failures", async () => {
+    const STATE = {};
+    statusFor.set("/broken", 500);
+    const { webhook } = registerWebhook(STATE, { url: `${baseUrl}/broken`, events: ["dtu:created"], maxRetries: 1 });
+    dispatchWebhookEvent(STATE, "dtu:created", {});
+    await processPendingDeliveries(STATE);
+
+    assert.equal(STATE._webhooks.registrations.get(webhook.id).consecutiveFailures, 1);
+    assert.equal(STATE._webhooks.metrics.totalFailures, 1);
+  });
+
+  it("restores registrations from persisted endpoints after a restart", async () => {
+    // Start from a registry holding only what the "previous process" persisted
+    for (const ep of loadWebhookEndpoints("public_api")) removeWebhookEndpoint(ep.id);
+    const id = persistedEndpoint("/public", {
+      source: "public_api", ownerId: "u1", maxAttempts: 3,
+      metadata: { events: ["dtu:created"], createdAt: "2026-01-01T00:00:00.000Z" },
+    });
+    configureWebhookDelivery({ db, baseBackoffMs: 1000, allowPrivateNetworks: true });
+
+    const STATE = {};
+    assert.equal(restoreWebhooks(STATE).restored, 1);
+    const webhook = STATE._webhooks.registrations.get(id);
+    assert.deepEqual(webhook.events, ["dtu:created"]);
+    assert.equal(webhook.ownerId, "u1");
+    assert.equal(restoreWebhooks(STATE).restored, 0);
+
+    assert.equal(dispatchWebhookEvent(STATE, "dtu:created", { dtuId: "abc" }).dispatched, 1);
+    await processPendingDeliveries(STATE);
+    assert.equal(STATE._webhooks.metrics.totalDeliveries, 1);
+    assert.ok(webhook.lastDeliveryAt);
+  });
+});
+
+// ── Destination guard ────────────────────────────────────────────────────────
+// Last in the file: the injected fetch and DNS lookup stay configured.
+
+describe("webhook destination guard", () => {
+  const posted = [];
+  const addresses = new Map();   // hostname → resolved address
+
+  beforeEach(() => {
+    posted.length = 0;
+    setup({
+      allowPrivateNetworks: false,
+      fetchImpl: async (url, init) => { posted.push({ url, init }); return { ok: true, status: 200, text: async () => "ack" }; },
+      lookupImpl: async (host) => [{ address: addresses.get(host) || "93.184.216.34", family: 4 }],
+    });
+  });
+
+  it("refuses loopback, private, link-local and metadata URLs at registration", () => {
+    for (const url of [
+      "http://localhost/hook", "http://127.0.0.1:8080/hook", "http://10.1.2.3/hook", "http://172.20.0.1/hook",
+      "http://192.168.1.1/hook", "http://169.254.169.254/latest/meta-data", "http://metadata.google.internal/",
+      "http://[::1]/hook", "http://[::ffff:127.0.0.1]/hook", "http://[fd00::1]/hook", "http://printer.local/",
+    ]) {
+      const r = registerWebhookEndpoint({ id: `ep_${++seq}`, source: "test", url, secret: "s" });
+      assert.equal(r.ok, false, url);
+      assert.match(r.error, /^Webhook URL not allowed/);
+    }
+    assert.equal(registerWebhookEndpoint({ id: `ep_${++seq}`, source: "test", url: "https://hooks.example.com/x", secret: "s" }).ok, true);
+  });
+
+  it("does not POST when the host resolves to a private address", async () => {
+    addresses.set("rebind.example.com", "10.0.0.5");
+    const blocked = `ep_${++seq}`;
+    registerWebhookEndpoint({ id: blocked, source: "test", url: "https://rebind.example.com/x", secret: "s", maxAttempts: 1 });
+    const open = `ep_${++seq}`;
+    registerWebhookEndpoint({ id: open, source: "test", url: "https://hooks.example.com/x", secret: "s" });
+
+    const { deliveryId } = enqueueWebhookDelivery(blocked, "dtu.created", {});
+    enqueueWebhookDelivery(open, "dtu.created", {});
+    await processWebhookDeliveries();
+
+    assert.deepEqual(posted.map((p) => p.url), ["https://hooks.example.com/x"]);
+    const { delivery } = getWebhookDelivery(deliveryId);
+    assert.equal(delivery.status, "dead_letter");
+    assert.equal(delivery.lastError, "destination_blocked");
+    assert.equal(delivery.attemptLog[0].responseExcerpt, null);
+  });
+
+  it("connects to the address it checked and does not follow redirects", async () => {
+    addresses.set("hooks.example.com", "93.184.216.34");
+    const id = `ep_${++seq}`;
+    registerWebhookEndpoint({ id, source: "test", url: "https://hooks.example.com/x", secret: "s" });
+    enqueueWebhookDelivery(id, "dtu.created", {});
+    await processWebhookDeliveries();
+
+    const [{ init }] = posted;
+    assert.deepEqual(init.address, { address: "93.184.216.34", family: 4 });
+    assert.equal(init.redirect, "manual");
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Public API webhook routes
+ * Run: node --test tests/webhook-routes.test.js
+ *
+ * Boots the server against a fresh DATA_DIR and checks that a webhook
+ * registered over POST /api/webhooks reaches the public API registry and is
+ * persisted in webhook_endpoints for the startup restore.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = fs.mkdtempSync(join(os.tmpdir(), 'concord-webhook-routes-'));
+const port = String(10000 + Math.floor(Math.random() * 50000));
+const API_BASE = `http://localhost:${port}`;
+
+let serverProcess = null;
+let authToken = null;
+
+before(async () => {
+  serverProcess = spawn('node', ['server.js'], {
+    cwd: join(__dirname, '..'),
+    env: { ...process.env, PORT: port, NODE_ENV: 'development', CONCORD_NO_LISTEN: '', DATA_DIR },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const deadline = Date.now() + 60_000;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${API_BASE}/health`, { signal: AbortSignal.timeout(5_000) });
+      if (res.ok) return;
+    } catch {
+      // Server not ready yet
+    }
+    await new Promise(r => { setTimeout(r, 500); });
+  }
+  throw new Error('Server failed to start within 60 seconds');
+});
+
+after(async () => {
+  if (serverProcess && serverProcess.exitCode === null) {
+    const exited = new Promise(r => { serverProcess.once('exit', r); });
+    serverProcess.kill();
+    await exited;
+  }
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+async function api(method, path, body = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authToken) headers['Authorization'] = `Bearer ${authToken}`;
+  const res = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(10_000)
+  });
+  const json = await res.json().catch(() => ({}));
+  return { ...json, status: res.status };
+}
+
+describe('POST /api/webhooks', () => {
+  it('registers a public API webhook and persists its endpoint', async () => {
+    const stamp = Date.now();
+    const registered = await api('POST', '/api/auth/register', {
+      username: `webhook_user_${stamp}`,
+      email: `webhook_${stamp}@example.com`,
+      password: 'TestPassword123!'
+    });
+    assert.strictEqual(registered.ok, true, `Registration failed: ${registered.error}`);
+    authToken = registered.token;
+
+    const res = await api('POST', '/api/webhooks', { url: 'https://hooks.example.com/concord', events: ['dtu:created'] });
+    assert.strictEqual(res.ok, true, res.error);
+    assert(res.webhook?.id, 'Should return the public API webhook');
+
+    const listed = await api('GET', '/api/webhooks');
+    assert(listed.webhooks.some(w => w.id === res.webhook.id), 'Should list the webhook');
+
+    const db = new Database(join(DATA_DIR, 'concord.db'), { readonly: true });
+    try {
+      const row = db.prepare('SELECT source, owner_id, url FROM webhook_endpoints WHERE id = ?').get(res.webhook.id);
+      assert.deepStrictEqual({ ...row }, {
+        source: 'public_api', owner_id: registered.user.id, url: 'https://hooks.example.com/concord'
+      });
+    } finally {
+      db.close();
+    }
+  });
+});
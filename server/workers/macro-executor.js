@@ -9,13 +9,18 @@
  */
 
 import { parentPort, workerData } from "node:worker_threads";
-import { runMacroIsolated, syncSnapshot } from "./macro-runtime.js";
+import { runMacroIsolated, syncSnapshot, dropSnapshot } from "./macro-runtime.js";
 
 const workerId = workerData?.workerId ?? -1;
 
 parentPort.on("message", async (msg) => {
   if (msg.type === "state-sync") {
-    syncSnapshot(msg.state);
+    syncSnapshot(msg.state, msg.tenantId);
+    return;
+  }
+
+  if (msg.type === "state-drop") {
+    dropSnapshot(msg.tenantId);
     return;
   }
 
@@ -26,6 +31,7 @@ parentPort.on("message", async (msg) => {
         msg.name,
         msg.input || {},
         msg.actorInfo || {},
+        msg.tenantId,
       );
       parentPort.postMessage({ type: "exec-result", result });
     } catch (err) {
@@ -12,6 +12,11 @@
  *
  * Workers receive serialized STATE snapshots and return results.
  * All STATE mutations happen on the main thread after result merge.
+ *
+ * Tenancy: snapshots are synced per tenant and every task carries its
+ * tenant, so a worker only runs a macro against that tenant's snapshot. A
+ * tenant may occupy at most `maxWorkersPerTenant` workers at once; its
+ * further tasks wait while other tenants' tasks overtake them.
  */
 
 import { Worker } from "node:worker_threads";
@@ -23,6 +28,7 @@ import logger from '../logger.js';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const POOL_SIZE = Math.max(2, os.cpus().length - 1);
+const DEFAULT_TENANT = "default";
 
 // Heavy macro domains — these get offloaded to workers
 const HEAVY_DOMAINS = new Set([
@@ -52,7 +58,8 @@ const LIGHT_OVERRIDES = new Set([
 
 const workers = [];
 const queue = [];
-let _stateSnapshot = null;
+const _stateSnapshots = new Map(); // tenantId → last snapshot (replayed to restarted workers)
+const _tenantLimits = new Map();   // tenantId → max concurrent workers
 let _poolReady = false;
 const _metrics = {
   dispatched: 0,
@@ -96,14 +103,18 @@ export function isHeavy(domain, name) {
 /**
  * Dispatch a macro execution to the worker pool.
  * Returns a Promise that resolves with the macro result.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.tenantId] - Tenant whose snapshot the macro runs against
  */
-export function dispatch(domain, name, input, actorInfo) {
+export function dispatch(domain, name, input, actorInfo, opts = {}) {
   return new Promise((resolve, reject) => {
-    const task = { domain, name, input, actorInfo, resolve, reject, queuedAt: Date.now() };
+    const tenantId = opts.tenantId || DEFAULT_TENANT;
+    const task = { domain, name, input, actorInfo, tenantId, resolve, reject, queuedAt: Date.now() };
     _metrics.dispatched++;
 
     const freeWorker = workers.find(w => !w._busy);
-    if (freeWorker) {
+    if (freeWorker && underTenantLimit(tenantId)) {
       runOnWorker(freeWorker, task);
     } else {
       queue.push(task);
@@ -115,18 +126,38 @@ export function dispatch(domain, name, input, actorInfo) {
 }
 
 /**
- * Send a STATE snapshot to all workers for read operations.
+ * Send a tenant's STATE snapshot to all workers for read operations.
  * Called periodically from main thread and after DTU commits.
  */
-export function syncState(snapshot) {
-  _stateSnapshot = snapshot;
+export function syncState(snapshot, tenantId = DEFAULT_TENANT) {
+  _stateSnapshots.set(tenantId, snapshot);
   for (const w of workers) {
     try {
-      w.postMessage({ type: "state-sync", state: snapshot });
+      w.postMessage({ type: "state-sync", state: snapshot, tenantId });
     } catch (_e) { logger.debug('macro-pool', 'worker may be dead, will restart', { error: _e?.message }); }
   }
 }
 
+/**
+ * Drop a tenant's snapshot from the pool and its workers.
+ */
+export function dropTenantState(tenantId) {
+  _stateSnapshots.delete(tenantId);
+  for (const w of workers) {
+    try {
+      w.postMessage({ type: "state-drop", tenantId });
+    } catch (_e) { logger.debug('macro-pool', 'worker may be dead, will restart', { error: _e?.message }); }
+  }
+}
+
+/**
+ * Cap how many workers one tenant may occupy at once (null removes the cap).
+ */
+export function setTenantWorkerLimit(tenantId, maxWorkers) {
+  if (maxWorkers === null || maxWorkers === undefined) _tenantLimits.delete(tenantId);
+  else _tenantLimits.set(tenantId, Math.max(1, Math.floor(maxWorkers)));
+}
+
 /**
  * Get pool statistics.
  */
@@ -137,6 +168,7 @@ export function getPoolStats() {
     busy: workers.filter(w => w._busy).length,
     idle: workers.filter(w => !w._busy).length,
     queueLength: queue.length,
+    tenants: tenantStats(),
     metrics: {
       dispatched: _metrics.dispatched,
       completed: _metrics.completed,
@@ -166,6 +198,34 @@ export function shutdownPool() {
 
 // ── Internal ──────────────────────────────────────────────────────────────────
 
+function busyFor(tenantId) {
+  return workers.filter(w => w._busy && w._task?.tenantId === tenantId).length;
+}
+
+function underTenantLimit(tenantId) {
+  const limit = _tenantLimits.get(tenantId);
+  return limit === undefined || busyFor(tenantId) < limit;
+}
+
+function tenantStats() {
+  const stats = {};
+  for (const tenantId of new Set([..._stateSnapshots.keys(), ..._tenantLimits.keys()])) {
+    stats[tenantId] = {
+      busy: busyFor(tenantId),
+      queued: queue.filter(t => t.tenantId === tenantId).length,
+      maxWorkers: _tenantLimits.get(tenantId) ?? null,
+      synced: _stateSnapshots.has(tenantId),
+    };
+  }
+  return stats;
+}
+
+// Hand the first queued task whose tenant has room to an idle worker
+function runNext(worker) {
+  const idx = queue.findIndex(t => underTenantLimit(t.tenantId));
+  if (idx !== -1) runOnWorker(worker, queue.splice(idx, 1)[0]);
+}
+
 function runOnWorker(worker, task) {
   worker._busy = true;
   worker._task = task;
@@ -176,6 +236,7 @@ function runOnWorker(worker, task) {
     name: task.name,
     input: task.input,
     actorInfo: task.actorInfo,
+    tenantId: task.tenantId,
   });
 }
 
@@ -199,9 +260,7 @@ function handleWorkerMessage(worker, msg) {
     }
 
     // Process next queued task
-    if (queue.length > 0) {
-      runOnWorker(worker, queue.shift());
-    }
+    runNext(worker);
   }
 }
 
@@ -217,9 +276,7 @@ function handleWorkerError(worker, err) {
   worker._busy = false;
 
   // Process next queued task if worker is still alive
-  if (queue.length > 0) {
-    runOnWorker(worker, queue.shift());
-  }
+  runNext(worker);
 }
 
 function handleWorkerExit(worker, code) {
@@ -239,6 +296,10 @@ function handleWorkerExit(worker, code) {
       newWorker.on("error", (err) => handleWorkerError(newWorker, err));
       newWorker.on("exit", (exitCode) => handleWorkerExit(newWorker, exitCode));
       workers[idx] = newWorker;
+      for (const [tenantId, snapshot] of _stateSnapshots) {
+        newWorker.postMessage({ type: "state-sync", state: snapshot, tenantId });
+      }
+      runNext(newWorker);
     }
   }
 }
@@ -10,18 +10,23 @@
  * This is intentionally limited — only macros that are safe to run in isolation
  * (read-heavy, no STATE writes) are supported. Write operations return results
  * that the main thread applies.
+ *
+ * Snapshots are kept per tenant; a macro only ever sees the snapshot of the
+ * tenant it was dispatched for.
  */
 
 import { runPipeline, ensurePipelineState } from "../emergent/autogen-pipeline.js";
 
-let _snapshot = null;
+export const DEFAULT_TENANT = "default";
+
+const _snapshots = new Map(); // tenantId → hydrated snapshot
 
 /**
- * Update the STATE snapshot from main thread.
+ * Update a tenant's STATE snapshot from main thread.
  */
-export function syncSnapshot(snapshot) {
+export function syncSnapshot(snapshot, tenantId = DEFAULT_TENANT) {
   if (!snapshot) return;
-  _snapshot = {
+  _snapshots.set(tenantId, {
     dtus: new Map(snapshot.dtus || []),
     shadowDtus: new Map(snapshot.shadowDtus || []),
     settings: snapshot.settings || {},
@@ -30,7 +35,14 @@ export function syncSnapshot(snapshot) {
     // Read-only indices for search operations
     emergents: snapshot.emergents ? new Map(snapshot.emergents) : new Map(),
     sessions: snapshot.sessions ? new Map(snapshot.sessions) : new Map(),
-  };
+  });
+}
+
+/**
+ * Forget a tenant's snapshot (tenant closed or removed).
+ */
+export function dropSnapshot(tenantId) {
+  _snapshots.delete(tenantId);
 }
 
 /**
@@ -38,9 +50,10 @@ export function syncSnapshot(snapshot) {
  * Returns the result; any new DTUs or modifications are returned as data
  * for the main thread to merge.
  */
-export async function runMacroIsolated(domain, name, input, actorInfo) {
-  if (!_snapshot) {
-    throw new Error("worker_no_snapshot: STATE not yet synced");
+export async function runMacroIsolated(domain, name, input, actorInfo, tenantId = DEFAULT_TENANT) {
+  const snapshot = _snapshots.get(tenantId);
+  if (!snapshot) {
+    throw new Error(`worker_no_snapshot: STATE not yet synced for tenant ${tenantId}`);
   }
 
   const key = `${domain}.${name}`;
@@ -49,25 +62,25 @@ export async function runMacroIsolated(domain, name, input, actorInfo) {
   switch (key) {
     // ── Pipeline operations ──────────────────────────────────────────────────
     case "system.autogen":
-      return runIsolatedPipeline(null, input);
+      return runIsolatedPipeline(snapshot, null, input);
 
     case "system.dream":
-      return runIsolatedPipeline("dream", input);
+      return runIsolatedPipeline(snapshot, "dream", input);
 
     case "system.evolution":
-      return runIsolatedPipeline("evolution", input);
+      return runIsolatedPipeline(snapshot, "evolution", input);
 
     case "system.synthesize":
-      return runIsolatedPipeline("synth", input);
+      return runIsolatedPipeline(snapshot, "synth", input);
 
     // ── Search operations (read-only on snapshot) ────────────────────────────
     case "search.query":
     case "search.semantic":
-      return runIsolatedSearch(input);
+      return runIsolatedSearch(snapshot, input);
 
     // ── DTU analysis (read-only) ─────────────────────────────────────────────
     case "dtu.cluster":
-      return runIsolatedCluster(input);
+      return runIsolatedCluster(snapshot, input);
 
     default:
       // For unrecognized heavy macros, return an error so main thread falls back
@@ -77,31 +90,31 @@ export async function runMacroIsolated(domain, name, input, actorInfo) {
 
 // ── Isolated Pipeline ────────────────────────────────────────────────────────
 
-async function runIsolatedPipeline(variant, input) {
-  ensurePipelineState(_snapshot);
+async function runIsolatedPipeline(snapshot, variant, input) {
+  ensurePipelineState(snapshot);
 
   const opts = { variant };
   if (input?.seed) opts.seed = input.seed;
 
-  const result = await runPipeline(_snapshot, opts);
+  const result = await runPipeline(snapshot, opts);
   return {
     ok: result?.ok || false,
     candidate: result?.candidate || null,
     trace: result?.trace || null,
     writePolicy: result?.writePolicy || null,
-    pipelineStateDelta: _snapshot._autogenPipeline,
+    pipelineStateDelta: snapshot._autogenPipeline,
     _workerResult: true,
   };
 }
 
 // ── Isolated Search ──────────────────────────────────────────────────────────
 
-function runIsolatedSearch(input) {
+function runIsolatedSearch(snapshot, input) {
   const query = (input?.q || input?.query || "").toLowerCase();
   if (!query) return { ok: true, results: [], total: 0 };
 
   const results = [];
-  for (const [id, dtu] of _snapshot.dtus) {
+  for (const [id, dtu] of snapshot.dtus) {
     const title = (dtu.title || "").toLowerCase();
     const summary = (dtu.human?.summary || "").toLowerCase();
     const tags = (dtu.tags || []).join(" ").toLowerCase();
@@ -117,12 +130,12 @@ function runIsolatedSearch(input) {
 
 // ── Isolated Cluster ─────────────────────────────────────────────────────────
 
-function runIsolatedCluster(input) {
+function runIsolatedCluster(snapshot, input) {
   // Basic clustering by tags — the full implementation runs on main thread
   const threshold = input?.threshold || 0.38;
   const clusters = new Map();
 
-  for (const [id, dtu] of _snapshot.dtus) {
+  for (const [id, dtu] of snapshot.dtus) {
     const key = (dtu.tags || []).sort().join(",") || "untagged";
     if (!clusters.has(key)) clusters.set(key, []);
     clusters.get(key).push(id);